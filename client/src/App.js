@@ -9,15 +9,23 @@ import YearInReviewPage from './pages/YearInReviewPage';
 import DataSourcesPage from './pages/DataSourcesPage';
 import PrivacyPolicyPage from './pages/PrivacyPolicyPage';
 import DayInLifePage from './pages/DayInLifePage';
+import TripsPage from './pages/TripsPage';
+import VenuePage from './pages/VenuePage';
+import PhotosPage from './pages/PhotosPage';
+import AdminPage from './pages/AdminPage';
 import SplashScreen from './components/SplashScreen';
 import CopilotChat from './components/copilot/CopilotChat';
 
 function App() {
   const [showSplash, setShowSplash] = useState(true);
+  // Pages mount once the splash has settled the session, so they start with a current token
+  const [authResolved, setAuthResolved] = useState(false);
   const [authToken, setAuthToken] = useState(
     localStorage.getItem('authToken') || null
   );
   const mapRef = useRef(null);
+  // Venues from a copilot answer shown as a layer on the home map
+  const [copilotHighlight, setCopilotHighlight] = useState(null);
 
   // Listen for token changes
   useEffect(() => {
@@ -29,10 +37,9 @@ function App() {
 
   const handleTokenValidated = (token) => {
     if (token) {
-      localStorage.setItem('authToken', token);
       setAuthToken(token);
     }
-    setShowSplash(false);
+    setAuthResolved(true);
   };
 
   const handleVenueClickFromChat = (venue) => {
@@ -46,23 +53,51 @@ function App() {
     }
   };
 
+  const handleShowOnMapFromChat = (attachment) => {
+    setCopilotHighlight({ title: attachment.title, venues: attachment.venues });
+  };
+
   return (
     <>
-      {showSplash && <SplashScreen onTokenValidated={handleTokenValidated} />}
+      {showSplash && (
+        <SplashScreen onTokenValidated={handleTokenValidated} onDone={() => setShowSplash(false)} />
+      )}
       <BrowserRouter>
         <ThemeProvider theme={darkTheme}>
           <CssBaseline />
-          <Routes>
-            <Route path="/" element={<HomePage mapRef={mapRef} />} />
-            <Route path="/import" element={<ImportPage />} />
-            <Route path="/year-in-review" element={<YearInReviewPage />} />
-            <Route path="/day-in-life/:date" element={<DayInLifePage />} />
-            <Route path="/day-in-life" element={<DayInLifePage />} />
-            <Route path="/data-sources" element={<DataSourcesPage />} />
-            <Route path="/privacy" element={<PrivacyPolicyPage />} />
-          </Routes>
+          {authResolved && (
+            <Routes>
+              <Route
+                path="/"
+                element={
+                  <HomePage
+                    mapRef={mapRef}
+                    highlight={copilotHighlight}
+                    onClearHighlight={() => setCopilotHighlight(null)}
+                  />
+                }
+              />
+              <Route path="/import" element={<ImportPage />} />
+              <Route path="/year-in-review" element={<YearInReviewPage />} />
+              <Route path="/day-in-life/:date" element={<DayInLifePage />} />
+              <Route path="/day-in-life" element={<DayInLifePage />} />
+              <Route path="/trips/:tripId" element={<TripsPage />} />
+              <Route path="/trips" element={<TripsPage />} />
+              <Route path="/venues/:venueId" element={<VenuePage />} />
+              <Route path="/photos" element={<PhotosPage />} />
+              <Route path="/data-sources" element={<DataSourcesPage />} />
+              <Route path="/privacy" element={<PrivacyPolicyPage />} />
+              <Route path="/admin" element={<AdminPage />} />
+            </Routes>
+          )}
           {/* AI Copilot - show only if authenticated */}
-          {authToken && <CopilotChat token={authToken} onVenueClick={handleVenueClickFromChat} />}
+          {authToken && (
+            <CopilotChat
+              token={authToken}
+              onVenueClick={handleVenueClickFromChat}
+              onShowOnMap={handleShowOnMapFromChat}
+            />
+          )}
         </ThemeProvider>
       </BrowserRouter>
     </>
@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { DownloadSimple, UserCircle } from '@phosphor-icons/react';
+import {
+  getAccountExport,
+  requestAccountExport,
+  getAccountExportDownloadUrl,
+  deleteAccount
+} from '../services/api';
+
+const POLL_INTERVAL_MS = 3000;
+const IN_PROGRESS = ['pending', 'running'];
+
+const formatSize = (bytes) => {
+  if (bytes === null || bytes === undefined) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Download all of the user's data as a ZIP, or delete the account
+ * @param {string} token - Auth token
+ * @param {Function} onError - Called with a message when something fails
+ * @param {Function} onSuccess - Called with a message when something succeeds
+ */
+const AccountDataCard = ({ token, onError, onSuccess }) => {
+  const theme = useTheme();
+  const [accountExport, setAccountExport] = useState(null);
+  const [requesting, setRequesting] = useState(false);
+  const [deleteOpen, setDeleteOpen] = useState(false);
+  const [confirmText, setConfirmText] = useState('');
+  const [deleting, setDeleting] = useState(false);
+
+  const inProgress = accountExport && IN_PROGRESS.includes(accountExport.status);
+
+  // Poll until the export job is done
+  useEffect(() => {
+    if (!inProgress) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        setAccountExport(await getAccountExport(token));
+      } catch (error) {
+        console.error('Failed to fetch account export:', error);
+        onError('Failed to check the export status');
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [accountExport, inProgress, token, onError]);
+
+  const handleExport = useCallback(async (fresh) => {
+    setRequesting(true);
+    try {
+      // GET returns the current export (starting one when needed), POST always starts over
+      const data = fresh ? await requestAccountExport(token) : await getAccountExport(token);
+      setAccountExport(data);
+    } catch (error) {
+      console.error('Account export error:', error);
+      onError('Failed to start the export');
+    } finally {
+      setRequesting(false);
+    }
+  }, [token, onError]);
+
+  const handleDelete = async () => {
+    setDeleting(true);
+    try {
+      await deleteAccount(token);
+      localStorage.removeItem('authToken');
+      onSuccess('Your account has been deleted');
+      // Reload so the app asks for a token again
+      window.location.assign('/');
+    } catch (error) {
+      console.error('Account deletion error:', error);
+      onError('Failed to delete your account');
+      setDeleting(false);
+    }
+  };
+
+  const renderExportStatus = () => {
+    if (!accountExport) return null;
+
+    if (inProgress) {
+      return (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 2 }}>
+          <CircularProgress size={16} />
+          <Typography variant="body2" color="text.secondary">
+            Preparing your export, this can take a few minutes...
+          </Typography>
+        </Box>
+      );
+    }
+
+    if (accountExport.status === 'completed') {
+      return (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            Export ready ({formatSize(accountExport.sizeBytes)}), available until {new Date(accountExport.expiresAt).toLocaleDateString()}
+          </Typography>
+          <Box display="flex" gap={1}>
+            <Button
+              variant="contained"
+              startIcon={<DownloadSimple size={20} />}
+              href={getAccountExportDownloadUrl(accountExport.downloadUrl)}
+            >
+              Download ZIP
+            </Button>
+            <Button variant="outlined" onClick={() => handleExport(true)} disabled={requesting}>
+              Create New Export
+            </Button>
+          </Box>
+        </Box>
+      );
+    }
+
+    if (accountExport.status === 'failed') {
+      return (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="body2" color="error" sx={{ mb: 1 }}>
+            The export failed{accountExport.errorMessage ? `: ${accountExport.errorMessage}` : ''}
+          </Typography>
+          <Button variant="outlined" onClick={() => handleExport(true)} disabled={requesting}>
+            Try Again
+          </Button>
+        </Box>
+      );
+    }
+
+    return null;
+  };
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+          <UserCircle size={24} weight="regular" style={{ marginRight: 8, color: theme.palette.primary.main }} />
+          <Typography variant="h6">Your Account</Typography>
+        </Box>
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Download everything we store about you as JSON files in a ZIP: check-ins, venues, trips, photo
+          details, Strava and Garmin activities, Garmin daily metrics, weather and import history.
+        </Typography>
+
+        {!accountExport && (
+          <Button
+            variant="outlined"
+            startIcon={<DownloadSimple size={20} />}
+            onClick={() => handleExport(false)}
+            disabled={requesting}
+          >
+            {requesting ? 'Starting...' : 'Export My Data'}
+          </Button>
+        )}
+        {renderExportStatus()}
+
+        <Box sx={{ mt: 3, pt: 2, borderTop: 1, borderColor: 'divider' }}>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Deleting your account permanently removes all of your data and cached photos, and revokes
+            our access to Strava. This can't be undone.
+          </Typography>
+          <Button variant="outlined" color="error" onClick={() => setDeleteOpen(true)}>
+            Delete Account
+          </Button>
+        </Box>
+      </CardContent>
+
+      <Dialog open={deleteOpen} onClose={() => !deleting && setDeleteOpen(false)}>
+        <DialogTitle>Delete your account?</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            All of your check-ins, activities, photos and Garmin data are deleted right away. Export
+            your data first if you want to keep a copy. Type DELETE to confirm.
+          </DialogContentText>
+          <TextField
+            autoFocus
+            fullWidth
+            size="small"
+            value={confirmText}
+            onChange={(e) => setConfirmText(e.target.value)}
+            placeholder="DELETE"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteOpen(false)} disabled={deleting}>
+            Cancel
+          </Button>
+          <Button
+            color="error"
+            variant="contained"
+            onClick={handleDelete}
+            disabled={confirmText !== 'DELETE' || deleting}
+          >
+            {deleting ? 'Deleting...' : 'Delete Account'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default AccountDataCard;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import {
   IconButton,
@@ -20,14 +20,18 @@ import {
   MapTrifold,
   Calendar,
   Sun,
+  AirplaneTilt,
+  Images,
+  ShieldCheck,
 } from '@phosphor-icons/react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { syncAllData } from '../services/api';
+import { syncAllData, validateToken } from '../services/api';
 
 const ContextMenu = ({ token, lastSyncAt, onSyncComplete }) => {
   const [anchorEl, setAnchorEl] = useState(null);
   const [syncing, setSyncing] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+  const [isAdmin, setIsAdmin] = useState(false);
   const navigate = useNavigate();
   const location = useLocation();
   const theme = useTheme();
@@ -35,8 +39,23 @@ const ContextMenu = ({ token, lastSyncAt, onSyncComplete }) => {
 
   const isYearInReview = location.pathname === '/year-in-review';
   const isDayInLife = location.pathname.startsWith('/day-in-life');
+  const isTrips = location.pathname.startsWith('/trips');
+  const isPhotos = location.pathname === '/photos';
   const isHome = location.pathname === '/';
 
+  // Admins get a link to the admin dashboard
+  useEffect(() => {
+    let cancelled = false;
+    validateToken(token)
+      .then(user => {
+        if (!cancelled) setIsAdmin(Boolean(user?.isAdmin));
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
   const handleOpen = (event) => {
     setAnchorEl(event.currentTarget);
   };
@@ -117,6 +136,22 @@ const ContextMenu = ({ token, lastSyncAt, onSyncComplete }) => {
                 <ListItemText primary="Day in Life" />
               </MenuItem>
             )}
+            {!isTrips && (
+              <MenuItem onClick={() => { handleClose(); navigate('/trips'); }}>
+                <ListItemIcon>
+                  <AirplaneTilt size={18} />
+                </ListItemIcon>
+                <ListItemText primary="Trips" />
+              </MenuItem>
+            )}
+            {!isPhotos && (
+              <MenuItem onClick={() => { handleClose(); navigate('/photos'); }}>
+                <ListItemIcon>
+                  <Images size={18} />
+                </ListItemIcon>
+                <ListItemText primary="Photos" />
+              </MenuItem>
+            )}
             <Divider />
           </>
         )}
@@ -129,6 +164,15 @@ const ContextMenu = ({ token, lastSyncAt, onSyncComplete }) => {
           <ListItemText primary="Data Sources" />
         </MenuItem>
 
+        {isAdmin && (
+          <MenuItem onClick={() => { handleClose(); navigate('/admin'); }}>
+            <ListItemIcon>
+              <ShieldCheck size={18} />
+            </ListItemIcon>
+            <ListItemText primary="Admin" />
+          </MenuItem>
+        )}
+
         <MenuItem onClick={handleSyncAll}>
           <ListItemIcon>
             <ArrowsClockwise size={18} />
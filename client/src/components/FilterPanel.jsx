@@ -15,13 +15,15 @@ import {
   Tooltip,
   Autocomplete,
   Link,
-  Checkbox
+  Checkbox,
+  Menu
 } from '@mui/material';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
-import { Funnel, X, ArrowsOut, ArrowsIn } from '@phosphor-icons/react';
-import { getFilterOptions } from '../services/api';
+import { Funnel, X, ArrowsOut, ArrowsIn, DownloadSimple } from '@phosphor-icons/react';
+import { getFilterOptions, downloadExport } from '../services/api';
+import { buildCategoryOptions, CATEGORY_GROUP_LABELS } from '../utils/categoryUtils';
 
 // Custom listbox component for category dropdown with search and actions
 const CustomCategoryListbox = React.forwardRef(function CustomCategoryListbox(props, ref) {
@@ -104,6 +106,13 @@ const CustomCategoryListbox = React.forwardRef(function CustomCategoryListbox(pr
   );
 });
 
+const EXPORT_FORMATS = [
+  { format: 'geojson', label: 'GeoJSON' },
+  { format: 'kml', label: 'KML (Google Earth)' },
+  { format: 'gpx', label: 'GPX (waypoints and tracks)' },
+  { format: 'csv', label: 'CSV (spreadsheet)' }
+];
+
 function FilterPanel({ onFilterChange, initialFilters = {}, comparisonModeActive = false, isExpanded = false, onToggleExpand, token }) {
   const [filters, setFilters] = useState({
     startDate: initialFilters.startDate || null,
@@ -119,21 +128,29 @@ function FilterPanel({ onFilterChange, initialFilters = {}, comparisonModeActive
   const [filterOptions, setFilterOptions] = useState({
     countries: [],
     cities: [],
-    categories: []
+    categories: [],
+    category_groups: []
   });
 
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [exportMenuAnchor, setExportMenuAnchor] = useState(null);
+
+  // Top- and mid-level category groups are offered alongside the categories;
+  // selecting a group matches every category under it
+  const categoryOptions = buildCategoryOptions(filterOptions.categories, filterOptions.category_groups);
+  const categoryNames = categoryOptions.map(option => option.name);
+  const categoryLevels = new Map(categoryOptions.map(option => [option.name, option.level]));
 
   // Filter categories based on search term
-  const searchFilteredCategories = filterOptions.categories.filter(cat =>
+  const searchFilteredCategories = categoryNames.filter(cat =>
     cat.toLowerCase().includes(categorySearchTerm.toLowerCase())
   );
 
   // Only show categories matching the search (don't include non-matching selected items)
   const filteredCategories = categorySearchTerm
     ? searchFilteredCategories
-    : filterOptions.categories;
+    : categoryNames;
 
   // Load filter options on mount
   useEffect(() => {
@@ -194,8 +211,8 @@ function FilterPanel({ onFilterChange, initialFilters = {}, comparisonModeActive
     }));
   };
 
-  const handleApplyFilters = () => {
-    // Build filter object with only non-empty values
+  // Build filter object with only non-empty values
+  const buildAppliedFilters = () => {
     const appliedFilters = {};
 
     if (filters.startDate) {
@@ -222,7 +239,22 @@ function FilterPanel({ onFilterChange, initialFilters = {}, comparisonModeActive
       appliedFilters.search = filters.search.trim();
     }
 
-    onFilterChange(appliedFilters);
+    return appliedFilters;
+  };
+
+  const handleApplyFilters = () => {
+    onFilterChange(buildAppliedFilters());
+  };
+
+  // Download the check-ins (and activity tracks) matching the filters
+  const handleExport = async (format) => {
+    setExportMenuAnchor(null);
+    try {
+      await downloadExport({ ...buildAppliedFilters(), format, token });
+    } catch (err) {
+      console.error('Failed to export:', err);
+      setError('Failed to export. Please try again.');
+    }
   };
 
   const handleClearFilters = () => {
@@ -325,6 +357,7 @@ function FilterPanel({ onFilterChange, initialFilters = {}, comparisonModeActive
             onChange={handleCategoryChange}
             onClose={() => setCategorySearchTerm('')}
             filterOptions={(options) => options}
+            groupBy={(option) => CATEGORY_GROUP_LABELS[categoryLevels.get(option) || 'leaf']}
             renderTags={() => null}
             renderInput={(params) => (
               <TextField
@@ -474,6 +507,31 @@ function FilterPanel({ onFilterChange, initialFilters = {}, comparisonModeActive
           </Button>
         </Box>
 
+        {token && (
+          <>
+            <Button
+              fullWidth
+              variant="text"
+              color="inherit"
+              onClick={(e) => setExportMenuAnchor(e.currentTarget)}
+              startIcon={<DownloadSimple size={18} />}
+            >
+              Export
+            </Button>
+            <Menu
+              anchorEl={exportMenuAnchor}
+              open={Boolean(exportMenuAnchor)}
+              onClose={() => setExportMenuAnchor(null)}
+            >
+              {EXPORT_FORMATS.map(({ format, label }) => (
+                <MenuItem key={format} onClick={() => handleExport(format)}>
+                  {label}
+                </MenuItem>
+              ))}
+            </Menu>
+          </>
+        )}
+
         {/* Active Filters Count */}
         {(filters.startDate || filters.endDate || filters.categories.length > 0 ||
           filters.country || filters.city || filters.search) && (
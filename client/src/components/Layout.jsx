@@ -15,7 +15,9 @@ import {
   Funnel,
   CalendarBlank,
   MapTrifold,
-  Sun
+  Sun,
+  AirplaneTilt,
+  Images
 } from '@phosphor-icons/react';
 import ContextMenu from './ContextMenu';
 
@@ -34,6 +36,8 @@ function Layout({ children, sidebar, headerActions, sidebarExpanded = false, tok
 
   const isYearInReview = location.pathname === '/year-in-review';
   const isDayInLife = location.pathname.startsWith('/day-in-life');
+  const isTrips = location.pathname.startsWith('/trips');
+  const isPhotos = location.pathname === '/photos';
   const isHome = location.pathname === '/';
 
   return (
@@ -82,6 +86,22 @@ function Layout({ children, sidebar, headerActions, sidebarExpanded = false, tok
               >
                 Day in Life
               </Button>
+              <Button
+                color="inherit"
+                startIcon={<AirplaneTilt size={20} />}
+                onClick={() => navigate('/trips')}
+                sx={{ mr: 1, display: isTrips ? 'none' : 'flex' }}
+              >
+                Trips
+              </Button>
+              <Button
+                color="inherit"
+                startIcon={<Images size={20} />}
+                onClick={() => navigate('/photos')}
+                sx={{ mr: 1, display: isPhotos ? 'none' : 'flex' }}
+              >
+                Photos
+              </Button>
             </>
           )}
 
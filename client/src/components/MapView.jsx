@@ -1,29 +1,93 @@
 import React, { useEffect, useState, useMemo, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import { Map, Source, Layer, Popup } from 'react-map-gl/mapbox';
-import { Box, Typography, Chip, CircularProgress, Modal, IconButton, Link, Tabs, Tab, useTheme } from '@mui/material';
-import { MapPin, X, CalendarBlank } from '@phosphor-icons/react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box, Typography, Chip, CircularProgress, Modal, IconButton, Link, Tabs, Tab,
+  Switch, FormControlLabel, ToggleButton, ToggleButtonGroup, useTheme
+} from '@mui/material';
+import { MapPin, X, CalendarBlank, ArrowSquareOut, Path, CirclesThree, Fire, ClockCounterClockwise } from '@phosphor-icons/react';
 import 'mapbox-gl/dist/mapbox-gl.css';
 import VenuePhotosGallery from './VenuePhotosGallery';
-import { formatDateInLocalZone } from '../utils/timezoneUtils';
-import { CATEGORY_COLORS, getContributionColor, mapColors, overlayColors } from '../theme';
+import PlaybackControl from './PlaybackControl';
+import { formatDateInLocalZone, formatDateTimeInLocalZone, getLocalDateKey } from '../utils/timezoneUtils';
+import { CATEGORY_COLORS, ACTIVITY_COLORS, getContributionColor, mapColors, overlayColors } from '../theme';
 import { mapStyle } from '../mapStyle';
-import { groupCheckinsByVenue, toGeoJSON, getMarkerColor, groupCheckinsByWeek, generateWeeksGrid } from '../utils/mapUtils';
+import {
+  groupCheckinsByVenue,
+  toGeoJSON,
+  highlightToGeoJSON,
+  getMarkerColor,
+  getActivityColor,
+  activityColorExpression,
+  normalizeHeatmapWeights,
+  groupCheckinsByWeek,
+  generateWeeksGrid
+} from '../utils/mapUtils';
 import { calculateBounds } from '../utils/geoUtils';
+import { authorizeMapRequest } from '../services/api';
 
 const MAPBOX_TOKEN = process.env.REACT_APP_MAPBOX_TOKEN;
 
-function MapView({ checkins, loading, viewportLoading, mapRef, onViewportChange, token }) {
+const ACTIVITY_LINE_COLOR = activityColorExpression();
+
+const HEATMAP_COLOR = [
+  'interpolate',
+  ['linear'],
+  ['heatmap-density'],
+  0, mapColors.heatmapTransparent,
+  0.2, mapColors.heatmapLow,
+  0.45, mapColors.heatmapMedium,
+  0.75, mapColors.heatmapHigh,
+  1, mapColors.heatmapPeak
+];
+
+const formatTrackDuration = (seconds) => {
+  if (!seconds) return 'N/A';
+  const hours = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
+};
+
+const formatTrackDistance = (meters) => {
+  if (!meters) return 'N/A';
+  return (meters / 1000).toFixed(1) + ' km';
+};
+
+function MapView({
+  checkins,
+  loading,
+  viewportLoading,
+  mapRef,
+  onViewportChange,
+  token,
+  activityTilesUrl,
+  showActivities = false,
+  onToggleActivities,
+  mapMode = 'clusters',
+  onMapModeChange,
+  heatmapData,
+  heatmapIncludeTracks = false,
+  onHeatmapIncludeTracksChange,
+  focus,
+  highlight,
+  onClearHighlight
+}) {
   const theme = useTheme();
+  const navigate = useNavigate();
   const [selectedVenue, setSelectedVenue] = useState(null);
+  const [selectedActivity, setSelectedActivity] = useState(null);
   const [showCheckinGrid, setShowCheckinGrid] = useState(false);
   const [activeTab, setActiveTab] = useState(0);
-  const [viewState, setViewState] = useState({
+  // A focus point (e.g. "show on map" from the photos page) replaces fitting the map to the check-ins
+  const [viewState, setViewState] = useState(() => focus || {
     longitude: 0,
     latitude: 20,
     zoom: 1.5
   });
-  const [isInitialLoad, setIsInitialLoad] = useState(true);
+  const [isInitialLoad, setIsInitialLoad] = useState(!focus);
+  const [playbackActive, setPlaybackActive] = useState(false);
+  const [playbackFrame, setPlaybackFrame] = useState(null);
 
   // Group check-ins by venue
   const venueGroups = useMemo(() => groupCheckinsByVenue(checkins), [checkins]);
@@ -31,6 +95,27 @@ function MapView({ checkins, loading, viewportLoading, mapRef, onViewportChange,
   // Convert venue groups to GeoJSON for clustering
   const checkinsGeoJSON = useMemo(() => toGeoJSON(venueGroups), [venueGroups]);
 
+  // Venues the copilot was asked to show, drawn above the other layers
+  const highlightGeoJSON = useMemo(() => highlightToGeoJSON(highlight?.venues), [highlight]);
+
+  // Normalize grid weights for the heatmap layer
+  const heatmapGeoJSON = useMemo(() => normalizeHeatmapWeights(heatmapData), [heatmapData]);
+
+  const isHeatmap = mapMode === 'heatmap';
+  // Time-lapse playback replaces the clusters/heatmap and activity tiles while active
+  const showClusters = !isHeatmap && !playbackActive;
+  const showActivityTiles = showActivities && !playbackActive;
+  const interactiveLayerIds = [
+    ...(showClusters ? ['clusters', 'unclustered-point'] : []),
+    ...(showActivityTiles ? ['activity-tracks'] : [])
+  ];
+
+  const handlePlaybackToggle = useCallback((active) => {
+    setSelectedVenue(null);
+    setSelectedActivity(null);
+    setPlaybackActive(active);
+  }, []);
+
   // Fit map to show all checkins on initial load only
   useEffect(() => {
     if (!mapRef.current || !checkins || checkins.length === 0) return;
@@ -52,6 +137,22 @@ function MapView({ checkins, loading, viewportLoading, mapRef, onViewportChange,
     setIsInitialLoad(false);
   }, [checkins, isInitialLoad, mapRef]);
 
+  // Fit the map to a copilot highlight when one is shown
+  useEffect(() => {
+    if (!mapRef.current || !highlight) return;
+
+    const bounds = calculateBounds(highlight.venues);
+    if (!bounds) return;
+
+    mapRef.current.fitBounds(bounds, {
+      padding: 80,
+      maxZoom: 14,
+      duration: 1000
+    });
+    // Check-ins loading must not refit the map over the highlight
+    setIsInitialLoad(false);
+  }, [highlight, mapRef]);
+
   // Handle clicks on unclustered points (individual venues)
   const handlePointClick = useCallback((event) => {
     const feature = event.features?.[0];
@@ -63,6 +164,7 @@ function MapView({ checkins, loading, viewportLoading, mapRef, onViewportChange,
     // Find full venue data
     const venue = venueGroups.find(v => v.venue_id === venueId);
     if (venue) {
+      setSelectedActivity(null);
       setSelectedVenue({
         ...venue,
         latitude,
@@ -71,6 +173,19 @@ function MapView({ checkins, loading, viewportLoading, mapRef, onViewportChange,
     }
   }, [venueGroups]);
 
+  // Handle clicks on activity tracks
+  const handleTrackClick = useCallback((event) => {
+    const feature = event.features?.[0];
+    if (!feature) return;
+
+    setSelectedVenue(null);
+    setSelectedActivity({
+      ...feature.properties,
+      longitude: event.lngLat.lng,
+      latitude: event.lngLat.lat
+    });
+  }, []);
+
   // Handle clicks on clusters (zoom in)
   const handleClusterClick = useCallback((event) => {
     const feature = event.features?.[0];
@@ -186,6 +301,10 @@ function MapView({ checkins, loading, viewportLoading, mapRef, onViewportChange,
           setViewState(evt.viewState);
           onViewportChange?.(evt.viewState);
         }}
+        onLoad={() => {
+          // Load the check-ins around a focus point, the map hasn't moved yet
+          if (focus) onViewportChange?.(viewState);
+        }}
         onClick={(e) => {
           const features = e.features;
           if (!features || features.length === 0) return;
@@ -195,90 +314,206 @@ function MapView({ checkins, loading, viewportLoading, mapRef, onViewportChange,
             handleClusterClick(e);
           } else if (feature.layer.id === 'unclustered-point') {
             handlePointClick(e);
+          } else if (feature.layer.id === 'activity-tracks') {
+            handleTrackClick(e);
           }
         }}
-        interactiveLayerIds={['clusters', 'unclustered-point']}
+        interactiveLayerIds={interactiveLayerIds}
         cursor="pointer"
         mapStyle={mapStyle}
         mapboxAccessToken={MAPBOX_TOKEN}
+        transformRequest={authorizeMapRequest}
         style={{ width: '100%', height: '100%' }}
       >
+        {/* Activity tracklogs (rendered below check-in points) */}
+        {showActivityTiles && activityTilesUrl && (
+          <Source
+            key={activityTilesUrl}
+            id="activity-tracks"
+            type="vector"
+            tiles={[activityTilesUrl]}
+            minzoom={0}
+            maxzoom={14}
+          >
+            <Layer
+              id="activity-tracks"
+              type="line"
+              source-layer="activities"
+              layout={{
+                'line-join': 'round',
+                'line-cap': 'round'
+              }}
+              paint={{
+                'line-color': ACTIVITY_LINE_COLOR,
+                'line-width': ['interpolate', ['linear'], ['zoom'], 4, 1.5, 12, 3, 16, 5],
+                'line-opacity': 0.8
+              }}
+            />
+          </Source>
+        )}
+
+        {/* Heatmap of pre-aggregated check-in (and track) density */}
+        {isHeatmap && !playbackActive && (
+          <Source id="heatmap" type="geojson" data={heatmapGeoJSON}>
+            <Layer
+              id="heatmap"
+              type="heatmap"
+              paint={{
+                'heatmap-weight': ['get', 'intensity'],
+                'heatmap-intensity': ['interpolate', ['linear'], ['zoom'], 0, 1, 15, 3],
+                'heatmap-color': HEATMAP_COLOR,
+                'heatmap-radius': ['interpolate', ['linear'], ['zoom'], 0, 6, 6, 14, 12, 22, 16, 30],
+                'heatmap-opacity': 0.85
+              }}
+            />
+          </Source>
+        )}
+
+        {/* Time-lapse playback: tracks and check-ins inside the trailing window, fading with age */}
+        {playbackActive && playbackFrame?.tracks && (
+          <Source id="playback-tracks" type="geojson" data={playbackFrame.tracks}>
+            <Layer
+              id="playback-tracks"
+              type="line"
+              layout={{
+                'line-join': 'round',
+                'line-cap': 'round'
+              }}
+              paint={{
+                'line-color': ACTIVITY_LINE_COLOR,
+                'line-width': ['interpolate', ['linear'], ['zoom'], 4, 1.5, 12, 3, 16, 5],
+                'line-opacity': ['*', 0.9, ['get', 'fade']]
+              }}
+            />
+          </Source>
+        )}
+
+        {playbackActive && playbackFrame && (
+          <Source id="playback-checkins" type="geojson" data={playbackFrame.checkins}>
+            <Layer
+              id="playback-checkins"
+              type="circle"
+              paint={{
+                'circle-color': [
+                  'interpolate',
+                  ['linear'],
+                  ['get', 'fade'],
+                  0, mapColors.playbackTrail,
+                  1, mapColors.playbackHead
+                ],
+                'circle-radius': ['interpolate', ['linear'], ['get', 'fade'], 0, 3, 1, 8],
+                'circle-opacity': ['get', 'fade'],
+                'circle-stroke-width': 1,
+                'circle-stroke-color': mapColors.stroke,
+                'circle-stroke-opacity': ['get', 'fade']
+              }}
+            />
+          </Source>
+        )}
+
         {/* Clustering source */}
-        <Source
-          id="checkins"
-          type="geojson"
-          data={checkinsGeoJSON}
-          cluster={true}
-          clusterMaxZoom={6}
-          clusterRadius={50}
-        >
-          {/* Cluster circles */}
-          <Layer
-            id="clusters"
-            type="circle"
-            filter={['has', 'point_count']}
-            paint={{
-              'circle-color': [
-                'step',
-                ['get', 'point_count'],
-                mapColors.clusterLow,
-                100,
-                mapColors.clusterMedium,
-                750,
-                mapColors.clusterHigh
-              ],
-              'circle-radius': [
-                'step',
-                ['get', 'point_count'],
-                20,
-                100,
-                30,
-                750,
-                40
-              ]
-            }}
-          />
+        {showClusters && (
+          <Source
+            id="checkins"
+            type="geojson"
+            data={checkinsGeoJSON}
+            cluster={true}
+            clusterMaxZoom={6}
+            clusterRadius={50}
+          >
+            {/* Cluster circles */}
+            <Layer
+              id="clusters"
+              type="circle"
+              filter={['has', 'point_count']}
+              paint={{
+                'circle-color': [
+                  'step',
+                  ['get', 'point_count'],
+                  mapColors.clusterLow,
+                  100,
+                  mapColors.clusterMedium,
+                  750,
+                  mapColors.clusterHigh
+                ],
+                'circle-radius': [
+                  'step',
+                  ['get', 'point_count'],
+                  20,
+                  100,
+                  30,
+                  750,
+                  40
+                ]
+              }}
+            />
 
-          {/* Cluster count labels */}
-          <Layer
-            id="cluster-count"
-            type="symbol"
-            filter={['has', 'point_count']}
-            layout={{
-              'text-field': '{point_count_abbreviated}',
-              'text-size': 12,
-              'text-font': ['DIN Offc Pro Medium', 'Arial Unicode MS Bold']
-            }}
-            paint={{
-              'text-color': mapColors.text
-            }}
-          />
+            {/* Cluster count labels */}
+            <Layer
+              id="cluster-count"
+              type="symbol"
+              filter={['has', 'point_count']}
+              layout={{
+                'text-field': '{point_count_abbreviated}',
+                'text-size': 12,
+                'text-font': ['DIN Offc Pro Medium', 'Arial Unicode MS Bold']
+              }}
+              paint={{
+                'text-color': mapColors.text
+              }}
+            />
 
-          {/* Individual unclustered points */}
-          <Layer
-            id="unclustered-point"
-            type="circle"
-            filter={['!', ['has', 'point_count']]}
-            paint={{
-              'circle-color': [
-                'match',
-                ['get', 'category'],
-                'Restaurant', CATEGORY_COLORS['Restaurant'],
-                'Bar', CATEGORY_COLORS['Bar'],
-                'Café', CATEGORY_COLORS['Café'],
-                'Coffee Shop', CATEGORY_COLORS['Coffee Shop'],
-                'Museum', CATEGORY_COLORS['Museum'],
-                'Park', CATEGORY_COLORS['Park'],
-                'Hotel', CATEGORY_COLORS['Hotel'],
-                'Shop', CATEGORY_COLORS['Shop'],
-                CATEGORY_COLORS['Unknown'] // default
-              ],
-              'circle-radius': 8,
-              'circle-stroke-width': 2,
-              'circle-stroke-color': mapColors.stroke
-            }}
-          />
-        </Source>
+            {/* Individual unclustered points */}
+            <Layer
+              id="unclustered-point"
+              type="circle"
+              filter={['!', ['has', 'point_count']]}
+              paint={{
+                'circle-color': [
+                  'match',
+                  ['get', 'category'],
+                  'Restaurant', CATEGORY_COLORS['Restaurant'],
+                  'Bar', CATEGORY_COLORS['Bar'],
+                  'Café', CATEGORY_COLORS['Café'],
+                  'Coffee Shop', CATEGORY_COLORS['Coffee Shop'],
+                  'Museum', CATEGORY_COLORS['Museum'],
+                  'Park', CATEGORY_COLORS['Park'],
+                  'Hotel', CATEGORY_COLORS['Hotel'],
+                  'Shop', CATEGORY_COLORS['Shop'],
+                  CATEGORY_COLORS['Unknown'] // default
+                ],
+                'circle-radius': 8,
+                'circle-stroke-width': 2,
+                'circle-stroke-color': mapColors.stroke
+              }}
+            />
+          </Source>
+        )}
+
+        {/* Copilot highlight */}
+        {highlight && (
+          <Source id="copilot-highlight" type="geojson" data={highlightGeoJSON}>
+            <Layer
+              id="copilot-highlight-halo"
+              type="circle"
+              paint={{
+                'circle-color': mapColors.copilotHighlight,
+                'circle-radius': 16,
+                'circle-opacity': 0.25
+              }}
+            />
+            <Layer
+              id="copilot-highlight"
+              type="circle"
+              paint={{
+                'circle-color': mapColors.copilotHighlight,
+                'circle-radius': 7,
+                'circle-stroke-width': 2,
+                'circle-stroke-color': mapColors.stroke
+              }}
+            />
+          </Source>
+        )}
 
         {selectedVenue && (
           <Popup
@@ -339,11 +574,224 @@ function MapView({ checkins, loading, viewportLoading, mapRef, onViewportChange,
                 <CalendarBlank size={16} style={{ marginRight: 4 }} />
                 View all check-in dates
               </Link>
+              {selectedVenue.venue_id && (
+                <Link
+                  component="button"
+                  variant="caption"
+                  onClick={() => navigate(`/venues/${encodeURIComponent(selectedVenue.venue_id)}`)}
+                  sx={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: 0.5,
+                    cursor: 'pointer',
+                    mt: 1
+                  }}
+                >
+                  <ArrowSquareOut size={16} style={{ marginRight: 4 }} />
+                  Open venue page
+                </Link>
+              )}
+            </Box>
+          </Popup>
+        )}
+
+        {selectedActivity && (
+          <Popup
+            longitude={selectedActivity.longitude}
+            latitude={selectedActivity.latitude}
+            anchor="bottom"
+            onClose={() => setSelectedActivity(null)}
+            closeOnClick={false}
+          >
+            <Box sx={{ p: 1, minWidth: 220 }}>
+              <Typography variant="subtitle1" fontWeight="bold">
+                {selectedActivity.activity_name || 'Activity'}
+              </Typography>
+              <Chip
+                label={selectedActivity.activity_type || 'Activity'}
+                size="small"
+                sx={{
+                  mt: 1,
+                  mb: 1,
+                  bgcolor: getActivityColor(selectedActivity.activity_type),
+                  color: 'white'
+                }}
+              />
+              <Typography variant="body2" color="text.secondary">
+                {formatDateTimeInLocalZone(selectedActivity.start_time, selectedActivity.timezone)}
+              </Typography>
+              <Typography variant="body2" sx={{ mt: 1 }}>
+                {formatTrackDistance(selectedActivity.distance_meters)} · {formatTrackDuration(selectedActivity.duration_seconds)}
+              </Typography>
+              <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5, mt: 1.5 }}>
+                {selectedActivity.url && (
+                  <Link
+                    href={selectedActivity.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    variant="caption"
+                    sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}
+                  >
+                    View on {selectedActivity.source === 'garmin' ? 'Garmin' : 'Strava'}
+                    <ArrowSquareOut size={14} />
+                  </Link>
+                )}
+                <Link
+                  component="button"
+                  variant="caption"
+                  onClick={() => {
+                    navigate(`/day-in-life/${getLocalDateKey(selectedActivity.start_time, selectedActivity.timezone)}`);
+                  }}
+                  sx={{ display: 'flex', alignItems: 'center', gap: 0.5, cursor: 'pointer' }}
+                >
+                  <CalendarBlank size={14} />
+                  Open day in the life
+                </Link>
+              </Box>
             </Box>
           </Popup>
         )}
       </Map>
 
+      {/* Layer toggles */}
+      {(onMapModeChange || onToggleActivities || token) && (
+        <Box
+          sx={{
+            position: 'absolute',
+            top: 16,
+            left: 16,
+            bgcolor: 'background.paper',
+            px: 1.5,
+            py: 1,
+            borderRadius: 1,
+            boxShadow: 2,
+            zIndex: 1000,
+            display: 'flex',
+            flexDirection: 'column',
+            gap: 0.5
+          }}
+        >
+          {onMapModeChange && (
+            <ToggleButtonGroup
+              size="small"
+              exclusive
+              value={mapMode}
+              onChange={(e, value) => {
+                if (!value) return;
+                setSelectedVenue(null);
+                onMapModeChange(value);
+              }}
+            >
+              <ToggleButton value="clusters" sx={{ gap: 0.5 }}>
+                <CirclesThree size={16} />
+                Clusters
+              </ToggleButton>
+              <ToggleButton value="heatmap" sx={{ gap: 0.5 }}>
+                <Fire size={16} />
+                Heatmap
+              </ToggleButton>
+            </ToggleButtonGroup>
+          )}
+          {onToggleActivities && (
+            <FormControlLabel
+              control={
+                <Switch
+                  size="small"
+                  checked={showActivities}
+                  onChange={(e) => {
+                    if (!e.target.checked) setSelectedActivity(null);
+                    onToggleActivities(e.target.checked);
+                  }}
+                />
+              }
+              label={
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                  <Path size={16} />
+                  <Typography variant="body2">Activities</Typography>
+                </Box>
+              }
+            />
+          )}
+          {isHeatmap && onHeatmapIncludeTracksChange && (
+            <FormControlLabel
+              control={
+                <Switch
+                  size="small"
+                  checked={heatmapIncludeTracks}
+                  onChange={(e) => onHeatmapIncludeTracksChange(e.target.checked)}
+                />
+              }
+              label={<Typography variant="body2">Blend activity tracks</Typography>}
+            />
+          )}
+          {token && (
+            <FormControlLabel
+              control={
+                <Switch
+                  size="small"
+                  checked={playbackActive}
+                  onChange={(e) => handlePlaybackToggle(e.target.checked)}
+                />
+              }
+              label={
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                  <ClockCounterClockwise size={16} />
+                  <Typography variant="body2">Time-lapse</Typography>
+                </Box>
+              }
+            />
+          )}
+        </Box>
+      )}
+
+      {/* What the copilot highlight shows, and clearing it */}
+      {highlight && (
+        <Box
+          sx={{
+            position: 'absolute',
+            top: 16,
+            left: '50%',
+            transform: 'translateX(-50%)',
+            zIndex: 1000,
+            maxWidth: '60%'
+          }}
+        >
+          <Chip
+            icon={<MapPin size={16} />}
+            label={`${highlight.title || 'From the copilot'} · ${highlight.venues.length} ${highlight.venues.length === 1 ? 'place' : 'places'}`}
+            onDelete={onClearHighlight}
+            deleteIcon={<X size={16} />}
+            sx={{
+              bgcolor: 'background.paper',
+              boxShadow: 2,
+              border: 1,
+              borderColor: mapColors.copilotHighlight,
+              maxWidth: '100%'
+            }}
+          />
+        </Box>
+      )}
+
+      {/* Time-lapse playback control */}
+      {playbackActive && (
+        <Box
+          sx={{
+            position: 'absolute',
+            bottom: 16,
+            left: '50%',
+            transform: 'translateX(-50%)',
+            zIndex: 1000
+          }}
+        >
+          <PlaybackControl
+            token={token}
+            onFrameChange={setPlaybackFrame}
+            onClose={() => handlePlaybackToggle(false)}
+            defaultIncludeTracks={showActivities}
+          />
+        </Box>
+      )}
+
       {/* Legend */}
       <Box
         sx={{
@@ -358,15 +806,50 @@ function MapView({ checkins, loading, viewportLoading, mapRef, onViewportChange,
           overflowY: 'auto'
         }}
       >
-        <Typography variant="caption" fontWeight="bold" display="block" mb={1}>
-          Categories
-        </Typography>
-        {Object.entries(CATEGORY_COLORS).map(([category, color]) => (
-          <Box key={category} sx={{ display: 'flex', alignItems: 'center', mb: 0.5 }}>
-            <MapPin size={16} color={color} style={{ marginRight: 8 }} />
-            <Typography variant="caption">{category}</Typography>
-          </Box>
-        ))}
+        {isHeatmap ? (
+          <>
+            <Typography variant="caption" fontWeight="bold" display="block" mb={1}>
+              Density
+            </Typography>
+            <Box
+              sx={{
+                width: 120,
+                height: 8,
+                borderRadius: 1,
+                background: `linear-gradient(to right, ${mapColors.heatmapLow}, ${mapColors.heatmapMedium}, ${mapColors.heatmapHigh}, ${mapColors.heatmapPeak})`
+              }}
+            />
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 0.5 }}>
+              <Typography variant="caption" color="text.secondary">Less</Typography>
+              <Typography variant="caption" color="text.secondary">More</Typography>
+            </Box>
+          </>
+        ) : (
+          <>
+            <Typography variant="caption" fontWeight="bold" display="block" mb={1}>
+              Categories
+            </Typography>
+            {Object.entries(CATEGORY_COLORS).map(([category, color]) => (
+              <Box key={category} sx={{ display: 'flex', alignItems: 'center', mb: 0.5 }}>
+                <MapPin size={16} color={color} style={{ marginRight: 8 }} />
+                <Typography variant="caption">{category}</Typography>
+              </Box>
+            ))}
+          </>
+        )}
+        {showActivities && (
+          <>
+            <Typography variant="caption" fontWeight="bold" display="block" mt={1.5} mb={1}>
+              Activities
+            </Typography>
+            {Object.entries(ACTIVITY_COLORS).map(([group, color]) => (
+              <Box key={group} sx={{ display: 'flex', alignItems: 'center', mb: 0.5 }}>
+                <Box sx={{ width: 16, height: 3, bgcolor: color, borderRadius: 1, mr: 1 }} />
+                <Typography variant="caption" sx={{ textTransform: 'capitalize' }}>{group}</Typography>
+              </Box>
+            ))}
+          </>
+        )}
       </Box>
 
       {/* Check-in Grid Modal */}
@@ -490,7 +973,33 @@ MapView.propTypes = {
     current: PropTypes.any
   }).isRequired,
   onViewportChange: PropTypes.func,
-  token: PropTypes.string
+  token: PropTypes.string,
+  activityTilesUrl: PropTypes.string,
+  showActivities: PropTypes.bool,
+  onToggleActivities: PropTypes.func,
+  mapMode: PropTypes.oneOf(['clusters', 'heatmap']),
+  onMapModeChange: PropTypes.func,
+  heatmapData: PropTypes.shape({
+    type: PropTypes.string,
+    features: PropTypes.array
+  }),
+  heatmapIncludeTracks: PropTypes.bool,
+  onHeatmapIncludeTracksChange: PropTypes.func,
+  focus: PropTypes.shape({
+    longitude: PropTypes.number.isRequired,
+    latitude: PropTypes.number.isRequired,
+    zoom: PropTypes.number.isRequired
+  }),
+  highlight: PropTypes.shape({
+    title: PropTypes.string,
+    venues: PropTypes.arrayOf(PropTypes.shape({
+      venueId: PropTypes.string,
+      venueName: PropTypes.string,
+      latitude: PropTypes.number.isRequired,
+      longitude: PropTypes.number.isRequired
+    })).isRequired
+  }),
+  onClearHighlight: PropTypes.func
 };
 
 // GitHub-style contribution grid component - showing weeks instead of days
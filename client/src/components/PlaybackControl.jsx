@@ -0,0 +1,305 @@
+import React, { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Box, Typography, IconButton, Slider, Select, MenuItem, Switch, FormControlLabel, LinearProgress
+} from '@mui/material';
+import { DatePicker } from '@mui/x-date-pickers/DatePicker';
+import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
+import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
+import { Play, Pause, X, Path } from '@phosphor-icons/react';
+import { streamCheckins, getActivityTracks } from '../services/api';
+import {
+  PLAYBACK_SPEEDS,
+  DEFAULT_PLAYBACK_SPEED,
+  getDefaultPlaybackRange,
+  getTrailDuration,
+  advancePlayback,
+  buildPlaybackFrame,
+  buildTrackFrame
+} from '../utils/playbackUtils';
+
+const CHUNK_SIZE = 2000;
+
+// Tracks are only drawn as a fading overlay, so a coarse simplification is enough
+const TRACK_ZOOM = 8;
+const TRACK_LIMIT = 2000;
+
+const isValidDate = (date) => date instanceof Date && !isNaN(date.getTime());
+
+const formatPlaybackDate = (time) => new Date(time).toLocaleDateString(undefined, {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * Time-lapse playback of check-ins (and optionally activity tracks).
+ * Streams the selected range oldest first and reports the visible frame to the
+ * map through onFrameChange; playback never runs ahead of the loaded data.
+ */
+function PlaybackControl({ token, onFrameChange, onClose, defaultIncludeTracks = false }) {
+  const [range, setRange] = useState(() => getDefaultPlaybackRange());
+  const [speed, setSpeed] = useState(DEFAULT_PLAYBACK_SPEED);
+  const [includeTracks, setIncludeTracks] = useState(Boolean(token) && defaultIncludeTracks);
+  const [playing, setPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(() => range.start.getTime());
+  const [progress, setProgress] = useState({ loaded: 0, total: 0, done: false });
+  const [error, setError] = useState(null);
+
+  const checkinsRef = useRef([]);
+  const timesRef = useRef([]);
+  const tracksRef = useRef(new Map());
+  const loadedUntilRef = useRef(0);
+
+  const startTime = range.start.getTime();
+  const endTime = range.end.getTime();
+
+  // Stream the selected range in time-ordered chunks
+  useEffect(() => {
+    const controller = new AbortController();
+    const startDate = new Date(startTime).toISOString();
+    const endDate = new Date(endTime).toISOString();
+
+    checkinsRef.current = [];
+    timesRef.current = [];
+    tracksRef.current = new Map();
+    loadedUntilRef.current = startTime;
+    setProgress({ loaded: 0, total: 0, done: false });
+    setCurrentTime(startTime);
+    setPlaying(false);
+    setError(null);
+
+    // Tracks are loaded for the same time window as each check-in chunk
+    let trackWindowStart = startDate;
+    const loadTracks = async (windowEnd) => {
+      const tracks = await getActivityTracks({
+        token,
+        startDate: trackWindowStart,
+        endDate: windowEnd,
+        zoom: TRACK_ZOOM,
+        limit: TRACK_LIMIT
+      });
+      if (controller.signal.aborted) return;
+
+      tracks.features.forEach(feature => tracksRef.current.set(feature.id, feature));
+      trackWindowStart = windowEnd;
+    };
+
+    const load = async () => {
+      try {
+        await streamCheckins(
+          { token, startDate, endDate },
+          async (chunk, { loaded, total }) => {
+            chunk.forEach(checkin => {
+              checkinsRef.current.push(checkin);
+              timesRef.current.push(new Date(checkin.checkin_date).getTime());
+            });
+
+            const lastTime = timesRef.current[timesRef.current.length - 1];
+            if (includeTracks && loaded < total && lastTime !== undefined) {
+              await loadTracks(new Date(lastTime).toISOString());
+            }
+
+            if (lastTime !== undefined) loadedUntilRef.current = lastTime;
+            setProgress({ loaded, total, done: false });
+          },
+          { chunkSize: CHUNK_SIZE, signal: controller.signal }
+        );
+
+        if (includeTracks && !controller.signal.aborted) {
+          await loadTracks(endDate);
+        }
+
+        if (controller.signal.aborted) return;
+        loadedUntilRef.current = endTime;
+        setProgress(prev => ({ ...prev, done: true }));
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error('Error loading playback data:', err);
+        setError('Failed to load check-ins for playback.');
+      }
+    };
+
+    load();
+
+    return () => controller.abort();
+  }, [token, startTime, endTime, includeTracks]);
+
+  // Advance the clock once per animation frame, waiting for data that hasn't loaded yet
+  useEffect(() => {
+    if (!playing) return;
+
+    let frameId;
+    let lastTimestamp = null;
+
+    const tick = (timestamp) => {
+      if (lastTimestamp !== null) {
+        const elapsed = timestamp - lastTimestamp;
+        setCurrentTime(time => {
+          const next = advancePlayback(time, elapsed, speed, endTime);
+          return Math.max(time, Math.min(next, loadedUntilRef.current));
+        });
+      }
+      lastTimestamp = timestamp;
+      frameId = requestAnimationFrame(tick);
+    };
+
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [playing, speed, endTime]);
+
+  useEffect(() => {
+    if (playing && currentTime >= endTime) {
+      setPlaying(false);
+    }
+  }, [playing, currentTime, endTime]);
+
+  // Report the visible frame to the map
+  useEffect(() => {
+    const trail = getTrailDuration(speed);
+    onFrameChange({
+      checkins: buildPlaybackFrame(checkinsRef.current, timesRef.current, currentTime, trail),
+      tracks: includeTracks ? buildTrackFrame([...tracksRef.current.values()], currentTime, trail) : null
+    });
+  }, [currentTime, speed, includeTracks, progress, onFrameChange]);
+
+  useEffect(() => () => onFrameChange(null), [onFrameChange]);
+
+  const handlePlayPause = () => {
+    if (!playing && currentTime >= endTime) {
+      setCurrentTime(startTime);
+    }
+    setPlaying(!playing);
+  };
+
+  const handleRangeChange = (key, value) => {
+    if (!isValidDate(value)) return;
+
+    const date = new Date(value);
+    if (key === 'start') {
+      date.setHours(0, 0, 0, 0);
+    } else {
+      date.setHours(23, 59, 59, 999);
+    }
+
+    const next = { ...range, [key]: date };
+    if (next.start < next.end) {
+      setRange(next);
+    }
+  };
+
+  const buffering = playing && !progress.done && currentTime >= loadedUntilRef.current;
+
+  return (
+    <LocalizationProvider dateAdapter={AdapterDateFns}>
+      <Box
+        sx={{
+          bgcolor: 'background.paper',
+          borderRadius: 1,
+          boxShadow: 3,
+          px: 2,
+          py: 1.5,
+          width: 'min(720px, calc(100vw - 32px))',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: 1
+        }}
+      >
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
+          <IconButton
+            onClick={handlePlayPause}
+            color="primary"
+            aria-label={playing ? 'Pause' : 'Play'}
+          >
+            {playing ? <Pause size={24} weight="fill" /> : <Play size={24} weight="fill" />}
+          </IconButton>
+          <Typography variant="body2" fontWeight="bold" sx={{ minWidth: 110 }}>
+            {formatPlaybackDate(currentTime)}
+          </Typography>
+          <Slider
+            size="small"
+            min={startTime}
+            max={endTime}
+            step={60 * 60 * 1000}
+            value={Math.min(Math.max(currentTime, startTime), endTime)}
+            onChange={(e, value) => setCurrentTime(value)}
+            valueLabelDisplay="auto"
+            valueLabelFormat={formatPlaybackDate}
+            aria-label="Playback position"
+            sx={{ flex: 1 }}
+          />
+          <Select
+            size="small"
+            value={speed}
+            onChange={(e) => setSpeed(e.target.value)}
+            aria-label="Playback speed"
+          >
+            {PLAYBACK_SPEEDS.map(option => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </Select>
+          <IconButton size="small" onClick={onClose} aria-label="Close time-lapse">
+            <X size={18} />
+          </IconButton>
+        </Box>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, flexWrap: 'wrap' }}>
+          <DatePicker
+            label="From"
+            value={range.start}
+            onChange={(value) => handleRangeChange('start', value)}
+            maxDate={range.end}
+            slotProps={{ textField: { size: 'small', sx: { width: 170 } } }}
+          />
+          <DatePicker
+            label="To"
+            value={range.end}
+            onChange={(value) => handleRangeChange('end', value)}
+            minDate={range.start}
+            slotProps={{ textField: { size: 'small', sx: { width: 170 } } }}
+          />
+          {token && (
+            <FormControlLabel
+              control={
+                <Switch
+                  size="small"
+                  checked={includeTracks}
+                  onChange={(e) => setIncludeTracks(e.target.checked)}
+                />
+              }
+              label={
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                  <Path size={16} />
+                  <Typography variant="body2">Tracks</Typography>
+                </Box>
+              }
+            />
+          )}
+          <Typography variant="caption" color={error ? 'error' : 'text.secondary'} sx={{ ml: 'auto' }}>
+            {error || (progress.done
+              ? `${progress.total.toLocaleString()} check-ins`
+              : `Loading ${progress.loaded.toLocaleString()}${progress.total ? ` of ${progress.total.toLocaleString()}` : ''}${buffering ? ' · buffering' : ''}`)}
+          </Typography>
+        </Box>
+
+        {!progress.done && !error && (
+          <LinearProgress
+            variant={progress.total ? 'determinate' : 'indeterminate'}
+            value={progress.total ? (progress.loaded / progress.total) * 100 : 0}
+          />
+        )}
+      </Box>
+    </LocalizationProvider>
+  );
+}
+
+PlaybackControl.propTypes = {
+  token: PropTypes.string,
+  onFrameChange: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  defaultIncludeTracks: PropTypes.bool
+};
+
+export default PlaybackControl;
@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Chip,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { CopySimple, Devices, SignOut } from '@phosphor-icons/react';
+import { getSessions, revokeSession, signOutEverywhere, logout } from '../services/api';
+import { storeSession, clearStoredSession } from '../utils/authSession';
+
+/**
+ * Short browser and OS description from a user agent string
+ */
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => userAgent.includes(name));
+  const os = ['Android', 'iPhone', 'iPad', 'Mac OS', 'Windows', 'Linux'].find(name => userAgent.includes(name));
+  if (!browser && !os) return userAgent.slice(0, 60);
+
+  const browserName = browser === 'Edg' ? 'Edge' : browser;
+  return [browserName, os && `on ${os === 'Mac OS' ? 'macOS' : os}`].filter(Boolean).join(' ');
+};
+
+/**
+ * Signed-in devices, with sign out per device and everywhere
+ * @param {string} token - Auth token
+ * @param {Function} onError - Called with a message when something fails
+ * @param {Function} onSuccess - Called with a message when something succeeds
+ */
+const SessionsCard = ({ token, onError, onSuccess }) => {
+  const theme = useTheme();
+  const [sessions, setSessions] = useState([]);
+  const [confirmOpen, setConfirmOpen] = useState(false);
+  const [signingOut, setSigningOut] = useState(false);
+  const [loginUrl, setLoginUrl] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    if (!token) return;
+    try {
+      setSessions(await getSessions(token));
+    } catch (error) {
+      console.error('Failed to fetch sessions:', error);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      await revokeSession(sessionId, token);
+      setSessions(current => current.filter(session => session.id !== sessionId));
+      onSuccess('Signed out the session');
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      onError('Failed to sign out the session');
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await logout(token);
+    } catch (error) {
+      // Signed out locally either way
+      console.error('Logout error:', error);
+    }
+    clearStoredSession();
+    window.location.assign('/');
+  };
+
+  const handleSignOutEverywhere = async () => {
+    setSigningOut(true);
+    try {
+      const result = await signOutEverywhere(token);
+      // This browser gets a fresh session, every other one is signed out
+      storeSession(result.session);
+      setLoginUrl(`${window.location.origin}/?token=${result.loginToken}`);
+      setConfirmOpen(false);
+      onSuccess(`Signed out ${result.revoked} sessions`);
+      fetchSessions();
+    } catch (error) {
+      console.error('Sign out everywhere error:', error);
+      onError('Failed to sign out everywhere');
+    } finally {
+      setSigningOut(false);
+    }
+  };
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(loginUrl);
+    onSuccess('Login link copied to clipboard!');
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 4 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+        <Devices size={24} weight="regular" style={{ marginRight: 8, color: theme.palette.primary.main }} />
+        <Typography variant="h6">Signed-in Devices</Typography>
+      </Box>
+      <Typography variant="body2" color="text.secondary">
+        Each device stays signed in for 30 days after it was last used. Sign out devices you don't
+        recognize, or sign out everywhere to also replace your login link.
+      </Typography>
+
+      <List dense>
+        {sessions.map(session => (
+          <ListItem
+            key={session.id}
+            disableGutters
+            secondaryAction={!session.current && (
+              <IconButton edge="end" onClick={() => handleRevoke(session.id)} title="Sign out">
+                <SignOut size={20} />
+              </IconButton>
+            )}
+          >
+            <ListItemText
+              primary={
+                <Box component="span" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  {describeUserAgent(session.userAgent)}
+                  {session.current && <Chip label="This device" size="small" color="primary" />}
+                </Box>
+              }
+              secondary={[
+                `Last active ${new Date(session.lastUsedAt).toLocaleString()}`,
+                session.ipAddress
+              ].filter(Boolean).join(' · ')}
+            />
+          </ListItem>
+        ))}
+      </List>
+
+      {loginUrl && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          <Typography variant="body2" gutterBottom>
+            Your new login link, shown only once. Save it to sign in on other devices:
+          </Typography>
+          <Box sx={{ display: 'flex', alignItems: 'center' }}>
+            <Typography
+              variant="body2"
+              sx={{ fontFamily: theme.typography.fontFamilyMono, flex: 1, wordBreak: 'break-all' }}
+            >
+              {loginUrl}
+            </Typography>
+            <IconButton onClick={handleCopy} size="small">
+              <CopySimple size={20} />
+            </IconButton>
+          </Box>
+        </Alert>
+      )}
+
+      <Box display="flex" gap={1}>
+        <Button variant="outlined" startIcon={<SignOut size={20} />} onClick={handleLogout}>
+          Sign Out
+        </Button>
+        <Button variant="outlined" color="error" onClick={() => setConfirmOpen(true)}>
+          Sign Out Everywhere
+        </Button>
+      </Box>
+
+      <Dialog open={confirmOpen} onClose={() => !signingOut && setConfirmOpen(false)}>
+        <DialogTitle>Sign out everywhere?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Every other device is signed out and your old login link stops working. You get a new
+            login link, and this device stays signed in.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmOpen(false)} disabled={signingOut}>
+            Cancel
+          </Button>
+          <Button color="error" variant="contained" onClick={handleSignOutEverywhere} disabled={signingOut}>
+            {signingOut ? 'Signing out...' : 'Sign Out Everywhere'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default SessionsCard;
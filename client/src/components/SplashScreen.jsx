@@ -1,9 +1,64 @@
 import React, { useState, useEffect } from 'react';
 import { Box, TextField, Button, Typography, CircularProgress, Alert } from '@mui/material';
 import { useTheme } from '@mui/material/styles';
-import { validateToken } from '../services/api';
+import { validateToken, createSession } from '../services/api';
+import {
+  getStoredSession,
+  storeSession,
+  clearStoredSession,
+  isAccessToken,
+  parseSessionFragment
+} from '../utils/authSession';
 
-const SplashScreen = ({ onTokenValidated }) => {
+/**
+ * Remove sign-in tokens from the address bar, so they don't end up in
+ * history, bookmarks or screenshots
+ */
+const removeTokensFromUrl = () => {
+  const url = new URL(window.location.href);
+  url.searchParams.delete('token');
+  if (parseSessionFragment(url.hash)) {
+    url.hash = '';
+  }
+  window.history.replaceState(window.history.state, '', url.toString());
+};
+
+/**
+ * Sign in with whatever credentials this page load brought along
+ * - a session in the URL fragment, handed over after connecting Foursquare
+ * - a login link token in ?token=, exchanged for a session
+ * - a stored session
+ * - a stored login link token from before sessions, exchanged for a session
+ * @returns {Promise<string|null>} Access token, null when there's nothing to sign in with
+ */
+const resumeSession = async () => {
+  const fragmentSession = parseSessionFragment(window.location.hash);
+  const urlToken = new URLSearchParams(window.location.search).get('token');
+  removeTokensFromUrl();
+
+  if (fragmentSession) {
+    storeSession(fragmentSession);
+  }
+
+  const loginToken = urlToken || (!getStoredSession() && localStorage.getItem('authToken'));
+  if (loginToken && !isAccessToken(loginToken)) {
+    storeSession(await createSession(loginToken));
+  }
+
+  const session = getStoredSession();
+  if (!session) return null;
+
+  // Refreshes the session first when it has expired
+  await validateToken(session.accessToken);
+  return getStoredSession()?.accessToken || null;
+};
+
+/**
+ * Intro animation that signs the user in
+ * @param {Function} onTokenValidated - Called with the access token once signed in, null to skip
+ * @param {Function} onDone - Called once the splash has faded out
+ */
+const SplashScreen = ({ onTokenValidated, onDone }) => {
   const theme = useTheme();
   const [showTokenInput, setShowTokenInput] = useState(false);
   const [token, setToken] = useState('');
@@ -17,16 +72,7 @@ const SplashScreen = ({ onTokenValidated }) => {
     const timer1 = setTimeout(() => setAnimationPhase(1), 500);
     const timer2 = setTimeout(() => setAnimationPhase(2), 1200);
 
-    // Check for token in URL or localStorage
-    const urlParams = new URLSearchParams(window.location.search);
-    const urlToken = urlParams.get('token');
-    const storedToken = localStorage.getItem('authToken');
-
-    if (urlToken || storedToken) {
-      validateExistingToken(urlToken || storedToken);
-    } else {
-      setTimeout(() => setShowTokenInput(true), 2000);
-    }
+    resumeExistingSession();
 
     return () => {
       clearTimeout(timer1);
@@ -35,15 +81,23 @@ const SplashScreen = ({ onTokenValidated }) => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  const validateExistingToken = async (tokenToValidate) => {
+  const resumeExistingSession = async () => {
     try {
       setIsValidating(true);
-      await validateToken(tokenToValidate);
+      const accessToken = await resumeSession();
+
+      if (!accessToken) {
+        setIsValidating(false);
+        setTimeout(() => setShowTokenInput(true), 2000);
+        return;
+      }
+
+      onTokenValidated(accessToken);
       setTimeout(() => setFadeOut(true), 2000);
-      setTimeout(() => onTokenValidated(tokenToValidate), 2300);
+      setTimeout(onDone, 2300);
     } catch (err) {
-      localStorage.removeItem('authToken');
-      setError('Your token is invalid or expired. Please enter a new one.');
+      clearStoredSession();
+      setError('Your session has expired or your login link is no longer valid. Please enter a new one.');
       setShowTokenInput(true);
       setIsValidating(false);
     }
@@ -58,10 +112,11 @@ const SplashScreen = ({ onTokenValidated }) => {
     try {
       setIsValidating(true);
       setError('');
-      await validateToken(token);
-      localStorage.setItem('authToken', token);
+      const session = await createSession(token.trim());
+      storeSession(session);
+      onTokenValidated(session.accessToken);
       setFadeOut(true);
-      setTimeout(() => onTokenValidated(token), 300);
+      setTimeout(onDone, 300);
     } catch (err) {
       setError(err.response?.data?.error || 'Invalid token. Please check and try again.');
       setIsValidating(false);
@@ -70,6 +125,7 @@ const SplashScreen = ({ onTokenValidated }) => {
 
   const handleSetupNewUser = () => {
     onTokenValidated(null);
+    onDone();
     setTimeout(() => {
       window.location.href = '/data-sources';
     }, 100);
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
 import {
   Box,
   Typography,
@@ -7,7 +8,10 @@ import {
   Alert,
   Divider,
   IconButton,
-  Tooltip
+  Tooltip,
+  Link,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
 import { ArrowsLeftRight } from '@phosphor-icons/react';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
@@ -39,6 +43,8 @@ function StatsPanel({ filters, isExpanded = false, onToggleExpand, comparisonMod
   const [period2Start, setPeriod2Start] = useState(null);
   const [period2End, setPeriod2End] = useState(null);
   const [comparisonData, setComparisonData] = useState(null);
+  // Level the top categories chart rolls categories up to: 'top', 'mid' or 'leaf' (as checked in)
+  const [categoryLevel, setCategoryLevel] = useState('leaf');
 
   useEffect(() => {
     const loadStats = async () => {
@@ -46,6 +52,9 @@ function StatsPanel({ filters, isExpanded = false, onToggleExpand, comparisonMod
         setLoading(true);
         setError(null);
         const params = { ...filters };
+        if (categoryLevel !== 'leaf') {
+          params.categoryLevel = categoryLevel;
+        }
         if (token) {
           params.token = token;
         }
@@ -62,7 +71,7 @@ function StatsPanel({ filters, isExpanded = false, onToggleExpand, comparisonMod
     if (!comparisonMode) {
       loadStats();
     }
-  }, [filters, comparisonMode, token, refreshTrigger]);
+  }, [filters, comparisonMode, token, refreshTrigger, categoryLevel]);
 
   // Load comparison data when dates are set
   useEffect(() => {
@@ -81,6 +90,9 @@ function StatsPanel({ filters, isExpanded = false, onToggleExpand, comparisonMod
           period2_end: period2End.toISOString(),
           ...filters
         };
+        if (categoryLevel !== 'leaf') {
+          params.categoryLevel = categoryLevel;
+        }
         if (token) {
           params.token = token;
         }
@@ -97,7 +109,7 @@ function StatsPanel({ filters, isExpanded = false, onToggleExpand, comparisonMod
     if (comparisonMode) {
       loadComparison();
     }
-  }, [comparisonMode, period1Start, period1End, period2Start, period2End, filters, token]);
+  }, [comparisonMode, period1Start, period1End, period2Start, period2End, filters, token, categoryLevel]);
 
 
   // Show loading state only for initial stats loading (not comparison loading)
@@ -331,7 +343,16 @@ function StatsPanel({ filters, isExpanded = false, onToggleExpand, comparisonMod
               Most Visited Venue
             </Typography>
             <Typography variant="body1" fontWeight="bold">
-              {period1Data.top_venue.venue_name}
+              {period1Data.top_venue.venue_id ? (
+                <Link
+                  component={RouterLink}
+                  to={`/venues/${encodeURIComponent(period1Data.top_venue.venue_id)}`}
+                  color="inherit"
+                  underline="hover"
+                >
+                  {period1Data.top_venue.venue_name}
+                </Link>
+              ) : period1Data.top_venue.venue_name}
             </Typography>
             <Typography variant="caption" color="text.secondary">
               {period1Data.top_venue.count} visit{period1Data.top_venue.count !== 1 ? 's' : ''}
@@ -409,9 +430,23 @@ function StatsPanel({ filters, isExpanded = false, onToggleExpand, comparisonMod
         {/* Top Categories - Bar Chart */}
         {period1Data.top_categories && period1Data.top_categories.length > 0 && (
           <Paper sx={{ p: 2 }}>
-            <Typography variant="body2" color="text.secondary" gutterBottom>
-              Top 5 Categories
-            </Typography>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+              <Typography variant="body2" color="text.secondary">
+                Top 5 Categories
+              </Typography>
+              <ToggleButtonGroup
+                size="small"
+                exclusive
+                value={categoryLevel}
+                onChange={(e, value) => {
+                  if (value) setCategoryLevel(value);
+                }}
+              >
+                <ToggleButton value="top" sx={{ py: 0.25, px: 1 }}>Top level</ToggleButton>
+                <ToggleButton value="mid" sx={{ py: 0.25, px: 1 }}>Mid level</ToggleButton>
+                <ToggleButton value="leaf" sx={{ py: 0.25, px: 1 }}>Exact</ToggleButton>
+              </ToggleButtonGroup>
+            </Box>
             <ResponsiveContainer width="100%" height={chartHeight}>
               <BarChart data={showingComparison
                 ? prepareComparisonBarData(period1Data.top_categories, period2Data.top_categories, 'category')
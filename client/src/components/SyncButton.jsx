@@ -1,20 +1,78 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Button, CircularProgress, Snackbar, Alert } from '@mui/material';
 import { ArrowsClockwise } from '@phosphor-icons/react';
-import { startSync, getSyncStatus, getLatestImport } from '../services/api';
+import { syncAllData, getSyncStatus, getLatestImport } from '../services/api';
+
+const SOURCE_LABELS = {
+  foursquare: 'Check-ins',
+  strava: 'Strava'
+};
+
+const SOURCE_ITEMS = {
+  foursquare: 'check-ins',
+  strava: 'activities'
+};
+
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+/**
+ * One toast line for a data source's /api/sync/all result
+ * @param {string} source - Data source
+ * @param {Object} result - { status, message }
+ * @returns {string|null} Null for sources that aren't connected
+ */
+const describeStartResult = (source, result) => {
+  const label = SOURCE_LABELS[source];
+  switch (result.status) {
+    case 'queued':
+      return `${label}: sync started`;
+    case 'already_running':
+      return `${label}: sync already in progress`;
+    case 'rate_limited':
+      return `${label}: ${result.message}`;
+    case 'error':
+      return `${label}: failed to start`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * One toast line for a finished sync job
+ * @param {string} source - Data source
+ * @param {Object} job - { status, totalImported, errorMessage }
+ * @returns {string}
+ */
+const describeFinishedJob = (source, job) => {
+  const label = SOURCE_LABELS[source];
+  if (job.status === 'failed') {
+    return `${label}: failed (${job.errorMessage || 'Unknown error'})`;
+  }
+  return `${label}: imported ${job.totalImported} ${SOURCE_ITEMS[source]}`;
+};
+
+/**
+ * Progress of one sync job
+ * @param {Object} job - { totalImported, totalExpected }
+ * @returns {string}
+ */
+const describeProgress = (job) => {
+  if (!job.totalExpected) {
+    return job.totalImported > 0 ? `${job.totalImported} imported` : 'Initializing...';
+  }
+  const percentage = Math.round((job.totalImported / job.totalExpected) * 100);
+  return `${job.totalImported} / ${job.totalExpected} (${percentage}%)`;
+};
 
 function SyncButton({ token, onSyncComplete }) {
-  const [syncing, setSyncing] = useState(false);
-  const [jobId, setJobId] = useState(null);
-  const [progress, setProgress] = useState({
-    totalImported: 0,
-    totalExpected: 0,
-    status: null
-  });
+  // Sync jobs being polled, keyed by data source
+  const [jobs, setJobs] = useState({});
   const [toast, setToast] = useState({ open: false, message: '', severity: 'info' });
   const [completionShown, setCompletionShown] = useState(false);
   const completionTimeoutRef = useRef(null);
 
+  const syncing = Object.keys(jobs).length > 0 && !completionShown;
+
   const showToast = useCallback((severity, message) => {
     setToast({ open: true, message, severity });
   }, []);
@@ -24,85 +82,104 @@ function SyncButton({ token, onSyncComplete }) {
   }, []);
 
   const handleSyncClick = useCallback(async () => {
-    // If syncing, show detailed progress
+    // If syncing, show detailed progress per source
     if (syncing) {
-      const percentage = progress.totalExpected > 0
-        ? Math.round((progress.totalImported / progress.totalExpected) * 100)
-        : 0;
-
-      const message = progress.totalExpected > 0
-        ? `Syncing check-ins...\nProgress: ${progress.totalImported} / ${progress.totalExpected} (${percentage}%)`
-        : 'Syncing check-ins...\nProgress: Initializing...';
-
-      showToast('info', message);
+      const lines = Object.entries(jobs).map(([source, job]) => (
+        FINISHED_STATUSES.includes(job.status)
+          ? describeFinishedJob(source, job)
+          : `${SOURCE_LABELS[source]}: ${describeProgress(job)}`
+      ));
+      showToast('info', `Syncing...\n${lines.join('\n')}`);
       return;
     }
 
     // Start new sync
     try {
-      showToast('info', 'Starting check-in sync...');
-      const result = await startSync(token);
-      setJobId(result.jobId);
-      setSyncing(true);
-    } catch (error) {
-      if (error.response?.status === 409) {
-        // Sync already running - extract jobId and resume
-        const runningJobId = error.response?.data?.jobId;
-        if (runningJobId) {
-          setJobId(runningJobId);
-          setSyncing(true);
-          showToast('info', 'Sync already in progress...');
+      showToast('info', 'Starting sync...');
+      const { results } = await syncAllData(token);
+
+      const started = {};
+      const lines = [];
+      Object.entries(results).forEach(([source, result]) => {
+        if (!result || !SOURCE_LABELS[source]) return;
+
+        const line = describeStartResult(source, result);
+        if (line) lines.push(line);
+
+        if (result.jobId && (result.status === 'queued' || result.status === 'already_running')) {
+          started[source] = { jobId: result.jobId, status: 'pending', totalImported: 0, totalExpected: 0 };
         }
-      } else if (error.response?.status === 401 || error.response?.status === 403) {
+      });
+
+      const failed = Object.values(results).some(result => result?.status === 'error');
+      showToast(failed ? 'warning' : 'info', lines.join('\n'));
+      setJobs(started);
+    } catch (error) {
+      if (error.response?.status === 401 || error.response?.status === 403) {
         showToast('error', 'Authentication failed. Please refresh your link.');
       } else {
         showToast('error', 'Failed to start sync. Check your connection.');
       }
     }
-  }, [syncing, progress, token, showToast]);
+  }, [syncing, jobs, token, showToast]);
+
+  // Polling effect, restarted whenever the set of jobs changes
+  const jobKey = Object.entries(jobs).map(([source, job]) => `${source}:${job.jobId}`).join(',');
 
-  // Polling effect
   useEffect(() => {
-    if (!syncing || !jobId) return;
+    if (!jobKey || completionShown) return;
 
     const pollInterval = setInterval(async () => {
       try {
-        const status = await getSyncStatus(jobId, token);
+        const entries = jobKey.split(',').map(key => key.split(':'));
+        const statuses = await Promise.all(
+          entries.map(([source, jobId]) => getSyncStatus(jobId, token, source))
+        );
 
-        setProgress({
-          totalImported: status.totalImported || 0,
-          totalExpected: status.totalExpected || 0,
-          status: status.status
+        const updated = {};
+        entries.forEach(([source, jobId], i) => {
+          updated[source] = {
+            jobId,
+            status: statuses[i].status,
+            totalImported: statuses[i].totalImported || 0,
+            totalExpected: statuses[i].totalExpected || 0,
+            errorMessage: statuses[i].errorMessage
+          };
         });
+        setJobs(updated);
 
-        if (status.status === 'completed') {
-          setSyncing(false);
-          setCompletionShown(true);
-          clearInterval(pollInterval);
-          showToast('success', `Sync complete! Imported ${status.totalImported} check-ins`);
-
-          // Call onSyncComplete to refresh map
-          if (onSyncComplete) {
-            onSyncComplete();
-          }
-
-          // Reset to idle after 2 seconds
-          completionTimeoutRef.current = setTimeout(() => {
-            setCompletionShown(false);
-            setJobId(null);
-          }, 2000);
-        } else if (status.status === 'failed') {
-          setSyncing(false);
-          clearInterval(pollInterval);
-          showToast('error', `Sync failed: ${status.errorMessage || 'Unknown error'}`);
-          setJobId(null);
+        const finished = Object.values(updated).every(job => FINISHED_STATUSES.includes(job.status));
+        if (!finished) return;
+
+        clearInterval(pollInterval);
+        const anyCompleted = Object.values(updated).some(job => job.status === 'completed');
+        const anyFailed = Object.values(updated).some(job => job.status === 'failed');
+        const lines = Object.entries(updated).map(([source, job]) => describeFinishedJob(source, job));
+
+        if (!anyCompleted) {
+          showToast('error', `Sync failed\n${lines.join('\n')}`);
+          setJobs({});
+          return;
+        }
+
+        setCompletionShown(true);
+        showToast(anyFailed ? 'warning' : 'success', `Sync complete!\n${lines.join('\n')}`);
+
+        // Call onSyncComplete to refresh map
+        if (onSyncComplete) {
+          onSyncComplete();
         }
+
+        // Reset to idle after 2 seconds
+        completionTimeoutRef.current = setTimeout(() => {
+          setCompletionShown(false);
+          setJobs({});
+        }, 2000);
       } catch (error) {
         if (error.response?.status === 401 || error.response?.status === 403) {
-          setSyncing(false);
           clearInterval(pollInterval);
           showToast('error', 'Authentication failed. Please refresh your link.');
-          setJobId(null);
+          setJobs({});
         }
         // Other errors: continue polling (temporary network issue)
       }
@@ -110,11 +187,14 @@ function SyncButton({ token, onSyncComplete }) {
 
     return () => {
       clearInterval(pollInterval);
-      if (completionTimeoutRef.current) {
-        clearTimeout(completionTimeoutRef.current);
-      }
     };
-  }, [syncing, jobId, token, onSyncComplete, showToast]);
+  }, [jobKey, completionShown, token, onSyncComplete, showToast]);
+
+  useEffect(() => () => {
+    if (completionTimeoutRef.current) {
+      clearTimeout(completionTimeoutRef.current);
+    }
+  }, []);
 
   // Check for existing sync on mount
   useEffect(() => {
@@ -123,14 +203,16 @@ function SyncButton({ token, onSyncComplete }) {
 
       try {
         const { job } = await getLatestImport(token);
+        const source = job?.dataSource || 'foursquare';
 
-        if (job && (job.status === 'running' || job.status === 'pending')) {
-          setJobId(job.id);
-          setSyncing(true);
-          setProgress({
-            totalImported: job.totalImported || 0,
-            totalExpected: job.totalExpected || 0,
-            status: job.status
+        if (job && SOURCE_LABELS[source] && !FINISHED_STATUSES.includes(job.status)) {
+          setJobs({
+            [source]: {
+              jobId: job.id,
+              status: job.status,
+              totalImported: job.totalImported || 0,
+              totalExpected: job.totalExpected || 0
+            }
           });
         }
       } catch (error) {
@@ -142,16 +224,19 @@ function SyncButton({ token, onSyncComplete }) {
   }, [token]);
 
   // Calculate button text
-  let buttonText = 'Sync Check-ins';
+  let buttonText = 'Sync All';
   let buttonIcon = <ArrowsClockwise size={20} />;
 
   if (completionShown) {
     buttonText = 'Sync Complete ✓';
     buttonIcon = null;
   } else if (syncing) {
-    if (progress.totalExpected > 0) {
-      const percentage = Math.round((progress.totalImported / progress.totalExpected) * 100);
-      buttonText = `Syncing ${percentage}%`;
+    const activeJobs = Object.values(jobs);
+    const totalExpected = activeJobs.reduce((sum, job) => sum + job.totalExpected, 0);
+    const totalImported = activeJobs.reduce((sum, job) => sum + job.totalImported, 0);
+
+    if (activeJobs.every(job => job.totalExpected > 0)) {
+      buttonText = `Syncing ${Math.round((totalImported / totalExpected) * 100)}%`;
     } else {
       buttonText = 'Syncing...';
     }
@@ -1,11 +1,11 @@
 import React from 'react';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, act } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import SyncButton from './SyncButton';
 
 // Mock the API module
 jest.mock('../services/api', () => ({
-  startSync: jest.fn(),
+  syncAllData: jest.fn(),
   getSyncStatus: jest.fn(),
   getLatestImport: jest.fn()
 }));
@@ -15,7 +15,7 @@ jest.mock('@phosphor-icons/react', () => ({
   ArrowsClockwise: (props) => <span data-testid="sync-icon" {...props} />
 }));
 
-const { startSync, getSyncStatus, getLatestImport } = require('../services/api');
+const { syncAllData, getSyncStatus, getLatestImport } = require('../services/api');
 
 describe('SyncButton', () => {
   beforeEach(() => {
@@ -32,64 +32,67 @@ describe('SyncButton', () => {
     render(<SyncButton token="test-token" />);
 
     await waitFor(() => {
-      expect(screen.getByText('Sync Check-ins')).toBeInTheDocument();
+      expect(screen.getByText('Sync All')).toBeInTheDocument();
     });
   });
 
-  test('calls startSync API on click', async () => {
-    startSync.mockResolvedValue({ jobId: 42 });
+  test('calls syncAllData API on click', async () => {
+    syncAllData.mockResolvedValue({ results: { foursquare: { status: 'queued', jobId: 42 } } });
     getSyncStatus.mockResolvedValue({ status: 'running', totalImported: 0, totalExpected: 0 });
 
     const user = userEvent.setup({ advanceTimers: jest.advanceTimersByTime });
     render(<SyncButton token="test-token" />);
 
     await waitFor(() => {
-      expect(screen.getByText('Sync Check-ins')).toBeInTheDocument();
+      expect(screen.getByText('Sync All')).toBeInTheDocument();
     });
 
-    await user.click(screen.getByText('Sync Check-ins'));
+    await user.click(screen.getByText('Sync All'));
 
-    expect(startSync).toHaveBeenCalledWith('test-token');
+    expect(syncAllData).toHaveBeenCalledWith('test-token');
   });
 
   test('shows syncing state after click', async () => {
-    startSync.mockResolvedValue({ jobId: 42 });
+    syncAllData.mockResolvedValue({ results: { foursquare: { status: 'queued', jobId: 42 } } });
     getSyncStatus.mockResolvedValue({ status: 'running', totalImported: 0, totalExpected: 0 });
 
     const user = userEvent.setup({ advanceTimers: jest.advanceTimersByTime });
     render(<SyncButton token="test-token" />);
 
     await waitFor(() => {
-      expect(screen.getByText('Sync Check-ins')).toBeInTheDocument();
+      expect(screen.getByText('Sync All')).toBeInTheDocument();
     });
 
-    await user.click(screen.getByText('Sync Check-ins'));
+    await user.click(screen.getByText('Sync All'));
 
     await waitFor(() => {
       expect(screen.getByText('Syncing...')).toBeInTheDocument();
     });
   });
 
-  test('shows error toast on startSync failure', async () => {
-    startSync.mockRejectedValue(new Error('Network error'));
+  test('shows error toast on syncAllData failure', async () => {
+    syncAllData.mockRejectedValue(new Error('Network error'));
 
     const user = userEvent.setup({ advanceTimers: jest.advanceTimersByTime });
     render(<SyncButton token="test-token" />);
 
     await waitFor(() => {
-      expect(screen.getByText('Sync Check-ins')).toBeInTheDocument();
+      expect(screen.getByText('Sync All')).toBeInTheDocument();
     });
 
-    await user.click(screen.getByText('Sync Check-ins'));
+    await user.click(screen.getByText('Sync All'));
 
     await waitFor(() => {
       expect(screen.getByText('Failed to start sync. Check your connection.')).toBeInTheDocument();
     });
   });
 
-  test('handles 409 conflict by resuming existing sync', async () => {
-    startSync.mockRejectedValue({
-      response: { status: 409, data: { jobId: 99 } }
+  test('shows the start result for each source', async () => {
+    syncAllData.mockResolvedValue({
+      results: {
+        foursquare: { status: 'already_running', jobId: 99 },
+        strava: { status: 'rate_limited', message: 'Strava daily API limit reached, try again later' }
+      }
     });
     getSyncStatus.mockResolvedValue({ status: 'running', totalImported: 5, totalExpected: 10 });
 
@@ -97,18 +100,60 @@ describe('SyncButton', () => {
     render(<SyncButton token="test-token" />);
 
     await waitFor(() => {
-      expect(screen.getByText('Sync Check-ins')).toBeInTheDocument();
+      expect(screen.getByText('Sync All')).toBeInTheDocument();
     });
 
-    await user.click(screen.getByText('Sync Check-ins'));
+    await user.click(screen.getByText('Sync All'));
 
     await waitFor(() => {
-      expect(screen.getByText('Sync already in progress...')).toBeInTheDocument();
+      expect(screen.getByRole('alert')).toHaveTextContent(
+        'Check-ins: sync already in progress Strava: Strava daily API limit reached, try again later'
+      );
     });
   });
 
+  test('polls each source and reports results separately', async () => {
+    const onSyncComplete = jest.fn();
+    syncAllData.mockResolvedValue({
+      results: {
+        foursquare: { status: 'queued', jobId: 42 },
+        strava: { status: 'queued', jobId: 43 }
+      }
+    });
+    getSyncStatus.mockImplementation(async (jobId, token, source) => (
+      source === 'strava'
+        ? { status: 'completed', totalImported: 3 }
+        : { status: 'completed', totalImported: 12, totalExpected: 12 }
+    ));
+
+    const user = userEvent.setup({ advanceTimers: jest.advanceTimersByTime });
+    render(<SyncButton token="test-token" onSyncComplete={onSyncComplete} />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Sync All')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByText('Sync All'));
+    await waitFor(() => {
+      expect(screen.getByText('Syncing...')).toBeInTheDocument();
+    });
+    act(() => {
+      jest.advanceTimersByTime(3000);
+    });
+
+    await waitFor(() => {
+      expect(screen.getByText('Sync Complete ✓')).toBeInTheDocument();
+    });
+    expect(getSyncStatus).toHaveBeenCalledWith('42', 'test-token', 'foursquare');
+    expect(getSyncStatus).toHaveBeenCalledWith('43', 'test-token', 'strava');
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'Check-ins: imported 12 check-ins Strava: imported 3 activities'
+    );
+    expect(onSyncComplete).toHaveBeenCalled();
+  });
+
   test('shows auth error toast on 401', async () => {
-    startSync.mockRejectedValue({
+    syncAllData.mockRejectedValue({
       response: { status: 401 }
     });
 
@@ -116,10 +161,10 @@ describe('SyncButton', () => {
     render(<SyncButton token="test-token" />);
 
     await waitFor(() => {
-      expect(screen.getByText('Sync Check-ins')).toBeInTheDocument();
+      expect(screen.getByText('Sync All')).toBeInTheDocument();
     });
 
-    await user.click(screen.getByText('Sync Check-ins'));
+    await user.click(screen.getByText('Sync All'));
 
     await waitFor(() => {
       expect(screen.getByText('Authentication failed. Please refresh your link.')).toBeInTheDocument();
@@ -10,7 +10,7 @@ import {
 } from '@mui/material';
 import Lightbox from 'yet-another-react-lightbox';
 import 'yet-another-react-lightbox/styles.css';
-import { getVenuePhotos } from '../services/api';
+import { getVenuePhotos, getPhotoUrl } from '../services/api';
 
 function VenuePhotosGallery({ venueId, token }) {
   const [photoGroups, setPhotoGroups] = useState([]);
@@ -45,7 +45,7 @@ function VenuePhotosGallery({ venueId, token }) {
   // Flatten all photos for lightbox
   const allPhotos = photoGroups.flatMap(group =>
     group.photos.map(photo => ({
-      src: photo.url,
+      src: getPhotoUrl(photo.url, { size: 'original' }),
       width: photo.width || 800,
       height: photo.height || 600
     }))
@@ -116,7 +116,7 @@ function VenuePhotosGallery({ venueId, token }) {
                 >
                   <CardMedia
                     component="img"
-                    image={photo.url}
+                    image={getPhotoUrl(photo.url, { size: 'thumb' })}
                     alt={`Photo from ${new Date(group.date).toLocaleDateString()}`}
                     sx={{
                       height: 150,
@@ -0,0 +1,159 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+  Box,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { MapTrifold } from '@phosphor-icons/react';
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ChartTooltip,
+  ResponsiveContainer
+} from 'recharts';
+import { chartColors } from '../../theme';
+import { columnLabel, formatCell } from '../../utils/attachmentUtils';
+
+const CHART_HEIGHT = 200;
+
+function AttachmentTable({ columns, rows }) {
+  return (
+    <TableContainer sx={{ maxHeight: 240 }}>
+      <Table size="small" stickyHeader>
+        <TableHead>
+          <TableRow>
+            {columns.map(column => (
+              <TableCell key={column} sx={{ bgcolor: 'background.paper', fontWeight: 600 }}>
+                {columnLabel(column)}
+              </TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.map((row, i) => (
+            <TableRow key={i}>
+              {columns.map(column => (
+                <TableCell key={column}>{formatCell(row[column])}</TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+function AttachmentChart({ chart, data, xLabel, yLabel }) {
+  const ChartComponent = chart === 'line' ? LineChart : BarChart;
+
+  return (
+    <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+      <ChartComponent data={data} margin={{ top: 8, right: 8, left: -16, bottom: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke={chartColors.grid} />
+        <XAxis
+          dataKey="label"
+          tick={{ fill: chartColors.axis, fontSize: 11 }}
+          axisLine={{ stroke: chartColors.grid }}
+        />
+        <YAxis
+          tick={{ fill: chartColors.axis, fontSize: 11 }}
+          axisLine={{ stroke: chartColors.grid }}
+        />
+        <ChartTooltip
+          labelFormatter={label => `${columnLabel(xLabel)}: ${label}`}
+          formatter={value => [formatCell(value), columnLabel(yLabel)]}
+          contentStyle={{ backgroundColor: chartColors.tooltip, border: 'none' }}
+        />
+        {chart === 'line' ? (
+          <Line type="monotone" dataKey="value" stroke={chartColors.primary} strokeWidth={2} dot={false} />
+        ) : (
+          <Bar dataKey="value" fill={chartColors.primary} />
+        )}
+      </ChartComponent>
+    </ResponsiveContainer>
+  );
+}
+
+/**
+ * A table, chart or map of query results on a copilot answer
+ */
+function ChatAttachment({ attachment, onShowOnMap }) {
+  return (
+    <Box sx={{ mt: 1.5, p: 1, borderRadius: 1, bgcolor: 'background.paper' }}>
+      {attachment.title && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+          {attachment.title}
+        </Typography>
+      )}
+
+      {attachment.type === 'table' && (
+        <AttachmentTable columns={attachment.columns} rows={attachment.rows} />
+      )}
+
+      {attachment.type === 'chart' && (
+        <AttachmentChart
+          chart={attachment.chart}
+          data={attachment.data}
+          xLabel={attachment.xLabel}
+          yLabel={attachment.yLabel}
+        />
+      )}
+
+      {attachment.type === 'map' && (
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1 }}>
+          <Typography variant="body2">
+            {attachment.venues.length} {attachment.venues.length === 1 ? 'place' : 'places'}
+          </Typography>
+          <Button
+            size="small"
+            variant="outlined"
+            startIcon={<MapTrifold size={16} />}
+            onClick={() => onShowOnMap?.(attachment)}
+          >
+            Show on map
+          </Button>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+ChatAttachment.propTypes = {
+  attachment: PropTypes.shape({
+    type: PropTypes.oneOf(['table', 'chart', 'map']).isRequired,
+    title: PropTypes.string,
+    // table
+    columns: PropTypes.arrayOf(PropTypes.string),
+    rows: PropTypes.arrayOf(PropTypes.object),
+    // chart
+    chart: PropTypes.oneOf(['bar', 'line']),
+    xLabel: PropTypes.string,
+    yLabel: PropTypes.string,
+    data: PropTypes.arrayOf(PropTypes.shape({
+      label: PropTypes.string,
+      value: PropTypes.number
+    })),
+    // map
+    venues: PropTypes.arrayOf(PropTypes.shape({
+      venueId: PropTypes.string,
+      venueName: PropTypes.string,
+      latitude: PropTypes.number,
+      longitude: PropTypes.number
+    }))
+  }).isRequired,
+  onShowOnMap: PropTypes.func
+};
+
+export default ChatAttachment;
@@ -1,8 +1,17 @@
 import React from 'react';
 import { Box, Typography, IconButton } from '@mui/material';
-import { Trash, ArrowsOut, ArrowsIn, Minus, X } from '@phosphor-icons/react';
+import { ListBullets, NotePencil, ArrowsOut, ArrowsIn, Minus, X } from '@phosphor-icons/react';
 
-function ChatHeader({ onClose, onMinimize, onToggleExpand, isExpanded, onClear }) {
+function ChatHeader({
+  title,
+  onClose,
+  onMinimize,
+  onToggleExpand,
+  isExpanded,
+  onToggleConversations,
+  showConversations,
+  onNewConversation
+}) {
   return (
     <Box
       sx={{
@@ -15,12 +24,22 @@ function ChatHeader({ onClose, onMinimize, onToggleExpand, isExpanded, onClear }
         bgcolor: 'background.paper',
       }}
     >
-      <Typography variant="h6" sx={{ fontWeight: 600 }}>
-        Copilot
-      </Typography>
-      <Box sx={{ display: 'flex', gap: 0.5 }}>
-        <IconButton size="small" onClick={onClear} title="Clear history">
-          <Trash size={18} />
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, minWidth: 0 }}>
+        <IconButton
+          size="small"
+          onClick={onToggleConversations}
+          title={showConversations ? "Hide conversations" : "Show conversations"}
+          color={showConversations ? "primary" : "default"}
+        >
+          <ListBullets size={18} />
+        </IconButton>
+        <Typography variant="h6" sx={{ fontWeight: 600 }} noWrap>
+          {title || 'Copilot'}
+        </Typography>
+      </Box>
+      <Box sx={{ display: 'flex', gap: 0.5, flexShrink: 0 }}>
+        <IconButton size="small" onClick={onNewConversation} title="New conversation">
+          <NotePencil size={18} />
         </IconButton>
         <IconButton size="small" onClick={onToggleExpand} title={isExpanded ? "Collapse" : "Expand"}>
           {isExpanded ? <ArrowsIn size={18} /> : <ArrowsOut size={18} />}
@@ -1,8 +1,8 @@
 import React, { useState } from 'react';
 import { Box, TextField, IconButton } from '@mui/material';
-import { PaperPlaneTilt } from '@phosphor-icons/react';
+import { PaperPlaneTilt, Stop } from '@phosphor-icons/react';
 
-function ChatInput({ onSend, disabled }) {
+function ChatInput({ onSend, onCancel, disabled }) {
   const [message, setMessage] = useState('');
 
   const handleSubmit = (e) => {
@@ -45,14 +45,25 @@ function ChatInput({ onSend, disabled }) {
         size="small"
         autoFocus
       />
-      <IconButton
-        type="submit"
-        color="primary"
-        disabled={disabled || !message.trim()}
-        sx={{ alignSelf: 'flex-end' }}
-      >
-        <PaperPlaneTilt size={20} />
-      </IconButton>
+      {disabled && onCancel ? (
+        <IconButton
+          color="primary"
+          onClick={onCancel}
+          title="Stop"
+          sx={{ alignSelf: 'flex-end' }}
+        >
+          <Stop size={20} weight="fill" />
+        </IconButton>
+      ) : (
+        <IconButton
+          type="submit"
+          color="primary"
+          disabled={disabled || !message.trim()}
+          sx={{ alignSelf: 'flex-end' }}
+        >
+          <PaperPlaneTilt size={20} />
+        </IconButton>
+      )}
     </Box>
   );
 }
@@ -3,10 +3,11 @@ import { Box, Typography, Paper, IconButton, Chip } from '@mui/material';
 import { useTheme } from '@mui/material/styles';
 import { Copy, MapPin } from '@phosphor-icons/react';
 import { parseVenueMentions } from './venueParser';
+import ChatAttachment from './ChatAttachment';
 import { overlayColors } from '../../theme';
 import PropTypes from 'prop-types';
 
-function ChatMessage({ role, content, timestamp, onVenueClick }) {
+function ChatMessage({ role, content, timestamp, attachments, onVenueClick, onShowOnMap }) {
   const theme = useTheme();
   const isUser = role === 'user';
 
@@ -30,6 +31,8 @@ function ChatMessage({ role, content, timestamp, onVenueClick }) {
       <Paper
         sx={{
           maxWidth: '80%',
+          // Charts size to the message, so it takes the full width
+          width: attachments?.length ? '80%' : undefined,
           p: 2,
           bgcolor: isUser ? 'background.surface' : overlayColors.accentSubtle,
           color: 'text.primary',
@@ -68,6 +71,10 @@ function ChatMessage({ role, content, timestamp, onVenueClick }) {
           )}
         </Box>
 
+        {attachments?.map((attachment, i) => (
+          <ChatAttachment key={i} attachment={attachment} onShowOnMap={onShowOnMap} />
+        ))}
+
         {timestamp && (
           <Typography
             sx={{
@@ -108,7 +115,9 @@ ChatMessage.propTypes = {
   role: PropTypes.string.isRequired,
   content: PropTypes.string.isRequired,
   timestamp: PropTypes.string,
-  onVenueClick: PropTypes.func
+  attachments: PropTypes.arrayOf(PropTypes.object),
+  onVenueClick: PropTypes.func,
+  onShowOnMap: PropTypes.func
 };
 
 export default ChatMessage;
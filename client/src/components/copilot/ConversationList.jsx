@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Box,
+  Button,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemText,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Plus, PencilSimple, Trash } from '@phosphor-icons/react';
+
+const UNTITLED = 'New conversation';
+
+function ConversationList({ conversations, activeId, disabled, onSelect, onNew, onRename, onDelete }) {
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+
+  const startEditing = (conversation) => {
+    setEditingId(conversation.id);
+    setDraftTitle(conversation.title || '');
+  };
+
+  const finishEditing = () => {
+    const title = draftTitle.trim();
+    const conversation = conversations.find(c => c.id === editingId);
+    if (title && conversation && title !== conversation.title) {
+      onRename(editingId, title);
+    }
+    setEditingId(null);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      finishEditing();
+    } else if (e.key === 'Escape') {
+      setEditingId(null);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', height: '100%', minHeight: 0 }}>
+      <Box sx={{ p: 1 }}>
+        <Button
+          fullWidth
+          size="small"
+          variant="outlined"
+          startIcon={<Plus size={16} />}
+          onClick={onNew}
+          disabled={disabled}
+        >
+          New conversation
+        </Button>
+      </Box>
+
+      <List dense sx={{ flexGrow: 1, overflowY: 'auto', py: 0 }}>
+        {conversations.length === 0 && (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', px: 2, py: 1 }}>
+            No conversations yet
+          </Typography>
+        )}
+
+        {conversations.map(conversation => (
+          <ListItemButton
+            key={conversation.id}
+            selected={conversation.id === activeId}
+            disabled={disabled && conversation.id !== activeId}
+            onClick={() => editingId !== conversation.id && onSelect(conversation.id)}
+            sx={{
+              pr: 9,
+              '&:hover .conversation-actions': {
+                opacity: 1
+              }
+            }}
+          >
+            {editingId === conversation.id ? (
+              <TextField
+                value={draftTitle}
+                onChange={(e) => setDraftTitle(e.target.value)}
+                onBlur={finishEditing}
+                onKeyDown={handleKeyDown}
+                onClick={(e) => e.stopPropagation()}
+                size="small"
+                variant="standard"
+                fullWidth
+                autoFocus
+                inputProps={{ maxLength: 200, 'aria-label': 'Conversation title' }}
+              />
+            ) : (
+              <ListItemText
+                primary={conversation.title || UNTITLED}
+                secondary={new Date(conversation.updated_at).toLocaleDateString()}
+                primaryTypographyProps={{ noWrap: true }}
+              />
+            )}
+
+            <Box
+              className="conversation-actions"
+              sx={{
+                position: 'absolute',
+                right: 4,
+                display: 'flex',
+                opacity: conversation.id === activeId ? 1 : 0,
+                transition: 'opacity 0.2s'
+              }}
+            >
+              <IconButton
+                size="small"
+                title="Rename"
+                disabled={disabled}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  startEditing(conversation);
+                }}
+              >
+                <PencilSimple size={16} />
+              </IconButton>
+              <IconButton
+                size="small"
+                title="Delete"
+                disabled={disabled}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onDelete(conversation.id);
+                }}
+              >
+                <Trash size={16} />
+              </IconButton>
+            </Box>
+          </ListItemButton>
+        ))}
+      </List>
+    </Box>
+  );
+}
+
+ConversationList.propTypes = {
+  conversations: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    title: PropTypes.string,
+    updated_at: PropTypes.string
+  })).isRequired,
+  activeId: PropTypes.number,
+  disabled: PropTypes.bool,
+  onSelect: PropTypes.func.isRequired,
+  onNew: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired
+};
+
+export default ConversationList;
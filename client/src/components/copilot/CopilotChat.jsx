@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
+import { useNavigate, useLocation } from 'react-router-dom';
 import {
   Box,
   Fab,
@@ -13,22 +14,91 @@ import { ChatCircle } from '@phosphor-icons/react';
 import ChatHeader from './ChatHeader';
 import ChatMessage from './ChatMessage';
 import ChatInput from './ChatInput';
-import { sendCopilotMessage } from '../../services/api';
+import ConversationList from './ConversationList';
+import {
+  streamCopilotMessage,
+  getCopilotConversations,
+  getCopilotConversation,
+  createCopilotConversation,
+  renameCopilotConversation,
+  deleteCopilotConversation
+} from '../../services/api';
 import {
   loadMessages,
-  saveMessages,
   clearMessages,
   loadCopilotState,
   saveCopilotState
 } from '../../utils/copilotStorage';
 
-function CopilotChat({ token, onVenueClick }) {
+// Most messages of the old browser-stored history moved into a thread
+const MAX_IMPORTED_MESSAGES = 50;
+
+/**
+ * Messages from a copilot response worth showing: the user message is already
+ * shown, and turns that only call functions have no text
+ */
+function displayableMessages(messages) {
+  return messages.filter(msg => {
+    // Skip user messages (we already added it)
+    if (msg.role === 'user') return false;
+
+    // For assistant messages, only show if there's text content
+    if (msg.role === 'assistant' || msg.role === 'model') {
+      return msg.text && msg.text.trim() && msg.text !== '[Function call]';
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Thread list with a thread added or updated, most recently updated first
+ */
+function withConversation(conversations, conversation) {
+  return [conversation, ...conversations.filter(c => c.id !== conversation.id)];
+}
+
+/**
+ * Move the chat history browsers kept before threads were stored on the server into a thread
+ * @returns {Promise<Object|null>} The new thread, null when there was nothing to move
+ */
+async function importLegacyMessages(token) {
+  const legacy = loadMessages()
+    .filter(msg => ['user', 'assistant'].includes(msg.role) && msg.content != null)
+    .slice(-MAX_IMPORTED_MESSAGES);
+  if (legacy.length === 0) {
+    clearMessages();
+    return null;
+  }
+
+  const conversation = await createCopilotConversation({ title: 'Earlier chat', messages: legacy }, token);
+  clearMessages();
+  return conversation;
+}
+
+/**
+ * Streamed text without a venue mention that's still arriving, so it doesn't flash as raw markup
+ */
+function withoutPartialVenue(text) {
+  return text.replace(/\{\{[^}]*\}?$/, '');
+}
+
+function CopilotChat({ token, onVenueClick, onShowOnMap }) {
+  const navigate = useNavigate();
+  const location = useLocation();
   const [isOpen, setIsOpen] = useState(false);
   const [isExpanded, setIsExpanded] = useState(false);
   const [messages, setMessages] = useState([]);
+  const [conversations, setConversations] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
+  const [showConversations, setShowConversations] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Reply text so far and the query running while a response streams in
+  const [streamingText, setStreamingText] = useState('');
+  const [toolStatus, setToolStatus] = useState(null);
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
 
   const handleVenueClick = (venue) => {
     // Close copilot to show map
@@ -37,30 +107,66 @@ function CopilotChat({ token, onVenueClick }) {
     onVenueClick?.(venue);
   };
 
-  // Load state and messages on mount
+  const handleShowOnMap = (attachment) => {
+    setIsOpen(false);
+    onShowOnMap?.(attachment);
+    // The highlight layer is on the home page's map
+    if (location.pathname !== '/') {
+      navigate('/');
+    }
+  };
+
+  const loadConversation = async (id) => {
+    setConversationId(id);
+    setMessages([]);
+    setError(null);
+    if (!id) return;
+
+    try {
+      const conversation = await getCopilotConversation(id, token);
+      setMessages(conversation.messages);
+    } catch (err) {
+      if (err.response?.status === 404) {
+        // Deleted elsewhere - start over
+        setConversationId(null);
+        return;
+      }
+      console.error('Failed to load conversation:', err);
+      setError('Unable to load this conversation.');
+    }
+  };
+
+  // Load state, threads and the open thread on mount
   useEffect(() => {
     const savedState = loadCopilotState();
     setIsOpen(savedState.isOpen || false);
     setIsExpanded(savedState.isExpanded || false);
 
-    const savedMessages = loadMessages();
-    setMessages(savedMessages);
-  }, []);
+    const loadConversations = async () => {
+      try {
+        const imported = await importLegacyMessages(token);
+        setConversations(await getCopilotConversations(token));
+        await loadConversation(imported ? imported.id : savedState.conversationId || null);
+      } catch (err) {
+        console.error('Failed to load conversations:', err);
+      }
+    };
+    loadConversations();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
 
   // Save state when it changes
   useEffect(() => {
-    saveCopilotState({ isOpen, isExpanded });
-  }, [isOpen, isExpanded]);
-
-  // Save messages when they change
-  useEffect(() => {
-    saveMessages(messages);
-  }, [messages]);
+    saveCopilotState({ isOpen, isExpanded, conversationId });
+  }, [isOpen, isExpanded, conversationId]);
 
   // Auto-scroll to bottom
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+  }, [messages, streamingText, toolStatus]);
+
+  // Cancel a streaming reply on unmount
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
 
   const handleSendMessage = async (message) => {
     setError(null);
@@ -73,42 +179,62 @@ function CopilotChat({ token, onVenueClick }) {
     };
     setMessages(prev => [...prev, userMessage]);
     setIsLoading(true);
+    setStreamingText('');
+    setToolStatus(null);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    let partialText = '';
+    let createdConversationId = null;
 
     try {
-      // Send to API
-      const response = await sendCopilotMessage(message, messages, token);
-
-      // Backend returns all conversation turns from this request
-      // This includes: user message, function calls with thought signatures, and final response
-      if (response.messages && Array.isArray(response.messages)) {
-        // Filter out the user message (already added) and function-only messages
-        // Only show messages with actual text content to the user
-        const displayMessages = response.messages.filter(msg => {
-          // Skip user messages (we already added it)
-          if (msg.role === 'user') return false;
-
-          // For assistant messages, only show if there's text content
-          if (msg.role === 'assistant' || msg.role === 'model') {
-            return msg.text && msg.text.trim() && msg.text !== '[Function call]';
+      // Stream from the API, showing queries and text as they arrive
+      const response = await streamCopilotMessage(message, conversationId, token, {
+        signal: controller.signal,
+        onConversation: (conversation) => {
+          // A new thread is created with the first message
+          if (conversation.id !== conversationId) {
+            createdConversationId = conversation.id;
           }
+          setConversationId(conversation.id);
+          setConversations(prev => withConversation(prev, conversation));
+        },
+        onTool: (tool) => {
+          // Text before a function call was the model thinking aloud
+          partialText = '';
+          setStreamingText('');
+          setToolStatus(tool.description);
+        },
+        onText: (delta) => {
+          partialText += delta;
+          setStreamingText(partialText);
+          setToolStatus(null);
+        }
+      });
 
-          return true;
-        });
+      // Backend returns the messages it stored in the thread, the user message included
+      setMessages(prev => [...prev, ...displayableMessages(response.messages || [])]);
+      setConversations(prev => withConversation(prev, response.conversation));
+    } catch (err) {
+      // The server removes a new thread whose first reply didn't make it
+      if (createdConversationId) {
+        setConversations(prev => prev.filter(c => c.id !== createdConversationId));
+        setConversationId(null);
+      }
 
-        // Append filtered messages to conversation history
-        setMessages(prev => [...prev, ...displayMessages]);
-      } else {
-        // Fallback for old format (backwards compatibility)
-        const aiMessage = {
-          role: 'assistant',
-          content: response.content,
-          text: response.response,
-          timestamp: new Date().toISOString()
-        };
-
-        setMessages(prev => [...prev, aiMessage]);
+      if (err.name === 'AbortError') {
+        // Show what had arrived when the user stopped the reply; the server doesn't keep it
+        if (partialText.trim()) {
+          setMessages(prev => [...prev, {
+            role: 'assistant',
+            content: partialText,
+            text: partialText,
+            timestamp: new Date().toISOString()
+          }]);
+        }
+        return;
       }
-    } catch (err) {
+
       console.error('Failed to send message:', err);
       // Check for specific error messages
       const errorMessage = err.response?.data?.error || err.message || '';
@@ -118,18 +244,58 @@ function CopilotChat({ token, onVenueClick }) {
         setError('Unable to reach AI service. Please try again.');
       }
     } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
+      setStreamingText('');
+      setToolStatus(null);
       setIsLoading(false);
     }
   };
 
-  const handleClear = () => {
-    if (window.confirm('Clear all chat history?')) {
-      // Clear state first
-      setMessages([]);
-      // Clear localStorage
-      clearMessages();
-      // Force a re-render by clearing error state too
-      setError(null);
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const handleSelectConversation = (id) => {
+    // The list covers the chat in the compact panel
+    if (!isExpanded) {
+      setShowConversations(false);
+    }
+    if (id !== conversationId) {
+      loadConversation(id);
+    }
+  };
+
+  const handleNewConversation = () => {
+    if (!isExpanded) {
+      setShowConversations(false);
+    }
+    loadConversation(null);
+  };
+
+  const handleRenameConversation = async (id, title) => {
+    try {
+      const conversation = await renameCopilotConversation(id, title, token);
+      setConversations(prev => prev.map(c => (c.id === id ? conversation : c)));
+    } catch (err) {
+      console.error('Failed to rename conversation:', err);
+      setError('Unable to rename the conversation.');
+    }
+  };
+
+  const handleDeleteConversation = async (id) => {
+    if (!window.confirm('Delete this conversation?')) return;
+
+    try {
+      await deleteCopilotConversation(id, token);
+      setConversations(prev => prev.filter(c => c.id !== id));
+      if (id === conversationId) {
+        loadConversation(null);
+      }
+    } catch (err) {
+      console.error('Failed to delete conversation:', err);
+      setError('Unable to delete the conversation.');
     }
   };
 
@@ -152,6 +318,9 @@ function CopilotChat({ token, onVenueClick }) {
   // Chat panel dimensions
   const width = isExpanded ? 800 : 400;
   const height = 600;
+  const activeConversation = conversations.find(c => c.id === conversationId);
+  // The expanded panel has room for the thread list beside the chat
+  const showChat = isExpanded || !showConversations;
 
   return (
     <>
@@ -188,63 +357,108 @@ function CopilotChat({ token, onVenueClick }) {
         >
           {/* Header */}
           <ChatHeader
+            title={activeConversation?.title}
             onClose={handleClose}
             onMinimize={handleMinimize}
             onToggleExpand={handleToggleExpand}
             isExpanded={isExpanded}
-            onClear={handleClear}
+            onToggleConversations={() => setShowConversations(!showConversations)}
+            showConversations={showConversations}
+            onNewConversation={handleNewConversation}
           />
 
-          {/* Messages */}
-          <Box
-            sx={{
-              flexGrow: 1,
-              overflowY: 'auto',
-              p: 2,
-              bgcolor: 'background.default'
-            }}
-          >
-            {messages.length === 0 && (
-              <Box sx={{ textAlign: 'center', mt: 4 }}>
-                <Typography variant="body2" color="text.secondary">
-                  Ask me anything about your check-ins!
-                </Typography>
-                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
-                  Try: "Where did I last check in in Slovenia?"
-                </Typography>
+          <Box sx={{ flexGrow: 1, display: 'flex', minHeight: 0 }}>
+            {/* Threads */}
+            {showConversations && (
+              <Box
+                sx={{
+                  width: isExpanded ? 240 : '100%',
+                  flexShrink: 0,
+                  borderRight: isExpanded ? 1 : 0,
+                  borderColor: 'divider'
+                }}
+              >
+                <ConversationList
+                  conversations={conversations}
+                  activeId={conversationId}
+                  disabled={isLoading}
+                  onSelect={handleSelectConversation}
+                  onNew={handleNewConversation}
+                  onRename={handleRenameConversation}
+                  onDelete={handleDeleteConversation}
+                />
               </Box>
             )}
 
-            {messages.map((msg, index) => (
-              <ChatMessage
-                key={index}
-                role={msg.role}
-                content={msg.text || msg.content} // Use text for display, fallback to content
-                timestamp={msg.timestamp}
-                onVenueClick={handleVenueClick}
-              />
-            ))}
-
-            {isLoading && (
-              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
-                <CircularProgress size={20} />
-                <Typography variant="body2" color="text.secondary">
-                  Thinking...
-                </Typography>
-              </Box>
-            )}
+            {showChat && (
+              <Box sx={{ flexGrow: 1, display: 'flex', flexDirection: 'column', minWidth: 0 }}>
+                {/* Messages */}
+                <Box
+                  sx={{
+                    flexGrow: 1,
+                    overflowY: 'auto',
+                    p: 2,
+                    bgcolor: 'background.default'
+                  }}
+                >
+                  {messages.length === 0 && (
+                    <Box sx={{ textAlign: 'center', mt: 4 }}>
+                      <Typography variant="body2" color="text.secondary">
+                        Ask me anything about your check-ins!
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                        Try: "Where did I last check in in Slovenia?"
+                      </Typography>
+                    </Box>
+                  )}
 
-            {error && (
-              <Alert severity="error" onClose={() => setError(null)} sx={{ mb: 2 }}>
-                {error}
-              </Alert>
-            )}
+                  {messages.map((msg, index) => (
+                    <ChatMessage
+                      key={index}
+                      role={msg.role}
+                      content={msg.text || msg.content} // Use text for display, fallback to content
+                      timestamp={msg.timestamp}
+                      attachments={msg.attachments}
+                      onVenueClick={handleVenueClick}
+                      onShowOnMap={handleShowOnMap}
+                    />
+                  ))}
 
-            <div ref={messagesEndRef} />
-          </Box>
+                  {isLoading && streamingText && (
+                    <ChatMessage
+                      role="assistant"
+                      content={withoutPartialVenue(streamingText)}
+                      onVenueClick={handleVenueClick}
+                    />
+                  )}
+
+                  {isLoading && !streamingText && (
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+                      <CircularProgress size={20} />
+                      <Typography variant="body2" color="text.secondary">
+                        {toolStatus ? `${toolStatus}…` : 'Thinking...'}
+                      </Typography>
+                    </Box>
+                  )}
+
+                  {error && (
+                    <Alert severity="error" onClose={() => setError(null)} sx={{ mb: 2 }}>
+                      {error}
+                    </Alert>
+                  )}
 
-          {/* Input */}
-          <ChatInput onSend={handleSendMessage} disabled={isLoading} />
+                  <div ref={messagesEndRef} />
+                </Box>
+
+                {/* Input */}
+                <ChatInput
+                  onSend={handleSendMessage}
+                  onCancel={handleCancel}
+                  disabled={isLoading}
+                />
+              </Box>
+            )}
+          </Box>
         </Paper>
       </Slide>
     </>
@@ -253,7 +467,8 @@ function CopilotChat({ token, onVenueClick }) {
 
 CopilotChat.propTypes = {
   token: PropTypes.string.isRequired,
-  onVenueClick: PropTypes.func
+  onVenueClick: PropTypes.func,
+  onShowOnMap: PropTypes.func
 };
 
 export default CopilotChat;
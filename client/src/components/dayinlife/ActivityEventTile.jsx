@@ -3,6 +3,7 @@ import { Paper, Typography, Box, Link } from '@mui/material';
 import { useTheme } from '@mui/material/styles';
 import { ArrowSquareOut } from '@phosphor-icons/react';
 import { overlayColors } from '../../theme';
+import { getPhotoUrl } from '../../services/api';
 
 const ActivityEventTile = ({ event, onPhotoClick }) => {
   const theme = useTheme();
@@ -116,7 +117,7 @@ const ActivityEventTile = ({ event, onPhotoClick }) => {
                 }}
               >
                 <img
-                  src={activity.photos[0].photo_url}
+                  src={getPhotoUrl(activity.photos[0].photo_url_cached || activity.photos[0].photo_url, { size: 'thumb' })}
                   alt="Activity snapshot"
                   style={{
                     width: '100%',
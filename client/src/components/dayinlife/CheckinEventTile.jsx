@@ -4,8 +4,9 @@ import { useTheme } from '@mui/material/styles';
 import { MapTrifold } from '@phosphor-icons/react';
 import { formatTimeInLocalZone } from '../../utils/timezoneUtils';
 import { overlayColors } from '../../theme';
+import { getPhotoUrl } from '../../services/api';
 
-const CheckinEventTile = ({ event, onPhotoClick, authToken }) => {
+const CheckinEventTile = ({ event, onPhotoClick }) => {
   const theme = useTheme();
 
   return (
@@ -23,7 +24,7 @@ const CheckinEventTile = ({ event, onPhotoClick, authToken }) => {
             style={{ width: '100%', borderRadius: theme.shape.borderRadius }}
           />
           <Link
-            href={`/?token=${authToken}`}
+            href="/"
             target="_blank"
             sx={{
               position: 'absolute',
@@ -91,7 +92,7 @@ const CheckinEventTile = ({ event, onPhotoClick, authToken }) => {
                     }}
                   >
                     <img
-                      src={checkin.photos[0].photo_url_cached || checkin.photos[0].photo_url}
+                      src={getPhotoUrl(checkin.photos[0].photo_url_cached || checkin.photos[0].photo_url, { size: 'thumb' })}
                       alt="Check-in at venue"
                       style={{
                         width: '100%',
@@ -9,6 +9,13 @@ import {
   Lightning,
   Heart,
   Flame,
+  Gauge,
+  BatteryMedium,
+  Drop,
+  Wind,
+  Stairs,
+  Timer,
+  Path,
 } from '@phosphor-icons/react';
 
 // Map of icon types to Phosphor components
@@ -20,6 +27,13 @@ const iconMap = {
   activities: Lightning,
   heartRate: Heart,
   calories: Flame,
+  stress: Gauge,
+  bodyBattery: BatteryMedium,
+  spo2: Drop,
+  respiration: Wind,
+  floors: Stairs,
+  intensityMinutes: Timer,
+  distance: Path,
 };
 
 const PropertyTile = ({ icon, iconType, label, value, sublabel }) => {
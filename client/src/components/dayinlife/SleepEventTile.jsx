@@ -0,0 +1,108 @@
+import React from 'react';
+import { Paper, Typography, Box, Tooltip } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Moon, SunHorizon } from '@phosphor-icons/react';
+import { SLEEP_STAGE_COLORS } from '../../theme';
+import { formatTimeInLocalZone } from '../../utils/timezoneUtils';
+
+// Stage order from deepest to lightest, matching the hypnogram's vertical levels
+const STAGES = [
+  { key: 'deep', label: 'Deep' },
+  { key: 'light', label: 'Light' },
+  { key: 'rem', label: 'REM' },
+  { key: 'awake', label: 'Awake' },
+];
+
+const formatDuration = (seconds) => {
+  if (!seconds) return '0m';
+  const hours = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
+};
+
+/**
+ * Sleep window (bedtime to wake-up) with a stage breakdown.
+ * Garmin exports only carry per-stage totals, so each stage is drawn as one
+ * block proportional to its share of the night, stepped like a hypnogram.
+ */
+const SleepEventTile = ({ event }) => {
+  const theme = useTheme();
+  const { sleep, startTime, endTime, timezone } = event;
+
+  const stages = STAGES
+    .map((stage, level) => ({ ...stage, level, seconds: sleep.stages?.[stage.key] || 0 }))
+    .filter(stage => stage.seconds > 0);
+  const totalStageSeconds = stages.reduce((sum, stage) => sum + stage.seconds, 0);
+
+  return (
+    <Paper sx={{ p: 3, mb: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+        <Typography variant="h6">SLEEP</Typography>
+        <Typography
+          variant="body1"
+          sx={{ fontFamily: theme.typography.fontFamilyMono }}
+        >
+          {formatDuration(sleep.duration)}
+          {sleep.score ? ` • Score ${sleep.score}` : ''}
+        </Typography>
+      </Box>
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1.5 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, color: 'text.secondary' }}>
+          <Moon size={20} />
+          <Typography variant="body2" sx={{ fontFamily: theme.typography.fontFamilyMono }}>
+            Bedtime {formatTimeInLocalZone(startTime, timezone)}
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, color: 'text.secondary' }}>
+          <Typography variant="body2" sx={{ fontFamily: theme.typography.fontFamilyMono }}>
+            Wake-up {formatTimeInLocalZone(endTime, timezone)}
+          </Typography>
+          <SunHorizon size={20} />
+        </Box>
+      </Box>
+
+      {totalStageSeconds > 0 && (
+        <>
+          {/* Hypnogram-style breakdown: deeper stages sit lower */}
+          <Box
+            sx={{
+              display: 'flex',
+              alignItems: 'flex-start',
+              height: 64,
+              bgcolor: 'background.surface',
+              borderRadius: 1,
+              overflow: 'hidden',
+            }}
+          >
+            {stages.map(stage => (
+              <Tooltip key={stage.key} title={`${stage.label}: ${formatDuration(stage.seconds)}`}>
+                <Box
+                  sx={{
+                    width: `${(stage.seconds / totalStageSeconds) * 100}%`,
+                    height: 16,
+                    mt: `${(STAGES.length - 1 - stage.level) * 16}px`,
+                    bgcolor: SLEEP_STAGE_COLORS[stage.key],
+                  }}
+                />
+              </Tooltip>
+            ))}
+          </Box>
+
+          <Box sx={{ display: 'flex', gap: 2, mt: 1.5, flexWrap: 'wrap' }}>
+            {stages.map(stage => (
+              <Box key={stage.key} sx={{ display: 'flex', alignItems: 'center', gap: 0.75 }}>
+                <Box sx={{ width: 10, height: 10, borderRadius: '2px', bgcolor: SLEEP_STAGE_COLORS[stage.key] }} />
+                <Typography variant="caption" color="text.secondary">
+                  {stage.label} {formatDuration(stage.seconds)}
+                </Typography>
+              </Box>
+            ))}
+          </Box>
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default SleepEventTile;
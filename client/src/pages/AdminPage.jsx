@@ -0,0 +1,435 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  TextField,
+  MenuItem,
+  Snackbar
+} from '@mui/material';
+import { ArrowsClockwise } from '@phosphor-icons/react';
+import Layout from '../components/Layout';
+import {
+  validateToken,
+  getAdminUsers,
+  getAdminJobs,
+  getAdminQueues,
+  getAdminStravaQuota,
+  retryAdminJob,
+  cancelAdminJob,
+  triggerDailySync
+} from '../services/api';
+
+const SOURCES = ['foursquare', 'strava', 'garmin'];
+const JOB_STATUSES = ['pending', 'running', 'rate_limited', 'completed', 'failed'];
+const CANCELLABLE_STATUSES = ['pending', 'running', 'rate_limited'];
+// Garmin imports are always uploads, which can't be retried
+const NON_RETRYABLE_SOURCES = ['garmin'];
+const JOBS_PER_PAGE = 25;
+
+const STATUS_COLORS = {
+  completed: 'success',
+  failed: 'error',
+  running: 'info',
+  pending: 'default',
+  rate_limited: 'warning'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const StatusChip = ({ status }) => (
+  <Chip label={status.replace('_', ' ')} size="small" color={STATUS_COLORS[status] || 'default'} />
+);
+
+function AdminPage() {
+  const token = localStorage.getItem('authToken');
+
+  const [userData, setUserData] = useState(null);
+  const [forbidden, setForbidden] = useState(false);
+  const [users, setUsers] = useState([]);
+  const [queues, setQueues] = useState([]);
+  const [quota, setQuota] = useState(null);
+  const [jobs, setJobs] = useState({ data: [], total: 0 });
+  const [jobFilters, setJobFilters] = useState({ userId: '', status: '' });
+  const [jobPage, setJobPage] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [busyJobId, setBusyJobId] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const fetchUserData = useCallback(async () => {
+    if (token) {
+      try {
+        setUserData(await validateToken(token));
+      } catch (error) {
+        console.error('Failed to fetch user data:', error);
+      }
+    }
+  }, [token]);
+
+  const loadOverview = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [usersData, queuesData, quotaData] = await Promise.all([
+        getAdminUsers(token),
+        getAdminQueues(token),
+        getAdminStravaQuota(token)
+      ]);
+      setUsers(usersData);
+      setQueues(queuesData);
+      setQuota(quotaData);
+    } catch (error) {
+      if (error.response?.status === 403) {
+        setForbidden(true);
+      } else {
+        console.error('Failed to load admin dashboard:', error);
+        setMessage('Failed to load the dashboard');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  const loadJobs = useCallback(async () => {
+    try {
+      const result = await getAdminJobs({
+        token,
+        userId: jobFilters.userId || undefined,
+        status: jobFilters.status || undefined,
+        limit: JOBS_PER_PAGE,
+        offset: jobPage * JOBS_PER_PAGE
+      });
+      setJobs(result);
+    } catch (error) {
+      if (error.response?.status !== 403) {
+        console.error('Failed to load import jobs:', error);
+      }
+    }
+  }, [token, jobFilters, jobPage]);
+
+  useEffect(() => {
+    fetchUserData();
+    loadOverview();
+  }, [fetchUserData, loadOverview]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  const handleRefresh = () => {
+    loadOverview();
+    loadJobs();
+  };
+
+  const handleJobAction = async (job, action) => {
+    setBusyJobId(job.id);
+    try {
+      if (action === 'retry') {
+        await retryAdminJob(job.id, token);
+        setMessage(`Import job ${job.id} queued again`);
+      } else {
+        await cancelAdminJob(job.id, token);
+        setMessage(`Import job ${job.id} cancelled`);
+      }
+      handleRefresh();
+    } catch (error) {
+      console.error(`Failed to ${action} import job:`, error);
+      setMessage(error.response?.data?.error || `Failed to ${action} import job ${job.id}`);
+    } finally {
+      setBusyJobId(null);
+    }
+  };
+
+  const handleTriggerDailySync = async () => {
+    try {
+      await triggerDailySync(token);
+      setMessage('Daily sync triggered');
+    } catch (error) {
+      console.error('Failed to trigger daily sync:', error);
+      setMessage('Failed to trigger the daily sync');
+    }
+  };
+
+  const showUserJobs = (userId) => {
+    setJobFilters({ userId: String(userId), status: '' });
+    setJobPage(0);
+  };
+
+  const renderContent = () => {
+    if (forbidden) {
+      return <Alert severity="error">This page is only available to admins.</Alert>;
+    }
+
+    if (loading && users.length === 0) {
+      return (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+          <CircularProgress />
+        </Box>
+      );
+    }
+
+    return (
+      <>
+        {/* Users */}
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Users ({users.length})
+          </Typography>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>User</TableCell>
+                  <TableCell>Last login</TableCell>
+                  {SOURCES.map(source => (
+                    <TableCell key={source} sx={{ textTransform: 'capitalize' }}>Last {source} sync</TableCell>
+                  ))}
+                  <TableCell align="right">Check-ins</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {users.map(user => (
+                  <TableRow key={user.id} hover>
+                    <TableCell>
+                      {user.displayName || `User ${user.id}`}
+                      {user.role === 'admin' && <Chip label="admin" size="small" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>{formatDate(user.lastLoginAt)}</TableCell>
+                    {SOURCES.map(source => (
+                      <TableCell key={source}>
+                        <Box>{formatDate(user.lastSync[source])}</Box>
+                        {user.latestJobs[source] && <StatusChip status={user.latestJobs[source].status} />}
+                      </TableCell>
+                    ))}
+                    <TableCell align="right">{user.checkinCount}</TableCell>
+                    <TableCell>
+                      <Button size="small" onClick={() => showUserJobs(user.id)}>
+                        Jobs
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+
+        {/* Import jobs */}
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+            <Typography variant="h6" sx={{ flexGrow: 1 }}>
+              Import Jobs
+            </Typography>
+            <TextField
+              select
+              size="small"
+              label="User"
+              value={jobFilters.userId}
+              onChange={(e) => { setJobFilters({ ...jobFilters, userId: e.target.value }); setJobPage(0); }}
+              sx={{ minWidth: 180 }}
+            >
+              <MenuItem value="">All users</MenuItem>
+              {users.map(user => (
+                <MenuItem key={user.id} value={String(user.id)}>{user.displayName || `User ${user.id}`}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              size="small"
+              label="Status"
+              value={jobFilters.status}
+              onChange={(e) => { setJobFilters({ ...jobFilters, status: e.target.value }); setJobPage(0); }}
+              sx={{ minWidth: 150 }}
+            >
+              <MenuItem value="">All statuses</MenuItem>
+              {JOB_STATUSES.map(status => (
+                <MenuItem key={status} value={status}>{status.replace('_', ' ')}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>ID</TableCell>
+                  <TableCell>User</TableCell>
+                  <TableCell>Source</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Imported</TableCell>
+                  <TableCell>Created</TableCell>
+                  <TableCell>Finished</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {jobs.data.map(job => (
+                  <TableRow key={job.id} hover>
+                    <TableCell>{job.id}</TableCell>
+                    <TableCell>{job.displayName || job.userId}</TableCell>
+                    <TableCell sx={{ textTransform: 'capitalize' }}>{job.dataSource}</TableCell>
+                    <TableCell>
+                      <StatusChip status={job.status} />
+                      {job.errorMessage && (
+                        <Typography variant="caption" color="error" display="block" sx={{ maxWidth: 280 }}>
+                          {job.errorMessage}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">
+                      {job.totalImported ?? 0}{job.totalExpected ? ` / ${job.totalExpected}` : ''}
+                    </TableCell>
+                    <TableCell>{formatDate(job.createdAt)}</TableCell>
+                    <TableCell>{formatDate(job.completedAt)}</TableCell>
+                    <TableCell>
+                      {job.status === 'failed' && !NON_RETRYABLE_SOURCES.includes(job.dataSource) && (
+                        <Button size="small" onClick={() => handleJobAction(job, 'retry')} disabled={busyJobId === job.id}>
+                          Retry
+                        </Button>
+                      )}
+                      {CANCELLABLE_STATUSES.includes(job.status) && (
+                        <Button
+                          size="small"
+                          color="error"
+                          onClick={() => handleJobAction(job, 'cancel')}
+                          disabled={busyJobId === job.id}
+                        >
+                          Cancel
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={jobs.total}
+            page={jobPage}
+            onPageChange={(e, page) => setJobPage(page)}
+            rowsPerPage={JOBS_PER_PAGE}
+            rowsPerPageOptions={[JOBS_PER_PAGE]}
+          />
+        </Paper>
+
+        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: '1fr 1fr' }, gap: 3 }}>
+          {/* Queues */}
+          <Paper sx={{ p: 3 }}>
+            <Typography variant="h6" gutterBottom>
+              Job Queues
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Queue</TableCell>
+                  <TableCell align="right">Queued</TableCell>
+                  <TableCell align="right">Deferred</TableCell>
+                  <TableCell align="right">Active</TableCell>
+                  <TableCell align="right">Failed</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {queues.map(queue => (
+                  <TableRow key={queue.name}>
+                    <TableCell>{queue.name}</TableCell>
+                    <TableCell align="right">{queue.queued}</TableCell>
+                    <TableCell align="right">{queue.deferred}</TableCell>
+                    <TableCell align="right">{queue.active}</TableCell>
+                    <TableCell align="right">{queue.failed}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            <Button variant="outlined" size="small" onClick={handleTriggerDailySync} sx={{ mt: 2 }}>
+              Trigger Daily Sync
+            </Button>
+          </Paper>
+
+          {/* Strava quota */}
+          {quota && (
+            <Paper sx={{ p: 3 }}>
+              <Typography variant="h6" gutterBottom>
+                Strava API Quota
+              </Typography>
+              {[
+                { label: 'Last 15 minutes', used: quota.totals.short, limit: quota.limits.short },
+                { label: 'Last 24 hours', used: quota.totals.daily, limit: quota.limits.daily }
+              ].map(({ label, used, limit }) => (
+                <Box key={label} sx={{ mb: 2 }}>
+                  <Typography variant="body2">
+                    {label}: {used} / {limit} requests
+                  </Typography>
+                  <LinearProgress
+                    variant="determinate"
+                    value={Math.min(100, (used / limit) * 100)}
+                    color={used >= limit ? 'error' : 'primary'}
+                  />
+                </Box>
+              ))}
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>User</TableCell>
+                    <TableCell align="right">15 min</TableCell>
+                    <TableCell align="right">24 h</TableCell>
+                    <TableCell>Last request</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {quota.users.map(row => (
+                    <TableRow key={row.userId}>
+                      <TableCell>{row.displayName || row.userId}</TableCell>
+                      <TableCell align="right">{row.shortCount}</TableCell>
+                      <TableCell align="right">{row.dailyCount}</TableCell>
+                      <TableCell>{formatDate(row.lastRequestAt)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </Paper>
+          )}
+        </Box>
+      </>
+    );
+  };
+
+  return (
+    <Layout token={token} lastSyncAt={userData?.lastSyncAt} onSyncComplete={fetchUserData}>
+      <Box sx={{ p: { xs: 2, sm: 3, md: 4 }, maxWidth: 1200, mx: 'auto', minHeight: '100%' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
+          <Typography variant="h4" sx={{ flexGrow: 1 }}>
+            Admin
+          </Typography>
+          {!forbidden && (
+            <Button startIcon={<ArrowsClockwise size={20} />} onClick={handleRefresh} disabled={loading}>
+              Refresh
+            </Button>
+          )}
+        </Box>
+
+        {renderContent()}
+
+        <Snackbar
+          open={!!message}
+          autoHideDuration={4000}
+          onClose={() => setMessage('')}
+          message={message}
+        />
+      </Box>
+    </Layout>
+  );
+}
+
+export default AdminPage;
@@ -1,5 +1,4 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { useSearchParams } from 'react-router-dom';
 import {
   Box,
   Typography,
@@ -8,24 +7,21 @@ import {
   List,
   ListItem,
   ListItemText,
-  IconButton,
   Snackbar,
   Card,
   CardContent
 } from '@mui/material';
 import { useTheme } from '@mui/material/styles';
-import { CopySimple, CheckCircle, Bicycle, CloudArrowUp } from '@phosphor-icons/react';
+import { CheckCircle, Bicycle, CloudArrowUp } from '@phosphor-icons/react';
 import Layout from '../components/Layout';
 import SyncProgressBar from '../components/SyncProgressBar';
-import { validateToken } from '../services/api';
+import AccountDataCard from '../components/AccountDataCard';
+import SessionsCard from '../components/SessionsCard';
+import { validateToken, getAccessToken, authHeaders } from '../services/api';
 
 const DataSourcesPage = () => {
   const theme = useTheme();
-  const [searchParams] = useSearchParams();
-  const [token] = useState(
-    searchParams.get('token') || localStorage.getItem('authToken')
-  );
-  const [copied, setCopied] = useState(false);
+  const [token] = useState(localStorage.getItem('authToken'));
   const [userData, setUserData] = useState(null);
   const [stravaStatus, setStravaStatus] = useState({
     connected: false,
@@ -38,8 +34,9 @@ const DataSourcesPage = () => {
   const [success, setSuccess] = useState('');
   const [uploadingGarmin, setUploadingGarmin] = useState(false);
   const [uploadResults, setUploadResults] = useState(null);
+  const [uploadingGarminExport, setUploadingGarminExport] = useState(false);
+  const [garminJobId, setGarminJobId] = useState(null);
 
-  const tokenUrl = `${window.location.origin}/?token=${token}`;
   const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
   // Fetch user data to get lastSyncAt
@@ -60,7 +57,7 @@ const DataSourcesPage = () => {
       try {
         const response = await fetch(`${API_URL}/api/strava/status`, {
           headers: {
-            'x-auth-token': token
+            ...authHeaders(await getAccessToken())
           }
         });
 
@@ -108,17 +105,12 @@ const DataSourcesPage = () => {
     fetchUserData();
   };
 
-  const handleCopy = () => {
-    navigator.clipboard.writeText(tokenUrl);
-    setCopied(true);
-  };
-
   // Strava handlers
   const handleStravaConnect = async () => {
     try {
       // Call /api/strava/auth/start to get authorization URL
       const response = await fetch(`${API_URL}/api/strava/auth/start`, {
-        headers: { 'x-auth-token': token }
+        headers: authHeaders(await getAccessToken())
       });
       const { authorizationUrl } = await response.json();
 
@@ -138,7 +130,7 @@ const DataSourcesPage = () => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'x-auth-token': token
+          ...authHeaders(await getAccessToken())
         }
       });
 
@@ -164,7 +156,7 @@ const DataSourcesPage = () => {
       const response = await fetch(`${API_URL}/api/strava/disconnect`, {
         method: 'DELETE',
         headers: {
-          'x-auth-token': token
+          ...authHeaders(await getAccessToken())
         }
       });
 
@@ -190,6 +182,7 @@ const DataSourcesPage = () => {
   // 2. JSON preserves complex nested data structures (arrays, objects) without parsing ambiguity
   // 3. JSON is easier to validate and parse on both client and server side
   // 4. The backend parser is already built to handle Garmin's specific JSON format
+  // Activity files (.fit/.gpx/.tcx) from the same export are accepted alongside the JSON files
   const handleGarminFileUpload = async (event) => {
     const files = event.target.files;
     if (!files || files.length === 0) return;
@@ -237,7 +230,7 @@ const DataSourcesPage = () => {
       const response = await fetch(`${API_URL}/api/garmin/upload`, {
         method: 'POST',
         headers: {
-          'x-auth-token': token
+          ...authHeaders(await getAccessToken())
         },
         body: formData
       });
@@ -246,7 +239,7 @@ const DataSourcesPage = () => {
 
       if (response.ok) {
         setUploadResults(data);
-        setSuccess(`Successfully uploaded ${data.processed} files with ${data.stepsRecords} steps, ${data.heartRateRecords} heart rate, and ${data.sleepRecords} sleep records`);
+        setSuccess(`Successfully uploaded ${data.processed} files with ${data.stepsRecords} steps, ${data.heartRateRecords} heart rate, ${data.sleepRecords} sleep records and ${data.activitiesImported || 0} activities`);
       } else {
         setError(data.error || 'Failed to upload files');
       }
@@ -260,6 +253,53 @@ const DataSourcesPage = () => {
     }
   };
 
+  // Garmin export ZIP upload handler
+  // The full export is too large to process in a request, so the server stores
+  // it and imports it in a background job that we track with SyncProgressBar
+  const handleGarminExportUpload = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    if (!token) {
+      setError('Authentication token is missing. Please log in again.');
+      event.target.value = '';
+      return;
+    }
+
+    setUploadingGarminExport(true);
+    setGarminJobId(null);
+    setError('');
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+
+      const response = await fetch(`${API_URL}/api/garmin/upload-export`, {
+        method: 'POST',
+        headers: {
+          ...authHeaders(await getAccessToken())
+        },
+        body: formData
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setGarminJobId(data.jobId);
+        setSuccess('Garmin export uploaded, import started');
+      } else {
+        setError(data.error || 'Failed to upload Garmin export');
+      }
+    } catch (error) {
+      console.error('Garmin export upload error:', error);
+      setError('Failed to upload Garmin export');
+    } finally {
+      setUploadingGarminExport(false);
+      // Reset file input
+      event.target.value = '';
+    }
+  };
+
   const formatLastSync = (dateString) => {
     if (!dateString) return 'Never';
     return new Date(dateString).toLocaleString();
@@ -276,39 +316,8 @@ const DataSourcesPage = () => {
           Data Sources
         </Typography>
 
-        {/* Token Display */}
-        <Paper sx={{ p: 3, mb: 4 }}>
-          <Typography variant="h6" gutterBottom>
-            Your Access Token
-          </Typography>
-          <Typography variant="body2" color="text.secondary" gutterBottom>
-            Save this URL to access your data:
-          </Typography>
-          <Box
-            sx={{
-              display: 'flex',
-              alignItems: 'center',
-              bgcolor: 'background.surface',
-              p: 2,
-              borderRadius: 1,
-              mt: 2
-            }}
-          >
-            <Typography
-              variant="body2"
-              sx={{
-                fontFamily: theme.typography.fontFamilyMono,
-                flex: 1,
-                wordBreak: 'break-all'
-              }}
-            >
-              {tokenUrl}
-            </Typography>
-            <IconButton onClick={handleCopy} size="small">
-              <CopySimple size={20} />
-            </IconButton>
-          </Box>
-        </Paper>
+        {/* Signed-in devices */}
+        <SessionsCard token={token} onError={setError} onSuccess={setSuccess} />
 
         {/* Data Sources */}
         <Paper sx={{ p: 3 }}>
@@ -335,11 +344,31 @@ const DataSourcesPage = () => {
             </Box>
 
             <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-              Upload JSON files from your Garmin data export (UDSFile_*.json and *_sleepData.json files)
+              Upload the whole Garmin Connect export ZIP, or individual files from it: UDSFile_*.json and *_sleepData.json files, plus activity files (.fit, .gpx, .tcx)
             </Typography>
 
             <input
-              accept=".json,application/json"
+              accept=".zip,application/zip"
+              style={{ display: 'none' }}
+              id="garmin-export-upload"
+              type="file"
+              onChange={handleGarminExportUpload}
+              disabled={uploadingGarminExport}
+            />
+            <label htmlFor="garmin-export-upload">
+              <Button
+                variant="contained"
+                component="span"
+                startIcon={<CloudArrowUp size={20} weight="regular" />}
+                disabled={uploadingGarminExport}
+                sx={{ mr: 2 }}
+              >
+                {uploadingGarminExport ? 'Uploading...' : 'Upload Export ZIP'}
+              </Button>
+            </label>
+
+            <input
+              accept=".json,application/json,.fit,.gpx,.tcx"
               style={{ display: 'none' }}
               id="garmin-file-upload"
               multiple
@@ -349,7 +378,7 @@ const DataSourcesPage = () => {
             />
             <label htmlFor="garmin-file-upload">
               <Button
-                variant="contained"
+                variant="outlined"
                 component="span"
                 startIcon={<CloudArrowUp size={20} weight="regular" />}
                 disabled={uploadingGarmin}
@@ -358,6 +387,23 @@ const DataSourcesPage = () => {
               </Button>
             </label>
 
+            {garminJobId && (
+              <SyncProgressBar
+                jobId={garminJobId}
+                token={token}
+                dataSource="garmin"
+                onComplete={() => {
+                  setGarminJobId(null);
+                  setSuccess('Garmin export imported');
+                }}
+                onError={(errorMsg) => {
+                  // Keep garminJobId so the error message stays visible
+                  // Uploading another export replaces it
+                  console.log('Garmin export import error:', errorMsg);
+                }}
+              />
+            )}
+
             {uploadResults && (
               <Box sx={{ mt: 2, p: 2, bgcolor: 'success.light', borderRadius: 1 }}>
                 <Typography variant="body2" color="success.contrastText">
@@ -375,6 +421,13 @@ const DataSourcesPage = () => {
                 <Typography variant="caption" display="block" color="success.contrastText">
                   Sleep records: {uploadResults.sleepRecords}
                 </Typography>
+                <Typography variant="caption" display="block" color="success.contrastText">
+                  Wellness records: {uploadResults.wellnessRecords || 0}
+                </Typography>
+                <Typography variant="caption" display="block" color="success.contrastText">
+                  Activities imported: {uploadResults.activitiesImported || 0}
+                  {uploadResults.duplicateActivities > 0 && ` (${uploadResults.duplicateActivities} already imported)`}
+                </Typography>
                 {uploadResults.errors && uploadResults.errors.length > 0 && (
                   <Box sx={{ mt: 1 }}>
                     <Typography variant="caption" display="block" color="warning.main">
@@ -461,12 +514,9 @@ const DataSourcesPage = () => {
           </CardContent>
         </Card>
 
-        <Snackbar
-          open={copied}
-          autoHideDuration={2000}
-          onClose={() => setCopied(false)}
-          message="URL copied to clipboard!"
-        />
+        {/* Account export and deletion */}
+        <AccountDataCard token={token} onError={setError} onSuccess={setSuccess} />
+
         <Snackbar
           open={!!error}
           autoHideDuration={4000}
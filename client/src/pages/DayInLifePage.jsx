@@ -18,7 +18,8 @@ import PropertyTile from '../components/dayinlife/PropertyTile';
 import CheckinEventTile from '../components/dayinlife/CheckinEventTile';
 import ActivityEventTile from '../components/dayinlife/ActivityEventTile';
 import ActivityWithCheckinsTile from '../components/dayinlife/ActivityWithCheckinsTile';
-import { getDayInLife } from '../services/api';
+import SleepEventTile from '../components/dayinlife/SleepEventTile';
+import { getDayInLife, getPhotoUrl } from '../services/api';
 import Lightbox from 'yet-another-react-lightbox';
 import 'yet-another-react-lightbox/styles.css';
 
@@ -87,7 +88,7 @@ const DayInLifePage = () => {
   };
 
   const handlePhotoClick = (photos) => {
-    setLightboxPhotos(photos.map(p => ({ src: p.photo_url_cached || p.photo_url })));
+    setLightboxPhotos(photos.map(p => ({ src: getPhotoUrl(p.photo_url_cached || p.photo_url, { size: 'original' }) })));
     setLightboxOpen(true);
   };
 
@@ -216,6 +217,9 @@ const DayInLifePage = () => {
               iconType="steps"
               label="Steps"
               value={dayData.properties && dayData.properties.steps && dayData.properties.steps.count ? dayData.properties.steps.count.toLocaleString() : 'No data'}
+              sublabel={dayData.properties && dayData.properties.steps && dayData.properties.steps.goal
+                ? `Goal: ${dayData.properties.steps.goal.toLocaleString()}`
+                : null}
             />
           </Grid>
 
@@ -257,6 +261,93 @@ const DayInLifePage = () => {
               value={dayData.properties && dayData.properties.calories && dayData.properties.calories.total ? dayData.properties.calories.total : 'No data'}
             />
           </Grid>
+
+          {/* Stress */}
+          {dayData.properties && dayData.properties.stress && (
+            <Grid item>
+              <PropertyTile
+                iconType="stress"
+                label="Stress"
+                value={dayData.properties.stress.average}
+                sublabel={dayData.properties.stress.max !== null ? `Max: ${dayData.properties.stress.max}` : null}
+              />
+            </Grid>
+          )}
+
+          {/* Body Battery */}
+          {dayData.properties && dayData.properties.bodyBattery && (
+            <Grid item>
+              <PropertyTile
+                iconType="bodyBattery"
+                label="Body Battery"
+                value={dayData.properties.bodyBattery.highest !== null
+                  ? `${dayData.properties.bodyBattery.lowest}-${dayData.properties.bodyBattery.highest}`
+                  : null}
+                sublabel={dayData.properties.bodyBattery.charged !== null
+                  ? `+${dayData.properties.bodyBattery.charged} / -${dayData.properties.bodyBattery.drained}`
+                  : null}
+              />
+            </Grid>
+          )}
+
+          {/* SpO2 */}
+          {dayData.properties && dayData.properties.spo2 && (
+            <Grid item>
+              <PropertyTile
+                iconType="spo2"
+                label="SpO2"
+                value={dayData.properties.spo2.average !== null ? `${Math.round(dayData.properties.spo2.average)}%` : null}
+                sublabel={dayData.properties.spo2.lowest !== null ? `Lowest: ${dayData.properties.spo2.lowest}%` : null}
+              />
+            </Grid>
+          )}
+
+          {/* Respiration */}
+          {dayData.properties && dayData.properties.respiration && (
+            <Grid item>
+              <PropertyTile
+                iconType="respiration"
+                label="Respiration"
+                value={dayData.properties.respiration.average}
+                sublabel="brpm"
+              />
+            </Grid>
+          )}
+
+          {/* Floors */}
+          {dayData.properties && dayData.properties.floors && (
+            <Grid item>
+              <PropertyTile
+                iconType="floors"
+                label="Floors"
+                value={String(dayData.properties.floors.ascended)}
+                sublabel={dayData.properties.floors.descended !== null ? `${dayData.properties.floors.descended} down` : null}
+              />
+            </Grid>
+          )}
+
+          {/* Intensity Minutes */}
+          {dayData.properties && dayData.properties.intensityMinutes && (
+            <Grid item>
+              <PropertyTile
+                iconType="intensityMinutes"
+                label="Intensity Minutes"
+                value={String(dayData.properties.intensityMinutes.total)}
+                sublabel={`${dayData.properties.intensityMinutes.moderate} moderate, ${dayData.properties.intensityMinutes.vigorous} vigorous`}
+              />
+            </Grid>
+          )}
+
+          {/* Distance */}
+          {dayData.properties && dayData.properties.distance && (
+            <Grid item>
+              <PropertyTile
+                iconType="distance"
+                label="Distance"
+                value={`${(dayData.properties.distance.meters / 1000).toFixed(1)} km`}
+              />
+            </Grid>
+          )}
         </Grid>
 
         {/* Events */}
@@ -274,7 +365,6 @@ const DayInLifePage = () => {
                 <CheckinEventTile
                   event={event}
                   onPhotoClick={handlePhotoClick}
-                  authToken={token}
                 />
               )}
               {(event.type === 'strava_activity_with_checkins_mapped' || event.type === 'garmin_activity_with_checkins_mapped') && (
@@ -286,6 +376,9 @@ const DayInLifePage = () => {
               {(event.type.includes('activity') && !event.type.includes('with_checkins')) && (
                 <ActivityEventTile event={event} onPhotoClick={handlePhotoClick} />
               )}
+              {event.type === 'sleep' && (
+                <SleepEventTile event={event} />
+              )}
             </Box>
           ))
         )}
@@ -1,16 +1,16 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import Layout from '../components/Layout';
 import MapView from '../components/MapView';
 import FilterPanel from '../components/FilterPanel';
 import StatsPanel from '../components/StatsPanel';
-import { getCheckins, validateToken } from '../services/api';
+import { getCheckins, getActivityTilesUrl, getHeatmap, validateToken } from '../services/api';
 import { Box, Snackbar, Alert } from '@mui/material';
 import { boundsContained, addBuffer, calculateBounds } from '../utils/geoUtils';
 
-function HomePage({ mapRef: externalMapRef }) {
+function HomePage({ mapRef: externalMapRef, highlight, onClearHighlight }) {
   const [searchParams] = useSearchParams();
-  const token = searchParams.get('token') || localStorage.getItem('authToken');
+  const token = localStorage.getItem('authToken');
 
   const [checkins, setCheckins] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -27,6 +27,22 @@ function HomePage({ mapRef: externalMapRef }) {
   const [lastLoadedBounds, setLastLoadedBounds] = useState(null);
   const [lastLoadedZoom, setLastLoadedZoom] = useState(null);
   const [viewportLoading, setViewportLoading] = useState(false);
+
+  // Map position to open at, from ?lat=&lng=&zoom= links
+  const focus = useMemo(() => {
+    const latitude = parseFloat(searchParams.get('lat'));
+    const longitude = parseFloat(searchParams.get('lng'));
+    if (Number.isNaN(latitude) || Number.isNaN(longitude)) return null;
+    return { latitude, longitude, zoom: parseFloat(searchParams.get('zoom')) || 15 };
+  }, [searchParams]);
+
+  // Activity tracks layer state
+  const [showActivities, setShowActivities] = useState(false);
+
+  // Heatmap mode state
+  const [mapMode, setMapMode] = useState('clusters');
+  const [heatmapIncludeTracks, setHeatmapIncludeTracks] = useState(false);
+  const [heatmapData, setHeatmapData] = useState(null);
   const localMapRef = useRef(null);
   const mapRef = externalMapRef || localMapRef;
 
@@ -86,15 +102,9 @@ function HomePage({ mapRef: externalMapRef }) {
   }, [token]);
 
   useEffect(() => {
-    // Store token in localStorage if it's in URL
-    const urlToken = searchParams.get('token');
-    if (urlToken) {
-      localStorage.setItem('authToken', urlToken);
-    }
-
     loadCheckins();
     fetchUserData();
-  }, [searchParams, loadCheckins, fetchUserData]);
+  }, [loadCheckins, fetchUserData]);
 
   const handleSyncComplete = () => {
     // Refetch user data to update lastSyncAt
@@ -246,6 +256,53 @@ function HomePage({ mapRef: externalMapRef }) {
     return () => clearTimeout(timer);
   }, [currentBounds, currentZoom, loading, lastLoadedBounds, lastLoadedZoom, loadCheckins]);
 
+  // Vector tile URL for the activity tracks layer, rebuilt when date filters change
+  const activityTilesUrl = useMemo(() => {
+    if (!token) return null;
+    return getActivityTilesUrl({
+      startDate: filters.startDate,
+      endDate: filters.endDate
+    });
+  }, [token, filters.startDate, filters.endDate]);
+
+  // Load the aggregated heatmap grid for the current viewport while in heatmap mode
+  useEffect(() => {
+    if (mapMode !== 'heatmap') return;
+
+    const timer = setTimeout(async () => {
+      setViewportLoading(true);
+
+      try {
+        const params = {
+          ...filters,
+          zoom: Math.floor(currentZoom),
+          includeTracks: heatmapIncludeTracks && Boolean(token)
+        };
+
+        if (token) {
+          params.token = token;
+        }
+
+        // At world view the map wraps, so only send bounds once zoomed in
+        if (currentBounds && currentZoom >= 3) {
+          const bufferedBounds = addBuffer(currentBounds, 0.2);
+          params.bounds = `${bufferedBounds.minLng},${bufferedBounds.minLat},${bufferedBounds.maxLng},${bufferedBounds.maxLat}`;
+        }
+
+        console.log('[HEATMAP] Loading heatmap grid with params:', params);
+        const grid = await getHeatmap(params);
+        setHeatmapData(grid);
+      } catch (err) {
+        console.error('Error loading heatmap:', err);
+        setError('Failed to load heatmap. Please try again.');
+      } finally {
+        setViewportLoading(false);
+      }
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [mapMode, filters, currentBounds, currentZoom, heatmapIncludeTracks, token]);
+
   const sidebar = (
     <Box sx={{ height: '100%', overflowY: 'auto', display: 'flex', flexDirection: 'column' }}>
       <FilterPanel
@@ -282,6 +339,17 @@ function HomePage({ mapRef: externalMapRef }) {
         mapRef={mapRef}
         onViewportChange={handleViewportChange}
         token={token}
+        activityTilesUrl={activityTilesUrl}
+        showActivities={showActivities}
+        onToggleActivities={token ? setShowActivities : undefined}
+        mapMode={mapMode}
+        onMapModeChange={setMapMode}
+        heatmapData={heatmapData}
+        heatmapIncludeTracks={heatmapIncludeTracks}
+        onHeatmapIncludeTracksChange={token ? setHeatmapIncludeTracks : undefined}
+        focus={focus}
+        highlight={highlight}
+        onClearHighlight={onClearHighlight}
       />
 
       {error && (
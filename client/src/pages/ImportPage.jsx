@@ -10,27 +10,25 @@ import {
   Card,
   CardContent
 } from '@mui/material';
-import { useTheme } from '@mui/material/styles';
-import { CloudArrowUp, CheckCircle, XCircle } from '@phosphor-icons/react';
-import { useSearchParams, useNavigate } from 'react-router-dom';
+import { CloudArrowUp, CheckCircle, XCircle, FileArrowUp } from '@phosphor-icons/react';
+import { useNavigate } from 'react-router-dom';
+import { getAccessToken, authHeaders } from '../services/api';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
 function ImportPage() {
-  const theme = useTheme();
-  const [searchParams] = useSearchParams();
   const navigate = useNavigate();
-  const token = searchParams.get('token');
+  // Signed in by the splash screen, from the session handed over after connecting Foursquare
+  const token = localStorage.getItem('authToken');
 
   const [user, setUser] = useState(null);
   const [importJob, setImportJob] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [uploading, setUploading] = useState(false);
   const [error, setError] = useState(null);
 
   useEffect(() => {
     if (token) {
-      // Store token in localStorage for future requests
-      localStorage.setItem('authToken', token);
       fetchUser();
       fetchLatestImportJob();
     }
@@ -51,7 +49,9 @@ function ImportPage() {
 
   const fetchUser = async () => {
     try {
-      const response = await fetch(`${API_URL}/api/auth/me?token=${token}`);
+      const response = await fetch(`${API_URL}/api/auth/me`, {
+        headers: authHeaders(await getAccessToken())
+      });
       if (!response.ok) throw new Error('Failed to fetch user');
       const data = await response.json();
       setUser(data);
@@ -63,7 +63,9 @@ function ImportPage() {
 
   const fetchLatestImportJob = async () => {
     try {
-      const response = await fetch(`${API_URL}/api/import/latest?token=${token}`);
+      const response = await fetch(`${API_URL}/api/import/latest`, {
+        headers: authHeaders(await getAccessToken())
+      });
       if (!response.ok) throw new Error('Failed to fetch import job');
       const data = await response.json();
       if (data.job) {
@@ -76,7 +78,9 @@ function ImportPage() {
 
   const fetchImportJobStatus = async (jobId) => {
     try {
-      const response = await fetch(`${API_URL}/api/import/status/${jobId}?token=${token}`);
+      const response = await fetch(`${API_URL}/api/import/status/${jobId}`, {
+        headers: authHeaders(await getAccessToken())
+      });
       if (!response.ok) throw new Error('Failed to fetch import status');
       const data = await response.json();
       setImportJob(data);
@@ -89,8 +93,9 @@ function ImportPage() {
     try {
       setLoading(true);
       setError(null);
-      const response = await fetch(`${API_URL}/api/import/start?token=${token}`, {
-        method: 'POST'
+      const response = await fetch(`${API_URL}/api/import/start`, {
+        method: 'POST',
+        headers: authHeaders(await getAccessToken())
       });
 
       if (!response.ok) {
@@ -111,14 +116,57 @@ function ImportPage() {
     }
   };
 
+  // Swarm data export upload (ZIP or check-ins JSON)
+  // The server queues it as an import job, tracked like an API import
+  const handleExportUpload = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      setUploading(true);
+      setError(null);
+
+      const formData = new FormData();
+      formData.append('file', file);
+
+      const response = await fetch(`${API_URL}/api/import/upload`, {
+        method: 'POST',
+        headers: {
+          ...authHeaders(await getAccessToken())
+        },
+        body: formData
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to upload export');
+      }
+
+      setImportJob({ id: data.jobId, status: data.status });
+
+      // Start polling for updates
+      setTimeout(() => fetchImportJobStatus(data.jobId), 1000);
+    } catch (err) {
+      console.error('Error uploading export:', err);
+      setError(err.message);
+    } finally {
+      setUploading(false);
+      // Reset file input
+      event.target.value = '';
+    }
+  };
+
   const handleViewData = () => {
-    navigate(`/?token=${token}`);
+    navigate('/');
   };
 
   const handleOAuthLogin = () => {
     window.location.href = `${API_URL}/api/auth/login`;
   };
 
+  const importInProgress = Boolean(importJob && (importJob.status === 'pending' || importJob.status === 'running'));
+
   // If no token, show login page
   if (!token) {
     return (
@@ -225,11 +273,30 @@ function ImportPage() {
             variant="contained"
             startIcon={<CloudArrowUp size={20} />}
             onClick={startImport}
-            disabled={loading || (importJob && (importJob.status === 'pending' || importJob.status === 'running'))}
+            disabled={loading || uploading || importInProgress}
           >
             {importJob ? 'Refresh Data' : 'Start Import'}
           </Button>
 
+          <input
+            accept=".zip,application/zip,.json,application/json"
+            style={{ display: 'none' }}
+            id="swarm-export-upload"
+            type="file"
+            onChange={handleExportUpload}
+            disabled={uploading || importInProgress}
+          />
+          <label htmlFor="swarm-export-upload">
+            <Button
+              variant="outlined"
+              component="span"
+              startIcon={<FileArrowUp size={20} />}
+              disabled={uploading || importInProgress}
+            >
+              {uploading ? 'Uploading...' : 'Upload Swarm Export'}
+            </Button>
+          </label>
+
           {importJob && importJob.status === 'completed' && (
             <Button
               variant="outlined"
@@ -240,21 +307,15 @@ function ImportPage() {
           )}
         </Box>
 
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+          Already have your Foursquare data export? Upload the ZIP (or its checkins.json) to import
+          check-ins, photos and venue ratings, including ones the API no longer returns.
+        </Typography>
+
         <Box sx={{ mt: 4, p: 2, bgcolor: 'background.surface', borderRadius: 1 }}>
           <Typography variant="caption" color="text.secondary">
-            Your magic link:{' '}
-            <Box
-              component="span"
-              sx={{
-                fontFamily: theme.typography.fontFamilyMono,
-                color: 'text.primary',
-              }}
-            >
-              {window.location.href}
-            </Box>
-          </Typography>
-          <Typography variant="caption" display="block" color="text.secondary" sx={{ mt: 1 }}>
-            Bookmark this URL to access your data anytime without logging in again.
+            You stay signed in on this device for 30 days after your last visit. Manage your
+            sessions and sign in on other devices from the Data Sources page.
           </Typography>
         </Box>
       </Paper>
@@ -0,0 +1,378 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Map, Source, Layer } from 'react-map-gl/mapbox';
+import 'mapbox-gl/dist/mapbox-gl.css';
+import Lightbox from 'yet-another-react-lightbox';
+import Captions from 'yet-another-react-lightbox/plugins/captions';
+import 'yet-another-react-lightbox/styles.css';
+import 'yet-another-react-lightbox/plugins/captions.css';
+import Layout from '../components/Layout';
+import FilterPanel from '../components/FilterPanel';
+import {
+  Box,
+  Typography,
+  Paper,
+  Chip,
+  Button,
+  FormControlLabel,
+  Switch,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Images, MapPin } from '@phosphor-icons/react';
+import { getPhotos, getPhotoUrl, validateToken } from '../services/api';
+import { calculateBounds } from '../utils/geoUtils';
+import {
+  getPhotoKey,
+  getPhotoTitle,
+  applyYearFacet,
+  toBoundsParam,
+  photosToGeoJSON
+} from '../utils/photoUtils';
+import { mapColors } from '../theme';
+import { mapStyle } from '../mapStyle';
+
+const MAPBOX_TOKEN = process.env.REACT_APP_MAPBOX_TOKEN;
+const PAGE_SIZE = 60;
+
+function formatPhotoDate(photo) {
+  return new Date(photo.taken_at).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
+function PhotosPage() {
+  const theme = useTheme();
+  const navigate = useNavigate();
+  const token = localStorage.getItem('authToken');
+  const mapRef = useRef(null);
+
+  const [filters, setFilters] = useState({});
+  const [year, setYear] = useState(null);
+  const [limitToMap, setLimitToMap] = useState(false);
+  const [mapBounds, setMapBounds] = useState(null);
+  const [photos, setPhotos] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [years, setYears] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [lightboxIndex, setLightboxIndex] = useState(-1);
+  const [userData, setUserData] = useState(null);
+
+  // Fetch user data to get lastSyncAt
+  const fetchUserData = useCallback(async () => {
+    if (token) {
+      try {
+        const data = await validateToken(token);
+        setUserData(data);
+      } catch (error) {
+        console.error('Failed to fetch user data:', error);
+      }
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchUserData();
+  }, [fetchUserData]);
+
+  // Map moves only reload the photos while the map is used as a filter
+  const boundsFilter = limitToMap ? mapBounds : null;
+
+  // Sidebar filters, the year facet and the map viewport
+  const queryParams = useMemo(() => {
+    const params = { ...applyYearFacet(filters, year), token };
+    if (boundsFilter) {
+      params.bounds = boundsFilter;
+    }
+    return params;
+  }, [filters, year, boundsFilter, token]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadPhotos = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await getPhotos({ ...queryParams, limit: PAGE_SIZE, offset: 0 });
+        if (cancelled) return;
+        setPhotos(result.data);
+        setTotal(result.total);
+        setYears(result.years);
+      } catch (err) {
+        console.error('Error loading photos:', err);
+        if (!cancelled) setError(err.message || 'Failed to load photos');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadPhotos();
+    return () => {
+      cancelled = true;
+    };
+  }, [queryParams]);
+
+  const handleLoadMore = async () => {
+    try {
+      setLoadingMore(true);
+      const result = await getPhotos({ ...queryParams, limit: PAGE_SIZE, offset: photos.length });
+      setPhotos(prev => [...prev, ...result.data]);
+      setTotal(result.total);
+    } catch (err) {
+      console.error('Error loading more photos:', err);
+      setError(err.message || 'Failed to load photos');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Fit the map to the photos, unless the map itself is the filter
+  useEffect(() => {
+    if (limitToMap || !mapRef.current) return;
+
+    const bounds = calculateBounds(photos);
+    if (!bounds) return;
+
+    mapRef.current.fitBounds(bounds, { padding: 40, maxZoom: 12, duration: 1000 });
+  }, [photos, limitToMap]);
+
+  const handleMoveEnd = useCallback(() => {
+    const map = mapRef.current?.getMap();
+    if (!map) return;
+
+    const bounds = map.getBounds();
+    setMapBounds(toBoundsParam({
+      minLng: bounds.getWest(),
+      minLat: bounds.getSouth(),
+      maxLng: bounds.getEast(),
+      maxLat: bounds.getNorth()
+    }));
+  }, []);
+
+  const handleMapClick = (event) => {
+    const feature = event.features?.[0];
+    if (feature) {
+      setLightboxIndex(feature.properties.index);
+    }
+  };
+
+  const handleShowOnMap = (photo) => {
+    navigate(`/?lat=${photo.latitude}&lng=${photo.longitude}&zoom=16`);
+  };
+
+  const photosGeoJSON = useMemo(() => photosToGeoJSON(photos), [photos]);
+
+  const slides = useMemo(() => photos.map(photo => ({
+    src: getPhotoUrl(photo.url, { size: 'original' }),
+    width: photo.width || undefined,
+    height: photo.height || undefined,
+    title: getPhotoTitle(photo),
+    description: [formatPhotoDate(photo), photo.city, photo.country].filter(Boolean).join(' · ')
+  })), [photos]);
+
+  const currentPhoto = lightboxIndex >= 0 ? photos[lightboxIndex] : null;
+  const canShowOnMap = currentPhoto && currentPhoto.latitude != null && currentPhoto.longitude != null;
+
+  const sidebar = (
+    <FilterPanel
+      onFilterChange={setFilters}
+      initialFilters={filters}
+      token={token}
+    />
+  );
+
+  const renderGrid = () => {
+    if (loading) {
+      return (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 5 }}>
+          <CircularProgress />
+        </Box>
+      );
+    }
+
+    if (photos.length === 0) {
+      return (
+        <Box sx={{ textAlign: 'center', p: 5 }}>
+          <Images size={48} color={theme.palette.text.secondary} />
+          <Typography variant="h6" sx={{ mt: 2 }}>No photos found</Typography>
+          <Typography color="text.secondary">
+            Photos from your check-ins and Strava activities show up here after an import.
+          </Typography>
+        </Box>
+      );
+    }
+
+    return (
+      <>
+        {/* Masonry grid - CSS columns keep each photo's aspect ratio */}
+        <Box sx={{ columnCount: { xs: 2, sm: 3, md: 4 }, columnGap: 1.5 }}>
+          {photos.map((photo, index) => (
+            <Box
+              key={getPhotoKey(photo)}
+              onClick={() => setLightboxIndex(index)}
+              sx={{
+                position: 'relative',
+                breakInside: 'avoid',
+                mb: 1.5,
+                borderRadius: 1,
+                overflow: 'hidden',
+                cursor: 'pointer',
+                '&:hover .photo-caption': { opacity: 1 }
+              }}
+            >
+              <Box
+                component="img"
+                src={getPhotoUrl(photo.url, { size: 'thumb' })}
+                alt={getPhotoTitle(photo)}
+                loading="lazy"
+                sx={{ display: 'block', width: '100%', height: 'auto' }}
+              />
+              <Box
+                className="photo-caption"
+                sx={{
+                  position: 'absolute',
+                  left: 0,
+                  right: 0,
+                  bottom: 0,
+                  p: 1,
+                  opacity: 0,
+                  transition: 'opacity 0.2s',
+                  background: 'linear-gradient(transparent, rgba(0, 0, 0, 0.8))'
+                }}
+              >
+                <Typography variant="body2" noWrap sx={{ color: 'common.white' }}>
+                  {getPhotoTitle(photo)}
+                </Typography>
+                <Typography variant="caption" sx={{ color: 'grey.400' }}>
+                  {formatPhotoDate(photo)}
+                </Typography>
+              </Box>
+            </Box>
+          ))}
+        </Box>
+
+        {photos.length < total && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+            <Button variant="outlined" onClick={handleLoadMore} disabled={loadingMore}>
+              {loadingMore ? <CircularProgress size={20} /> : `Load more (${total - photos.length} left)`}
+            </Button>
+          </Box>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Layout
+      sidebar={sidebar}
+      token={token}
+      lastSyncAt={userData?.lastSyncAt}
+      onSyncComplete={fetchUserData}
+    >
+      <Box sx={{ height: '100%', bgcolor: 'background.default', p: 3, overflowY: 'auto' }}>
+        <Box sx={{ maxWidth: 1400, mx: 'auto' }}>
+          {/* Header */}
+          <Box sx={{ mb: 2 }}>
+            <Typography variant="h4" component="h1" sx={{ fontWeight: 'bold' }}>
+              Photos
+            </Typography>
+            <Typography variant="body1" color="text.secondary">
+              {total} {total === 1 ? 'photo' : 'photos'}
+            </Typography>
+          </Box>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+          )}
+
+          {/* Year facet */}
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+            <Chip
+              label="All years"
+              color="primary"
+              variant={year ? 'outlined' : 'filled'}
+              onClick={() => setYear(null)}
+            />
+            {years.map(({ year: facetYear, count }) => (
+              <Chip
+                key={facetYear}
+                label={`${facetYear} (${count})`}
+                color="primary"
+                variant={year === facetYear ? 'filled' : 'outlined'}
+                onClick={() => setYear(facetYear)}
+              />
+            ))}
+          </Box>
+
+          {/* Map facet */}
+          <Paper sx={{ height: 300, mb: 1, overflow: 'hidden' }}>
+            <Map
+              ref={mapRef}
+              initialViewState={{ longitude: 0, latitude: 20, zoom: 1.5 }}
+              mapStyle={mapStyle}
+              mapboxAccessToken={MAPBOX_TOKEN}
+              style={{ width: '100%', height: '100%' }}
+              interactiveLayerIds={['photo-points']}
+              onMoveEnd={handleMoveEnd}
+              onLoad={handleMoveEnd}
+              onClick={handleMapClick}
+            >
+              <Source id="photo-points" type="geojson" data={photosGeoJSON}>
+                <Layer
+                  id="photo-points"
+                  type="circle"
+                  paint={{
+                    'circle-color': mapColors.clusterLow,
+                    'circle-radius': 5,
+                    'circle-stroke-width': 1.5,
+                    'circle-stroke-color': mapColors.stroke
+                  }}
+                />
+              </Source>
+            </Map>
+          </Paper>
+          <FormControlLabel
+            control={<Switch checked={limitToMap} onChange={(e) => setLimitToMap(e.target.checked)} />}
+            label="Only photos in the map area"
+            sx={{ mb: 2 }}
+          />
+
+          {renderGrid()}
+        </Box>
+      </Box>
+
+      <Lightbox
+        open={lightboxIndex >= 0}
+        close={() => setLightboxIndex(-1)}
+        index={Math.max(lightboxIndex, 0)}
+        slides={slides}
+        plugins={[Captions]}
+        on={{ view: ({ index }) => setLightboxIndex(index) }}
+        toolbar={{
+          buttons: [
+            canShowOnMap && (
+              <button
+                key="show-on-map"
+                type="button"
+                className="yarl__button"
+                aria-label="Show on map"
+                title="Show on map"
+                onClick={() => handleShowOnMap(currentPhoto)}
+              >
+                <MapPin size={24} />
+              </button>
+            ),
+            'close'
+          ].filter(Boolean)
+        }}
+      />
+    </Layout>
+  );
+}
+
+export default PhotosPage;
@@ -164,7 +164,8 @@ const PrivacyPolicyPage = () => {
             To exercise these rights, you can:
           </Typography>
           <Typography component="ul" sx={{ pl: 4 }}>
-            <li>Delete your account through the application settings</li>
+            <li>Download all of your data as a ZIP file from the Data Sources page</li>
+            <li>Delete your account from the Data Sources page</li>
             <li>Disconnect individual services (Foursquare, Garmin) to stop data collection</li>
             <li>Contact us through the application for specific requests</li>
           </Typography>
@@ -180,7 +181,7 @@ const PrivacyPolicyPage = () => {
           <Typography component="ul" sx={{ pl: 4 }}>
             <li>All personal data is permanently deleted from our systems</li>
             <li>This includes all check-ins, activities, photos, and associated metadata</li>
-            <li>OAuth tokens are immediately invalidated and deleted</li>
+            <li>Strava access is revoked and OAuth tokens are immediately deleted</li>
             <li>Anonymized usage statistics may be retained for service improvement</li>
           </Typography>
         </Box>
@@ -0,0 +1,326 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Map, Source, Layer } from 'react-map-gl/mapbox';
+import 'mapbox-gl/dist/mapbox-gl.css';
+import Layout from '../components/Layout';
+import {
+  Box,
+  Typography,
+  Paper,
+  Chip,
+  List,
+  ListItemButton,
+  ListItemText,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { AirplaneTilt, Buildings, Trophy, MapPin, CalendarBlank } from '@phosphor-icons/react';
+import { getTrips, getTrip, validateToken } from '../services/api';
+import { getTripTitle, getTripDays, formatTripDateRange, getTripBounds } from '../utils/tripUtils';
+import { mapColors } from '../theme';
+import { mapStyle } from '../mapStyle';
+
+const MAPBOX_TOKEN = process.env.REACT_APP_MAPBOX_TOKEN;
+
+function TripsPage() {
+  const theme = useTheme();
+  const navigate = useNavigate();
+  const { tripId } = useParams();
+  const token = localStorage.getItem('authToken');
+
+  const [trips, setTrips] = useState([]);
+  const [trip, setTrip] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [tripLoading, setTripLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [userData, setUserData] = useState(null);
+
+  // Fetch user data to get lastSyncAt
+  const fetchUserData = useCallback(async () => {
+    if (token) {
+      try {
+        const data = await validateToken(token);
+        setUserData(data);
+      } catch (error) {
+        console.error('Failed to fetch user data:', error);
+      }
+    }
+  }, [token]);
+
+  const loadTrips = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await getTrips({ token, limit: 500 });
+      setTrips(result.data);
+    } catch (err) {
+      console.error('Error loading trips:', err);
+      setError(err.message || 'Failed to load trips');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadTrips();
+    fetchUserData();
+  }, [loadTrips, fetchUserData]);
+
+  // Open the most recent trip when none is selected
+  useEffect(() => {
+    if (!tripId && trips.length > 0) {
+      navigate(`/trips/${trips[0].id}`, { replace: true });
+    }
+  }, [tripId, trips, navigate]);
+
+  useEffect(() => {
+    if (!tripId) return;
+
+    let cancelled = false;
+
+    const loadTrip = async () => {
+      try {
+        setTripLoading(true);
+        setError(null);
+        const data = await getTrip(tripId, { token });
+        if (!cancelled) setTrip(data);
+      } catch (err) {
+        console.error('Error loading trip:', err);
+        if (!cancelled) {
+          setTrip(null);
+          setError(err.response?.status === 404 ? 'Trip not found' : (err.message || 'Failed to load trip'));
+        }
+      } finally {
+        if (!cancelled) setTripLoading(false);
+      }
+    };
+
+    loadTrip();
+    return () => {
+      cancelled = true;
+    };
+  }, [tripId, token]);
+
+  const handleSyncComplete = () => {
+    fetchUserData();
+    loadTrips();
+  };
+
+  // Check-ins as points plus the route between them in visit order
+  const tripGeoJSON = useMemo(() => {
+    const located = (trip?.checkins || [])
+      .filter(c => c.latitude != null && c.longitude != null)
+      .sort((a, b) => new Date(a.checkin_date) - new Date(b.checkin_date));
+
+    const coordinates = located.map(c => [parseFloat(c.longitude), parseFloat(c.latitude)]);
+
+    return {
+      points: {
+        type: 'FeatureCollection',
+        features: located.map((c, index) => ({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: coordinates[index] },
+          properties: { id: c.id, name: c.venue_name }
+        }))
+      },
+      route: {
+        type: 'FeatureCollection',
+        features: coordinates.length > 1
+          ? [{ type: 'Feature', geometry: { type: 'LineString', coordinates }, properties: {} }]
+          : []
+      }
+    };
+  }, [trip]);
+
+  const bounds = getTripBounds(trip);
+
+  const sidebar = (
+    <Box>
+      <Typography variant="overline" color="text.secondary" sx={{ px: 2, pt: 2, display: 'block' }}>
+        {trips.length} {trips.length === 1 ? 'trip' : 'trips'}
+      </Typography>
+      <List dense>
+        {trips.map((t) => (
+          <ListItemButton
+            key={t.id}
+            selected={String(t.id) === String(tripId)}
+            onClick={() => navigate(`/trips/${t.id}`)}
+          >
+            <ListItemText
+              primary={getTripTitle(t)}
+              secondary={`${formatTripDateRange(t)} · ${t.checkin_count} check-ins`}
+              primaryTypographyProps={{ noWrap: true }}
+            />
+          </ListItemButton>
+        ))}
+      </List>
+    </Box>
+  );
+
+  const renderTrip = () => {
+    if (tripLoading && !trip) {
+      return (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 5 }}>
+          <CircularProgress />
+        </Box>
+      );
+    }
+
+    if (!trip) return null;
+
+    const days = getTripDays(trip);
+
+    return (
+      <>
+        {/* Header */}
+        <Box sx={{ mb: 3 }}>
+          <Typography variant="h4" component="h1" sx={{ fontWeight: 'bold' }}>
+            {getTripTitle(trip, 5)}
+          </Typography>
+          <Typography
+            variant="body1"
+            color="text.secondary"
+            sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}
+          >
+            <CalendarBlank size={18} />
+            {formatTripDateRange(trip)} · {days} {days === 1 ? 'day' : 'days'} · {trip.checkin_count} check-ins
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 2 }}>
+            {trip.countries.map((country) => (
+              <Chip key={country} label={country} color="primary" variant="outlined" size="small" />
+            ))}
+          </Box>
+        </Box>
+
+        {/* Map */}
+        <Paper sx={{ height: 420, mb: 3, overflow: 'hidden' }}>
+          {bounds ? (
+            <Map
+              key={trip.id}
+              initialViewState={{ bounds, fitBoundsOptions: { padding: 60, maxZoom: 13 } }}
+              mapStyle={mapStyle}
+              mapboxAccessToken={MAPBOX_TOKEN}
+              style={{ width: '100%', height: '100%' }}
+            >
+              <Source id="trip-route" type="geojson" data={tripGeoJSON.route}>
+                <Layer
+                  id="trip-route"
+                  type="line"
+                  layout={{ 'line-join': 'round', 'line-cap': 'round' }}
+                  paint={{
+                    'line-color': mapColors.clusterMedium,
+                    'line-width': 2,
+                    'line-dasharray': [2, 2]
+                  }}
+                />
+              </Source>
+              <Source id="trip-checkins" type="geojson" data={tripGeoJSON.points}>
+                <Layer
+                  id="trip-checkins"
+                  type="circle"
+                  paint={{
+                    'circle-color': mapColors.clusterLow,
+                    'circle-radius': 6,
+                    'circle-stroke-width': 2,
+                    'circle-stroke-color': mapColors.stroke
+                  }}
+                />
+              </Source>
+            </Map>
+          ) : (
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', height: '100%' }}>
+              <Typography color="text.secondary">No locations for this trip</Typography>
+            </Box>
+          )}
+        </Paper>
+
+        {/* Cities */}
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h5" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Buildings size={24} weight="regular" color={theme.palette.secondary.main} />
+            CITIES
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 2 }}>
+            {trip.cities.map((city) => (
+              <Chip
+                key={`${city.city}|${city.country}`}
+                label={`${city.city} (${city.checkins})`}
+                variant="outlined"
+              />
+            ))}
+          </Box>
+        </Paper>
+
+        {/* Top Venues */}
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="h5" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Trophy size={24} weight="regular" color={theme.palette.secondary.main} />
+            TOP VENUES
+          </Typography>
+          <Box sx={{ mt: 2 }}>
+            {trip.top_venues.map((venue, index) => (
+              <Box
+                key={venue.venue_id || venue.venue_name}
+                sx={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  py: 1.5,
+                  borderBottom: index < trip.top_venues.length - 1 ? 1 : 0,
+                  borderColor: 'divider'
+                }}
+              >
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <MapPin size={18} color={theme.palette.text.secondary} />
+                  <Box>
+                    <Typography variant="body1">{venue.venue_name}</Typography>
+                    <Typography variant="caption" color="text.secondary">{venue.venue_category}</Typography>
+                  </Box>
+                </Box>
+                <Typography variant="body1" color="text.secondary">
+                  {venue.checkins} {venue.checkins === 1 ? 'visit' : 'visits'}
+                </Typography>
+              </Box>
+            ))}
+          </Box>
+        </Paper>
+      </>
+    );
+  };
+
+  return (
+    <Layout
+      sidebar={trips.length > 0 ? sidebar : null}
+      token={token}
+      lastSyncAt={userData?.lastSyncAt}
+      onSyncComplete={handleSyncComplete}
+    >
+      <Box sx={{ height: '100%', bgcolor: 'background.default', p: 3, overflowY: 'auto' }}>
+        {error && (
+          <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 5 }}>
+            <CircularProgress />
+          </Box>
+        ) : trips.length === 0 ? (
+          <Box sx={{ textAlign: 'center', p: 5 }}>
+            <AirplaneTilt size={48} color={theme.palette.text.secondary} />
+            <Typography variant="h6" sx={{ mt: 2 }}>No trips yet</Typography>
+            <Typography color="text.secondary">
+              Trips are detected from your check-ins away from home after each import.
+            </Typography>
+          </Box>
+        ) : (
+          <Box sx={{ maxWidth: 1200, mx: 'auto' }}>
+            {renderTrip()}
+          </Box>
+        )}
+      </Box>
+    </Layout>
+  );
+}
+
+export default TripsPage;
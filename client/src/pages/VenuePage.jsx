@@ -0,0 +1,312 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useNavigate, useParams, Link as RouterLink } from 'react-router-dom';
+import { Map, Source, Layer } from 'react-map-gl/mapbox';
+import 'mapbox-gl/dist/mapbox-gl.css';
+import Layout from '../components/Layout';
+import VenuePhotosGallery from '../components/VenuePhotosGallery';
+import {
+  Box,
+  Typography,
+  Paper,
+  Chip,
+  Grid,
+  Link,
+  List,
+  ListItemButton,
+  ListItemText,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import {
+  CalendarBlank,
+  ClockCounterClockwise,
+  Compass,
+  Images,
+  ThumbsUp,
+  ThumbsDown
+} from '@phosphor-icons/react';
+import { getVenue, validateToken } from '../services/api';
+import { groupVisitsByYear, formatDistance, formatVenueAddress, getCategoryPath } from '../utils/venueUtils';
+import { formatDateInLocalZone, formatTimeInLocalZone } from '../utils/timezoneUtils';
+import { mapColors } from '../theme';
+import { mapStyle } from '../mapStyle';
+
+const MAPBOX_TOKEN = process.env.REACT_APP_MAPBOX_TOKEN;
+
+const RATING_LABELS = {
+  like: { label: 'Liked', icon: <ThumbsUp size={16} /> },
+  okay: { label: 'Okay', icon: null },
+  dislike: { label: 'Disliked', icon: <ThumbsDown size={16} /> }
+};
+
+function VenuePage() {
+  const theme = useTheme();
+  const navigate = useNavigate();
+  const { venueId } = useParams();
+  const token = localStorage.getItem('authToken');
+
+  const [venue, setVenue] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [userData, setUserData] = useState(null);
+
+  // Fetch user data to get lastSyncAt
+  const fetchUserData = useCallback(async () => {
+    if (token) {
+      try {
+        const data = await validateToken(token);
+        setUserData(data);
+      } catch (error) {
+        console.error('Failed to fetch user data:', error);
+      }
+    }
+  }, [token]);
+
+  const loadVenue = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await getVenue(venueId, { token });
+      setVenue(data);
+    } catch (err) {
+      console.error('Error loading venue:', err);
+      setVenue(null);
+      setError(err.response?.status === 404 ? 'Venue not found' : (err.message || 'Failed to load venue'));
+    } finally {
+      setLoading(false);
+    }
+  }, [venueId, token]);
+
+  useEffect(() => {
+    loadVenue();
+    fetchUserData();
+  }, [loadVenue, fetchUserData]);
+
+  const handleSyncComplete = () => {
+    fetchUserData();
+    loadVenue();
+  };
+
+  const visitsByYear = useMemo(() => groupVisitsByYear(venue?.visits), [venue]);
+
+  // The venue and its nearby venues as points
+  const venueGeoJSON = useMemo(() => {
+    const toFeatures = (venues) => ({
+      type: 'FeatureCollection',
+      features: venues
+        .filter(v => v.latitude != null && v.longitude != null)
+        .map(v => ({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [v.longitude, v.latitude] },
+          properties: { venueId: v.venue_id, name: v.name }
+        }))
+    });
+
+    return {
+      venue: toFeatures(venue ? [venue] : []),
+      nearby: toFeatures(venue?.nearby || [])
+    };
+  }, [venue]);
+
+  const handleMapClick = (event) => {
+    const feature = event.features?.[0];
+    if (feature?.properties?.venueId) {
+      navigate(`/venues/${encodeURIComponent(feature.properties.venueId)}`);
+    }
+  };
+
+  const renderVenue = () => {
+    const address = formatVenueAddress(venue);
+    const categoryPath = getCategoryPath(venue);
+    const rating = RATING_LABELS[venue.rating];
+    const firstVisit = venue.visits[venue.visits.length - 1];
+    const lastVisit = venue.visits[0];
+    const hasLocation = venue.latitude != null && venue.longitude != null;
+
+    return (
+      <>
+        {/* Header */}
+        <Box sx={{ mb: 3 }}>
+          <Typography variant="h4" component="h1" sx={{ fontWeight: 'bold' }}>
+            {venue.name}
+          </Typography>
+          {address && (
+            <Typography variant="body1" color="text.secondary" sx={{ mt: 1 }}>
+              {address}
+            </Typography>
+          )}
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 2 }}>
+            {categoryPath && (
+              <Chip label={categoryPath} color="primary" variant="outlined" size="small" />
+            )}
+            {rating && (
+              <Chip icon={rating.icon} label={rating.label} variant="outlined" size="small" />
+            )}
+          </Box>
+          <Typography
+            variant="body1"
+            color="text.secondary"
+            sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 2 }}
+          >
+            <CalendarBlank size={18} />
+            {venue.visit_count} {venue.visit_count === 1 ? 'visit' : 'visits'}
+            {firstVisit && ` · first ${formatDateInLocalZone(firstVisit.checkin_date, firstVisit.timezone)}`}
+            {lastVisit && lastVisit !== firstVisit && ` · last ${formatDateInLocalZone(lastVisit.checkin_date, lastVisit.timezone)}`}
+          </Typography>
+        </Box>
+
+        {/* Map */}
+        <Paper sx={{ height: 320, mb: 3, overflow: 'hidden' }}>
+          {hasLocation ? (
+            <Map
+              key={venue.venue_id}
+              initialViewState={{ longitude: venue.longitude, latitude: venue.latitude, zoom: 15 }}
+              mapStyle={mapStyle}
+              mapboxAccessToken={MAPBOX_TOKEN}
+              style={{ width: '100%', height: '100%' }}
+              interactiveLayerIds={['venue-nearby']}
+              onClick={handleMapClick}
+            >
+              <Source id="venue-nearby" type="geojson" data={venueGeoJSON.nearby}>
+                <Layer
+                  id="venue-nearby"
+                  type="circle"
+                  paint={{
+                    'circle-color': mapColors.clusterLow,
+                    'circle-radius': 6,
+                    'circle-stroke-width': 2,
+                    'circle-stroke-color': mapColors.stroke
+                  }}
+                />
+              </Source>
+              <Source id="venue-location" type="geojson" data={venueGeoJSON.venue}>
+                <Layer
+                  id="venue-location"
+                  type="circle"
+                  paint={{
+                    'circle-color': mapColors.venueFocus,
+                    'circle-radius': 9,
+                    'circle-stroke-width': 2,
+                    'circle-stroke-color': mapColors.stroke
+                  }}
+                />
+              </Source>
+            </Map>
+          ) : (
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', height: '100%' }}>
+              <Typography color="text.secondary">No location for this venue</Typography>
+            </Box>
+          )}
+        </Paper>
+
+        <Grid container spacing={3} sx={{ mb: 3 }}>
+          {/* Visit history */}
+          <Grid item xs={12} md={7}>
+            <Paper sx={{ p: 3, height: '100%' }}>
+              <Typography variant="h5" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <ClockCounterClockwise size={24} weight="regular" color={theme.palette.secondary.main} />
+                VISIT HISTORY
+              </Typography>
+              <Box sx={{ mt: 2, maxHeight: 420, overflowY: 'auto' }}>
+                {visitsByYear.map(({ year, visits }) => (
+                  <Box key={year} sx={{ mb: 2 }}>
+                    <Typography variant="subtitle2" color="text.secondary" sx={{ mb: 1 }}>
+                      {year} · {visits.length} {visits.length === 1 ? 'visit' : 'visits'}
+                    </Typography>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                      {visits.map((visit) => (
+                        <Chip
+                          key={visit.id}
+                          label={`${formatDateInLocalZone(visit.checkin_date, visit.timezone)} ${formatTimeInLocalZone(visit.checkin_date, visit.timezone)}`}
+                          size="small"
+                          variant="outlined"
+                          clickable
+                          component={RouterLink}
+                          to={`/day-in-life/${visit.local_date}`}
+                        />
+                      ))}
+                    </Box>
+                  </Box>
+                ))}
+              </Box>
+            </Paper>
+          </Grid>
+
+          {/* Nearby venues */}
+          <Grid item xs={12} md={5}>
+            <Paper sx={{ p: 3, height: '100%' }}>
+              <Typography variant="h5" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Compass size={24} weight="regular" color={theme.palette.secondary.main} />
+                NEARBY
+              </Typography>
+              {venue.nearby.length === 0 ? (
+                <Typography color="text.secondary" sx={{ mt: 2 }}>
+                  No other visited venues nearby
+                </Typography>
+              ) : (
+                <List dense>
+                  {venue.nearby.map((nearbyVenue) => (
+                    <ListItemButton
+                      key={nearbyVenue.venue_id}
+                      onClick={() => navigate(`/venues/${encodeURIComponent(nearbyVenue.venue_id)}`)}
+                    >
+                      <ListItemText
+                        primary={nearbyVenue.name}
+                        secondary={[
+                          formatDistance(nearbyVenue.distance_meters),
+                          getCategoryPath(nearbyVenue),
+                          `${nearbyVenue.visit_count} ${nearbyVenue.visit_count === 1 ? 'visit' : 'visits'}`
+                        ].filter(Boolean).join(' · ')}
+                        primaryTypographyProps={{ noWrap: true }}
+                      />
+                    </ListItemButton>
+                  ))}
+                </List>
+              )}
+            </Paper>
+          </Grid>
+        </Grid>
+
+        {/* Photos */}
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="h5" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Images size={24} weight="regular" color={theme.palette.secondary.main} />
+            PHOTOS
+          </Typography>
+          <VenuePhotosGallery venueId={venue.venue_id} token={token} />
+        </Paper>
+      </>
+    );
+  };
+
+  return (
+    <Layout
+      token={token}
+      lastSyncAt={userData?.lastSyncAt}
+      onSyncComplete={handleSyncComplete}
+    >
+      <Box sx={{ height: '100%', bgcolor: 'background.default', p: 3, overflowY: 'auto' }}>
+        {error && (
+          <Alert severity="error" sx={{ mb: 3 }}>
+            {error}
+            {' '}
+            <Link component={RouterLink} to="/">Back to the map</Link>
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 5 }}>
+            <CircularProgress />
+          </Box>
+        ) : venue && (
+          <Box sx={{ maxWidth: 1200, mx: 'auto' }}>
+            {renderVenue()}
+          </Box>
+        )}
+      </Box>
+    </Layout>
+  );
+}
+
+export default VenuePage;
@@ -1,5 +1,4 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { useSearchParams } from 'react-router-dom';
 import Layout from '../components/Layout';
 import {
   Box,
@@ -27,8 +26,7 @@ import { getAvailableYears, getYearInReview, validateToken } from '../services/a
 
 function YearInReviewPage() {
   const theme = useTheme();
-  const [searchParams] = useSearchParams();
-  const token = searchParams.get('token') || localStorage.getItem('authToken');
+  const token = localStorage.getItem('authToken');
 
   const [years, setYears] = useState([]);
   const [selectedYear, setSelectedYear] = useState(null);
@@ -50,11 +48,6 @@ function YearInReviewPage() {
   }, [token]);
 
   useEffect(() => {
-    // Store token in localStorage if it's in URL
-    if (searchParams.get('token')) {
-      localStorage.setItem('authToken', searchParams.get('token'));
-    }
-
     loadYears();
     fetchUserData();
     // eslint-disable-next-line react-hooks/exhaustive-deps
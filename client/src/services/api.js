@@ -1,4 +1,11 @@
 import axios from 'axios';
+import {
+  getStoredSession,
+  storeSession,
+  clearStoredSession,
+  isSessionExpiring
+} from '../utils/authSession';
+import { createEventStreamParser } from '../utils/eventStream';
 
 // API base URL from environment variable (set in Vercel)
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
@@ -18,21 +25,112 @@ const api = axios.create({
   }
 });
 
-// Request interceptor for logging in development
+let refreshPromise = null;
+
+/**
+ * Exchange the refresh token cookie for a new access token
+ * Concurrent callers share one request, since each refresh token works once.
+ * Other tabs refreshing at the same time are handled by the server.
+ * @returns {Promise<Object>} The new session
+ */
+const refreshStoredSession = () => {
+  if (!refreshPromise) {
+    const session = getStoredSession();
+    refreshPromise = (session ? refreshSession(session.refreshToken) : Promise.reject(new Error('Not signed in')))
+      .then(next => {
+        storeSession(next);
+        return next;
+      })
+      .catch(error => {
+        // Another tab stored a new session meanwhile
+        const current = getStoredSession();
+        if (current && current.accessToken !== session?.accessToken) {
+          return current;
+        }
+        // The session expired or was signed out elsewhere
+        if (error.response?.status === 401) {
+          clearStoredSession();
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Authorization header for a request made with a token
+ * @param {string} token - Access token
+ * @returns {Object}
+ */
+export const authHeaders = (token) => (token ? { Authorization: `Bearer ${token}` } : {});
+
+const bearerToken = (config) => /^Bearer\s+(\S+)$/i.exec(config.headers?.Authorization || '')?.[1];
+
+const carriesToken = (config) => Boolean(config.params?.token || config.headers?.['x-auth-token'] || bearerToken(config));
+
+/**
+ * Current access token, refreshed first when it's about to expire
+ * For requests made with fetch; axios requests get this from the interceptors.
+ * @returns {Promise<string|null>}
+ */
+export const getAccessToken = async () => {
+  const session = getStoredSession();
+  if (session && isSessionExpiring(session)) {
+    try {
+      return (await refreshStoredSession()).accessToken;
+    } catch (error) {
+      console.error('Failed to refresh session:', error);
+    }
+  }
+  return localStorage.getItem('authToken');
+};
+
+// Request interceptor: logging in development, and the current access token
+// in place of whatever token the caller was rendered with. The token always goes
+// in the Authorization header, callers passing it in params included, so it never
+// ends up in a URL.
 api.interceptors.request.use(
-  config => {
+  async config => {
     if (process.env.NODE_ENV === 'development') {
       console.log(`API Request: ${config.method.toUpperCase()} ${config.url}`, config.params);
     }
+
+    if (!carriesToken(config)) {
+      return config;
+    }
+
+    const callerToken = config.params?.token || config.headers['x-auth-token'] || bearerToken(config);
+    const token = (getStoredSession() && await getAccessToken()) || callerToken;
+
+    if (config.params?.token) {
+      const { token: paramToken, ...params } = config.params;
+      config.params = params;
+    }
+    delete config.headers['x-auth-token'];
+    config.headers.Authorization = `Bearer ${token}`;
     return config;
   },
   error => Promise.reject(error)
 );
 
-// Response interceptor for error handling
+// Response interceptor: retry once with refreshed tokens on 401, log errors
 api.interceptors.response.use(
   response => response,
-  error => {
+  async error => {
+    const { config } = error;
+    if (error.response?.status === 401 && config && !config.sessionRetried && carriesToken(config) && getStoredSession()) {
+      try {
+        await refreshStoredSession();
+      } catch (refreshError) {
+        // The refresh request logged its own error
+        return Promise.reject(error);
+      }
+      return api.request({ ...config, sessionRetried: true });
+    }
+
     if (error.response) {
       console.error('API Error:', error.response.status, error.response.data);
     } else if (error.request) {
@@ -54,6 +152,123 @@ export const getCheckins = async (filters = {}) => {
   return response.data;
 };
 
+/**
+ * Fetch check-ins oldest first, one page at a time
+ * Each page is handed to onChunk as soon as it arrives, so playback can start
+ * before the whole range has loaded.
+ * @param {Object} filters - Filter parameters including token, startDate and endDate
+ * @param {Function} onChunk - Called with (checkins, { loaded, total }) per page; awaited if async
+ * @param {Object} options - { chunkSize, signal } where signal is an AbortSignal
+ * @returns {Promise<number>} Number of check-ins loaded
+ */
+export const streamCheckins = async (filters = {}, onChunk, { chunkSize = 1000, signal } = {}) => {
+  let offset = 0;
+  let total = Infinity;
+
+  while (offset < total) {
+    if (signal?.aborted) break;
+
+    const page = await getCheckins({ ...filters, order: 'asc', limit: chunkSize, offset });
+    if (signal?.aborted) break;
+
+    total = page.total;
+    offset += page.data.length;
+    await onChunk(page.data, { loaded: offset, total });
+
+    if (page.data.length < chunkSize) break;
+  }
+
+  return offset;
+};
+
+/**
+ * Fetch Strava/Garmin activity tracks as GeoJSON
+ * @param {Object} params - Parameters including token, bounds and zoom
+ * @returns {Promise<Object>} GeoJSON FeatureCollection of tracklogs
+ */
+export const getActivityTracks = async (params = {}) => {
+  const response = await api.get('/api/activities/tracks', { params });
+  return response.data;
+};
+
+/**
+ * Build the vector tile URL template for activity tracks
+ * Map libraries fetch tiles directly, so filters go in the query string. The
+ * access token is added as a header by authorizeMapRequest.
+ * @param {Object} params - Parameters including startDate and endDate
+ * @returns {string} URL template with {z}/{x}/{y} placeholders
+ */
+export const getActivityTilesUrl = (params = {}) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      query.append(key, value);
+    }
+  });
+  const queryString = query.toString();
+  return `${API_BASE_URL}/api/tiles/activities/{z}/{x}/{y}.mvt${queryString ? `?${queryString}` : ''}`;
+};
+
+/**
+ * Map request transform (transformRequest of react-map-gl) that sends the
+ * access token with requests to the API, such as activity track tiles
+ * @param {string} url
+ * @returns {Object} { url, headers }
+ */
+export const authorizeMapRequest = (url) => {
+  if (!url.startsWith(API_BASE_URL)) {
+    return { url };
+  }
+  return { url, headers: authHeaders(localStorage.getItem('authToken')) };
+};
+
+/**
+ * Download an export of check-ins and activity tracks
+ * Fetched with the access token in a header and saved from a blob, so the
+ * token never shows up in a download URL.
+ * @param {Object} params - Parameters including token, format ('geojson', 'kml', 'gpx' or 'csv') and filters
+ * @returns {Promise<void>}
+ */
+export const downloadExport = async ({ token, ...filters } = {}) => {
+  const query = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    // Arrays (categories) repeat the key
+    [].concat(value).forEach(item => {
+      if (item !== undefined && item !== null && item !== '') {
+        query.append(key, item);
+      }
+    });
+  });
+
+  const response = await api.get(`/api/export?${query}`, {
+    headers: authHeaders(token),
+    responseType: 'blob',
+    // Large exports take a while to stream
+    timeout: 0
+  });
+
+  const filename = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '')?.[1] ||
+    `swarm-export.${filters.format || 'geojson'}`;
+  const href = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(href);
+};
+
+/**
+ * Fetch pre-aggregated heatmap grid for check-ins (and optionally activity tracks)
+ * @param {Object} params - Filter parameters plus token, bounds, zoom and includeTracks
+ * @returns {Promise<Object>} GeoJSON FeatureCollection of weighted grid cells
+ */
+export const getHeatmap = async (params = {}) => {
+  const response = await api.get('/api/heatmap', { params });
+  return response.data;
+};
+
 /**
  * Fetch statistics
  * @param {Object} filters - Filter parameters
@@ -122,32 +337,209 @@ export const healthCheck = async () => {
  */
 export const validateToken = async (token) => {
   const response = await api.get('/api/auth/me', {
-    params: { token }
+    headers: authHeaders(token)
+  });
+  return response.data;
+};
+
+/**
+ * Sign in with a login link token
+ * The refresh token is set as an httpOnly cookie.
+ * @param {string} loginToken - Token from the login link
+ * @returns {Promise<Object>} { accessToken, expiresAt, sessionId, user }
+ */
+export const createSession = async (loginToken) => {
+  const response = await api.post('/api/auth/session', { token: loginToken }, { withCredentials: true });
+  return response.data;
+};
+
+/**
+ * Exchange the refresh token cookie for a new access token (and cookie)
+ * @param {string} [storedRefreshToken] - Refresh token of a session stored before the cookie
+ * @returns {Promise<Object>} { accessToken, expiresAt, sessionId }
+ */
+export const refreshSession = async (storedRefreshToken) => {
+  const body = storedRefreshToken ? { refreshToken: storedRefreshToken } : {};
+  const response = await api.post('/api/auth/refresh', body, { withCredentials: true });
+  return response.data;
+};
+
+/**
+ * End the current session
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} { success }
+ */
+export const logout = async (token) => {
+  const response = await api.post('/api/auth/logout', {}, { headers: authHeaders(token), withCredentials: true });
+  return response.data;
+};
+
+/**
+ * List the user's active sessions
+ * @param {string} token - Auth token
+ * @returns {Promise<Array>} [{ id, createdAt, lastUsedAt, expiresAt, userAgent, ipAddress, current }]
+ */
+export const getSessions = async (token) => {
+  const response = await api.get('/api/auth/sessions', { headers: authHeaders(token) });
+  return response.data;
+};
+
+/**
+ * Sign out one session
+ * @param {number} sessionId
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} { success }
+ */
+export const revokeSession = async (sessionId, token) => {
+  const response = await api.delete(`/api/auth/sessions/${sessionId}`, { headers: authHeaders(token) });
+  return response.data;
+};
+
+/**
+ * Sign out every session and replace the login link
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} { revoked, loginToken, session } where session replaces this browser's
+ */
+export const signOutEverywhere = async (token) => {
+  const response = await api.post('/api/auth/sessions/revoke-all', {}, {
+    headers: authHeaders(token),
+    withCredentials: true
   });
   return response.data;
 };
 
+/**
+ * List copilot conversation threads, most recently active first
+ * @param {string} token - Auth token
+ * @returns {Promise<Array>} Threads { id, title, created_at, updated_at }
+ */
+export const getCopilotConversations = async (token) => {
+  const response = await api.get('/api/copilot/conversations', { headers: authHeaders(token) });
+  return response.data.conversations;
+};
+
+/**
+ * Fetch a copilot thread with its messages
+ * @param {number} conversationId - Thread ID
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} Thread with messages
+ */
+export const getCopilotConversation = async (conversationId, token) => {
+  const response = await api.get(`/api/copilot/conversations/${conversationId}`, { headers: authHeaders(token) });
+  return response.data;
+};
+
+/**
+ * Start a copilot thread
+ * @param {Object} [thread] - { title, messages }, messages being earlier messages to start from
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} Thread with messages
+ */
+export const createCopilotConversation = async (thread = {}, token) => {
+  const response = await api.post('/api/copilot/conversations', thread, { headers: authHeaders(token) });
+  return response.data;
+};
+
+/**
+ * Rename a copilot thread
+ * @param {number} conversationId - Thread ID
+ * @param {string} title - New title
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} Thread
+ */
+export const renameCopilotConversation = async (conversationId, title, token) => {
+  const response = await api.patch(`/api/copilot/conversations/${conversationId}`, { title }, { headers: authHeaders(token) });
+  return response.data;
+};
+
+/**
+ * Delete a copilot thread and its messages
+ * @param {number} conversationId - Thread ID
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} { success }
+ */
+export const deleteCopilotConversation = async (conversationId, token) => {
+  const response = await api.delete(`/api/copilot/conversations/${conversationId}`, { headers: authHeaders(token) });
+  return response.data;
+};
+
 /**
  * Send message to AI copilot
  * @param {string} message - User message
- * @param {Array} conversationHistory - Previous messages
+ * @param {number|null} conversationId - Thread to continue, null starts a new one
  * @param {string} token - Auth token
- * @returns {Promise<Object>} AI response
+ * @returns {Promise<Object>} AI response { response, messages, conversation, attachments }
  */
-export const sendCopilotMessage = async (message, conversationHistory, token) => {
-  const params = {};
-  if (token) {
-    params.token = token;
-  }
-
+export const sendCopilotMessage = async (message, conversationId, token) => {
   const response = await api.post('/api/copilot/chat', {
     message,
-    conversationHistory: conversationHistory.length > 10 ? [] : conversationHistory
-  }, { params });
+    conversationId
+  }, { headers: authHeaders(token) });
 
   return response.data;
 };
 
+/**
+ * Send message to AI copilot and stream the answer
+ * Uses fetch, since axios can't read a response body as it arrives in the browser.
+ * @param {string} message - User message
+ * @param {number|null} conversationId - Thread to continue, null starts a new one
+ * @param {string} token - Auth token
+ * @param {Object} [handlers]
+ * @param {Function} [handlers.onConversation] - Called first with the thread the message went to
+ * @param {Function} [handlers.onTool] - Called with { name, description } when the copilot queries data
+ * @param {Function} [handlers.onText] - Called with each piece of reply text
+ * @param {AbortSignal} [handlers.signal] - Aborting cancels the reply
+ * @returns {Promise<Object>} { response, messages, conversation, venues } - as sendCopilotMessage, plus the venues mentioned
+ */
+export const streamCopilotMessage = async (message, conversationId, token, { onConversation, onTool, onText, signal } = {}) => {
+  const response = await fetch(`${API_BASE_URL}/api/copilot/chat/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders((await getAccessToken()) || token)
+    },
+    body: JSON.stringify({ message, conversationId }),
+    signal
+  });
+
+  if (!response.ok) {
+    throw new Error(`Copilot request failed with status ${response.status}`);
+  }
+
+  let result = null;
+  let failure = null;
+  const push = createEventStreamParser((event, data) => {
+    if (event === 'conversation') {
+      onConversation?.(data);
+    } else if (event === 'tool') {
+      onTool?.(data);
+    } else if (event === 'text') {
+      onText?.(data.delta);
+    } else if (event === 'done') {
+      result = data;
+    } else if (event === 'error') {
+      failure = data.error;
+    }
+  });
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    push(decoder.decode(value, { stream: true }));
+  }
+
+  if (failure) {
+    throw new Error(failure);
+  }
+  if (!result) {
+    throw new Error('Copilot stream ended without a response');
+  }
+  return result;
+};
+
 /**
  * Start a new check-in sync
  * @param {string} token - Auth token
@@ -155,7 +547,7 @@ export const sendCopilotMessage = async (message, conversationHistory, token) =>
  */
 export const startSync = async (token) => {
   const response = await api.post('/api/import/start', {}, {
-    params: { token }
+    headers: authHeaders(token)
   });
   return response.data;
 };
@@ -179,7 +571,7 @@ export const getSyncStatus = async (jobId, token, dataSource = 'foursquare') =>
   }
 
   const response = await api.get(endpoint, {
-    headers: { 'x-auth-token': token }
+    headers: authHeaders(token)
   });
   return response.data;
 };
@@ -191,7 +583,7 @@ export const getSyncStatus = async (jobId, token, dataSource = 'foursquare') =>
  */
 export const getLatestImport = async (token) => {
   const response = await api.get('/api/import/latest', {
-    params: { token }
+    headers: authHeaders(token)
   });
   return response.data;
 };
@@ -199,13 +591,12 @@ export const getLatestImport = async (token) => {
 /**
  * Sync all data sources
  * @param {string} token - Auth token
- * @returns {Promise<Object>} Sync results
+ * @returns {Promise<Object>} { results: { foursquare, strava } }, each with status
+ *   ('queued', 'already_running', 'rate_limited', 'not_connected' or 'error'), jobId and message
  */
 export const syncAllData = async (token) => {
   const response = await api.post('/api/sync/all', {}, {
-    headers: {
-      'x-auth-token': token
-    }
+    headers: authHeaders(token)
   });
 
   if (!response.data.success) {
@@ -223,11 +614,53 @@ export const syncAllData = async (token) => {
  */
 export const getVenuePhotos = async (venueId, token) => {
   const response = await api.get(`/api/venues/${venueId}/photos`, {
-    params: { token }
+    headers: authHeaders(token)
   });
   return response.data;
 };
 
+/**
+ * Get check-in and Strava photos, newest first
+ * @param {Object} params - Parameters including token, filters (startDate, endDate,
+ *   category, country, city, search, bounds), limit and offset
+ * @returns {Promise<Object>} { data, total, limit, offset, years }
+ */
+export const getPhotos = async (params = {}) => {
+  const response = await api.get('/api/photos', { params });
+  return response.data;
+};
+
+/**
+ * URL to display a photo from
+ * Cached photos are served by the API (GET /api/photos/:id), which signs their
+ * URLs so they work in <img> tags. Other URLs are returned as is.
+ * @param {string} url - photo_url_cached or the original photo URL
+ * @param {Object} options
+ * @param {string} [options.size='medium'] - 'thumb', 'medium' or 'original'
+ * @returns {string}
+ */
+export const getPhotoUrl = (url, { size = 'medium' } = {}) => {
+  if (!url || !url.startsWith('/api/photos/')) {
+    return url;
+  }
+
+  const [path, query] = url.split('?');
+  const params = new URLSearchParams(query);
+  params.set('size', size);
+  return `${API_BASE_URL}${path}?${params}`;
+};
+
+/**
+ * Get a venue with the user's visit history and nearby venues
+ * @param {string} venueId - Foursquare venue ID
+ * @param {Object} params - Parameters including token
+ * @returns {Promise<Object>} Venue with visits and nearby arrays
+ */
+export const getVenue = async (venueId, params = {}) => {
+  const response = await api.get(`/api/venues/${encodeURIComponent(venueId)}`, { params });
+  return response.data;
+};
+
 /**
  * Get day in the life data for a specific date
  * @param {string} date - Date in YYYY-MM-DD format
@@ -239,4 +672,139 @@ export const getDayInLife = async (date, params = {}) => {
   return response.data;
 };
 
+/**
+ * Get detected trips, most recent first
+ * @param {Object} params - Parameters including token, limit and offset
+ * @returns {Promise<Object>} { data, total, limit, offset }
+ */
+export const getTrips = async (params = {}) => {
+  const response = await api.get('/api/trips', { params });
+  return response.data;
+};
+
+/**
+ * Get a single trip with its check-ins
+ * @param {number} tripId - Trip ID
+ * @param {Object} params - Parameters including token
+ * @returns {Promise<Object>} Trip summary with a checkins array
+ */
+export const getTrip = async (tripId, params = {}) => {
+  const response = await api.get(`/api/trips/${tripId}`, { params });
+  return response.data;
+};
+
+/**
+ * Get the user's latest account data export, starting one when there's none
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} { id, status, sizeBytes, errorMessage, expiresAt, downloadUrl, ... }
+ */
+export const getAccountExport = async (token) => {
+  const response = await api.get('/api/account/export', { headers: authHeaders(token) });
+  return response.data;
+};
+
+/**
+ * Start a fresh account data export
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} The pending export, or the one already in progress
+ */
+export const requestAccountExport = async (token) => {
+  const response = await api.post('/api/account/export', {}, { headers: authHeaders(token) });
+  return response.data;
+};
+
+/**
+ * URL to download a completed account export from
+ * @param {string} downloadUrl - downloadUrl of the export, signed by the API
+ * @returns {string}
+ */
+export const getAccountExportDownloadUrl = (downloadUrl) => {
+  return `${API_BASE_URL}${downloadUrl}`;
+};
+
+/**
+ * Permanently delete the user's account and all of their data
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} { success, stravaRevoked }
+ */
+export const deleteAccount = async (token) => {
+  const response = await api.delete('/api/account', {
+    headers: authHeaders(token),
+    data: { confirm: 'DELETE' }
+  });
+  return response.data;
+};
+
+/**
+ * List all users with last login and last sync per source (admins only)
+ * @param {string} token - Auth token
+ * @returns {Promise<Array>} [{ id, displayName, role, lastLoginAt, lastSync, latestJobs, ... }]
+ */
+export const getAdminUsers = async (token) => {
+  const response = await api.get('/api/admin/users', { headers: authHeaders(token) });
+  return response.data;
+};
+
+/**
+ * Import job history, newest first (admins only)
+ * @param {Object} params - Parameters including token, userId, status, limit and offset
+ * @returns {Promise<Object>} { data, total, limit, offset }
+ */
+export const getAdminJobs = async (params = {}) => {
+  const response = await api.get('/api/admin/jobs', { params });
+  return response.data;
+};
+
+/**
+ * Job counts per background queue (admins only)
+ * @param {string} token - Auth token
+ * @returns {Promise<Array>} [{ name, queued, deferred, active, failed, total }]
+ */
+export const getAdminQueues = async (token) => {
+  const response = await api.get('/api/admin/queues', { headers: authHeaders(token) });
+  return response.data;
+};
+
+/**
+ * Strava API usage against the rate limits (admins only)
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} { limits, totals, users, hourly }
+ */
+export const getAdminStravaQuota = async (token) => {
+  const response = await api.get('/api/admin/strava-quota', { headers: authHeaders(token) });
+  return response.data;
+};
+
+/**
+ * Queue the daily sync of all active users now (admins only)
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} { success, jobId }
+ */
+export const triggerDailySync = async (token) => {
+  const response = await api.post('/api/admin/trigger-daily-sync', {}, { headers: authHeaders(token) });
+  return response.data;
+};
+
+/**
+ * Run a failed import job again (admins only)
+ * @param {number} jobId - Import job ID
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} { success, jobId, status }
+ */
+export const retryAdminJob = async (jobId, token) => {
+  const response = await api.post(`/api/admin/jobs/${jobId}/retry`, {}, { headers: authHeaders(token) });
+  return response.data;
+};
+
+/**
+ * Cancel a pending, running or rate limited import job (admins only)
+ * @param {number} jobId - Import job ID
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} { success, jobId, status }
+ */
+export const cancelAdminJob = async (jobId, token) => {
+  const response = await api.post(`/api/admin/jobs/${jobId}/cancel`, {}, { headers: authHeaders(token) });
+  return response.data;
+};
+
 export default api;
@@ -2,6 +2,9 @@ import axios from 'axios';
 
 const mockGet = jest.fn();
 const mockPost = jest.fn();
+const mockDelete = jest.fn();
+const mockPatch = jest.fn();
+const mockRequest = jest.fn();
 
 jest.mock('axios', () => ({
   __esModule: true,
@@ -9,6 +12,9 @@ jest.mock('axios', () => ({
     create: jest.fn(() => ({
       get: mockGet,
       post: mockPost,
+      delete: mockDelete,
+      patch: mockPatch,
+      request: mockRequest,
       interceptors: {
         request: { use: jest.fn() },
         response: { use: jest.fn() }
@@ -19,15 +25,56 @@ jest.mock('axios', () => ({
 
 const {
   getCheckins,
+  streamCheckins,
+  getActivityTracks,
+  getActivityTilesUrl,
+  authorizeMapRequest,
+  downloadExport,
+  getHeatmap,
   getStats,
   validateToken,
   sendCopilotMessage,
-  getFilterOptions
+  streamCopilotMessage,
+  getCopilotConversations,
+  getCopilotConversation,
+  createCopilotConversation,
+  renameCopilotConversation,
+  deleteCopilotConversation,
+  getFilterOptions,
+  getTrips,
+  getTrip,
+  getVenue,
+  getPhotos,
+  getPhotoUrl,
+  getAccountExport,
+  requestAccountExport,
+  getAccountExportDownloadUrl,
+  deleteAccount,
+  createSession,
+  refreshSession,
+  getSessions,
+  revokeSession,
+  signOutEverywhere,
+  getAccessToken,
+  getAdminUsers,
+  getAdminJobs,
+  getAdminQueues,
+  getAdminStravaQuota,
+  retryAdminJob,
+  cancelAdminJob
 } = require('./api');
 
+// Registered once when the module loads, before mocks are reset between tests
+const apiInstance = axios.create.mock.results[0].value;
+const [onRequest] = apiInstance.interceptors.request.use.mock.calls[0];
+const [, onResponseError] = apiInstance.interceptors.response.use.mock.calls[0];
+
 beforeEach(() => {
   mockGet.mockReset();
   mockPost.mockReset();
+  mockDelete.mockReset();
+  mockRequest.mockReset();
+  localStorage.clear();
 });
 
 describe('api service', () => {
@@ -38,6 +85,67 @@ describe('api service', () => {
     expect(result).toEqual({ checkins: [] });
   });
 
+  it('streamCheckins pages through check-ins oldest first', async () => {
+    mockGet
+      .mockResolvedValueOnce({ data: { data: [{ id: 1 }, { id: 2 }], total: 3 } })
+      .mockResolvedValueOnce({ data: { data: [{ id: 3 }], total: 3 } });
+    const onChunk = jest.fn();
+
+    const loaded = await streamCheckins({ token: 'tok', startDate: '2024-01-01' }, onChunk, { chunkSize: 2 });
+
+    expect(loaded).toBe(3);
+    expect(mockGet).toHaveBeenNthCalledWith(1, '/api/checkins', {
+      params: { token: 'tok', startDate: '2024-01-01', order: 'asc', limit: 2, offset: 0 }
+    });
+    expect(mockGet).toHaveBeenNthCalledWith(2, '/api/checkins', {
+      params: { token: 'tok', startDate: '2024-01-01', order: 'asc', limit: 2, offset: 2 }
+    });
+    expect(onChunk).toHaveBeenNthCalledWith(1, [{ id: 1 }, { id: 2 }], { loaded: 2, total: 3 });
+    expect(onChunk).toHaveBeenNthCalledWith(2, [{ id: 3 }], { loaded: 3, total: 3 });
+  });
+
+  it('streamCheckins stops when aborted', async () => {
+    const controller = new AbortController();
+    mockGet.mockImplementation(async () => {
+      controller.abort();
+      return { data: { data: [{ id: 1 }], total: 10 } };
+    });
+    const onChunk = jest.fn();
+
+    await streamCheckins({}, onChunk, { chunkSize: 1, signal: controller.signal });
+
+    expect(mockGet).toHaveBeenCalledTimes(1);
+    expect(onChunk).not.toHaveBeenCalled();
+  });
+
+  it('getActivityTracks calls GET /api/activities/tracks with params', async () => {
+    const tracks = { type: 'FeatureCollection', features: [] };
+    mockGet.mockResolvedValue({ data: tracks });
+    const result = await getActivityTracks({ token: 'tok', zoom: 10 });
+    expect(mockGet).toHaveBeenCalledWith('/api/activities/tracks', { params: { token: 'tok', zoom: 10 } });
+    expect(result).toEqual(tracks);
+  });
+
+  it('getActivityTilesUrl builds a tile template with query params', () => {
+    const url = getActivityTilesUrl({ startDate: '2024-01-01', endDate: undefined });
+    expect(url).toBe('http://localhost:3001/api/tiles/activities/{z}/{x}/{y}.mvt?startDate=2024-01-01');
+  });
+
+  it('authorizeMapRequest sends the access token with API requests only', () => {
+    localStorage.setItem('authToken', 'sva_live');
+    expect(authorizeMapRequest('http://localhost:3001/api/tiles/activities/1/2/3.mvt'))
+      .toEqual({ url: 'http://localhost:3001/api/tiles/activities/1/2/3.mvt', headers: { Authorization: 'Bearer sva_live' } });
+    expect(authorizeMapRequest('https://api.mapbox.com/styles/v1/x')).toEqual({ url: 'https://api.mapbox.com/styles/v1/x' });
+  });
+
+  it('getHeatmap calls GET /api/heatmap with params', async () => {
+    const grid = { type: 'FeatureCollection', features: [], cellSize: 0.3 };
+    mockGet.mockResolvedValue({ data: grid });
+    const result = await getHeatmap({ zoom: 5, includeTracks: true });
+    expect(mockGet).toHaveBeenCalledWith('/api/heatmap', { params: { zoom: 5, includeTracks: true } });
+    expect(result).toEqual(grid);
+  });
+
   it('getStats calls GET /api/stats', async () => {
     mockGet.mockResolvedValue({ data: { total: 5 } });
     const result = await getStats({ year: 2024 });
@@ -48,43 +156,120 @@ describe('api service', () => {
   it('validateToken calls GET /api/auth/me', async () => {
     mockGet.mockResolvedValue({ data: { user: 'test' } });
     const result = await validateToken('abc123');
-    expect(mockGet).toHaveBeenCalledWith('/api/auth/me', { params: { token: 'abc123' } });
+    expect(mockGet).toHaveBeenCalledWith('/api/auth/me', { headers: { Authorization: 'Bearer abc123' } });
     expect(result).toEqual({ user: 'test' });
   });
 
-  it('sendCopilotMessage calls POST /api/copilot/chat', async () => {
+  it('sendCopilotMessage calls POST /api/copilot/chat with the thread', async () => {
     mockPost.mockResolvedValue({ data: { reply: 'hello' } });
-    const result = await sendCopilotMessage('hi', [], 'tok');
+    const result = await sendCopilotMessage('hi', 7, 'tok');
     expect(mockPost).toHaveBeenCalledWith(
       '/api/copilot/chat',
-      { message: 'hi', conversationHistory: [] },
-      { params: { token: 'tok' } }
+      { message: 'hi', conversationId: 7 },
+      { headers: { Authorization: 'Bearer tok' } }
     );
     expect(result).toEqual({ reply: 'hello' });
   });
 
-  it('sendCopilotMessage sends empty history when >10 items', async () => {
-    mockPost.mockResolvedValue({ data: { reply: 'ok' } });
-    const longHistory = Array.from({ length: 11 }, (_, i) => ({ role: 'user', text: `msg${i}` }));
-    await sendCopilotMessage('test', longHistory, 'tok');
-    expect(mockPost).toHaveBeenCalledWith(
-      '/api/copilot/chat',
-      { message: 'test', conversationHistory: [] },
-      { params: { token: 'tok' } }
-    );
+  it('getCopilotConversations calls GET /api/copilot/conversations', async () => {
+    mockGet.mockResolvedValue({ data: { conversations: [{ id: 7 }] } });
+    expect(await getCopilotConversations('tok')).toEqual([{ id: 7 }]);
+    expect(mockGet).toHaveBeenCalledWith('/api/copilot/conversations', { headers: { Authorization: 'Bearer tok' } });
+  });
+
+  it('getCopilotConversation calls GET /api/copilot/conversations/:id', async () => {
+    mockGet.mockResolvedValue({ data: { id: 7, messages: [] } });
+    expect(await getCopilotConversation(7, 'tok')).toEqual({ id: 7, messages: [] });
+    expect(mockGet).toHaveBeenCalledWith('/api/copilot/conversations/7', { headers: { Authorization: 'Bearer tok' } });
   });
 
-  it('sendCopilotMessage passes history when <=10 items', async () => {
-    mockPost.mockResolvedValue({ data: { reply: 'ok' } });
-    const history = Array.from({ length: 10 }, (_, i) => ({ role: 'user', text: `msg${i}` }));
-    await sendCopilotMessage('test', history, 'tok');
+  it('createCopilotConversation calls POST /api/copilot/conversations', async () => {
+    mockPost.mockResolvedValue({ data: { id: 8, messages: [] } });
+    await createCopilotConversation({ title: 'Earlier chat', messages: [] }, 'tok');
     expect(mockPost).toHaveBeenCalledWith(
-      '/api/copilot/chat',
-      { message: 'test', conversationHistory: history },
-      { params: { token: 'tok' } }
+      '/api/copilot/conversations',
+      { title: 'Earlier chat', messages: [] },
+      { headers: { Authorization: 'Bearer tok' } }
     );
   });
 
+  it('renameCopilotConversation calls PATCH /api/copilot/conversations/:id', async () => {
+    mockPatch.mockResolvedValue({ data: { id: 7, title: 'Japan' } });
+    expect(await renameCopilotConversation(7, 'Japan', 'tok')).toEqual({ id: 7, title: 'Japan' });
+    expect(mockPatch).toHaveBeenCalledWith('/api/copilot/conversations/7', { title: 'Japan' }, { headers: { Authorization: 'Bearer tok' } });
+  });
+
+  it('deleteCopilotConversation calls DELETE /api/copilot/conversations/:id', async () => {
+    mockDelete.mockResolvedValue({ data: { success: true } });
+    await deleteCopilotConversation(7, 'tok');
+    expect(mockDelete).toHaveBeenCalledWith('/api/copilot/conversations/7', { headers: { Authorization: 'Bearer tok' } });
+  });
+
+  describe('streamCopilotMessage', () => {
+    const { TextEncoder, TextDecoder } = require('util');
+    const originalFetch = global.fetch;
+
+    // Response whose body yields the given text chunks
+    const streamResponse = (chunks) => {
+      const encoder = new TextEncoder();
+      const queue = chunks.map(chunk => encoder.encode(chunk));
+      return {
+        ok: true,
+        body: {
+          getReader: () => ({
+            read: async () => (queue.length ? { done: false, value: queue.shift() } : { done: true })
+          })
+        }
+      };
+    };
+
+    beforeEach(() => {
+      global.TextDecoder = TextDecoder;
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      delete global.TextDecoder;
+    });
+
+    it('posts to the stream endpoint and reports progress and text', async () => {
+      global.fetch = jest.fn().mockResolvedValue(streamResponse([
+        'event: conversation\ndata: {"id":7,"title":null}\n\n',
+        'event: tool\ndata: {"name":"query_checkins","description":"Querying check-ins in Japan"}\n\nevent: te',
+        'xt\ndata: {"delta":"Hel"}\n\nevent: text\ndata: {"delta":"lo"}\n\n',
+        'event: done\ndata: {"response":"Hello","messages":[],"venues":[]}\n\n'
+      ]));
+      const onConversation = jest.fn();
+      const onTool = jest.fn();
+      const onText = jest.fn();
+
+      const result = await streamCopilotMessage('hi', null, 'tok', { onConversation, onTool, onText });
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toMatch(/\/api\/copilot\/chat\/stream$/);
+      expect(options.headers.Authorization).toBe('Bearer tok');
+      expect(JSON.parse(options.body)).toEqual({ message: 'hi', conversationId: null });
+      expect(onConversation).toHaveBeenCalledWith({ id: 7, title: null });
+      expect(onTool).toHaveBeenCalledWith({ name: 'query_checkins', description: 'Querying check-ins in Japan' });
+      expect(onText.mock.calls).toEqual([['Hel'], ['lo']]);
+      expect(result).toEqual({ response: 'Hello', messages: [], venues: [] });
+    });
+
+    it('rejects with the error event', async () => {
+      global.fetch = jest.fn().mockResolvedValue(streamResponse([
+        'event: error\ndata: {"error":"Failed to get a response from the copilot"}\n\n'
+      ]));
+
+      await expect(streamCopilotMessage('hi', 7, 'tok')).rejects.toThrow('Failed to get a response');
+    });
+
+    it('rejects when the request fails', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 401 });
+
+      await expect(streamCopilotMessage('hi', 7, 'tok')).rejects.toThrow('status 401');
+    });
+  });
+
   it('getFilterOptions calls GET /api/filters/options', async () => {
     mockGet.mockResolvedValue({ data: { cities: ['NYC'] } });
     const result = await getFilterOptions({ token: 'tok' });
@@ -92,6 +277,117 @@ describe('api service', () => {
     expect(result).toEqual({ cities: ['NYC'] });
   });
 
+  it('getTrips calls GET /api/trips with params', async () => {
+    mockGet.mockResolvedValue({ data: { data: [], total: 0 } });
+    const result = await getTrips({ token: 'tok', limit: 10 });
+    expect(mockGet).toHaveBeenCalledWith('/api/trips', { params: { token: 'tok', limit: 10 } });
+    expect(result).toEqual({ data: [], total: 0 });
+  });
+
+  it('getTrip calls GET /api/trips/:id', async () => {
+    mockGet.mockResolvedValue({ data: { id: 5, checkins: [] } });
+    const result = await getTrip(5, { token: 'tok' });
+    expect(mockGet).toHaveBeenCalledWith('/api/trips/5', { params: { token: 'tok' } });
+    expect(result).toEqual({ id: 5, checkins: [] });
+  });
+
+  it('getVenue calls GET /api/venues/:venueId with an encoded id', async () => {
+    mockGet.mockResolvedValue({ data: { venue_id: 'a/b', visits: [], nearby: [] } });
+    const result = await getVenue('a/b', { token: 'tok' });
+    expect(mockGet).toHaveBeenCalledWith('/api/venues/a%2Fb', { params: { token: 'tok' } });
+    expect(result).toEqual({ venue_id: 'a/b', visits: [], nearby: [] });
+  });
+
+  it('downloadExport fetches the file with the token in a header and saves it', async () => {
+    const blob = new Blob(['gpx']);
+    mockGet.mockResolvedValue({ data: blob, headers: { 'content-disposition': 'attachment; filename="swarm-export-2024-03-01.gpx"' } });
+    URL.createObjectURL = jest.fn(() => 'blob:export');
+    URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    await downloadExport({ token: 'tok', format: 'gpx', category: ['Café', 'Bar'], country: '', city: null });
+
+    expect(mockGet).toHaveBeenCalledWith('/api/export?format=gpx&category=Caf%C3%A9&category=Bar', {
+      headers: { Authorization: 'Bearer tok' },
+      responseType: 'blob',
+      timeout: 0
+    });
+    expect(URL.createObjectURL).toHaveBeenCalledWith(blob);
+    expect(click.mock.instances[0].download).toBe('swarm-export-2024-03-01.gpx');
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+    click.mockRestore();
+  });
+
+  it('getPhotos calls GET /api/photos with params', async () => {
+    mockGet.mockResolvedValue({ data: { data: [], total: 0, years: [] } });
+    const result = await getPhotos({ token: 'tok', country: 'Japan', offset: 60 });
+    expect(mockGet).toHaveBeenCalledWith('/api/photos', { params: { token: 'tok', country: 'Japan', offset: 60 } });
+    expect(result).toEqual({ data: [], total: 0, years: [] });
+  });
+
+  it('getPhotoUrl adds the size to signed cached photo URLs', () => {
+    expect(getPhotoUrl('/api/photos/7?user=1&expires=3600&signature=abc', { size: 'thumb' }))
+      .toBe('http://localhost:3001/api/photos/7?user=1&expires=3600&signature=abc&size=thumb');
+  });
+
+  it('getPhotoUrl leaves external photo URLs unchanged', () => {
+    const url = 'https://fastly.4sqi.net/img/general/original/abc.jpg';
+    expect(getPhotoUrl(url, { size: 'thumb' })).toBe(url);
+    expect(getPhotoUrl(null)).toBeNull();
+  });
+
+  it('getAccountExport calls GET /api/account/export', async () => {
+    mockGet.mockResolvedValue({ data: { id: 4, status: 'completed' } });
+    const result = await getAccountExport('tok');
+    expect(mockGet).toHaveBeenCalledWith('/api/account/export', { headers: { Authorization: 'Bearer tok' } });
+    expect(result).toEqual({ id: 4, status: 'completed' });
+  });
+
+  it('requestAccountExport calls POST /api/account/export', async () => {
+    mockPost.mockResolvedValue({ data: { id: 5, status: 'pending' } });
+    const result = await requestAccountExport('tok');
+    expect(mockPost).toHaveBeenCalledWith('/api/account/export', {}, { headers: { Authorization: 'Bearer tok' } });
+    expect(result).toEqual({ id: 5, status: 'pending' });
+  });
+
+  it('getAccountExportDownloadUrl points at the signed download link', () => {
+    expect(getAccountExportDownloadUrl('/api/account/export/4/download?user=1&expires=3600&signature=abc'))
+      .toBe('http://localhost:3001/api/account/export/4/download?user=1&expires=3600&signature=abc');
+  });
+
+  it('deleteAccount calls DELETE /api/account with the confirmation', async () => {
+    mockDelete.mockResolvedValue({ data: { success: true, stravaRevoked: false } });
+    const result = await deleteAccount('tok');
+    expect(mockDelete).toHaveBeenCalledWith('/api/account', { headers: { Authorization: 'Bearer tok' }, data: { confirm: 'DELETE' } });
+    expect(result).toEqual({ success: true, stravaRevoked: false });
+  });
+
+  it('admin reads call the admin endpoints', async () => {
+    mockGet.mockResolvedValue({ data: [] });
+
+    await getAdminUsers('tok');
+    await getAdminJobs({ token: 'tok', userId: 3, status: 'failed' });
+    await getAdminQueues('tok');
+    await getAdminStravaQuota('tok');
+
+    expect(mockGet.mock.calls).toEqual([
+      ['/api/admin/users', { headers: { Authorization: 'Bearer tok' } }],
+      ['/api/admin/jobs', { params: { token: 'tok', userId: 3, status: 'failed' } }],
+      ['/api/admin/queues', { headers: { Authorization: 'Bearer tok' } }],
+      ['/api/admin/strava-quota', { headers: { Authorization: 'Bearer tok' } }]
+    ]);
+  });
+
+  it('retryAdminJob and cancelAdminJob POST to the job', async () => {
+    mockPost.mockResolvedValue({ data: { success: true } });
+
+    await retryAdminJob(9, 'tok');
+    await cancelAdminJob(9, 'tok');
+
+    expect(mockPost).toHaveBeenCalledWith('/api/admin/jobs/9/retry', {}, { headers: { Authorization: 'Bearer tok' } });
+    expect(mockPost).toHaveBeenCalledWith('/api/admin/jobs/9/cancel', {}, { headers: { Authorization: 'Bearer tok' } });
+  });
+
   describe('error handling', () => {
     it('getCheckins propagates network errors', async () => {
       const networkError = new Error('Network Error');
@@ -109,4 +405,149 @@ describe('api service', () => {
       await expect(sendCopilotMessage('hi', [], 'tok')).rejects.toThrow('Server error');
     });
   });
+
+  describe('sessions', () => {
+    const storeSession = (expiresAt) => {
+      localStorage.setItem('authSession', JSON.stringify({ accessToken: 'sva_old', expiresAt }));
+      localStorage.setItem('authToken', 'sva_old');
+    };
+    const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const refreshed = { accessToken: 'sva_new', expiresAt: inOneHour(), sessionId: 7 };
+
+    it('createSession exchanges a login token', async () => {
+      mockPost.mockResolvedValue({ data: refreshed });
+      const result = await createSession('login-token');
+      expect(mockPost).toHaveBeenCalledWith('/api/auth/session', { token: 'login-token' }, { withCredentials: true });
+      expect(result).toEqual(refreshed);
+    });
+
+    it('refreshSession sends the refresh token cookie', async () => {
+      mockPost.mockResolvedValue({ data: refreshed });
+      await refreshSession();
+      expect(mockPost).toHaveBeenCalledWith('/api/auth/refresh', {}, { withCredentials: true });
+    });
+
+    it('refreshSession posts the refresh token of a session stored before the cookie', async () => {
+      mockPost.mockResolvedValue({ data: refreshed });
+      await refreshSession('svr_old');
+      expect(mockPost).toHaveBeenCalledWith('/api/auth/refresh', { refreshToken: 'svr_old' }, { withCredentials: true });
+    });
+
+    it('session management calls the auth endpoints', async () => {
+      mockGet.mockResolvedValue({ data: [] });
+      mockDelete.mockResolvedValue({ data: { success: true } });
+      mockPost.mockResolvedValue({ data: { revoked: 2 } });
+
+      await getSessions('tok');
+      await revokeSession(5, 'tok');
+      await signOutEverywhere('tok');
+
+      expect(mockGet).toHaveBeenCalledWith('/api/auth/sessions', { headers: { Authorization: 'Bearer tok' } });
+      expect(mockDelete).toHaveBeenCalledWith('/api/auth/sessions/5', { headers: { Authorization: 'Bearer tok' } });
+      expect(mockPost).toHaveBeenCalledWith('/api/auth/sessions/revoke-all', {}, {
+        headers: { Authorization: 'Bearer tok' },
+        withCredentials: true
+      });
+    });
+
+    it('requests use the stored access token instead of a stale one', async () => {
+      storeSession(inOneHour());
+
+      const config = await onRequest({ method: 'get', url: '/api/checkins', params: { token: 'sva_stale', city: 'NYC' }, headers: {} });
+
+      expect(config.headers.Authorization).toBe('Bearer sva_old');
+      expect(config.params).toEqual({ city: 'NYC' });
+      expect(mockPost).not.toHaveBeenCalled();
+    });
+
+    it('moves tokens out of the query string without a session', async () => {
+      const config = await onRequest({ method: 'get', url: '/api/checkins', params: { token: 'legacy' }, headers: {} });
+
+      expect(config.headers.Authorization).toBe('Bearer legacy');
+      expect(config.params).toEqual({});
+    });
+
+    it('refreshes an expiring session once for concurrent requests', async () => {
+      storeSession(new Date(Date.now() - 1000).toISOString());
+      mockPost.mockResolvedValue({ data: refreshed });
+
+      const [first, second] = await Promise.all([
+        onRequest({ method: 'get', url: '/api/checkins', params: { token: 'sva_old' }, headers: {} }),
+        onRequest({ method: 'get', url: '/api/stats', headers: { 'x-auth-token': 'sva_old' } })
+      ]);
+
+      expect(mockPost).toHaveBeenCalledTimes(1);
+      expect(first.headers.Authorization).toBe('Bearer sva_new');
+      expect(second.headers.Authorization).toBe('Bearer sva_new');
+      expect(second.headers['x-auth-token']).toBeUndefined();
+      expect(JSON.parse(localStorage.getItem('authSession'))).toEqual({ accessToken: 'sva_new', expiresAt: refreshed.expiresAt });
+    });
+
+    it('drops the refresh token of a session stored before the cookie', async () => {
+      localStorage.setItem('authSession', JSON.stringify({
+        accessToken: 'sva_old',
+        refreshToken: 'svr_old',
+        expiresAt: new Date(Date.now() - 1000).toISOString()
+      }));
+      mockPost.mockResolvedValue({ data: refreshed });
+
+      await onRequest({ method: 'get', url: '/api/stats', headers: { Authorization: 'Bearer sva_old' } });
+
+      expect(mockPost).toHaveBeenCalledWith('/api/auth/refresh', { refreshToken: 'svr_old' }, { withCredentials: true });
+      expect(JSON.parse(localStorage.getItem('authSession')).refreshToken).toBeUndefined();
+    });
+
+    it('leaves requests without a token alone', async () => {
+      storeSession(new Date(Date.now() - 1000).toISOString());
+
+      const config = await onRequest({ method: 'post', url: '/api/auth/refresh', headers: {} });
+
+      expect(config.params).toBeUndefined();
+      expect(mockPost).not.toHaveBeenCalled();
+    });
+
+    it('retries a 401 once after refreshing', async () => {
+      storeSession(inOneHour());
+      mockPost.mockResolvedValue({ data: refreshed });
+      mockRequest.mockResolvedValue({ data: 'retried' });
+      const config = { method: 'get', url: '/api/checkins', params: { token: 'sva_old' }, headers: {} };
+
+      const result = await onResponseError({ config, response: { status: 401, data: {} } });
+
+      expect(result).toEqual({ data: 'retried' });
+      expect(mockRequest).toHaveBeenCalledWith({ ...config, sessionRetried: true });
+    });
+
+    it('signs out this browser when the refresh token is rejected', async () => {
+      storeSession(inOneHour());
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockPost.mockRejectedValue({ response: { status: 401 } });
+      const error = { config: { url: '/api/checkins', params: { token: 'sva_old' }, headers: {} }, response: { status: 401, data: {} } };
+
+      await expect(onResponseError(error)).rejects.toBe(error);
+
+      expect(mockRequest).not.toHaveBeenCalled();
+      expect(localStorage.getItem('authSession')).toBeNull();
+      expect(localStorage.getItem('authToken')).toBeNull();
+      console.error.mockRestore();
+    });
+
+    it('keeps a session another tab refreshed meanwhile', async () => {
+      storeSession(new Date(Date.now() - 1000).toISOString());
+      mockPost.mockImplementation(async () => {
+        localStorage.setItem('authSession', JSON.stringify(refreshed));
+        throw Object.assign(new Error('Unauthorized'), { response: { status: 401 } });
+      });
+
+      const config = await onRequest({ method: 'get', url: '/api/stats', headers: { Authorization: 'Bearer sva_old' } });
+
+      expect(config.headers.Authorization).toBe('Bearer sva_new');
+      expect(JSON.parse(localStorage.getItem('authSession')).accessToken).toBe('sva_new');
+    });
+
+    it('getAccessToken falls back to the stored token without a session', async () => {
+      localStorage.setItem('authToken', 'legacy');
+      expect(await getAccessToken()).toBe('legacy');
+    });
+  });
 });
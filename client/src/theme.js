@@ -38,6 +38,22 @@ const colors = {
   categoryShop: '#a35a18',
   categoryUnknown: '#5a6566',
 
+  // Activity Track Colors
+  activityRun: '#ff6b35',
+  activityRide: '#3d8fd1',
+  activityWalk: '#7cb342',
+  activityHike: '#b8860b',
+  activitySwim: '#26a6c9',
+  activityWinter: '#c5cae9',
+  activityWater: '#1e88a8',
+  activityOther: '#9c6ade',
+
+  // Sleep Stage Colors
+  sleepDeep: '#3a4fa3',
+  sleepLight: '#5b8fd6',
+  sleepRem: '#9c6ade',
+  sleepAwake: '#d9a441',
+
   // Chart Colors
   chartPrimary: '#2d9a8c',
   chartSecondary: '#ff6b35',
@@ -64,6 +80,26 @@ export const CATEGORY_COLORS = {
   'Unknown': colors.categoryUnknown,
 };
 
+// Activity track colors by activity group
+export const ACTIVITY_COLORS = {
+  run: colors.activityRun,
+  ride: colors.activityRide,
+  walk: colors.activityWalk,
+  hike: colors.activityHike,
+  swim: colors.activitySwim,
+  winter: colors.activityWinter,
+  water: colors.activityWater,
+  other: colors.activityOther,
+};
+
+// Sleep stage colors for the Day in Life hypnogram
+export const SLEEP_STAGE_COLORS = {
+  deep: colors.sleepDeep,
+  light: colors.sleepLight,
+  rem: colors.sleepRem,
+  awake: colors.sleepAwake,
+};
+
 // Contribution grid color function
 export const getContributionColor = (count) => {
   if (count === 0) return colors.contributionEmpty;
@@ -90,6 +126,15 @@ export const mapColors = {
   clusterHigh: colors.categoryPark,     // '#1e7544'
   text: colors.textPrimary,             // '#f5f5f5'
   stroke: colors.backgroundElevated,    // '#1e1e1e'
+  heatmapTransparent: 'rgba(36, 107, 96, 0)',
+  heatmapLow: colors.accentDataMuted,   // '#246b60'
+  heatmapMedium: colors.accentData,     // '#2d9a8c'
+  heatmapHigh: colors.categoryCafe,     // '#b87a0f'
+  heatmapPeak: colors.accentInteractive, // '#ff6b35'
+  playbackHead: colors.accentInteractive, // '#ff6b35'
+  playbackTrail: colors.accentData,     // '#2d9a8c'
+  venueFocus: colors.accentInteractive, // '#ff6b35'
+  copilotHighlight: colors.accentInteractive, // '#ff6b35'
 };
 
 // Overlay colors for components
@@ -0,0 +1,37 @@
+// Query result columns without a readable name: aggregation values and date groupings
+const COLUMN_LABELS = {
+  result: 'Value',
+  date: 'Date',
+  date_trunc: 'Period'
+};
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Heading for a query result column, e.g. "venue_name" -> "Venue name"
+ */
+export function columnLabel(key) {
+  if (COLUMN_LABELS[key]) return COLUMN_LABELS[key];
+  const words = String(key).replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Display text for a query result value
+ * Timestamps at midnight UTC are date groupings and show as dates; numbers,
+ * which come as strings from COUNT/SUM/AVG, get at most two decimals.
+ */
+export function formatCell(value) {
+  if (value === null || value === undefined || value === '') return '—';
+
+  if (typeof value === 'string' && ISO_TIMESTAMP.test(value)) {
+    return value.includes('T00:00:00') ? value.slice(0, 10) : new Date(value).toLocaleString();
+  }
+
+  if (typeof value === 'number' || (typeof value === 'string' && NUMERIC.test(value))) {
+    return Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 });
+  }
+
+  return String(value);
+}
@@ -0,0 +1,41 @@
+import { columnLabel, formatCell } from './attachmentUtils';
+
+describe('attachmentUtils', () => {
+  describe('columnLabel', () => {
+    test('turns column names into headings', () => {
+      expect(columnLabel('venue_name')).toBe('Venue name');
+      expect(columnLabel('country')).toBe('Country');
+    });
+
+    test('names aggregation values and date groupings', () => {
+      expect(columnLabel('result')).toBe('Value');
+      expect(columnLabel('date_trunc')).toBe('Period');
+    });
+  });
+
+  describe('formatCell', () => {
+    test('shows date groupings as dates', () => {
+      expect(formatCell('2024-03-01T00:00:00.000Z')).toBe('2024-03-01');
+    });
+
+    test('shows other timestamps in local time', () => {
+      const value = '2024-03-01T18:30:00.000Z';
+      expect(formatCell(value)).toBe(new Date(value).toLocaleString());
+    });
+
+    test('formats numbers and numeric strings', () => {
+      expect(formatCell('12')).toBe((12).toLocaleString());
+      expect(formatCell('3.14159')).toBe((3.14).toLocaleString());
+      expect(formatCell(1500)).toBe((1500).toLocaleString());
+    });
+
+    test('shows a dash for missing values', () => {
+      expect(formatCell(null)).toBe('—');
+      expect(formatCell(undefined)).toBe('—');
+    });
+
+    test('leaves text as it is', () => {
+      expect(formatCell('Japan')).toBe('Japan');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const STORAGE_KEYS = {
+  SESSION: 'authSession',
+  // Access token on its own, read by pages and the copilot
+  TOKEN: 'authToken'
+};
+
+const ACCESS_TOKEN_PREFIX = 'sva_';
+
+// Refresh this long before the access token expires, so requests in flight don't fail
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Whether a token is a session access token, rather than a login link token
+ * @param {string} token
+ * @returns {boolean}
+ */
+export const isAccessToken = (token) => {
+  return typeof token === 'string' && token.startsWith(ACCESS_TOKEN_PREFIX);
+};
+
+/**
+ * Load the stored session
+ * The refresh token is an httpOnly cookie the page can't see. Sessions stored
+ * before that still carry their refreshToken until the next refresh.
+ * @returns {Object|null} { accessToken, expiresAt }
+ */
+export const getStoredSession = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.SESSION);
+    const session = stored ? JSON.parse(stored) : null;
+    return session?.accessToken ? session : null;
+  } catch (error) {
+    console.error('Failed to load session:', error);
+    return null;
+  }
+};
+
+/**
+ * Store a session from /api/auth/session or /api/auth/refresh
+ * @param {Object} session - { accessToken, expiresAt }
+ */
+export const storeSession = ({ accessToken, expiresAt }) => {
+  try {
+    localStorage.setItem(STORAGE_KEYS.SESSION, JSON.stringify({ accessToken, expiresAt }));
+    localStorage.setItem(STORAGE_KEYS.TOKEN, accessToken);
+  } catch (error) {
+    console.error('Failed to save session:', error);
+  }
+};
+
+/**
+ * Forget the session and token, signing out this browser
+ */
+export const clearStoredSession = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEYS.SESSION);
+    localStorage.removeItem(STORAGE_KEYS.TOKEN);
+  } catch (error) {
+    console.error('Failed to clear session:', error);
+  }
+};
+
+/**
+ * Whether the session's access token has expired or is about to
+ * @param {Object} session - { expiresAt }
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+export const isSessionExpiring = (session, now = Date.now()) => {
+  if (!session?.expiresAt) return false;
+  return new Date(session.expiresAt).getTime() - EXPIRY_MARGIN_MS <= now;
+};
+
+/**
+ * Read a session handed over in a URL fragment after signing in
+ * (#accessToken=...&expiresAt=...), the refresh token comes as a cookie
+ * @param {string} hash - window.location.hash
+ * @returns {Object|null} { accessToken, expiresAt }
+ */
+export const parseSessionFragment = (hash) => {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const accessToken = params.get('accessToken');
+
+  if (!isAccessToken(accessToken)) return null;
+  return { accessToken, expiresAt: params.get('expiresAt') };
+};
@@ -0,0 +1,90 @@
+import {
+  isAccessToken,
+  getStoredSession,
+  storeSession,
+  clearStoredSession,
+  isSessionExpiring,
+  parseSessionFragment
+} from './authSession';
+
+const session = {
+  accessToken: 'sva_access',
+  expiresAt: '2024-03-01T10:00:00.000Z'
+};
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('authSession', () => {
+  describe('isAccessToken', () => {
+    it('recognizes session access tokens', () => {
+      expect(isAccessToken('sva_abc')).toBe(true);
+    });
+
+    it('rejects login link tokens and missing values', () => {
+      expect(isAccessToken('0f3a9c')).toBe(false);
+      expect(isAccessToken(null)).toBe(false);
+    });
+  });
+
+  describe('storage', () => {
+    it('round-trips a session and exposes the access token as authToken', () => {
+      storeSession({ ...session, sessionId: 7 });
+
+      expect(getStoredSession()).toEqual(session);
+      expect(localStorage.getItem('authToken')).toBe('sva_access');
+    });
+
+    it('returns null when no session is stored', () => {
+      expect(getStoredSession()).toBeNull();
+    });
+
+    it('returns null for malformed JSON', () => {
+      localStorage.setItem('authSession', '{not json');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(getStoredSession()).toBeNull();
+
+      console.error.mockRestore();
+    });
+
+    it('clearStoredSession removes the session and token', () => {
+      storeSession(session);
+      clearStoredSession();
+
+      expect(getStoredSession()).toBeNull();
+      expect(localStorage.getItem('authToken')).toBeNull();
+    });
+  });
+
+  describe('isSessionExpiring', () => {
+    const expiresAt = Date.parse(session.expiresAt);
+
+    it('is false well before expiry', () => {
+      expect(isSessionExpiring(session, expiresAt - 10 * 60 * 1000)).toBe(false);
+    });
+
+    it('is true within a minute of expiry and after', () => {
+      expect(isSessionExpiring(session, expiresAt - 30 * 1000)).toBe(true);
+      expect(isSessionExpiring(session, expiresAt + 1000)).toBe(true);
+    });
+
+    it('is false without an expiry', () => {
+      expect(isSessionExpiring({ accessToken: 'sva_access' })).toBe(false);
+    });
+  });
+
+  describe('parseSessionFragment', () => {
+    it('reads the tokens from the URL fragment', () => {
+      const hash = '#accessToken=sva_access&expiresAt=2024-03-01T10%3A00%3A00.000Z';
+      expect(parseSessionFragment(hash)).toEqual(session);
+    });
+
+    it('returns null for other fragments', () => {
+      expect(parseSessionFragment('#section-2')).toBeNull();
+      expect(parseSessionFragment('')).toBeNull();
+      expect(parseSessionFragment('#accessToken=plain')).toBeNull();
+    });
+  });
+});
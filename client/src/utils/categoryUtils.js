@@ -0,0 +1,34 @@
+// Autocomplete group headers, in the order groups are listed
+export const CATEGORY_GROUP_LABELS = {
+  top: 'Top-level categories',
+  mid: 'Subcategories',
+  leaf: 'Categories'
+};
+
+const LEVEL_ORDER = ['top', 'mid', 'leaf'];
+
+/**
+ * Category filter options: top-level and mid-level groups first, then the
+ * user's own categories. A name appearing at several levels (e.g. "Bar" is a
+ * subcategory of "Nightlife Spot" and a category itself) is listed once, at
+ * the highest level, since the filter matches a name at every level anyway.
+ * @param {string[]} categories - Leaf categories from the filter options
+ * @param {Array<{name: string, level: string}>} categoryGroups
+ * @returns {Array<{name: string, level: string}>} Sorted by level
+ */
+export function buildCategoryOptions(categories, categoryGroups) {
+  const levels = new Map();
+
+  for (const group of categoryGroups || []) {
+    if (!levels.has(group.name)) levels.set(group.name, group.level);
+  }
+  for (const category of categories || []) {
+    if (!levels.has(category)) levels.set(category, 'leaf');
+  }
+
+  return LEVEL_ORDER.flatMap(level =>
+    [...levels.entries()]
+      .filter(([, optionLevel]) => optionLevel === level)
+      .map(([name]) => ({ name, level }))
+  );
+}
@@ -0,0 +1,38 @@
+import { buildCategoryOptions } from './categoryUtils';
+
+describe('buildCategoryOptions', () => {
+  it('lists top-level groups, then subcategories, then categories', () => {
+    const options = buildCategoryOptions(
+      ['Café', 'Ramen Restaurant'],
+      [
+        { name: 'Food', level: 'top', parent: null },
+        { name: 'Asian Restaurant', level: 'mid', parent: 'Food' }
+      ]
+    );
+
+    expect(options).toEqual([
+      { name: 'Food', level: 'top' },
+      { name: 'Asian Restaurant', level: 'mid' },
+      { name: 'Café', level: 'leaf' },
+      { name: 'Ramen Restaurant', level: 'leaf' }
+    ]);
+  });
+
+  it('lists a name used at several levels once, at the highest level', () => {
+    const options = buildCategoryOptions(
+      ['Bar', 'Cocktail Bar'],
+      [
+        { name: 'Nightlife Spot', level: 'top', parent: null },
+        { name: 'Bar', level: 'mid', parent: 'Nightlife Spot' }
+      ]
+    );
+
+    expect(options.map(option => option.name)).toEqual(['Nightlife Spot', 'Bar', 'Cocktail Bar']);
+    expect(options[1].level).toBe('mid');
+  });
+
+  it('falls back to plain categories before the taxonomy is known', () => {
+    expect(buildCategoryOptions(['Café'], undefined)).toEqual([{ name: 'Café', level: 'leaf' }]);
+    expect(buildCategoryOptions(undefined, undefined)).toEqual([]);
+  });
+});
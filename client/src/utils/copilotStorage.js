@@ -1,22 +1,10 @@
+// Conversations are stored on the server; MESSAGES is the chat history
+// browsers kept before that, moved into a conversation once
 const STORAGE_KEYS = {
   MESSAGES: 'copilot_chat_history',
   STATE: 'copilot_state'
 };
 
-const MAX_MESSAGES = 50; // Keep last 50 messages
-
-/**
- * Save messages to localStorage
- */
-export const saveMessages = (messages) => {
-  try {
-    const recent = messages.slice(-MAX_MESSAGES);
-    localStorage.setItem(STORAGE_KEYS.MESSAGES, JSON.stringify(recent));
-  } catch (error) {
-    console.error('Failed to save messages:', error);
-  }
-};
-
 /**
  * Load messages from localStorage
  */
@@ -42,7 +30,7 @@ export const clearMessages = () => {
 };
 
 /**
- * Save copilot UI state
+ * Save copilot UI state: { isOpen, isExpanded, conversationId }
  */
 export const saveCopilotState = (state) => {
   try {
@@ -0,0 +1,32 @@
+/**
+ * Incremental parser for a server-sent event stream
+ * Chunks can split events anywhere; each event is handed over once it's complete.
+ * @param {Function} onEvent - Called with (event, data) per event, data parsed as JSON
+ * @returns {Function} Feed the next chunk of stream text
+ */
+export function createEventStreamParser(onEvent) {
+  let buffer = '';
+
+  return (text) => {
+    buffer += text.replace(/\r\n/g, '\n');
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+
+    blocks.forEach(block => {
+      let event = 'message';
+      const data = [];
+
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).replace(/^ /, ''));
+        }
+      });
+
+      if (data.length > 0) {
+        onEvent(event, JSON.parse(data.join('\n')));
+      }
+    });
+  };
+}
@@ -0,0 +1,36 @@
+import { createEventStreamParser } from './eventStream';
+
+describe('createEventStreamParser', () => {
+  it('parses named events with JSON data', () => {
+    const onEvent = jest.fn();
+    const push = createEventStreamParser(onEvent);
+
+    push('event: tool\ndata: {"name":"query_checkins"}\n\nevent: text\ndata: {"delta":"Hi"}\n\n');
+
+    expect(onEvent.mock.calls).toEqual([
+      ['tool', { name: 'query_checkins' }],
+      ['text', { delta: 'Hi' }]
+    ]);
+  });
+
+  it('waits for events split across chunks', () => {
+    const onEvent = jest.fn();
+    const push = createEventStreamParser(onEvent);
+
+    push('event: te');
+    push('xt\ndata: {"delta":');
+    expect(onEvent).not.toHaveBeenCalled();
+
+    push('"Hello"}\n\n');
+    expect(onEvent).toHaveBeenCalledWith('text', { delta: 'Hello' });
+  });
+
+  it('defaults the event name and skips comments and CRLF line endings', () => {
+    const onEvent = jest.fn();
+    const push = createEventStreamParser(onEvent);
+
+    push(': keep-alive\r\n\r\ndata: {"ok":true}\r\n\r\n');
+
+    expect(onEvent.mock.calls).toEqual([['message', { ok: true }]]);
+  });
+});
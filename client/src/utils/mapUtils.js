@@ -1,4 +1,4 @@
-import { CATEGORY_COLORS } from '../theme';
+import { CATEGORY_COLORS, ACTIVITY_COLORS } from '../theme';
 
 /**
  * Group checkins by venue, combining checkins at the same venue.
@@ -51,6 +51,29 @@ export function toGeoJSON(venueGroups) {
   };
 }
 
+/**
+ * Convert copilot map attachment venues ({ venueId, venueName, latitude, longitude })
+ * to a GeoJSON FeatureCollection for the highlight layer.
+ */
+export function highlightToGeoJSON(venues) {
+  return {
+    type: "FeatureCollection",
+    features: (venues || [])
+      .filter(venue => Number.isFinite(venue.latitude) && Number.isFinite(venue.longitude))
+      .map(venue => ({
+        type: "Feature",
+        geometry: {
+          type: "Point",
+          coordinates: [venue.longitude, venue.latitude]
+        },
+        properties: {
+          venueId: venue.venueId,
+          venueName: venue.venueName
+        }
+      }))
+  };
+}
+
 /**
  * Map a venue category to its marker color.
  */
@@ -58,6 +81,79 @@ export function getMarkerColor(category) {
   return CATEGORY_COLORS[category] || CATEGORY_COLORS['Unknown'];
 }
 
+// Strava (PascalCase) and Garmin (snake_case) activity types, lowercased,
+// grouped into the color buckets defined in ACTIVITY_COLORS.
+const ACTIVITY_TYPE_GROUPS = {
+  run: ['run', 'trailrun', 'virtualrun', 'running', 'trail_running', 'treadmill_running', 'track_running', 'street_running'],
+  ride: ['ride', 'virtualride', 'ebikeride', 'mountainbikeride', 'gravelride', 'velomobile', 'handcycle', 'cycling', 'road_biking', 'mountain_biking', 'gravel_cycling', 'indoor_cycling', 'e_bike_fitness', 'e_bike_mountain'],
+  walk: ['walk', 'walking', 'casual_walking', 'speed_walking'],
+  hike: ['hike', 'hiking', 'mountaineering'],
+  swim: ['swim', 'swimming', 'open_water_swimming', 'lap_swimming'],
+  winter: ['alpineski', 'backcountryski', 'nordicski', 'snowboard', 'snowshoe', 'iceskate', 'resort_skiing_snowboarding', 'backcountry_skiing', 'cross_country_skiing', 'skate_skiing', 'snow_shoeing'],
+  water: ['kayaking', 'canoeing', 'rowing', 'standuppaddling', 'surfing', 'kitesurf', 'windsurf', 'sail', 'stand_up_paddleboarding', 'whitewater_rafting_kayaking', 'sailing']
+};
+
+/**
+ * Map an activity type (Strava or Garmin naming) to its color group.
+ */
+export function getActivityGroup(activityType) {
+  if (!activityType) return 'other';
+  const type = activityType.toLowerCase();
+  const group = Object.keys(ACTIVITY_TYPE_GROUPS).find(key => ACTIVITY_TYPE_GROUPS[key].includes(type));
+  return group || 'other';
+}
+
+/**
+ * Map an activity type to its track color.
+ */
+export function getActivityColor(activityType) {
+  return ACTIVITY_COLORS[getActivityGroup(activityType)];
+}
+
+/**
+ * Build a Mapbox GL expression that colors track lines by activity_type.
+ */
+export function activityColorExpression() {
+  const expression = ['match', ['downcase', ['coalesce', ['get', 'activity_type'], '']]];
+  Object.entries(ACTIVITY_TYPE_GROUPS).forEach(([group, types]) => {
+    expression.push(types, ACTIVITY_COLORS[group]);
+  });
+  expression.push(ACTIVITY_COLORS.other);
+  return expression;
+}
+
+/**
+ * Add a normalized 0-1 `intensity` to heatmap grid cells.
+ * Weights are log-scaled per source so a few very busy venues don't wash out
+ * everything else, and check-ins and tracks each use their own full range.
+ */
+export function normalizeHeatmapWeights(collection) {
+  if (!collection?.features) {
+    return { type: 'FeatureCollection', features: [] };
+  }
+
+  const maxBySource = {};
+  collection.features.forEach(feature => {
+    const { source, weight } = feature.properties;
+    maxBySource[source] = Math.max(maxBySource[source] || 0, weight);
+  });
+
+  return {
+    ...collection,
+    features: collection.features.map(feature => {
+      const { source, weight } = feature.properties;
+      const max = maxBySource[source];
+      return {
+        ...feature,
+        properties: {
+          ...feature.properties,
+          intensity: max > 0 ? Math.log1p(weight) / Math.log1p(max) : 0
+        }
+      };
+    })
+  };
+}
+
 /**
  * Group checkins by week (ISO week, starting Monday).
  * Returns an object mapping week-start date strings to checkin counts.
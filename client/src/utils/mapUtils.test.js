@@ -1,4 +1,16 @@
-import { groupCheckinsByVenue, toGeoJSON, getMarkerColor, groupCheckinsByWeek, generateWeeksGrid } from './mapUtils';
+import {
+  groupCheckinsByVenue,
+  toGeoJSON,
+  highlightToGeoJSON,
+  getMarkerColor,
+  getActivityGroup,
+  getActivityColor,
+  activityColorExpression,
+  normalizeHeatmapWeights,
+  groupCheckinsByWeek,
+  generateWeeksGrid
+} from './mapUtils';
+import { ACTIVITY_COLORS } from '../theme';
 
 describe('mapUtils', () => {
   describe('groupCheckinsByVenue', () => {
@@ -82,6 +94,24 @@ describe('mapUtils', () => {
     });
   });
 
+  describe('highlightToGeoJSON', () => {
+    test('creates a point per venue with coordinates', () => {
+      const geojson = highlightToGeoJSON([
+        { venueId: 'v1', venueName: 'Cafe', latitude: 40, longitude: -74 },
+        { venueId: 'v2', venueName: 'Nowhere', latitude: null, longitude: null }
+      ]);
+      expect(geojson.features).toEqual([{
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [-74, 40] },
+        properties: { venueId: 'v1', venueName: 'Cafe' }
+      }]);
+    });
+
+    test('handles missing venues', () => {
+      expect(highlightToGeoJSON(undefined).features).toEqual([]);
+    });
+  });
+
   describe('getMarkerColor', () => {
     test('returns correct color for known categories', () => {
       expect(getMarkerColor('Coffee Shop')).toBe('#8f3d00');
@@ -98,6 +128,62 @@ describe('mapUtils', () => {
     });
   });
 
+  describe('getActivityGroup', () => {
+    test('groups Strava and Garmin types together', () => {
+      expect(getActivityGroup('Run')).toBe('run');
+      expect(getActivityGroup('trail_running')).toBe('run');
+      expect(getActivityGroup('Ride')).toBe('ride');
+      expect(getActivityGroup('road_biking')).toBe('ride');
+    });
+
+    test('falls back to other for unknown or missing types', () => {
+      expect(getActivityGroup('Yoga')).toBe('other');
+      expect(getActivityGroup(null)).toBe('other');
+    });
+  });
+
+  describe('getActivityColor', () => {
+    test('returns the group color', () => {
+      expect(getActivityColor('Hike')).toBe(ACTIVITY_COLORS.hike);
+      expect(getActivityColor(undefined)).toBe(ACTIVITY_COLORS.other);
+    });
+  });
+
+  describe('activityColorExpression', () => {
+    test('builds a match expression with a fallback color', () => {
+      const expression = activityColorExpression();
+      expect(expression[0]).toBe('match');
+      expect(expression).toContain(ACTIVITY_COLORS.run);
+      expect(expression[expression.length - 1]).toBe(ACTIVITY_COLORS.other);
+      // input + (labels, output) pairs + fallback
+      expect((expression.length - 3) % 2).toBe(0);
+    });
+  });
+
+  describe('normalizeHeatmapWeights', () => {
+    const cell = (source, weight) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [0, 0] },
+      properties: { source, weight }
+    });
+
+    test('scales intensity to 0-1 per source', () => {
+      const result = normalizeHeatmapWeights({
+        type: 'FeatureCollection',
+        features: [cell('checkins', 100), cell('checkins', 1), cell('tracks', 5)]
+      });
+      const intensities = result.features.map(f => f.properties.intensity);
+      expect(intensities[0]).toBe(1);
+      expect(intensities[1]).toBeGreaterThan(0);
+      expect(intensities[1]).toBeLessThan(0.5);
+      expect(intensities[2]).toBe(1);
+    });
+
+    test('handles missing data', () => {
+      expect(normalizeHeatmapWeights(null)).toEqual({ type: 'FeatureCollection', features: [] });
+    });
+  });
+
   describe('groupCheckinsByWeek', () => {
     test('groups checkins into week buckets by Monday', () => {
       const checkins = [
@@ -0,0 +1,68 @@
+/**
+ * Unique key of a photo, ids are only unique per source (check-in or Strava).
+ */
+export function getPhotoKey(photo) {
+  return `${photo.source}-${photo.id}`;
+}
+
+/**
+ * What a photo shows: its venue, or its Strava activity.
+ */
+export function getPhotoTitle(photo) {
+  return photo.venue_name || photo.activity_name || 'Photo';
+}
+
+/**
+ * Date range filters covering a calendar year in local time.
+ */
+export function getYearRange(year) {
+  return {
+    startDate: new Date(year, 0, 1).toISOString(),
+    endDate: new Date(year, 11, 31, 23, 59, 59, 999).toISOString()
+  };
+}
+
+/**
+ * Filters with the selected year facet applied, replacing any date range.
+ */
+export function applyYearFacet(filters, year) {
+  if (!year) return filters;
+  return { ...filters, ...getYearRange(year) };
+}
+
+/**
+ * Bounds query parameter ("minLng,minLat,maxLng,maxLat") of a map viewport,
+ * clamped to valid coordinates since a zoomed out map wraps past ±180°.
+ */
+export function toBoundsParam({ minLng, minLat, maxLng, maxLat }) {
+  const clamp = (value, limit) => Math.min(Math.max(value, -limit), limit);
+  return [
+    clamp(minLng, 180),
+    clamp(minLat, 90),
+    clamp(maxLng, 180),
+    clamp(maxLat, 90)
+  ].map(value => value.toFixed(5)).join(',');
+}
+
+/**
+ * GeoJSON points of the photos that have a location, keyed by their index in the list.
+ */
+export function photosToGeoJSON(photos) {
+  return {
+    type: 'FeatureCollection',
+    features: photos
+      .map((photo, index) => ({ photo, index }))
+      .filter(({ photo }) => photo.latitude != null && photo.longitude != null)
+      .map(({ photo, index }) => ({
+        type: 'Feature',
+        geometry: {
+          type: 'Point',
+          coordinates: [Number(photo.longitude), Number(photo.latitude)]
+        },
+        properties: {
+          index,
+          key: getPhotoKey(photo)
+        }
+      }))
+  };
+}
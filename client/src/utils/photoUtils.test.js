@@ -0,0 +1,72 @@
+import {
+  getPhotoKey,
+  getPhotoTitle,
+  getYearRange,
+  applyYearFacet,
+  toBoundsParam,
+  photosToGeoJSON
+} from './photoUtils';
+
+describe('photoUtils', () => {
+  describe('getPhotoKey', () => {
+    test('combines the source and id', () => {
+      expect(getPhotoKey({ source: 'strava', id: 4 })).toBe('strava-4');
+    });
+  });
+
+  describe('getPhotoTitle', () => {
+    test('prefers the venue, then the activity', () => {
+      expect(getPhotoTitle({ venue_name: 'Café', activity_name: null })).toBe('Café');
+      expect(getPhotoTitle({ venue_name: null, activity_name: 'Morning Run' })).toBe('Morning Run');
+      expect(getPhotoTitle({})).toBe('Photo');
+    });
+  });
+
+  describe('getYearRange', () => {
+    test('covers the whole year in local time', () => {
+      const { startDate, endDate } = getYearRange(2023);
+      expect(new Date(startDate)).toEqual(new Date(2023, 0, 1));
+      expect(new Date(endDate)).toEqual(new Date(2023, 11, 31, 23, 59, 59, 999));
+    });
+  });
+
+  describe('applyYearFacet', () => {
+    test('replaces the date range with the year', () => {
+      const filters = { country: 'Japan', startDate: '2020-01-01T00:00:00.000Z' };
+      expect(applyYearFacet(filters, 2023)).toEqual({ country: 'Japan', ...getYearRange(2023) });
+    });
+
+    test('keeps the filters without a year', () => {
+      const filters = { country: 'Japan' };
+      expect(applyYearFacet(filters, null)).toBe(filters);
+    });
+  });
+
+  describe('toBoundsParam', () => {
+    test('formats and clamps the viewport', () => {
+      expect(toBoundsParam({ minLng: -200, minLat: 10.123456, maxLng: 20, maxLat: 95 }))
+        .toBe('-180.00000,10.12346,20.00000,90.00000');
+    });
+  });
+
+  describe('photosToGeoJSON', () => {
+    test('returns points for photos with a location', () => {
+      const photos = [
+        { source: 'checkin', id: 1, latitude: 35.6, longitude: 139.7 },
+        { source: 'strava', id: 2, latitude: null, longitude: null },
+        { source: 'strava', id: 3, latitude: '48.8', longitude: '2.3' }
+      ];
+
+      const geojson = photosToGeoJSON(photos);
+
+      expect(geojson.features).toHaveLength(2);
+      expect(geojson.features[0]).toEqual({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [139.7, 35.6] },
+        properties: { index: 0, key: 'checkin-1' }
+      });
+      expect(geojson.features[1].geometry.coordinates).toEqual([2.3, 48.8]);
+      expect(geojson.features[1].properties.index).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Playback speeds, as map time per second of wall-clock time.
+ */
+export const PLAYBACK_SPEEDS = [
+  { value: DAY_MS, label: '1 day/s' },
+  { value: 7 * DAY_MS, label: '1 week/s' },
+  { value: 30 * DAY_MS, label: '1 month/s' },
+  { value: 365 * DAY_MS, label: '1 year/s' }
+];
+
+export const DEFAULT_PLAYBACK_SPEED = PLAYBACK_SPEEDS[1].value;
+
+// How many seconds of playback a check-in stays visible while fading out
+export const TRAIL_SECONDS = 3;
+
+/**
+ * Default playback range: the twelve months up to the end of today.
+ */
+export function getDefaultPlaybackRange(now = new Date()) {
+  const end = new Date(now);
+  end.setHours(23, 59, 59, 999);
+
+  const start = new Date(end);
+  start.setFullYear(start.getFullYear() - 1);
+  start.setHours(0, 0, 0, 0);
+
+  return { start, end };
+}
+
+/**
+ * Map time a check-in stays on screen at a given speed.
+ */
+export function getTrailDuration(speed) {
+  return speed * TRAIL_SECONDS;
+}
+
+/**
+ * Advance the playback clock by a wall-clock interval, stopping at the end.
+ * @returns {number} New playback time in ms
+ */
+export function advancePlayback(currentTime, elapsedMs, speed, endTime) {
+  return Math.min(currentTime + (elapsedMs / 1000) * speed, endTime);
+}
+
+/**
+ * Index of the first timestamp after `time` in an ascending array.
+ */
+export function findTimeIndex(times, time) {
+  let low = 0;
+  let high = times.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (times[mid] <= time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low;
+}
+
+function getFade(time, currentTime, trail) {
+  return trail > 0 ? 1 - (currentTime - time) / trail : 1;
+}
+
+/**
+ * GeoJSON for the check-ins inside the trailing window at `currentTime`.
+ * `fade` runs from 1 (just happened) down to 0 (about to disappear).
+ * @param {Array} checkins - Check-ins sorted oldest first
+ * @param {Array<number>} times - checkin_date of each check-in in ms, same order
+ * @param {number} currentTime - Playback time in ms
+ * @param {number} trail - Trail duration in ms
+ */
+export function buildPlaybackFrame(checkins, times, currentTime, trail) {
+  const end = findTimeIndex(times, currentTime);
+  const start = findTimeIndex(times, currentTime - trail);
+
+  const features = [];
+  for (let i = start; i < end; i++) {
+    const checkin = checkins[i];
+    if (!checkin.latitude || !checkin.longitude) continue;
+
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: [parseFloat(checkin.longitude), parseFloat(checkin.latitude)]
+      },
+      properties: {
+        id: checkin.id,
+        venueName: checkin.venue_name,
+        category: checkin.venue_category,
+        fade: getFade(times[i], currentTime, trail)
+      }
+    });
+  }
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * GeoJSON for the activity tracks that started inside the trailing window.
+ * @param {Array} tracks - Track features from the activities API
+ * @param {number} currentTime - Playback time in ms
+ * @param {number} trail - Trail duration in ms
+ */
+export function buildTrackFrame(tracks, currentTime, trail) {
+  const features = [];
+
+  tracks.forEach(track => {
+    const time = new Date(track.properties.start_time).getTime();
+    if (time > currentTime || time <= currentTime - trail) return;
+
+    features.push({
+      ...track,
+      properties: { ...track.properties, fade: getFade(time, currentTime, trail) }
+    });
+  });
+
+  return { type: 'FeatureCollection', features };
+}
@@ -0,0 +1,103 @@
+import {
+  getDefaultPlaybackRange,
+  getTrailDuration,
+  advancePlayback,
+  findTimeIndex,
+  buildPlaybackFrame,
+  buildTrackFrame,
+  TRAIL_SECONDS
+} from './playbackUtils';
+
+const checkin = (id, date, lat = 52.5, lng = 13.4) => ({
+  id,
+  venue_name: `Venue ${id}`,
+  venue_category: 'Café',
+  latitude: String(lat),
+  longitude: String(lng),
+  checkin_date: date
+});
+
+describe('playbackUtils', () => {
+  describe('getDefaultPlaybackRange', () => {
+    test('covers the last twelve months up to the end of today', () => {
+      const { start, end } = getDefaultPlaybackRange(new Date(2024, 5, 15, 10, 30));
+      expect(start).toEqual(new Date(2023, 5, 15, 0, 0, 0, 0));
+      expect(end).toEqual(new Date(2024, 5, 15, 23, 59, 59, 999));
+    });
+  });
+
+  describe('getTrailDuration', () => {
+    test('scales with playback speed', () => {
+      expect(getTrailDuration(1000)).toBe(1000 * TRAIL_SECONDS);
+    });
+  });
+
+  describe('advancePlayback', () => {
+    test('moves the clock by elapsed time times speed', () => {
+      expect(advancePlayback(0, 500, 1000, 10000)).toBe(500);
+    });
+
+    test('stops at the end of the range', () => {
+      expect(advancePlayback(9900, 1000, 1000, 10000)).toBe(10000);
+    });
+  });
+
+  describe('findTimeIndex', () => {
+    const times = [10, 20, 20, 30];
+
+    test('returns the first index after the time', () => {
+      expect(findTimeIndex(times, 5)).toBe(0);
+      expect(findTimeIndex(times, 20)).toBe(3);
+      expect(findTimeIndex(times, 25)).toBe(3);
+      expect(findTimeIndex(times, 30)).toBe(4);
+    });
+
+    test('handles an empty array', () => {
+      expect(findTimeIndex([], 10)).toBe(0);
+    });
+  });
+
+  describe('buildPlaybackFrame', () => {
+    const checkins = [
+      checkin(1, '2024-01-01T00:00:00Z'),
+      checkin(2, '2024-01-02T00:00:00Z'),
+      checkin(3, '2024-01-03T00:00:00Z'),
+      { ...checkin(4, '2024-01-03T12:00:00Z'), latitude: null, longitude: null }
+    ];
+    const times = checkins.map(c => new Date(c.checkin_date).getTime());
+    const day = 24 * 60 * 60 * 1000;
+
+    test('includes only check-ins inside the trail window', () => {
+      const frame = buildPlaybackFrame(checkins, times, times[2], 1.5 * day);
+      expect(frame.features.map(f => f.properties.id)).toEqual([2, 3]);
+    });
+
+    test('fades older check-ins', () => {
+      const frame = buildPlaybackFrame(checkins, times, times[2], 2 * day);
+      const fades = frame.features.map(f => f.properties.fade);
+      expect(fades).toEqual([0.5, 1]);
+    });
+
+    test('skips check-ins without coordinates', () => {
+      const frame = buildPlaybackFrame(checkins, times, times[3], 2 * day);
+      expect(frame.features.map(f => f.properties.id)).toEqual([2, 3]);
+      expect(frame.features[0].geometry.coordinates).toEqual([13.4, 52.5]);
+    });
+  });
+
+  describe('buildTrackFrame', () => {
+    test('keeps tracks that started inside the trail window', () => {
+      const tracks = [
+        { type: 'Feature', geometry: null, properties: { id: 1, start_time: '2024-01-01T00:00:00Z' } },
+        { type: 'Feature', geometry: null, properties: { id: 2, start_time: '2024-01-05T00:00:00Z' } },
+        { type: 'Feature', geometry: null, properties: { id: 3, start_time: '2024-01-09T00:00:00Z' } }
+      ];
+      const now = new Date('2024-01-06T00:00:00Z').getTime();
+
+      const frame = buildTrackFrame(tracks, now, 4 * 24 * 60 * 60 * 1000);
+
+      expect(frame.features).toHaveLength(1);
+      expect(frame.features[0].properties).toEqual({ id: 2, start_time: '2024-01-05T00:00:00Z', fade: 0.75 });
+    });
+  });
+});
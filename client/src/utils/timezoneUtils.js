@@ -91,3 +91,28 @@ export function formatDateInLocalZone(date, timezone) {
 export function formatDateTimeInLocalZone(date, timezone) {
   return formatInLocalTimeZone(date, timezone, 'datetime');
 }
+
+/**
+ * Get the calendar date (YYYY-MM-DD) in local timezone, e.g. for Day in Life links
+ * @param {string|Date} date
+ * @param {string} timezone
+ * @returns {string}
+ */
+export function getLocalDateKey(date, timezone) {
+  if (!date) return '';
+
+  const d = new Date(date);
+
+  try {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone || undefined,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(d);
+  } catch (error) {
+    console.error('[TIMEZONE] Error formatting date key:', error, { date, timezone });
+    return d.toISOString().split('T')[0];
+  }
+}
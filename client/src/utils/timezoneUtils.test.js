@@ -2,7 +2,8 @@ import {
   formatInLocalTimeZone,
   formatTimeInLocalZone,
   formatDateInLocalZone,
-  formatDateTimeInLocalZone
+  formatDateTimeInLocalZone,
+  getLocalDateKey
 } from './timezoneUtils';
 
 describe('timezoneUtils', () => {
@@ -68,4 +69,15 @@ describe('timezoneUtils', () => {
       expect(result).toContain('08:00');
     });
   });
+
+  describe('getLocalDateKey', () => {
+    it('returns the local calendar date', () => {
+      expect(getLocalDateKey('2024-06-15T02:00:00Z', 'America/New_York')).toBe('2024-06-14');
+      expect(getLocalDateKey('2024-06-15T20:00:00Z', 'Asia/Tokyo')).toBe('2024-06-16');
+    });
+
+    it('returns empty string for missing date', () => {
+      expect(getLocalDateKey(null, 'UTC')).toBe('');
+    });
+  });
 });
@@ -0,0 +1,70 @@
+/**
+ * Parse a YYYY-MM-DD date as local midnight, so it never shifts a day
+ * the way new Date('YYYY-MM-DD') (UTC midnight) does west of Greenwich.
+ */
+function parseLocalDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Short trip title from the cities visited, falling back to countries.
+ * "Paris · Lyon · Marseille +2"
+ */
+export function getTripTitle(trip, maxPlaces = 3) {
+  if (!trip) return '';
+
+  const places = trip.cities && trip.cities.length > 0
+    ? trip.cities.map(c => c.city)
+    : (trip.countries || []);
+
+  if (places.length === 0) return 'Trip';
+
+  const shown = places.slice(0, maxPlaces).join(' · ');
+  const hidden = places.length - maxPlaces;
+  return hidden > 0 ? `${shown} +${hidden}` : shown;
+}
+
+/**
+ * Number of calendar days a trip spans, counting both ends.
+ */
+export function getTripDays(trip) {
+  if (!trip || !trip.start_date || !trip.end_date) return 0;
+  const msPerDay = 24 * 60 * 60 * 1000;
+  return Math.round((parseLocalDate(trip.end_date) - parseLocalDate(trip.start_date)) / msPerDay) + 1;
+}
+
+/**
+ * Format a trip's date range, e.g. "Jun 1 – Jun 4, 2024" or "Dec 28, 2023 – Jan 2, 2024".
+ */
+export function formatTripDateRange(trip) {
+  if (!trip || !trip.start_date || !trip.end_date) return '';
+
+  const start = parseLocalDate(trip.start_date);
+  const end = parseLocalDate(trip.end_date);
+  const sameYear = start.getFullYear() === end.getFullYear();
+
+  const startLabel = start.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    ...(sameYear ? {} : { year: 'numeric' })
+  });
+  const endLabel = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+  return `${startLabel} – ${endLabel}`;
+}
+
+/**
+ * Map bounds ([[west, south], [east, north]]) for a trip, or null without coordinates.
+ */
+export function getTripBounds(trip) {
+  if (!trip || trip.min_latitude == null || trip.min_longitude == null ||
+      trip.max_latitude == null || trip.max_longitude == null) {
+    return null;
+  }
+
+  return [
+    [trip.min_longitude, trip.min_latitude],
+    [trip.max_longitude, trip.max_latitude]
+  ];
+}
@@ -0,0 +1,61 @@
+import { getTripTitle, getTripDays, formatTripDateRange, getTripBounds } from './tripUtils';
+
+describe('tripUtils', () => {
+  describe('getTripTitle', () => {
+    test('joins city names', () => {
+      const trip = {
+        cities: [{ city: 'Paris' }, { city: 'Lyon' }],
+        countries: ['France']
+      };
+      expect(getTripTitle(trip)).toBe('Paris · Lyon');
+    });
+
+    test('summarizes extra cities', () => {
+      const trip = {
+        cities: ['A', 'B', 'C', 'D', 'E'].map(city => ({ city })),
+        countries: ['France']
+      };
+      expect(getTripTitle(trip)).toBe('A · B · C +2');
+    });
+
+    test('falls back to countries, then a generic title', () => {
+      expect(getTripTitle({ cities: [], countries: ['Norway', 'Sweden'] })).toBe('Norway · Sweden');
+      expect(getTripTitle({ cities: [], countries: [] })).toBe('Trip');
+      expect(getTripTitle(null)).toBe('');
+    });
+  });
+
+  describe('getTripDays', () => {
+    test('counts both the first and last day', () => {
+      expect(getTripDays({ start_date: '2024-06-01', end_date: '2024-06-04' })).toBe(4);
+      expect(getTripDays({ start_date: '2024-02-28', end_date: '2024-03-01' })).toBe(3);
+    });
+
+    test('returns 0 without dates', () => {
+      expect(getTripDays({})).toBe(0);
+    });
+  });
+
+  describe('formatTripDateRange', () => {
+    test('shows the year once within a year', () => {
+      expect(formatTripDateRange({ start_date: '2024-06-01', end_date: '2024-06-04' }))
+        .toBe('Jun 1 – Jun 4, 2024');
+    });
+
+    test('shows both years across new year', () => {
+      expect(formatTripDateRange({ start_date: '2023-12-28', end_date: '2024-01-02' }))
+        .toBe('Dec 28, 2023 – Jan 2, 2024');
+    });
+  });
+
+  describe('getTripBounds', () => {
+    test('returns southwest and northeast corners', () => {
+      const trip = { min_latitude: 45.7, min_longitude: 2.3, max_latitude: 48.9, max_longitude: 4.8 };
+      expect(getTripBounds(trip)).toEqual([[2.3, 45.7], [4.8, 48.9]]);
+    });
+
+    test('returns null without coordinates', () => {
+      expect(getTripBounds({ min_latitude: null })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,53 @@
+// Placeholder the importer stores for missing city, country and category
+const UNKNOWN = 'Unknown';
+
+/**
+ * Group a venue's visits by the year of their local date, newest year first.
+ * Visits come from the API most recent first and keep that order.
+ */
+export function groupVisitsByYear(visits) {
+  const groups = [];
+
+  for (const visit of visits || []) {
+    const year = Number(visit.local_date.slice(0, 4));
+    const last = groups[groups.length - 1];
+
+    if (last && last.year === year) {
+      last.visits.push(visit);
+    } else {
+      groups.push({ year, visits: [visit] });
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Human readable distance: "85 m", "1.2 km"
+ */
+export function formatDistance(meters) {
+  if (meters == null) return '';
+  if (meters < 1000) return `${Math.round(meters)} m`;
+  return `${(meters / 1000).toFixed(1)} km`;
+}
+
+/**
+ * One-line address from street address, city and country, skipping unknown parts.
+ */
+export function formatVenueAddress(venue) {
+  if (!venue) return '';
+
+  return [venue.address, venue.city, venue.country]
+    .filter(part => part && part !== UNKNOWN)
+    .join(', ');
+}
+
+/**
+ * Category with its parents, top-level first: "Food › Café"
+ */
+export function getCategoryPath(venue) {
+  if (!venue) return '';
+
+  const path = venue.category_hierarchy?.length ? venue.category_hierarchy : [venue.category];
+  return path.filter(part => part && part !== UNKNOWN).join(' › ');
+}
@@ -0,0 +1,46 @@
+import { groupVisitsByYear, formatDistance, formatVenueAddress, getCategoryPath } from './venueUtils';
+
+describe('venueUtils', () => {
+  describe('groupVisitsByYear', () => {
+    test('groups visits by local year, keeping their order', () => {
+      const visits = [
+        { id: 3, local_date: '2024-01-02' },
+        { id: 2, local_date: '2023-12-31' },
+        { id: 1, local_date: '2023-05-01' }
+      ];
+
+      expect(groupVisitsByYear(visits)).toEqual([
+        { year: 2024, visits: [visits[0]] },
+        { year: 2023, visits: [visits[1], visits[2]] }
+      ]);
+    });
+
+    test('handles missing visits', () => {
+      expect(groupVisitsByYear(undefined)).toEqual([]);
+    });
+  });
+
+  describe('formatDistance', () => {
+    test('uses meters below a kilometer', () => {
+      expect(formatDistance(84.6)).toBe('85 m');
+      expect(formatDistance(1234)).toBe('1.2 km');
+      expect(formatDistance(null)).toBe('');
+    });
+  });
+
+  describe('formatVenueAddress', () => {
+    test('joins known address parts', () => {
+      expect(formatVenueAddress({ address: 'Kurfürstenstraße 58', city: 'Berlin', country: 'Germany' }))
+        .toBe('Kurfürstenstraße 58, Berlin, Germany');
+      expect(formatVenueAddress({ address: null, city: 'Unknown', country: 'Germany' })).toBe('Germany');
+    });
+  });
+
+  describe('getCategoryPath', () => {
+    test('prefers the hierarchy and falls back to the category', () => {
+      expect(getCategoryPath({ category: 'Café', category_hierarchy: ['Food', 'Café'] })).toBe('Food › Café');
+      expect(getCategoryPath({ category: 'Café', category_hierarchy: [] })).toBe('Café');
+      expect(getCategoryPath({ category: 'Unknown', category_hierarchy: null })).toBe('');
+    });
+  });
+});
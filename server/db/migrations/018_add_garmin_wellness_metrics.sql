@@ -0,0 +1,118 @@
+-- Migration 018: Add Garmin wellness metrics from UDS (User Daily Summary) files
+-- Stress, body battery, SpO2, respiration, and daily movement (floors, intensity minutes, distance, step goal)
+
+-- Stress (from allDayStress, TOTAL aggregator)
+CREATE TABLE IF NOT EXISTS garmin_daily_stress (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  avg_stress_level INTEGER, -- 0-100
+  max_stress_level INTEGER, -- 0-100
+  rest_seconds INTEGER, -- Time at rest (stress 0-25 while still)
+  low_stress_seconds INTEGER,
+  medium_stress_seconds INTEGER,
+  high_stress_seconds INTEGER,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(user_id, date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_garmin_daily_stress_user_date ON garmin_daily_stress(user_id, date);
+
+-- Body Battery (from bodyBattery)
+CREATE TABLE IF NOT EXISTS garmin_daily_body_battery (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  highest_value INTEGER, -- 0-100
+  lowest_value INTEGER, -- 0-100
+  charged_value INTEGER, -- Total charged during the day
+  drained_value INTEGER, -- Total drained during the day
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(user_id, date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_garmin_daily_body_battery_user_date ON garmin_daily_body_battery(user_id, date);
+
+-- Pulse Ox (from averageSpo2Value / lowestSpo2Value)
+CREATE TABLE IF NOT EXISTS garmin_daily_spo2 (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  avg_spo2 DECIMAL(4, 1), -- Percent
+  lowest_spo2 INTEGER, -- Percent
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(user_id, date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_garmin_daily_spo2_user_date ON garmin_daily_spo2(user_id, date);
+
+-- Respiration (from respiration, breaths per minute)
+CREATE TABLE IF NOT EXISTS garmin_daily_respiration (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  avg_waking_respiration DECIMAL(4, 1),
+  highest_respiration DECIMAL(4, 1),
+  lowest_respiration DECIMAL(4, 1),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(user_id, date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_garmin_daily_respiration_user_date ON garmin_daily_respiration(user_id, date);
+
+-- Daily movement (floors, intensity minutes, distance, step goal)
+CREATE TABLE IF NOT EXISTS garmin_daily_movement (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  floors_ascended_meters DECIMAL(8, 2), -- Garmin counts one floor per 3.048m (10ft)
+  floors_descended_meters DECIMAL(8, 2),
+  moderate_intensity_minutes INTEGER,
+  vigorous_intensity_minutes INTEGER,
+  total_distance_meters INTEGER,
+  daily_step_goal INTEGER,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(user_id, date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_garmin_daily_movement_user_date ON garmin_daily_movement(user_id, date);
+
+-- Triggers to automatically update updated_at
+DROP TRIGGER IF EXISTS update_garmin_daily_stress_updated_at ON garmin_daily_stress;
+CREATE TRIGGER update_garmin_daily_stress_updated_at
+    BEFORE UPDATE ON garmin_daily_stress
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_garmin_daily_body_battery_updated_at ON garmin_daily_body_battery;
+CREATE TRIGGER update_garmin_daily_body_battery_updated_at
+    BEFORE UPDATE ON garmin_daily_body_battery
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_garmin_daily_spo2_updated_at ON garmin_daily_spo2;
+CREATE TRIGGER update_garmin_daily_spo2_updated_at
+    BEFORE UPDATE ON garmin_daily_spo2
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_garmin_daily_respiration_updated_at ON garmin_daily_respiration;
+CREATE TRIGGER update_garmin_daily_respiration_updated_at
+    BEFORE UPDATE ON garmin_daily_respiration
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_garmin_daily_movement_updated_at ON garmin_daily_movement;
+CREATE TRIGGER update_garmin_daily_movement_updated_at
+    BEFORE UPDATE ON garmin_daily_movement
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO schema_migrations (version, name)
+VALUES (18, '018_add_garmin_wellness_metrics')
+ON CONFLICT (version) DO NOTHING;
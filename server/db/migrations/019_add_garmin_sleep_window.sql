@@ -0,0 +1,14 @@
+-- Migration 019: Store the actual sleep window for Garmin sleep records
+-- sleepData files include sleepStartTimestampGMT / sleepEndTimestampGMT, which
+-- Day in Life uses to place bedtime and wake-up on the timeline (stored as UTC)
+
+ALTER TABLE garmin_daily_sleep
+ADD COLUMN IF NOT EXISTS sleep_start_time TIMESTAMP,
+ADD COLUMN IF NOT EXISTS sleep_end_time TIMESTAMP;
+
+COMMENT ON COLUMN garmin_daily_sleep.sleep_start_time IS 'Bedtime (UTC), from sleepStartTimestampGMT';
+COMMENT ON COLUMN garmin_daily_sleep.sleep_end_time IS 'Wake-up time (UTC), from sleepEndTimestampGMT. calendarDate is the day this sleep ended on';
+
+INSERT INTO schema_migrations (version, name)
+VALUES (19, '019_add_garmin_sleep_window')
+ON CONFLICT (version) DO NOTHING;
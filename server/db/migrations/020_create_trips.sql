@@ -0,0 +1,29 @@
+-- Migration 020: Store detected multi-day trips
+-- Trips are derived from check-ins by services/tripDetector.js and fully
+-- recomputed for a user after each check-in import, so rows are never edited
+
+CREATE TABLE IF NOT EXISTS trips (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL, -- Local date of the first check-in away from home
+  end_date DATE NOT NULL, -- Local date of the last check-in away from home
+  started_at TIMESTAMP NOT NULL, -- First check-in (UTC)
+  ended_at TIMESTAMP NOT NULL, -- Last check-in (UTC)
+  checkin_count INTEGER NOT NULL,
+  countries TEXT[] NOT NULL DEFAULT '{}', -- In order of arrival
+  cities JSONB NOT NULL DEFAULT '[]', -- [{ city, country, checkins }] in order of arrival
+  top_venues JSONB NOT NULL DEFAULT '[]', -- [{ venue_id, venue_name, venue_category, latitude, longitude, checkins }]
+  min_latitude DECIMAL(10, 8),
+  min_longitude DECIMAL(11, 8),
+  max_latitude DECIMAL(10, 8),
+  max_longitude DECIMAL(11, 8),
+  home_city VARCHAR(255), -- Home location the trip was measured against
+  home_country VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trips_user_start ON trips(user_id, started_at DESC);
+
+INSERT INTO schema_migrations (version, name)
+VALUES (20, '020_create_trips')
+ON CONFLICT (version) DO NOTHING;
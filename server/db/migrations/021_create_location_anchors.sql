@@ -0,0 +1,27 @@
+-- Migration 021: Store inferred home and work locations with validity ranges
+-- Derived from check-in history by services/locationInference.js and fully
+-- recomputed for a user after each check-in import. People move, so a user
+-- has one home row per period rather than a single home.
+
+CREATE TABLE IF NOT EXISTS location_anchors (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('home', 'work')),
+  city VARCHAR(255),
+  country VARCHAR(255),
+  venue_id VARCHAR(255), -- Work anchors are a venue, home anchors are a city
+  venue_name TEXT,
+  latitude DECIMAL(10, 8), -- Centroid of the supporting check-ins
+  longitude DECIMAL(11, 8),
+  valid_from DATE NOT NULL,
+  valid_to DATE, -- Inclusive, NULL while still current
+  day_count INTEGER NOT NULL, -- Distinct local days with check-ins supporting this anchor
+  checkin_count INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_location_anchors_user_kind ON location_anchors(user_id, kind, valid_from);
+
+INSERT INTO schema_migrations (version, name)
+VALUES (21, '021_create_location_anchors')
+ON CONFLICT (version) DO NOTHING;
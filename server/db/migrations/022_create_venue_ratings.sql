@@ -0,0 +1,18 @@
+-- Migration 022: Store venue ratings from Foursquare data exports
+-- The export's venueRatings.json lists venues the user liked, disliked or
+-- rated okay. The API sync has no equivalent, so these only come from uploads.
+
+CREATE TABLE IF NOT EXISTS venue_ratings (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  venue_id VARCHAR(255) NOT NULL,
+  venue_name TEXT,
+  rating VARCHAR(10) NOT NULL CHECK (rating IN ('like', 'okay', 'dislike')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (user_id, venue_id)
+);
+
+INSERT INTO schema_migrations (version, name)
+VALUES (22, '022_create_venue_ratings')
+ON CONFLICT (version) DO NOTHING;
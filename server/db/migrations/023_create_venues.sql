@@ -0,0 +1,66 @@
+-- Migration 023: Normalized venues keyed by Foursquare venue_id
+-- Check-ins keep their denormalized venue columns; this table holds one row
+-- per venue a user has visited, with visit aggregates. Rows are refreshed by
+-- the check-in imports (models/venue.js refreshFromCheckins) and backfilled
+-- below from existing check-ins.
+
+CREATE TABLE IF NOT EXISTS venues (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  venue_id VARCHAR(255) NOT NULL,
+  name TEXT NOT NULL, -- Name on the most recent check-in
+  category VARCHAR(255), -- Primary category name
+  category_id VARCHAR(255), -- Foursquare id of the primary category
+  category_hierarchy TEXT[], -- Primary category and its parents, top-level first
+  address TEXT,
+  city VARCHAR(255),
+  country VARCHAR(255),
+  latitude DECIMAL(10, 8),
+  longitude DECIMAL(11, 8),
+  location GEOGRAPHY(POINT, 4326),
+  first_visit_at TIMESTAMP NOT NULL,
+  last_visit_at TIMESTAMP NOT NULL,
+  visit_count INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (user_id, venue_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_venues_location ON venues USING GIST(location);
+
+-- Same trigger function as checkins (schema.sql)
+DROP TRIGGER IF EXISTS set_venue_location ON venues;
+CREATE TRIGGER set_venue_location
+  BEFORE INSERT OR UPDATE ON venues
+  FOR EACH ROW
+  EXECUTE FUNCTION update_location();
+
+-- Lookups of a venue's visit history
+CREATE INDEX IF NOT EXISTS idx_checkins_user_venue ON checkins(user_id, venue_id, checkin_date);
+
+-- Backfill from existing check-ins, latest check-in wins for names and place
+INSERT INTO venues (
+  user_id, venue_id, name, category, category_hierarchy, city, country,
+  latitude, longitude, first_visit_at, last_visit_at, visit_count
+)
+SELECT
+  user_id,
+  venue_id,
+  (ARRAY_AGG(venue_name ORDER BY checkin_date DESC))[1],
+  (ARRAY_AGG(venue_category ORDER BY checkin_date DESC))[1],
+  ARRAY_REMOVE(ARRAY[(ARRAY_AGG(venue_category ORDER BY checkin_date DESC))[1]], NULL),
+  (ARRAY_AGG(city ORDER BY checkin_date DESC))[1],
+  (ARRAY_AGG(country ORDER BY checkin_date DESC))[1],
+  (ARRAY_AGG(latitude ORDER BY checkin_date DESC))[1],
+  (ARRAY_AGG(longitude ORDER BY checkin_date DESC))[1],
+  MIN(checkin_date),
+  MAX(checkin_date),
+  COUNT(*)
+FROM checkins
+WHERE venue_id IS NOT NULL AND user_id IS NOT NULL
+GROUP BY user_id, venue_id
+ON CONFLICT (user_id, venue_id) DO NOTHING;
+
+INSERT INTO schema_migrations (version, name)
+VALUES (23, '023_create_venues')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,42 @@
+-- Migration 024: Foursquare category taxonomy and category chains on check-ins
+-- Foursquare check-ins only carry their leaf category, so the parent chain
+-- ("Food" > "Asian Restaurant" > "Ramen Restaurant") comes from a local copy
+-- of the category tree. Only the top level is seeded here; the full tree is
+-- fetched from the Foursquare API on the next check-in import
+-- (services/categoryTaxonomy.js).
+
+CREATE TABLE IF NOT EXISTS venue_categories (
+  id VARCHAR(255) PRIMARY KEY, -- Foursquare category id
+  name TEXT NOT NULL,
+  plural_name TEXT,
+  parent_id VARCHAR(255), -- NULL for top-level categories
+  depth SMALLINT NOT NULL, -- 0 for top-level categories
+  path TEXT[] NOT NULL, -- Category names from the top level down to this category
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_venue_categories_name ON venue_categories(name);
+
+INSERT INTO venue_categories (id, name, plural_name, parent_id, depth, path) VALUES
+  ('4d4b7104d754a06370d81259', 'Arts & Entertainment', 'Arts & Entertainment', NULL, 0, ARRAY['Arts & Entertainment']),
+  ('4d4b7105d754a06372d81259', 'College & University', 'Colleges & Universities', NULL, 0, ARRAY['College & University']),
+  ('4d4b7105d754a06373d81259', 'Event', 'Events', NULL, 0, ARRAY['Event']),
+  ('4d4b7105d754a06374d81259', 'Food', 'Food', NULL, 0, ARRAY['Food']),
+  ('4d4b7105d754a06376d81259', 'Nightlife Spot', 'Nightlife Spots', NULL, 0, ARRAY['Nightlife Spot']),
+  ('4d4b7105d754a06377d81259', 'Outdoors & Recreation', 'Outdoors & Recreation', NULL, 0, ARRAY['Outdoors & Recreation']),
+  ('4d4b7105d754a06375d81259', 'Professional & Other Places', 'Professional & Other Places', NULL, 0, ARRAY['Professional & Other Places']),
+  ('4e67e38e036454776db1fb3a', 'Residence', 'Residences', NULL, 0, ARRAY['Residence']),
+  ('4d4b7105d754a06378d81259', 'Shop & Service', 'Shops & Services', NULL, 0, ARRAY['Shop & Service']),
+  ('4d4b7105d754a06379d81259', 'Travel & Transport', 'Travel & Transport', NULL, 0, ARRAY['Travel & Transport'])
+ON CONFLICT (id) DO NOTHING;
+
+-- Foursquare id of the check-in's primary category, and its chain of
+-- category names (venue_categories.path) once the taxonomy is known
+ALTER TABLE checkins ADD COLUMN IF NOT EXISTS venue_category_id VARCHAR(255);
+ALTER TABLE checkins ADD COLUMN IF NOT EXISTS category_path TEXT[];
+
+CREATE INDEX IF NOT EXISTS idx_checkins_category_path ON checkins USING GIN(category_path);
+
+INSERT INTO schema_migrations (version, name)
+VALUES (24, '024_create_venue_categories')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,32 @@
+-- Migration 025: Local copies of check-in and Strava photos
+-- Photos were hotlinked from the Foursquare and Strava CDNs, whose URLs can
+-- expire. The cache-photos job downloads each photo, stores it with its
+-- thumbnails through the photo storage adapter and points the photo's
+-- photo_url_cached at the authenticated GET /api/photos/:id route.
+
+CREATE TABLE IF NOT EXISTS cached_photos (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('checkin', 'strava')),
+  source_photo_id INTEGER NOT NULL, -- checkin_photos.id or strava_activity_photos.id
+  source_url TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'cached', 'failed')),
+  attempts SMALLINT NOT NULL DEFAULT 0,
+  last_error TEXT,
+  storage_key TEXT, -- Prefix of the stored files, one per size
+  content_type VARCHAR(100), -- Of the original
+  width INTEGER,
+  height INTEGER,
+  cached_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (source, source_photo_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cached_photos_user_status ON cached_photos(user_id, status);
+
+ALTER TABLE strava_activity_photos ADD COLUMN IF NOT EXISTS photo_url_cached TEXT;
+
+INSERT INTO schema_migrations (version, name)
+VALUES (25, '025_create_cached_photos')
+ON CONFLICT (version) DO NOTHING;
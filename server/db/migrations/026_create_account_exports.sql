@@ -0,0 +1,23 @@
+-- Migration 026: Account data exports
+-- GET /api/account/export packages everything stored about a user into a ZIP.
+-- The export-account job builds the file in the background and keeps it in
+-- the photo storage under storage_key until expires_at.
+
+CREATE TABLE IF NOT EXISTS account_exports (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed', 'expired')),
+  storage_key TEXT, -- Prefix of the stored ZIP
+  size_bytes BIGINT,
+  error_message TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  expires_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_exports_user ON account_exports(user_id, created_at DESC);
+
+INSERT INTO schema_migrations (version, name)
+VALUES (26, '026_create_account_exports')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,25 @@
+-- Migration 027: Expiring, revocable sessions
+-- users.secret_token used to authenticate every request forever. It's now a
+-- login link that POST /api/auth/session exchanges for a session: a short
+-- lived access token plus a refresh token that's rotated on every use. Only
+-- SHA-256 hashes of the tokens are stored.
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  access_token_hash CHAR(64) NOT NULL UNIQUE,
+  refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+  access_expires_at TIMESTAMP NOT NULL,
+  refresh_expires_at TIMESTAMP NOT NULL,
+  user_agent TEXT,
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP DEFAULT NOW(),
+  revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id) WHERE revoked_at IS NULL;
+
+INSERT INTO schema_migrations (version, name)
+VALUES (27, '027_create_user_sessions')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,12 @@
+-- Migration 028: Admin role
+-- Admin routes (/api/admin/*, /debug/encryption) used to be open to anyone.
+-- They now require a user with role 'admin'. Promote the first admin with:
+--   UPDATE users SET role = 'admin' WHERE id = <your user id>;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'
+  CHECK (role IN ('user', 'admin'));
+
+INSERT INTO schema_migrations (version, name)
+VALUES (28, '028_add_user_role')
+ON CONFLICT (version) DO NOTHING;
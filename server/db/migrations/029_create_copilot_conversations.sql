@@ -0,0 +1,35 @@
+-- Migration 029: Copilot conversations
+-- Copilot chat history used to live in the browser's localStorage and the
+-- model's chat in server memory, lost on every restart. Conversations are now
+-- stored per user as threads, and a thread's chat is rebuilt from its
+-- messages when there's no live session for it.
+
+CREATE TABLE IF NOT EXISTS copilot_conversations (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- NULL until the first message names the thread
+  title VARCHAR(200),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_copilot_conversations_user ON copilot_conversations(user_id, updated_at DESC);
+
+-- Messages as the client shows them: content is the user's text or the
+-- provider's complete assistant turn (e.g. Gemini thought signatures), text
+-- is what's displayed
+CREATE TABLE IF NOT EXISTS copilot_messages (
+  id SERIAL PRIMARY KEY,
+  conversation_id INTEGER NOT NULL REFERENCES copilot_conversations(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+  content JSONB NOT NULL,
+  text TEXT,
+  venues JSONB,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_copilot_messages_conversation ON copilot_messages(conversation_id, id);
+
+INSERT INTO schema_migrations (version, name)
+VALUES (29, '029_create_copilot_conversations')
+ON CONFLICT (version) DO NOTHING;
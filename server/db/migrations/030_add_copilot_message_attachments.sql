@@ -0,0 +1,11 @@
+-- Migration 030: Copilot answer attachments
+-- Copilot answers can carry the query results the model chose to show as a
+-- table, chart or map: [{ type: 'table'|'chart'|'map', title, ... }], on the
+-- assistant message that answers the user.
+
+ALTER TABLE copilot_messages
+ADD COLUMN IF NOT EXISTS attachments JSONB;
+
+INSERT INTO schema_migrations (version, name)
+VALUES (30, '030_add_copilot_message_attachments')
+ON CONFLICT (version) DO NOTHING;
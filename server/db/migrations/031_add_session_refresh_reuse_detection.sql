@@ -0,0 +1,17 @@
+-- Migration 031: Refresh token reuse detection
+-- The refresh token moves to an httpOnly cookie, and each session remembers
+-- the refresh token it was last rotated from. Seeing that token again right
+-- after the rotation is two tabs refreshing at once; seeing it later means it
+-- was copied, and the session is revoked.
+
+ALTER TABLE user_sessions
+ADD COLUMN IF NOT EXISTS previous_refresh_token_hash CHAR(64),
+ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_refresh
+ON user_sessions(previous_refresh_token_hash)
+WHERE previous_refresh_token_hash IS NOT NULL;
+
+INSERT INTO schema_migrations (version, name)
+VALUES (31, '031_add_session_refresh_reuse_detection')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,22 @@
+const photoCache = require('../services/photoCache');
+
+/**
+ * Background job handler for caching a user's photos (see services/photoCache.js)
+ * @param {Object} job - pg-boss job object
+ * @param {number} job.data.userId - User ID
+ */
+async function cachePhotosHandler([job]) {
+  const { userId } = job.data;
+
+  console.log(`[PHOTOS JOB] Caching photos for user ${userId}`);
+
+  try {
+    const { cached, failed } = await photoCache.cacheForUser(userId);
+    console.log(`[PHOTOS JOB] User ${userId} done: ${cached} cached, ${failed} failed`);
+  } catch (error) {
+    console.error(`[PHOTOS JOB] Caching photos for user ${userId} failed:`, error);
+    throw error; // Re-throw so pg-boss retries
+  }
+}
+
+module.exports = cachePhotosHandler;
@@ -0,0 +1,31 @@
+const cachePhotosHandler = require('./cachePhotos');
+const photoCache = require('../services/photoCache');
+
+jest.mock('../services/photoCache', () => ({ cacheForUser: jest.fn() }));
+
+describe('cachePhotosHandler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  it('caches the photos of the job user', async () => {
+    photoCache.cacheForUser.mockResolvedValue({ cached: 4, failed: 1 });
+
+    await cachePhotosHandler([{ data: { userId: 3 } }]);
+
+    expect(photoCache.cacheForUser).toHaveBeenCalledWith(3);
+  });
+
+  it('re-throws so pg-boss retries', async () => {
+    photoCache.cacheForUser.mockRejectedValue(new Error('storage unavailable'));
+
+    await expect(cachePhotosHandler([{ data: { userId: 3 } }])).rejects.toThrow('storage unavailable');
+  });
+});
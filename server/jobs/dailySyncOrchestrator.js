@@ -1,13 +1,28 @@
 const User = require('../models/user');
 const ImportJob = require('../models/importJob');
-// Note: queue module is lazy-loaded inside the function to avoid circular dependency
+const { StravaRateLimitService } = require('../services/stravaRateLimitService');
+// Note: queue and syncAll modules are lazy-loaded inside the function to avoid circular dependency
+
+const rateLimitService = new StravaRateLimitService();
+
+/**
+ * Format a stagger delay as a pg-boss startAfter value
+ * @param {number} delayMinutes
+ * @returns {string}
+ */
+function startAfter(delayMinutes) {
+  return delayMinutes > 0 ? `${delayMinutes} minutes` : '0 seconds';
+}
 
 /**
  * Daily sync orchestrator job handler
- * Runs once per day to queue check-in imports for all active users
+ * Runs once per day to queue check-in imports and, for users with Strava
+ * connected, incremental Strava syncs for all active users
  *
  * Active users = users with tokens who logged in within last 30 days
- * Jobs are staggered with 2-minute delays to respect API rate limits
+ * Jobs are staggered with 2-minute delays to respect API rate limits.
+ * Strava syncs are only queued while the quota left across all users covers
+ * them; the rest wait for the next day.
  *
  * @param {Object[]} jobs - pg-boss job array (v12+ passes array)
  */
@@ -25,59 +40,78 @@ async function dailySyncOrchestrator([job]) {
       return;
     }
 
-    // Lazy-load queue module to avoid circular dependency
-    const { getQueue } = require('./queue');
-    const queue = getQueue();
+    // Lazy-load syncAll (and with it the queue module) to avoid circular dependency
+    const { findUnfinishedImport, queueImport, STRAVA_REQUESTS_PER_SYNC } = require('../services/syncAll');
     let queuedCount = 0;
+    let stravaQueuedCount = 0;
+    let stravaSkippedCount = 0;
+
+    const stravaQuota = await rateLimitService.checkAppQuota();
+    let stravaBudget = stravaQuota.remaining.daily;
 
-    // Queue import job for each user with staggered delays
+    console.log(`[DAILY-SYNC] Strava quota left for all users: ${stravaBudget} requests`);
+
+    // Queue import jobs for each user with staggered delays
     // Note: For >20 active users, consider batch-fetching import jobs to reduce DB queries
     for (let i = 0; i < activeUsers.length; i++) {
       const user = activeUsers[i];
       const delayMinutes = i * 2; // 0, 2, 4, 6, 8... minutes
 
-      // Check if user already has a running import
+      // Check if user already has a running import per source
       // Note: On orchestrator retry, duplicate detection prevents re-queueing users
       // that still have pending/running imports from the previous attempt
       const existingJobs = await ImportJob.findByUserId(user.id);
-      const runningJob = existingJobs.find(
-        j => j.status === 'running' || j.status === 'pending'
-      );
+      const runningJob = findUnfinishedImport(existingJobs, 'foursquare');
 
       if (runningJob) {
         console.log(
           `[DAILY-SYNC] Skipping user ${user.id} - import already in progress (job ${runningJob.id})`
         );
+      } else {
+        await queueImport(user.id, 'foursquare', { startAfter: startAfter(delayMinutes) });
+        queuedCount++;
+
+        console.log(
+          `[DAILY-SYNC] Queued user ${user.id} (${user.display_name || 'Unknown'}) - starts in ${delayMinutes} min`
+        );
+      }
+
+      if (!user.strava_oauth_tokens_encrypted) {
         continue;
       }
 
-      // Create import job record
-      const importJob = await ImportJob.create({
-        user_id: user.id,
-        data_source: 'foursquare',
-        status: 'pending'
-      });
-
-      // Queue the import with delay
-      await queue.send(
-        'import-checkins',
-        {
-          jobId: importJob.id,
-          userId: user.id
-        },
-        {
-          startAfter: delayMinutes > 0 ? `${delayMinutes} minutes` : '0 seconds'
-        }
-      );
+      const runningStravaJob = findUnfinishedImport(existingJobs, 'strava');
+      if (runningStravaJob) {
+        console.log(
+          `[DAILY-SYNC] Skipping Strava for user ${user.id} - import already in progress (job ${runningStravaJob.id})`
+        );
+        continue;
+      }
 
-      queuedCount++;
+      if (stravaBudget < STRAVA_REQUESTS_PER_SYNC) {
+        stravaSkippedCount++;
+        continue;
+      }
+
+      // Strava syncs get their own stagger so the 15 minute window isn't exhausted
+      const stravaDelayMinutes = stravaQueuedCount * 2;
+      await queueImport(user.id, 'strava', { startAfter: startAfter(stravaDelayMinutes) });
+      stravaBudget -= STRAVA_REQUESTS_PER_SYNC;
+      stravaQueuedCount++;
 
       console.log(
-        `[DAILY-SYNC] Queued user ${user.id} (${user.display_name || 'Unknown'}) - starts in ${delayMinutes} min`
+        `[DAILY-SYNC] Queued Strava for user ${user.id} - starts in ${stravaDelayMinutes} min`
       );
     }
 
-    console.log(`[DAILY-SYNC] Orchestrator completed - queued ${queuedCount}/${activeUsers.length} users`);
+    if (stravaSkippedCount > 0) {
+      console.log(`[DAILY-SYNC] Skipped Strava for ${stravaSkippedCount} users - Strava quota used up`);
+    }
+
+    console.log(
+      `[DAILY-SYNC] Orchestrator completed - queued ${queuedCount}/${activeUsers.length} users, ` +
+      `${stravaQueuedCount} Strava syncs`
+    );
 
   } catch (error) {
     console.error('[DAILY-SYNC] Orchestrator failed:', error);
@@ -10,8 +10,21 @@ jest.mock('./queue', () => ({
   getQueue: jest.fn().mockReturnValue({ send: mockSend })
 }));
 
+const mockCheckAppQuota = jest.fn();
+jest.mock('../services/stravaRateLimitService', () => ({
+  StravaRateLimitService: jest.fn().mockImplementation(() => ({
+    checkAppQuota: (...args) => mockCheckAppQuota(...args)
+  }))
+}));
+
 beforeEach(() => {
   jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  mockCheckAppQuota.mockResolvedValue({ allowed: true, remaining: { short: 95, daily: 950 } });
+});
+
+afterEach(() => {
+  console.log.mockRestore();
 });
 
 describe('dailySyncOrchestrator', () => {
@@ -60,6 +73,72 @@ describe('dailySyncOrchestrator', () => {
     expect(ImportJob.create).not.toHaveBeenCalled();
   });
 
+  it('only treats unfinished Foursquare imports as running', async () => {
+    User.findActive.mockResolvedValue([{ id: 1 }]);
+    ImportJob.findByUserId.mockResolvedValue([{ id: 50, data_source: 'strava', status: 'running' }]);
+    ImportJob.create.mockResolvedValue({ id: 100 });
+
+    await dailySyncOrchestrator([{}]);
+
+    expect(mockSend).toHaveBeenCalledWith('import-checkins', { jobId: 100, userId: 1 }, { startAfter: '0 seconds' });
+  });
+
+  it('queues incremental Strava syncs for users with Strava connected', async () => {
+    const users = [
+      { id: 1, strava_oauth_tokens_encrypted: 'tokens' },
+      { id: 2 },
+      { id: 3, strava_oauth_tokens_encrypted: 'tokens' }
+    ];
+    User.findActive.mockResolvedValue(users);
+    ImportJob.findByUserId.mockResolvedValue([]);
+    let nextId = 100;
+    ImportJob.create.mockImplementation(async () => ({ id: nextId++ }));
+
+    await dailySyncOrchestrator([{}]);
+
+    expect(ImportJob.create).toHaveBeenCalledWith({ user_id: 1, data_source: 'strava', status: 'pending' });
+    expect(ImportJob.create).not.toHaveBeenCalledWith({ user_id: 2, data_source: 'strava', status: 'pending' });
+    expect(mockSend).toHaveBeenCalledWith(
+      'import-strava-data',
+      { jobId: 101, userId: 1, syncType: 'incremental' },
+      { startAfter: '0 seconds' }
+    );
+    expect(mockSend).toHaveBeenCalledWith(
+      'import-strava-data',
+      { jobId: 104, userId: 3, syncType: 'incremental' },
+      { startAfter: '2 minutes' }
+    );
+    expect(mockSend).toHaveBeenCalledTimes(5);
+  });
+
+  it('stops queueing Strava syncs once the quota for all users is used up', async () => {
+    mockCheckAppQuota.mockResolvedValue({ allowed: true, remaining: { short: 95, daily: 15 } });
+    User.findActive.mockResolvedValue([
+      { id: 1, strava_oauth_tokens_encrypted: 'tokens' },
+      { id: 2, strava_oauth_tokens_encrypted: 'tokens' }
+    ]);
+    ImportJob.findByUserId.mockResolvedValue([]);
+    ImportJob.create.mockResolvedValue({ id: 100 });
+
+    await dailySyncOrchestrator([{}]);
+
+    const stravaSends = mockSend.mock.calls.filter(([queue]) => queue === 'import-strava-data');
+    expect(stravaSends).toHaveLength(1);
+    expect(stravaSends[0][1].userId).toBe(1);
+    expect(mockSend).toHaveBeenCalledWith('import-checkins', { jobId: 100, userId: 2 }, { startAfter: '2 minutes' });
+  });
+
+  it('skips Strava for users with an unfinished Strava import', async () => {
+    User.findActive.mockResolvedValue([{ id: 1, strava_oauth_tokens_encrypted: 'tokens' }]);
+    ImportJob.findByUserId.mockResolvedValue([{ id: 50, data_source: 'strava', status: 'rate_limited' }]);
+    ImportJob.create.mockResolvedValue({ id: 100 });
+
+    await dailySyncOrchestrator([{}]);
+
+    expect(ImportJob.create).toHaveBeenCalledTimes(1);
+    expect(ImportJob.create).toHaveBeenCalledWith({ user_id: 1, data_source: 'foursquare', status: 'pending' });
+  });
+
   it('handles empty active user list', async () => {
     User.findActive.mockResolvedValue([]);
 
@@ -0,0 +1,23 @@
+const accountService = require('../services/accountService');
+
+/**
+ * Background job handler for packaging a user's data into a ZIP (see services/accountService.js)
+ * @param {Object} job - pg-boss job object
+ * @param {number} job.data.userId - User ID
+ * @param {number} job.data.exportId - account_exports row to fill in
+ */
+async function exportAccountHandler([job]) {
+  const { userId, exportId } = job.data;
+
+  console.log(`[ACCOUNT EXPORT JOB] Exporting data of user ${userId} (export ${exportId})`);
+
+  try {
+    const { sizeBytes } = await accountService.createExport(userId, exportId);
+    console.log(`[ACCOUNT EXPORT JOB] Export ${exportId} done: ${sizeBytes} bytes`);
+  } catch (error) {
+    console.error(`[ACCOUNT EXPORT JOB] Export ${exportId} for user ${userId} failed:`, error);
+    throw error; // Re-throw so pg-boss retries
+  }
+}
+
+module.exports = exportAccountHandler;
@@ -0,0 +1,31 @@
+const exportAccountHandler = require('./exportAccount');
+const accountService = require('../services/accountService');
+
+jest.mock('../services/accountService', () => ({ createExport: jest.fn() }));
+
+describe('exportAccountHandler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  it('creates the export of the job user', async () => {
+    accountService.createExport.mockResolvedValue({ sizeBytes: 2048 });
+
+    await exportAccountHandler([{ data: { userId: 3, exportId: 4 } }]);
+
+    expect(accountService.createExport).toHaveBeenCalledWith(3, 4);
+  });
+
+  it('re-throws so pg-boss retries', async () => {
+    accountService.createExport.mockRejectedValue(new Error('storage unavailable'));
+
+    await expect(exportAccountHandler([{ data: { userId: 3, exportId: 4 } }])).rejects.toThrow('storage unavailable');
+  });
+});
@@ -2,9 +2,14 @@ const User = require('../models/user');
 const ImportJob = require('../models/importJob');
 const Checkin = require('../models/checkin');
 const CheckinPhoto = require('../models/checkinPhoto');
+const Venue = require('../models/venue');
 const db = require('../db/connection');
 const { decrypt } = require('../services/encryption');
 const { fetchCheckins, transformCheckin } = require('../services/foursquare');
+const locationInference = require('../services/locationInference');
+const tripDetector = require('../services/tripDetector');
+const categoryTaxonomy = require('../services/categoryTaxonomy');
+const photoCache = require('../services/photoCache');
 
 /**
  * Background job handler for importing check-ins from Foursquare
@@ -178,6 +183,38 @@ async function importCheckinsHandler([job]) {
     // Update user's last sync timestamp
     await User.updateLastSync(userId);
 
+    // Venue visit counts and first/last visits follow the new check-ins
+    try {
+      const venuesRefreshed = await Venue.refreshFromCheckins(userId, checkins);
+      console.log(`[IMPORT] Refreshed ${venuesRefreshed} venues for user ${userId}`);
+    } catch (venueError) {
+      console.error(`[IMPORT] Failed to refresh venues for user ${userId}:`, venueError);
+    }
+
+    // Category chains for the category filters, fetching the taxonomy on first use
+    try {
+      await categoryTaxonomy.syncForUser(userId, accessToken);
+    } catch (categoryError) {
+      console.error(`[IMPORT] Failed to assign categories for user ${userId}:`, categoryError);
+    }
+
+    // Home/work anchors and trips are derived from the full check-in history,
+    // so rebuild them (trips depend on the homes). The check-ins are already
+    // saved, don't fail the import if this breaks.
+    try {
+      await locationInference.recomputeForUser(userId);
+      await tripDetector.recomputeForUser(userId);
+    } catch (derivedError) {
+      console.error(`[IMPORT] Failed to recompute locations and trips for user ${userId}:`, derivedError);
+    }
+
+    // Download new photos so galleries don't depend on Foursquare CDN URLs
+    try {
+      await photoCache.enqueueForUser(userId);
+    } catch (photoError) {
+      console.error(`[IMPORT] Failed to queue photo caching for user ${userId}:`, photoError);
+    }
+
   } catch (error) {
     console.error(`Import job ${jobId} failed:`, error);
 
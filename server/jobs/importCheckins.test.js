@@ -3,17 +3,27 @@ const User = require('../models/user');
 const ImportJob = require('../models/importJob');
 const Checkin = require('../models/checkin');
 const CheckinPhoto = require('../models/checkinPhoto');
+const Venue = require('../models/venue');
 const db = require('../db/connection');
 const { decrypt } = require('../services/encryption');
 const { fetchCheckins, transformCheckin } = require('../services/foursquare');
+const locationInference = require('../services/locationInference');
+const tripDetector = require('../services/tripDetector');
+const categoryTaxonomy = require('../services/categoryTaxonomy');
+const photoCache = require('../services/photoCache');
 
 jest.mock('../models/user');
 jest.mock('../models/importJob');
 jest.mock('../models/checkin');
 jest.mock('../models/checkinPhoto');
+jest.mock('../models/venue');
 jest.mock('../db/connection', () => ({ query: jest.fn() }));
 jest.mock('../services/encryption', () => ({ decrypt: jest.fn().mockReturnValue('decrypted-token') }));
 jest.mock('../services/foursquare');
+jest.mock('../services/locationInference', () => ({ recomputeForUser: jest.fn() }));
+jest.mock('../services/tripDetector', () => ({ recomputeForUser: jest.fn() }));
+jest.mock('../services/categoryTaxonomy', () => ({ syncForUser: jest.fn() }));
+jest.mock('../services/photoCache', () => ({ enqueueForUser: jest.fn() }));
 
 const makeJob = (data = {}) => [{ data: { jobId: 1, userId: 10, ...data } }];
 
@@ -30,6 +40,11 @@ beforeEach(() => {
   Checkin.bulkInsert.mockResolvedValue(2);
   CheckinPhoto.bulkInsert.mockResolvedValue(1);
   db.query.mockResolvedValue({ rows: [{ id: 100 }] });
+  Venue.refreshFromCheckins.mockResolvedValue(2);
+  categoryTaxonomy.syncForUser.mockResolvedValue({ checkins: 2, venues: 2 });
+  photoCache.enqueueForUser.mockResolvedValue();
+  locationInference.recomputeForUser.mockResolvedValue([]);
+  tripDetector.recomputeForUser.mockResolvedValue(0);
   transformCheckin.mockImplementation((fc, userId) => ({
     venue_id: fc.venue.id,
     checkin_date: fc.createdAt,
@@ -65,6 +80,56 @@ describe('importCheckinsHandler', () => {
     );
     expect(ImportJob.markCompleted).toHaveBeenCalledWith(1);
     expect(User.updateLastSync).toHaveBeenCalledWith(10);
+    expect(Venue.refreshFromCheckins).toHaveBeenCalledWith(10, [
+      expect.objectContaining({ venue_id: 'v1' }),
+      expect.objectContaining({ venue_id: 'v2' })
+    ]);
+    expect(categoryTaxonomy.syncForUser).toHaveBeenCalledWith(10, 'decrypted-token');
+    expect(locationInference.recomputeForUser).toHaveBeenCalledWith(10);
+    expect(tripDetector.recomputeForUser).toHaveBeenCalledWith(10);
+    expect(locationInference.recomputeForUser.mock.invocationCallOrder[0])
+      .toBeLessThan(tripDetector.recomputeForUser.mock.invocationCallOrder[0]);
+    expect(photoCache.enqueueForUser).toHaveBeenCalledWith(10);
+  });
+
+  test('does not fail the import when queueing photo caching fails', async () => {
+    fetchCheckins.mockResolvedValue([{ venue: { id: 'v1' }, createdAt: '2025-01-01', photos: [] }]);
+    photoCache.enqueueForUser.mockRejectedValue(new Error('queue down'));
+
+    await expect(importCheckinsHandler(makeJob())).resolves.toBeUndefined();
+
+    expect(ImportJob.markCompleted).toHaveBeenCalledWith(1);
+    expect(ImportJob.markFailed).not.toHaveBeenCalled();
+  });
+
+  test('does not fail the import when location or trip inference fails', async () => {
+    fetchCheckins.mockResolvedValue([{ venue: { id: 'v1' }, createdAt: '2025-01-01', photos: [] }]);
+    tripDetector.recomputeForUser.mockRejectedValue(new Error('trip failure'));
+
+    await expect(importCheckinsHandler(makeJob())).resolves.toBeUndefined();
+
+    expect(ImportJob.markCompleted).toHaveBeenCalledWith(1);
+    expect(ImportJob.markFailed).not.toHaveBeenCalled();
+  });
+
+  test('does not fail the import when refreshing venues fails', async () => {
+    fetchCheckins.mockResolvedValue([{ venue: { id: 'v1' }, createdAt: '2025-01-01', photos: [] }]);
+    Venue.refreshFromCheckins.mockRejectedValue(new Error('venue failure'));
+
+    await expect(importCheckinsHandler(makeJob())).resolves.toBeUndefined();
+
+    expect(ImportJob.markCompleted).toHaveBeenCalledWith(1);
+    expect(tripDetector.recomputeForUser).toHaveBeenCalledWith(10);
+  });
+
+  test('does not fail the import when assigning categories fails', async () => {
+    fetchCheckins.mockResolvedValue([{ venue: { id: 'v1' }, createdAt: '2025-01-01', photos: [] }]);
+    categoryTaxonomy.syncForUser.mockRejectedValue(new Error('Failed to fetch categories: timeout'));
+
+    await expect(importCheckinsHandler(makeJob())).resolves.toBeUndefined();
+
+    expect(ImportJob.markCompleted).toHaveBeenCalledWith(1);
+    expect(tripDetector.recomputeForUser).toHaveBeenCalledWith(10);
   });
 
   test('updates progress during import via onProgress callback', async () => {
@@ -97,6 +162,7 @@ describe('importCheckinsHandler', () => {
     expect(ImportJob.markCompleted).toHaveBeenCalledWith(1);
     expect(User.updateLastSync).not.toHaveBeenCalled();
     expect(Checkin.bulkInsert).not.toHaveBeenCalled();
+    expect(tripDetector.recomputeForUser).not.toHaveBeenCalled();
   });
 
   test('falls back to individual inserts on batch error', async () => {
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const User = require('../models/user');
+const ImportJob = require('../models/importJob');
+const garminImportService = require('../services/garminImportService');
+const { openZip, listEntries, openEntryStream, readEntry } = require('../utils/zipUtils');
+
+// Everything we can import lives under DI_CONNECT/ (DI-Connect-Wellness, DI-Connect-Fitness, ...)
+const EXPORT_DATA_FOLDER = 'DI_CONNECT/';
+
+// Original activity files are shipped as nested ZIPs inside DI-Connect-Uploaded-Files
+const NESTED_ARCHIVE_FOLDER = 'DI-Connect-Uploaded-Files/';
+
+// Write progress to the import job every N files
+const PROGRESS_INTERVAL = 25;
+
+function isNestedArchive(fileName) {
+  return fileName.includes(NESTED_ARCHIVE_FOLDER) && fileName.toLowerCase().endsWith('.zip');
+}
+
+/**
+ * Background job handler for importing a full Garmin Connect export ZIP
+ * Walks DI_CONNECT/ for sleep, UDS and activity files, including activity
+ * files inside the nested DI-Connect-Uploaded-Files archives.
+ * Progress is reported as files processed out of files found.
+ * @param {Object} job - pg-boss job object
+ * @param {number} job.data.jobId - Import job ID
+ * @param {number} job.data.userId - User ID
+ * @param {string} job.data.filePath - Path of the uploaded ZIP on disk
+ */
+async function importGarminExportHandler([job]) {
+  const { jobId, userId, filePath } = job.data;
+
+  console.log(`[GARMIN JOB] Starting export import job ${jobId} for user ${userId}`);
+
+  const results = garminImportService.createResults();
+  const activities = [];
+  const progress = { processed: 0, expected: 0 };
+  let zipfile = null;
+
+  const reportProgress = async (force = false) => {
+    if (force || progress.processed % PROGRESS_INTERVAL === 0) {
+      await ImportJob.update(jobId, {
+        totalImported: progress.processed,
+        totalExpected: progress.expected
+      });
+    }
+  };
+
+  // Import a list of entries from an open archive
+  const importEntries = async (archive, entries) => {
+    for (const entry of entries) {
+      const buffer = await readEntry(archive, entry);
+      await garminImportService.importFile(userId, entry.fileName, buffer, results, activities);
+
+      if (activities.length >= garminImportService.activityBatchSize) {
+        await garminImportService.insertActivities(activities, results);
+      }
+
+      progress.processed++;
+      await reportProgress();
+    }
+  };
+
+  // Extract a nested archive to a temp file and import its activity files
+  const importNestedArchive = async (entry, index) => {
+    const nestedPath = path.join(os.tmpdir(), `garmin-export-${jobId}-${index}.zip`);
+    let nested = null;
+
+    try {
+      await pipeline(await openEntryStream(zipfile, entry), fs.createWriteStream(nestedPath));
+
+      nested = await openZip(nestedPath);
+      const nestedEntries = (await listEntries(nested))
+        .filter(nestedEntry => garminImportService.isImportableFile(nestedEntry.fileName));
+
+      // The archive was counted as one file until its contents were known
+      progress.expected += nestedEntries.length - 1;
+      await reportProgress(true);
+
+      await importEntries(nested, nestedEntries);
+    } catch (error) {
+      console.error(`[GARMIN JOB] Failed to read nested archive ${entry.fileName}:`, error);
+      results.errors.push(`${entry.fileName}: ${error.message}`);
+      progress.expected--;
+    } finally {
+      if (nested) nested.close();
+      await fs.promises.unlink(nestedPath).catch(() => {});
+    }
+  };
+
+  try {
+    // Mark job as started
+    await ImportJob.markStarted(jobId);
+
+    zipfile = await openZip(filePath);
+    const entries = (await listEntries(zipfile))
+      .filter(entry => entry.fileName.includes(EXPORT_DATA_FOLDER));
+
+    const files = entries.filter(entry =>
+      !isNestedArchive(entry.fileName) && garminImportService.isImportableFile(entry.fileName)
+    );
+    const nestedArchives = entries.filter(entry => isNestedArchive(entry.fileName));
+
+    progress.expected = files.length + nestedArchives.length;
+    await reportProgress(true);
+
+    console.log(`[GARMIN JOB] Job ${jobId}: ${files.length} files and ${nestedArchives.length} nested archives to import`);
+
+    await importEntries(zipfile, files);
+
+    for (const [index, entry] of nestedArchives.entries()) {
+      await importNestedArchive(entry, index);
+    }
+
+    await garminImportService.insertActivities(activities, results);
+    await reportProgress(true);
+
+    results.totalFiles = progress.expected;
+    console.log(`[GARMIN JOB] Export import job ${jobId} completed:`, results);
+
+    // Mark job as completed
+    await ImportJob.markCompleted(jobId);
+
+    // Only update last_garmin_sync_at when something was actually imported
+    if (garminImportService.countImported(results) > 0) {
+      await User.updateLastGarminSync(userId);
+    }
+  } catch (error) {
+    console.error(`[GARMIN JOB] Export import job ${jobId} failed:`, error);
+
+    // A corrupt or unexpected archive fails the same way on every attempt,
+    // so exit cleanly instead of re-throwing to trigger a pg-boss retry
+    await ImportJob.markFailed(jobId, error.message);
+  } finally {
+    if (zipfile) zipfile.close();
+    await fs.promises.unlink(filePath).catch(() => {});
+  }
+}
+
+module.exports = importGarminExportHandler;
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yazl = require('yazl');
+const importGarminExportHandler = require('./importGarminExport');
+const User = require('../models/user');
+const ImportJob = require('../models/importJob');
+const GarminActivity = require('../models/garminActivity');
+const GarminDailySteps = require('../models/garminDailySteps');
+const GarminDailyHeartRate = require('../models/garminDailyHeartRate');
+const GarminDailySleep = require('../models/garminDailySleep');
+const GarminDailyCalories = require('../models/garminDailyCalories');
+
+jest.mock('../models/user');
+jest.mock('../models/importJob');
+jest.mock('../models/garminActivity');
+jest.mock('../models/garminDailySteps');
+jest.mock('../models/garminDailyHeartRate');
+jest.mock('../models/garminDailySleep');
+jest.mock('../models/garminDailyCalories');
+jest.mock('../models/garminDailyStress');
+jest.mock('../models/garminDailyBodyBattery');
+jest.mock('../models/garminDailySpo2');
+jest.mock('../models/garminDailyRespiration');
+jest.mock('../models/garminDailyMovement');
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk>
+    <type>running</type>
+    <trkseg>
+      <trkpt lat="51.5" lon="-0.1"><time>2024-05-01T07:00:00Z</time></trkpt>
+      <trkpt lat="51.501" lon="-0.101"><time>2024-05-01T07:10:00Z</time></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+const UDS = JSON.stringify([
+  { calendarDate: '2024-05-01', totalSteps: 8000, restingHeartRate: 55, totalKilocalories: 2200 }
+]);
+
+const SLEEP = JSON.stringify([
+  { calendarDate: '2024-05-01', deepSleepSeconds: 3600, lightSleepSeconds: 14400 }
+]);
+
+/**
+ * Build a ZIP archive in memory from { path: contents }
+ */
+function buildZip(files) {
+  return new Promise((resolve, reject) => {
+    const zip = new yazl.ZipFile();
+    for (const [name, contents] of Object.entries(files)) {
+      zip.addBuffer(Buffer.isBuffer(contents) ? contents : Buffer.from(contents), name);
+    }
+    zip.end();
+
+    const chunks = [];
+    zip.outputStream.on('data', chunk => chunks.push(chunk));
+    zip.outputStream.on('end', () => resolve(Buffer.concat(chunks)));
+    zip.outputStream.on('error', reject);
+  });
+}
+
+describe('importGarminExportHandler', () => {
+  let tmpDir;
+
+  const writeExport = async (files) => {
+    const filePath = path.join(tmpDir, 'export.zip');
+    fs.writeFileSync(filePath, await buildZip(files));
+    return filePath;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'garmin-export-test-'));
+
+    ImportJob.markStarted.mockResolvedValue();
+    ImportJob.markCompleted.mockResolvedValue();
+    ImportJob.markFailed.mockResolvedValue();
+    ImportJob.update.mockResolvedValue();
+    User.updateLastGarminSync.mockResolvedValue();
+    GarminActivity.bulkInsert.mockImplementation(async (rows) => rows.length);
+    GarminDailySteps.upsert.mockResolvedValue({});
+    GarminDailyHeartRate.upsert.mockResolvedValue({});
+    GarminDailySleep.upsert.mockResolvedValue({});
+    GarminDailyCalories.upsert.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('imports wellness and activity files under DI_CONNECT and deletes the upload', async () => {
+    const nested = await buildZip({ 'user@example.com_12345678.gpx': GPX });
+    const filePath = await writeExport({
+      'DI_CONNECT/DI-Connect-Aggregator/UDSFile_2024-05-01_2024-08-09.json': UDS,
+      'DI_CONNECT/DI-Connect-Wellness/2024-05-01_2024-08-09_123_sleepData.json': SLEEP,
+      'DI_CONNECT/DI-Connect-Uploaded-Files/UploadedFiles_0-_Part1.zip': nested,
+      'DI_CONNECT/DI-Connect-User/user_profile.json': '{}',
+      'Thumbs.db': 'ignored'
+    });
+
+    await importGarminExportHandler([{ data: { jobId: 7, userId: 10, filePath } }]);
+
+    expect(ImportJob.markStarted).toHaveBeenCalledWith(7);
+    expect(GarminDailySteps.upsert).toHaveBeenCalledWith(expect.objectContaining({ user_id: 10, step_count: 8000 }));
+    expect(GarminDailySleep.upsert).toHaveBeenCalledWith(expect.objectContaining({ user_id: 10 }));
+    expect(GarminActivity.bulkInsert).toHaveBeenCalledWith([
+      expect.objectContaining({ user_id: 10, garmin_activity_id: '12345678', activity_type: 'running' })
+    ]);
+
+    // 2 JSON files + 1 activity from the nested archive
+    expect(ImportJob.update).toHaveBeenLastCalledWith(7, { totalImported: 3, totalExpected: 3 });
+    expect(ImportJob.markCompleted).toHaveBeenCalledWith(7);
+    expect(User.updateLastGarminSync).toHaveBeenCalledWith(10);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it('does not update last sync when nothing was imported', async () => {
+    const filePath = await writeExport({
+      'DI_CONNECT/DI-Connect-User/user_profile.json': '{}'
+    });
+
+    await importGarminExportHandler([{ data: { jobId: 8, userId: 10, filePath } }]);
+
+    expect(ImportJob.markCompleted).toHaveBeenCalledWith(8);
+    expect(User.updateLastGarminSync).not.toHaveBeenCalled();
+  });
+
+  it('marks the job failed without re-throwing when the archive is corrupt', async () => {
+    const filePath = path.join(tmpDir, 'export.zip');
+    fs.writeFileSync(filePath, 'not a zip file');
+
+    await expect(importGarminExportHandler([{ data: { jobId: 9, userId: 10, filePath } }]))
+      .resolves.toBeUndefined();
+
+    expect(ImportJob.markFailed).toHaveBeenCalledWith(9, expect.any(String));
+    expect(ImportJob.markCompleted).not.toHaveBeenCalled();
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+});
@@ -2,6 +2,7 @@ const User = require('../models/user');
 const ImportJob = require('../models/importJob');
 const stravaSync = require('../services/stravaSync');
 const { RateLimitError } = require('../services/stravaRateLimitService');
+const photoCache = require('../services/photoCache');
 const { getQueue } = require('./queue');
 
 /**
@@ -101,6 +102,13 @@ async function importStravaDataHandler([job]) {
       console.log(`[STRAVA JOB] No items imported - NOT updating last_strava_sync_at`);
     }
 
+    // Activity photos are cached by the same job as check-in photos
+    try {
+      await photoCache.enqueueForUser(userId);
+    } catch (photoError) {
+      console.error(`[STRAVA JOB] Failed to queue photo caching for user ${userId}:`, photoError);
+    }
+
   } catch (error) {
     console.error(`Strava import job ${jobId} failed:`, error);
 
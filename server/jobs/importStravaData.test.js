@@ -2,12 +2,14 @@ const importStravaDataHandler = require('./importStravaData');
 const User = require('../models/user');
 const ImportJob = require('../models/importJob');
 const stravaSync = require('../services/stravaSync');
+const photoCache = require('../services/photoCache');
 const { getQueue } = require('./queue');
 
 jest.mock('../models/user');
 jest.mock('../models/importJob');
 jest.mock('../services/stravaSync');
 jest.mock('../services/stravaRateLimitService');
+jest.mock('../services/photoCache', () => ({ enqueueForUser: jest.fn() }));
 jest.mock('./queue', () => ({
   getQueue: jest.fn().mockReturnValue({
     send: jest.fn().mockResolvedValue('retry-job-id')
@@ -32,6 +34,7 @@ describe('importStravaDataHandler', () => {
     ImportJob.update.mockResolvedValue();
     ImportJob.updateCursor.mockResolvedValue();
     User.updateLastStravaSync.mockResolvedValue();
+    photoCache.enqueueForUser.mockResolvedValue();
 
     stravaSync.incrementalSync.mockResolvedValue({
       activities: { imported: 5 },
@@ -57,6 +60,16 @@ describe('importStravaDataHandler', () => {
     );
     expect(ImportJob.markCompleted).toHaveBeenCalledWith(1);
     expect(User.updateLastStravaSync).toHaveBeenCalledWith(10);
+    expect(photoCache.enqueueForUser).toHaveBeenCalledWith(10);
+  });
+
+  it('does not fail the import when queueing photo caching fails', async () => {
+    photoCache.enqueueForUser.mockRejectedValue(new Error('queue down'));
+
+    await expect(importStravaDataHandler([{ data: baseJobData }])).resolves.toBeUndefined();
+
+    expect(ImportJob.markCompleted).toHaveBeenCalledWith(1);
+    expect(ImportJob.markFailed).not.toHaveBeenCalled();
   });
 
   it('runs full sync when requested', async () => {
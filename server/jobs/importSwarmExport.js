@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const ImportJob = require('../models/importJob');
+const Checkin = require('../models/checkin');
+const CheckinPhoto = require('../models/checkinPhoto');
+const VenueRating = require('../models/venueRating');
+const Venue = require('../models/venue');
+const swarmExportParser = require('../services/swarmExportParser');
+const locationInference = require('../services/locationInference');
+const tripDetector = require('../services/tripDetector');
+const categoryTaxonomy = require('../services/categoryTaxonomy');
+const photoCache = require('../services/photoCache');
+const { openZip, listEntries, readEntry } = require('../utils/zipUtils');
+
+const BATCH_SIZE = 1000;
+
+/**
+ * Read the JSON files of an uploaded export
+ * A ZIP contributes its check-in, photo and rating files, a JSON upload is
+ * read as a single file.
+ * @param {string} filePath
+ * @returns {Promise<Array<{fileName: string, content: string}>>}
+ */
+async function readExportFiles(filePath) {
+  if (!filePath.toLowerCase().endsWith('.zip')) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    return [{ fileName: path.basename(filePath), content }];
+  }
+
+  const zipfile = await openZip(filePath);
+
+  try {
+    const entries = (await listEntries(zipfile))
+      .filter(entry => swarmExportParser.classifyFile(entry.fileName));
+
+    const files = [];
+    for (const entry of entries) {
+      const buffer = await readEntry(zipfile, entry);
+      files.push({ fileName: entry.fileName, content: buffer.toString('utf8') });
+    }
+    return files;
+  } finally {
+    zipfile.close();
+  }
+}
+
+/**
+ * Attach photos to their stored check-ins, skipping URLs already attached
+ * so uploading the same export twice doesn't duplicate photos
+ * @returns {Promise<number>} Number of photos inserted
+ */
+async function importPhotos(userId, checkins) {
+  let photosImported = 0;
+
+  for (const checkin of checkins) {
+    if (checkin.photos.length === 0 || !checkin.venue_id) continue;
+
+    try {
+      const checkinId = await Checkin.findIdByVenueAndDate(userId, checkin.venue_id, checkin.checkin_date);
+      if (!checkinId) continue;
+
+      const existing = new Set((await CheckinPhoto.findByCheckinId(checkinId)).map(photo => photo.photo_url));
+      const photoRecords = checkin.photos
+        .filter(photo => !existing.has(photo.url))
+        .map(photo => ({
+          checkin_id: checkinId,
+          photo_url: photo.url,
+          width: photo.width,
+          height: photo.height
+        }));
+
+      photosImported += await CheckinPhoto.bulkInsert(photoRecords);
+    } catch (error) {
+      console.log(`[SWARM JOB] Failed to insert photos for venue ${checkin.venue_id}: ${error.message}`);
+    }
+  }
+
+  return photosImported;
+}
+
+/**
+ * Background job handler for importing an uploaded Foursquare/Swarm data export
+ * Progress is reported as check-ins processed out of check-ins in the export;
+ * once done, totalImported is the number of new (non-duplicate) check-ins.
+ * @param {Object} job - pg-boss job object
+ * @param {number} job.data.jobId - Import job ID
+ * @param {number} job.data.userId - User ID
+ * @param {string} job.data.filePath - Path of the uploaded ZIP or JSON file on disk
+ */
+async function importSwarmExportHandler([job]) {
+  const { jobId, userId, filePath } = job.data;
+
+  console.log(`[SWARM JOB] Starting export import job ${jobId} for user ${userId}`);
+
+  try {
+    // Mark job as started
+    await ImportJob.markStarted(jobId);
+
+    const files = await readExportFiles(filePath);
+    const { checkins, ratings, skipped, photoCount } = swarmExportParser.parseExport(files, userId);
+
+    if (checkins.length === 0 && ratings.length === 0) {
+      throw new Error('No check-ins found in the uploaded export');
+    }
+
+    console.log(`[SWARM JOB] Job ${jobId}: ${checkins.length} check-ins, ${photoCount} photos, ` +
+      `${ratings.length} venue ratings, ${skipped.length} skipped`);
+
+    await ImportJob.update(jobId, {
+      totalExpected: checkins.length,
+      totalImported: 0
+    });
+
+    let inserted = 0;
+    for (let i = 0; i < checkins.length; i += BATCH_SIZE) {
+      const batch = checkins.slice(i, i + BATCH_SIZE);
+      const rows = batch.map(({ photos, export_id, ...checkin }) => checkin);
+
+      inserted += await Checkin.bulkInsert(rows);
+
+      await ImportJob.update(jobId, {
+        totalImported: i + batch.length,
+        currentBatch: i / BATCH_SIZE + 1
+      });
+    }
+
+    const photosImported = await importPhotos(userId, checkins);
+    const ratingsStored = await VenueRating.bulkUpsert(userId, ratings);
+
+    console.log(`[SWARM JOB] Export import job ${jobId} completed: ${inserted} new check-ins ` +
+      `(${checkins.length - inserted} duplicates), ${photosImported} photos, ${ratingsStored} venue ratings`);
+
+    await ImportJob.update(jobId, { totalImported: inserted });
+    await ImportJob.markCompleted(jobId);
+
+    // last_sync_at is left alone: it's the cursor for the API sync, and an
+    // export can be older than check-ins the API hasn't fetched yet
+
+    if (inserted > 0) {
+      // Same as the API import: venues, categories, derived locations and trips
+      // follow the history. Exports come without a Foursquare token, so
+      // categories use the taxonomy already stored.
+      try {
+        await Venue.refreshFromCheckins(userId, checkins);
+        await categoryTaxonomy.syncForUser(userId);
+        await locationInference.recomputeForUser(userId);
+        await tripDetector.recomputeForUser(userId);
+      } catch (derivedError) {
+        console.error(`[SWARM JOB] Failed to recompute venues, locations and trips for user ${userId}:`, derivedError);
+      }
+    }
+
+    try {
+      await photoCache.enqueueForUser(userId);
+    } catch (photoError) {
+      console.error(`[SWARM JOB] Failed to queue photo caching for user ${userId}:`, photoError);
+    }
+  } catch (error) {
+    console.error(`[SWARM JOB] Export import job ${jobId} failed:`, error);
+
+    // A malformed export fails the same way on every attempt,
+    // so exit cleanly instead of re-throwing to trigger a pg-boss retry
+    await ImportJob.markFailed(jobId, error.message);
+  } finally {
+    await fs.promises.unlink(filePath).catch(() => {});
+  }
+}
+
+module.exports = importSwarmExportHandler;
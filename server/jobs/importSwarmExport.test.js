@@ -0,0 +1,194 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yazl = require('yazl');
+const importSwarmExportHandler = require('./importSwarmExport');
+const ImportJob = require('../models/importJob');
+const Checkin = require('../models/checkin');
+const CheckinPhoto = require('../models/checkinPhoto');
+const VenueRating = require('../models/venueRating');
+const Venue = require('../models/venue');
+const locationInference = require('../services/locationInference');
+const tripDetector = require('../services/tripDetector');
+const categoryTaxonomy = require('../services/categoryTaxonomy');
+const photoCache = require('../services/photoCache');
+
+jest.mock('../models/importJob');
+jest.mock('../models/checkin');
+jest.mock('../models/checkinPhoto');
+jest.mock('../models/venueRating');
+jest.mock('../models/venue');
+jest.mock('../services/locationInference');
+jest.mock('../services/tripDetector');
+jest.mock('../services/categoryTaxonomy');
+jest.mock('../services/photoCache', () => ({ enqueueForUser: jest.fn() }));
+
+const CHECKINS = JSON.stringify({
+  items: [
+    {
+      id: 'c1',
+      createdAt: '2024-03-01 18:30:00.000000',
+      venue: { id: 'v1', name: 'Café Einstein' },
+      lat: 52.5065,
+      lng: 13.3514
+    },
+    {
+      id: 'c2',
+      createdAt: '2024-03-02 09:00:00.000000',
+      venue: { id: 'v2', name: 'Bäckerei' },
+      lat: 52.5,
+      lng: 13.4
+    }
+  ]
+});
+
+const PHOTOS = JSON.stringify({
+  items: [{ fullUrl: 'https://img.example/1.jpg', width: 800, height: 600, relatedItemUrl: 'https://foursquare.com/user/1/checkin/c1' }]
+});
+
+const RATINGS = JSON.stringify({ venueLikes: [{ id: 'v1', name: 'Café Einstein' }] });
+
+/**
+ * Build a ZIP archive in memory from { path: contents }
+ */
+function buildZip(files) {
+  return new Promise((resolve, reject) => {
+    const zip = new yazl.ZipFile();
+    for (const [name, contents] of Object.entries(files)) {
+      zip.addBuffer(Buffer.from(contents), name);
+    }
+    zip.end();
+
+    const chunks = [];
+    zip.outputStream.on('data', chunk => chunks.push(chunk));
+    zip.outputStream.on('end', () => resolve(Buffer.concat(chunks)));
+    zip.outputStream.on('error', reject);
+  });
+}
+
+describe('importSwarmExportHandler', () => {
+  let tmpDir;
+
+  const writeFile = async (name, contents) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, typeof contents === 'string' ? contents : await buildZip(contents));
+    return filePath;
+  };
+
+  const run = (filePath) => importSwarmExportHandler([{ data: { jobId: 5, userId: 1, filePath } }]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swarm-export-test-'));
+
+    ImportJob.markStarted.mockResolvedValue();
+    ImportJob.markCompleted.mockResolvedValue();
+    ImportJob.markFailed.mockResolvedValue();
+    ImportJob.update.mockResolvedValue({});
+    Checkin.bulkInsert.mockResolvedValue(2);
+    Checkin.findIdByVenueAndDate.mockResolvedValue(100);
+    CheckinPhoto.findByCheckinId.mockResolvedValue([]);
+    CheckinPhoto.bulkInsert.mockImplementation(async (photos) => photos.length);
+    VenueRating.bulkUpsert.mockResolvedValue(1);
+    Venue.refreshFromCheckins.mockResolvedValue(2);
+    categoryTaxonomy.syncForUser.mockResolvedValue({ checkins: 2, venues: 1 });
+    photoCache.enqueueForUser.mockResolvedValue();
+    locationInference.recomputeForUser.mockResolvedValue([]);
+    tripDetector.recomputeForUser.mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('imports check-ins, photos and ratings from an export ZIP', async () => {
+    const filePath = await writeFile('export.zip', {
+      'export/checkins1.json': CHECKINS,
+      'export/photos1.json': PHOTOS,
+      'export/venueRatings.json': RATINGS,
+      'export/tips.json': '{}'
+    });
+
+    await run(filePath);
+
+    expect(ImportJob.markStarted).toHaveBeenCalledWith(5);
+    expect(ImportJob.update).toHaveBeenCalledWith(5, { totalExpected: 2, totalImported: 0 });
+
+    const rows = Checkin.bulkInsert.mock.calls[0][0];
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({ user_id: 1, venue_id: 'v1', timezone: 'Europe/Berlin' });
+    expect(rows[0]).not.toHaveProperty('photos');
+    expect(rows[0]).not.toHaveProperty('export_id');
+
+    expect(Checkin.findIdByVenueAndDate).toHaveBeenCalledWith(1, 'v1', new Date('2024-03-01T18:30:00Z'));
+    expect(CheckinPhoto.bulkInsert).toHaveBeenCalledWith([
+      { checkin_id: 100, photo_url: 'https://img.example/1.jpg', width: 800, height: 600 }
+    ]);
+    expect(VenueRating.bulkUpsert).toHaveBeenCalledWith(1, [{ venue_id: 'v1', venue_name: 'Café Einstein', rating: 'like' }]);
+
+    expect(ImportJob.update).toHaveBeenLastCalledWith(5, { totalImported: 2 });
+    expect(ImportJob.markCompleted).toHaveBeenCalledWith(5);
+    expect(Venue.refreshFromCheckins).toHaveBeenCalledWith(1, expect.arrayContaining([
+      expect.objectContaining({ venue_id: 'v1' })
+    ]));
+    expect(categoryTaxonomy.syncForUser).toHaveBeenCalledWith(1);
+    expect(photoCache.enqueueForUser).toHaveBeenCalledWith(1);
+    expect(locationInference.recomputeForUser).toHaveBeenCalledWith(1);
+    expect(tripDetector.recomputeForUser).toHaveBeenCalledWith(1);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it('imports a plain JSON upload', async () => {
+    const filePath = await writeFile('1-1700000000000.json', CHECKINS);
+
+    await run(filePath);
+
+    expect(Checkin.bulkInsert).toHaveBeenCalledTimes(1);
+    expect(ImportJob.markCompleted).toHaveBeenCalledWith(5);
+  });
+
+  it('does not duplicate photos that are already attached', async () => {
+    CheckinPhoto.findByCheckinId.mockResolvedValue([{ photo_url: 'https://img.example/1.jpg' }]);
+    const filePath = await writeFile('export.zip', { 'checkins1.json': CHECKINS, 'photos1.json': PHOTOS });
+
+    await run(filePath);
+
+    expect(CheckinPhoto.bulkInsert).toHaveBeenCalledWith([]);
+  });
+
+  it('skips recomputing derived data when every check-in was a duplicate', async () => {
+    Checkin.bulkInsert.mockResolvedValue(0);
+    const filePath = await writeFile('export.zip', { 'checkins1.json': CHECKINS });
+
+    await run(filePath);
+
+    expect(ImportJob.update).toHaveBeenLastCalledWith(5, { totalImported: 0 });
+    expect(ImportJob.markCompleted).toHaveBeenCalledWith(5);
+    expect(Venue.refreshFromCheckins).not.toHaveBeenCalled();
+    expect(categoryTaxonomy.syncForUser).not.toHaveBeenCalled();
+    expect(locationInference.recomputeForUser).not.toHaveBeenCalled();
+  });
+
+  it('marks the job failed without retrying when the export has no check-ins', async () => {
+    const filePath = await writeFile('export.zip', { 'tips.json': '{}' });
+
+    await expect(run(filePath)).resolves.toBeUndefined();
+
+    expect(ImportJob.markFailed).toHaveBeenCalledWith(5, 'No check-ins found in the uploaded export');
+    expect(Checkin.bulkInsert).not.toHaveBeenCalled();
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it('marks the job failed for malformed JSON', async () => {
+    const filePath = await writeFile('export.json', '{ not json');
+
+    await run(filePath);
+
+    expect(ImportJob.markFailed).toHaveBeenCalledWith(5, expect.any(String));
+  });
+});
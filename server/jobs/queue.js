@@ -2,6 +2,40 @@ const dailySyncOrchestrator = require('./dailySyncOrchestrator');
 
 let boss = null;
 
+/**
+ * Create a queue with a policy other than standard
+ * pg-boss can't change the policy of an existing queue, so a queue created
+ * with another policy is replaced (dropping its queued jobs).
+ * @param {PgBoss} queue
+ * @param {string} name
+ * @param {string} policy
+ * @returns {Promise<void>}
+ */
+async function createQueueWithPolicy(queue, name, policy) {
+  const existing = await queue.getQueue(name);
+  if (existing && existing.policy !== policy) {
+    console.log(`Recreating queue ${name} with policy ${policy} (was ${existing.policy})`);
+    await queue.deleteQueue(name);
+  }
+  await queue.createQueue(name, { policy });
+}
+
+/**
+ * Create the job queues (required in pg-boss v10+)
+ * @param {PgBoss} queue
+ * @returns {Promise<void>}
+ */
+async function createQueues(queue) {
+  await queue.createQueue('daily-sync-orchestrator');
+  await queue.createQueue('import-checkins');
+  await queue.createQueue('import-strava-data');
+  await queue.createQueue('import-garmin-export');
+  await queue.createQueue('import-swarm-export');
+  // One queued and one active job per singletonKey, see photoCache.enqueueForUser
+  await createQueueWithPolicy(queue, 'cache-photos', 'stately');
+  await queue.createQueue('export-account');
+}
+
 /**
  * Initialize pg-boss job queue
  * @returns {Promise<PgBoss>}
@@ -43,10 +77,7 @@ async function initQueue() {
   await boss.start();
   console.log('pg-boss job queue started');
 
-  // Create queues (required in pg-boss v10+)
-  await boss.createQueue('daily-sync-orchestrator');
-  await boss.createQueue('import-checkins');
-  await boss.createQueue('import-strava-data');
+  await createQueues(boss);
   console.log('Created job queues');
 
   // Register daily sync orchestrator handler
@@ -84,6 +115,7 @@ async function stopQueue() {
 }
 
 module.exports = {
+  createQueues,
   initQueue,
   getQueue,
   stopQueue
@@ -0,0 +1,46 @@
+const { createQueues } = require('./queue');
+
+const boss = {
+  createQueue: jest.fn(),
+  getQueue: jest.fn(),
+  deleteQueue: jest.fn()
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  boss.getQueue.mockResolvedValue(null);
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('createQueues', () => {
+  test('creates cache-photos as a stately queue, one queued job per user', async () => {
+    await createQueues(boss);
+
+    expect(boss.createQueue).toHaveBeenCalledWith('cache-photos', { policy: 'stately' });
+    expect(boss.createQueue).toHaveBeenCalledWith('import-checkins');
+    expect(boss.deleteQueue).not.toHaveBeenCalled();
+  });
+
+  test('replaces a cache-photos queue created with the standard policy', async () => {
+    boss.getQueue.mockResolvedValue({ name: 'cache-photos', policy: 'standard' });
+
+    await createQueues(boss);
+
+    expect(boss.deleteQueue).toHaveBeenCalledWith('cache-photos');
+    const recreate = boss.createQueue.mock.calls.findIndex(([name]) => name === 'cache-photos');
+    expect(boss.deleteQueue.mock.invocationCallOrder[0])
+      .toBeLessThan(boss.createQueue.mock.invocationCallOrder[recreate]);
+  });
+
+  test('keeps a cache-photos queue that is already stately', async () => {
+    boss.getQueue.mockResolvedValue({ name: 'cache-photos', policy: 'stately' });
+
+    await createQueues(boss);
+
+    expect(boss.deleteQueue).not.toHaveBeenCalled();
+  });
+});
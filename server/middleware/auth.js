@@ -1,18 +1,80 @@
 const User = require('../models/user');
+const UserSession = require('../models/userSession');
+const sessionService = require('../services/sessionService');
+const { verifySignedUrl } = require('../services/urlSigner');
 
 // Throttle last_login_at updates to reduce database load
 // Only update if last update was more than 5 minutes ago
 const lastLoginCache = new Map(); // userId -> lastUpdateTime
+const lastSessionUseCache = new Map(); // sessionId -> lastUpdateTime
 const UPDATE_THROTTLE_MS = 5 * 60 * 1000; // 5 minutes
 
 /**
- * Middleware to authenticate user via magic link token
- * Expects token in query parameter: ?token=xxx
- * Sets req.user if valid
+ * Token of a request, from an Authorization: Bearer or x-auth-token header
+ * Tokens in the query string aren't accepted, they end up in proxy logs and
+ * browser history. Links the browser opens itself use signed URLs instead.
+ * @param {Object} req
+ * @returns {string|null}
+ */
+function getRequestToken(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return (bearer && bearer[1]) || req.headers['x-auth-token'] || null;
+}
+
+/**
+ * Find who a token belongs to
+ * Session access tokens are checked against user_sessions. Anything else is
+ * taken as a legacy users.secret_token, for as long as those are allowed.
+ * @param {string} token
+ * @returns {Promise<{user: Object, sessionId: number|null}|null>}
+ */
+async function resolveToken(token) {
+  if (sessionService.isAccessToken(token)) {
+    return sessionService.authenticate(token);
+  }
+
+  if (!sessionService.allowsLegacyTokens()) {
+    return null;
+  }
+
+  const user = await User.findBySecretToken(token);
+  return user ? { user, sessionId: null } : null;
+}
+
+/**
+ * Update last login and session use timestamps (throttled to every 5 minutes)
+ * Fire-and-forget to avoid blocking the request
+ */
+function recordActivity(user, sessionId) {
+  const now = Date.now();
+
+  const lastUpdate = lastLoginCache.get(user.id);
+  if (!lastUpdate || (now - lastUpdate) > UPDATE_THROTTLE_MS) {
+    User.update(user.id, { lastLoginAt: new Date() }).catch(err =>
+      console.error('Failed to update last_login_at:', err)
+    );
+    lastLoginCache.set(user.id, now);
+  }
+
+  if (sessionId) {
+    const lastUse = lastSessionUseCache.get(sessionId);
+    if (!lastUse || (now - lastUse) > UPDATE_THROTTLE_MS) {
+      UserSession.touch(sessionId).catch(err =>
+        console.error('Failed to update session last_used_at:', err)
+      );
+      lastSessionUseCache.set(sessionId, now);
+    }
+  }
+}
+
+/**
+ * Middleware to authenticate user via session access token (or a legacy
+ * magic link token while LEGACY_TOKEN_AUTH allows it)
+ * Sets req.user, req.token and req.authSessionId (null for legacy tokens) if valid
  */
 async function authenticateToken(req, res, next) {
   try {
-    const token = req.query.token || req.headers['x-auth-token'];
+    const token = getRequestToken(req);
 
     if (!token) {
       return res.status(401).json({
@@ -21,29 +83,21 @@ async function authenticateToken(req, res, next) {
       });
     }
 
-    const user = await User.findBySecretToken(token);
+    const resolved = await resolveToken(token);
 
-    if (!user) {
+    if (!resolved) {
       return res.status(401).json({
         error: 'Invalid token',
         message: 'Authentication token is invalid or expired'
       });
     }
 
-    // Update last login timestamp for activity tracking (throttled to every 5 minutes)
-    const now = Date.now();
-    const lastUpdate = lastLoginCache.get(user.id);
-    if (!lastUpdate || (now - lastUpdate) > UPDATE_THROTTLE_MS) {
-      // Fire-and-forget to avoid blocking request
-      User.update(user.id, { lastLoginAt: new Date() }).catch(err =>
-        console.error('Failed to update last_login_at:', err)
-      );
-      lastLoginCache.set(user.id, now);
-    }
+    recordActivity(resolved.user, resolved.sessionId);
 
     // Attach user to request
-    req.user = user;
+    req.user = resolved.user;
     req.token = token;
+    req.authSessionId = resolved.sessionId;
 
     next();
   } catch (error) {
@@ -55,30 +109,58 @@ async function authenticateToken(req, res, next) {
   }
 }
 
+/**
+ * Middleware for links the browser opens itself (<img> tags, downloads):
+ * accepts a link signed with services/urlSigner for this path, and otherwise
+ * authenticates like authenticateToken
+ * Sets req.user, with req.token and req.authSessionId null for signed links
+ */
+async function authenticateSignedUrl(req, res, next) {
+  if (!req.query.signature) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const userId = verifySignedUrl(req.baseUrl + req.path, req.query);
+    const user = userId ? await User.findById(userId) : null;
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Invalid signature',
+        message: 'Link is invalid or has expired'
+      });
+    }
+
+    req.user = user;
+    req.token = null;
+    req.authSessionId = null;
+
+    next();
+  } catch (error) {
+    console.error('Signed URL auth error:', error);
+    res.status(500).json({
+      error: 'Authentication error',
+      message: 'Failed to authenticate request'
+    });
+  }
+}
+
 /**
  * Optional authentication - allows request to proceed without token
  * but sets req.user if token is provided and valid
  */
 async function optionalAuth(req, res, next) {
   try {
-    const token = req.query.token || req.headers['x-auth-token'];
+    const token = getRequestToken(req);
 
     if (token) {
-      const user = await User.findBySecretToken(token);
-      if (user) {
-        // Update last login timestamp for activity tracking (throttled to every 5 minutes)
-        const now = Date.now();
-        const lastUpdate = lastLoginCache.get(user.id);
-        if (!lastUpdate || (now - lastUpdate) > UPDATE_THROTTLE_MS) {
-          // Fire-and-forget to avoid blocking request
-          User.update(user.id, { lastLoginAt: new Date() }).catch(err =>
-            console.error('Failed to update last_login_at:', err)
-          );
-          lastLoginCache.set(user.id, now);
-        }
-
-        req.user = user;
+      const resolved = await resolveToken(token);
+      if (resolved) {
+        recordActivity(resolved.user, resolved.sessionId);
+
+        req.user = resolved.user;
         req.token = token;
+        req.authSessionId = resolved.sessionId;
       }
     }
 
@@ -90,7 +172,25 @@ async function optionalAuth(req, res, next) {
   }
 }
 
+/**
+ * Middleware to restrict a route to admins, use after authenticateToken
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Admin access required'
+    });
+  }
+
+  next();
+}
+
 module.exports = {
   authenticateToken,
-  optionalAuth
+  authenticateSignedUrl,
+  optionalAuth,
+  requireAdmin,
+  getRequestToken,
+  resolveToken
 };
@@ -2,6 +2,7 @@ const request = require('supertest');
 
 jest.mock('../models/user');
 jest.mock('../models/checkin');
+jest.mock('../models/userSession');
 jest.mock('../services/geminiSessionManager', () => ({ startCleanupInterval: jest.fn() }));
 jest.mock('../jobs/queue', () => ({
   initQueue: jest.fn().mockResolvedValue(undefined),
@@ -11,6 +12,7 @@ jest.mock('../jobs/queue', () => ({
 
 const User = require('../models/user');
 const Checkin = require('../models/checkin');
+const UserSession = require('../models/userSession');
 const app = require('../server');
 
 const mockUser = { id: 1, name: 'Test User', secret_token: 'valid-token' };
@@ -19,6 +21,8 @@ beforeEach(() => {
   jest.clearAllMocks();
   User.update = jest.fn().mockResolvedValue(mockUser);
   Checkin.find = jest.fn().mockResolvedValue([]);
+  UserSession.touch.mockResolvedValue();
+  process.env.LEGACY_TOKEN_AUTH = 'true';
 });
 
 describe('Auth Middleware', () => {
@@ -34,14 +38,15 @@ describe('Auth Middleware', () => {
       expect(User.findBySecretToken).toHaveBeenCalledWith('valid-token');
     });
 
-    test('passes with valid token in query param', async () => {
+    test('ignores tokens in the query string', async () => {
       User.findBySecretToken.mockResolvedValue(mockUser);
 
       const res = await request(app)
         .get('/api/checkins?token=valid-token');
 
-      expect(res.status).not.toBe(401);
-      expect(User.findBySecretToken).toHaveBeenCalledWith('valid-token');
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Authentication required');
+      expect(User.findBySecretToken).not.toHaveBeenCalled();
     });
 
     test('rejects missing token with 401', async () => {
@@ -74,15 +79,93 @@ describe('Auth Middleware', () => {
       expect(res.body.error).toBe('Authentication error');
     });
 
-    test('query param token takes precedence over header', async () => {
+    test('Authorization header takes precedence over x-auth-token', async () => {
       User.findBySecretToken.mockResolvedValue(mockUser);
 
       const res = await request(app)
-        .get('/api/checkins?token=query-token')
+        .get('/api/checkins')
+        .set('Authorization', 'Bearer bearer-token')
         .set('x-auth-token', 'header-token');
 
       expect(res.status).not.toBe(401);
-      expect(User.findBySecretToken).toHaveBeenCalledWith('query-token');
+      expect(User.findBySecretToken).toHaveBeenCalledWith('bearer-token');
+    });
+  });
+
+  describe('session access tokens', () => {
+    test('passes with a live session token', async () => {
+      UserSession.findUserByAccessToken.mockResolvedValue({ user: mockUser, sessionId: 7 });
+
+      const res = await request(app)
+        .get('/api/checkins')
+        .set('x-auth-token', 'sva_live');
+
+      expect(res.status).not.toBe(401);
+      expect(UserSession.findUserByAccessToken).toHaveBeenCalledWith(expect.stringMatching(/^[0-9a-f]{64}$/));
+      expect(User.findBySecretToken).not.toHaveBeenCalled();
+    });
+
+    test('accepts an Authorization bearer header', async () => {
+      UserSession.findUserByAccessToken.mockResolvedValue({ user: mockUser, sessionId: 7 });
+
+      const res = await request(app)
+        .get('/api/checkins')
+        .set('Authorization', 'Bearer sva_live');
+
+      expect(res.status).not.toBe(401);
+      expect(UserSession.findUserByAccessToken).toHaveBeenCalled();
+    });
+
+    test('rejects expired or revoked session tokens with 401', async () => {
+      UserSession.findUserByAccessToken.mockResolvedValue(null);
+
+      const res = await request(app)
+        .get('/api/checkins')
+        .set('x-auth-token', 'sva_expired');
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Invalid token');
+    });
+
+    test('rejects legacy tokens unless LEGACY_TOKEN_AUTH=true', async () => {
+      delete process.env.LEGACY_TOKEN_AUTH;
+      User.findBySecretToken.mockResolvedValue(mockUser);
+
+      const res = await request(app)
+        .get('/api/checkins')
+        .set('x-auth-token', 'valid-token');
+
+      expect(res.status).toBe(401);
+      expect(User.findBySecretToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireAdmin', () => {
+    test('rejects non-admin users with 403', async () => {
+      User.findBySecretToken.mockResolvedValue(mockUser);
+
+      const res = await request(app)
+        .get('/debug/encryption')
+        .set('x-auth-token', 'valid-token');
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('Forbidden');
+    });
+
+    test('passes for admins', async () => {
+      User.findBySecretToken.mockResolvedValue({ ...mockUser, role: 'admin' });
+
+      const res = await request(app)
+        .get('/debug/encryption')
+        .set('x-auth-token', 'valid-token');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveProperty('hasEncryptionKey');
+    });
+
+    test('requires authentication first', async () => {
+      const res = await request(app).get('/debug/encryption');
+      expect(res.status).toBe(401);
     });
   });
 });
@@ -0,0 +1,125 @@
+const db = require('../db/connection');
+
+/**
+ * ZIP exports of a user's data (see services/accountService.js)
+ */
+class AccountExport {
+  /**
+   * Create a pending export
+   * @param {number} userId
+   * @returns {Promise<Object>}
+   */
+  static async create(userId) {
+    const query = `
+      INSERT INTO account_exports (user_id, status)
+      VALUES ($1, 'pending')
+      RETURNING *
+    `;
+
+    const result = await db.query(query, [userId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get an export, scoped to its owner
+   * @param {number} id
+   * @param {number} userId
+   * @returns {Promise<Object|null>}
+   */
+  static async findByIdForUser(id, userId) {
+    const query = 'SELECT * FROM account_exports WHERE id = $1 AND user_id = $2';
+    const result = await db.query(query, [id, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Most recently requested export of a user
+   * @param {number} userId
+   * @returns {Promise<Object|null>}
+   */
+  static async findLatestForUser(userId) {
+    const query = `
+      SELECT * FROM account_exports
+      WHERE user_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `;
+
+    const result = await db.query(query, [userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  static async markRunning(id) {
+    await db.query(`
+      UPDATE account_exports SET
+        status = 'running',
+        error_message = NULL,
+        started_at = NOW()
+      WHERE id = $1
+    `, [id]);
+  }
+
+  /**
+   * @param {number} id
+   * @param {Object} details
+   * @param {string} details.storageKey - Storage prefix of the ZIP
+   * @param {number} details.sizeBytes
+   * @param {Date} details.expiresAt - Downloads are refused after this
+   * @returns {Promise<void>}
+   */
+  static async markCompleted(id, { storageKey, sizeBytes, expiresAt }) {
+    await db.query(`
+      UPDATE account_exports SET
+        status = 'completed',
+        storage_key = $2,
+        size_bytes = $3,
+        expires_at = $4,
+        completed_at = NOW()
+      WHERE id = $1
+    `, [id, storageKey, sizeBytes, expiresAt]);
+  }
+
+  /**
+   * @param {number} id
+   * @param {string} message
+   * @returns {Promise<void>}
+   */
+  static async markFailed(id, message) {
+    await db.query(`
+      UPDATE account_exports SET
+        status = 'failed',
+        error_message = $2
+      WHERE id = $1
+    `, [id, message]);
+  }
+
+  /**
+   * Expire the user's other completed exports, only the newest file is kept
+   * @param {number} userId
+   * @param {number} keepId - Export that stays available
+   * @returns {Promise<string[]>} Storage prefixes of the expired files, for removal
+   */
+  static async expireOthers(userId, keepId) {
+    const query = `
+      UPDATE account_exports SET
+        status = 'expired',
+        storage_key = NULL
+      FROM (
+        SELECT id, storage_key FROM account_exports
+        WHERE user_id = $1 AND id <> $2 AND status = 'completed'
+        FOR UPDATE
+      ) old
+      WHERE account_exports.id = old.id
+      RETURNING old.storage_key
+    `;
+
+    const result = await db.query(query, [userId, keepId]);
+    return result.rows.map(row => row.storage_key).filter(Boolean);
+  }
+}
+
+module.exports = AccountExport;
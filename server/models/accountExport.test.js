@@ -0,0 +1,87 @@
+jest.mock('../db/connection', () => ({ query: jest.fn() }));
+
+const db = require('../db/connection');
+const AccountExport = require('./accountExport');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('AccountExport.create', () => {
+  test('inserts a pending export for the user', async () => {
+    const row = { id: 4, user_id: 3, status: 'pending' };
+    db.query.mockResolvedValue({ rows: [row] });
+
+    expect(await AccountExport.create(3)).toBe(row);
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO account_exports');
+    expect(params).toEqual([3]);
+  });
+});
+
+describe('AccountExport.findByIdForUser', () => {
+  test('scopes the lookup to the user', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    expect(await AccountExport.findByIdForUser(4, 3)).toBeNull();
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('WHERE id = $1 AND user_id = $2');
+    expect(params).toEqual([4, 3]);
+  });
+});
+
+describe('AccountExport.findLatestForUser', () => {
+  test('returns the newest export', async () => {
+    const row = { id: 5, status: 'completed' };
+    db.query.mockResolvedValue({ rows: [row] });
+
+    expect(await AccountExport.findLatestForUser(3)).toBe(row);
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('ORDER BY created_at DESC, id DESC');
+    expect(sql).toContain('LIMIT 1');
+    expect(params).toEqual([3]);
+  });
+});
+
+describe('AccountExport.markCompleted', () => {
+  test('records the stored file and its expiry', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+    const expiresAt = new Date('2024-03-08T00:00:00.000Z');
+
+    await AccountExport.markCompleted(4, { storageKey: '3/exports/4', sizeBytes: 2048, expiresAt });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain("status = 'completed'");
+    expect(params).toEqual([4, '3/exports/4', 2048, expiresAt]);
+  });
+});
+
+describe('AccountExport.markFailed', () => {
+  test('records the error', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    await AccountExport.markFailed(4, 'storage unavailable');
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain("status = 'failed'");
+    expect(params).toEqual([4, 'storage unavailable']);
+  });
+});
+
+describe('AccountExport.expireOthers', () => {
+  test('expires older completed exports and returns their storage keys', async () => {
+    db.query.mockResolvedValue({ rows: [{ storage_key: '3/exports/2' }, { storage_key: null }] });
+
+    const keys = await AccountExport.expireOthers(3, 4);
+
+    expect(keys).toEqual(['3/exports/2']);
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain("status = 'expired'");
+    expect(sql).toContain("id <> $2 AND status = 'completed'");
+    expect(sql).toContain('RETURNING old.storage_key');
+    expect(params).toEqual([3, 4]);
+  });
+});
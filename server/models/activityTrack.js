@@ -0,0 +1,412 @@
+const db = require('../db/connection');
+const { parseBounds, simplifyToleranceForZoom, heatmapCellSize, tileSimplifyTolerance } = require('../utils/geoUtils');
+
+// Tolerance used when no zoom is supplied (~10m, keeps street-level detail)
+const DEFAULT_SIMPLIFY_TOLERANCE = 0.0001;
+
+// Name of the layer inside activity vector tiles (Mapbox "source-layer")
+const TILE_LAYER_NAME = 'activities';
+
+// Below this zoom a tile spans too much of the globe for a geography bbox test
+const TILE_SPATIAL_FILTER_MIN_ZOOM = 2;
+
+/**
+ * Read-only view over Strava and Garmin activities that have a GPS tracklog.
+ * Returns tracks as GeoJSON so they can be rendered directly as a map layer.
+ */
+class ActivityTrack {
+  /**
+   * Find activity tracks for a user, optionally limited to a map viewport
+   * Uses the same bounds/zoom semantics as Checkin.find
+   * @param {Object} filters
+   * @param {number} filters.userId - Required user ID
+   * @param {string} [filters.bounds] - "minLng,minLat,maxLng,maxLat"
+   * @param {number} [filters.zoom] - Map zoom level, controls simplification
+   * @param {Date|string} [filters.startDate]
+   * @param {Date|string} [filters.endDate]
+   * @param {number} [filters.limit=500]
+   * @returns {Promise<Object>} GeoJSON FeatureCollection
+   */
+  static async find(filters = {}) {
+    const {
+      userId,
+      bounds,
+      zoom,
+      startDate,
+      endDate,
+      limit = 500
+    } = filters;
+
+    if (!userId) {
+      throw new Error('userId is required');
+    }
+
+    const params = [userId];
+    const conditions = ['user_id = $1', 'tracklog IS NOT NULL'];
+    let paramIndex = 2;
+
+    if (bounds) {
+      const { minLng, minLat, maxLng, maxLat } = parseBounds(bounds);
+
+      // && uses the GIST index on tracklog
+      conditions.push(
+        `tracklog && ST_MakeEnvelope($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, 4326)::geography`
+      );
+      params.push(minLng, minLat, maxLng, maxLat);
+      paramIndex += 4;
+    }
+
+    if (startDate) {
+      conditions.push(`start_time >= $${paramIndex}`);
+      params.push(startDate);
+      paramIndex++;
+    }
+
+    if (endDate) {
+      conditions.push(`start_time <= $${paramIndex}`);
+      params.push(endDate);
+      paramIndex++;
+    }
+
+    // Query params arrive as strings under Express 5
+    const zoomLevel = zoom !== undefined && zoom !== null ? parseInt(zoom, 10) : NaN;
+    const tolerance = !isNaN(zoomLevel)
+      ? simplifyToleranceForZoom(zoomLevel)
+      : DEFAULT_SIMPLIFY_TOLERANCE;
+    const toleranceParam = `$${paramIndex}`;
+    params.push(tolerance);
+    paramIndex++;
+
+    const whereClause = conditions.join(' AND ');
+
+    const query = `
+      SELECT * FROM (
+        SELECT
+          id,
+          'strava' as source,
+          activity_type,
+          activity_name,
+          start_time,
+          timezone,
+          duration_seconds,
+          distance_meters,
+          strava_url as url,
+          ST_AsGeoJSON(ST_Simplify(tracklog::geometry, ${toleranceParam}, true), 5) as geometry
+        FROM strava_activities
+        WHERE ${whereClause}
+        UNION ALL
+        SELECT
+          id,
+          'garmin' as source,
+          activity_type,
+          activity_name,
+          start_time,
+          timezone,
+          duration_seconds,
+          distance_meters,
+          garmin_url as url,
+          ST_AsGeoJSON(ST_Simplify(tracklog::geometry, ${toleranceParam}, true), 5) as geometry
+        FROM garmin_activities
+        WHERE ${whereClause}
+      ) tracks
+      ORDER BY start_time DESC
+      LIMIT $${paramIndex}
+    `;
+    params.push(limit);
+
+    const result = await db.query(query, params);
+
+    return {
+      type: 'FeatureCollection',
+      features: result.rows.map(row => ActivityTrack.toFeature(row))
+    };
+  }
+
+  /**
+   * Fetch one batch of full-resolution activity tracks, oldest first, for
+   * streaming large result sets (exports). Pages by keyset on start time.
+   * @param {Object} filters - { userId, bounds, startDate, endDate }
+   * @param {Object} [options]
+   * @param {Object} [options.after] - Last track of the previous batch ({ start_time, source, id })
+   * @param {number} [options.limit=100]
+   * @returns {Promise<Array>} Rows with the tracklog as a GeoJSON string in geometry
+   */
+  static async findBatch(filters = {}, { after = null, limit = 100 } = {}) {
+    const { userId, bounds, startDate, endDate } = filters;
+
+    if (!userId) {
+      throw new Error('userId is required');
+    }
+
+    const params = [userId];
+    const conditions = ['user_id = $1', 'tracklog IS NOT NULL'];
+    let paramIndex = 2;
+
+    if (bounds) {
+      const { minLng, minLat, maxLng, maxLat } = parseBounds(bounds);
+
+      conditions.push(
+        `tracklog && ST_MakeEnvelope($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, 4326)::geography`
+      );
+      params.push(minLng, minLat, maxLng, maxLat);
+      paramIndex += 4;
+    }
+
+    if (startDate) {
+      conditions.push(`start_time >= $${paramIndex}`);
+      params.push(startDate);
+      paramIndex++;
+    }
+
+    if (endDate) {
+      conditions.push(`start_time <= $${paramIndex}`);
+      params.push(endDate);
+      paramIndex++;
+    }
+
+    const whereClause = conditions.join(' AND ');
+
+    let afterClause = '';
+    if (after) {
+      afterClause = `WHERE (start_time, source, id) > ($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2})`;
+      params.push(after.start_time, after.source, after.id);
+      paramIndex += 3;
+    }
+
+    const query = `
+      SELECT * FROM (
+        SELECT
+          id,
+          'strava' as source,
+          activity_type,
+          activity_name,
+          start_time,
+          timezone,
+          duration_seconds,
+          distance_meters,
+          strava_url as url,
+          ST_AsGeoJSON(tracklog::geometry, 6) as geometry
+        FROM strava_activities
+        WHERE ${whereClause}
+        UNION ALL
+        SELECT
+          id,
+          'garmin' as source,
+          activity_type,
+          activity_name,
+          start_time,
+          timezone,
+          duration_seconds,
+          distance_meters,
+          garmin_url as url,
+          ST_AsGeoJSON(tracklog::geometry, 6) as geometry
+        FROM garmin_activities
+        WHERE ${whereClause}
+      ) tracks
+      ${afterClause}
+      ORDER BY start_time ASC, source ASC, id ASC
+      LIMIT $${paramIndex}
+    `;
+    params.push(limit);
+
+    const result = await db.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Aggregate sampled tracklog points into a density grid for heatmap rendering
+   * Tracks are sampled by simplifying them to the grid resolution and taking
+   * the remaining vertices. Each cell is weighted by the number of distinct
+   * activities passing through it, so slow or paused sections don't dominate.
+   * @param {Object} filters - { userId, bounds, zoom, startDate, endDate }
+   * @returns {Promise<Array<{lng: number, lat: number, weight: number}>>} One entry per non-empty cell
+   */
+  static async getHeatmapGrid(filters = {}) {
+    const {
+      userId,
+      bounds,
+      zoom = 0,
+      startDate,
+      endDate,
+      limit = 20000
+    } = filters;
+
+    if (!userId) {
+      throw new Error('userId is required');
+    }
+
+    const cellSize = heatmapCellSize(parseInt(zoom, 10) || 0);
+    const params = [userId, cellSize];
+    const conditions = ['user_id = $1', 'tracklog IS NOT NULL'];
+    const pointConditions = [];
+    let paramIndex = 3;
+
+    if (bounds) {
+      const { minLng, minLat, maxLng, maxLat } = parseBounds(bounds);
+
+      conditions.push(
+        `tracklog && ST_MakeEnvelope($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, 4326)::geography`
+      );
+      pointConditions.push(`ST_X(geom) BETWEEN $${paramIndex} AND $${paramIndex + 2}`);
+      pointConditions.push(`ST_Y(geom) BETWEEN $${paramIndex + 1} AND $${paramIndex + 3}`);
+      params.push(minLng, minLat, maxLng, maxLat);
+      paramIndex += 4;
+    }
+
+    if (startDate) {
+      conditions.push(`start_time >= $${paramIndex}`);
+      params.push(startDate);
+      paramIndex++;
+    }
+
+    if (endDate) {
+      conditions.push(`start_time <= $${paramIndex}`);
+      params.push(endDate);
+      paramIndex++;
+    }
+
+    const whereClause = conditions.join(' AND ');
+    const pointWhereClause = pointConditions.length > 0
+      ? `WHERE ${pointConditions.join(' AND ')}`
+      : '';
+
+    const query = `
+      WITH points AS (
+        SELECT
+          t.source || ':' || t.id as activity_key,
+          -- Typed here, Postgres would infer integer from the division and reject fractional cell sizes
+          (ST_DumpPoints(ST_Simplify(t.tracklog::geometry, $2::float8 / 2, true))).geom as geom
+        FROM (
+          SELECT id, 'strava' as source, tracklog FROM strava_activities WHERE ${whereClause}
+          UNION ALL
+          SELECT id, 'garmin' as source, tracklog FROM garmin_activities WHERE ${whereClause}
+        ) t
+      )
+      SELECT
+        AVG(ST_X(geom)) as lng,
+        AVG(ST_Y(geom)) as lat,
+        COUNT(DISTINCT activity_key) as weight
+      FROM points
+      ${pointWhereClause}
+      GROUP BY FLOOR(ST_X(geom) / $2::float8), FLOOR(ST_Y(geom) / $2::float8)
+      ORDER BY weight DESC
+      LIMIT $${paramIndex}
+    `;
+    params.push(limit);
+
+    const result = await db.query(query, params);
+
+    return result.rows.map(row => ({
+      lng: parseFloat(row.lng),
+      lat: parseFloat(row.lat),
+      weight: parseInt(row.weight)
+    }));
+  }
+
+  /**
+   * Render a user's activity tracks as a Mapbox Vector Tile
+   * Tracks are simplified in Web Mercator to roughly one pixel at the tile's
+   * zoom, then clipped and quantized by ST_AsMVTGeom.
+   * @param {Object} options
+   * @param {number} options.userId - Required user ID
+   * @param {number} options.z - Tile zoom
+   * @param {number} options.x - Tile column
+   * @param {number} options.y - Tile row
+   * @param {Date|string} [options.startDate]
+   * @param {Date|string} [options.endDate]
+   * @returns {Promise<Buffer>} MVT-encoded tile (empty buffer when no tracks)
+   */
+  static async getTile({ userId, z, x, y, startDate, endDate }) {
+    if (!userId) {
+      throw new Error('userId is required');
+    }
+
+    const params = [z, x, y, userId, tileSimplifyTolerance(z)];
+    const conditions = ['user_id = $4', 'tracklog IS NOT NULL'];
+    let paramIndex = 6;
+
+    if (startDate) {
+      conditions.push(`start_time >= $${paramIndex}`);
+      params.push(startDate);
+      paramIndex++;
+    }
+
+    if (endDate) {
+      conditions.push(`start_time <= $${paramIndex}`);
+      params.push(endDate);
+      paramIndex++;
+    }
+
+    const whereClause = conditions.join(' AND ');
+    const spatialFilter = z >= TILE_SPATIAL_FILTER_MIN_ZOOM
+      ? 'WHERE t.tracklog && ST_Transform(b.geom, 4326)::geography'
+      : '';
+
+    const query = `
+      WITH bounds AS (
+        SELECT ST_TileEnvelope($1, $2, $3) AS geom
+      ),
+      tracks AS (
+        SELECT id, 'strava' as source, activity_type, activity_name, start_time,
+               timezone, duration_seconds, distance_meters, strava_url as url, tracklog
+        FROM strava_activities
+        WHERE ${whereClause}
+        UNION ALL
+        SELECT id, 'garmin' as source, activity_type, activity_name, start_time,
+               timezone, duration_seconds, distance_meters, garmin_url as url, tracklog
+        FROM garmin_activities
+        WHERE ${whereClause}
+      ),
+      mvtgeom AS (
+        SELECT
+          ST_AsMVTGeom(
+            ST_Simplify(ST_Transform(t.tracklog::geometry, 3857), $5, true),
+            b.geom, 4096, 64, true
+          ) AS geom,
+          t.id,
+          t.source,
+          t.activity_type,
+          t.activity_name,
+          to_char(t.start_time, 'YYYY-MM-DD"T"HH24:MI:SS"Z"') as start_time,
+          t.timezone,
+          t.duration_seconds,
+          t.distance_meters::float8 as distance_meters,
+          t.url
+        FROM tracks t, bounds b
+        ${spatialFilter}
+      )
+      SELECT ST_AsMVT(mvtgeom.*, '${TILE_LAYER_NAME}', 4096, 'geom') AS tile
+      FROM mvtgeom
+      WHERE geom IS NOT NULL
+    `;
+
+    const result = await db.query(query, params);
+    return result.rows[0]?.tile || Buffer.alloc(0);
+  }
+
+  /**
+   * Convert a track row into a GeoJSON Feature
+   * @param {Object} row - Row with geometry as a GeoJSON string
+   * @returns {Object} GeoJSON Feature
+   */
+  static toFeature(row) {
+    return {
+      type: 'Feature',
+      id: `${row.source}-${row.id}`,
+      geometry: JSON.parse(row.geometry),
+      properties: {
+        id: row.id,
+        source: row.source,
+        activity_type: row.activity_type,
+        activity_name: row.activity_name,
+        start_time: row.start_time,
+        timezone: row.timezone,
+        duration_seconds: row.duration_seconds,
+        distance_meters: row.distance_meters !== null ? Number(row.distance_meters) : null,
+        url: row.url
+      }
+    };
+  }
+}
+
+module.exports = ActivityTrack;
@@ -0,0 +1,178 @@
+// Mock the database connection
+jest.mock('../db/connection', () => ({
+  query: jest.fn()
+}));
+
+const ActivityTrack = require('./activityTrack');
+const db = require('../db/connection');
+
+describe('ActivityTrack', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('find', () => {
+    it('should require userId', async () => {
+      await expect(ActivityTrack.find({})).rejects.toThrow('userId is required');
+    });
+
+    it('should return a FeatureCollection of tracks', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{
+          id: 7,
+          source: 'strava',
+          activity_type: 'Run',
+          activity_name: 'Morning Run',
+          start_time: '2024-01-15T07:00:00.000Z',
+          timezone: 'Europe/London',
+          duration_seconds: 1800,
+          distance_meters: '5012.40',
+          url: 'https://www.strava.com/activities/123',
+          geometry: '{"type":"LineString","coordinates":[[-0.1,51.5],[-0.11,51.51]]}'
+        }]
+      });
+
+      const result = await ActivityTrack.find({ userId: 1 });
+
+      expect(result.type).toBe('FeatureCollection');
+      expect(result.features).toHaveLength(1);
+      expect(result.features[0].id).toBe('strava-7');
+      expect(result.features[0].geometry.type).toBe('LineString');
+      expect(result.features[0].properties.distance_meters).toBe(5012.4);
+      expect(result.features[0].properties.activity_type).toBe('Run');
+    });
+
+    it('should filter by bounds with an envelope on both tables', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await ActivityTrack.find({ userId: 1, bounds: '-10,40,10,50', zoom: 5 });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('FROM strava_activities');
+      expect(sql).toContain('FROM garmin_activities');
+      expect(sql.match(/ST_MakeEnvelope/g)).toHaveLength(2);
+      expect(params.slice(0, 5)).toEqual([1, -10, 40, 10, 50]);
+    });
+
+    it('should simplify more aggressively at lower zoom', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await ActivityTrack.find({ userId: 1, zoom: 4 });
+      await ActivityTrack.find({ userId: 1, zoom: '14' });
+
+      const lowZoomTolerance = db.query.mock.calls[0][1][1];
+      const highZoomTolerance = db.query.mock.calls[1][1][1];
+      expect(lowZoomTolerance).toBeGreaterThan(highZoomTolerance);
+    });
+
+    it('should reject invalid bounds', async () => {
+      await expect(
+        ActivityTrack.find({ userId: 1, bounds: '10,40,-10,50' })
+      ).rejects.toThrow('Invalid bounds: min values must be less than max values');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findBatch', () => {
+    it('should require userId', async () => {
+      await expect(ActivityTrack.findBatch({})).rejects.toThrow('userId is required');
+    });
+
+    it('should return full-resolution tracks oldest first', async () => {
+      const rows = [{ id: 7, source: 'strava', geometry: '{"type":"LineString","coordinates":[]}' }];
+      db.query.mockResolvedValueOnce({ rows });
+
+      const result = await ActivityTrack.findBatch({ userId: 1, startDate: '2024-01-01' });
+
+      expect(result).toBe(rows);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).not.toContain('ST_Simplify');
+      expect(sql).toContain('ORDER BY start_time ASC, source ASC, id ASC');
+      expect(params).toEqual([1, '2024-01-01', 100]);
+    });
+
+    it('should continue after the last track of the previous batch', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await ActivityTrack.findBatch(
+        { userId: 1 },
+        { after: { start_time: '2024-01-15T07:00:00.000Z', source: 'strava', id: 7 }, limit: 50 }
+      );
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('WHERE (start_time, source, id) > ($2, $3, $4)');
+      expect(params).toEqual([1, '2024-01-15T07:00:00.000Z', 'strava', 7, 50]);
+    });
+  });
+
+  describe('getTile', () => {
+    it('should return the encoded tile', async () => {
+      const tile = Buffer.from([0x1a, 0x02]);
+      db.query.mockResolvedValueOnce({ rows: [{ tile }] });
+
+      const result = await ActivityTrack.getTile({ userId: 1, z: 10, x: 511, y: 340 });
+
+      expect(result).toBe(tile);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('ST_AsMVT');
+      expect(sql).toContain('ST_TileEnvelope');
+      expect(params.slice(0, 4)).toEqual([10, 511, 340, 1]);
+    });
+
+    it('should return an empty buffer when no tracks intersect', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ tile: null }] });
+
+      const result = await ActivityTrack.getTile({ userId: 1, z: 10, x: 511, y: 340 });
+
+      expect(result.length).toBe(0);
+    });
+
+    it('should skip the bbox filter for world-spanning tiles', async () => {
+      db.query.mockResolvedValue({ rows: [{ tile: null }] });
+
+      await ActivityTrack.getTile({ userId: 1, z: 0, x: 0, y: 0 });
+      await ActivityTrack.getTile({ userId: 1, z: 8, x: 10, y: 10 });
+
+      expect(db.query.mock.calls[0][0]).not.toContain('t.tracklog &&');
+      expect(db.query.mock.calls[1][0]).toContain('t.tracklog &&');
+    });
+  });
+
+  describe('getHeatmapGrid', () => {
+    it('should require userId', async () => {
+      await expect(ActivityTrack.getHeatmapGrid({})).rejects.toThrow('userId is required');
+    });
+
+    it('should weight cells by distinct activities', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ lng: '-0.1', lat: '51.5', weight: '4' }] });
+
+      const result = await ActivityTrack.getHeatmapGrid({ userId: 1, zoom: 10 });
+
+      expect(result).toEqual([{ lng: -0.1, lat: 51.5, weight: 4 }]);
+      const [sql] = db.query.mock.calls[0];
+      expect(sql).toContain('ST_DumpPoints');
+      expect(sql).toContain('COUNT(DISTINCT activity_key)');
+    });
+
+    it('should pass fractional cell sizes as float8', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await ActivityTrack.getHeatmapGrid({ userId: 1, zoom: 12 });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(Number.isInteger(params[1])).toBe(false);
+      expect(sql).toContain('ST_Simplify(t.tracklog::geometry, $2::float8 / 2, true)');
+      expect(sql).toContain('GROUP BY FLOOR(ST_X(geom) / $2::float8), FLOOR(ST_Y(geom) / $2::float8)');
+    });
+
+    it('should clip sampled points to bounds', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await ActivityTrack.getHeatmapGrid({ userId: 1, bounds: '-1,51,1,52', zoom: 8 });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('ST_X(geom) BETWEEN');
+      expect(params.slice(2, 6)).toEqual([-1, 51, 1, 52]);
+    });
+  });
+});
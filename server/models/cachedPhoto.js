@@ -0,0 +1,126 @@
+const db = require('../db/connection');
+
+// Photo table of each source, whose photo_url_cached points at the cached copy
+const SOURCE_TABLES = {
+  checkin: 'checkin_photos',
+  strava: 'strava_activity_photos'
+};
+
+/**
+ * Local copies of check-in and Strava photos (see services/photoCache.js)
+ */
+class CachedPhoto {
+  /**
+   * Add a pending row for each of the user's photos that isn't cached yet
+   * @param {number} userId
+   * @returns {Promise<number>} Number of photos added
+   */
+  static async enqueueMissing(userId) {
+    const query = `
+      INSERT INTO cached_photos (user_id, source, source_photo_id, source_url)
+      SELECT c.user_id, 'checkin', cp.id, cp.photo_url
+      FROM checkin_photos cp
+      INNER JOIN checkins c ON c.id = cp.checkin_id
+      WHERE c.user_id = $1 AND cp.photo_url IS NOT NULL
+      UNION ALL
+      SELECT sa.user_id, 'strava', sp.id, sp.photo_url_full
+      FROM strava_activity_photos sp
+      INNER JOIN strava_activities sa ON sa.id = sp.strava_activity_id
+      WHERE sa.user_id = $1 AND sp.photo_url_full IS NOT NULL
+      ON CONFLICT (source, source_photo_id) DO NOTHING
+    `;
+
+    const result = await db.query(query, [userId]);
+    return result.rowCount;
+  }
+
+  /**
+   * Photos still to download, in id order
+   * @param {number} userId
+   * @param {Object} options
+   * @param {number} options.afterId - Only photos with a greater id (pagination cursor)
+   * @param {number} options.limit
+   * @param {number} options.maxAttempts - Skip photos that failed this often
+   * @returns {Promise<Array>}
+   */
+  static async findPending(userId, { afterId = 0, limit, maxAttempts }) {
+    const query = `
+      SELECT id, user_id, source, source_photo_id, source_url, attempts
+      FROM cached_photos
+      WHERE user_id = $1
+        AND status IN ('pending', 'failed')
+        AND attempts < $2
+        AND id > $3
+      ORDER BY id
+      LIMIT $4
+    `;
+
+    const result = await db.query(query, [userId, maxAttempts, afterId, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Get a photo, scoped to its owner
+   * @param {number} id
+   * @param {number} userId
+   * @returns {Promise<Object|null>}
+   */
+  static async findByIdForUser(id, userId) {
+    const query = `
+      SELECT id, user_id, source, source_photo_id, source_url, status,
+        storage_key, content_type, width, height, cached_at
+      FROM cached_photos
+      WHERE id = $1 AND user_id = $2
+    `;
+
+    const result = await db.query(query, [id, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record a stored photo and point its source photo at the cached copy
+   * @param {Object} photo - Cached photo row (id, source, source_photo_id)
+   * @param {Object} details - { storageKey, contentType, width, height }
+   * @param {string} cachedUrl - URL the cached copy is served from
+   * @returns {Promise<void>}
+   */
+  static async markCached(photo, { storageKey, contentType, width, height }, cachedUrl) {
+    await db.query(`
+      UPDATE cached_photos SET
+        status = 'cached',
+        storage_key = $2,
+        content_type = $3,
+        width = $4,
+        height = $5,
+        last_error = NULL,
+        cached_at = NOW(),
+        updated_at = NOW()
+      WHERE id = $1
+    `, [photo.id, storageKey, contentType, width || null, height || null]);
+
+    // SOURCE_TABLES only holds fixed table names, never user input
+    await db.query(
+      `UPDATE ${SOURCE_TABLES[photo.source]} SET photo_url_cached = $1 WHERE id = $2`,
+      [cachedUrl, photo.source_photo_id]
+    );
+  }
+
+  /**
+   * Record a failed download, it's retried on later runs up to the attempt limit
+   * @param {number} id
+   * @param {string} message
+   * @returns {Promise<void>}
+   */
+  static async markFailed(id, message) {
+    await db.query(`
+      UPDATE cached_photos SET
+        status = 'failed',
+        attempts = attempts + 1,
+        last_error = $2,
+        updated_at = NOW()
+      WHERE id = $1
+    `, [id, message]);
+  }
+}
+
+module.exports = CachedPhoto;
@@ -0,0 +1,77 @@
+jest.mock('../db/connection', () => ({ query: jest.fn() }));
+
+const db = require('../db/connection');
+const CachedPhoto = require('./cachedPhoto');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('CachedPhoto.enqueueMissing', () => {
+  test('adds check-in and Strava photos of the user, skipping known ones', async () => {
+    db.query.mockResolvedValue({ rowCount: 5 });
+
+    expect(await CachedPhoto.enqueueMissing(3)).toBe(5);
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('FROM checkin_photos cp');
+    expect(sql).toContain('FROM strava_activity_photos sp');
+    expect(sql).toContain('ON CONFLICT (source, source_photo_id) DO NOTHING');
+    expect(params).toEqual([3]);
+  });
+});
+
+describe('CachedPhoto.findPending', () => {
+  test('pages through pending and retryable photos by id', async () => {
+    const rows = [{ id: 11, source: 'checkin' }];
+    db.query.mockResolvedValue({ rows });
+
+    const result = await CachedPhoto.findPending(3, { afterId: 10, limit: 25, maxAttempts: 3 });
+
+    expect(result).toBe(rows);
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain("status IN ('pending', 'failed')");
+    expect(sql).toContain('ORDER BY id');
+    expect(params).toEqual([3, 3, 10, 25]);
+  });
+});
+
+describe('CachedPhoto.findByIdForUser', () => {
+  test('scopes the lookup to the user', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    expect(await CachedPhoto.findByIdForUser(7, 3)).toBeNull();
+    expect(db.query.mock.calls[0][1]).toEqual([7, 3]);
+  });
+});
+
+describe('CachedPhoto.markCached', () => {
+  test.each([
+    ['checkin', 'checkin_photos'],
+    ['strava', 'strava_activity_photos']
+  ])('stores the details and points the %s photo at the cached copy', async (source, table) => {
+    db.query.mockResolvedValue({ rowCount: 1 });
+
+    await CachedPhoto.markCached(
+      { id: 7, source, source_photo_id: 42 },
+      { storageKey: '3/7', contentType: 'image/jpeg', width: 1440, height: 1920 },
+      '/api/photos/7'
+    );
+
+    expect(db.query.mock.calls[0][0]).toContain("status = 'cached'");
+    expect(db.query.mock.calls[0][1]).toEqual([7, '3/7', 'image/jpeg', 1440, 1920]);
+    expect(db.query.mock.calls[1][0]).toContain(`UPDATE ${table} SET photo_url_cached = $1`);
+    expect(db.query.mock.calls[1][1]).toEqual(['/api/photos/7', 42]);
+  });
+});
+
+describe('CachedPhoto.markFailed', () => {
+  test('counts the attempt and keeps the error', async () => {
+    db.query.mockResolvedValue({ rowCount: 1 });
+
+    await CachedPhoto.markFailed(7, 'Request failed with status code 404');
+
+    expect(db.query.mock.calls[0][0]).toContain('attempts = attempts + 1');
+    expect(db.query.mock.calls[0][1]).toEqual([7, 'Request failed with status code 404']);
+  });
+});
@@ -1,23 +1,93 @@
 const db = require('../db/connection');
+const { parseBounds, heatmapCellSize } = require('../utils/geoUtils');
+const { categoryCondition, toCategoryList, categoryLevelExpression } = require('../utils/categoryUtils');
+
+/**
+ * WHERE conditions for the filters shared by find and findBatch
+ * @param {Object} filters - { userId, startDate, endDate, localDate, category, country, city, search, bounds }
+ * @returns {{conditions: Array<string>, params: Array, paramIndex: number}} paramIndex is the next free placeholder
+ */
+function buildFindConditions(filters) {
+  const { userId, startDate, endDate, localDate, category, country, city, search, bounds } = filters;
+
+  const conditions = [];
+  const params = [];
+  let paramIndex = 1;
+
+  // Filter by user_id if provided (for multi-user support)
+  if (userId) {
+    conditions.push(`user_id = $${paramIndex++}`);
+    params.push(userId);
+  }
+
+  // Local date filtering (preferred for Day in Life queries)
+  // Converts UTC timestamp to local timezone, extracts date, and compares
+  // Uses COALESCE to handle NULL timezone (defaults to UTC)
+  if (localDate) {
+    conditions.push(`DATE(checkin_date AT TIME ZONE COALESCE(timezone, 'UTC')) = $${paramIndex++}`);
+    params.push(localDate);
+  } else {
+    // Fallback to UTC date filtering (for map queries)
+    if (startDate) {
+      conditions.push(`checkin_date >= $${paramIndex++}`);
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      conditions.push(`checkin_date <= $${paramIndex++}`);
+      params.push(endDate);
+    }
+  }
+
+  // Categories at any level of the hierarchy (ANY of them)
+  if (category) {
+    conditions.push(categoryCondition(`$${paramIndex++}`));
+    params.push(toCategoryList(category));
+  }
+
+  if (country) {
+    conditions.push(`country = $${paramIndex++}`);
+    params.push(country);
+  }
+
+  if (city) {
+    conditions.push(`city = $${paramIndex++}`);
+    params.push(city);
+  }
+
+  if (search) {
+    conditions.push(`venue_name ILIKE $${paramIndex++}`);
+    params.push(`%${search}%`);
+  }
+
+  // Geographic bounds filtering (optional - for map viewport queries)
+  if (bounds) {
+    const { minLng, minLat, maxLng, maxLat } = parseBounds(bounds);
+
+    conditions.push(`latitude BETWEEN $${paramIndex} AND $${paramIndex + 1}`);
+    conditions.push(`longitude BETWEEN $${paramIndex + 2} AND $${paramIndex + 3}`);
+    params.push(minLat, maxLat, minLng, maxLng);
+    paramIndex += 4;
+  }
+
+  return { conditions, params, paramIndex };
+}
 
 class Checkin {
   /**
    * Find check-ins with optional filters and pagination
-   * @param {Object} filters - { userId, startDate, endDate, localDate, category, country, city, search, bounds, zoom, limit, offset }
+   * @param {Object} filters - { userId, startDate, endDate, localDate, category, country, city, search, bounds, zoom, order, limit, offset }
    * @returns {Promise<{data: Array, total: number}>}
    */
   static async find(filters = {}) {
     const {
-      userId,
-      startDate,
-      endDate,
-      localDate,  // NEW - filter by local date instead of UTC
       category,
       country,
       city,
       search,
-      bounds,  // NEW
-      zoom,    // NEW
+      bounds,
+      zoom,
+      order,   // 'asc' for oldest first (time-lapse playback), newest first otherwise
       limit,
       offset = 0
     } = filters;
@@ -31,88 +101,8 @@ class Checkin {
     const defaultLimit = (hasSemanticFilter || hasBoundsFilter) ? 50000 : 5000;
     const effectiveLimit = limit || defaultLimit;
 
-    const conditions = [];
-    const params = [];
-    let paramIndex = 1;
-
-    // Filter by user_id if provided (for multi-user support)
-    if (userId) {
-      conditions.push(`user_id = $${paramIndex++}`);
-      params.push(userId);
-    }
-
-    // Local date filtering (preferred for Day in Life queries)
-    // Converts UTC timestamp to local timezone, extracts date, and compares
-    // Uses COALESCE to handle NULL timezone (defaults to UTC)
-    if (localDate) {
-      conditions.push(`DATE(checkin_date AT TIME ZONE COALESCE(timezone, 'UTC')) = $${paramIndex++}`);
-      params.push(localDate);
-    } else {
-      // Fallback to UTC date filtering (for map queries)
-      if (startDate) {
-        conditions.push(`checkin_date >= $${paramIndex++}`);
-        params.push(startDate);
-      }
-
-      if (endDate) {
-        conditions.push(`checkin_date <= $${paramIndex++}`);
-        params.push(endDate);
-      }
-    }
-
-    if (category) {
-      if (Array.isArray(category)) {
-        // Handle array of categories (ANY of them)
-        conditions.push(`venue_category = ANY($${paramIndex})`);
-        params.push(category);
-        paramIndex++;
-      } else {
-        // Handle single category
-        conditions.push(`venue_category = $${paramIndex}`);
-        params.push(category);
-        paramIndex++;
-      }
-    }
-
-    if (country) {
-      conditions.push(`country = $${paramIndex++}`);
-      params.push(country);
-    }
-
-    if (city) {
-      conditions.push(`city = $${paramIndex++}`);
-      params.push(city);
-    }
-
-    if (search) {
-      conditions.push(`venue_name ILIKE $${paramIndex++}`);
-      params.push(`%${search}%`);
-    }
-
-    // Geographic bounds filtering (optional - for map viewport queries)
-    if (bounds) {
-      const [minLng, minLat, maxLng, maxLat] = bounds.split(',').map(Number);
-
-      // Validate bounds
-      if (isNaN(minLng) || isNaN(minLat) || isNaN(maxLng) || isNaN(maxLat)) {
-        throw new Error('Invalid bounds format. Expected: minLng,minLat,maxLng,maxLat');
-      }
-
-      // Validate coordinate ranges
-      if (minLat < -90 || maxLat > 90 || minLng < -180 || maxLng > 180) {
-        throw new Error('Invalid bounds range. Latitude must be -90 to 90, longitude must be -180 to 180');
-      }
-
-      // Validate min < max
-      if (minLat >= maxLat || minLng >= maxLng) {
-        throw new Error('Invalid bounds: min values must be less than max values');
-      }
-
-      conditions.push(`latitude BETWEEN $${paramIndex} AND $${paramIndex + 1}`);
-      conditions.push(`longitude BETWEEN $${paramIndex + 2} AND $${paramIndex + 3}`);
-      params.push(minLat, maxLat, minLng, maxLng);
-      paramIndex += 4;
-    }
+    const { conditions, params, paramIndex: nextParamIndex } = buildFindConditions(filters);
+    let paramIndex = nextParamIndex;
 
     const whereClause = conditions.length > 0
       ? `WHERE ${conditions.join(' AND ')}`
@@ -155,7 +145,9 @@ class Checkin {
       params.push(effectiveLimit);
     } else {
       // High zoom (7+) or filtered: Return all matching records
-      // whereClause is safe - constructed from parameterized conditions only
+      // id breaks ties so consecutive pages never overlap or skip rows
+      const direction = order === 'asc' ? 'ASC' : 'DESC';
+      // whereClause and direction are safe - parameterized conditions and a fixed keyword
       dataQuery = `
         SELECT
           id, venue_id, venue_name, venue_category,
@@ -163,7 +155,7 @@ class Checkin {
           city, country
         FROM checkins
         ${whereClause}
-        ORDER BY checkin_date DESC
+        ORDER BY checkin_date ${direction}, id ${direction}
         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
       `;
       params.push(effectiveLimit, offset);
@@ -182,9 +174,146 @@ class Checkin {
     };
   }
 
+  /**
+   * Fetch one batch of check-ins, oldest first, for streaming large result sets
+   * (exports). Pages by keyset so batches stay fast however deep they go.
+   * @param {Object} filters - Same as find, without zoom/order/limit/offset
+   * @param {Object} [options]
+   * @param {Object} [options.after] - Last check-in of the previous batch ({ checkin_date, id })
+   * @param {number} [options.limit=1000]
+   * @returns {Promise<Array>}
+   */
+  static async findBatch(filters = {}, { after = null, limit = 1000 } = {}) {
+    const { conditions, params, paramIndex: nextParamIndex } = buildFindConditions(filters);
+    let paramIndex = nextParamIndex;
+
+    if (after) {
+      conditions.push(`(checkin_date, id) > ($${paramIndex}, $${paramIndex + 1})`);
+      params.push(after.checkin_date, after.id);
+      paramIndex += 2;
+    }
+
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+
+    // whereClause is safe - constructed from parameterized conditions only
+    const query = `
+      SELECT
+        id, venue_id, venue_name, venue_category,
+        latitude, longitude, checkin_date, timezone,
+        city, country
+      FROM checkins
+      ${whereClause}
+      ORDER BY checkin_date ASC, id ASC
+      LIMIT $${paramIndex}
+    `;
+    params.push(limit);
+
+    const result = await db.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Aggregate check-ins into a density grid for heatmap rendering
+   * Unlike the sampled find() query this keeps every check-in, so venues
+   * are weighted by their visit count at every zoom level.
+   * @param {Object} filters - { userId, startDate, endDate, category, country, city, search, bounds, zoom }
+   * @returns {Promise<Array<{lng: number, lat: number, weight: number}>>} One entry per non-empty cell
+   */
+  static async getHeatmapGrid(filters = {}) {
+    const {
+      userId,
+      startDate,
+      endDate,
+      category,
+      country,
+      city,
+      search,
+      bounds,
+      zoom = 0,
+      limit = 20000
+    } = filters;
+
+    const cellSize = heatmapCellSize(parseInt(zoom, 10) || 0);
+    const conditions = ['latitude IS NOT NULL', 'longitude IS NOT NULL'];
+    const params = [cellSize];
+    let paramIndex = 2;
+
+    if (userId) {
+      conditions.push(`user_id = $${paramIndex++}`);
+      params.push(userId);
+    }
+
+    if (startDate) {
+      conditions.push(`checkin_date >= $${paramIndex++}`);
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      conditions.push(`checkin_date <= $${paramIndex++}`);
+      params.push(endDate);
+    }
+
+    if (category) {
+      conditions.push(categoryCondition(`$${paramIndex++}`));
+      params.push(toCategoryList(category));
+    }
+
+    if (country) {
+      conditions.push(`country = $${paramIndex++}`);
+      params.push(country);
+    }
+
+    if (city) {
+      conditions.push(`city = $${paramIndex++}`);
+      params.push(city);
+    }
+
+    if (search) {
+      conditions.push(`venue_name ILIKE $${paramIndex++}`);
+      params.push(`%${search}%`);
+    }
+
+    if (bounds) {
+      const { minLng, minLat, maxLng, maxLat } = parseBounds(bounds);
+
+      conditions.push(`latitude BETWEEN $${paramIndex} AND $${paramIndex + 1}`);
+      conditions.push(`longitude BETWEEN $${paramIndex + 2} AND $${paramIndex + 3}`);
+      params.push(minLat, maxLat, minLng, maxLng);
+      paramIndex += 4;
+    }
+
+    // Cell position is the mean of its check-ins rather than the cell corner,
+    // so single-venue cells land exactly on the venue
+    // whereClause is safe - constructed from parameterized conditions only
+    const query = `
+      SELECT
+        AVG(longitude) as lng,
+        AVG(latitude) as lat,
+        COUNT(*) as weight
+      FROM checkins
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY FLOOR(longitude / $1), FLOOR(latitude / $1)
+      ORDER BY weight DESC
+      LIMIT $${paramIndex}
+    `;
+    params.push(limit);
+
+    const result = await db.query(query, params);
+
+    return result.rows.map(row => ({
+      lng: parseFloat(row.lng),
+      lat: parseFloat(row.lat),
+      weight: parseInt(row.weight)
+    }));
+  }
+
   /**
    * Get statistics with optional filters
-   * @param {Object} filters - Same as find()
+   * @param {Object} filters - Same as find(), plus categoryLevel
+   * @param {string} [filters.categoryLevel] - 'top' or 'mid' to group top_categories
+   *   by a parent category in the Foursquare hierarchy, the venue's own category otherwise
    * @returns {Promise<Object>} Statistics object
    */
   static async getStats(filters = {}) {
@@ -194,7 +323,8 @@ class Checkin {
       endDate,
       category,
       country,
-      city
+      city,
+      categoryLevel
     } = filters;
 
     const conditions = [];
@@ -217,18 +347,10 @@ class Checkin {
       params.push(endDate);
     }
 
+    // Categories at any level of the hierarchy (ANY of them)
     if (category) {
-      if (Array.isArray(category)) {
-        // Handle array of categories (ANY of them)
-        conditions.push(`venue_category = ANY($${paramIndex})`);
-        params.push(category);
-        paramIndex++;
-      } else {
-        // Handle single category
-        conditions.push(`venue_category = $${paramIndex}`);
-        params.push(category);
-        paramIndex++;
-      }
+      conditions.push(categoryCondition(`$${paramIndex++}`));
+      params.push(toCategoryList(category));
     }
 
     if (country) {
@@ -274,23 +396,28 @@ class Checkin {
     `;
     const topCountriesResult = await db.query(topCountriesQuery, params);
 
-    // Top categories
+    // Top categories at the requested level of the hierarchy
+    // categoryLevelExpression only returns fixed SQL, never user input
+    const categoryExpression = categoryLevelExpression(categoryLevel);
     const topCategoriesQuery = `
-      SELECT venue_category as category, COUNT(*) as count
+      SELECT ${categoryExpression} as category, COUNT(*) as count
       FROM checkins
       ${whereClause}
-      GROUP BY venue_category
+      GROUP BY 1
       ORDER BY count DESC
       LIMIT 5
     `;
     const topCategoriesResult = await db.query(topCategoriesQuery, params);
 
-    // Most visited venue
+    // Most visited venue, by venue id so branches of a chain aren't merged
     const topVenueQuery = `
-      SELECT venue_name, COUNT(*) as count
+      SELECT
+        venue_id,
+        (ARRAY_AGG(venue_name ORDER BY checkin_date DESC))[1] as venue_name,
+        COUNT(*) as count
       FROM checkins
       ${whereClause}
-      GROUP BY venue_name
+      GROUP BY venue_id, CASE WHEN venue_id IS NULL THEN venue_name END
       ORDER BY count DESC
       LIMIT 1
     `;
@@ -384,7 +511,8 @@ class Checkin {
   /**
    * Get available filter options for a specific user
    * @param {string} userId - User ID to filter options
-   * @returns {Promise<Object>} Available countries, cities, categories
+   * @returns {Promise<Object>} Available countries, cities, categories and
+   *   category_groups ([{ name, level: 'top'|'mid', parent }])
    */
   static async getFilterOptions(userId) {
     const countriesQuery = `
@@ -411,13 +539,115 @@ class Checkin {
     `;
     const categoriesResult = await db.query(categoriesQuery, [userId]);
 
+    // Top- and mid-level parents of the user's categories, for filtering
+    // on a whole branch of the hierarchy
+    const categoryGroupsQuery = `
+      SELECT DISTINCT category_path[1] as top, category_path[2] as mid
+      FROM checkins
+      WHERE category_path IS NOT NULL AND user_id = $1
+    `;
+    const categoryGroupsResult = await db.query(categoryGroupsQuery, [userId]);
+
+    const groups = new Map();
+    for (const { top, mid } of categoryGroupsResult.rows) {
+      if (top && !groups.has(top)) groups.set(top, { name: top, level: 'top', parent: null });
+      if (mid && mid !== top && !groups.has(mid)) groups.set(mid, { name: mid, level: 'mid', parent: top });
+    }
+
     return {
       countries: countriesResult.rows.map(r => r.country),
       cities: citiesResult.rows.map(r => r.city),
-      categories: categoriesResult.rows.map(r => r.venue_category)
+      categories: categoriesResult.rows.map(r => r.venue_category),
+      // Top-level groups first, each level alphabetical
+      category_groups: [...groups.values()].sort((a, b) =>
+        a.level === b.level ? a.name.localeCompare(b.name) : (a.level === 'top' ? -1 : 1)
+      )
     };
   }
 
+  /**
+   * Get a user's full check-in history in chronological order, with the
+   * local date, hour and ISO weekday (1 = Monday) of each check-in
+   * (used for home/work inference and trip detection)
+   * @param {number} userId
+   * @returns {Promise<Array>}
+   */
+  static async findTimeline(userId) {
+    const query = `
+      SELECT
+        id, venue_id, venue_name, venue_category,
+        latitude, longitude, checkin_date, city, country, timezone,
+        TO_CHAR(checkin_date AT TIME ZONE COALESCE(timezone, 'UTC'), 'YYYY-MM-DD') as local_date,
+        EXTRACT(HOUR FROM checkin_date AT TIME ZONE COALESCE(timezone, 'UTC'))::int as local_hour,
+        EXTRACT(ISODOW FROM checkin_date AT TIME ZONE COALESCE(timezone, 'UTC'))::int as local_weekday
+      FROM checkins
+      WHERE user_id = $1
+      ORDER BY checkin_date ASC
+    `;
+
+    const result = await db.query(query, [userId]);
+    return result.rows;
+  }
+
+  /**
+   * Get a user's check-ins at a venue, most recent first, with the local date
+   * of each visit (used for the venue page's visit history)
+   * @param {string} venueId - Foursquare venue id
+   * @param {number} userId
+   * @returns {Promise<Array>}
+   */
+  static async findByVenue(venueId, userId) {
+    const query = `
+      SELECT
+        id, venue_name, checkin_date, timezone,
+        TO_CHAR(checkin_date AT TIME ZONE COALESCE(timezone, 'UTC'), 'YYYY-MM-DD') as local_date
+      FROM checkins
+      WHERE user_id = $1 AND venue_id = $2
+      ORDER BY checkin_date DESC
+    `;
+
+    const result = await db.query(query, [userId, venueId]);
+    return result.rows;
+  }
+
+  /**
+   * Find the ID of a stored check-in by its natural key
+   * (the unique user/venue/date constraint bulk inserts deduplicate on)
+   * @param {number} userId
+   * @param {string} venueId
+   * @param {Date} checkinDate
+   * @returns {Promise<number|null>}
+   */
+  static async findIdByVenueAndDate(userId, venueId, checkinDate) {
+    const result = await db.query(
+      'SELECT id FROM checkins WHERE user_id = $1 AND venue_id = $2 AND checkin_date = $3 LIMIT 1',
+      [userId, venueId, checkinDate]
+    );
+    return result.rows[0]?.id ?? null;
+  }
+
+  /**
+   * Fill in the category chain (and missing category ids) of a user's check-ins
+   * from the category taxonomy. Check-ins without a category id, such as those
+   * imported before ids were stored, are matched by category name.
+   * @param {number} userId
+   * @returns {Promise<number>} Number of check-ins updated
+   */
+  static async assignCategoryPaths(userId) {
+    const query = `
+      UPDATE checkins c SET
+        venue_category_id = vc.id,
+        category_path = vc.path
+      FROM venue_categories vc
+      WHERE c.user_id = $1
+        AND (vc.id = c.venue_category_id OR (c.venue_category_id IS NULL AND vc.name = c.venue_category))
+        AND c.category_path IS DISTINCT FROM vc.path
+    `;
+
+    const result = await db.query(query, [userId]);
+    return result.rowCount;
+  }
+
   /**
    * Insert a single check-in
    * @param {Object} checkin - Checkin object
@@ -428,8 +658,8 @@ class Checkin {
       INSERT INTO checkins (
         user_id, venue_id, venue_name, venue_category,
         latitude, longitude, checkin_date,
-        city, country, timezone
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        city, country, timezone, venue_category_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
       RETURNING *
     `;
 
@@ -443,7 +673,8 @@ class Checkin {
       checkin.checkin_date,
       checkin.city || 'Unknown',
       checkin.country || 'Unknown',
-      checkin.timezone || null
+      checkin.timezone || null,
+      checkin.venue_category_id || null
     ];
 
     const result = await db.query(query, params);
@@ -467,8 +698,8 @@ class Checkin {
     }
 
     const values = checkins.map((c, index) => {
-      const offset = index * 10;
-      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7}, $${offset + 8}, $${offset + 9}, $${offset + 10})`;
+      const offset = index * 11;
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7}, $${offset + 8}, $${offset + 9}, $${offset + 10}, $${offset + 11})`;
     }).join(',');
 
     const params = checkins.flatMap(c => [
@@ -481,14 +712,15 @@ class Checkin {
       c.checkin_date,
       c.city || 'Unknown',
       c.country || 'Unknown',
-      c.timezone || null
+      c.timezone || null,
+      c.venue_category_id || null
     ]);
 
     const query = `
       INSERT INTO checkins (
         user_id, venue_id, venue_name, venue_category,
         latitude, longitude, checkin_date,
-        city, country, timezone
+        city, country, timezone, venue_category_id
       ) VALUES ${values}
       ON CONFLICT DO NOTHING
     `;
@@ -44,12 +44,20 @@ describe('Checkin.find', () => {
 
   test('filters by category', async () => {
     await Checkin.find({ category: 'Coffee Shop' });
-    expect(db.query.mock.calls[0][0]).toContain('venue_category = $1');
+    expect(db.query.mock.calls[0][0]).toContain('venue_category = ANY($1::text[]) OR category_path && $1::text[]');
+    expect(db.query.mock.calls[0][1][0]).toEqual(['Coffee Shop']);
   });
 
   test('filters by category array', async () => {
     await Checkin.find({ category: ['Coffee Shop', 'Bar'] });
-    expect(db.query.mock.calls[0][0]).toContain('venue_category = ANY($1)');
+    expect(db.query.mock.calls[0][0]).toContain('venue_category = ANY($1::text[])');
+    expect(db.query.mock.calls[0][1][0]).toEqual(['Coffee Shop', 'Bar']);
+  });
+
+  test('matches parent categories through the category path', async () => {
+    await Checkin.find({ category: 'Food' });
+    expect(db.query.mock.calls[0][0]).toContain('category_path && $1::text[]');
+    expect(db.query.mock.calls[0][1][0]).toEqual(['Food']);
   });
 
   test('filters by bounds', async () => {
@@ -90,12 +98,53 @@ describe('Checkin.find', () => {
     expect(db.query.mock.calls[1][0]).not.toContain('DISTINCT ON');
   });
 
+  test('returns oldest first when order is asc', async () => {
+    await Checkin.find({ startDate: '2024-01-01', order: 'asc', limit: 1000, offset: 2000 });
+    expect(db.query.mock.calls[1][0]).toContain('ORDER BY checkin_date ASC, id ASC');
+    expect(db.query.mock.calls[1][1]).toEqual(['2024-01-01', 1000, 2000]);
+  });
+
+  test('ignores unknown order values', async () => {
+    await Checkin.find({ order: 'sideways' });
+    expect(db.query.mock.calls[1][0]).toContain('ORDER BY checkin_date DESC, id DESC');
+  });
+
   test('uses higher default limit with semantic filters', async () => {
     const result = await Checkin.find({ country: 'Hungary' });
     expect(result.limit).toBe(50000);
   });
 });
 
+describe('Checkin.findBatch', () => {
+  test('returns filtered check-ins oldest first', async () => {
+    const rows = [{ id: 1 }];
+    db.query.mockResolvedValue({ rows });
+
+    const result = await Checkin.findBatch({ userId: 3, country: 'Japan', category: 'Food' });
+
+    expect(result).toBe(rows);
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('user_id = $1');
+    expect(sql).toContain('category_path && $2::text[]');
+    expect(sql).toContain('country = $3');
+    expect(sql).toContain('ORDER BY checkin_date ASC, id ASC');
+    expect(params).toEqual([3, ['Food'], 'Japan', 1000]);
+  });
+
+  test('continues after the last check-in of the previous batch', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    await Checkin.findBatch(
+      { userId: 3 },
+      { after: { checkin_date: '2024-01-01T10:00:00.000Z', id: 42 }, limit: 500 }
+    );
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('(checkin_date, id) > ($2, $3)');
+    expect(params).toEqual([3, '2024-01-01T10:00:00.000Z', 42, 500]);
+  });
+});
+
 describe('Checkin.getStats', () => {
   function mockStatsQueries({ total = '100', venues = '50', firstCheckin = '2024-01-01', lastCheckin = '2024-06-01', topCountries = [], topCategories = [], topVenue = [], timeline = [], unmappable = '0' } = {}) {
     db.query
@@ -113,7 +162,7 @@ describe('Checkin.getStats', () => {
     mockStatsQueries({
       topCountries: [{ country: 'HU', count: '80' }],
       topCategories: [{ category: 'Coffee', count: '30' }],
-      topVenue: [{ venue_name: 'Starbucks', count: '10' }],
+      topVenue: [{ venue_id: 'v1', venue_name: 'Starbucks', count: '10' }],
       timeline: [{ year: 2024, month: 1, count: '15' }],
       unmappable: '2',
     });
@@ -125,7 +174,9 @@ describe('Checkin.getStats', () => {
     expect(result.date_range).toEqual({ first_checkin: '2024-01-01', last_checkin: '2024-06-01' });
     expect(result.top_countries).toEqual([{ country: 'HU', count: '80' }]);
     expect(result.top_categories).toEqual([{ category: 'Coffee', count: '30' }]);
-    expect(result.top_venue).toEqual({ venue_name: 'Starbucks', count: '10' });
+    expect(result.top_venue).toEqual({ venue_id: 'v1', venue_name: 'Starbucks', count: '10' });
+    // Grouped by venue id so branches of a chain are counted separately
+    expect(db.query.mock.calls[5][0]).toMatch(/GROUP BY venue_id/);
     expect(result.timeline).toEqual([{ year: 2024, month: 1, count: '15' }]);
     expect(result.unmappable_count).toBe(2);
   });
@@ -139,6 +190,68 @@ describe('Checkin.getStats', () => {
     const result = await Checkin.getStats();
     expect(result.top_venue).toBeNull();
   });
+
+  test('groups top categories by their leaf category by default', async () => {
+    mockStatsQueries();
+
+    await Checkin.getStats({ userId: 'u1' });
+
+    expect(db.query.mock.calls[4][0]).toContain('SELECT venue_category as category');
+  });
+
+  test('groups top categories by top-level category', async () => {
+    mockStatsQueries({ topCategories: [{ category: 'Food', count: '60' }] });
+
+    const result = await Checkin.getStats({ userId: 'u1', categoryLevel: 'top' });
+
+    expect(db.query.mock.calls[4][0]).toContain('SELECT COALESCE(category_path[1], venue_category) as category');
+    expect(result.top_categories).toEqual([{ category: 'Food', count: '60' }]);
+  });
+
+  test('groups top categories by mid-level category', async () => {
+    mockStatsQueries();
+
+    await Checkin.getStats({ userId: 'u1', categoryLevel: 'mid' });
+
+    expect(db.query.mock.calls[4][0]).toContain('COALESCE(category_path[2], category_path[1], venue_category) as category');
+  });
+});
+
+describe('Checkin.getHeatmapGrid', () => {
+  test('aggregates check-ins into weighted grid cells', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ lng: '19.05', lat: '47.49', weight: '42' }] });
+
+    const result = await Checkin.getHeatmapGrid({ userId: 'u1', zoom: 5 });
+
+    expect(result).toEqual([{ lng: 19.05, lat: 47.49, weight: 42 }]);
+    expect(db.query.mock.calls[0][0]).toContain('GROUP BY FLOOR(longitude / $1), FLOOR(latitude / $1)');
+    expect(db.query.mock.calls[0][1]).toContain('u1');
+  });
+
+  test('uses smaller cells at higher zoom', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    await Checkin.getHeatmapGrid({ zoom: 3 });
+    await Checkin.getHeatmapGrid({ zoom: '12' });
+
+    expect(db.query.mock.calls[0][1][0]).toBeGreaterThan(db.query.mock.calls[1][1][0]);
+  });
+
+  test('applies bounds and semantic filters', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    await Checkin.getHeatmapGrid({ bounds: '18,47,20,48', country: 'HU', category: ['Bar', 'Café'] });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('latitude BETWEEN');
+    expect(sql).toContain('venue_category = ANY');
+    expect(params).toEqual(expect.arrayContaining(['HU', ['Bar', 'Café'], 47, 48, 18, 20]));
+    expect(sql).toContain('category_path &&');
+  });
+
+  test('rejects invalid bounds', async () => {
+    await expect(Checkin.getHeatmapGrid({ bounds: '20,47,18,48' })).rejects.toThrow('Invalid bounds');
+  });
 });
 
 describe('Checkin.getFilterOptions', () => {
@@ -146,18 +259,74 @@ describe('Checkin.getFilterOptions', () => {
     db.query
       .mockResolvedValueOnce({ rows: [{ country: 'Hungary' }, { country: 'Germany' }] })
       .mockResolvedValueOnce({ rows: [{ city: 'Budapest' }] })
-      .mockResolvedValueOnce({ rows: [{ venue_category: 'Coffee Shop' }] });
+      .mockResolvedValueOnce({ rows: [{ venue_category: 'Coffee Shop' }] })
+      .mockResolvedValueOnce({ rows: [] });
 
     const result = await Checkin.getFilterOptions('u1');
 
     expect(result.countries).toEqual(['Hungary', 'Germany']);
     expect(result.cities).toEqual(['Budapest']);
     expect(result.categories).toEqual(['Coffee Shop']);
+    expect(result.category_groups).toEqual([]);
 
-    for (let i = 0; i < 3; i++) {
+    for (let i = 0; i < 4; i++) {
       expect(db.query.mock.calls[i][1]).toEqual(['u1']);
     }
   });
+
+  test('returns top- and mid-level category groups', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({
+        rows: [
+          { top: 'Nightlife Spot', mid: 'Bar' },
+          { top: 'Food', mid: 'Asian Restaurant' },
+          { top: 'Food', mid: 'Café' },
+          { top: 'Food', mid: null }
+        ]
+      });
+
+    const result = await Checkin.getFilterOptions('u1');
+
+    expect(result.category_groups).toEqual([
+      { name: 'Food', level: 'top', parent: null },
+      { name: 'Nightlife Spot', level: 'top', parent: null },
+      { name: 'Asian Restaurant', level: 'mid', parent: 'Food' },
+      { name: 'Bar', level: 'mid', parent: 'Nightlife Spot' },
+      { name: 'Café', level: 'mid', parent: 'Food' }
+    ]);
+  });
+});
+
+describe('Checkin.findIdByVenueAndDate', () => {
+  test('returns the matching check-in id', async () => {
+    const date = new Date('2024-01-01T12:00:00Z');
+    db.query.mockResolvedValue({ rows: [{ id: 12 }] });
+
+    expect(await Checkin.findIdByVenueAndDate(1, 'v1', date)).toBe(12);
+    expect(db.query.mock.calls[0][1]).toEqual([1, 'v1', date]);
+  });
+
+  test('returns null when not found', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+    expect(await Checkin.findIdByVenueAndDate(1, 'v1', new Date())).toBeNull();
+  });
+});
+
+describe('Checkin.findByVenue', () => {
+  test('returns visits at the venue, most recent first', async () => {
+    const rows = [{ id: 2, checkin_date: new Date('2024-03-02'), local_date: '2024-03-02' }];
+    db.query.mockResolvedValueOnce({ rows });
+
+    const result = await Checkin.findByVenue('v1', 7);
+
+    expect(result).toBe(rows);
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('ORDER BY checkin_date DESC');
+    expect(params).toEqual([7, 'v1']);
+  });
 });
 
 describe('Checkin.insert', () => {
@@ -177,7 +346,7 @@ describe('Checkin.insert', () => {
     expect(db.query.mock.calls[0][0]).toContain('RETURNING *');
     expect(db.query.mock.calls[0][1]).toEqual([
       'u1', 'v1', 'Test Cafe', 'Coffee Shop', 47.5, 19.0,
-      '2024-01-01T12:00:00Z', 'Budapest', 'Hungary', 'Europe/Budapest',
+      '2024-01-01T12:00:00Z', 'Budapest', 'Hungary', 'Europe/Budapest', null,
     ]);
   });
 
@@ -217,6 +386,28 @@ describe('Checkin.bulkInsert', () => {
     const result = await Checkin.bulkInsert(checkins);
     expect(result).toBe(2);
     expect(db.query.mock.calls[0][0]).toContain('ON CONFLICT DO NOTHING');
-    expect(db.query.mock.calls[0][1]).toHaveLength(20);
+    expect(db.query.mock.calls[0][1]).toHaveLength(22);
+  });
+
+  test('stores the Foursquare category id', async () => {
+    db.query.mockResolvedValueOnce({ rowCount: 1 });
+
+    await Checkin.bulkInsert([{ venue_name: 'A', checkin_date: '2024-01-01', venue_category_id: 'cat-cafe' }]);
+
+    expect(db.query.mock.calls[0][0]).toContain('venue_category_id');
+    expect(db.query.mock.calls[0][1][10]).toBe('cat-cafe');
+  });
+});
+
+describe('Checkin.assignCategoryPaths', () => {
+  test('sets category chains from the taxonomy by id or name', async () => {
+    db.query.mockResolvedValue({ rowCount: 8 });
+
+    expect(await Checkin.assignCategoryPaths(3)).toBe(8);
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('FROM venue_categories vc');
+    expect(sql).toContain('c.category_path IS DISTINCT FROM vc.path');
+    expect(params).toEqual([3]);
   });
 });
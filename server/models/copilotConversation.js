@@ -0,0 +1,107 @@
+const db = require('../db/connection');
+
+const CONVERSATION_COLUMNS = 'id, user_id, title, created_at, updated_at';
+
+// Untitled threads take their title from the first message, cut to this length
+const TITLE_MAX_LENGTH = 80;
+
+/**
+ * Copilot conversation threads, their messages are in copilot_messages
+ */
+class CopilotConversation {
+  /**
+   * @param {number} userId
+   * @param {string|null} [title] - Left empty, the first message names the thread
+   * @returns {Promise<Object>}
+   */
+  static async create(userId, title = null) {
+    const result = await db.query(
+      `INSERT INTO copilot_conversations (user_id, title) VALUES ($1, $2) RETURNING ${CONVERSATION_COLUMNS}`,
+      [userId, title]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * A user's threads, most recently active first
+   * @param {number} userId
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Array>}
+   */
+  static async findByUser(userId, options = {}) {
+    const limit = parseInt(options.limit, 10) || 100;
+
+    const result = await db.query(
+      `SELECT ${CONVERSATION_COLUMNS} FROM copilot_conversations
+       WHERE user_id = $1
+       ORDER BY updated_at DESC, id DESC
+       LIMIT $2`,
+      [userId, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Find a thread owned by a user
+   * @param {number} id
+   * @param {number} userId
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id, userId) {
+    const result = await db.query(
+      `SELECT ${CONVERSATION_COLUMNS} FROM copilot_conversations WHERE id = $1 AND user_id = $2`,
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @param {number} id
+   * @param {number} userId
+   * @param {string} title
+   * @returns {Promise<Object|null>} The thread, null when the user has no such thread
+   */
+  static async rename(id, userId, title) {
+    const result = await db.query(
+      `UPDATE copilot_conversations SET title = $3, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING ${CONVERSATION_COLUMNS}`,
+      [id, userId, title]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark a thread active after a message, naming it after the message if it's untitled
+   * @param {number} id
+   * @param {string} message - User message
+   * @returns {Promise<Object>} The thread
+   */
+  static async touch(id, message) {
+    const title = message.replace(/\s+/g, ' ').trim().slice(0, TITLE_MAX_LENGTH);
+
+    const result = await db.query(
+      `UPDATE copilot_conversations SET title = COALESCE(title, $2), updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${CONVERSATION_COLUMNS}`,
+      [id, title]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a thread and its messages
+   * @param {number} id
+   * @param {number} userId
+   * @returns {Promise<boolean>} False when the user has no such thread
+   */
+  static async delete(id, userId) {
+    const result = await db.query(
+      'DELETE FROM copilot_conversations WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = CopilotConversation;
@@ -0,0 +1,77 @@
+jest.mock('../db/connection', () => ({ query: jest.fn() }));
+
+const db = require('../db/connection');
+const CopilotConversation = require('./copilotConversation');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('CopilotConversation.create', () => {
+  test('creates an untitled thread by default', async () => {
+    const row = { id: 1, user_id: 3, title: null };
+    db.query.mockResolvedValue({ rows: [row] });
+
+    expect(await CopilotConversation.create(3)).toBe(row);
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO copilot_conversations');
+    expect(params).toEqual([3, null]);
+  });
+});
+
+describe('CopilotConversation.findByUser', () => {
+  test('lists the user\'s threads, most recently active first', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 2 }, { id: 1 }] });
+
+    expect(await CopilotConversation.findByUser(3)).toEqual([{ id: 2 }, { id: 1 }]);
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('WHERE user_id = $1');
+    expect(sql).toContain('ORDER BY updated_at DESC');
+    expect(params).toEqual([3, 100]);
+  });
+});
+
+describe('CopilotConversation.findById', () => {
+  test('scopes the lookup to the user', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    expect(await CopilotConversation.findById(5, 3)).toBeNull();
+    expect(db.query.mock.calls[0][1]).toEqual([5, 3]);
+  });
+});
+
+describe('CopilotConversation.rename', () => {
+  test('returns the renamed thread, or null for another user\'s thread', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 5, title: 'Japan' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    expect(await CopilotConversation.rename(5, 3, 'Japan')).toEqual({ id: 5, title: 'Japan' });
+    expect(await CopilotConversation.rename(5, 4, 'Japan')).toBeNull();
+    expect(db.query.mock.calls[0][1]).toEqual([5, 3, 'Japan']);
+  });
+});
+
+describe('CopilotConversation.touch', () => {
+  test('titles untitled threads after the message', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 5 }] });
+
+    await CopilotConversation.touch(5, `  Where did I eat\n in ${'Tokyo '.repeat(20)}`);
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('COALESCE(title, $2)');
+    expect(params[1]).toMatch(/^Where did I eat in Tokyo/);
+    expect(params[1]).toHaveLength(80);
+  });
+});
+
+describe('CopilotConversation.delete', () => {
+  test('reports whether a thread was deleted', async () => {
+    db.query
+      .mockResolvedValueOnce({ rowCount: 1 })
+      .mockResolvedValueOnce({ rowCount: 0 });
+
+    expect(await CopilotConversation.delete(5, 3)).toBe(true);
+    expect(await CopilotConversation.delete(5, 4)).toBe(false);
+  });
+});
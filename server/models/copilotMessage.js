@@ -0,0 +1,81 @@
+const db = require('../db/connection');
+
+// Columns written per message by createMany
+const MESSAGE_COLUMNS = ['conversation_id', 'role', 'content', 'text', 'venues', 'attachments'];
+
+/**
+ * Stored row in the client's message format: { role, content, text, venues, attachments, timestamp }
+ */
+function formatMessage(row) {
+  const message = {
+    id: row.id,
+    role: row.role,
+    content: row.content,
+    timestamp: row.created_at
+  };
+
+  if (row.text !== null) message.text = row.text;
+  if (row.venues !== null) message.venues = row.venues;
+  if (row.attachments) message.attachments = row.attachments;
+
+  return message;
+}
+
+/**
+ * Messages of copilot conversations (see models/copilotConversation.js)
+ */
+class CopilotMessage {
+  /**
+   * Messages of a thread, oldest first
+   * The caller checks the thread belongs to the user.
+   * @param {number} conversationId
+   * @returns {Promise<Array>} Messages in the client's format
+   */
+  static async findByConversation(conversationId) {
+    const result = await db.query(
+      `SELECT id, role, content, text, venues, attachments, created_at
+       FROM copilot_messages
+       WHERE conversation_id = $1
+       ORDER BY id`,
+      [conversationId]
+    );
+    return result.rows.map(formatMessage);
+  }
+
+  /**
+   * Append messages to a thread
+   * @param {number} conversationId
+   * @param {Array} messages - Client format messages { role, content, text, venues, attachments }
+   * @returns {Promise<Array>} The stored messages
+   */
+  static async createMany(conversationId, messages) {
+    if (!messages || messages.length === 0) {
+      return [];
+    }
+
+    const values = messages.map((_, index) => {
+      const offset = index * MESSAGE_COLUMNS.length + 1;
+      const placeholders = MESSAGE_COLUMNS.map((__, column) => `$${offset + column}`);
+      return `(${placeholders.join(', ')})`;
+    }).join(', ');
+
+    const params = messages.flatMap(message => [
+      conversationId,
+      message.role,
+      JSON.stringify(message.content),
+      message.text ?? null,
+      message.venues ? JSON.stringify(message.venues) : null,
+      message.attachments?.length ? JSON.stringify(message.attachments) : null
+    ]);
+
+    const result = await db.query(
+      `INSERT INTO copilot_messages (${MESSAGE_COLUMNS.join(', ')})
+       VALUES ${values}
+       RETURNING id, role, content, text, venues, attachments, created_at`,
+      params
+    );
+    return result.rows.map(formatMessage);
+  }
+}
+
+module.exports = CopilotMessage;
@@ -0,0 +1,77 @@
+jest.mock('../db/connection', () => ({ query: jest.fn() }));
+
+const db = require('../db/connection');
+const CopilotMessage = require('./copilotMessage');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('CopilotMessage.findByConversation', () => {
+  test('returns messages in the client format, oldest first', async () => {
+    const createdAt = new Date('2025-11-03T10:00:00.000Z');
+    db.query.mockResolvedValue({
+      rows: [
+        { id: 1, role: 'user', content: 'Hi', text: null, venues: null, created_at: createdAt },
+        { id: 2, role: 'assistant', content: { parts: [{ text: 'Hello' }] }, text: 'Hello', venues: [], attachments: null, created_at: createdAt },
+        {
+          id: 3,
+          role: 'assistant',
+          content: 'Here you go',
+          text: 'Here you go',
+          venues: null,
+          attachments: [{ type: 'table', title: null, columns: ['country'], rows: [{ country: 'Japan' }] }],
+          created_at: createdAt
+        }
+      ]
+    });
+
+    const messages = await CopilotMessage.findByConversation(5);
+
+    expect(messages).toEqual([
+      { id: 1, role: 'user', content: 'Hi', timestamp: createdAt },
+      { id: 2, role: 'assistant', content: { parts: [{ text: 'Hello' }] }, text: 'Hello', venues: [], timestamp: createdAt },
+      {
+        id: 3,
+        role: 'assistant',
+        content: 'Here you go',
+        text: 'Here you go',
+        attachments: [{ type: 'table', title: null, columns: ['country'], rows: [{ country: 'Japan' }] }],
+        timestamp: createdAt
+      }
+    ]);
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('ORDER BY id');
+    expect(params).toEqual([5]);
+  });
+});
+
+describe('CopilotMessage.createMany', () => {
+  test('inserts all messages in one statement, content as JSON', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    await CopilotMessage.createMany(5, [
+      { role: 'user', content: 'Hi' },
+      {
+        role: 'assistant',
+        content: { parts: [{ text: 'Hello' }] },
+        text: 'Hello',
+        venues: [{ venueId: 'v1' }],
+        attachments: [{ type: 'map', title: 'Cafés', venues: [] }]
+      }
+    ]);
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('($1, $2, $3, $4, $5, $6), ($7, $8, $9, $10, $11, $12)');
+    expect(params).toEqual([
+      5, 'user', '"Hi"', null, null, null,
+      5, 'assistant', '{"parts":[{"text":"Hello"}]}', 'Hello', '[{"venueId":"v1"}]',
+      '[{"type":"map","title":"Cafés","venues":[]}]'
+    ]);
+  });
+
+  test('skips the query without messages', async () => {
+    expect(await CopilotMessage.createMany(5, [])).toEqual([]);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
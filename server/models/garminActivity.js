@@ -10,9 +10,9 @@ class GarminActivity {
       INSERT INTO garmin_activities (
         user_id, garmin_activity_id, activity_type, activity_name,
         start_time, duration_seconds, distance_meters, calories,
-        avg_heart_rate, max_heart_rate, tracklog, garmin_url
+        avg_heart_rate, max_heart_rate, tracklog, garmin_url, timezone
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, ST_GeogFromText($11), $12)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, ST_GeogFromText($11), $12, $13)
       ON CONFLICT (user_id, garmin_activity_id) DO NOTHING
       RETURNING *
     `;
@@ -29,7 +29,8 @@ class GarminActivity {
       activityData.avg_heart_rate,
       activityData.max_heart_rate,
       activityData.tracklog,
-      activityData.garmin_url
+      activityData.garmin_url,
+      activityData.timezone || null
     ];
 
     const result = await db.query(query, values);
@@ -43,8 +44,8 @@ class GarminActivity {
   static async bulkInsert(activities) {
     if (activities.length === 0) return 0;
 
-    // Build VALUES clause: ($1, $2, ...), ($13, $14, ...), ...
-    const valuesPerRow = 12;
+    // Build VALUES clause: ($1, $2, ...), ($14, $15, ...), ...
+    const valuesPerRow = 13;
     const valuesClauses = [];
     const allValues = [];
 
@@ -73,7 +74,8 @@ class GarminActivity {
         activity.avg_heart_rate,
         activity.max_heart_rate,
         activity.tracklog,
-        activity.garmin_url
+        activity.garmin_url,
+        activity.timezone || null
       );
     });
 
@@ -81,7 +83,7 @@ class GarminActivity {
       INSERT INTO garmin_activities (
         user_id, garmin_activity_id, activity_type, activity_name,
         start_time, duration_seconds, distance_meters, calories,
-        avg_heart_rate, max_heart_rate, tracklog, garmin_url
+        avg_heart_rate, max_heart_rate, tracklog, garmin_url, timezone
       )
       VALUES ${valuesClauses.join(', ')}
       ON CONFLICT (user_id, garmin_activity_id) DO NOTHING
@@ -106,12 +108,24 @@ class GarminActivity {
     const isLocalDate = !endDate && /^\d{4}-\d{2}-\d{2}$/.test(startDateOrLocalDate);
 
     const query = isLocalDate ? `
-      SELECT * FROM garmin_activities
+      SELECT
+        id, user_id, garmin_activity_id, activity_type, activity_name,
+        start_time, duration_seconds, distance_meters, calories,
+        avg_heart_rate, max_heart_rate,
+        ST_AsText(tracklog::geometry) as tracklog,
+        garmin_url, timezone, created_at
+      FROM garmin_activities
       WHERE user_id = $1
         AND DATE(start_time AT TIME ZONE COALESCE(timezone, 'UTC')) = $2
       ORDER BY start_time ASC
     ` : `
-      SELECT * FROM garmin_activities
+      SELECT
+        id, user_id, garmin_activity_id, activity_type, activity_name,
+        start_time, duration_seconds, distance_meters, calories,
+        avg_heart_rate, max_heart_rate,
+        ST_AsText(tracklog::geometry) as tracklog,
+        garmin_url, timezone, created_at
+      FROM garmin_activities
       WHERE user_id = $1
         AND start_time >= $2
         AND start_time <= $3
@@ -0,0 +1,53 @@
+const db = require('../db/connection');
+
+class GarminDailyBodyBattery {
+  /**
+   * Upsert daily body battery record
+   */
+  static async upsert(bodyBatteryData) {
+    const query = `
+      INSERT INTO garmin_daily_body_battery (
+        user_id, date, highest_value, lowest_value, charged_value, drained_value
+      )
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (user_id, date)
+      DO UPDATE SET
+        highest_value = EXCLUDED.highest_value,
+        lowest_value = EXCLUDED.lowest_value,
+        charged_value = EXCLUDED.charged_value,
+        drained_value = EXCLUDED.drained_value,
+        updated_at = NOW()
+      RETURNING *
+    `;
+
+    const values = [
+      bodyBatteryData.user_id,
+      bodyBatteryData.date,
+      bodyBatteryData.highest_value,
+      bodyBatteryData.lowest_value,
+      bodyBatteryData.charged_value,
+      bodyBatteryData.drained_value
+    ];
+
+    const result = await db.query(query, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Get body battery for a date range
+   */
+  static async findByUserAndDateRange(userId, startDate, endDate) {
+    const query = `
+      SELECT * FROM garmin_daily_body_battery
+      WHERE user_id = $1
+        AND date >= $2
+        AND date <= $3
+      ORDER BY date ASC
+    `;
+
+    const result = await db.query(query, [userId, startDate, endDate]);
+    return result.rows;
+  }
+}
+
+module.exports = GarminDailyBodyBattery;
@@ -0,0 +1,59 @@
+const db = require('../db/connection');
+
+class GarminDailyMovement {
+  /**
+   * Upsert daily movement record (floors, intensity minutes, distance, step goal)
+   */
+  static async upsert(movementData) {
+    const query = `
+      INSERT INTO garmin_daily_movement (
+        user_id, date,
+        floors_ascended_meters, floors_descended_meters, moderate_intensity_minutes,
+        vigorous_intensity_minutes, total_distance_meters, daily_step_goal
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (user_id, date)
+      DO UPDATE SET
+        floors_ascended_meters = EXCLUDED.floors_ascended_meters,
+        floors_descended_meters = EXCLUDED.floors_descended_meters,
+        moderate_intensity_minutes = EXCLUDED.moderate_intensity_minutes,
+        vigorous_intensity_minutes = EXCLUDED.vigorous_intensity_minutes,
+        total_distance_meters = EXCLUDED.total_distance_meters,
+        daily_step_goal = EXCLUDED.daily_step_goal,
+        updated_at = NOW()
+      RETURNING *
+    `;
+
+    const values = [
+      movementData.user_id,
+      movementData.date,
+      movementData.floors_ascended_meters,
+      movementData.floors_descended_meters,
+      movementData.moderate_intensity_minutes,
+      movementData.vigorous_intensity_minutes,
+      movementData.total_distance_meters,
+      movementData.daily_step_goal
+    ];
+
+    const result = await db.query(query, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Get movement for a date range
+   */
+  static async findByUserAndDateRange(userId, startDate, endDate) {
+    const query = `
+      SELECT * FROM garmin_daily_movement
+      WHERE user_id = $1
+        AND date >= $2
+        AND date <= $3
+      ORDER BY date ASC
+    `;
+
+    const result = await db.query(query, [userId, startDate, endDate]);
+    return result.rows;
+  }
+}
+
+module.exports = GarminDailyMovement;
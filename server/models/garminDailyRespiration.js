@@ -0,0 +1,52 @@
+const db = require('../db/connection');
+
+class GarminDailyRespiration {
+  /**
+   * Upsert daily respiration record
+   */
+  static async upsert(respirationData) {
+    const query = `
+      INSERT INTO garmin_daily_respiration (
+        user_id, date,
+        avg_waking_respiration, highest_respiration, lowest_respiration
+      )
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (user_id, date)
+      DO UPDATE SET
+        avg_waking_respiration = EXCLUDED.avg_waking_respiration,
+        highest_respiration = EXCLUDED.highest_respiration,
+        lowest_respiration = EXCLUDED.lowest_respiration,
+        updated_at = NOW()
+      RETURNING *
+    `;
+
+    const values = [
+      respirationData.user_id,
+      respirationData.date,
+      respirationData.avg_waking_respiration,
+      respirationData.highest_respiration,
+      respirationData.lowest_respiration
+    ];
+
+    const result = await db.query(query, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Get respiration for a date range
+   */
+  static async findByUserAndDateRange(userId, startDate, endDate) {
+    const query = `
+      SELECT * FROM garmin_daily_respiration
+      WHERE user_id = $1
+        AND date >= $2
+        AND date <= $3
+      ORDER BY date ASC
+    `;
+
+    const result = await db.query(query, [userId, startDate, endDate]);
+    return result.rows;
+  }
+}
+
+module.exports = GarminDailyRespiration;
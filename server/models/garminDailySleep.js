@@ -8,16 +8,19 @@ class GarminDailySleep {
     const query = `
       INSERT INTO garmin_daily_sleep (
         user_id, date, sleep_duration_seconds, sleep_score,
-        deep_sleep_seconds, light_sleep_seconds, rem_sleep_seconds, awake_seconds
+        deep_sleep_seconds, light_sleep_seconds, rem_sleep_seconds, awake_seconds,
+        sleep_start_time, sleep_end_time
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       ON CONFLICT (user_id, date) DO UPDATE SET
         sleep_duration_seconds = EXCLUDED.sleep_duration_seconds,
         sleep_score = EXCLUDED.sleep_score,
         deep_sleep_seconds = EXCLUDED.deep_sleep_seconds,
         light_sleep_seconds = EXCLUDED.light_sleep_seconds,
         rem_sleep_seconds = EXCLUDED.rem_sleep_seconds,
-        awake_seconds = EXCLUDED.awake_seconds
+        awake_seconds = EXCLUDED.awake_seconds,
+        sleep_start_time = EXCLUDED.sleep_start_time,
+        sleep_end_time = EXCLUDED.sleep_end_time
       RETURNING *
     `;
 
@@ -29,7 +32,9 @@ class GarminDailySleep {
       sleepData.deep_sleep_seconds,
       sleepData.light_sleep_seconds,
       sleepData.rem_sleep_seconds,
-      sleepData.awake_seconds
+      sleepData.awake_seconds,
+      sleepData.sleep_start_time || null,
+      sleepData.sleep_end_time || null
     ];
 
     const result = await db.query(query, values);
@@ -46,9 +51,9 @@ class GarminDailySleep {
     const allValues = [];
 
     sleepArray.forEach((sleep, idx) => {
-      const offset = idx * 8;
+      const offset = idx * 10;
       valuesClauses.push(
-        `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7}, $${offset + 8})`
+        `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7}, $${offset + 8}, $${offset + 9}, $${offset + 10})`
       );
       allValues.push(
         sleep.user_id,
@@ -58,14 +63,17 @@ class GarminDailySleep {
         sleep.deep_sleep_seconds,
         sleep.light_sleep_seconds,
         sleep.rem_sleep_seconds,
-        sleep.awake_seconds
+        sleep.awake_seconds,
+        sleep.sleep_start_time || null,
+        sleep.sleep_end_time || null
       );
     });
 
     const query = `
       INSERT INTO garmin_daily_sleep (
         user_id, date, sleep_duration_seconds, sleep_score,
-        deep_sleep_seconds, light_sleep_seconds, rem_sleep_seconds, awake_seconds
+        deep_sleep_seconds, light_sleep_seconds, rem_sleep_seconds, awake_seconds,
+        sleep_start_time, sleep_end_time
       )
       VALUES ${valuesClauses.join(', ')}
       ON CONFLICT (user_id, date) DO UPDATE SET
@@ -74,7 +82,9 @@ class GarminDailySleep {
         deep_sleep_seconds = EXCLUDED.deep_sleep_seconds,
         light_sleep_seconds = EXCLUDED.light_sleep_seconds,
         rem_sleep_seconds = EXCLUDED.rem_sleep_seconds,
-        awake_seconds = EXCLUDED.awake_seconds
+        awake_seconds = EXCLUDED.awake_seconds,
+        sleep_start_time = EXCLUDED.sleep_start_time,
+        sleep_end_time = EXCLUDED.sleep_end_time
       RETURNING id
     `;
 
@@ -0,0 +1,47 @@
+const db = require('../db/connection');
+
+class GarminDailySpo2 {
+  /**
+   * Upsert daily SpO2 record
+   */
+  static async upsert(spo2Data) {
+    const query = `
+      INSERT INTO garmin_daily_spo2 (user_id, date, avg_spo2, lowest_spo2)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, date)
+      DO UPDATE SET
+        avg_spo2 = EXCLUDED.avg_spo2,
+        lowest_spo2 = EXCLUDED.lowest_spo2,
+        updated_at = NOW()
+      RETURNING *
+    `;
+
+    const values = [
+      spo2Data.user_id,
+      spo2Data.date,
+      spo2Data.avg_spo2,
+      spo2Data.lowest_spo2
+    ];
+
+    const result = await db.query(query, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Get SpO2 for a date range
+   */
+  static async findByUserAndDateRange(userId, startDate, endDate) {
+    const query = `
+      SELECT * FROM garmin_daily_spo2
+      WHERE user_id = $1
+        AND date >= $2
+        AND date <= $3
+      ORDER BY date ASC
+    `;
+
+    const result = await db.query(query, [userId, startDate, endDate]);
+    return result.rows;
+  }
+}
+
+module.exports = GarminDailySpo2;
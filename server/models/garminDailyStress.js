@@ -0,0 +1,59 @@
+const db = require('../db/connection');
+
+class GarminDailyStress {
+  /**
+   * Upsert daily stress record
+   */
+  static async upsert(stressData) {
+    const query = `
+      INSERT INTO garmin_daily_stress (
+        user_id, date,
+        avg_stress_level, max_stress_level, rest_seconds,
+        low_stress_seconds, medium_stress_seconds, high_stress_seconds
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (user_id, date)
+      DO UPDATE SET
+        avg_stress_level = EXCLUDED.avg_stress_level,
+        max_stress_level = EXCLUDED.max_stress_level,
+        rest_seconds = EXCLUDED.rest_seconds,
+        low_stress_seconds = EXCLUDED.low_stress_seconds,
+        medium_stress_seconds = EXCLUDED.medium_stress_seconds,
+        high_stress_seconds = EXCLUDED.high_stress_seconds,
+        updated_at = NOW()
+      RETURNING *
+    `;
+
+    const values = [
+      stressData.user_id,
+      stressData.date,
+      stressData.avg_stress_level,
+      stressData.max_stress_level,
+      stressData.rest_seconds,
+      stressData.low_stress_seconds,
+      stressData.medium_stress_seconds,
+      stressData.high_stress_seconds
+    ];
+
+    const result = await db.query(query, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Get stress for a date range
+   */
+  static async findByUserAndDateRange(userId, startDate, endDate) {
+    const query = `
+      SELECT * FROM garmin_daily_stress
+      WHERE user_id = $1
+        AND date >= $2
+        AND date <= $3
+      ORDER BY date ASC
+    `;
+
+    const result = await db.query(query, [userId, startDate, endDate]);
+    return result.rows;
+  }
+}
+
+module.exports = GarminDailyStress;
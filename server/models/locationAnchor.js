@@ -0,0 +1,102 @@
+const db = require('../db/connection');
+
+// Columns written per anchor by replaceForUser
+const ANCHOR_COLUMNS = [
+  'user_id', 'kind', 'city', 'country', 'venue_id', 'venue_name',
+  'latitude', 'longitude', 'valid_from', 'valid_to', 'day_count', 'checkin_count'
+];
+
+// DATE columns as YYYY-MM-DD strings (see models/trip.js)
+const ANCHOR_SELECT = `
+  id, user_id, kind, city, country, venue_id, venue_name, latitude, longitude,
+  TO_CHAR(valid_from, 'YYYY-MM-DD') as valid_from,
+  TO_CHAR(valid_to, 'YYYY-MM-DD') as valid_to,
+  day_count, checkin_count, created_at
+`;
+
+function formatAnchor(row) {
+  return {
+    ...row,
+    latitude: row.latitude === null ? null : parseFloat(row.latitude),
+    longitude: row.longitude === null ? null : parseFloat(row.longitude)
+  };
+}
+
+/**
+ * Inferred home and work locations with validity ranges
+ * (see services/locationInference.js)
+ */
+class LocationAnchor {
+  /**
+   * Replace all of a user's anchors with a freshly inferred set
+   * @param {number} userId
+   * @param {Array} anchors - From locationInference.inferAnchors
+   * @returns {Promise<number>} Number of anchors stored
+   */
+  static async replaceForUser(userId, anchors) {
+    if (!anchors || anchors.length === 0) {
+      await db.query('DELETE FROM location_anchors WHERE user_id = $1', [userId]);
+      return 0;
+    }
+
+    const values = anchors.map((anchor, index) => {
+      const offset = index * ANCHOR_COLUMNS.length + 1;
+      const placeholders = ANCHOR_COLUMNS.map((_, column) => `$${offset + column}`);
+      return `(${placeholders.join(', ')})`;
+    }).join(',');
+
+    const params = anchors.flatMap(anchor => [
+      userId,
+      anchor.kind,
+      anchor.city || null,
+      anchor.country || null,
+      anchor.venue_id || null,
+      anchor.venue_name || null,
+      anchor.latitude ?? null,
+      anchor.longitude ?? null,
+      anchor.valid_from,
+      anchor.valid_to || null,
+      anchor.day_count,
+      anchor.checkin_count
+    ]);
+
+    // Single statement, like Trip.replaceForUser. $1 is the first row's user_id
+    const query = `
+      WITH deleted AS (
+        DELETE FROM location_anchors WHERE user_id = $1
+      )
+      INSERT INTO location_anchors (${ANCHOR_COLUMNS.join(', ')})
+      VALUES ${values}
+    `;
+
+    const result = await db.query(query, params);
+    return result.rowCount;
+  }
+
+  /**
+   * Get a user's anchors in chronological order
+   * @param {number} userId
+   * @param {string} [kind] - 'home' or 'work', all kinds when omitted
+   * @returns {Promise<Array>}
+   */
+  static async findByUser(userId, kind = null) {
+    const params = [userId];
+    let kindCondition = '';
+
+    if (kind) {
+      kindCondition = 'AND kind = $2';
+      params.push(kind);
+    }
+
+    const result = await db.query(
+      `SELECT ${ANCHOR_SELECT} FROM location_anchors
+       WHERE user_id = $1 ${kindCondition}
+       ORDER BY valid_from ASC, kind ASC`,
+      params
+    );
+
+    return result.rows.map(formatAnchor);
+  }
+}
+
+module.exports = LocationAnchor;
@@ -0,0 +1,57 @@
+jest.mock('../db/connection', () => ({ query: jest.fn() }));
+
+const db = require('../db/connection');
+const LocationAnchor = require('./locationAnchor');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('LocationAnchor.replaceForUser', () => {
+  test('deletes and inserts in a single statement', async () => {
+    db.query.mockResolvedValue({ rowCount: 2 });
+
+    const stored = await LocationAnchor.replaceForUser(7, [
+      { kind: 'home', city: 'Berlin', country: 'Germany', latitude: 52.5, longitude: 13.4, valid_from: '2023-01-01', valid_to: null, day_count: 40, checkin_count: 90 },
+      { kind: 'work', city: 'Berlin', country: 'Germany', venue_id: 'v1', venue_name: 'Office', latitude: 52.5, longitude: 13.4, valid_from: '2023-02-01', valid_to: '2023-06-30', day_count: 30, checkin_count: 31 }
+    ]);
+
+    expect(stored).toBe(2);
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('DELETE FROM location_anchors WHERE user_id = $1');
+    expect(sql).toContain('INSERT INTO location_anchors');
+    expect(params).toHaveLength(24);
+    expect(params.slice(0, 6)).toEqual([7, 'home', 'Berlin', 'Germany', null, null]);
+    expect(params[9]).toBeNull();
+    expect(params.slice(12, 18)).toEqual([7, 'work', 'Berlin', 'Germany', 'v1', 'Office']);
+  });
+
+  test('only deletes when there are no anchors', async () => {
+    db.query.mockResolvedValue({ rowCount: 0 });
+
+    await LocationAnchor.replaceForUser(7, []);
+
+    expect(db.query).toHaveBeenCalledWith('DELETE FROM location_anchors WHERE user_id = $1', [7]);
+  });
+});
+
+describe('LocationAnchor.findByUser', () => {
+  test('filters by kind and converts coordinates', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 1, kind: 'home', latitude: '52.50000000', longitude: null }] });
+
+    const result = await LocationAnchor.findByUser(7, 'home');
+
+    expect(result).toEqual([{ id: 1, kind: 'home', latitude: 52.5, longitude: null }]);
+    expect(db.query.mock.calls[0][0]).toContain('AND kind = $2');
+    expect(db.query.mock.calls[0][1]).toEqual([7, 'home']);
+  });
+
+  test('returns all kinds when kind is omitted', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    await LocationAnchor.findByUser(7);
+
+    expect(db.query.mock.calls[0][0]).not.toContain('kind = $2');
+    expect(db.query.mock.calls[0][1]).toEqual([7]);
+  });
+});
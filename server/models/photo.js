@@ -0,0 +1,172 @@
+const db = require('../db/connection');
+const { parseBounds } = require('../utils/geoUtils');
+const { categoryCondition, toCategoryList } = require('../utils/categoryUtils');
+
+// Check-in and Strava activity photos as one list. Strava photos are placed at
+// their own location, or the start of the activity when they have none, and
+// have no venue, city, country or category.
+const ALL_PHOTOS = `
+  SELECT
+    'checkin' AS source,
+    cp.id,
+    cp.photo_url,
+    cp.photo_url_cached,
+    cp.width,
+    cp.height,
+    c.checkin_date AS taken_at,
+    c.latitude,
+    c.longitude,
+    c.venue_id,
+    c.venue_name,
+    c.venue_category,
+    c.category_path,
+    c.city,
+    c.country,
+    NULL::INTEGER AS strava_activity_id,
+    NULL AS activity_name,
+    NULL AS activity_type
+  FROM checkin_photos cp
+  INNER JOIN checkins c ON c.id = cp.checkin_id
+  WHERE c.user_id = $1
+  UNION ALL
+  SELECT
+    'strava' AS source,
+    sp.id,
+    sp.photo_url_full,
+    sp.photo_url_cached,
+    NULL::INTEGER,
+    NULL::INTEGER,
+    COALESCE(sp.created_at_strava, sa.start_time),
+    ST_Y(COALESCE(sp.location, sa.start_latlng)::geometry),
+    ST_X(COALESCE(sp.location, sa.start_latlng)::geometry),
+    NULL,
+    NULL,
+    NULL,
+    NULL::TEXT[],
+    NULL,
+    NULL,
+    sa.id,
+    sa.activity_name,
+    sa.activity_type
+  FROM strava_activity_photos sp
+  INNER JOIN strava_activities sa ON sa.id = sp.strava_activity_id
+  WHERE sa.user_id = $1
+`;
+
+/**
+ * Build the WHERE clause over ALL_PHOTOS, $1 is the user id
+ * @param {Object} filters - { startDate, endDate, category, country, city, search, bounds }
+ * @param {Object} [options]
+ * @param {boolean} [options.dates=true] - Apply the date range
+ * @returns {{whereClause: string, params: Array}}
+ */
+function buildConditions(filters, { dates = true } = {}) {
+  const { userId, startDate, endDate, category, country, city, search, bounds } = filters;
+
+  const conditions = [];
+  const params = [userId];
+  let paramIndex = 2;
+
+  if (dates && startDate) {
+    conditions.push(`taken_at >= $${paramIndex++}`);
+    params.push(startDate);
+  }
+
+  if (dates && endDate) {
+    conditions.push(`taken_at <= $${paramIndex++}`);
+    params.push(endDate);
+  }
+
+  // Venue filters only match check-in photos
+  if (category) {
+    conditions.push(categoryCondition(`$${paramIndex++}`));
+    params.push(toCategoryList(category));
+  }
+
+  if (country) {
+    conditions.push(`country = $${paramIndex++}`);
+    params.push(country);
+  }
+
+  if (city) {
+    conditions.push(`city = $${paramIndex++}`);
+    params.push(city);
+  }
+
+  if (search) {
+    conditions.push(`(venue_name ILIKE $${paramIndex} OR activity_name ILIKE $${paramIndex})`);
+    params.push(`%${search}%`);
+    paramIndex++;
+  }
+
+  if (bounds) {
+    const { minLng, minLat, maxLng, maxLat } = parseBounds(bounds);
+
+    conditions.push(`latitude BETWEEN $${paramIndex} AND $${paramIndex + 1}`);
+    conditions.push(`longitude BETWEEN $${paramIndex + 2} AND $${paramIndex + 3}`);
+    params.push(minLat, maxLat, minLng, maxLng);
+    paramIndex += 4;
+  }
+
+  const whereClause = conditions.length > 0
+    ? `WHERE ${conditions.join(' AND ')}`
+    : '';
+
+  return { whereClause, params };
+}
+
+class Photo {
+  /**
+   * Find a user's check-in and Strava photos, newest first
+   * @param {Object} filters - { userId, startDate, endDate, category, country, city, search, bounds, limit, offset }
+   * @returns {Promise<{data: Array, total: number}>}
+   */
+  static async find(filters = {}) {
+    const { limit = 60, offset = 0 } = filters;
+    const { whereClause, params } = buildConditions(filters);
+
+    // whereClause is safe - constructed from parameterized conditions only
+    const countQuery = `SELECT COUNT(*) FROM (${ALL_PHOTOS}) photos ${whereClause}`;
+    const countResult = await db.query(countQuery, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    const dataQuery = `
+      SELECT
+        source, id, photo_url, photo_url_cached, width, height, taken_at,
+        latitude, longitude, venue_id, venue_name, venue_category, city, country,
+        strava_activity_id, activity_name, activity_type
+      FROM (${ALL_PHOTOS}) photos
+      ${whereClause}
+      ORDER BY taken_at DESC, source, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+    const dataResult = await db.query(dataQuery, [...params, limit, offset]);
+
+    return { data: dataResult.rows, total };
+  }
+
+  /**
+   * Count a user's photos per year, ignoring the date range so every year stays selectable
+   * @param {Object} filters - Same as find
+   * @returns {Promise<Array<{year: number, count: number}>>} Newest year first
+   */
+  static async getYearCounts(filters = {}) {
+    const { whereClause, params } = buildConditions(filters, { dates: false });
+
+    const query = `
+      SELECT EXTRACT(YEAR FROM taken_at)::INTEGER AS year, COUNT(*) AS count
+      FROM (${ALL_PHOTOS}) photos
+      ${whereClause}
+      GROUP BY year
+      ORDER BY year DESC
+    `;
+
+    const result = await db.query(query, params);
+    return result.rows.map(row => ({
+      year: row.year,
+      count: parseInt(row.count)
+    }));
+  }
+}
+
+module.exports = Photo;
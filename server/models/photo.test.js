@@ -0,0 +1,84 @@
+jest.mock('../db/connection', () => ({ query: jest.fn() }));
+
+const db = require('../db/connection');
+const Photo = require('./photo');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('Photo.find', () => {
+  test('combines check-in and Strava photos of the user, newest first', async () => {
+    const rows = [{ source: 'checkin', id: 4 }, { source: 'strava', id: 9 }];
+    db.query
+      .mockResolvedValueOnce({ rows: [{ count: '2' }] })
+      .mockResolvedValueOnce({ rows });
+
+    const result = await Photo.find({ userId: 3 });
+
+    expect(result).toEqual({ data: rows, total: 2 });
+    const [countSql, countParams] = db.query.mock.calls[0];
+    expect(countSql).toContain('FROM checkin_photos cp');
+    expect(countSql).toContain('FROM strava_activity_photos sp');
+    expect(countSql).not.toContain('WHERE taken_at');
+    expect(countParams).toEqual([3]);
+
+    const [dataSql, dataParams] = db.query.mock.calls[1];
+    expect(dataSql).toContain('ORDER BY taken_at DESC');
+    expect(dataSql).toContain('LIMIT $2 OFFSET $3');
+    expect(dataParams).toEqual([3, 60, 0]);
+  });
+
+  test('applies date, venue and bounds filters', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    await Photo.find({
+      userId: 3,
+      startDate: '2024-01-01',
+      endDate: '2024-12-31',
+      category: 'Food',
+      country: 'Japan',
+      city: 'Tokyo',
+      search: 'ramen',
+      bounds: '139.5,35.5,140,36',
+      limit: 20,
+      offset: 40
+    });
+
+    const [sql, params] = db.query.mock.calls[1];
+    expect(sql).toContain('taken_at >= $2');
+    expect(sql).toContain('taken_at <= $3');
+    expect(sql).toContain('category_path && $4::text[]');
+    expect(sql).toContain('country = $5');
+    expect(sql).toContain('city = $6');
+    expect(sql).toContain('(venue_name ILIKE $7 OR activity_name ILIKE $7)');
+    expect(sql).toContain('latitude BETWEEN $8 AND $9');
+    expect(sql).toContain('longitude BETWEEN $10 AND $11');
+    expect(sql).toContain('LIMIT $12 OFFSET $13');
+    expect(params).toEqual([
+      3, '2024-01-01', '2024-12-31', ['Food'], 'Japan', 'Tokyo', '%ramen%',
+      35.5, 36, 139.5, 140, 20, 40
+    ]);
+  });
+
+  test('rejects invalid bounds', async () => {
+    await expect(Photo.find({ userId: 3, bounds: '10,10,5,5' })).rejects.toThrow('Invalid bounds');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('Photo.getYearCounts', () => {
+  test('counts photos per year ignoring the date range', async () => {
+    db.query.mockResolvedValue({ rows: [{ year: 2024, count: '12' }, { year: 2023, count: '3' }] });
+
+    const result = await Photo.getYearCounts({ userId: 3, startDate: '2024-01-01', country: 'Japan' });
+
+    expect(result).toEqual([{ year: 2024, count: 12 }, { year: 2023, count: 3 }]);
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('GROUP BY year');
+    expect(sql).not.toContain('taken_at >=');
+    expect(params).toEqual([3, 'Japan']);
+  });
+});
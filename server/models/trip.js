@@ -0,0 +1,136 @@
+const db = require('../db/connection');
+
+// Columns written per trip by replaceForUser
+const TRIP_COLUMNS = [
+  'user_id', 'start_date', 'end_date', 'started_at', 'ended_at', 'checkin_count',
+  'countries', 'cities', 'top_venues',
+  'min_latitude', 'min_longitude', 'max_latitude', 'max_longitude',
+  'home_city', 'home_country'
+];
+
+// DATE columns are returned as plain YYYY-MM-DD strings, pg would otherwise
+// turn them into Date objects at midnight in the server's timezone
+const TRIP_SELECT = `
+  id, user_id,
+  TO_CHAR(start_date, 'YYYY-MM-DD') as start_date,
+  TO_CHAR(end_date, 'YYYY-MM-DD') as end_date,
+  started_at, ended_at, checkin_count, countries, cities, top_venues,
+  min_latitude, min_longitude, max_latitude, max_longitude,
+  home_city, home_country, created_at
+`;
+
+/**
+ * pg returns DECIMAL as strings, convert bounds back to numbers
+ */
+function formatTrip(row) {
+  const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+  return {
+    ...row,
+    min_latitude: toNumber(row.min_latitude),
+    min_longitude: toNumber(row.min_longitude),
+    max_latitude: toNumber(row.max_latitude),
+    max_longitude: toNumber(row.max_longitude)
+  };
+}
+
+/**
+ * Multi-day trips detected from a user's check-ins (see services/tripDetector.js)
+ */
+class Trip {
+  /**
+   * Replace all of a user's trips with a freshly detected set
+   * Delete and insert run as a single statement so readers never see a partial set.
+   * @param {number} userId
+   * @param {Array} trips - Trip objects from tripDetector.detectTrips
+   * @returns {Promise<number>} Number of trips stored
+   */
+  static async replaceForUser(userId, trips) {
+    if (!trips || trips.length === 0) {
+      await db.query('DELETE FROM trips WHERE user_id = $1', [userId]);
+      return 0;
+    }
+
+    const values = trips.map((trip, index) => {
+      const offset = index * TRIP_COLUMNS.length + 1;
+      const placeholders = TRIP_COLUMNS.map((_, column) => `$${offset + column}`);
+      return `(${placeholders.join(', ')})`;
+    }).join(',');
+
+    const params = trips.flatMap(trip => [
+      userId,
+      trip.start_date,
+      trip.end_date,
+      trip.started_at,
+      trip.ended_at,
+      trip.checkin_count,
+      trip.countries,
+      JSON.stringify(trip.cities),
+      JSON.stringify(trip.top_venues),
+      trip.min_latitude,
+      trip.min_longitude,
+      trip.max_latitude,
+      trip.max_longitude,
+      trip.home_city || null,
+      trip.home_country || null
+    ]);
+
+    // $1 is the first row's user_id
+    const query = `
+      WITH deleted AS (
+        DELETE FROM trips WHERE user_id = $1
+      )
+      INSERT INTO trips (${TRIP_COLUMNS.join(', ')})
+      VALUES ${values}
+    `;
+
+    const result = await db.query(query, params);
+    return result.rowCount;
+  }
+
+  /**
+   * List a user's trips, most recent first
+   * @param {number} userId
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<{data: Array, total: number, limit: number, offset: number}>}
+   */
+  static async findByUser(userId, options = {}) {
+    const limit = parseInt(options.limit, 10) || 50;
+    const offset = parseInt(options.offset, 10) || 0;
+
+    const [dataResult, countResult] = await Promise.all([
+      db.query(
+        `SELECT ${TRIP_SELECT} FROM trips
+         WHERE user_id = $1
+         ORDER BY started_at DESC
+         LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+      ),
+      db.query('SELECT COUNT(*) FROM trips WHERE user_id = $1', [userId])
+    ]);
+
+    return {
+      data: dataResult.rows.map(formatTrip),
+      total: parseInt(countResult.rows[0].count, 10),
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * Find a single trip owned by a user
+   * @param {number} id
+   * @param {number} userId
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id, userId) {
+    const result = await db.query(
+      `SELECT ${TRIP_SELECT} FROM trips WHERE id = $1 AND user_id = $2`,
+      [id, userId]
+    );
+
+    return result.rows[0] ? formatTrip(result.rows[0]) : null;
+  }
+}
+
+module.exports = Trip;
@@ -0,0 +1,82 @@
+jest.mock('../db/connection', () => ({ query: jest.fn() }));
+
+const db = require('../db/connection');
+const Trip = require('./trip');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+const trip = {
+  start_date: '2024-06-01',
+  end_date: '2024-06-04',
+  started_at: new Date('2024-06-01T08:00:00Z'),
+  ended_at: new Date('2024-06-04T18:00:00Z'),
+  checkin_count: 12,
+  countries: ['Sweden'],
+  cities: [{ city: 'Stockholm', country: 'Sweden', checkins: 12 }],
+  top_venues: [{ venue_id: 'v1', venue_name: 'Fotografiska', checkins: 3 }],
+  min_latitude: 59.3,
+  min_longitude: 18.0,
+  max_latitude: 59.4,
+  max_longitude: 18.1,
+  home_city: 'Berlin',
+  home_country: 'Germany'
+};
+
+describe('Trip.replaceForUser', () => {
+  test('deletes and inserts in a single statement', async () => {
+    db.query.mockResolvedValue({ rowCount: 2 });
+
+    const stored = await Trip.replaceForUser(7, [trip, trip]);
+
+    expect(stored).toBe(2);
+    expect(db.query).toHaveBeenCalledTimes(1);
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('DELETE FROM trips WHERE user_id = $1');
+    expect(sql).toContain('INSERT INTO trips');
+    expect(params).toHaveLength(30);
+    expect(params[0]).toBe(7);
+    expect(params[7]).toBe(JSON.stringify(trip.cities));
+    expect(params[15]).toBe(7);
+  });
+
+  test('only deletes when there are no trips', async () => {
+    db.query.mockResolvedValue({ rowCount: 3 });
+
+    const stored = await Trip.replaceForUser(7, []);
+
+    expect(stored).toBe(0);
+    expect(db.query).toHaveBeenCalledWith('DELETE FROM trips WHERE user_id = $1', [7]);
+  });
+});
+
+describe('Trip.findByUser', () => {
+  test('returns paginated trips with numeric bounds', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 1, min_latitude: '59.30000000', max_longitude: null }] })
+      .mockResolvedValueOnce({ rows: [{ count: '1' }] });
+
+    const result = await Trip.findByUser(7, { limit: '10', offset: '20' });
+
+    expect(result).toEqual({
+      data: [{ id: 1, min_latitude: 59.3, min_longitude: null, max_latitude: null, max_longitude: null }],
+      total: 1,
+      limit: 10,
+      offset: 20
+    });
+    expect(db.query.mock.calls[0][1]).toEqual([7, 10, 20]);
+  });
+});
+
+describe('Trip.findById', () => {
+  test('scopes the lookup to the user', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    const result = await Trip.findById(3, 7);
+
+    expect(result).toBeNull();
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('user_id = $2'), [3, 7]);
+  });
+});
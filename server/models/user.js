@@ -106,6 +106,17 @@ class User {
     return result.rows[0];
   }
 
+  /**
+   * Replace the user's secret token, invalidating their current login link
+   * @param {number} id
+   * @returns {Promise<string>} The new secret token
+   */
+  static async rotateSecretToken(id) {
+    const secretToken = crypto.randomBytes(32).toString('hex');
+    await db.query('UPDATE users SET secret_token = $1 WHERE id = $2', [secretToken, id]);
+    return secretToken;
+  }
+
   /**
    * Update last sync timestamp
    * @param {number} id
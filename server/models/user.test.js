@@ -121,6 +121,15 @@ describe('User model', () => {
     });
   });
 
+  describe('rotateSecretToken', () => {
+    it('stores and returns a new random token', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+      const token = await User.rotateSecretToken(1);
+      expect(token).toMatch(/^[0-9a-f]{64}$/);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('SET secret_token = $1'), [token, 1]);
+    });
+  });
+
   describe('getStravaTokens', () => {
     it('returns tokens when found', async () => {
       db.query.mockResolvedValue({ rows: [{ strava_oauth_tokens_encrypted: 'enc_data' }] });
@@ -0,0 +1,205 @@
+const db = require('../db/connection');
+
+const SESSION_COLUMNS = 'id, user_id, access_expires_at, refresh_expires_at, user_agent, ip_address, created_at, last_used_at';
+
+/**
+ * Login sessions, identified by hashes of their tokens (see services/sessionService.js)
+ */
+class UserSession {
+  /**
+   * @param {Object} session
+   * @param {number} session.userId
+   * @param {string} session.accessTokenHash
+   * @param {string} session.refreshTokenHash
+   * @param {Date} session.accessExpiresAt
+   * @param {Date} session.refreshExpiresAt
+   * @param {string} [session.userAgent]
+   * @param {string} [session.ipAddress]
+   * @returns {Promise<Object>}
+   */
+  static async create({ userId, accessTokenHash, refreshTokenHash, accessExpiresAt, refreshExpiresAt, userAgent, ipAddress }) {
+    const query = `
+      INSERT INTO user_sessions (
+        user_id, access_token_hash, refresh_token_hash,
+        access_expires_at, refresh_expires_at, user_agent, ip_address
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING ${SESSION_COLUMNS}
+    `;
+
+    const result = await db.query(query, [
+      userId,
+      accessTokenHash,
+      refreshTokenHash,
+      accessExpiresAt,
+      refreshExpiresAt,
+      userAgent || null,
+      ipAddress || null
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * User of a live session, found by its access token
+   * @param {string} accessTokenHash
+   * @returns {Promise<{user: Object, sessionId: number}|null>}
+   */
+  static async findUserByAccessToken(accessTokenHash) {
+    const query = `
+      SELECT s.id AS session_id, u.*
+      FROM user_sessions s
+      INNER JOIN users u ON u.id = s.user_id
+      WHERE s.access_token_hash = $1
+        AND s.revoked_at IS NULL
+        AND s.access_expires_at > NOW()
+    `;
+
+    const result = await db.query(query, [accessTokenHash]);
+    if (result.rows.length === 0) return null;
+
+    const { session_id: sessionId, ...user } = result.rows[0];
+    return { user, sessionId };
+  }
+
+  /**
+   * Swap a live session's tokens for new ones
+   * Matching on the old refresh token in the same statement means a refresh
+   * token works exactly once. The old one is kept to recognise it if it's
+   * used again (see findRotatedFrom).
+   * @param {string} refreshTokenHash - Hash of the refresh token being used
+   * @param {Object} tokens - { accessTokenHash, refreshTokenHash, accessExpiresAt, refreshExpiresAt }
+   * @returns {Promise<Object|null>} The session, null when the refresh token isn't valid
+   */
+  static async rotate(refreshTokenHash, tokens) {
+    const query = `
+      UPDATE user_sessions SET
+        access_token_hash = $2,
+        refresh_token_hash = $3,
+        access_expires_at = $4,
+        refresh_expires_at = $5,
+        previous_refresh_token_hash = refresh_token_hash,
+        rotated_at = NOW(),
+        last_used_at = NOW()
+      WHERE refresh_token_hash = $1
+        AND revoked_at IS NULL
+        AND refresh_expires_at > NOW()
+      RETURNING ${SESSION_COLUMNS}
+    `;
+
+    const result = await db.query(query, [
+      refreshTokenHash,
+      tokens.accessTokenHash,
+      tokens.refreshTokenHash,
+      tokens.accessExpiresAt,
+      tokens.refreshExpiresAt
+    ]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Live session whose previous refresh token this is
+   * @param {string} refreshTokenHash - Hash of a refresh token that's no longer current
+   * @param {number} graceSeconds - How long after the rotation the token still counts as in flight
+   * @returns {Promise<Object|null>} { id, user_id, within_grace }
+   */
+  static async findRotatedFrom(refreshTokenHash, graceSeconds) {
+    const query = `
+      SELECT id, user_id, rotated_at > NOW() - make_interval(secs => $2) AS within_grace
+      FROM user_sessions
+      WHERE previous_refresh_token_hash = $1
+        AND revoked_at IS NULL
+        AND refresh_expires_at > NOW()
+    `;
+
+    const result = await db.query(query, [refreshTokenHash, graceSeconds]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Give a session a new access token, leaving its refresh token as it is
+   * @param {number} id
+   * @param {Object} tokens - { accessTokenHash, accessExpiresAt }
+   * @returns {Promise<Object|null>} The session, null when it was revoked meanwhile
+   */
+  static async replaceAccessToken(id, { accessTokenHash, accessExpiresAt }) {
+    const query = `
+      UPDATE user_sessions SET
+        access_token_hash = $2,
+        access_expires_at = $3,
+        last_used_at = NOW()
+      WHERE id = $1
+        AND revoked_at IS NULL
+      RETURNING ${SESSION_COLUMNS}
+    `;
+
+    const result = await db.query(query, [id, accessTokenHash, accessExpiresAt]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  static async touch(id) {
+    await db.query('UPDATE user_sessions SET last_used_at = NOW() WHERE id = $1', [id]);
+  }
+
+  /**
+   * Sessions of a user that can still be refreshed, most recently used first
+   * @param {number} userId
+   * @returns {Promise<Array>}
+   */
+  static async findActiveByUserId(userId) {
+    const query = `
+      SELECT ${SESSION_COLUMNS}
+      FROM user_sessions
+      WHERE user_id = $1
+        AND revoked_at IS NULL
+        AND refresh_expires_at > NOW()
+      ORDER BY last_used_at DESC, id DESC
+    `;
+
+    const result = await db.query(query, [userId]);
+    return result.rows;
+  }
+
+  /**
+   * Revoke one of the user's sessions
+   * @param {number} id
+   * @param {number} userId
+   * @returns {Promise<boolean>} False when the user has no such active session
+   */
+  static async revoke(id, userId) {
+    const result = await db.query(`
+      UPDATE user_sessions SET revoked_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+    `, [id, userId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Revoke all of the user's sessions
+   * @param {number} userId
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  static async revokeAllForUser(userId) {
+    const result = await db.query(`
+      UPDATE user_sessions SET revoked_at = NOW()
+      WHERE user_id = $1 AND revoked_at IS NULL
+    `, [userId]);
+    return result.rowCount;
+  }
+
+  /**
+   * Delete sessions that can't be used anymore
+   * @returns {Promise<number>} Number of sessions deleted
+   */
+  static async deleteExpired() {
+    const result = await db.query(`
+      DELETE FROM user_sessions
+      WHERE refresh_expires_at < NOW() OR revoked_at IS NOT NULL
+    `);
+    return result.rowCount;
+  }
+}
+
+module.exports = UserSession;
@@ -0,0 +1,151 @@
+jest.mock('../db/connection', () => ({ query: jest.fn() }));
+
+const db = require('../db/connection');
+const UserSession = require('./userSession');
+
+const tokens = {
+  accessTokenHash: 'a'.repeat(64),
+  refreshTokenHash: 'b'.repeat(64),
+  accessExpiresAt: new Date('2024-03-01T10:00:00.000Z'),
+  refreshExpiresAt: new Date('2024-03-31T09:00:00.000Z')
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('UserSession.create', () => {
+  test('stores the token hashes, never returning them', async () => {
+    const row = { id: 7, user_id: 3 };
+    db.query.mockResolvedValue({ rows: [row] });
+
+    const session = await UserSession.create({ userId: 3, ...tokens, userAgent: 'Firefox', ipAddress: '::1' });
+
+    expect(session).toBe(row);
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO user_sessions');
+    expect(sql).not.toMatch(/RETURNING[^;]*token_hash/);
+    expect(params).toEqual([3, tokens.accessTokenHash, tokens.refreshTokenHash, tokens.accessExpiresAt, tokens.refreshExpiresAt, 'Firefox', '::1']);
+  });
+});
+
+describe('UserSession.findUserByAccessToken', () => {
+  test('returns the user and session id of a live session', async () => {
+    db.query.mockResolvedValue({ rows: [{ session_id: 7, id: 3, display_name: 'Test User' }] });
+
+    const result = await UserSession.findUserByAccessToken(tokens.accessTokenHash);
+
+    expect(result).toEqual({ user: { id: 3, display_name: 'Test User' }, sessionId: 7 });
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('s.revoked_at IS NULL');
+    expect(sql).toContain('s.access_expires_at > NOW()');
+    expect(params).toEqual([tokens.accessTokenHash]);
+  });
+
+  test('returns null for unknown tokens', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    expect(await UserSession.findUserByAccessToken(tokens.accessTokenHash)).toBeNull();
+  });
+});
+
+describe('UserSession.rotate', () => {
+  test('replaces the tokens of the session matching the old refresh token', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 7 }] });
+
+    expect(await UserSession.rotate('c'.repeat(64), tokens)).toEqual({ id: 7 });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('WHERE refresh_token_hash = $1');
+    expect(sql).toContain('refresh_expires_at > NOW()');
+    expect(sql).toContain('previous_refresh_token_hash = refresh_token_hash');
+    expect(params).toEqual(['c'.repeat(64), tokens.accessTokenHash, tokens.refreshTokenHash, tokens.accessExpiresAt, tokens.refreshExpiresAt]);
+  });
+
+  test('returns null for used or expired refresh tokens', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    expect(await UserSession.rotate('c'.repeat(64), tokens)).toBeNull();
+  });
+});
+
+describe('UserSession.findRotatedFrom', () => {
+  test('finds the live session a refresh token was rotated away from', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 7, user_id: 3, within_grace: true }] });
+
+    expect(await UserSession.findRotatedFrom('c'.repeat(64), 30)).toEqual({ id: 7, user_id: 3, within_grace: true });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('WHERE previous_refresh_token_hash = $1');
+    expect(sql).toContain('revoked_at IS NULL');
+    expect(params).toEqual(['c'.repeat(64), 30]);
+  });
+
+  test('returns null for unknown refresh tokens', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    expect(await UserSession.findRotatedFrom('c'.repeat(64), 30)).toBeNull();
+  });
+});
+
+describe('UserSession.replaceAccessToken', () => {
+  test('replaces only the access token of a live session', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 7 }] });
+
+    expect(await UserSession.replaceAccessToken(7, tokens)).toEqual({ id: 7 });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).not.toContain('refresh_token_hash');
+    expect(sql).toContain('revoked_at IS NULL');
+    expect(params).toEqual([7, tokens.accessTokenHash, tokens.accessExpiresAt]);
+  });
+});
+
+describe('UserSession.findActiveByUserId', () => {
+  test('lists sessions that can still be refreshed', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 7 }] });
+
+    expect(await UserSession.findActiveByUserId(3)).toEqual([{ id: 7 }]);
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('revoked_at IS NULL');
+    expect(sql).toContain('ORDER BY last_used_at DESC');
+    expect(params).toEqual([3]);
+  });
+});
+
+describe('UserSession.revoke', () => {
+  test('scopes the revocation to the user', async () => {
+    db.query.mockResolvedValue({ rowCount: 1 });
+
+    expect(await UserSession.revoke(7, 3)).toBe(true);
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('SET revoked_at = NOW()');
+    expect(params).toEqual([7, 3]);
+  });
+
+  test('returns false when nothing was revoked', async () => {
+    db.query.mockResolvedValue({ rowCount: 0 });
+
+    expect(await UserSession.revoke(7, 3)).toBe(false);
+  });
+});
+
+describe('UserSession.revokeAllForUser', () => {
+  test('returns the number of revoked sessions', async () => {
+    db.query.mockResolvedValue({ rowCount: 4 });
+
+    expect(await UserSession.revokeAllForUser(3)).toBe(4);
+    expect(db.query.mock.calls[0][1]).toEqual([3]);
+  });
+});
+
+describe('UserSession.deleteExpired', () => {
+  test('deletes expired and revoked sessions', async () => {
+    db.query.mockResolvedValue({ rowCount: 2 });
+
+    expect(await UserSession.deleteExpired()).toBe(2);
+    expect(db.query.mock.calls[0][0]).toContain('refresh_expires_at < NOW() OR revoked_at IS NOT NULL');
+  });
+});
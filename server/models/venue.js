@@ -0,0 +1,197 @@
+const db = require('../db/connection');
+
+// Default search radius and size of the nearby venues list
+const NEARBY_RADIUS_METERS = 1000;
+const NEARBY_LIMIT = 10;
+
+const VENUE_SELECT = `
+  v.id, v.user_id, v.venue_id, v.name, v.category, v.category_id, v.category_hierarchy,
+  v.address, v.city, v.country, v.latitude, v.longitude,
+  v.first_visit_at, v.last_visit_at, v.visit_count
+`;
+
+/**
+ * pg returns DECIMAL as strings, convert coordinates back to numbers
+ */
+function formatVenue(row) {
+  const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+  const venue = {
+    ...row,
+    latitude: toNumber(row.latitude),
+    longitude: toNumber(row.longitude)
+  };
+
+  if (row.distance_meters !== undefined) {
+    venue.distance_meters = Math.round(toNumber(row.distance_meters));
+  }
+
+  return venue;
+}
+
+/**
+ * Venues a user has checked in at, one row per Foursquare venue_id
+ * Visit aggregates are derived from the checkins table.
+ */
+class Venue {
+  /**
+   * Recompute the venues of imported check-ins from the user's check-in history
+   * Aggregates are read back from checkins, so check-ins skipped as duplicates
+   * aren't counted twice. Address and category id aren't stored on check-ins
+   * and are taken from the imported rows when present.
+   * @param {number} userId
+   * @param {Array} checkins - Imported check-ins ({ venue_id, venue_address?, venue_category_id? })
+   * @returns {Promise<number>} Number of venues refreshed
+   */
+  static async refreshFromCheckins(userId, checkins) {
+    const details = new Map();
+    for (const checkin of checkins || []) {
+      if (!checkin.venue_id) continue;
+
+      const previous = details.get(checkin.venue_id) || {};
+      details.set(checkin.venue_id, {
+        address: checkin.venue_address || previous.address || null,
+        category_id: checkin.venue_category_id || previous.category_id || null
+      });
+    }
+
+    if (details.size === 0) {
+      return 0;
+    }
+
+    // Latest check-in wins for name, category and place. The stored hierarchy
+    // is kept unless the category itself changed.
+    const upsertQuery = `
+      INSERT INTO venues (
+        user_id, venue_id, name, category, category_hierarchy, city, country,
+        latitude, longitude, first_visit_at, last_visit_at, visit_count
+      )
+      SELECT
+        user_id,
+        venue_id,
+        (ARRAY_AGG(venue_name ORDER BY checkin_date DESC))[1],
+        (ARRAY_AGG(venue_category ORDER BY checkin_date DESC))[1],
+        ARRAY_REMOVE(ARRAY[(ARRAY_AGG(venue_category ORDER BY checkin_date DESC))[1]], NULL),
+        (ARRAY_AGG(city ORDER BY checkin_date DESC))[1],
+        (ARRAY_AGG(country ORDER BY checkin_date DESC))[1],
+        (ARRAY_AGG(latitude ORDER BY checkin_date DESC))[1],
+        (ARRAY_AGG(longitude ORDER BY checkin_date DESC))[1],
+        MIN(checkin_date),
+        MAX(checkin_date),
+        COUNT(*)
+      FROM checkins
+      WHERE user_id = $1 AND venue_id = ANY($2)
+      GROUP BY user_id, venue_id
+      ON CONFLICT (user_id, venue_id) DO UPDATE SET
+        name = EXCLUDED.name,
+        category_hierarchy = CASE
+          WHEN venues.category IS DISTINCT FROM EXCLUDED.category THEN EXCLUDED.category_hierarchy
+          ELSE venues.category_hierarchy
+        END,
+        category = EXCLUDED.category,
+        city = EXCLUDED.city,
+        country = EXCLUDED.country,
+        latitude = EXCLUDED.latitude,
+        longitude = EXCLUDED.longitude,
+        first_visit_at = EXCLUDED.first_visit_at,
+        last_visit_at = EXCLUDED.last_visit_at,
+        visit_count = EXCLUDED.visit_count,
+        updated_at = NOW()
+    `;
+
+    const result = await db.query(upsertQuery, [userId, [...details.keys()]]);
+
+    const withDetails = [...details.entries()]
+      .filter(([, detail]) => detail.address || detail.category_id)
+      .map(([venueId, detail]) => ({ venue_id: venueId, ...detail }));
+
+    if (withDetails.length > 0) {
+      const detailsQuery = `
+        UPDATE venues v SET
+          address = COALESCE(d.address, v.address),
+          category_id = COALESCE(d.category_id, v.category_id),
+          updated_at = NOW()
+        FROM jsonb_to_recordset($2::jsonb) AS d(venue_id TEXT, address TEXT, category_id TEXT)
+        WHERE v.user_id = $1 AND v.venue_id = d.venue_id
+      `;
+      await db.query(detailsQuery, [userId, JSON.stringify(withDetails)]);
+    }
+
+    return result.rowCount;
+  }
+
+  /**
+   * Set the category hierarchy of a user's venues from the category taxonomy,
+   * matching by category id or, for venues without one, by category name
+   * @param {number} userId
+   * @returns {Promise<number>} Number of venues updated
+   */
+  static async assignCategoryHierarchy(userId) {
+    const query = `
+      UPDATE venues v SET
+        category_id = vc.id,
+        category_hierarchy = vc.path,
+        updated_at = NOW()
+      FROM venue_categories vc
+      WHERE v.user_id = $1
+        AND (vc.id = v.category_id OR (v.category_id IS NULL AND vc.name = v.category))
+        AND v.category_hierarchy IS DISTINCT FROM vc.path
+    `;
+
+    const result = await db.query(query, [userId]);
+    return result.rowCount;
+  }
+
+  /**
+   * Get a venue by its Foursquare id, with the user's rating from data exports
+   * @param {string} venueId - Foursquare venue id
+   * @param {number} userId
+   * @returns {Promise<Object|null>}
+   */
+  static async findByVenueId(venueId, userId) {
+    const query = `
+      SELECT ${VENUE_SELECT}, r.rating
+      FROM venues v
+      LEFT JOIN venue_ratings r ON r.user_id = v.user_id AND r.venue_id = v.venue_id
+      WHERE v.user_id = $1 AND v.venue_id = $2
+    `;
+
+    const result = await db.query(query, [userId, venueId]);
+    return result.rows[0] ? formatVenue(result.rows[0]) : null;
+  }
+
+  /**
+   * Other venues the user has visited near a venue, closest first
+   * @param {Object} venue - Venue with venue_id, latitude and longitude
+   * @param {number} userId
+   * @param {Object} [options]
+   * @param {number} [options.radiusMeters=1000]
+   * @param {number} [options.limit=10]
+   * @returns {Promise<Array>} Venues with distance_meters
+   */
+  static async findNearby(venue, userId, { radiusMeters = NEARBY_RADIUS_METERS, limit = NEARBY_LIMIT } = {}) {
+    if (venue.latitude === null || venue.longitude === null) {
+      return [];
+    }
+
+    const query = `
+      WITH origin AS (
+        SELECT ST_SetSRID(ST_MakePoint($3, $2), 4326)::geography AS location
+      )
+      SELECT ${VENUE_SELECT}, ST_Distance(v.location, origin.location) AS distance_meters
+      FROM venues v, origin
+      WHERE v.user_id = $1
+        AND v.venue_id <> $4
+        AND ST_DWithin(v.location, origin.location, $5)
+      ORDER BY distance_meters, v.visit_count DESC
+      LIMIT $6
+    `;
+
+    const result = await db.query(query, [
+      userId, venue.latitude, venue.longitude, venue.venue_id, radiusMeters, limit
+    ]);
+    return result.rows.map(formatVenue);
+  }
+}
+
+module.exports = Venue;
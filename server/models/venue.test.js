@@ -0,0 +1,106 @@
+jest.mock('../db/connection', () => ({ query: jest.fn() }));
+
+const db = require('../db/connection');
+const Venue = require('./venue');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('Venue.refreshFromCheckins', () => {
+  test('recomputes each venue once and stores address and category id', async () => {
+    db.query.mockResolvedValue({ rowCount: 2 });
+
+    const refreshed = await Venue.refreshFromCheckins(7, [
+      { venue_id: 'v1', venue_address: 'Kurfürstenstraße 58', venue_category_id: 'cat-cafe' },
+      { venue_id: 'v1', venue_address: null, venue_category_id: null },
+      { venue_id: 'v2' },
+      { venue_id: null }
+    ]);
+
+    expect(refreshed).toBe(2);
+    expect(db.query).toHaveBeenCalledTimes(2);
+
+    const [upsertSql, upsertParams] = db.query.mock.calls[0];
+    expect(upsertSql).toContain('INSERT INTO venues');
+    expect(upsertSql).toContain('ON CONFLICT (user_id, venue_id) DO UPDATE');
+    expect(upsertParams).toEqual([7, ['v1', 'v2']]);
+
+    const [detailsSql, detailsParams] = db.query.mock.calls[1];
+    expect(detailsSql).toContain('UPDATE venues');
+    expect(detailsParams[0]).toBe(7);
+    expect(JSON.parse(detailsParams[1])).toEqual([
+      { venue_id: 'v1', address: 'Kurfürstenstraße 58', category_id: 'cat-cafe' }
+    ]);
+  });
+
+  test('skips the details update when no check-in carries details', async () => {
+    db.query.mockResolvedValue({ rowCount: 1 });
+
+    await Venue.refreshFromCheckins(7, [{ venue_id: 'v1' }]);
+
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('does nothing without venue ids', async () => {
+    expect(await Venue.refreshFromCheckins(7, [{ venue_id: null }])).toBe(0);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('Venue.assignCategoryHierarchy', () => {
+  test('updates venues from the category taxonomy by id or name', async () => {
+    db.query.mockResolvedValue({ rowCount: 4 });
+
+    const updated = await Venue.assignCategoryHierarchy(7);
+
+    expect(updated).toBe(4);
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('FROM venue_categories vc');
+    expect(sql).toContain('vc.id = v.category_id OR (v.category_id IS NULL AND vc.name = v.category)');
+    expect(params).toEqual([7]);
+  });
+});
+
+describe('Venue.findByVenueId', () => {
+  test('returns the venue with its rating and numeric coordinates', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [{ venue_id: 'v1', name: 'Café Einstein', latitude: '52.50650000', longitude: '13.35140000', rating: 'like' }]
+    });
+
+    const venue = await Venue.findByVenueId('v1', 7);
+
+    expect(venue).toEqual({ venue_id: 'v1', name: 'Café Einstein', latitude: 52.5065, longitude: 13.3514, rating: 'like' });
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('LEFT JOIN venue_ratings');
+    expect(params).toEqual([7, 'v1']);
+  });
+
+  test('returns null when the user has no such venue', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    expect(await Venue.findByVenueId('missing', 7)).toBeNull();
+  });
+});
+
+describe('Venue.findNearby', () => {
+  const venue = { venue_id: 'v1', latitude: 52.5065, longitude: 13.3514 };
+
+  test('searches around the venue, excluding it, and rounds distances', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [{ venue_id: 'v2', latitude: '52.50700000', longitude: '13.35200000', distance_meters: 64.7 }]
+    });
+
+    const nearby = await Venue.findNearby(venue, 7, { radiusMeters: 500, limit: 5 });
+
+    expect(nearby).toEqual([{ venue_id: 'v2', latitude: 52.507, longitude: 13.352, distance_meters: 65 }]);
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('ST_DWithin');
+    expect(params).toEqual([7, 52.5065, 13.3514, 'v1', 500, 5]);
+  });
+
+  test('returns no venues for a venue without coordinates', async () => {
+    expect(await Venue.findNearby({ venue_id: 'v1', latitude: null, longitude: null }, 7)).toEqual([]);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+const db = require('../db/connection');
+
+const CATEGORY_COLUMNS = ['id', 'name', 'plural_name', 'parent_id', 'depth', 'path'];
+
+/**
+ * Local copy of the Foursquare venue category tree (see services/categoryTaxonomy.js)
+ * Shared by all users, unlike the other models.
+ */
+class VenueCategory {
+  /**
+   * Insert or update categories, keyed by Foursquare category id
+   * @param {Array} categories - [{ id, name, plural_name, parent_id, depth, path }]
+   * @returns {Promise<number>} Number of categories stored
+   */
+  static async upsertAll(categories) {
+    if (!categories || categories.length === 0) {
+      return 0;
+    }
+
+    const values = categories.map((_, index) => {
+      const offset = index * CATEGORY_COLUMNS.length + 1;
+      const placeholders = CATEGORY_COLUMNS.map((__, column) => `$${offset + column}`);
+      return `(${placeholders.join(', ')})`;
+    }).join(',');
+
+    const params = categories.flatMap(category => [
+      category.id,
+      category.name,
+      category.plural_name || null,
+      category.parent_id || null,
+      category.depth,
+      category.path
+    ]);
+
+    const query = `
+      INSERT INTO venue_categories (${CATEGORY_COLUMNS.join(', ')})
+      VALUES ${values}
+      ON CONFLICT (id) DO UPDATE SET
+        name = EXCLUDED.name,
+        plural_name = EXCLUDED.plural_name,
+        parent_id = EXCLUDED.parent_id,
+        depth = EXCLUDED.depth,
+        path = EXCLUDED.path,
+        updated_at = NOW()
+    `;
+
+    const result = await db.query(query, params);
+    return result.rowCount;
+  }
+
+  /**
+   * How complete and how recent the stored taxonomy is
+   * @returns {Promise<{subcategoryCount: number, refreshedAt: Date|null}>}
+   */
+  static async getRefreshStatus() {
+    const result = await db.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE depth > 0) as subcategory_count,
+        MAX(updated_at) as refreshed_at
+      FROM venue_categories
+    `);
+
+    const row = result.rows[0];
+    return {
+      subcategoryCount: parseInt(row.subcategory_count, 10),
+      refreshedAt: row.refreshed_at
+    };
+  }
+}
+
+module.exports = VenueCategory;
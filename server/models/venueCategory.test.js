@@ -0,0 +1,43 @@
+jest.mock('../db/connection', () => ({ query: jest.fn() }));
+
+const db = require('../db/connection');
+const VenueCategory = require('./venueCategory');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('VenueCategory.upsertAll', () => {
+  test('upserts all categories in one statement', async () => {
+    db.query.mockResolvedValue({ rowCount: 2 });
+
+    const stored = await VenueCategory.upsertAll([
+      { id: 'food', name: 'Food', plural_name: 'Food', parent_id: null, depth: 0, path: ['Food'] },
+      { id: 'ramen', name: 'Ramen Restaurant', parent_id: 'food', depth: 1, path: ['Food', 'Ramen Restaurant'] }
+    ]);
+
+    expect(stored).toBe(2);
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO venue_categories');
+    expect(sql).toContain('($1, $2, $3, $4, $5, $6),($7, $8, $9, $10, $11, $12)');
+    expect(sql).toContain('ON CONFLICT (id) DO UPDATE');
+    expect(params).toEqual([
+      'food', 'Food', 'Food', null, 0, ['Food'],
+      'ramen', 'Ramen Restaurant', null, 'food', 1, ['Food', 'Ramen Restaurant']
+    ]);
+  });
+
+  test('skips the query for an empty list', async () => {
+    expect(await VenueCategory.upsertAll([])).toBe(0);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('VenueCategory.getRefreshStatus', () => {
+  test('returns the subcategory count and last refresh', async () => {
+    const refreshedAt = new Date('2025-03-01T00:00:00Z');
+    db.query.mockResolvedValue({ rows: [{ subcategory_count: '912', refreshed_at: refreshedAt }] });
+
+    expect(await VenueCategory.getRefreshStatus()).toEqual({ subcategoryCount: 912, refreshedAt });
+  });
+});
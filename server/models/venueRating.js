@@ -0,0 +1,51 @@
+const db = require('../db/connection');
+
+const RATING_COLUMNS = ['user_id', 'venue_id', 'venue_name', 'rating'];
+
+/**
+ * Venue likes/okays/dislikes from Foursquare data exports
+ */
+class VenueRating {
+  /**
+   * Insert or update ratings, the latest upload wins
+   * @param {number} userId
+   * @param {Array} ratings - [{ venue_id, venue_name, rating }] with rating 'like', 'okay' or 'dislike'
+   * @returns {Promise<number>} Number of ratings stored
+   */
+  static async bulkUpsert(userId, ratings) {
+    if (!ratings || ratings.length === 0) {
+      return 0;
+    }
+
+    // A venue can only be updated once per statement, keep its last rating
+    const byVenue = new Map(ratings.map(rating => [rating.venue_id, rating]));
+    const unique = [...byVenue.values()];
+
+    const values = unique.map((_, index) => {
+      const offset = index * RATING_COLUMNS.length + 1;
+      const placeholders = RATING_COLUMNS.map((__, column) => `$${offset + column}`);
+      return `(${placeholders.join(', ')})`;
+    }).join(',');
+
+    const params = unique.flatMap(rating => [
+      userId,
+      rating.venue_id,
+      rating.venue_name || null,
+      rating.rating
+    ]);
+
+    const query = `
+      INSERT INTO venue_ratings (${RATING_COLUMNS.join(', ')})
+      VALUES ${values}
+      ON CONFLICT (user_id, venue_id) DO UPDATE SET
+        venue_name = COALESCE(EXCLUDED.venue_name, venue_ratings.venue_name),
+        rating = EXCLUDED.rating,
+        updated_at = NOW()
+    `;
+
+    const result = await db.query(query, params);
+    return result.rowCount;
+  }
+}
+
+module.exports = VenueRating;
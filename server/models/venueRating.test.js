@@ -0,0 +1,30 @@
+jest.mock('../db/connection', () => ({ query: jest.fn() }));
+
+const db = require('../db/connection');
+const VenueRating = require('./venueRating');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('VenueRating.bulkUpsert', () => {
+  test('returns 0 without querying for no ratings', async () => {
+    expect(await VenueRating.bulkUpsert(7, [])).toBe(0);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('upserts one row per venue, keeping the last rating', async () => {
+    db.query.mockResolvedValue({ rowCount: 2 });
+
+    const stored = await VenueRating.bulkUpsert(7, [
+      { venue_id: 'v1', venue_name: 'Café', rating: 'like' },
+      { venue_id: 'v2', venue_name: null, rating: 'dislike' },
+      { venue_id: 'v1', venue_name: 'Café', rating: 'okay' }
+    ]);
+
+    expect(stored).toBe(2);
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('ON CONFLICT (user_id, venue_id) DO UPDATE');
+    expect(params).toEqual([7, 'v1', 'Café', 'okay', 7, 'v2', null, 'dislike']);
+  });
+});
@@ -0,0 +1,159 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const AccountExport = require('../models/accountExport');
+const accountService = require('../services/accountService');
+const { getQueue } = require('../jobs/queue');
+const { signUrl } = require('../services/urlSigner');
+const { authenticateToken, authenticateSignedUrl } = require('../middleware/auth');
+
+const router = express.Router();
+
+const IN_PROGRESS = ['pending', 'running'];
+
+function isExpired(accountExport) {
+  return accountExport.status === 'expired' ||
+    (accountExport.status === 'completed' && new Date(accountExport.expires_at) <= new Date());
+}
+
+function formatExport(accountExport) {
+  const status = isExpired(accountExport) ? 'expired' : accountExport.status;
+
+  return {
+    id: accountExport.id,
+    status,
+    sizeBytes: accountExport.size_bytes !== null && accountExport.size_bytes !== undefined
+      ? Number(accountExport.size_bytes)
+      : null,
+    errorMessage: accountExport.error_message,
+    createdAt: accountExport.created_at,
+    startedAt: accountExport.started_at,
+    completedAt: accountExport.completed_at,
+    expiresAt: accountExport.expires_at,
+    // Signed, since the browser opens it as a plain link
+    downloadUrl: status === 'completed'
+      ? signUrl(`/api/account/export/${accountExport.id}/download`, accountExport.user_id)
+      : null
+  };
+}
+
+/**
+ * Create an export and queue the job that builds it
+ */
+async function startExport(userId) {
+  const accountExport = await AccountExport.create(userId);
+  await getQueue().send('export-account', { userId, exportId: accountExport.id });
+  console.log(`[ACCOUNT] Queued export ${accountExport.id} for user ${userId}`);
+  return accountExport;
+}
+
+// GET /api/account/export
+// Requires authentication - the user's latest data export. Starts one when
+// the user has none or the last one expired, poll until it's completed.
+router.get('/export', authenticateToken, async (req, res, next) => {
+  try {
+    const latest = await AccountExport.findLatestForUser(req.user.id);
+
+    if (latest && !isExpired(latest)) {
+      return res.json(formatExport(latest));
+    }
+
+    const accountExport = await startExport(req.user.id);
+    res.status(202).json(formatExport(accountExport));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/account/export
+// Requires authentication - starts a fresh data export, unless one is
+// already in progress
+router.post('/export', authenticateToken, async (req, res, next) => {
+  try {
+    const latest = await AccountExport.findLatestForUser(req.user.id);
+
+    if (latest && IN_PROGRESS.includes(latest.status)) {
+      return res.status(202).json(formatExport(latest));
+    }
+
+    const accountExport = await startExport(req.user.id);
+    res.status(202).json(formatExport(accountExport));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/account/export/:id/download
+// Requires authentication (or the signed downloadUrl, for download links) -
+// the ZIP of a completed export
+router.get(
+  '/export/:id/download',
+  authenticateSignedUrl,
+  [param('id').isInt({ min: 1 })],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const accountExport = await AccountExport.findByIdForUser(parseInt(req.params.id, 10), req.user.id);
+      if (!accountExport) {
+        return res.status(404).json({ error: 'Export not found' });
+      }
+
+      if (isExpired(accountExport)) {
+        return res.status(410).json({ error: 'Export has expired, request a new one' });
+      }
+
+      if (accountExport.status !== 'completed') {
+        return res.status(409).json({ error: 'Export is not ready yet', status: accountExport.status });
+      }
+
+      const stream = await accountService.openExport(accountExport);
+      if (!stream) {
+        return res.status(404).json({ error: 'Export file not found' });
+      }
+
+      const date = new Date(accountExport.completed_at).toISOString().split('T')[0];
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="swarm-visualizer-account-${date}.zip"`,
+        'Cache-Control': 'no-store'
+      });
+      if (accountExport.size_bytes) {
+        res.set('Content-Length', String(accountExport.size_bytes));
+      }
+
+      stream.on('error', next);
+      stream.pipe(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/account
+// Requires authentication - permanently deletes the user, their data and
+// cached photos, and revokes Strava access. The body must confirm with
+// { "confirm": "DELETE" }.
+router.delete(
+  '/',
+  authenticateToken,
+  [body('confirm').equals('DELETE').withMessage('Confirm the deletion with "DELETE"')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { stravaRevoked } = await accountService.deleteAccount(req.user.id);
+
+      res.json({ success: true, stravaRevoked });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
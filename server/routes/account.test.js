@@ -0,0 +1,219 @@
+const { Readable } = require('stream');
+const request = require('supertest');
+jest.mock('../models/user');
+jest.mock('../models/accountExport');
+jest.mock('../services/accountService', () => ({
+  openExport: jest.fn(),
+  deleteAccount: jest.fn()
+}));
+jest.mock('../services/geminiSessionManager', () => ({ startCleanupInterval: jest.fn() }));
+jest.mock('../jobs/queue', () => {
+  const queue = { work: jest.fn(), send: jest.fn() };
+  return {
+    initQueue: jest.fn().mockResolvedValue(undefined),
+    getQueue: jest.fn().mockReturnValue(queue),
+    stopQueue: jest.fn()
+  };
+});
+
+const User = require('../models/user');
+const AccountExport = require('../models/accountExport');
+const accountService = require('../services/accountService');
+const { getQueue } = require('../jobs/queue');
+const { signUrl } = require('../services/urlSigner');
+const app = require('../server');
+
+const mockToken = 'test-token';
+const mockUser = { id: 1, display_name: 'Test User' };
+
+const completedExport = {
+  id: 4,
+  user_id: 1,
+  status: 'completed',
+  storage_key: '1/exports/4',
+  size_bytes: '2048',
+  created_at: '2024-03-01T09:00:00.000Z',
+  completed_at: '2024-03-01T09:01:00.000Z',
+  expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  User.findBySecretToken.mockResolvedValue(mockUser);
+  User.update.mockResolvedValue({});
+  AccountExport.create.mockResolvedValue({ id: 5, user_id: 1, status: 'pending' });
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('GET /api/account/export', () => {
+  test('returns the latest export with a download link', async () => {
+    AccountExport.findLatestForUser.mockResolvedValue(completedExport);
+
+    const res = await request(app)
+      .get('/api/account/export')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      id: 4,
+      status: 'completed',
+      sizeBytes: 2048,
+      downloadUrl: expect.stringMatching(/^\/api\/account\/export\/4\/download\?user=1&expires=\d+&signature=/)
+    });
+    expect(AccountExport.create).not.toHaveBeenCalled();
+  });
+
+  test('starts an export when the user has none', async () => {
+    AccountExport.findLatestForUser.mockResolvedValue(null);
+
+    const res = await request(app)
+      .get('/api/account/export')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({ id: 5, status: 'pending', downloadUrl: null });
+    expect(AccountExport.create).toHaveBeenCalledWith(1);
+    expect(getQueue().send).toHaveBeenCalledWith('export-account', { userId: 1, exportId: 5 });
+  });
+
+  test('starts a new export once the last one expired', async () => {
+    AccountExport.findLatestForUser.mockResolvedValue({ ...completedExport, expires_at: '2024-03-08T09:01:00.000Z' });
+
+    const res = await request(app)
+      .get('/api/account/export')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(202);
+    expect(AccountExport.create).toHaveBeenCalledWith(1);
+  });
+
+  test('returns 401 without authentication', async () => {
+    const res = await request(app).get('/api/account/export');
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('POST /api/account/export', () => {
+  test('starts a fresh export', async () => {
+    AccountExport.findLatestForUser.mockResolvedValue(completedExport);
+
+    const res = await request(app)
+      .post('/api/account/export')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(202);
+    expect(res.body.id).toBe(5);
+    expect(getQueue().send).toHaveBeenCalledWith('export-account', { userId: 1, exportId: 5 });
+  });
+
+  test('returns the export already in progress', async () => {
+    AccountExport.findLatestForUser.mockResolvedValue({ id: 3, user_id: 1, status: 'running' });
+
+    const res = await request(app)
+      .post('/api/account/export')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({ id: 3, status: 'running' });
+    expect(AccountExport.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/account/export/:id/download', () => {
+  test('streams the ZIP from a signed download link', async () => {
+    User.findById.mockResolvedValue(mockUser);
+    AccountExport.findByIdForUser.mockResolvedValue({ ...completedExport, size_bytes: '3' });
+    accountService.openExport.mockResolvedValue(Readable.from([Buffer.from('zip')]));
+
+    const res = await request(app)
+      .get(signUrl('/api/account/export/4/download', 1))
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="swarm-visualizer-account-2024-03-01.zip"');
+    expect(res.body.toString()).toBe('zip');
+    expect(AccountExport.findByIdForUser).toHaveBeenCalledWith(4, 1);
+    expect(User.findById).toHaveBeenCalledWith(1);
+  });
+
+  test('rejects a link signed for another export', async () => {
+    const signed = signUrl('/api/account/export/3/download', 1);
+
+    const res = await request(app)
+      .get(signed.replace('/export/3/', '/export/4/'));
+
+    expect(res.status).toBe(401);
+    expect(AccountExport.findByIdForUser).not.toHaveBeenCalled();
+  });
+
+  test('returns 410 for an expired export', async () => {
+    AccountExport.findByIdForUser.mockResolvedValue({ ...completedExport, status: 'expired', storage_key: null });
+
+    const res = await request(app)
+      .get('/api/account/export/4/download')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(410);
+    expect(accountService.openExport).not.toHaveBeenCalled();
+  });
+
+  test('returns 409 while the export is running', async () => {
+    AccountExport.findByIdForUser.mockResolvedValue({ id: 4, user_id: 1, status: 'running' });
+
+    const res = await request(app)
+      .get('/api/account/export/4/download')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(409);
+  });
+
+  test('returns 404 for another user\'s export', async () => {
+    AccountExport.findByIdForUser.mockResolvedValue(null);
+
+    const res = await request(app)
+      .get('/api/account/export/4/download')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('DELETE /api/account', () => {
+  test('deletes the account once confirmed', async () => {
+    accountService.deleteAccount.mockResolvedValue({ stravaRevoked: true });
+
+    const res = await request(app)
+      .delete('/api/account')
+      .set('x-auth-token', mockToken)
+      .send({ confirm: 'DELETE' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, stravaRevoked: true });
+    expect(accountService.deleteAccount).toHaveBeenCalledWith(1);
+  });
+
+  test('requires the confirmation', async () => {
+    const res = await request(app)
+      .delete('/api/account')
+      .set('x-auth-token', mockToken)
+      .send({ confirm: 'yes' });
+
+    expect(res.status).toBe(400);
+    expect(accountService.deleteAccount).not.toHaveBeenCalled();
+  });
+
+  test('returns 401 without authentication', async () => {
+    const res = await request(app).delete('/api/account').send({ confirm: 'DELETE' });
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,42 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const ActivityTrack = require('../models/activityTrack');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// GET /api/activities/tracks
+// Requires authentication - returns the user's Strava/Garmin tracklogs as GeoJSON
+router.get(
+  '/tracks',
+  authenticateToken,
+  [
+    query('startDate').optional().isISO8601().toDate(),
+    query('endDate').optional().isISO8601().toDate(),
+    query('bounds').optional().isString()
+      .matches(/^-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*$/)
+      .withMessage('bounds must be in format: minLng,minLat,maxLng,maxLat'),
+    query('zoom').optional().isInt({ min: 0, max: 20 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 2000 }).toInt()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const filters = {
+        ...req.query,
+        userId: req.user.id
+      };
+
+      const result = await ActivityTrack.find(filters);
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const request = require('supertest');
+jest.mock('../models/user');
+jest.mock('../models/activityTrack');
+jest.mock('../services/geminiSessionManager', () => ({ startCleanupInterval: jest.fn() }));
+jest.mock('../jobs/queue', () => ({
+  initQueue: jest.fn().mockResolvedValue(undefined),
+  getQueue: jest.fn().mockReturnValue({ work: jest.fn(), send: jest.fn() }),
+  stopQueue: jest.fn()
+}));
+
+const User = require('../models/user');
+const ActivityTrack = require('../models/activityTrack');
+const app = require('../server');
+
+const mockToken = 'test-token';
+const mockUser = { id: 1, display_name: 'Test User' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findBySecretToken.mockResolvedValue(mockUser);
+  User.update.mockResolvedValue({});
+});
+
+describe('Activities Routes', () => {
+  describe('GET /api/activities/tracks', () => {
+    test('returns tracks for authenticated user', async () => {
+      const mockTracks = { type: 'FeatureCollection', features: [] };
+      ActivityTrack.find.mockResolvedValue(mockTracks);
+
+      const res = await request(app)
+        .get('/api/activities/tracks')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(mockTracks);
+      expect(ActivityTrack.find).toHaveBeenCalledWith(expect.objectContaining({ userId: 1 }));
+    });
+
+    test('returns 401 without authentication', async () => {
+      const res = await request(app).get('/api/activities/tracks');
+      expect(res.status).toBe(401);
+    });
+
+    test('passes bounds and zoom to model', async () => {
+      ActivityTrack.find.mockResolvedValue({ type: 'FeatureCollection', features: [] });
+
+      await request(app)
+        .get('/api/activities/tracks?bounds=-10,40,10,50&zoom=8')
+        .set('x-auth-token', mockToken);
+
+      expect(ActivityTrack.find).toHaveBeenCalledWith(
+        expect.objectContaining({ bounds: '-10,40,10,50', userId: 1 })
+      );
+    });
+
+    test('returns 400 for invalid bounds format', async () => {
+      const res = await request(app)
+        .get('/api/activities/tracks?bounds=invalid')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toBeDefined();
+    });
+
+    test('returns 400 for invalid zoom (> 20)', async () => {
+      const res = await request(app)
+        .get('/api/activities/tracks?zoom=25')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(400);
+    });
+
+    test('returns 500 on model error', async () => {
+      ActivityTrack.find.mockRejectedValue(new Error('DB error'));
+
+      const res = await request(app)
+        .get('/api/activities/tracks')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(500);
+    });
+  });
+});
@@ -1,12 +1,32 @@
 const express = require('express');
 const router = express.Router();
+const { param, query, validationResult } = require('express-validator');
 const { getQueue } = require('../jobs/queue');
+const ImportJob = require('../models/importJob');
+const adminService = require('../services/adminService');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+// Import jobs that can be cancelled, or retried
+const CANCELLABLE_STATUSES = ['pending', 'running', 'rate_limited'];
+const RETRYABLE_STATUSES = ['failed'];
+
+// Every admin route needs an admin user (users.role = 'admin')
+router.use(authenticateToken, requireAdmin);
+
+/**
+ * Respond 400 with the validation errors, if there are any
+ * @returns {boolean} Whether the request was rejected
+ */
+function rejectInvalid(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ errors: errors.array() });
+  return true;
+}
 
 /**
  * POST /api/admin/trigger-daily-sync
  * Manually trigger the daily sync orchestrator (for testing)
- *
- * Security: Should be protected in production (add auth if needed)
  */
 router.post('/trigger-daily-sync', async (req, res) => {
   try {
@@ -34,4 +54,226 @@ router.post('/trigger-daily-sync', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/users
+ * All users with last login, last sync per source and latest import job per source
+ */
+router.get('/users', async (req, res) => {
+  try {
+    const users = await adminService.listUsers();
+
+    res.json(users.map(user => ({
+      id: user.id,
+      displayName: user.display_name,
+      avatarUrl: user.avatar_url,
+      role: user.role,
+      createdAt: user.created_at,
+      lastLoginAt: user.last_login_at,
+      lastSync: {
+        foursquare: user.last_sync_at,
+        strava: user.last_strava_sync_at,
+        garmin: user.last_garmin_sync_at
+      },
+      stravaConnected: user.strava_connected,
+      checkinCount: user.checkin_count,
+      latestJobs: user.latest_jobs || {}
+    })));
+
+  } catch (error) {
+    console.error('[ADMIN] Failed to list users:', error);
+    res.status(500).json({
+      error: 'Failed to list users',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/jobs
+ * Import job history, newest first
+ * Query: userId, status, limit (max 200), offset
+ */
+router.get(
+  '/jobs',
+  [
+    query('userId').optional().isInt({ min: 1 }),
+    query('status').optional().isIn(['pending', 'running', 'completed', 'failed', 'rate_limited']),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('offset').optional().isInt({ min: 0 })
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const result = await adminService.listImportJobs({
+        userId: req.query.userId ? parseInt(req.query.userId, 10) : undefined,
+        status: req.query.status,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : 50,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : 0
+      });
+
+      res.json({
+        ...result,
+        data: result.data.map(job => ({
+          id: job.id,
+          userId: job.user_id,
+          displayName: job.display_name,
+          dataSource: job.data_source || 'foursquare',
+          status: job.status,
+          totalExpected: job.total_expected,
+          totalImported: job.total_imported,
+          errorMessage: job.error_message,
+          retryAfter: job.retry_after,
+          createdAt: job.created_at,
+          startedAt: job.started_at,
+          completedAt: job.completed_at
+        }))
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Failed to list import jobs:', error);
+      res.status(500).json({
+        error: 'Failed to list import jobs',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/queues
+ * Job counts per pg-boss queue
+ */
+router.get('/queues', async (req, res) => {
+  try {
+    res.json(await adminService.getQueueStates());
+  } catch (error) {
+    console.error('[ADMIN] Failed to get queue states:', error);
+    res.status(500).json({
+      error: 'Failed to get queue states',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/strava-quota
+ * Strava API requests in the last 15 minutes and 24 hours against the rate limits
+ */
+router.get('/strava-quota', async (req, res) => {
+  try {
+    const quota = await adminService.getStravaQuota();
+
+    res.json({
+      limits: quota.limits,
+      totals: quota.totals,
+      users: quota.users.map(row => ({
+        userId: row.user_id,
+        displayName: row.display_name,
+        shortCount: row.short_count,
+        dailyCount: row.daily_count,
+        lastRequestAt: row.last_request_at
+      })),
+      hourly: quota.hourly
+    });
+
+  } catch (error) {
+    console.error('[ADMIN] Failed to get Strava quota:', error);
+    res.status(500).json({
+      error: 'Failed to get Strava quota',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:id/retry
+ * Run a failed Foursquare check-in or Strava import job again
+ */
+router.post(
+  '/jobs/:id/retry',
+  [param('id').isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const job = await ImportJob.findById(parseInt(req.params.id, 10));
+
+      if (!job) {
+        return res.status(404).json({ error: 'Import job not found' });
+      }
+
+      if (!RETRYABLE_STATUSES.includes(job.status)) {
+        return res.status(409).json({
+          error: 'Only failed import jobs can be retried',
+          status: job.status
+        });
+      }
+
+      const { retried, reason } = await adminService.retryImportJob(job);
+
+      if (reason === 'file_import') {
+        return res.status(409).json({
+          error: 'File imports cannot be retried',
+          message: 'The uploaded file has been removed, ask the user to upload it again'
+        });
+      }
+
+      if (!retried) {
+        return res.status(409).json({
+          error: 'The queued job is no longer available',
+          message: 'Start a new sync for the user instead'
+        });
+      }
+
+      res.json({ success: true, jobId: job.id, status: 'pending' });
+
+    } catch (error) {
+      console.error('[ADMIN] Failed to retry import job:', error);
+      res.status(500).json({
+        error: 'Failed to retry import job',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/jobs/:id/cancel
+ * Cancel a pending, running or rate limited import job
+ */
+router.post(
+  '/jobs/:id/cancel',
+  [param('id').isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const job = await ImportJob.findById(parseInt(req.params.id, 10));
+
+      if (!job) {
+        return res.status(404).json({ error: 'Import job not found' });
+      }
+
+      if (!CANCELLABLE_STATUSES.includes(job.status)) {
+        return res.status(409).json({
+          error: 'Only pending, running or rate limited import jobs can be cancelled',
+          status: job.status
+        });
+      }
+
+      const cancelled = await adminService.cancelImportJob(job);
+
+      res.json({ success: true, jobId: cancelled.id, status: cancelled.status });
+
+    } catch (error) {
+      console.error('[ADMIN] Failed to cancel import job:', error);
+      res.status(500).json({
+        error: 'Failed to cancel import job',
+        message: error.message
+      });
+    }
+  }
+);
+
 module.exports = router;
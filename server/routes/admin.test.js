@@ -0,0 +1,242 @@
+const request = require('supertest');
+jest.mock('../models/user');
+jest.mock('../models/importJob');
+jest.mock('../services/adminService', () => ({
+  listUsers: jest.fn(),
+  listImportJobs: jest.fn(),
+  getQueueStates: jest.fn(),
+  getStravaQuota: jest.fn(),
+  retryImportJob: jest.fn(),
+  cancelImportJob: jest.fn()
+}));
+jest.mock('../services/geminiSessionManager', () => ({ startCleanupInterval: jest.fn() }));
+jest.mock('../jobs/queue', () => {
+  const queue = { work: jest.fn(), send: jest.fn() };
+  return {
+    initQueue: jest.fn().mockResolvedValue(undefined),
+    getQueue: jest.fn().mockReturnValue(queue),
+    stopQueue: jest.fn()
+  };
+});
+
+const User = require('../models/user');
+const ImportJob = require('../models/importJob');
+const adminService = require('../services/adminService');
+const { getQueue } = require('../jobs/queue');
+const app = require('../server');
+
+const mockToken = 'test-token';
+const adminUser = { id: 1, display_name: 'Admin', role: 'admin' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  User.findBySecretToken.mockResolvedValue(adminUser);
+  User.update.mockResolvedValue({});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('admin access', () => {
+  test('returns 403 for users without the admin role', async () => {
+    User.findBySecretToken.mockResolvedValue({ id: 2, role: 'user' });
+
+    const res = await request(app)
+      .post('/api/admin/trigger-daily-sync')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(403);
+    expect(getQueue().send).not.toHaveBeenCalled();
+  });
+
+  test('returns 401 without authentication', async () => {
+    const res = await request(app).get('/api/admin/users');
+    expect(res.status).toBe(401);
+  });
+
+  test('lets admins trigger the daily sync', async () => {
+    getQueue().send.mockResolvedValue('job-1');
+
+    const res = await request(app)
+      .post('/api/admin/trigger-daily-sync')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(200);
+    expect(getQueue().send).toHaveBeenCalledWith('daily-sync-orchestrator', {});
+  });
+});
+
+describe('GET /api/admin/users', () => {
+  test('returns users with last sync per source', async () => {
+    adminService.listUsers.mockResolvedValue([{
+      id: 3,
+      display_name: 'Ada',
+      role: 'user',
+      last_login_at: '2024-03-01T09:00:00.000Z',
+      last_sync_at: '2024-03-01T02:00:00.000Z',
+      last_strava_sync_at: null,
+      last_garmin_sync_at: '2024-02-01T02:00:00.000Z',
+      strava_connected: false,
+      checkin_count: 120,
+      latest_jobs: { foursquare: { id: 9, status: 'completed' } }
+    }]);
+
+    const res = await request(app)
+      .get('/api/admin/users')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body[0]).toMatchObject({
+      id: 3,
+      displayName: 'Ada',
+      lastLoginAt: '2024-03-01T09:00:00.000Z',
+      lastSync: { foursquare: '2024-03-01T02:00:00.000Z', strava: null, garmin: '2024-02-01T02:00:00.000Z' },
+      checkinCount: 120,
+      latestJobs: { foursquare: { id: 9, status: 'completed' } }
+    });
+  });
+});
+
+describe('GET /api/admin/jobs', () => {
+  test('passes filters through and maps jobs', async () => {
+    adminService.listImportJobs.mockResolvedValue({
+      data: [{ id: 9, user_id: 3, display_name: 'Ada', data_source: null, status: 'failed', error_message: 'boom' }],
+      total: 1,
+      limit: 20,
+      offset: 0
+    });
+
+    const res = await request(app)
+      .get('/api/admin/jobs?userId=3&status=failed&limit=20')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(200);
+    expect(adminService.listImportJobs).toHaveBeenCalledWith({ userId: 3, status: 'failed', limit: 20, offset: 0 });
+    expect(res.body.data[0]).toMatchObject({ id: 9, userId: 3, dataSource: 'foursquare', errorMessage: 'boom' });
+  });
+
+  test('rejects unknown statuses', async () => {
+    const res = await request(app)
+      .get('/api/admin/jobs?status=exploded')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(400);
+    expect(adminService.listImportJobs).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/admin/queues and /strava-quota', () => {
+  test('return queue states', async () => {
+    adminService.getQueueStates.mockResolvedValue([{ name: 'cache-photos', queued: 1 }]);
+
+    const res = await request(app)
+      .get('/api/admin/queues')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([{ name: 'cache-photos', queued: 1 }]);
+  });
+
+  test('return Strava usage', async () => {
+    adminService.getStravaQuota.mockResolvedValue({
+      limits: { short: 95, daily: 950 },
+      totals: { short: 10, daily: 200 },
+      users: [{ user_id: 3, display_name: 'Ada', short_count: 10, daily_count: 200, last_request_at: null }],
+      hourly: []
+    });
+
+    const res = await request(app)
+      .get('/api/admin/strava-quota')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.users).toEqual([{ userId: 3, displayName: 'Ada', shortCount: 10, dailyCount: 200, lastRequestAt: null }]);
+    expect(res.body.totals).toEqual({ short: 10, daily: 200 });
+  });
+});
+
+describe('POST /api/admin/jobs/:id/retry', () => {
+  test('retries a failed job', async () => {
+    ImportJob.findById.mockResolvedValue({ id: 9, user_id: 3, status: 'failed' });
+    adminService.retryImportJob.mockResolvedValue({ retried: true });
+
+    const res = await request(app)
+      .post('/api/admin/jobs/9/retry')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, jobId: 9, status: 'pending' });
+  });
+
+  test('returns 409 for jobs that did not fail', async () => {
+    ImportJob.findById.mockResolvedValue({ id: 9, user_id: 3, status: 'running' });
+
+    const res = await request(app)
+      .post('/api/admin/jobs/9/retry')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(409);
+    expect(adminService.retryImportJob).not.toHaveBeenCalled();
+  });
+
+  test('returns 409 when the queued job is gone', async () => {
+    ImportJob.findById.mockResolvedValue({ id: 9, user_id: 3, status: 'failed' });
+    adminService.retryImportJob.mockResolvedValue({ retried: false, reason: 'missing' });
+
+    const res = await request(app)
+      .post('/api/admin/jobs/9/retry')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('The queued job is no longer available');
+  });
+
+  test('returns 409 for file imports', async () => {
+    ImportJob.findById.mockResolvedValue({ id: 9, user_id: 3, status: 'failed', data_source: 'garmin' });
+    adminService.retryImportJob.mockResolvedValue({ retried: false, reason: 'file_import' });
+
+    const res = await request(app)
+      .post('/api/admin/jobs/9/retry')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('File imports cannot be retried');
+  });
+
+  test('returns 404 for unknown jobs', async () => {
+    ImportJob.findById.mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/api/admin/jobs/9/retry')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/admin/jobs/:id/cancel', () => {
+  test('cancels a running job', async () => {
+    ImportJob.findById.mockResolvedValue({ id: 9, user_id: 3, status: 'running' });
+    adminService.cancelImportJob.mockResolvedValue({ id: 9, status: 'failed' });
+
+    const res = await request(app)
+      .post('/api/admin/jobs/9/cancel')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, jobId: 9, status: 'failed' });
+  });
+
+  test('returns 409 for finished jobs', async () => {
+    ImportJob.findById.mockResolvedValue({ id: 9, user_id: 3, status: 'completed' });
+
+    const res = await request(app)
+      .post('/api/admin/jobs/9/cancel')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(409);
+    expect(adminService.cancelImportJob).not.toHaveBeenCalled();
+  });
+});
@@ -2,14 +2,73 @@ const express = require('express');
 const router = express.Router();
 const axios = require('axios');
 const User = require('../models/user');
+const sessionService = require('../services/sessionService');
 const { encrypt } = require('../services/encryption');
 const { getUserProfile } = require('../services/foursquare');
+const { authenticateToken, getRequestToken, resolveToken } = require('../middleware/auth');
 
 // Foursquare OAuth credentials (to be set in .env)
 const FOURSQUARE_CLIENT_ID = process.env.FOURSQUARE_CLIENT_ID;
 const FOURSQUARE_CLIENT_SECRET = process.env.FOURSQUARE_CLIENT_SECRET;
 const FOURSQUARE_REDIRECT_URI = process.env.FOURSQUARE_REDIRECT_URI || 'http://localhost:3001/api/auth/callback';
 
+// The refresh token lives in an httpOnly cookie scoped to these routes, so
+// page scripts can't read it and it's never sent anywhere else
+const REFRESH_COOKIE = 'refreshToken';
+
+function refreshCookieOptions() {
+  const production = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: production,
+    // The frontend and API are on different sites in production
+    sameSite: process.env.REFRESH_COOKIE_SAMESITE || (production ? 'none' : 'lax'),
+    path: '/api/auth'
+  };
+}
+
+/**
+ * Hand a new session's refresh token to the browser as a cookie
+ * @param {Object} res
+ * @param {Object} session - { refreshToken, refreshExpiresAt }
+ */
+function setRefreshCookie(res, { refreshToken, refreshExpiresAt }) {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...refreshCookieOptions(),
+    expires: new Date(refreshExpiresAt)
+  });
+}
+
+function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+}
+
+function getRefreshCookie(req) {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === REFRESH_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+/**
+ * Session fields for a response body, leaving out the refresh token (it's in the cookie)
+ */
+function sessionBody({ refreshToken, refreshExpiresAt, ...session }) {
+  return session;
+}
+
+/**
+ * Who a session is started for, shown in the list of sessions
+ */
+function getClientInfo(req) {
+  return {
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null
+  };
+}
+
 /**
  * GET /api/auth/login
  * Redirects to Foursquare OAuth login page
@@ -30,7 +89,9 @@ router.get('/login', (req, res) => {
 /**
  * GET /api/auth/callback
  * Handles Foursquare OAuth callback
- * Exchanges code for access token, creates/updates user, redirects to frontend with magic link
+ * Exchanges code for access token, creates/updates user, starts a session and
+ * redirects to the frontend with the session tokens in the URL fragment, which
+ * never reaches servers or Referer headers
  */
 router.get('/callback', async (req, res) => {
   try {
@@ -80,9 +141,15 @@ router.get('/callback', async (req, res) => {
       });
     }
 
-    // Redirect to frontend with magic link token
+    const session = await sessionService.createSession(user.id, getClientInfo(req));
+    setRefreshCookie(res, session);
+    const fragment = new URLSearchParams({
+      accessToken: session.accessToken,
+      expiresAt: session.expiresAt
+    });
+
     const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
-    res.redirect(`${frontendUrl}/import?token=${user.secret_token}`);
+    res.redirect(`${frontendUrl}/import#${fragment}`);
 
   } catch (error) {
     console.error('OAuth callback error:', error);
@@ -95,11 +162,11 @@ router.get('/callback', async (req, res) => {
 
 /**
  * GET /api/auth/me
- * Returns current user info (requires magic link token)
+ * Returns current user info (requires a session access token)
  */
 router.get('/me', async (req, res) => {
   try {
-    const token = req.query.token || req.headers['x-auth-token'];
+    const token = getRequestToken(req);
 
     if (!token) {
       return res.status(401).json({
@@ -107,20 +174,23 @@ router.get('/me', async (req, res) => {
       });
     }
 
-    const user = await User.findBySecretToken(token);
+    const resolved = await resolveToken(token);
 
-    if (!user) {
+    if (!resolved) {
       return res.status(401).json({
         error: 'Invalid token'
       });
     }
 
+    const { user } = resolved;
+
     // Return user info (without sensitive fields)
     res.json({
       id: user.id,
       displayName: user.display_name,
       avatarUrl: user.avatar_url,
-      lastSyncAt: user.last_sync_at
+      lastSyncAt: user.last_sync_at,
+      isAdmin: user.role === 'admin'
     });
 
   } catch (error) {
@@ -132,4 +202,198 @@ router.get('/me', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/session
+ * Signs in with a login link token (users.secret_token), body: { token }
+ * Returns a new session's access and refresh tokens
+ */
+router.post('/session', async (req, res) => {
+  try {
+    const { token } = req.body || {};
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        error: 'Login token required'
+      });
+    }
+
+    const result = await sessionService.signIn(token, getClientInfo(req));
+
+    if (!result) {
+      return res.status(401).json({
+        error: 'Invalid token'
+      });
+    }
+
+    const { sessionId, ...tokens } = result.session;
+    setRefreshCookie(res, tokens);
+    res.status(201).json({
+      ...sessionBody(tokens),
+      sessionId,
+      user: {
+        id: result.user.id,
+        displayName: result.user.display_name,
+        avatarUrl: result.user.avatar_url
+      }
+    });
+
+  } catch (error) {
+    console.error('Sign in error:', error);
+    res.status(500).json({
+      error: 'Failed to sign in',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchanges the refresh token cookie for a new access token and refresh token
+ * cookie. Sessions stored before the cookie send { refreshToken } in the body
+ * once instead. Each refresh token works once, see sessionService.refresh.
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = getRefreshCookie(req) || (req.body || {}).refreshToken;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'Refresh token required'
+      });
+    }
+
+    const session = await sessionService.refresh(refreshToken);
+
+    if (!session) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        message: 'The session expired or was signed out, sign in again'
+      });
+    }
+
+    // A concurrent refresh keeps the refresh token the other request got
+    if (session.refreshToken) {
+      setRefreshCookie(res, session);
+    }
+    res.json(sessionBody(session));
+
+  } catch (error) {
+    console.error('Refresh session error:', error);
+    res.status(500).json({
+      error: 'Failed to refresh session',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Ends the current session
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.authSessionId) {
+      await sessionService.revokeSession(req.user.id, req.authSessionId);
+    }
+
+    clearRefreshCookie(res);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Failed to sign out',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * Lists the user's active sessions, marking the one making the request
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
+
+    res.json(sessions.map(session => ({
+      id: session.id,
+      createdAt: session.created_at,
+      lastUsedAt: session.last_used_at,
+      expiresAt: session.refresh_expires_at,
+      userAgent: session.user_agent,
+      ipAddress: session.ip_address,
+      current: session.id === req.authSessionId
+    })));
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to list sessions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Signs out one of the user's sessions
+ */
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id, 10);
+
+    if (!Number.isInteger(sessionId) || sessionId < 1) {
+      return res.status(400).json({
+        error: 'Invalid session id'
+      });
+    }
+
+    const revoked = await sessionService.revokeSession(req.user.id, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Failed to sign out session',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/sessions/revoke-all
+ * Signs out everywhere and replaces the login link
+ * Returns the new login token (shown once) and a fresh session for the
+ * caller, so only this device stays signed in
+ */
+router.post('/sessions/revoke-all', authenticateToken, async (req, res) => {
+  try {
+    const { secretToken, revoked } = await sessionService.revokeAll(req.user.id);
+    const { sessionId, ...tokens } = await sessionService.createSession(req.user.id, getClientInfo(req));
+    setRefreshCookie(res, tokens);
+
+    res.json({
+      revoked,
+      loginToken: secretToken,
+      session: { ...sessionBody(tokens), sessionId }
+    });
+
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to sign out everywhere',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
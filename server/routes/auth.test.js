@@ -1,8 +1,10 @@
+const crypto = require('crypto');
 const request = require('supertest');
 const User = require('../models/user');
 
 // Mock dependencies before requiring server
 jest.mock('../models/user');
+jest.mock('../models/userSession');
 jest.mock('../services/geminiSessionManager', () => ({
   startCleanupInterval: jest.fn()
 }));
@@ -14,8 +16,11 @@ jest.mock('../jobs/queue', () => ({
   stopQueue: jest.fn()
 }));
 
+const UserSession = require('../models/userSession');
 const app = require('../server');
 
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
 describe('Auth Routes', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -72,11 +77,203 @@ describe('Auth Routes', () => {
       User.findBySecretToken.mockResolvedValueOnce(mockUser);
 
       const response = await request(app)
-        .get('/api/auth/me?token=test-token-123');
+        .get('/api/auth/me')
+        .set('Authorization', 'Bearer test-token-123');
 
       expect(response.status).toBe(200);
       expect(response.body).toHaveProperty('id');
       expect(User.findBySecretToken).toHaveBeenCalledWith('test-token-123');
     });
   });
+
+  describe('POST /api/auth/session', () => {
+    test('exchanges a login token for a session', async () => {
+      User.findBySecretToken.mockResolvedValueOnce({ id: 1, display_name: 'Test User' });
+      UserSession.create.mockResolvedValueOnce({ id: 7 });
+
+      const response = await request(app)
+        .post('/api/auth/session')
+        .set('User-Agent', 'Firefox')
+        .send({ token: 'test-token-123' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.accessToken).toMatch(/^sva_/);
+      // The refresh token only goes in the httpOnly cookie
+      expect(response.body.refreshToken).toBeUndefined();
+      expect(response.headers['set-cookie'][0]).toMatch(/^refreshToken=svr_[\w-]+; Path=\/api\/auth; Expires=.+; HttpOnly; SameSite=Lax$/);
+      expect(response.body).toMatchObject({ sessionId: 7, user: { id: 1, displayName: 'Test User' } });
+      expect(UserSession.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 1, userAgent: 'Firefox' }));
+    });
+
+    test('returns 401 for an unknown login token', async () => {
+      User.findBySecretToken.mockResolvedValueOnce(null);
+
+      const response = await request(app)
+        .post('/api/auth/session')
+        .send({ token: 'wrong' });
+
+      expect(response.status).toBe(401);
+      expect(UserSession.create).not.toHaveBeenCalled();
+    });
+
+    test('returns 400 without a token', async () => {
+      const response = await request(app).post('/api/auth/session').send({});
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    test('exchanges the refresh token cookie for a new access token and cookie', async () => {
+      UserSession.rotate.mockResolvedValueOnce({ id: 7 });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', 'theme=dark; refreshToken=svr_old');
+
+      expect(response.status).toBe(200);
+      expect(response.body.sessionId).toBe(7);
+      expect(response.body.accessToken).toMatch(/^sva_/);
+      expect(response.body.refreshToken).toBeUndefined();
+      expect(UserSession.rotate).toHaveBeenCalledWith(sha256('svr_old'), expect.any(Object));
+      expect(response.headers['set-cookie'][0]).toMatch(/^refreshToken=svr_/);
+      expect(response.headers['set-cookie'][0]).not.toContain('svr_old');
+    });
+
+    test('accepts a refresh token stored before the cookie once', async () => {
+      UserSession.rotate.mockResolvedValueOnce({ id: 7 });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'svr_old' });
+
+      expect(response.status).toBe(200);
+      expect(UserSession.rotate).toHaveBeenCalledWith(sha256('svr_old'), expect.any(Object));
+      expect(response.headers['set-cookie'][0]).toMatch(/^refreshToken=svr_/);
+    });
+
+    test('leaves the cookie alone for a concurrent refresh', async () => {
+      UserSession.rotate.mockResolvedValueOnce(null);
+      UserSession.findRotatedFrom.mockResolvedValueOnce({ id: 7, user_id: 1, within_grace: true });
+      UserSession.replaceAccessToken.mockResolvedValueOnce({ id: 7 });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', 'refreshToken=svr_old');
+
+      expect(response.status).toBe(200);
+      expect(response.body.accessToken).toMatch(/^sva_/);
+      expect(response.headers['set-cookie']).toBeUndefined();
+    });
+
+    test('returns 401 and clears the cookie for a used refresh token', async () => {
+      UserSession.rotate.mockResolvedValueOnce(null);
+      UserSession.findRotatedFrom.mockResolvedValueOnce(null);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', 'refreshToken=svr_old');
+
+      expect(response.status).toBe(401);
+      expect(response.headers['set-cookie'][0]).toMatch(/^refreshToken=; Path=\/api\/auth; Expires=Thu, 01 Jan 1970/);
+    });
+
+    test('returns 400 without a refresh token', async () => {
+      const response = await request(app).post('/api/auth/refresh').send({});
+      expect(response.status).toBe(400);
+    });
+
+    test('only lets the frontend send the cookie', async () => {
+      const preflight = (origin) => request(app)
+        .options('/api/auth/refresh')
+        .set('Origin', origin)
+        .set('Access-Control-Request-Method', 'POST');
+
+      const allowed = await preflight('http://localhost:3000');
+      expect(allowed.headers['access-control-allow-origin']).toBe('http://localhost:3000');
+      expect(allowed.headers['access-control-allow-credentials']).toBe('true');
+
+      const other = await preflight('https://evil.example');
+      expect(other.headers['access-control-allow-origin']).not.toBe('https://evil.example');
+    });
+  });
+
+  describe('session management', () => {
+    const sessionUser = { id: 1, display_name: 'Test User' };
+
+    beforeEach(() => {
+      UserSession.findUserByAccessToken.mockResolvedValue({ user: sessionUser, sessionId: 7 });
+      UserSession.touch.mockResolvedValue();
+      User.update.mockResolvedValue({});
+    });
+
+    test('GET /api/auth/sessions lists sessions and marks the current one', async () => {
+      UserSession.findActiveByUserId.mockResolvedValueOnce([
+        { id: 7, user_agent: 'Firefox', ip_address: '::1', created_at: '2024-03-01T09:00:00.000Z', last_used_at: '2024-03-01T10:00:00.000Z' },
+        { id: 5, user_agent: 'Safari', ip_address: '10.0.0.2', created_at: '2024-02-01T09:00:00.000Z', last_used_at: '2024-02-02T10:00:00.000Z' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', 'Bearer sva_current');
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(session => [session.id, session.current])).toEqual([[7, true], [5, false]]);
+      expect(response.body[1]).toMatchObject({ userAgent: 'Safari', ipAddress: '10.0.0.2' });
+      expect(UserSession.findActiveByUserId).toHaveBeenCalledWith(1);
+    });
+
+    test('DELETE /api/auth/sessions/:id signs out one session', async () => {
+      UserSession.revoke.mockResolvedValueOnce(true);
+
+      const response = await request(app)
+        .delete('/api/auth/sessions/5')
+        .set('x-auth-token', 'sva_current');
+
+      expect(response.status).toBe(200);
+      expect(UserSession.revoke).toHaveBeenCalledWith(5, 1);
+    });
+
+    test('DELETE /api/auth/sessions/:id returns 404 for another user\'s session', async () => {
+      UserSession.revoke.mockResolvedValueOnce(false);
+
+      const response = await request(app)
+        .delete('/api/auth/sessions/9')
+        .set('x-auth-token', 'sva_current');
+
+      expect(response.status).toBe(404);
+    });
+
+    test('POST /api/auth/logout ends the current session', async () => {
+      UserSession.revoke.mockResolvedValueOnce(true);
+
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set('x-auth-token', 'sva_current');
+
+      expect(response.status).toBe(200);
+      expect(UserSession.revoke).toHaveBeenCalledWith(7, 1);
+    });
+
+    test('POST /api/auth/sessions/revoke-all signs out everywhere and rotates the login token', async () => {
+      UserSession.revokeAllForUser.mockResolvedValueOnce(3);
+      User.rotateSecretToken.mockResolvedValueOnce('new-secret');
+      UserSession.create.mockResolvedValueOnce({ id: 8 });
+
+      const response = await request(app)
+        .post('/api/auth/sessions/revoke-all')
+        .set('x-auth-token', 'sva_current');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ revoked: 3, loginToken: 'new-secret', session: { sessionId: 8 } });
+      expect(response.body.session.accessToken).toMatch(/^sva_/);
+      expect(response.body.session.refreshToken).toBeUndefined();
+      expect(response.headers['set-cookie'][0]).toMatch(/^refreshToken=svr_/);
+      expect(UserSession.revokeAllForUser).toHaveBeenCalledWith(1);
+    });
+
+    test('returns 401 without authentication', async () => {
+      const response = await request(app).get('/api/auth/sessions');
+      expect(response.status).toBe(401);
+    });
+  });
 });
@@ -21,6 +21,7 @@ router.get(
       .matches(/^-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*$/)
       .withMessage('bounds must be in format: minLng,minLat,maxLng,maxLat'),
     query('zoom').optional().isInt({ min: 0, max: 20 }).toInt(),
+    query('order').optional().isIn(['asc', 'desc']),
     query('limit').optional().isInt({ min: 1, max: 10000 }).toInt(),
     query('offset').optional().isInt({ min: 0 }).toInt()
   ],
@@ -80,6 +80,15 @@ describe('Checkins Routes', () => {
       expect(res.body.errors).toBeDefined();
     });
 
+    test('returns 400 for invalid order', async () => {
+      const res = await request(app)
+        .get('/api/checkins?order=random')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toBeDefined();
+    });
+
     test('returns 400 for invalid startDate', async () => {
       const res = await request(app)
         .get('/api/checkins?startDate=not-a-date')
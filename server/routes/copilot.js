@@ -1,9 +1,159 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const CopilotConversation = require('../models/copilotConversation');
+const CopilotMessage = require('../models/copilotMessage');
 const sessionManager = require('../services/geminiSessionManager');
-const queryBuilder = require('../services/queryBuilder');
+const copilotTools = require('../services/copilotTools');
+const { parseVenueReferences } = require('../services/copilotPrompt');
+
+// Upper bound on model <-> tool round trips for one user message
+const MAX_TOOL_ROUNDS = 10;
+
+// Messages a new thread can be created with, e.g. a chat kept in the browser before threads
+const MAX_IMPORTED_MESSAGES = 50;
+
+const chatValidation = [
+  body('message').isString().notEmpty().withMessage('Message is required'),
+  body('conversationId').optional({ values: 'null' }).isInt({ min: 1 }).toInt()
+];
+
+const conversationIdValidation = [
+  param('id').isInt({ min: 1 }).withMessage('id must be a positive integer').toInt()
+];
+
+const titleValidation = body('title').isString().trim().isLength({ min: 1, max: 200 })
+  .withMessage('title must be 1-200 characters');
+
+/**
+ * The thread a message goes to: the requested one if it's the user's, otherwise a new one
+ * @returns {Promise<Object|null>} Thread, null when the requested one isn't the user's
+ */
+function openConversation(userId, conversationId) {
+  return conversationId
+    ? CopilotConversation.findById(conversationId, userId)
+    : CopilotConversation.create(userId);
+}
+
+/**
+ * Remove a thread created for a message whose reply was cancelled or failed,
+ * so no empty, untitled thread stays in the user's list
+ */
+async function discardNewConversation(userId, thread) {
+  sessionManager.endSession(String(userId), thread.id);
+  try {
+    await CopilotConversation.delete(thread.id, userId);
+  } catch (error) {
+    console.error(`[COPILOT] Failed to remove empty conversation ${thread.id}:`, error);
+  }
+}
+
+/**
+ * The thread's live session, or a new one resumed from its stored messages
+ */
+async function openSession(userId, conversationId) {
+  return sessionManager.getSession(userId, conversationId) ||
+    sessionManager.createSession(userId, conversationId, await CopilotMessage.findByConversation(conversationId));
+}
+
+/**
+ * Store the messages of an answered user message in its thread
+ * Turns that only call functions aren't kept: the thread resumes from what the
+ * user saw, and the venues mentioned and attachments belong to the final answer.
+ * @param {number} conversationId
+ * @param {string} message - User message
+ * @param {Array} newMessages - Messages the chat added for it
+ * @param {Object} answer - { venues, attachments } of the final answer
+ * @returns {Promise<{messages: Array, conversation: Object}>} Stored messages and the updated thread
+ */
+async function saveExchange(conversationId, message, newMessages, { venues, attachments }) {
+  const kept = newMessages.filter(msg => (msg.role === 'user'
+    ? typeof msg.content === 'string' && msg.content.trim()
+    : msg.text && msg.text.trim() && msg.text !== '[Function call]'
+  ));
+
+  const lastAnswer = kept.length - 1;
+  if (lastAnswer >= 0 && kept[lastAnswer].role === 'assistant') {
+    kept[lastAnswer] = { ...kept[lastAnswer], venues, attachments };
+  }
+
+  const messages = await CopilotMessage.createMany(conversationId, kept);
+  const conversation = await CopilotConversation.touch(conversationId, message);
+  return { messages, conversation };
+}
+
+/**
+ * Run a user message through the chat, answering function calls until the model replies
+ * All function calls of a reply are run and their results sent back together.
+ * @param {Object} chat - Provider chat
+ * @param {string} message - User message
+ * @param {string} userId - User the queries are scoped to
+ * @param {Object} [options]
+ * @param {Function} [options.onText] - Streams replies, called with each piece of text
+ * @param {Function} [options.onTool] - Called with { name, description } before a function runs
+ * @param {AbortSignal} [options.signal] - Stops the conversation, e.g. when the client goes away
+ * @returns {Promise<{text: string, attachments: Array}>} Final reply text, and the tables, charts
+ *   and maps the function calls asked for
+ */
+async function runConversation(chat, message, userId, { onText, onTool, signal } = {}) {
+  const sendOptions = { onText, signal };
+
+  // Send user message
+  let reply = await chat.send(message, sendOptions);
+  console.log('Function calls in reply:', reply.functionCalls.length);
+
+  // Handle function calls
+  const attachments = [];
+  let rounds = 0;
+  while (reply.functionCalls.length > 0 && rounds < MAX_TOOL_ROUNDS) {
+    rounds++;
+
+    const results = [];
+    let failed = false;
+    for (const functionCall of reply.functionCalls) {
+      console.log('Processing function call:', JSON.stringify(functionCall, null, 2));
+      onTool?.({ name: functionCall.name, description: copilotTools.describeTool(functionCall.name, functionCall.args) });
+
+      // Execute with user scoping
+      const result = await copilotTools.runTool(functionCall.name, functionCall.args, userId);
+      results.push({ id: functionCall.id, name: functionCall.name, response: result.response });
+      if (result.attachment) attachments.push(result.attachment);
+      failed = failed || result.failed;
+    }
+
+    if (signal?.aborted) {
+      throw Object.assign(new Error('The request was aborted'), { name: 'AbortError' });
+    }
+
+    reply = await chat.send(results, sendOptions);
+
+    // After an error the model answers with what it has
+    if (failed) break;
+  }
+
+  console.log('Final AI response:', reply.text);
+  return { text: reply.text, attachments };
+}
+
+/**
+ * Messages added to the session's chat since the previous request, in the format the client stores
+ * Assistant content is the provider's complete turn (e.g. Gemini thought signatures)
+ */
+async function takeNewMessages(session) {
+  const history = await session.chat.getHistory();
+
+  // Use the tracked history position from the session, not the frontend's filtered count
+  const timestamp = new Date().toISOString();
+  const newMessages = history
+    .slice(session.historyPosition)
+    .map(msg => ({ ...msg, timestamp }));
+
+  // Update session's history position for next request
+  session.historyPosition = history.length;
+
+  return newMessages;
+}
 
 /**
  * POST /api/copilot/chat
@@ -12,10 +162,7 @@ const queryBuilder = require('../services/queryBuilder');
 router.post(
   '/chat',
   authenticateToken,
-  [
-    body('message').isString().notEmpty().withMessage('Message is required'),
-    body('conversationHistory').optional().isArray()
-  ],
+  chatValidation,
   async (req, res, next) => {
     // Validate request
     const errors = validationResult(req);
@@ -23,185 +170,264 @@ router.post(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { message, conversationHistory = [] } = req.body;
+    const { message, conversationId } = req.body;
     const userId = String(req.user.id);
 
+    let thread;
     try {
+      thread = await openConversation(req.user.id, conversationId);
+      if (!thread) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
       // Get or create chat session
-      const session = sessionManager.getOrCreateSession(userId, conversationHistory);
-      const chat = session.chat;
+      const session = await openSession(userId, thread.id);
 
-      // Send user message
-      let result = await chat.sendMessage(message);
+      const { text: responseText, attachments } = await runConversation(session.chat, message, userId);
+      const newMessages = await takeNewMessages(session);
+      const { messages, conversation } = await saveExchange(thread.id, message, newMessages, {
+        venues: parseVenueReferences(responseText),
+        attachments
+      });
 
-      console.log('AI response candidates:', JSON.stringify(result.response.candidates, null, 2));
+      // Return response with the stored messages of this exchange
+      res.json({
+        response: responseText,
+        messages,  // Array of messages in our format, including thought signatures
+        conversation,
+        attachments
+      });
 
-      // Extract function calls - try both old and new SDK methods
-      let functionCalls = [];
-      if (typeof result.response.functionCalls === 'function') {
-        functionCalls = result.response.functionCalls() || [];
-      } else if (Array.isArray(result.response.functionCalls)) {
-        functionCalls = result.response.functionCalls;
+    } catch (error) {
+      console.error('Copilot error:', error);
+      if (thread) {
+        // The chat may have stopped half way through a turn (e.g. a function call
+        // without its response); start over from the stored messages next time
+        sessionManager.endSession(userId, thread.id);
+        if (!conversationId) {
+          await discardNewConversation(req.user.id, thread);
+        }
       }
+      next(error);
+    }
+  }
+);
 
-      console.log('Extracted function calls:', functionCalls.length);
-
-      // Handle function calls
-      while (functionCalls && functionCalls.length > 0) {
-        const functionCall = functionCalls.shift();
-        console.log('Processing function call:', JSON.stringify(functionCall, null, 2));
-
-        if (functionCall.name === 'get_categories') {
-          try {
-            // Get list of categories
-            const categories = await queryBuilder.getCategories(userId);
-
-            console.log('Categories:', JSON.stringify(categories, null, 2));
-
-            // Send results back to AI
-            result = await chat.sendMessage([{
-              functionResponse: {
-                name: 'get_categories',
-                response: { categories }
-              }
-            }]);
-
-            // Re-extract function calls from new response
-            if (typeof result.response.functionCalls === 'function') {
-              functionCalls = result.response.functionCalls() || [];
-            } else if (Array.isArray(result.response.functionCalls)) {
-              functionCalls = result.response.functionCalls || [];
-            } else {
-              functionCalls = [];
-            }
-          } catch (categoryError) {
-            console.error('Get categories error:', categoryError);
-
-            // Send error to AI
-            result = await chat.sendMessage([{
-              functionResponse: {
-                name: 'get_categories',
-                response: {
-                  error: 'Failed to fetch categories',
-                  message: 'I had trouble getting the category list. Let me try to answer your question anyway.'
-                }
-              }
-            }]);
-
-            functionCalls = [];
-          }
-        } else if (functionCall.name === 'query_checkins') {
-          try {
-            // Execute query with user scoping
-            const queryResults = await queryBuilder.executeQuery(
-              functionCall.args,
-              userId
-            );
-
-            console.log('Query results:', JSON.stringify(queryResults, null, 2));
-
-            // Send results back to AI with metadata
-            const response = {
-              results: queryResults.data
-            };
-
-            // Add metadata message if results are limited
-            if (queryResults.metadata && queryResults.metadata.limited) {
-              response.note = queryResults.metadata.message;
-            }
-
-            result = await chat.sendMessage([{
-              functionResponse: {
-                name: 'query_checkins',
-                response
-              }
-            }]);
-
-            // Re-extract function calls from new response
-            if (typeof result.response.functionCalls === 'function') {
-              functionCalls = result.response.functionCalls() || [];
-            } else if (Array.isArray(result.response.functionCalls)) {
-              functionCalls = result.response.functionCalls || [];
-            } else {
-              functionCalls = [];
-            }
-          } catch (queryError) {
-            console.error('Query execution error:', queryError);
-
-            // Send error to AI so it can respond appropriately
-            result = await chat.sendMessage([{
-              functionResponse: {
-                name: 'query_checkins',
-                response: {
-                  error: 'Query failed',
-                  message: 'I encountered an issue accessing your check-in data. Please try rephrasing your question or ask something else.'
-                }
-              }
-            }]);
-
-            functionCalls = [];
-          }
-        }
+/**
+ * POST /api/copilot/chat/stream
+ * Send a message to the AI copilot and stream the answer as server-sent events:
+ * - conversation: the thread the message went to, first so a new thread's id is known
+ * - tool: { name, description } when a function starts running
+ * - text: { delta } as reply text arrives
+ * - done: { response, messages, conversation, attachments, venues } as /chat returns, plus the venues mentioned
+ * - error: { error } if the conversation fails after streaming started
+ * Closing the connection cancels the reply, which is then not stored. A thread
+ * created for the message is removed again when its reply is cancelled or fails.
+ */
+router.post(
+  '/chat/stream',
+  authenticateToken,
+  chatValidation,
+  async (req, res, next) => {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { message, conversationId } = req.body;
+    const userId = String(req.user.id);
+
+    let thread;
+    try {
+      thread = await openConversation(req.user.id, conversationId);
+    } catch (error) {
+      return next(error);
+    }
+    if (!thread) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Keep proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        controller.abort();
       }
+    });
 
-      // Get response text for display
-      const responseText = result.response.text();
-      console.log('Final AI response:', responseText);
-
-      // Get complete conversation history from chat session
-      // This includes ALL turns: user message, function calls with thought signatures,
-      // function responses, and final text response
-      const history = await chat.getHistory();
-      console.log('Complete history length:', history.length);
-      console.log('History detail:', JSON.stringify(history, null, 2));
-
-      // Extract only the NEW turns from this request
-      // Use the tracked history position from the session, not the frontend's filtered count
-      const newTurns = history.slice(session.historyPosition);
-      console.log('New turns from this request:', newTurns.length);
-      console.log('Previous history position:', session.historyPosition);
-
-      // Update session's history position for next request
-      session.historyPosition = history.length;
-
-      // Convert new turns to our message format
-      const newMessages = newTurns.map(turn => {
-        const timestamp = new Date().toISOString();
-
-        if (turn.role === 'user') {
-          // User message - extract text from parts
-          const text = turn.parts.map(p => p.text || '').join('');
-          return {
-            role: 'user',
-            content: text,
-            timestamp
-          };
-        } else {
-          // Model message - preserve complete parts structure
-          // Extract text for display (skip function calls and function responses)
-          const textParts = turn.parts.filter(p => p.text);
-          const text = textParts.map(p => p.text).join('');
-
-          return {
-            role: 'assistant',
-            content: turn,  // Complete Gemini turn with all parts
-            text: text || '[Function call]',  // Text for display
-            timestamp
-          };
-        }
+    sendEvent('conversation', thread);
+
+    try {
+      // Get or create chat session
+      const session = await openSession(userId, thread.id);
+
+      const { text: responseText, attachments } = await runConversation(session.chat, message, userId, {
+        onText: delta => sendEvent('text', { delta }),
+        onTool: tool => sendEvent('tool', tool),
+        signal: controller.signal
       });
+      const newMessages = await takeNewMessages(session);
+      const venues = parseVenueReferences(responseText);
+      const { messages, conversation } = await saveExchange(thread.id, message, newMessages, { venues, attachments });
 
-      // Return response with complete new message history
-      res.json({
+      sendEvent('done', {
         response: responseText,
-        messages: newMessages  // Array of messages in our format, including thought signatures
+        messages,
+        conversation,
+        attachments,
+        venues
       });
-
     } catch (error) {
+      // Cancelled or failed, the chat may have stopped half way through a turn;
+      // start over from the stored messages next time
+      sessionManager.endSession(userId, thread.id);
+      if (!conversationId) {
+        await discardNewConversation(req.user.id, thread);
+      }
+
+      if (controller.signal.aborted) {
+        console.log(`[COPILOT] Reply cancelled for user ${userId}`);
+        return;
+      }
+
       console.error('Copilot error:', error);
+      sendEvent('error', { error: 'Failed to get a response from the copilot' });
+    }
+
+    res.end();
+  }
+);
+
+/**
+ * GET /api/copilot/conversations
+ * The user's conversation threads, most recently active first
+ */
+router.get('/conversations', authenticateToken, async (req, res, next) => {
+  try {
+    const conversations = await CopilotConversation.findByUser(req.user.id);
+    res.json({ conversations });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/copilot/conversations
+ * Start a thread, optionally titled and with earlier messages
+ */
+router.post(
+  '/conversations',
+  authenticateToken,
+  [
+    titleValidation.optional(),
+    body('messages').optional().isArray({ max: MAX_IMPORTED_MESSAGES })
+      .withMessage(`messages must be an array of at most ${MAX_IMPORTED_MESSAGES} messages`),
+    body('messages.*.role').isIn(['user', 'assistant']),
+    body('messages.*.content').exists({ values: 'null' })
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const conversation = await CopilotConversation.create(req.user.id, req.body.title || null);
+      const messages = await CopilotMessage.createMany(
+        conversation.id,
+        (req.body.messages || []).map(({ role, content, text, venues }) => ({ role, content, text, venues }))
+      );
+
+      res.status(201).json({ ...conversation, messages });
+    } catch (error) {
       next(error);
     }
   }
 );
 
+/**
+ * GET /api/copilot/conversations/:id
+ * A thread with its messages
+ */
+router.get('/conversations/:id', authenticateToken, conversationIdValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const conversation = await CopilotConversation.findById(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const messages = await CopilotMessage.findByConversation(conversation.id);
+    res.json({ ...conversation, messages });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/copilot/conversations/:id
+ * Rename a thread
+ */
+router.patch(
+  '/conversations/:id',
+  authenticateToken,
+  [...conversationIdValidation, titleValidation],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const conversation = await CopilotConversation.rename(req.params.id, req.user.id, req.body.title);
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      res.json(conversation);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/copilot/conversations/:id
+ * Delete a thread and its messages
+ */
+router.delete('/conversations/:id', authenticateToken, conversationIdValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const deleted = await CopilotConversation.delete(req.params.id, req.user.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    sessionManager.endSession(String(req.user.id), req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
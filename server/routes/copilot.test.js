@@ -1,9 +1,14 @@
+const http = require('http');
 const request = require('supertest');
 jest.mock('../models/user');
 jest.mock('../services/geminiSessionManager', () => ({
   startCleanupInterval: jest.fn(),
-  getOrCreateSession: jest.fn()
+  getSession: jest.fn(),
+  createSession: jest.fn(),
+  endSession: jest.fn()
 }));
+jest.mock('../models/copilotConversation');
+jest.mock('../models/copilotMessage');
 jest.mock('../services/queryBuilder');
 jest.mock('../jobs/queue', () => ({
   initQueue: jest.fn().mockResolvedValue(undefined),
@@ -13,39 +18,51 @@ jest.mock('../jobs/queue', () => ({
 
 const User = require('../models/user');
 const sessionManager = require('../services/geminiSessionManager');
+const CopilotConversation = require('../models/copilotConversation');
+const CopilotMessage = require('../models/copilotMessage');
 const queryBuilder = require('../services/queryBuilder');
+const { ScriptedProvider } = require('../services/scriptedProvider');
 const app = require('../server');
 
 const mockToken = 'test-token';
 const mockUser = { id: 1, display_name: 'Test User' };
 
+/**
+ * Events in a server-sent event stream body
+ */
+function parseEvents(text) {
+  return text.trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+  });
+}
+
+/**
+ * Serve the copilot from a scripted chat and return it
+ */
+function useScriptedChat(script) {
+  const chat = new ScriptedProvider({ script }).startChat({ systemInstruction: '', functionDeclarations: [] });
+  sessionManager.getSession.mockReturnValue({ chat, historyPosition: 0 });
+  return chat;
+}
+
+const thread = { id: 7, user_id: 1, title: null };
+
 beforeEach(() => {
   jest.clearAllMocks();
   User.findBySecretToken.mockResolvedValue(mockUser);
   User.update.mockResolvedValue({});
+  CopilotConversation.create.mockResolvedValue(thread);
+  CopilotConversation.findById.mockResolvedValue(thread);
+  CopilotConversation.touch.mockImplementation(async (id, message) => ({ ...thread, title: message }));
+  CopilotMessage.findByConversation.mockResolvedValue([]);
+  CopilotMessage.createMany.mockImplementation(async (id, messages) => messages);
 });
 
 describe('Copilot Routes', () => {
   describe('POST /api/copilot/chat', () => {
     test('returns AI response for valid message', async () => {
-      const mockHistory = [
-        { role: 'user', parts: [{ text: 'Hello' }] },
-        { role: 'model', parts: [{ text: 'Hi there!' }] }
-      ];
-      const mockChat = {
-        sendMessage: jest.fn().mockResolvedValue({
-          response: {
-            functionCalls: [],
-            text: () => 'Hi there!',
-            candidates: []
-          }
-        }),
-        getHistory: jest.fn().mockResolvedValue(mockHistory)
-      };
-      sessionManager.getOrCreateSession.mockReturnValue({
-        chat: mockChat,
-        historyPosition: 0
-      });
+      useScriptedChat([{ text: 'Hi there!' }]);
 
       const res = await request(app)
         .post('/api/copilot/chat')
@@ -54,7 +71,114 @@ describe('Copilot Routes', () => {
 
       expect(res.status).toBe(200);
       expect(res.body.response).toBe('Hi there!');
-      expect(res.body.messages).toBeDefined();
+      expect(res.body.messages).toHaveLength(2);
+      expect(res.body.messages[0]).toMatchObject({ role: 'user', content: 'Hello' });
+      expect(res.body.messages[1]).toMatchObject({ role: 'assistant', text: 'Hi there!' });
+      expect(res.body.messages[1].timestamp).toBeDefined();
+    });
+
+    test('returns only the messages added since the previous request', async () => {
+      const chat = useScriptedChat([{ text: 'First' }, { text: 'Second' }]);
+      const session = { chat, historyPosition: 0 };
+      sessionManager.getSession.mockReturnValue(session);
+
+      await request(app).post('/api/copilot/chat').set('x-auth-token', mockToken).send({ message: 'One' });
+      const res = await request(app).post('/api/copilot/chat').set('x-auth-token', mockToken).send({ message: 'Two' });
+
+      expect(res.body.messages.map(m => m.text || m.content)).toEqual(['Two', 'Second']);
+      expect(session.historyPosition).toBe(4);
+    });
+
+    test('starts a new thread without a conversationId and names it after the message', async () => {
+      useScriptedChat([{ text: 'Hi there!' }]);
+
+      const res = await request(app)
+        .post('/api/copilot/chat')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'Hello' });
+
+      expect(CopilotConversation.create).toHaveBeenCalledWith(1);
+      expect(CopilotConversation.touch).toHaveBeenCalledWith(7, 'Hello');
+      expect(res.body.conversation).toEqual({ ...thread, title: 'Hello' });
+    });
+
+    test('stores the exchange with the venues on the answer', async () => {
+      useScriptedChat([{ text: 'Back to {{venue|v1|Ichiran|35.66|139.70}}?' }]);
+
+      await request(app)
+        .post('/api/copilot/chat')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'Ramen?', conversationId: 7 });
+
+      expect(CopilotConversation.findById).toHaveBeenCalledWith(7, 1);
+      const [conversationId, messages] = CopilotMessage.createMany.mock.calls[0];
+      expect(conversationId).toBe(7);
+      expect(messages[0]).toMatchObject({ role: 'user', content: 'Ramen?' });
+      expect(messages[1]).toMatchObject({
+        role: 'assistant',
+        venues: [{ venueId: 'v1', venueName: 'Ichiran', latitude: 35.66, longitude: 139.7 }]
+      });
+    });
+
+    test('returns and stores the attachments the queries asked for', async () => {
+      queryBuilder.executeQuery.mockResolvedValue({
+        data: [{ country: 'Japan', result: '12' }, { country: 'Italy', result: '7' }],
+        metadata: { limited: false }
+      });
+      useScriptedChat([
+        {
+          functionCalls: [{
+            name: 'query_checkins',
+            args: { queryType: 'aggregation', groupBy: ['country'], display: { type: 'table', title: 'By country' } }
+          }]
+        },
+        { text: 'Japan leads with 12.' }
+      ]);
+
+      const res = await request(app)
+        .post('/api/copilot/chat')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'Check-ins by country?' });
+
+      const table = {
+        type: 'table',
+        title: 'By country',
+        columns: ['country', 'result'],
+        rows: [{ country: 'Japan', result: '12' }, { country: 'Italy', result: '7' }]
+      };
+      expect(res.body.attachments).toEqual([table]);
+      const [, messages] = CopilotMessage.createMany.mock.calls[0];
+      expect(messages).toHaveLength(2);
+      expect(messages[1]).toMatchObject({ role: 'assistant', text: 'Japan leads with 12.', attachments: [table] });
+    });
+
+    test('resumes a thread without a live session from its stored messages', async () => {
+      const stored = [{ role: 'user', content: 'Earlier' }, { role: 'assistant', content: 'Answer', text: 'Answer' }];
+      const chat = new ScriptedProvider({ script: [{ text: 'Again' }] })
+        .startChat({ systemInstruction: '', functionDeclarations: [] });
+      sessionManager.getSession.mockReturnValue(null);
+      sessionManager.createSession.mockReturnValue({ chat, historyPosition: 0 });
+      CopilotMessage.findByConversation.mockResolvedValue(stored);
+
+      const res = await request(app)
+        .post('/api/copilot/chat')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'And now?', conversationId: 7 });
+
+      expect(res.status).toBe(200);
+      expect(sessionManager.createSession).toHaveBeenCalledWith('1', 7, stored);
+    });
+
+    test('returns 404 for another user\'s thread', async () => {
+      CopilotConversation.findById.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post('/api/copilot/chat')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'Hello', conversationId: 99 });
+
+      expect(res.status).toBe(404);
+      expect(sessionManager.getSession).not.toHaveBeenCalled();
     });
 
     test('requires message in body (400)', async () => {
@@ -75,33 +199,10 @@ describe('Copilot Routes', () => {
     });
 
     test('handles function-call round-trip (query_checkins)', async () => {
-      const functionCallResponse = {
-        response: {
-          functionCalls: [{ name: 'query_checkins', args: { category: 'Food' } }],
-          text: () => '',
-          candidates: []
-        }
-      };
-      const textResponse = {
-        response: {
-          functionCalls: [],
-          text: () => 'You have 5 food checkins!',
-          candidates: []
-        }
-      };
-      const mockChat = {
-        sendMessage: jest.fn()
-          .mockResolvedValueOnce(functionCallResponse)
-          .mockResolvedValueOnce(textResponse),
-        getHistory: jest.fn().mockResolvedValue([
-          { role: 'user', parts: [{ text: 'How many food checkins?' }] },
-          { role: 'model', parts: [{ text: 'You have 5 food checkins!' }] }
-        ])
-      };
-      sessionManager.getOrCreateSession.mockReturnValue({
-        chat: mockChat,
-        historyPosition: 0
-      });
+      const chat = useScriptedChat([
+        { functionCalls: [{ name: 'query_checkins', args: { category: 'Food' } }] },
+        { text: 'You have 5 food checkins!' }
+      ]);
       queryBuilder.executeQuery.mockResolvedValue({
         data: [{ count: 5 }],
         metadata: null
@@ -114,13 +215,106 @@ describe('Copilot Routes', () => {
 
       expect(res.status).toBe(200);
       expect(res.body.response).toBe('You have 5 food checkins!');
-      // Verify sendMessage called twice: once with user message, once with function response
-      expect(mockChat.sendMessage).toHaveBeenCalledTimes(2);
+      // Sent twice: once with user message, once with function response
+      expect(chat.sent).toHaveLength(2);
       // Verify executeQuery was called with the function call args
       expect(queryBuilder.executeQuery).toHaveBeenCalledWith(
         { category: 'Food' },
         '1'
       );
+      // Turns that only call functions aren't stored or returned
+      expect(res.body.messages.map(m => m.text || m.content)).toEqual([
+        'How many food checkins?', 'You have 5 food checkins!'
+      ]);
+    });
+
+    test('dispatches activity queries through the tool registry', async () => {
+      const chat = useScriptedChat([
+        {
+          functionCalls: [{
+            name: 'query_activities',
+            args: { source: 'strava', queryType: 'aggregation', filters: { city: 'Lisbon' } }
+          }]
+        },
+        { text: 'You ran 42 km in Lisbon.' }
+      ]);
+      queryBuilder.executeDatasetQuery.mockResolvedValue({ data: [{ result: 42000 }], metadata: { limited: false } });
+
+      const res = await request(app)
+        .post('/api/copilot/chat')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'How far did I run in Lisbon?' });
+
+      expect(res.status).toBe(200);
+      expect(queryBuilder.executeDatasetQuery).toHaveBeenCalledWith(
+        'strava_activities',
+        { queryType: 'aggregation', filters: { city: 'Lisbon' } },
+        '1'
+      );
+      expect(chat.sent[1]).toEqual([{
+        id: 'call_1_0',
+        name: 'query_activities',
+        response: { results: [{ result: 42000 }] }
+      }]);
+    });
+
+    test('sends the results of all function calls in a reply together', async () => {
+      const chat = useScriptedChat([
+        {
+          functionCalls: [
+            { id: 'a', name: 'query_checkins', args: { city: 'Paris' } },
+            { id: 'b', name: 'query_checkins', args: { city: 'Rome' } }
+          ]
+        },
+        { text: 'Paris wins.' }
+      ]);
+      queryBuilder.executeQuery
+        .mockResolvedValueOnce({ data: [{ count: 9 }], metadata: null })
+        .mockResolvedValueOnce({ data: [{ count: 4 }], metadata: null });
+
+      const res = await request(app)
+        .post('/api/copilot/chat')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'Paris or Rome?' });
+
+      expect(res.body.response).toBe('Paris wins.');
+      expect(chat.sent).toHaveLength(2);
+      expect(chat.sent[1]).toEqual([
+        { id: 'a', name: 'query_checkins', response: { results: [{ count: 9 }] } },
+        { id: 'b', name: 'query_checkins', response: { results: [{ count: 4 }] } }
+      ]);
+    });
+
+    test('stops calling tools after the round limit', async () => {
+      const call = { functionCalls: [{ name: 'get_categories', args: {} }] };
+      const chat = useScriptedChat(Array(20).fill(call));
+      queryBuilder.getCategories.mockResolvedValue([]);
+      queryBuilder.getCategoryGroups.mockResolvedValue({});
+
+      const res = await request(app)
+        .post('/api/copilot/chat')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'Loop forever' });
+
+      expect(res.status).toBe(200);
+      // The user message plus 10 rounds of function results
+      expect(chat.sent).toHaveLength(11);
+    });
+
+    test('answers unknown function calls with an error', async () => {
+      const chat = useScriptedChat([
+        { functionCalls: [{ name: 'drop_tables', args: {} }] },
+        { text: 'Sorry, I could not do that.' }
+      ]);
+
+      const res = await request(app)
+        .post('/api/copilot/chat')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'Hello' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.response).toBe('Sorry, I could not do that.');
+      expect(chat.sent[1][0].response.error).toBe('Unknown function');
     });
 
     test('returns 400 for empty string message', async () => {
@@ -141,15 +335,8 @@ describe('Copilot Routes', () => {
       expect(res.status).toBe(400);
     });
 
-    test('returns 500 when session sendMessage rejects', async () => {
-      const mockChat = {
-        sendMessage: jest.fn().mockRejectedValue(new Error('Gemini API error')),
-        getHistory: jest.fn().mockResolvedValue([])
-      };
-      sessionManager.getOrCreateSession.mockReturnValue({
-        chat: mockChat,
-        historyPosition: 0
-      });
+    test('returns 500 when the provider rejects', async () => {
+      useScriptedChat([() => { throw new Error('LLM API error'); }]);
 
       const res = await request(app)
         .post('/api/copilot/chat')
@@ -157,6 +344,326 @@ describe('Copilot Routes', () => {
         .send({ message: 'Hello' });
 
       expect(res.status).toBe(500);
+      expect(CopilotConversation.delete).toHaveBeenCalledWith(7, 1);
+      expect(sessionManager.endSession).toHaveBeenCalledWith('1', 7);
+    });
+
+    test('keeps an existing thread when the provider rejects', async () => {
+      useScriptedChat([() => { throw new Error('LLM API error'); }]);
+
+      const res = await request(app)
+        .post('/api/copilot/chat')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'Hello', conversationId: 7 });
+
+      expect(res.status).toBe(500);
+      expect(CopilotConversation.delete).not.toHaveBeenCalled();
+      expect(sessionManager.endSession).toHaveBeenCalledWith('1', 7);
+    });
+  });
+
+  describe('POST /api/copilot/chat/stream', () => {
+    test('streams tool progress, text and the final messages with venues', async () => {
+      useScriptedChat([
+        { functionCalls: [{ name: 'query_checkins', args: { filters: { country: 'Japan' } } }] },
+        { text: 'Try {{venue|v1|Ichiran|35.66|139.70}} again' }
+      ]);
+      queryBuilder.executeQuery.mockResolvedValue({ data: [], metadata: null });
+
+      const res = await request(app)
+        .post('/api/copilot/chat/stream')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'Ramen in Japan?' });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+
+      const events = parseEvents(res.text);
+      expect(events.shift()).toEqual({ event: 'conversation', data: thread });
+      expect(events[0]).toEqual({
+        event: 'tool',
+        data: { name: 'query_checkins', description: 'Querying check-ins in Japan' }
+      });
+      expect(events.filter(e => e.event === 'text').map(e => e.data.delta).join(''))
+        .toBe('Try {{venue|v1|Ichiran|35.66|139.70}} again');
+
+      const done = events[events.length - 1];
+      expect(done.event).toBe('done');
+      expect(done.data.response).toBe('Try {{venue|v1|Ichiran|35.66|139.70}} again');
+      expect(done.data.messages).toHaveLength(2);
+      expect(done.data.venues).toEqual([{ venueId: 'v1', venueName: 'Ichiran', latitude: 35.66, longitude: 139.7 }]);
+    });
+
+    test('sends the attachments with the final messages', async () => {
+      useScriptedChat([
+        {
+          functionCalls: [{
+            name: 'query_checkins',
+            args: { queryType: 'checkins', display: { type: 'map', title: 'Ramen in Tokyo' } }
+          }]
+        },
+        { text: 'Here they are.' }
+      ]);
+      queryBuilder.executeQuery.mockResolvedValue({
+        data: [{ venue_id: 'v1', venue_name: 'Ichiran', latitude: 35.66, longitude: 139.7 }],
+        metadata: null
+      });
+
+      const res = await request(app)
+        .post('/api/copilot/chat/stream')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'Map my ramen spots' });
+
+      const done = parseEvents(res.text).pop();
+      expect(done.data.attachments).toEqual([{
+        type: 'map',
+        title: 'Ramen in Tokyo',
+        venues: [{ venueId: 'v1', venueName: 'Ichiran', latitude: 35.66, longitude: 139.7 }]
+      }]);
+    });
+
+    test('returns 404 before streaming for another user\'s thread', async () => {
+      CopilotConversation.findById.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post('/api/copilot/chat/stream')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'Hello', conversationId: 99 });
+
+      expect(res.status).toBe(404);
+    });
+
+    test('validates the message before streaming', async () => {
+      const res = await request(app)
+        .post('/api/copilot/chat/stream')
+        .set('x-auth-token', mockToken)
+        .send({ message: '' });
+
+      expect(res.status).toBe(400);
+    });
+
+    test('sends an error event when the provider fails', async () => {
+      useScriptedChat([() => { throw new Error('LLM API error'); }]);
+
+      const res = await request(app)
+        .post('/api/copilot/chat/stream')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'Hello' });
+
+      expect(parseEvents(res.text)).toEqual([
+        { event: 'conversation', data: thread },
+        { event: 'error', data: { error: 'Failed to get a response from the copilot' } }
+      ]);
+      // The thread was created for this message, nothing is left in it
+      expect(CopilotConversation.delete).toHaveBeenCalledWith(7, 1);
+    });
+
+    test('keeps an existing thread when the provider fails', async () => {
+      useScriptedChat([() => { throw new Error('LLM API error'); }]);
+
+      await request(app)
+        .post('/api/copilot/chat/stream')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'Hello', conversationId: 7 });
+
+      expect(CopilotConversation.delete).not.toHaveBeenCalled();
+      expect(sessionManager.endSession).toHaveBeenCalledWith('1', 7);
+    });
+
+    test('starts over from the stored messages after a later round fails', async () => {
+      // Live sessions as the session manager keeps them
+      const sessions = new Map();
+      const chats = [
+        [{ functionCalls: [{ name: 'get_categories', args: {} }] }, () => { throw new Error('LLM API error'); }],
+        [{ text: 'Fine now.' }]
+      ].map(script => new ScriptedProvider({ script }).startChat({ systemInstruction: '', functionDeclarations: [] }));
+      sessionManager.getSession.mockImplementation((userId, id) => sessions.get(id) || null);
+      sessionManager.createSession.mockImplementation((userId, id) => {
+        const session = { chat: chats.shift(), historyPosition: 0 };
+        sessions.set(id, session);
+        return session;
+      });
+      sessionManager.endSession.mockImplementation((userId, id) => sessions.delete(id));
+      queryBuilder.getCategories.mockResolvedValue([]);
+      queryBuilder.getCategoryGroups.mockResolvedValue({});
+
+      const failed = await request(app)
+        .post('/api/copilot/chat/stream')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'Categories?', conversationId: 7 });
+
+      expect(parseEvents(failed.text).pop().event).toBe('error');
+      expect(CopilotMessage.createMany).not.toHaveBeenCalled();
+
+      const res = await request(app)
+        .post('/api/copilot/chat/stream')
+        .set('x-auth-token', mockToken)
+        .send({ message: 'Hello again', conversationId: 7 });
+
+      const done = parseEvents(res.text).pop();
+      expect(done.event).toBe('done');
+      expect(done.data.response).toBe('Fine now.');
+      expect(sessionManager.createSession).toHaveBeenCalledTimes(2);
+      // Only this exchange is stored, nothing of the failed one
+      const [, stored] = CopilotMessage.createMany.mock.calls[0];
+      expect(stored.map(msg => msg.content.text || msg.content)).toEqual(['Hello again', 'Fine now.']);
+    });
+
+    test('cancels the reply, ends the session and removes the new thread when the client disconnects', async () => {
+      let releaseQuery;
+      const chat = useScriptedChat([
+        { functionCalls: [{ name: 'get_categories', args: {} }] },
+        { text: 'Never sent' }
+      ]);
+      queryBuilder.getCategories.mockImplementation(() => new Promise(resolve => { releaseQuery = resolve; }));
+      queryBuilder.getCategoryGroups.mockResolvedValue({});
+      const deleted = new Promise(resolve => CopilotConversation.delete.mockImplementation(async () => resolve()));
+
+      const server = app.listen(0);
+      try {
+        await new Promise((resolve, reject) => {
+          const req = http.request({
+            port: server.address().port,
+            path: '/api/copilot/chat/stream',
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-auth-token': mockToken }
+          }, res => {
+            // Hang up as soon as the first tool starts
+            res.once('data', () => {
+              req.destroy();
+              resolve();
+            });
+          });
+          req.on('error', error => {
+            if (error.code !== 'ECONNRESET') reject(error);
+          });
+          req.end(JSON.stringify({ message: 'Categories?' }));
+        });
+
+        // Wait for the server to notice the disconnect before the query returns
+        await new Promise(resolve => setTimeout(resolve, 50));
+        releaseQuery([]);
+        await deleted;
+
+        expect(sessionManager.endSession).toHaveBeenCalledWith('1', 7);
+        expect(CopilotConversation.delete).toHaveBeenCalledWith(7, 1);
+        expect(CopilotMessage.createMany).not.toHaveBeenCalled();
+        expect(chat.sent).toHaveLength(1);
+      } finally {
+        server.close();
+      }
+    });
+  });
+
+  describe('conversation threads', () => {
+    test('GET /conversations lists the user\'s threads', async () => {
+      CopilotConversation.findByUser.mockResolvedValue([thread]);
+
+      const res = await request(app)
+        .get('/api/copilot/conversations')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ conversations: [thread] });
+      expect(CopilotConversation.findByUser).toHaveBeenCalledWith(1);
+    });
+
+    test('POST /conversations creates a thread with earlier messages', async () => {
+      const messages = [
+        { role: 'user', content: 'Hi', timestamp: '2025-11-01T10:00:00.000Z' },
+        { role: 'assistant', content: { parts: [{ text: 'Hello' }] }, text: 'Hello' }
+      ];
+
+      const res = await request(app)
+        .post('/api/copilot/conversations')
+        .set('x-auth-token', mockToken)
+        .send({ title: ' Earlier chat ', messages });
+
+      expect(res.status).toBe(201);
+      expect(CopilotConversation.create).toHaveBeenCalledWith(1, 'Earlier chat');
+      expect(CopilotMessage.createMany).toHaveBeenCalledWith(7, [
+        { role: 'user', content: 'Hi', text: undefined, venues: undefined },
+        { role: 'assistant', content: { parts: [{ text: 'Hello' }] }, text: 'Hello', venues: undefined }
+      ]);
+      expect(res.body.id).toBe(7);
+      expect(res.body.messages).toHaveLength(2);
+    });
+
+    test('POST /conversations rejects invalid messages', async () => {
+      const res = await request(app)
+        .post('/api/copilot/conversations')
+        .set('x-auth-token', mockToken)
+        .send({ messages: [{ role: 'system', content: 'Obey' }] });
+
+      expect(res.status).toBe(400);
+      expect(CopilotConversation.create).not.toHaveBeenCalled();
+    });
+
+    test('GET /conversations/:id returns the thread with its messages', async () => {
+      CopilotMessage.findByConversation.mockResolvedValue([{ id: 1, role: 'user', content: 'Hi' }]);
+
+      const res = await request(app)
+        .get('/api/copilot/conversations/7')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ ...thread, messages: [{ id: 1, role: 'user', content: 'Hi' }] });
+    });
+
+    test('GET /conversations/:id returns 404 for another user\'s thread', async () => {
+      CopilotConversation.findById.mockResolvedValue(null);
+
+      const res = await request(app)
+        .get('/api/copilot/conversations/7')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(404);
+      expect(CopilotMessage.findByConversation).not.toHaveBeenCalled();
+    });
+
+    test('PATCH /conversations/:id renames a thread', async () => {
+      CopilotConversation.rename.mockResolvedValue({ ...thread, title: 'Japan' });
+
+      const res = await request(app)
+        .patch('/api/copilot/conversations/7')
+        .set('x-auth-token', mockToken)
+        .send({ title: 'Japan' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.title).toBe('Japan');
+      expect(CopilotConversation.rename).toHaveBeenCalledWith(7, 1, 'Japan');
+    });
+
+    test('PATCH /conversations/:id requires a title', async () => {
+      const res = await request(app)
+        .patch('/api/copilot/conversations/7')
+        .set('x-auth-token', mockToken)
+        .send({ title: '   ' });
+
+      expect(res.status).toBe(400);
+    });
+
+    test('DELETE /conversations/:id deletes the thread and ends its session', async () => {
+      CopilotConversation.delete.mockResolvedValue(true);
+
+      const res = await request(app)
+        .delete('/api/copilot/conversations/7')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(200);
+      expect(CopilotConversation.delete).toHaveBeenCalledWith(7, 1);
+      expect(sessionManager.endSession).toHaveBeenCalledWith('1', 7);
+    });
+
+    test('DELETE /conversations/:id returns 404 for another user\'s thread', async () => {
+      CopilotConversation.delete.mockResolvedValue(false);
+
+      const res = await request(app)
+        .delete('/api/copilot/conversations/7')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(404);
+      expect(sessionManager.endSession).not.toHaveBeenCalled();
     });
   });
 });
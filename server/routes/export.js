@@ -0,0 +1,71 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const exportService = require('../services/exportService');
+const { parseBounds } = require('../utils/geoUtils');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// GET /api/export?format=geojson|kml|gpx|csv
+// Requires authentication -
+// streams the user's check-ins and activity tracks as a file download,
+// filtered like GET /api/checkins
+router.get(
+  '/',
+  authenticateToken,
+  [
+    query('format').optional().isIn(exportService.formats),
+    query('include').optional().isIn(['all', 'checkins', 'activities']),
+    query('startDate').optional().isISO8601().toDate(),
+    query('endDate').optional().isISO8601().toDate(),
+    query('category').optional(),
+    query('country').optional().isString(),
+    query('city').optional().isString(),
+    query('search').optional().isString(),
+    query('bounds').optional().isString()
+      .matches(/^-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*$/)
+      .withMessage('bounds must be in format: minLng,minLat,maxLng,maxLat')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { format = 'geojson', include = 'all', startDate, endDate, category, country, city, search, bounds } = req.query;
+
+      // Reject out of range bounds before the download starts
+      if (bounds) {
+        try {
+          parseBounds(bounds);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+      }
+
+      const { contentType, extension } = exportService.getFormat(format);
+      const date = new Date().toISOString().split('T')[0];
+
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="swarm-export-${date}.${extension}"`,
+        'Cache-Control': 'no-store'
+      });
+
+      const filters = { userId: req.user.id, startDate, endDate, category, country, city, search, bounds };
+      const counts = await exportService.streamExport(res, format, filters, { include });
+
+      console.log(`[EXPORT] User ${req.user.id}: ${counts.checkins} check-ins, ${counts.activities} activities as ${format}`);
+    } catch (error) {
+      // Once the file has started the status can't change, cut the download short instead
+      if (res.headersSent) {
+        console.error('[EXPORT] Export failed mid-stream:', error.message);
+        return res.destroy(error);
+      }
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
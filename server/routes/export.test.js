@@ -0,0 +1,114 @@
+const request = require('supertest');
+jest.mock('../models/user');
+jest.mock('../models/checkin');
+jest.mock('../models/activityTrack');
+jest.mock('../services/geminiSessionManager', () => ({ startCleanupInterval: jest.fn() }));
+jest.mock('../jobs/queue', () => ({
+  initQueue: jest.fn().mockResolvedValue(undefined),
+  getQueue: jest.fn().mockReturnValue({ work: jest.fn(), send: jest.fn() }),
+  stopQueue: jest.fn()
+}));
+
+const User = require('../models/user');
+const Checkin = require('../models/checkin');
+const ActivityTrack = require('../models/activityTrack');
+const app = require('../server');
+
+const mockToken = 'test-token';
+const mockUser = { id: 1, display_name: 'Test User' };
+
+const checkin = {
+  id: 1,
+  venue_id: 'v1',
+  venue_name: 'Café Central',
+  venue_category: 'Café',
+  latitude: 48.2104,
+  longitude: 16.3653,
+  checkin_date: '2024-03-01T09:30:00.000Z',
+  timezone: 'Europe/Vienna',
+  city: 'Vienna',
+  country: 'Austria'
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findBySecretToken.mockResolvedValue(mockUser);
+  User.update.mockResolvedValue({});
+  Checkin.findBatch.mockResolvedValue([]);
+  ActivityTrack.findBatch.mockResolvedValue([]);
+});
+
+describe('GET /api/export', () => {
+  test('downloads GeoJSON by default', async () => {
+    Checkin.findBatch.mockResolvedValueOnce([checkin]);
+
+    const res = await request(app)
+      .get('/api/export')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('application/geo+json');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="swarm-export-\d{4}-\d{2}-\d{2}\.geojson"$/);
+    const geojson = JSON.parse(res.text);
+    expect(geojson.features).toHaveLength(1);
+    expect(geojson.features[0].properties.venue_name).toBe('Café Central');
+  });
+
+  test('passes the filters through for the authenticated user', async () => {
+    const res = await request(app)
+      .get('/api/export?format=csv&country=Austria&category=Café&category=Bar&startDate=2024-01-01')
+      .set('Authorization', `Bearer ${mockToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/csv');
+    expect(res.headers['content-disposition']).toContain('.csv"');
+    expect(Checkin.findBatch).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: 1, country: 'Austria', category: ['Café', 'Bar'], startDate: '2024-01-01' }),
+      { after: null, limit: 1000 }
+    );
+    // Activities have no venue to match the country against
+    expect(ActivityTrack.findBatch).not.toHaveBeenCalled();
+  });
+
+  test('includes activity tracks in GPX exports', async () => {
+    ActivityTrack.findBatch.mockResolvedValueOnce([{
+      id: 7,
+      source: 'strava',
+      activity_type: 'Run',
+      activity_name: 'Morning Run',
+      start_time: '2024-03-02T07:00:00.000Z',
+      geometry: '{"type":"LineString","coordinates":[[16.36,48.21],[16.37,48.22]]}'
+    }]);
+
+    const res = await request(app)
+      .get('/api/export?format=gpx&include=activities')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('<trk><name>Morning Run</name>');
+    expect(Checkin.findBatch).not.toHaveBeenCalled();
+  });
+
+  test('returns 400 for an unknown format', async () => {
+    const res = await request(app)
+      .get('/api/export?format=xlsx')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(400);
+    expect(Checkin.findBatch).not.toHaveBeenCalled();
+  });
+
+  test('returns 400 for out of range bounds', async () => {
+    const res = await request(app)
+      .get('/api/export?bounds=-200,10,20,30')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('Invalid bounds');
+  });
+
+  test('returns 401 without authentication', async () => {
+    const res = await request(app).get('/api/export');
+    expect(res.status).toBe(401);
+  });
+});
@@ -1,12 +1,14 @@
 const express = require('express');
 const router = express.Router();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const multer = require('multer');
 const { authenticateToken } = require('../middleware/auth');
-const garminJsonParser = require('../services/garminJsonParser');
-const GarminDailySteps = require('../models/garminDailySteps');
-const GarminDailyHeartRate = require('../models/garminDailyHeartRate');
-const GarminDailySleep = require('../models/garminDailySleep');
-const GarminDailyCalories = require('../models/garminDailyCalories');
+const garminActivityParser = require('../services/garminActivityParser');
+const garminImportService = require('../services/garminImportService');
+const ImportJob = require('../models/importJob');
+const { getQueue } = require('../jobs/queue');
 
 // Configure multer for file uploads (store in memory)
 const upload = multer({
@@ -18,16 +20,44 @@ const upload = multer({
   fileFilter: (req, file, cb) => {
     if (file.mimetype === 'application/json' || file.originalname.endsWith('.json')) {
       cb(null, true);
+    } else if (garminActivityParser.isActivityFile(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JSON, FIT, GPX and TCX files are allowed'));
+    }
+  }
+});
+
+// Full Garmin Connect exports are too large to buffer, store them on disk
+// until the import-garmin-export job has processed them
+const EXPORT_UPLOAD_DIR = process.env.GARMIN_EXPORT_DIR || path.join(os.tmpdir(), 'garmin-exports');
+
+const exportUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(EXPORT_UPLOAD_DIR, { recursive: true }, (error) => cb(error, EXPORT_UPLOAD_DIR));
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${req.user.id}-${Date.now()}.zip`);
+    }
+  }),
+  limits: {
+    fileSize: 4 * 1024 * 1024 * 1024, // 4GB, exports with years of FIT files get large
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.toLowerCase().endsWith('.zip')) {
+      cb(null, true);
     } else {
-      cb(new Error('Only JSON files are allowed'));
+      cb(new Error('Only ZIP files are allowed'));
     }
   }
 });
 
 /**
  * POST /api/garmin/upload
- * Upload Garmin data dump JSON files
- * Accepts UDS files and sleep data files
+ * Upload Garmin data dump files
+ * Accepts UDS and sleep data JSON files, and FIT/GPX/TCX activity files
  */
 router.post('/upload', authenticateToken, upload.array('files', 50), async (req, res) => {
   try {
@@ -40,79 +70,19 @@ router.post('/upload', authenticateToken, upload.array('files', 50), async (req,
 
     console.log(`[GARMIN ROUTE] Processing ${files.length} files for user ${userId}`);
 
-    const results = {
-      totalFiles: files.length,
-      processed: 0,
-      stepsRecords: 0,
-      heartRateRecords: 0,
-      sleepRecords: 0,
-      caloriesRecords: 0,
-      skippedRecords: 0,
-      errors: []
-    };
+    const results = garminImportService.createResults(files.length);
+
+    // Activities are collected and inserted in batches after all files are parsed
+    const activities = [];
 
     // Process each file
     for (const file of files) {
-      try {
-        const content = file.buffer.toString('utf-8');
-        const filename = file.originalname;
-
-        console.log(`[GARMIN ROUTE] Processing file: ${filename}`);
-
-        // Determine file type and parse accordingly
-        if (filename.includes('sleepData')) {
-          // Parse sleep data file
-          const rawData = JSON.parse(content);
-          const rawCount = rawData.length;
-          const sleepData = await garminJsonParser.parseSleepFile(content);
-          const validCount = sleepData.length;
-
-          // Track skipped records (those with null/missing dates)
-          const skipped = rawCount - validCount;
-          if (skipped > 0) {
-            results.skippedRecords += skipped;
-            console.log(`[GARMIN ROUTE] Skipped ${skipped} sleep record(s) with null/missing dates in ${filename}`);
-          }
-
-          // Insert sleep records
-          for (const record of sleepData) {
-            await GarminDailySleep.upsert({ ...record, user_id: userId });
-            results.sleepRecords++;
-          }
-        } else if (filename.startsWith('UDSFile')) {
-          // Parse UDS file (contains steps, heart rate, and calories)
-          const udsData = await garminJsonParser.parseUDSFile(content);
-
-          // Insert steps records
-          for (const record of udsData.steps) {
-            await GarminDailySteps.upsert({ ...record, user_id: userId });
-            results.stepsRecords++;
-          }
-
-          // Insert heart rate records
-          for (const record of udsData.heartRate) {
-            await GarminDailyHeartRate.upsert({ ...record, user_id: userId });
-            results.heartRateRecords++;
-          }
-
-          // Insert calories records
-          for (const record of udsData.calories) {
-            await GarminDailyCalories.upsert({ ...record, user_id: userId });
-            results.caloriesRecords++;
-          }
-        } else {
-          console.log(`[GARMIN ROUTE] Skipping unknown file type: ${filename}`);
-          results.errors.push(`Skipped unknown file type: ${filename}`);
-          continue;
-        }
-
-        results.processed++;
-      } catch (fileError) {
-        console.error(`[GARMIN ROUTE] Error processing file ${file.originalname}:`, fileError);
-        results.errors.push(`${file.originalname}: ${fileError.message}`);
-      }
+      console.log(`[GARMIN ROUTE] Processing file: ${file.originalname}`);
+      await garminImportService.importFile(userId, file.originalname, file.buffer, results, activities);
     }
 
+    await garminImportService.insertActivities(activities, results);
+
     console.log(`[GARMIN ROUTE] Upload complete for user ${userId}:`, results);
 
     res.json({
@@ -125,4 +95,86 @@ router.post('/upload', authenticateToken, upload.array('files', 50), async (req,
   }
 });
 
+/**
+ * POST /api/garmin/upload-export
+ * Upload a complete Garmin Connect export ZIP
+ * The archive is stored on disk and imported by the import-garmin-export job
+ */
+router.post('/upload-export', authenticateToken, exportUpload.single('file'), async (req, res) => {
+  const userId = req.user.id;
+  const file = req.file;
+
+  if (!file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  try {
+    // Create import job
+    const job = await ImportJob.create({
+      user_id: userId,
+      data_source: 'garmin',
+      status: 'queued'
+    });
+
+    // Queue background job
+    const boss = getQueue();
+    await boss.send('import-garmin-export', {
+      jobId: job.id,
+      userId,
+      filePath: file.path
+    });
+
+    console.log(`[GARMIN ROUTE] Queued export import job ${job.id} for user ${userId} (${file.size} bytes)`);
+
+    res.json({ jobId: job.id, status: 'queued' });
+  } catch (error) {
+    console.error('[GARMIN ROUTE] Export upload error:', error);
+
+    // Nothing will process the archive, don't leave it on disk
+    fs.promises.unlink(file.path).catch(() => {});
+
+    res.status(500).json({
+      error: 'Failed to queue export import',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/garmin/sync/status/:jobId
+ * Check export import job status
+ */
+router.get('/sync/status/:jobId', authenticateToken, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const userId = req.user.id;
+
+    const job = await ImportJob.findById(jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // Verify job belongs to user
+    if (job.user_id !== userId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      dataSource: job.data_source,
+      totalImported: job.total_imported,
+      totalExpected: job.total_expected,
+      currentBatch: job.current_batch,
+      startedAt: job.started_at,
+      completedAt: job.completed_at,
+      errorMessage: job.error_message
+    });
+  } catch (error) {
+    console.error('[GARMIN ROUTE] Sync status error:', error);
+    res.status(500).json({ error: 'Failed to get sync status' });
+  }
+});
+
 module.exports = router;
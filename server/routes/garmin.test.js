@@ -0,0 +1,222 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+jest.mock('../models/user');
+jest.mock('../models/importJob');
+jest.mock('../models/garminActivity');
+jest.mock('../models/garminDailySteps');
+jest.mock('../models/garminDailyHeartRate');
+jest.mock('../models/garminDailySleep');
+jest.mock('../models/garminDailyCalories');
+jest.mock('../models/garminDailyStress');
+jest.mock('../models/garminDailyBodyBattery');
+jest.mock('../models/garminDailySpo2');
+jest.mock('../models/garminDailyRespiration');
+jest.mock('../models/garminDailyMovement');
+jest.mock('../services/garminActivityParser', () => ({
+  isActivityFile: jest.fn((name) => /\.(fit|gpx|tcx)$/i.test(name)),
+  parseActivityFile: jest.fn()
+}));
+jest.mock('../services/geminiSessionManager', () => ({ startCleanupInterval: jest.fn() }));
+jest.mock('../jobs/queue', () => ({
+  initQueue: jest.fn().mockResolvedValue(undefined),
+  getQueue: jest.fn().mockReturnValue({ work: jest.fn(), send: jest.fn() }),
+  stopQueue: jest.fn()
+}));
+
+// Keep uploaded export archives out of the shared temp directory
+process.env.GARMIN_EXPORT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'garmin-route-test-'));
+
+const User = require('../models/user');
+const ImportJob = require('../models/importJob');
+const { getQueue } = require('../jobs/queue');
+const GarminActivity = require('../models/garminActivity');
+const GarminDailySteps = require('../models/garminDailySteps');
+const GarminDailyHeartRate = require('../models/garminDailyHeartRate');
+const GarminDailyCalories = require('../models/garminDailyCalories');
+const garminActivityParser = require('../services/garminActivityParser');
+const app = require('../server');
+
+const mockToken = 'test-token';
+const mockUser = { id: 1, display_name: 'Test User' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findBySecretToken.mockResolvedValue(mockUser);
+  User.update.mockResolvedValue({});
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.GARMIN_EXPORT_DIR, { recursive: true, force: true });
+});
+
+describe('Garmin Routes', () => {
+  describe('POST /api/garmin/upload', () => {
+    test('returns 401 without authentication', async () => {
+      const res = await request(app).post('/api/garmin/upload');
+      expect(res.status).toBe(401);
+    });
+
+    test('returns 400 when no files are uploaded', async () => {
+      const res = await request(app)
+        .post('/api/garmin/upload')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(400);
+    });
+
+    test('imports UDS JSON files', async () => {
+      const uds = JSON.stringify([{ calendarDate: '2024-05-01', totalSteps: 1000, totalKilocalories: 2000 }]);
+
+      const res = await request(app)
+        .post('/api/garmin/upload')
+        .set('x-auth-token', mockToken)
+        .attach('files', Buffer.from(uds), { filename: 'UDSFile_1.json', contentType: 'application/json' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.stepsRecords).toBe(1);
+      expect(GarminDailySteps.upsert).toHaveBeenCalledWith(expect.objectContaining({ user_id: 1, step_count: 1000 }));
+      expect(GarminDailyHeartRate.upsert).toHaveBeenCalled();
+      expect(GarminDailyCalories.upsert).toHaveBeenCalled();
+    });
+
+    test('imports activity files and reports duplicates', async () => {
+      garminActivityParser.parseActivityFile
+        .mockResolvedValueOnce({ garmin_activity_id: '111', start_time: '2024-05-01T07:00:00.000Z' })
+        .mockResolvedValueOnce({ garmin_activity_id: '222', start_time: '2024-05-02T07:00:00.000Z' });
+      GarminActivity.bulkInsert.mockResolvedValue(1);
+
+      const res = await request(app)
+        .post('/api/garmin/upload')
+        .set('x-auth-token', mockToken)
+        .attach('files', Buffer.from([0x0e, 0x10]), '111_ACTIVITY.fit')
+        .attach('files', Buffer.from('<gpx></gpx>'), '222.gpx');
+
+      expect(res.status).toBe(200);
+      expect(res.body.processed).toBe(2);
+      expect(res.body.activitiesImported).toBe(1);
+      expect(res.body.duplicateActivities).toBe(1);
+      expect(GarminActivity.bulkInsert).toHaveBeenCalledWith([
+        expect.objectContaining({ garmin_activity_id: '111', user_id: 1 }),
+        expect.objectContaining({ garmin_activity_id: '222', user_id: 1 })
+      ]);
+    });
+
+    test('reports activity files without data as errors', async () => {
+      garminActivityParser.parseActivityFile.mockResolvedValueOnce(null);
+
+      const res = await request(app)
+        .post('/api/garmin/upload')
+        .set('x-auth-token', mockToken)
+        .attach('files', Buffer.from('<gpx></gpx>'), 'empty.gpx');
+
+      expect(res.status).toBe(200);
+      expect(res.body.processed).toBe(0);
+      expect(res.body.errors).toEqual(['empty.gpx: No activity data found']);
+      expect(GarminActivity.bulkInsert).not.toHaveBeenCalled();
+    });
+
+    test('reports parse failures per file', async () => {
+      garminActivityParser.parseActivityFile.mockRejectedValueOnce(new Error('Corrupt FIT header'));
+
+      const res = await request(app)
+        .post('/api/garmin/upload')
+        .set('x-auth-token', mockToken)
+        .attach('files', Buffer.from([0x00]), 'broken.fit');
+
+      expect(res.status).toBe(200);
+      expect(res.body.errors).toEqual(['broken.fit: Corrupt FIT header']);
+    });
+  });
+
+  describe('POST /api/garmin/upload-export', () => {
+    test('returns 400 when no file is uploaded', async () => {
+      const res = await request(app)
+        .post('/api/garmin/upload-export')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(400);
+    });
+
+    test('stores the archive and queues an import job', async () => {
+      ImportJob.create.mockResolvedValue({ id: 42 });
+
+      const res = await request(app)
+        .post('/api/garmin/upload-export')
+        .set('x-auth-token', mockToken)
+        .attach('file', Buffer.from('PK'), 'garmin-export.zip');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ jobId: 42, status: 'queued' });
+      expect(ImportJob.create).toHaveBeenCalledWith({ user_id: 1, data_source: 'garmin', status: 'queued' });
+
+      const [queueName, data] = getQueue().send.mock.calls[0];
+      expect(queueName).toBe('import-garmin-export');
+      expect(data).toMatchObject({ jobId: 42, userId: 1 });
+      expect(path.dirname(data.filePath)).toBe(process.env.GARMIN_EXPORT_DIR);
+      expect(fs.existsSync(data.filePath)).toBe(true);
+    });
+
+    test('removes the archive when the job cannot be queued', async () => {
+      ImportJob.create.mockRejectedValue(new Error('db down'));
+
+      const res = await request(app)
+        .post('/api/garmin/upload-export')
+        .set('x-auth-token', mockToken)
+        .attach('file', Buffer.from('PK'), 'garmin-export.zip');
+
+      expect(res.status).toBe(500);
+      // Unlink is fire-and-forget, give it a tick
+      await new Promise(resolve => setImmediate(resolve));
+      expect(fs.readdirSync(process.env.GARMIN_EXPORT_DIR)).toHaveLength(1);
+    });
+  });
+
+  describe('GET /api/garmin/sync/status/:jobId', () => {
+    test('returns job progress', async () => {
+      ImportJob.findById.mockResolvedValue({
+        id: 42,
+        user_id: 1,
+        status: 'running',
+        data_source: 'garmin',
+        total_imported: 10,
+        total_expected: 40,
+        current_batch: null
+      });
+
+      const res = await request(app)
+        .get('/api/garmin/sync/status/42')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        jobId: 42,
+        status: 'running',
+        dataSource: 'garmin',
+        totalImported: 10,
+        totalExpected: 40
+      });
+    });
+
+    test('returns 404 for unknown jobs', async () => {
+      ImportJob.findById.mockResolvedValue(null);
+
+      const res = await request(app)
+        .get('/api/garmin/sync/status/99')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(404);
+    });
+
+    test("returns 403 for another user's job", async () => {
+      ImportJob.findById.mockResolvedValue({ id: 42, user_id: 2 });
+
+      const res = await request(app)
+        .get('/api/garmin/sync/status/42')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
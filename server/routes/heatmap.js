@@ -0,0 +1,86 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Checkin = require('../models/checkin');
+const ActivityTrack = require('../models/activityTrack');
+const { authenticateToken } = require('../middleware/auth');
+const { heatmapCellSize } = require('../utils/geoUtils');
+
+const router = express.Router();
+
+/**
+ * Convert grid cells into GeoJSON point features tagged with their source
+ */
+function cellsToFeatures(cells, source) {
+  return cells.map(cell => ({
+    type: 'Feature',
+    geometry: {
+      type: 'Point',
+      coordinates: [cell.lng, cell.lat]
+    },
+    properties: {
+      source,
+      weight: cell.weight
+    }
+  }));
+}
+
+// GET /api/heatmap
+// Requires authentication - returns pre-aggregated density grid for the user's
+// check-ins (weighted by visit count) and optionally sampled activity tracks
+router.get(
+  '/',
+  authenticateToken,
+  [
+    query('startDate').optional().isISO8601().toDate(),
+    query('endDate').optional().isISO8601().toDate(),
+    query('category').optional(),
+    query('country').optional().isString(),
+    query('city').optional().isString(),
+    query('search').optional().isString(),
+    query('bounds').optional().isString()
+      .matches(/^-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*$/)
+      .withMessage('bounds must be in format: minLng,minLat,maxLng,maxLat'),
+    query('zoom').optional().isInt({ min: 0, max: 20 }).toInt(),
+    query('includeTracks').optional().isBoolean()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const filters = {
+        ...req.query,
+        userId: req.user.id
+      };
+      const includeTracks = req.query.includeTracks === 'true';
+
+      const [checkinCells, trackCells] = await Promise.all([
+        Checkin.getHeatmapGrid(filters),
+        includeTracks
+          ? ActivityTrack.getHeatmapGrid({
+            userId: req.user.id,
+            bounds: req.query.bounds,
+            zoom: req.query.zoom,
+            startDate: req.query.startDate,
+            endDate: req.query.endDate
+          })
+          : []
+      ]);
+
+      res.json({
+        type: 'FeatureCollection',
+        cellSize: heatmapCellSize(parseInt(req.query.zoom, 10) || 0),
+        features: [
+          ...cellsToFeatures(checkinCells, 'checkins'),
+          ...cellsToFeatures(trackCells, 'tracks')
+        ]
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const request = require('supertest');
+jest.mock('../models/user');
+jest.mock('../models/checkin');
+jest.mock('../models/activityTrack');
+jest.mock('../services/geminiSessionManager', () => ({ startCleanupInterval: jest.fn() }));
+jest.mock('../jobs/queue', () => ({
+  initQueue: jest.fn().mockResolvedValue(undefined),
+  getQueue: jest.fn().mockReturnValue({ work: jest.fn(), send: jest.fn() }),
+  stopQueue: jest.fn()
+}));
+
+const User = require('../models/user');
+const Checkin = require('../models/checkin');
+const ActivityTrack = require('../models/activityTrack');
+const app = require('../server');
+
+const mockToken = 'test-token';
+const mockUser = { id: 1, display_name: 'Test User' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findBySecretToken.mockResolvedValue(mockUser);
+  User.update.mockResolvedValue({});
+});
+
+describe('Heatmap Routes', () => {
+  describe('GET /api/heatmap', () => {
+    test('returns check-in density grid as GeoJSON', async () => {
+      Checkin.getHeatmapGrid.mockResolvedValue([{ lng: -0.1, lat: 51.5, weight: 12 }]);
+
+      const res = await request(app)
+        .get('/api/heatmap?zoom=5')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(200);
+      expect(res.body.type).toBe('FeatureCollection');
+      expect(res.body.cellSize).toBeGreaterThan(0);
+      expect(res.body.features).toEqual([{
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [-0.1, 51.5] },
+        properties: { source: 'checkins', weight: 12 }
+      }]);
+      expect(Checkin.getHeatmapGrid).toHaveBeenCalledWith(expect.objectContaining({ userId: 1 }));
+      expect(ActivityTrack.getHeatmapGrid).not.toHaveBeenCalled();
+    });
+
+    test('blends in activity track cells when includeTracks=true', async () => {
+      Checkin.getHeatmapGrid.mockResolvedValue([{ lng: -0.1, lat: 51.5, weight: 3 }]);
+      ActivityTrack.getHeatmapGrid.mockResolvedValue([{ lng: -0.2, lat: 51.4, weight: 7 }]);
+
+      const res = await request(app)
+        .get('/api/heatmap?includeTracks=true&bounds=-1,51,1,52')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(200);
+      expect(res.body.features.map(f => f.properties.source)).toEqual(['checkins', 'tracks']);
+      expect(ActivityTrack.getHeatmapGrid).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 1, bounds: '-1,51,1,52' })
+      );
+    });
+
+    test('returns 401 without authentication', async () => {
+      const res = await request(app).get('/api/heatmap');
+      expect(res.status).toBe(401);
+    });
+
+    test('returns 400 for invalid bounds format', async () => {
+      const res = await request(app)
+        .get('/api/heatmap?bounds=invalid')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toBeDefined();
+    });
+
+    test('returns 500 on model error', async () => {
+      Checkin.getHeatmapGrid.mockRejectedValue(new Error('DB error'));
+
+      const res = await request(app)
+        .get('/api/heatmap')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(500);
+    });
+  });
+});
@@ -1,9 +1,48 @@
 const express = require('express');
 const router = express.Router();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
 const { authenticateToken } = require('../middleware/auth');
 const ImportJob = require('../models/importJob');
 const { getQueue } = require('../jobs/queue');
 
+// Uploaded Swarm exports wait on disk until the import-swarm-export job has processed them
+const EXPORT_UPLOAD_DIR = process.env.SWARM_EXPORT_DIR || path.join(os.tmpdir(), 'swarm-exports');
+
+const exportUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(EXPORT_UPLOAD_DIR, { recursive: true }, (error) => cb(error, EXPORT_UPLOAD_DIR));
+    },
+    filename: (req, file, cb) => {
+      // Keep the extension, the job reads ZIPs and JSON files differently
+      const extension = path.extname(file.originalname).toLowerCase();
+      cb(null, `${req.user.id}-${Date.now()}${extension}`);
+    }
+  }),
+  limits: {
+    fileSize: 1024 * 1024 * 1024, // 1GB, exports include every check-in ever made
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(zip|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only ZIP and JSON files are allowed'));
+    }
+  }
+});
+
+/**
+ * Find the user's pending or running import, if any
+ */
+async function findActiveImport(userId) {
+  const existingJobs = await ImportJob.findByUserId(userId);
+  return existingJobs.find(job => job.status === 'running' || job.status === 'pending');
+}
+
 /**
  * POST /api/import/start
  * Start a new import job for the authenticated user
@@ -14,8 +53,7 @@ router.post('/start', authenticateToken, async (req, res) => {
     const userId = req.user.id;
 
     // Check if there's already a running import for this user
-    const existingJobs = await ImportJob.findByUserId(userId);
-    const runningJob = existingJobs.find(job => job.status === 'running' || job.status === 'pending');
+    const runningJob = await findActiveImport(userId);
 
     if (runningJob) {
       return res.status(409).json({
@@ -53,6 +91,66 @@ router.post('/start', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/import/upload
+ * Upload a Foursquare/Swarm data export (the export ZIP, or a check-ins JSON file)
+ * The file is stored on disk and imported by the import-swarm-export job
+ * Requires magic link token
+ */
+router.post('/upload', authenticateToken, exportUpload.single('file'), async (req, res) => {
+  const userId = req.user.id;
+  const file = req.file;
+
+  if (!file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  try {
+    // Same rule as /start: one import at a time
+    const runningJob = await findActiveImport(userId);
+
+    if (runningJob) {
+      fs.promises.unlink(file.path).catch(() => {});
+      return res.status(409).json({
+        error: 'Import already in progress',
+        jobId: runningJob.id
+      });
+    }
+
+    const job = await ImportJob.create({
+      user_id: userId,
+      data_source: 'foursquare',
+      status: 'pending'
+    });
+
+    const queue = getQueue();
+    await queue.send('import-swarm-export', {
+      jobId: job.id,
+      userId,
+      filePath: file.path
+    });
+
+    console.log(`[IMPORT ROUTE] Queued Swarm export import job ${job.id} for user ${userId} (${file.size} bytes)`);
+
+    res.json({
+      jobId: job.id,
+      status: 'pending',
+      message: 'Export import queued'
+    });
+
+  } catch (error) {
+    console.error('Upload export error:', error);
+
+    // Nothing will process the file, don't leave it on disk
+    fs.promises.unlink(file.path).catch(() => {});
+
+    res.status(500).json({
+      error: 'Failed to queue export import',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/import/status/:jobId
  * Get status of an import job
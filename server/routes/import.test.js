@@ -1,3 +1,6 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 jest.mock('../models/user');
 jest.mock('../models/importJob');
@@ -8,6 +11,9 @@ jest.mock('../jobs/queue', () => ({
   stopQueue: jest.fn()
 }));
 
+// Keep uploaded exports out of the shared temp directory
+process.env.SWARM_EXPORT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'swarm-route-test-'));
+
 const User = require('../models/user');
 const ImportJob = require('../models/importJob');
 const { getQueue } = require('../jobs/queue');
@@ -57,6 +63,65 @@ describe('Import Routes', () => {
     });
   });
 
+  describe('POST /api/import/upload', () => {
+    test('returns 400 when no file is uploaded', async () => {
+      const res = await request(app)
+        .post('/api/import/upload')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(400);
+    });
+
+    test('stores the export and queues an import job', async () => {
+      ImportJob.findByUserId.mockResolvedValue([]);
+      ImportJob.create.mockResolvedValue({ id: 43, status: 'pending' });
+
+      const res = await request(app)
+        .post('/api/import/upload')
+        .set('x-auth-token', mockToken)
+        .attach('file', Buffer.from('PK'), 'foursquare-export.ZIP');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ jobId: 43, status: 'pending', message: 'Export import queued' });
+      expect(ImportJob.create).toHaveBeenCalledWith({ user_id: 1, data_source: 'foursquare', status: 'pending' });
+
+      const [queueName, data] = getQueue().send.mock.calls[0];
+      expect(queueName).toBe('import-swarm-export');
+      expect(data).toMatchObject({ jobId: 43, userId: 1 });
+      expect(path.dirname(data.filePath)).toBe(process.env.SWARM_EXPORT_DIR);
+      expect(path.extname(data.filePath)).toBe('.zip');
+      expect(fs.existsSync(data.filePath)).toBe(true);
+    });
+
+    test('rejects other file types', async () => {
+      const res = await request(app)
+        .post('/api/import/upload')
+        .set('x-auth-token', mockToken)
+        .attach('file', Buffer.from('a,b'), 'checkins.csv');
+
+      expect(res.status).toBe(500);
+      expect(ImportJob.create).not.toHaveBeenCalled();
+    });
+
+    test('prevents uploads while an import is running (409)', async () => {
+      ImportJob.findByUserId.mockResolvedValue([{ id: 10, status: 'running' }]);
+
+      const res = await request(app)
+        .post('/api/import/upload')
+        .set('x-auth-token', mockToken)
+        .attach('file', Buffer.from('[]'), 'checkins.json');
+
+      expect(res.status).toBe(409);
+      expect(res.body.jobId).toBe(10);
+      expect(getQueue().send).not.toHaveBeenCalled();
+    });
+
+    test('returns 401 without authentication', async () => {
+      const res = await request(app).post('/api/import/upload');
+      expect(res.status).toBe(401);
+    });
+  });
+
   describe('GET /api/import/status/:jobId', () => {
     test('returns job status', async () => {
       ImportJob.findById.mockResolvedValue({
@@ -0,0 +1,133 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const CachedPhoto = require('../models/cachedPhoto');
+const Photo = require('../models/photo');
+const photoCache = require('../services/photoCache');
+const { getPhotoStorage } = require('../services/photoStorage');
+const { authenticateToken, authenticateSignedUrl } = require('../middleware/auth');
+
+const router = express.Router();
+
+// GET /api/photos
+// Requires authentication - pages through the user's check-in and Strava
+// photos, newest first, with photo counts per year for the date facet
+router.get(
+  '/',
+  authenticateToken,
+  [
+    query('startDate').optional().isISO8601().toDate(),
+    query('endDate').optional().isISO8601().toDate(),
+    query('category').optional(),
+    query('country').optional().isString(),
+    query('city').optional().isString(),
+    query('search').optional().isString(),
+    query('bounds').optional().isString()
+      .matches(/^-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*$/)
+      .withMessage('bounds must be in format: minLng,minLat,maxLng,maxLat'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const filters = {
+        ...req.query,
+        userId: req.user.id,
+        limit: parseInt(req.query.limit, 10) || 60,
+        offset: parseInt(req.query.offset, 10) || 0
+      };
+
+      const [{ data, total }, years] = await Promise.all([
+        Photo.find(filters),
+        Photo.getYearCounts(filters)
+      ]);
+
+      res.json({
+        data: data.map(photo => ({
+          source: photo.source,
+          id: photo.id,
+          url: photoCache.signedUrl(photo.photo_url_cached, req.user.id) || photo.photo_url,
+          width: photo.width,
+          height: photo.height,
+          taken_at: photo.taken_at,
+          latitude: photo.latitude,
+          longitude: photo.longitude,
+          venue_id: photo.venue_id,
+          venue_name: photo.venue_name,
+          venue_category: photo.venue_category,
+          city: photo.city,
+          country: photo.country,
+          strava_activity_id: photo.strava_activity_id,
+          activity_name: photo.activity_name,
+          activity_type: photo.activity_type
+        })),
+        total,
+        limit: filters.limit,
+        offset: filters.offset,
+        years
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/photos/:id?size=thumb|medium|original
+// Requires authentication (or the signed URL photo listings return, for <img>
+// tags) - serves a cached copy of one of the user's check-in or Strava photos.
+// Photos that aren't cached yet are 404, their source URL comes from the
+// user's import and isn't redirected to.
+router.get(
+  '/:id',
+  authenticateSignedUrl,
+  [
+    param('id').isInt({ min: 1 }),
+    query('size').optional().isIn(photoCache.sizes)
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const id = parseInt(req.params.id, 10);
+      const size = req.query.size || 'medium';
+
+      const photo = await CachedPhoto.findByIdForUser(id, req.user.id);
+      if (!photo) {
+        return res.status(404).json({ error: 'Photo not found' });
+      }
+
+      if (photo.status !== 'cached') {
+        return res.status(404).json({ error: 'Photo not cached' });
+      }
+
+      const stream = await getPhotoStorage().get(photoCache.sizeKey(photo, size));
+      if (!stream) {
+        console.log(`[PHOTOS] Cached photo ${photo.id} missing from storage`);
+        return res.status(404).json({ error: 'Photo not cached' });
+      }
+
+      res.set({
+        'Content-Type': photoCache.sizeContentType(photo, size),
+        // Served from the API origin: never sniffed or run as a document
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': "default-src 'none'; sandbox",
+        // Cached files never change, the URL is signed for the user
+        'Cache-Control': 'private, max-age=31536000, immutable'
+      });
+
+      stream.on('error', next);
+      stream.pipe(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,217 @@
+const { Readable } = require('stream');
+const request = require('supertest');
+jest.mock('../models/user');
+jest.mock('../models/cachedPhoto');
+jest.mock('../models/photo');
+jest.mock('../services/photoStorage', () => ({ getPhotoStorage: jest.fn() }));
+jest.mock('../services/geminiSessionManager', () => ({ startCleanupInterval: jest.fn() }));
+jest.mock('../jobs/queue', () => ({
+  initQueue: jest.fn().mockResolvedValue(undefined),
+  getQueue: jest.fn().mockReturnValue({ work: jest.fn(), send: jest.fn() }),
+  stopQueue: jest.fn()
+}));
+
+const User = require('../models/user');
+const CachedPhoto = require('../models/cachedPhoto');
+const Photo = require('../models/photo');
+const { getPhotoStorage } = require('../services/photoStorage');
+const { signUrl } = require('../services/urlSigner');
+const app = require('../server');
+
+const mockToken = 'test-token';
+const mockUser = { id: 1, display_name: 'Test User' };
+const storage = { get: jest.fn() };
+
+const cachedPhoto = {
+  id: 7,
+  user_id: 1,
+  status: 'cached',
+  storage_key: '1/7',
+  content_type: 'image/png',
+  source_url: 'https://cdn.example/7.jpg'
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findBySecretToken.mockResolvedValue(mockUser);
+  User.update.mockResolvedValue({});
+  getPhotoStorage.mockReturnValue(storage);
+});
+
+describe('GET /api/photos', () => {
+  test('returns a page of photos with year counts', async () => {
+    Photo.find.mockResolvedValue({
+      data: [
+        {
+          source: 'checkin',
+          id: 4,
+          photo_url: 'https://cdn.example/4.jpg',
+          photo_url_cached: '/api/photos/12',
+          taken_at: '2024-05-01T10:00:00.000Z',
+          latitude: 35.6,
+          longitude: 139.7,
+          venue_id: 'v1',
+          venue_name: 'Ramen Shop',
+          strava_activity_id: null
+        },
+        {
+          source: 'strava',
+          id: 9,
+          photo_url: 'https://strava.example/9.jpg',
+          photo_url_cached: null,
+          taken_at: '2024-04-01T08:00:00.000Z',
+          strava_activity_id: 2,
+          activity_name: 'Morning Run'
+        }
+      ],
+      total: 2
+    });
+    Photo.getYearCounts.mockResolvedValue([{ year: 2024, count: 2 }]);
+
+    const res = await request(app)
+      .get('/api/photos?country=Japan&limit=20&offset=40')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(2);
+    expect(res.body.limit).toBe(20);
+    expect(res.body.offset).toBe(40);
+    expect(res.body.years).toEqual([{ year: 2024, count: 2 }]);
+    expect(res.body.data[0]).toMatchObject({ source: 'checkin', id: 4, venue_name: 'Ramen Shop' });
+    // Cached copies are signed for <img> tags
+    expect(res.body.data[0].url).toMatch(/^\/api\/photos\/12\?user=1&expires=\d+&signature=[\w-]+$/);
+    expect(res.body.data[1]).toMatchObject({ source: 'strava', id: 9, url: 'https://strava.example/9.jpg', activity_name: 'Morning Run' });
+    expect(Photo.find).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 1,
+      country: 'Japan',
+      limit: 20,
+      offset: 40
+    }));
+  });
+
+  test('defaults to the first 60 photos', async () => {
+    Photo.find.mockResolvedValue({ data: [], total: 0 });
+    Photo.getYearCounts.mockResolvedValue([]);
+
+    const res = await request(app)
+      .get('/api/photos')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(200);
+    expect(Photo.find).toHaveBeenCalledWith(expect.objectContaining({ limit: 60, offset: 0 }));
+  });
+
+  test('returns 400 for malformed bounds', async () => {
+    const res = await request(app)
+      .get('/api/photos?bounds=not-bounds')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(400);
+    expect(Photo.find).not.toHaveBeenCalled();
+  });
+
+  test('returns 400 for a limit over 200', async () => {
+    const res = await request(app)
+      .get('/api/photos?limit=500')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(400);
+  });
+
+  test('returns 401 without authentication', async () => {
+    const res = await request(app).get('/api/photos');
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/photos/:id', () => {
+  test('serves the medium size by default', async () => {
+    CachedPhoto.findByIdForUser.mockResolvedValue(cachedPhoto);
+    storage.get.mockResolvedValue(Readable.from([Buffer.from('medium jpeg')]));
+
+    const res = await request(app)
+      .get('/api/photos/7')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/jpeg');
+    expect(res.headers['cache-control']).toContain('private');
+    expect(res.body.toString()).toBe('medium jpeg');
+    expect(CachedPhoto.findByIdForUser).toHaveBeenCalledWith(7, 1);
+    expect(storage.get).toHaveBeenCalledWith('1/7/medium');
+  });
+
+  test('serves the original with its content type from a signed URL', async () => {
+    User.findById.mockResolvedValue(mockUser);
+    CachedPhoto.findByIdForUser.mockResolvedValue(cachedPhoto);
+    storage.get.mockResolvedValue(Readable.from([Buffer.from('png')]));
+
+    const res = await request(app).get(`${signUrl('/api/photos/7', 1)}&size=original`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/png');
+    expect(res.headers['x-content-type-options']).toBe('nosniff');
+    expect(res.headers['content-security-policy']).toBe("default-src 'none'; sandbox");
+    expect(CachedPhoto.findByIdForUser).toHaveBeenCalledWith(7, 1);
+    expect(storage.get).toHaveBeenCalledWith('1/7/original');
+  });
+
+  test('rejects tokens in the query and forged signatures', async () => {
+    const forged = signUrl('/api/photos/7', 1).replace(/signature=[\w-]+/, 'signature=forged');
+
+    expect((await request(app).get(`/api/photos/7?token=${mockToken}`)).status).toBe(401);
+    expect((await request(app).get(forged)).status).toBe(401);
+    expect(CachedPhoto.findByIdForUser).not.toHaveBeenCalled();
+  });
+
+  test('returns 404 instead of redirecting to the source while the photo is not cached', async () => {
+    CachedPhoto.findByIdForUser.mockResolvedValue({ ...cachedPhoto, status: 'pending', storage_key: null });
+
+    const res = await request(app)
+      .get('/api/photos/7')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(404);
+    expect(res.headers.location).toBeUndefined();
+    expect(storage.get).not.toHaveBeenCalled();
+  });
+
+  test('returns 404 when the file is missing from storage', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    CachedPhoto.findByIdForUser.mockResolvedValue(cachedPhoto);
+    storage.get.mockResolvedValue(null);
+
+    const res = await request(app)
+      .get('/api/photos/7?size=thumb')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(404);
+    expect(res.headers.location).toBeUndefined();
+    console.log.mockRestore();
+  });
+
+  test('returns 404 for photos of other users', async () => {
+    CachedPhoto.findByIdForUser.mockResolvedValue(null);
+
+    const res = await request(app)
+      .get('/api/photos/8')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Photo not found' });
+  });
+
+  test('returns 400 for an unknown size', async () => {
+    const res = await request(app)
+      .get('/api/photos/7?size=huge')
+      .set('x-auth-token', mockToken);
+
+    expect(res.status).toBe(400);
+    expect(CachedPhoto.findByIdForUser).not.toHaveBeenCalled();
+  });
+
+  test('returns 401 without authentication', async () => {
+    const res = await request(app).get('/api/photos/7');
+    expect(res.status).toBe(401);
+  });
+});
@@ -14,6 +14,7 @@ router.get(
     query('startDate').optional().isISO8601().toDate(),
     query('endDate').optional().isISO8601().toDate(),
     query('category').optional(),
+    query('categoryLevel').optional().isIn(['top', 'mid']),
     query('country').optional().isString(),
     query('city').optional().isString()
   ],
@@ -49,6 +50,7 @@ router.get(
     query('period2_start').isISO8601().toDate(),
     query('period2_end').isISO8601().toDate(),
     query('category').optional(),
+    query('categoryLevel').optional().isIn(['top', 'mid']),
     query('country').optional().isString(),
     query('city').optional().isString()
   ],
@@ -65,6 +67,7 @@ router.get(
         period2_start,
         period2_end,
         category,
+        categoryLevel,
         country,
         city
       } = req.query;
@@ -72,6 +75,7 @@ router.get(
       // Filter to authenticated user's data only
       const baseFilters = {
         category,
+        categoryLevel,
         country,
         city,
         userId: req.user.id
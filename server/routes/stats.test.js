@@ -36,6 +36,28 @@ describe('Stats Routes', () => {
       expect(Checkin.getStats).toHaveBeenCalledWith(expect.objectContaining({ userId: 1 }));
     });
 
+    test('passes the category level through to getStats', async () => {
+      Checkin.getStats.mockResolvedValue({ total_checkins: 0, top_countries: [], top_categories: [] });
+
+      const res = await request(app)
+        .get('/api/stats?categoryLevel=top&category=Food')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(200);
+      expect(Checkin.getStats).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 1, categoryLevel: 'top', category: 'Food'
+      }));
+    });
+
+    test('returns 400 for an unknown category level', async () => {
+      const res = await request(app)
+        .get('/api/stats?categoryLevel=leafy')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(400);
+      expect(Checkin.getStats).not.toHaveBeenCalled();
+    });
+
     test('returns 401 without authentication', async () => {
       const res = await request(app).get('/api/stats');
       expect(res.status).toBe(401);
@@ -60,6 +82,20 @@ describe('Stats Routes', () => {
       expect(Checkin.getStats).toHaveBeenCalledWith(expect.objectContaining({ userId: 1 }));
     });
 
+    test('compares both periods at the requested category level', async () => {
+      Checkin.getStats.mockResolvedValue({ total_checkins: 1, top_countries: [], top_categories: [] });
+
+      const res = await request(app)
+        .get('/api/stats/compare?period1_start=2024-01-01T00:00:00.000Z&period1_end=2024-06-30T00:00:00.000Z&period2_start=2024-07-01T00:00:00.000Z&period2_end=2024-12-31T00:00:00.000Z&categoryLevel=mid')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(200);
+      expect(Checkin.getStats).toHaveBeenCalledTimes(2);
+      for (const [filters] of Checkin.getStats.mock.calls) {
+        expect(filters.categoryLevel).toBe('mid');
+      }
+    });
+
     test('returns 400 without required date params', async () => {
       const res = await request(app)
         .get('/api/stats/compare')
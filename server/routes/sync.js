@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { syncAllDataSources } = require('../services/syncAll');
-const User = require('../models/user');
+const { getRequestToken, resolveToken } = require('../middleware/auth');
 
 /**
  * POST /api/sync/all
@@ -10,15 +10,16 @@ const User = require('../models/user');
  */
 router.post('/all', async (req, res) => {
   try {
-    const token = req.query.token || req.headers['x-auth-token'];
+    const token = getRequestToken(req);
     if (!token) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    const user = await User.findBySecretToken(token);
-    if (!user) {
+    const resolved = await resolveToken(token);
+    if (!resolved) {
       return res.status(401).json({ error: 'Invalid token' });
     }
+    const { user } = resolved;
 
     const results = await syncAllDataSources(user.id);
 
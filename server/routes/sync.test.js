@@ -32,7 +32,8 @@ describe('Sync Routes', () => {
       };
 
       const mockSyncResults = {
-        foursquare: { status: 'queued', jobId: 123 }
+        foursquare: { status: 'queued', jobId: 123 },
+        strava: { status: 'queued', jobId: 124 }
       };
 
       User.findBySecretToken.mockResolvedValueOnce(mockUser);
@@ -44,8 +45,7 @@ describe('Sync Routes', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.results).toBeDefined();
-      expect(response.body.results.foursquare).toBeDefined();
+      expect(response.body.results).toEqual(mockSyncResults);
       expect(response.body.message).toBe('Sync jobs queued. Check progress in import history.');
       expect(User.findBySecretToken).toHaveBeenCalledWith('test-token-123');
       expect(syncAllDataSources).toHaveBeenCalledWith(1);
@@ -84,7 +84,8 @@ describe('Sync Routes', () => {
       syncAllDataSources.mockResolvedValueOnce(mockSyncResults);
 
       const response = await request(app)
-        .post('/api/sync/all?token=test-token-123');
+        .post('/api/sync/all')
+        .set('Authorization', 'Bearer test-token-123');
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
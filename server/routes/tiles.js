@@ -0,0 +1,60 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const ActivityTrack = require('../models/activityTrack');
+const { authenticateToken } = require('../middleware/auth');
+const { isValidTile } = require('../utils/geoUtils');
+
+const router = express.Router();
+
+// GET /api/tiles/activities/:z/:x/:y.mvt
+// Requires authentication - returns the user's Strava/Garmin tracks as a Mapbox Vector Tile
+// The map sends the access token in an Authorization header (transformRequest)
+router.get(
+  '/activities/:z/:x/:y.mvt',
+  authenticateToken,
+  [
+    param('z').isInt({ min: 0, max: 22 }).toInt(),
+    param('x').isInt({ min: 0 }).toInt(),
+    param('y').isInt({ min: 0 }).toInt(),
+    query('startDate').optional().isISO8601().toDate(),
+    query('endDate').optional().isISO8601().toDate()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const z = parseInt(req.params.z, 10);
+      const x = parseInt(req.params.x, 10);
+      const y = parseInt(req.params.y, 10);
+
+      if (!isValidTile(z, x, y)) {
+        return res.status(400).json({ error: 'Tile coordinates out of range for zoom level' });
+      }
+
+      const tile = await ActivityTrack.getTile({
+        userId: req.user.id,
+        z,
+        x,
+        y,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate
+      });
+
+      res.set('Cache-Control', 'private, max-age=300');
+
+      if (tile.length === 0) {
+        return res.status(204).end();
+      }
+
+      res.set('Content-Type', 'application/vnd.mapbox-vector-tile');
+      res.send(tile);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
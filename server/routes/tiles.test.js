@@ -0,0 +1,83 @@
+const request = require('supertest');
+jest.mock('../models/user');
+jest.mock('../models/activityTrack');
+jest.mock('../services/geminiSessionManager', () => ({ startCleanupInterval: jest.fn() }));
+jest.mock('../jobs/queue', () => ({
+  initQueue: jest.fn().mockResolvedValue(undefined),
+  getQueue: jest.fn().mockReturnValue({ work: jest.fn(), send: jest.fn() }),
+  stopQueue: jest.fn()
+}));
+
+const User = require('../models/user');
+const ActivityTrack = require('../models/activityTrack');
+const app = require('../server');
+
+const mockToken = 'test-token';
+const mockUser = { id: 1, display_name: 'Test User' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findBySecretToken.mockResolvedValue(mockUser);
+  User.update.mockResolvedValue({});
+});
+
+describe('Tiles Routes', () => {
+  describe('GET /api/tiles/activities/:z/:x/:y.mvt', () => {
+    test('returns a vector tile for authenticated user', async () => {
+      ActivityTrack.getTile.mockResolvedValue(Buffer.from([0x1a, 0x02]));
+
+      const res = await request(app)
+        .get('/api/tiles/activities/10/511/340.mvt')
+        .set('Authorization', `Bearer ${mockToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('application/vnd.mapbox-vector-tile');
+      expect(ActivityTrack.getTile).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 1, z: 10, x: 511, y: 340 })
+      );
+    });
+
+    test('returns 204 for an empty tile', async () => {
+      ActivityTrack.getTile.mockResolvedValue(Buffer.alloc(0));
+
+      const res = await request(app)
+        .get('/api/tiles/activities/3/1/2.mvt')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(204);
+    });
+
+    test('returns 401 without authentication', async () => {
+      const res = await request(app).get('/api/tiles/activities/3/1/2.mvt');
+      expect(res.status).toBe(401);
+    });
+
+    test('returns 400 for tile outside zoom range', async () => {
+      const res = await request(app)
+        .get('/api/tiles/activities/2/4/0.mvt')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(400);
+      expect(ActivityTrack.getTile).not.toHaveBeenCalled();
+    });
+
+    test('returns 400 for non-numeric coordinates', async () => {
+      const res = await request(app)
+        .get('/api/tiles/activities/a/1/2.mvt')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toBeDefined();
+    });
+
+    test('returns 500 on model error', async () => {
+      ActivityTrack.getTile.mockRejectedValue(new Error('DB error'));
+
+      const res = await request(app)
+        .get('/api/tiles/activities/3/1/2.mvt')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(500);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const Trip = require('../models/trip');
+const Checkin = require('../models/checkin');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Upper bound on check-ins returned with a single trip
+const TRIP_CHECKIN_LIMIT = 5000;
+
+// GET /api/trips
+// Requires authentication - returns the user's detected trips, most recent first
+router.get(
+  '/',
+  authenticateToken,
+  [
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await Trip.findByUser(req.user.id, {
+        limit: req.query.limit,
+        offset: req.query.offset
+      });
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/trips/:id
+// Requires authentication - returns a single trip with its check-ins
+router.get(
+  '/:id',
+  authenticateToken,
+  [
+    param('id').isInt({ min: 1 }).withMessage('id must be a positive integer')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user.id;
+      const trip = await Trip.findById(parseInt(req.params.id, 10), userId);
+
+      if (!trip) {
+        return res.status(404).json({ error: 'Trip not found' });
+      }
+
+      const checkins = await Checkin.find({
+        userId,
+        startDate: trip.started_at,
+        endDate: trip.ended_at,
+        limit: TRIP_CHECKIN_LIMIT
+      });
+
+      res.json({ ...trip, checkins: checkins.data });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const request = require('supertest');
+jest.mock('../models/user');
+jest.mock('../models/trip');
+jest.mock('../models/checkin');
+jest.mock('../services/geminiSessionManager', () => ({ startCleanupInterval: jest.fn() }));
+jest.mock('../jobs/queue', () => ({
+  initQueue: jest.fn().mockResolvedValue(undefined),
+  getQueue: jest.fn().mockReturnValue({ work: jest.fn(), send: jest.fn() }),
+  stopQueue: jest.fn()
+}));
+
+const User = require('../models/user');
+const Trip = require('../models/trip');
+const Checkin = require('../models/checkin');
+const app = require('../server');
+
+const mockToken = 'test-token';
+const mockUser = { id: 1, display_name: 'Test User' };
+
+const mockTrip = {
+  id: 5,
+  user_id: 1,
+  start_date: '2024-06-01',
+  end_date: '2024-06-04',
+  started_at: '2024-06-01T08:00:00.000Z',
+  ended_at: '2024-06-04T18:00:00.000Z',
+  checkin_count: 12,
+  countries: ['Sweden'],
+  cities: [{ city: 'Stockholm', country: 'Sweden', checkins: 12 }],
+  top_venues: []
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findBySecretToken.mockResolvedValue(mockUser);
+  User.update.mockResolvedValue({});
+});
+
+describe('Trips Routes', () => {
+  describe('GET /api/trips', () => {
+    test('returns trips for authenticated user', async () => {
+      Trip.findByUser.mockResolvedValue({ data: [mockTrip], total: 1, limit: 50, offset: 0 });
+
+      const res = await request(app)
+        .get('/api/trips?limit=10&offset=20')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([mockTrip]);
+      expect(Trip.findByUser).toHaveBeenCalledWith(1, { limit: '10', offset: '20' });
+    });
+
+    test('returns 401 without authentication', async () => {
+      const res = await request(app).get('/api/trips');
+      expect(res.status).toBe(401);
+    });
+
+    test('returns 400 for invalid limit', async () => {
+      const res = await request(app)
+        .get('/api/trips?limit=0')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(400);
+      expect(Trip.findByUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/trips/:id', () => {
+    test('returns the trip with its check-ins', async () => {
+      Trip.findById.mockResolvedValue(mockTrip);
+      Checkin.find.mockResolvedValue({ data: [{ id: 1, venue_name: 'Fotografiska' }], total: 1 });
+
+      const res = await request(app)
+        .get('/api/trips/5')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(200);
+      expect(res.body.id).toBe(5);
+      expect(res.body.checkins).toEqual([{ id: 1, venue_name: 'Fotografiska' }]);
+      expect(Trip.findById).toHaveBeenCalledWith(5, 1);
+      expect(Checkin.find).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 1,
+        startDate: mockTrip.started_at,
+        endDate: mockTrip.ended_at
+      }));
+    });
+
+    test('returns 404 for a trip the user does not own', async () => {
+      Trip.findById.mockResolvedValue(null);
+
+      const res = await request(app)
+        .get('/api/trips/99')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(404);
+      expect(Checkin.find).not.toHaveBeenCalled();
+    });
+
+    test('returns 400 for a non-numeric id', async () => {
+      const res = await request(app)
+        .get('/api/trips/abc')
+        .set('x-auth-token', mockToken);
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
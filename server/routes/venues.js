@@ -1,17 +1,56 @@
 const express = require('express');
+const { param, validationResult } = require('express-validator');
 const router = express.Router();
 const CheckinPhoto = require('../models/checkinPhoto');
-const User = require('../models/user');
+const Checkin = require('../models/checkin');
+const Venue = require('../models/venue');
+const photoCache = require('../services/photoCache');
+const { authenticateToken, getRequestToken, resolveToken } = require('../middleware/auth');
+
+// GET /api/venues/:venueId
+// Requires authentication - returns a venue with the user's visit history
+// and other visited venues nearby
+router.get(
+  '/:venueId',
+  authenticateToken,
+  [
+    param('venueId').isLength({ min: 1, max: 255 }).withMessage('venueId must be at most 255 characters')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user.id;
+      const venue = await Venue.findByVenueId(req.params.venueId, userId);
+
+      if (!venue) {
+        return res.status(404).json({ error: 'Venue not found' });
+      }
+
+      const [visits, nearby] = await Promise.all([
+        Checkin.findByVenue(venue.venue_id, userId),
+        Venue.findNearby(venue, userId)
+      ]);
+
+      res.json({ ...venue, visits, nearby });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 /**
  * GET /api/venues/:venueId/photos
  * Get all photos for a specific venue
- * Requires authentication via token (query param or header)
+ * Requires authentication via token (Authorization or x-auth-token header)
  */
 router.get('/:venueId/photos', async (req, res) => {
   try {
     const { venueId } = req.params;
-    const token = req.query.token || req.headers['x-auth-token'];
+    const token = getRequestToken(req);
 
     if (!token) {
       return res.status(401).json({
@@ -20,7 +59,8 @@ router.get('/:venueId/photos', async (req, res) => {
       });
     }
 
-    const user = await User.findBySecretToken(token);
+    const resolved = await resolveToken(token);
+    const user = resolved && resolved.user;
 
     if (!user) {
       return res.status(401).json({
@@ -46,7 +86,7 @@ router.get('/:venueId/photos', async (req, res) => {
 
       groupedPhotos[dateKey].photos.push({
         id: photo.id,
-        url: photo.photo_url_cached || photo.photo_url,
+        url: photoCache.signedUrl(photo.photo_url_cached, user.id) || photo.photo_url,
         width: photo.width,
         height: photo.height
       });
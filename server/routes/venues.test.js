@@ -1,10 +1,14 @@
 const request = require('supertest');
 const User = require('../models/user');
 const CheckinPhoto = require('../models/checkinPhoto');
+const Checkin = require('../models/checkin');
+const Venue = require('../models/venue');
 
 // Mock dependencies before requiring server
 jest.mock('../models/user');
 jest.mock('../models/checkinPhoto');
+jest.mock('../models/checkin');
+jest.mock('../models/venue');
 jest.mock('../services/geminiSessionManager', () => ({
   startCleanupInterval: jest.fn()
 }));
@@ -62,7 +66,7 @@ describe('Venue Routes', () => {
 
       const response = await request(app)
         .get('/api/venues/venue123/photos')
-        .query({ token: 'test-token-123' });
+        .set('Authorization', 'Bearer test-token-123');
 
       expect(response.status).toBe(200);
       expect(response.body).toHaveLength(2); // Two different dates
@@ -103,7 +107,7 @@ describe('Venue Routes', () => {
 
       const response = await request(app)
         .get('/api/venues/venue123/photos')
-        .query({ token: 'invalid-token' });
+        .set('Authorization', 'Bearer invalid-token');
 
       expect(response.status).toBe(401);
       expect(response.body).toHaveProperty('error', 'Invalid token');
@@ -139,7 +143,7 @@ describe('Venue Routes', () => {
 
       const response = await request(app)
         .get('/api/venues/venue999/photos')
-        .query({ token: 'test-token' });
+        .set('Authorization', 'Bearer test-token');
 
       expect(response.status).toBe(200);
       expect(response.body[0].photos[0].url).toBe('https://cdn.example.com/cached-photo1.jpg');
@@ -151,7 +155,7 @@ describe('Venue Routes', () => {
 
       const response = await request(app)
         .get('/api/venues/venue123/photos')
-        .query({ token: 'test-token' });
+        .set('Authorization', 'Bearer test-token');
 
       expect(response.status).toBe(500);
       expect(response.body).toHaveProperty('error', 'Failed to get photos');
@@ -182,4 +186,74 @@ describe('Venue Routes', () => {
       expect(CheckinPhoto.findByVenueId).toHaveBeenCalledWith(longId, mockUser.id);
     });
   });
+
+  describe('GET /api/venues/:venueId', () => {
+    const mockUser = { id: 1, display_name: 'Test User' };
+
+    const mockVenue = {
+      id: 5,
+      venue_id: 'venue123',
+      name: 'Café Einstein',
+      category: 'Café',
+      latitude: 52.5065,
+      longitude: 13.3514,
+      visit_count: 2,
+      rating: 'like'
+    };
+
+    beforeEach(() => {
+      User.findBySecretToken.mockResolvedValue(mockUser);
+      User.update.mockResolvedValue({});
+    });
+
+    test('returns the venue with visits and nearby venues', async () => {
+      const visits = [
+        { id: 11, venue_name: 'Café Einstein', checkin_date: '2024-03-02T09:00:00.000Z', local_date: '2024-03-02' },
+        { id: 10, venue_name: 'Café Einstein', checkin_date: '2024-03-01T18:30:00.000Z', local_date: '2024-03-01' }
+      ];
+      const nearby = [{ venue_id: 'venue456', name: 'Bäckerei', distance_meters: 120 }];
+
+      Venue.findByVenueId.mockResolvedValue(mockVenue);
+      Checkin.findByVenue.mockResolvedValue(visits);
+      Venue.findNearby.mockResolvedValue(nearby);
+
+      const response = await request(app)
+        .get('/api/venues/venue123')
+        .set('x-auth-token', 'test-token-123');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ ...mockVenue, visits, nearby });
+      expect(Venue.findByVenueId).toHaveBeenCalledWith('venue123', mockUser.id);
+      expect(Checkin.findByVenue).toHaveBeenCalledWith('venue123', mockUser.id);
+      expect(Venue.findNearby).toHaveBeenCalledWith(mockVenue, mockUser.id);
+    });
+
+    test('returns 404 for a venue the user has not visited', async () => {
+      Venue.findByVenueId.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/venues/unknown')
+        .set('x-auth-token', 'test-token-123');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Venue not found' });
+      expect(Checkin.findByVenue).not.toHaveBeenCalled();
+    });
+
+    test('returns 400 for an overly long venueId', async () => {
+      const response = await request(app)
+        .get(`/api/venues/${'a'.repeat(300)}`)
+        .set('x-auth-token', 'test-token-123');
+
+      expect(response.status).toBe(400);
+      expect(Venue.findByVenueId).not.toHaveBeenCalled();
+    });
+
+    test('requires authentication', async () => {
+      const response = await request(app).get('/api/venues/venue123');
+
+      expect(response.status).toBe(401);
+      expect(Venue.findByVenueId).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -5,12 +5,24 @@ const session = require('express-session');
 const { initQueue, getQueue, stopQueue } = require('./jobs/queue');
 const importCheckinsHandler = require('./jobs/importCheckins');
 const importStravaDataHandler = require('./jobs/importStravaData');
+const importGarminExportHandler = require('./jobs/importGarminExport');
+const importSwarmExportHandler = require('./jobs/importSwarmExport');
+const cachePhotosHandler = require('./jobs/cachePhotos');
+const exportAccountHandler = require('./jobs/exportAccount');
+const { authenticateToken, requireAdmin } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
-app.use(cors());
+// Auth routes use the refresh token cookie, so only the frontend may call them
+// with credentials. Everything else authenticates with a header.
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+app.use(cors((req, callback) => {
+  callback(null, req.path.startsWith('/api/auth')
+    ? { origin: FRONTEND_URL, credentials: true }
+    : {});
+}));
 app.use(express.json());
 
 // Session middleware
@@ -30,8 +42,8 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Debug endpoint to check encryption key setup
-app.get('/debug/encryption', (req, res) => {
+// Debug endpoint to check encryption key setup (admins only)
+app.get('/debug/encryption', authenticateToken, requireAdmin, (req, res) => {
   const hasKey = !!process.env.ENCRYPTION_KEY;
   const keyLength = process.env.ENCRYPTION_KEY ? process.env.ENCRYPTION_KEY.length : 0;
   res.json({
@@ -46,6 +58,9 @@ app.get('/debug/encryption', (req, res) => {
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/import', require('./routes/import'));
 app.use('/api/checkins', require('./routes/checkins'));
+app.use('/api/activities', require('./routes/activities'));
+app.use('/api/tiles', require('./routes/tiles'));
+app.use('/api/heatmap', require('./routes/heatmap'));
 app.use('/api/stats', require('./routes/stats'));
 app.use('/api/filters', require('./routes/filters'));
 app.use('/api/year-in-review', require('./routes/yearInReview'));
@@ -56,6 +71,10 @@ app.use('/api/venues', require('./routes/venues'));
 app.use('/api/garmin', require('./routes/garmin'));
 app.use('/api/strava', require('./routes/strava'));
 app.use('/api/day-in-life', require('./routes/dayInLife'));
+app.use('/api/trips', require('./routes/trips'));
+app.use('/api/photos', require('./routes/photos'));
+app.use('/api/export', require('./routes/export'));
+app.use('/api/account', require('./routes/account'));
 
 // 404 handler
 app.use((req, res) => {
@@ -85,12 +104,32 @@ async function start() {
     await queue.work('import-strava-data', importStravaDataHandler);
     console.log('Registered job: import-strava-data');
 
+    // Register Garmin export import job
+    await queue.work('import-garmin-export', importGarminExportHandler);
+    console.log('Registered job: import-garmin-export');
+
+    // Register Swarm export import job
+    await queue.work('import-swarm-export', importSwarmExportHandler);
+    console.log('Registered job: import-swarm-export');
+
+    // Register photo caching job
+    await queue.work('cache-photos', cachePhotosHandler);
+    console.log('Registered job: cache-photos');
+
+    // Register account export job
+    await queue.work('export-account', exportAccountHandler);
+    console.log('Registered job: export-account');
+
     console.log('Job queue initialized and workers registered');
 
     // Start Gemini session cleanup
     const sessionManager = require('./services/geminiSessionManager');
     sessionManager.startCleanupInterval();
 
+    // Start expired login session cleanup
+    const sessionService = require('./services/sessionService');
+    sessionService.startCleanupInterval();
+
     // Start Express server
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
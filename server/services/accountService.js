@@ -0,0 +1,268 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const yazl = require('yazl');
+const db = require('../db/connection');
+const User = require('../models/user');
+const AccountExport = require('../models/accountExport');
+const stravaOAuth = require('./stravaOAuth');
+const { getPhotoStorage } = require('./photoStorage');
+
+const EXPORT_BATCH_SIZE = 1000;
+const EXPORT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const EXPORT_FILE_NAME = 'account-export.zip';
+
+// Credentials never leave the server, not even for their owner
+const SECRET_USER_COLUMN = /token|secret|encrypted/i;
+
+/**
+ * Query for the rows of a table that belong to the user
+ * Rows are read as JSON in id order: $1 is the user id, $2 the last id of the
+ * previous batch and $3 the batch size. Geography columns don't serialize
+ * usefully and are left out, add readable copies through extra.
+ * @param {string} table
+ * @param {Object} [options]
+ * @param {string[]} [options.omit] - Columns to leave out
+ * @param {string} [options.extra] - SQL jsonb object merged into each row
+ * @param {string} [options.join] - Join to the owning table, aliased p
+ * @returns {string}
+ */
+function userRowsQuery(table, { omit = [], extra = null, join = null } = {}) {
+  const row = ['to_jsonb(t)', ...omit.map(column => `'${column}'`)].join(' - ');
+
+  return `
+    SELECT t.id, ${extra ? `(${row}) || ${extra}` : row} AS row
+    FROM ${table} t
+    ${join || ''}
+    WHERE ${join ? 'p' : 't'}.user_id = $1 AND t.id > $2
+    ORDER BY t.id
+    LIMIT $3
+  `;
+}
+
+const TRACKLOG_GEOJSON = "jsonb_build_object('tracklog', ST_AsGeoJSON(t.tracklog::geometry, 6)::jsonb)";
+
+const GARMIN_DAILY_TABLES = [
+  'steps', 'heart_rate', 'sleep', 'calories', 'stress',
+  'body_battery', 'spo2', 'respiration', 'movement'
+];
+
+/**
+ * Files of the export, each a JSON array of rows
+ */
+const EXPORT_FILES = [
+  { name: 'checkins.json', query: userRowsQuery('checkins', { omit: ['location'] }) },
+  { name: 'venues.json', query: userRowsQuery('venues', { omit: ['location'] }) },
+  { name: 'venue_ratings.json', query: userRowsQuery('venue_ratings') },
+  { name: 'trips.json', query: userRowsQuery('trips') },
+  { name: 'location_anchors.json', query: userRowsQuery('location_anchors') },
+  { name: 'copilot/conversations.json', query: userRowsQuery('copilot_conversations') },
+  {
+    name: 'copilot/messages.json',
+    query: userRowsQuery('copilot_messages', { join: 'INNER JOIN copilot_conversations p ON p.id = t.conversation_id' })
+  },
+  {
+    name: 'photos/checkin_photos.json',
+    query: userRowsQuery('checkin_photos', { join: 'INNER JOIN checkins p ON p.id = t.checkin_id' })
+  },
+  {
+    name: 'photos/strava_activity_photos.json',
+    query: userRowsQuery('strava_activity_photos', {
+      omit: ['location'],
+      extra: "jsonb_build_object('latitude', ST_Y(t.location::geometry), 'longitude', ST_X(t.location::geometry))",
+      join: 'INNER JOIN strava_activities p ON p.id = t.strava_activity_id'
+    })
+  },
+  { name: 'photos/cached_photos.json', query: userRowsQuery('cached_photos') },
+  {
+    name: 'strava/activities.json',
+    query: userRowsQuery('strava_activities', {
+      omit: ['tracklog', 'start_latlng', 'end_latlng'],
+      extra: `${TRACKLOG_GEOJSON} || jsonb_build_object(
+        'start_latlng', CASE WHEN t.start_latlng IS NULL THEN NULL
+          ELSE jsonb_build_array(ST_Y(t.start_latlng::geometry), ST_X(t.start_latlng::geometry)) END,
+        'end_latlng', CASE WHEN t.end_latlng IS NULL THEN NULL
+          ELSE jsonb_build_array(ST_Y(t.end_latlng::geometry), ST_X(t.end_latlng::geometry)) END
+      )`
+    })
+  },
+  {
+    name: 'garmin/activities.json',
+    query: userRowsQuery('garmin_activities', { omit: ['tracklog'], extra: TRACKLOG_GEOJSON })
+  },
+  ...GARMIN_DAILY_TABLES.map(metric => ({
+    name: `garmin/daily_${metric}.json`,
+    query: userRowsQuery(`garmin_daily_${metric}`)
+  })),
+  {
+    // Weather is cached per day and country for everyone, so only the days
+    // the user checked in somewhere are included
+    name: 'weather.json',
+    query: `
+      SELECT t.id, to_jsonb(t) AS row
+      FROM daily_weather t
+      WHERE EXISTS (
+          SELECT 1 FROM checkins c
+          WHERE c.user_id = $1 AND c.country = t.country AND c.checkin_date::date = t.date
+        )
+        AND t.id > $2
+      ORDER BY t.id
+      LIMIT $3
+    `
+  },
+  { name: 'import_jobs.json', query: userRowsQuery('import_jobs') }
+];
+
+/**
+ * Rows of an export file as a JSON array, read from the database in batches
+ * while the ZIP is written
+ * @param {string} query - See userRowsQuery
+ * @param {number} userId
+ */
+async function* jsonRows(query, userId) {
+  yield '[';
+
+  let afterId = 0;
+  let first = true;
+  for (;;) {
+    const { rows } = await db.query(query, [userId, afterId, EXPORT_BATCH_SIZE]);
+
+    for (const { row } of rows) {
+      yield (first ? '\n' : ',\n') + JSON.stringify(row);
+      first = false;
+    }
+
+    if (rows.length < EXPORT_BATCH_SIZE) break;
+    afterId = rows[rows.length - 1].id;
+  }
+
+  yield '\n]\n';
+}
+
+/**
+ * Write the export files into a ZIP file
+ * The ZIP is streamed to disk, a large history never has to fit in memory.
+ * @param {Object} user - User row
+ * @param {string} filePath
+ * @returns {Promise<void>}
+ */
+function buildZip(user, filePath) {
+  return new Promise((resolve, reject) => {
+    const zip = new yazl.ZipFile();
+
+    zip.on('error', reject);
+    pipeline(zip.outputStream, fs.createWriteStream(filePath)).then(resolve, reject);
+
+    const profile = Object.fromEntries(
+      Object.entries(user).filter(([column]) => !SECRET_USER_COLUMN.test(column))
+    );
+    const manifest = {
+      exportedAt: new Date().toISOString(),
+      userId: user.id,
+      files: ['user.json', ...EXPORT_FILES.map(file => file.name)]
+    };
+
+    zip.addBuffer(Buffer.from(JSON.stringify(manifest, null, 2) + '\n'), 'manifest.json');
+    zip.addBuffer(Buffer.from(JSON.stringify(profile, null, 2) + '\n'), 'user.json');
+    for (const file of EXPORT_FILES) {
+      // yazl doesn't forward errors of entry streams, a failed query would stall the ZIP
+      const rows = Readable.from(jsonRows(file.query, user.id));
+      rows.on('error', reject);
+      zip.addReadStream(rows, file.name);
+    }
+    zip.end();
+  });
+}
+
+class AccountService {
+  /**
+   * Package everything stored about a user into a ZIP and store it
+   * Older exports of the user are removed once the new one is stored.
+   * @param {number} userId
+   * @param {number} exportId - Pending account_exports row
+   * @returns {Promise<{sizeBytes: number}>}
+   */
+  async createExport(userId, exportId) {
+    await AccountExport.markRunning(exportId);
+
+    let tempDir = null;
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error(`User ${userId} not found`);
+      }
+
+      tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'account-export-'));
+      const zipPath = path.join(tempDir, EXPORT_FILE_NAME);
+      await buildZip(user, zipPath);
+      const { size: sizeBytes } = await fs.promises.stat(zipPath);
+
+      const storage = getPhotoStorage();
+      const storageKey = `${userId}/exports/${exportId}`;
+      await storage.put(`${storageKey}/${EXPORT_FILE_NAME}`, fs.createReadStream(zipPath), 'application/zip', sizeBytes);
+
+      await AccountExport.markCompleted(exportId, {
+        storageKey,
+        sizeBytes,
+        expiresAt: new Date(Date.now() + EXPORT_TTL_MS)
+      });
+
+      for (const oldKey of await AccountExport.expireOthers(userId, exportId)) {
+        await storage.removePrefix(oldKey);
+      }
+
+      return { sizeBytes };
+    } catch (error) {
+      await AccountExport.markFailed(exportId, error.message);
+      throw error;
+    } finally {
+      if (tempDir) {
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  /**
+   * Read a completed export's ZIP
+   * @param {Object} accountExport - account_exports row
+   * @returns {Promise<Readable|null>} Null when the file is gone
+   */
+  async openExport(accountExport) {
+    if (!accountExport.storage_key) return null;
+    return getPhotoStorage().get(`${accountExport.storage_key}/${EXPORT_FILE_NAME}`);
+  }
+
+  /**
+   * Delete a user and everything stored about them
+   * Strava access is revoked on a best effort basis, a failure there must not
+   * keep the account around. Stored photos and exports are removed before the
+   * rows, so a storage failure leaves the account intact to retry.
+   * @param {number} userId
+   * @returns {Promise<{stravaRevoked: boolean}>}
+   */
+  async deleteAccount(userId) {
+    let stravaRevoked = false;
+
+    const stravaTokens = await User.getStravaTokens(userId);
+    if (stravaTokens) {
+      try {
+        await stravaOAuth.deauthorize(stravaTokens);
+        stravaRevoked = true;
+      } catch (error) {
+        console.error(`[ACCOUNT] Revoking Strava access for user ${userId} failed:`, error.message);
+      }
+    }
+
+    await getPhotoStorage().removePrefix(String(userId));
+
+    // Every user table cascades from users
+    await User.delete(userId);
+
+    console.log(`[ACCOUNT] Deleted user ${userId}`);
+    return { stravaRevoked };
+  }
+}
+
+module.exports = new AccountService();
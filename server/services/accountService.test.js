@@ -0,0 +1,226 @@
+const fs = require('fs');
+const os = require('os');
+const yauzl = require('yauzl');
+
+jest.mock('../db/connection', () => ({ query: jest.fn() }));
+jest.mock('../models/user');
+jest.mock('../models/accountExport');
+jest.mock('./stravaOAuth', () => ({ deauthorize: jest.fn() }));
+jest.mock('./photoStorage', () => {
+  const storage = { put: jest.fn(), get: jest.fn(), removePrefix: jest.fn() };
+  return { getPhotoStorage: () => storage };
+});
+
+const db = require('../db/connection');
+const User = require('../models/user');
+const AccountExport = require('../models/accountExport');
+const stravaOAuth = require('./stravaOAuth');
+const { getPhotoStorage } = require('./photoStorage');
+const accountService = require('./accountService');
+
+const storage = getPhotoStorage();
+
+const user = {
+  id: 3,
+  display_name: 'Test User',
+  access_token_encrypted: 'secret-1',
+  secret_token: 'secret-2',
+  strava_oauth_tokens_encrypted: 'secret-3',
+  strava_athlete_id: 42
+};
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Read every entry of a ZIP buffer as text, keyed by file name
+ */
+function readZip(buffer) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zip) => {
+      if (error) return reject(error);
+
+      const files = {};
+      zip.on('entry', entry => {
+        zip.openReadStream(entry, (streamError, stream) => {
+          if (streamError) return reject(streamError);
+          const chunks = [];
+          stream.on('data', chunk => chunks.push(chunk));
+          stream.on('end', () => {
+            files[entry.fileName] = Buffer.concat(chunks).toString();
+            zip.readEntry();
+          });
+        });
+      });
+      zip.on('end', () => resolve(files));
+      zip.readEntry();
+    });
+  });
+}
+
+// Stored bodies by key, read when put since the temp file is removed afterwards
+let stored;
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  stored = {};
+  storage.put.mockImplementation(async (key, body) => {
+    stored[key] = await readStream(body);
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  db.query.mockResolvedValue({ rows: [] });
+  User.findById.mockResolvedValue(user);
+  AccountExport.expireOthers.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+describe('AccountService.createExport', () => {
+  test('stores a ZIP with a JSON file per table', async () => {
+    db.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM checkins t')) {
+        return { rows: [{ id: 1, row: { id: 1, venue_name: 'Café Central' } }] };
+      }
+      return { rows: [] };
+    });
+
+    const { sizeBytes } = await accountService.createExport(3, 4);
+
+    expect(AccountExport.markRunning).toHaveBeenCalledWith(4);
+    const [key, , contentType, contentLength] = storage.put.mock.calls[0];
+    const buffer = stored[key];
+    expect(key).toBe('3/exports/4/account-export.zip');
+    expect(contentType).toBe('application/zip');
+    expect(sizeBytes).toBe(buffer.length);
+    expect(contentLength).toBe(buffer.length);
+    expect(AccountExport.markCompleted).toHaveBeenCalledWith(4, {
+      storageKey: '3/exports/4',
+      sizeBytes: buffer.length,
+      expiresAt: expect.any(Date)
+    });
+
+    const files = await readZip(buffer);
+    expect(JSON.parse(files['checkins.json'])).toEqual([{ id: 1, venue_name: 'Café Central' }]);
+    expect(JSON.parse(files['garmin/daily_steps.json'])).toEqual([]);
+    expect(files).toHaveProperty(['strava/activities.json']);
+    expect(files).toHaveProperty(['photos/checkin_photos.json']);
+    expect(files).toHaveProperty(['weather.json']);
+    expect(files).toHaveProperty(['import_jobs.json']);
+    expect(files).toHaveProperty(['copilot/messages.json']);
+    expect(JSON.parse(files['manifest.json']).files).toContain('user.json');
+  });
+
+  test('leaves credentials out of user.json', async () => {
+    await accountService.createExport(3, 4);
+
+    const files = await readZip(stored['3/exports/4/account-export.zip']);
+    expect(JSON.parse(files['user.json'])).toEqual({ id: 3, display_name: 'Test User', strava_athlete_id: 42 });
+  });
+
+  test('pages through large tables by id, scoped to the user', async () => {
+    const firstBatch = Array.from({ length: 1000 }, (_, i) => ({ id: i + 1, row: { id: i + 1 } }));
+    db.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM checkins t') && params[1] === 0) return { rows: firstBatch };
+      if (sql.includes('FROM checkins t')) return { rows: [{ id: 1001, row: { id: 1001 } }] };
+      return { rows: [] };
+    });
+
+    await accountService.createExport(3, 4);
+
+    const checkinCalls = db.query.mock.calls.filter(([sql]) => sql.includes('FROM checkins t'));
+    expect(checkinCalls.map(([, params]) => params)).toEqual([[3, 0, 1000], [3, 1000, 1000]]);
+    const files = await readZip(stored['3/exports/4/account-export.zip']);
+    expect(JSON.parse(files['checkins.json'])).toHaveLength(1001);
+  });
+
+  test('removes the files of older exports', async () => {
+    AccountExport.expireOthers.mockResolvedValue(['3/exports/2']);
+
+    await accountService.createExport(3, 4);
+
+    expect(AccountExport.expireOthers).toHaveBeenCalledWith(3, 4);
+    expect(storage.removePrefix).toHaveBeenCalledWith('3/exports/2');
+  });
+
+  test('marks the export failed when a query fails', async () => {
+    db.query.mockRejectedValue(new Error('connection lost'));
+
+    await expect(accountService.createExport(3, 4)).rejects.toThrow('connection lost');
+
+    expect(AccountExport.markFailed).toHaveBeenCalledWith(4, 'connection lost');
+    expect(storage.put).not.toHaveBeenCalled();
+  });
+
+  test('writes the ZIP to a temp file that is removed afterwards', async () => {
+    const mkdtemp = jest.spyOn(fs.promises, 'mkdtemp');
+
+    await accountService.createExport(3, 4);
+    const tempDir = await mkdtemp.mock.results[0].value;
+    mkdtemp.mockRestore();
+
+    expect(tempDir.startsWith(os.tmpdir())).toBe(true);
+    expect(fs.existsSync(tempDir)).toBe(false);
+  });
+});
+
+describe('AccountService.openExport', () => {
+  test('reads the stored ZIP', async () => {
+    const stream = {};
+    storage.get.mockResolvedValue(stream);
+
+    expect(await accountService.openExport({ storage_key: '3/exports/4' })).toBe(stream);
+    expect(storage.get).toHaveBeenCalledWith('3/exports/4/account-export.zip');
+  });
+
+  test('returns null for exports without a file', async () => {
+    expect(await accountService.openExport({ storage_key: null })).toBeNull();
+    expect(storage.get).not.toHaveBeenCalled();
+  });
+});
+
+describe('AccountService.deleteAccount', () => {
+  test('revokes Strava access, removes stored files, then deletes the user', async () => {
+    User.getStravaTokens.mockResolvedValue('encrypted-tokens');
+
+    const result = await accountService.deleteAccount(3);
+
+    expect(result).toEqual({ stravaRevoked: true });
+    expect(stravaOAuth.deauthorize).toHaveBeenCalledWith('encrypted-tokens');
+    expect(storage.removePrefix).toHaveBeenCalledWith('3');
+    expect(User.delete).toHaveBeenCalledWith(3);
+  });
+
+  test('still deletes the user when revoking Strava access fails', async () => {
+    User.getStravaTokens.mockResolvedValue('encrypted-tokens');
+    stravaOAuth.deauthorize.mockRejectedValue(new Error('Failed to deauthorize Strava access'));
+
+    const result = await accountService.deleteAccount(3);
+
+    expect(result).toEqual({ stravaRevoked: false });
+    expect(User.delete).toHaveBeenCalledWith(3);
+  });
+
+  test('skips Strava without a connection', async () => {
+    User.getStravaTokens.mockResolvedValue(null);
+
+    await accountService.deleteAccount(3);
+
+    expect(stravaOAuth.deauthorize).not.toHaveBeenCalled();
+    expect(User.delete).toHaveBeenCalledWith(3);
+  });
+
+  test('keeps the user when the stored files can\'t be removed', async () => {
+    User.getStravaTokens.mockResolvedValue(null);
+    storage.removePrefix.mockRejectedValue(new Error('bucket unavailable'));
+
+    await expect(accountService.deleteAccount(3)).rejects.toThrow('bucket unavailable');
+    expect(User.delete).not.toHaveBeenCalled();
+  });
+});
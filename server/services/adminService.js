@@ -0,0 +1,242 @@
+const db = require('../db/connection');
+const ImportJob = require('../models/importJob');
+const { getQueue } = require('../jobs/queue');
+const { StravaRateLimitService } = require('./stravaRateLimitService');
+
+const rateLimitService = new StravaRateLimitService();
+
+// pg-boss queues an import job's data_source can run on
+const IMPORT_QUEUES = {
+  foursquare: ['import-checkins', 'import-swarm-export'],
+  strava: ['import-strava-data'],
+  garmin: ['import-garmin-export']
+};
+
+// Imports of uploaded files, their handlers delete the upload when they finish,
+// successful or not, so there's nothing left to retry with
+const FILE_IMPORT_QUEUES = ['import-swarm-export', 'import-garmin-export'];
+
+/**
+ * Queues an import job can run on, foursquare for jobs from before data_source
+ * @param {Object} importJob - import_jobs row
+ * @returns {string[]}
+ */
+function queuesFor(importJob) {
+  return IMPORT_QUEUES[importJob.data_source || 'foursquare'] || [];
+}
+
+/**
+ * Read-mostly views over every user's data for the admin dashboard, plus
+ * retrying and cancelling import jobs
+ */
+class AdminService {
+  /**
+   * All users with their last login, last sync per source and latest import job per source
+   * @returns {Promise<Array>}
+   */
+  async listUsers() {
+    const result = await db.query(`
+      SELECT
+        u.id,
+        u.display_name,
+        u.avatar_url,
+        u.role,
+        u.created_at,
+        u.last_login_at,
+        u.last_sync_at,
+        u.last_strava_sync_at,
+        u.last_garmin_sync_at,
+        u.strava_oauth_tokens_encrypted IS NOT NULL AS strava_connected,
+        (SELECT COUNT(*) FROM checkins c WHERE c.user_id = u.id)::int AS checkin_count,
+        latest.jobs AS latest_jobs
+      FROM users u
+      LEFT JOIN LATERAL (
+        SELECT jsonb_object_agg(source, jsonb_build_object(
+          'id', j.id,
+          'status', j.status,
+          'createdAt', j.created_at,
+          'completedAt', j.completed_at,
+          'errorMessage', j.error_message
+        )) AS jobs
+        FROM (
+          SELECT DISTINCT ON (COALESCE(data_source, 'foursquare'))
+            COALESCE(data_source, 'foursquare') AS source, *
+          FROM import_jobs
+          WHERE user_id = u.id
+          ORDER BY COALESCE(data_source, 'foursquare'), created_at DESC
+        ) j
+      ) latest ON true
+      ORDER BY u.last_login_at DESC NULLS LAST, u.id
+    `);
+
+    return result.rows;
+  }
+
+  /**
+   * Import job history, newest first
+   * @param {Object} [filters]
+   * @param {number} [filters.userId]
+   * @param {string} [filters.status]
+   * @param {number} [filters.limit=50]
+   * @param {number} [filters.offset=0]
+   * @returns {Promise<{data: Array, total: number, limit: number, offset: number}>}
+   */
+  async listImportJobs({ userId, status, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (userId) {
+      params.push(userId);
+      conditions.push(`j.user_id = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`j.status = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await db.query(`SELECT COUNT(*) FROM import_jobs j ${where}`, params);
+
+    const dataResult = await db.query(`
+      SELECT j.*, u.display_name
+      FROM import_jobs j
+      LEFT JOIN users u ON u.id = j.user_id
+      ${where}
+      ORDER BY j.created_at DESC, j.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return {
+      data: dataResult.rows,
+      total: parseInt(countResult.rows[0].count, 10),
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * Job counts per pg-boss queue
+   * @returns {Promise<Array>} [{ name, queued, deferred, active, failed, total }]
+   */
+  async getQueueStates() {
+    const queues = await getQueue().getQueues();
+
+    return queues
+      .map(queue => ({
+        name: queue.name,
+        queued: queue.queuedCount,
+        deferred: queue.deferredCount,
+        active: queue.activeCount,
+        failed: queue.failedCount,
+        total: queue.totalCount
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Strava API requests over the rate limit windows, overall and per user
+   * @returns {Promise<Object>} { limits, totals, users, hourly }
+   */
+  async getStravaQuota() {
+    const usersResult = await db.query(`
+      SELECT
+        r.user_id,
+        u.display_name,
+        COUNT(*) FILTER (WHERE r.requested_at > NOW() - INTERVAL '15 minutes')::int AS short_count,
+        COUNT(*)::int AS daily_count,
+        MAX(r.requested_at) AS last_request_at
+      FROM strava_api_requests r
+      LEFT JOIN users u ON u.id = r.user_id
+      WHERE r.requested_at > NOW() - INTERVAL '24 hours'
+      GROUP BY r.user_id, u.display_name
+      ORDER BY daily_count DESC
+    `);
+
+    const hourlyResult = await db.query(`
+      SELECT date_trunc('hour', requested_at) AS hour, COUNT(*)::int AS count
+      FROM strava_api_requests
+      WHERE requested_at > NOW() - INTERVAL '24 hours'
+      GROUP BY 1
+      ORDER BY 1
+    `);
+
+    const { short, daily } = rateLimitService.limits;
+
+    return {
+      limits: { short: short.max, daily: daily.max },
+      totals: {
+        short: usersResult.rows.reduce((sum, row) => sum + row.short_count, 0),
+        daily: usersResult.rows.reduce((sum, row) => sum + row.daily_count, 0)
+      },
+      users: usersResult.rows,
+      hourly: hourlyResult.rows
+    };
+  }
+
+  /**
+   * pg-boss jobs started for an import job
+   * @param {Object} importJob - import_jobs row
+   * @returns {Promise<Array<{queue: string, job: Object}>>} Newest first
+   */
+  async findQueueJobs(importJob) {
+    const boss = getQueue();
+    const found = [];
+
+    for (const queue of queuesFor(importJob)) {
+      const jobs = await boss.findJobs(queue, { data: { jobId: importJob.id } });
+      jobs.forEach(job => found.push({ queue, job }));
+    }
+
+    return found.sort((a, b) => new Date(b.job.createdOn) - new Date(a.job.createdOn));
+  }
+
+  /**
+   * Run a failed import job again, with the data it was first queued with
+   * Only API imports (Foursquare check-ins, Strava) can be retried, Strava
+   * imports resume from their cursor. File imports need a new upload.
+   * @param {Object} importJob - import_jobs row
+   * @returns {Promise<{retried: boolean, reason?: string}>} reason is 'file_import'
+   *   for uploads, 'missing' when the original job is gone from the queue
+   */
+  async retryImportJob(importJob) {
+    const [original] = await this.findQueueJobs(importJob);
+    if (!original) return { retried: false, reason: 'missing' };
+    if (FILE_IMPORT_QUEUES.includes(original.queue)) {
+      return { retried: false, reason: 'file_import' };
+    }
+
+    await ImportJob.update(importJob.id, {
+      status: 'pending',
+      errorMessage: null,
+      completedAt: null
+    });
+    await getQueue().send(original.queue, original.job.data);
+
+    console.log(`[ADMIN] Retrying import job ${importJob.id} for user ${importJob.user_id} on ${original.queue}`);
+    return { retried: true };
+  }
+
+  /**
+   * Cancel an import job: its queued or running pg-boss jobs are cancelled and
+   * the import is marked failed, so the user can start a new one
+   * A handler that's already running isn't interrupted.
+   * @param {Object} importJob - import_jobs row
+   * @returns {Promise<Object>} The updated import job
+   */
+  async cancelImportJob(importJob) {
+    const boss = getQueue();
+    const queueJobs = await this.findQueueJobs(importJob);
+
+    for (const { queue, job } of queueJobs) {
+      if (['created', 'retry', 'active'].includes(job.state)) {
+        await boss.cancel(queue, job.id);
+      }
+    }
+
+    console.log(`[ADMIN] Cancelled import job ${importJob.id} for user ${importJob.user_id}`);
+    return ImportJob.markFailed(importJob.id, 'Cancelled by an admin');
+  }
+}
+
+module.exports = new AdminService();
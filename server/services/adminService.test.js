@@ -0,0 +1,161 @@
+jest.mock('../db/connection', () => ({ query: jest.fn() }));
+jest.mock('../models/importJob');
+jest.mock('../jobs/queue', () => {
+  const boss = { getQueues: jest.fn(), findJobs: jest.fn(), send: jest.fn(), cancel: jest.fn() };
+  return { getQueue: () => boss };
+});
+
+const db = require('../db/connection');
+const ImportJob = require('../models/importJob');
+const { getQueue } = require('../jobs/queue');
+const adminService = require('./adminService');
+
+const boss = getQueue();
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  boss.findJobs.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('AdminService.listUsers', () => {
+  test('returns users with their latest import job per source', async () => {
+    const rows = [{ id: 1, display_name: 'Ada', latest_jobs: { strava: { id: 4, status: 'failed' } } }];
+    db.query.mockResolvedValue({ rows });
+
+    expect(await adminService.listUsers()).toEqual(rows);
+    const [sql] = db.query.mock.calls[0];
+    expect(sql).toContain('last_strava_sync_at');
+    expect(sql).toContain('DISTINCT ON (COALESCE(data_source, \'foursquare\'))');
+  });
+});
+
+describe('AdminService.listImportJobs', () => {
+  test('filters by user and status and pages', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ count: '12' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 9 }] });
+
+    const result = await adminService.listImportJobs({ userId: 3, status: 'failed', limit: 10, offset: 10 });
+
+    expect(result).toEqual({ data: [{ id: 9 }], total: 12, limit: 10, offset: 10 });
+    expect(db.query.mock.calls[0][0]).toContain('WHERE j.user_id = $1 AND j.status = $2');
+    expect(db.query.mock.calls[1][0]).toContain('LIMIT $3 OFFSET $4');
+    expect(db.query.mock.calls[1][1]).toEqual([3, 'failed', 10, 10]);
+  });
+
+  test('lists every job without filters', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    await adminService.listImportJobs();
+
+    expect(db.query.mock.calls[0][0]).not.toContain('WHERE');
+    expect(db.query.mock.calls[1][1]).toEqual([50, 0]);
+  });
+});
+
+describe('AdminService.getQueueStates', () => {
+  test('maps pg-boss queue counts, sorted by name', async () => {
+    boss.getQueues.mockResolvedValue([
+      { name: 'import-strava-data', queuedCount: 2, deferredCount: 1, activeCount: 1, failedCount: 0, totalCount: 5 },
+      { name: 'cache-photos', queuedCount: 0, deferredCount: 0, activeCount: 0, failedCount: 3, totalCount: 3 }
+    ]);
+
+    expect(await adminService.getQueueStates()).toEqual([
+      { name: 'cache-photos', queued: 0, deferred: 0, active: 0, failed: 3, total: 3 },
+      { name: 'import-strava-data', queued: 2, deferred: 1, active: 1, failed: 0, total: 5 }
+    ]);
+  });
+});
+
+describe('AdminService.getStravaQuota', () => {
+  test('sums per-user usage against the rate limits', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [
+        { user_id: 1, short_count: 40, daily_count: 300 },
+        { user_id: 2, short_count: 5, daily_count: 20 }
+      ] })
+      .mockResolvedValueOnce({ rows: [{ hour: '2024-03-01T10:00:00.000Z', count: 320 }] });
+
+    const quota = await adminService.getStravaQuota();
+
+    expect(quota.limits).toEqual({ short: 95, daily: 950 });
+    expect(quota.totals).toEqual({ short: 45, daily: 320 });
+    expect(quota.users).toHaveLength(2);
+    expect(quota.hourly).toEqual([{ hour: '2024-03-01T10:00:00.000Z', count: 320 }]);
+  });
+});
+
+describe('AdminService.retryImportJob', () => {
+  const failedJob = { id: 7, user_id: 3, data_source: 'strava', status: 'failed' };
+
+  test('requeues the original job data and resets the import job', async () => {
+    boss.findJobs.mockResolvedValue([
+      { id: 'old', state: 'failed', createdOn: '2024-03-01T09:00:00Z', data: { jobId: 7, userId: 3, syncType: 'full' } }
+    ]);
+
+    expect(await adminService.retryImportJob(failedJob)).toEqual({ retried: true });
+
+    expect(boss.findJobs).toHaveBeenCalledWith('import-strava-data', { data: { jobId: 7 } });
+    expect(ImportJob.update).toHaveBeenCalledWith(7, { status: 'pending', errorMessage: null, completedAt: null });
+    expect(boss.send).toHaveBeenCalledWith('import-strava-data', { jobId: 7, userId: 3, syncType: 'full' });
+  });
+
+  test('looks in both Foursquare queues for jobs without a data source', async () => {
+    boss.findJobs.mockImplementation(async (queue) => (
+      queue === 'import-checkins'
+        ? [{ id: 'api', state: 'failed', createdOn: '2024-03-01T09:00:00Z', data: { jobId: 7, userId: 3 } }]
+        : []
+    ));
+
+    await adminService.retryImportJob({ ...failedJob, data_source: null });
+
+    expect(boss.findJobs).toHaveBeenCalledWith('import-swarm-export', { data: { jobId: 7 } });
+    expect(boss.send).toHaveBeenCalledWith('import-checkins', { jobId: 7, userId: 3 });
+  });
+
+  test.each([
+    ['foursquare', 'import-swarm-export'],
+    ['garmin', 'import-garmin-export']
+  ])('refuses %s file imports, their upload is gone', async (dataSource, queue) => {
+    boss.findJobs.mockImplementation(async (name) => (
+      name === queue
+        ? [{ id: 'upload', state: 'failed', createdOn: '2024-03-01T09:00:00Z', data: { jobId: 7, userId: 3, filePath: '/tmp/x' } }]
+        : []
+    ));
+
+    expect(await adminService.retryImportJob({ ...failedJob, data_source: dataSource }))
+      .toEqual({ retried: false, reason: 'file_import' });
+    expect(ImportJob.update).not.toHaveBeenCalled();
+    expect(boss.send).not.toHaveBeenCalled();
+  });
+
+  test('reports a queued job that has been cleaned up', async () => {
+    expect(await adminService.retryImportJob(failedJob)).toEqual({ retried: false, reason: 'missing' });
+    expect(ImportJob.update).not.toHaveBeenCalled();
+    expect(boss.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('AdminService.cancelImportJob', () => {
+  test('cancels unfinished queue jobs and marks the import failed', async () => {
+    boss.findJobs.mockResolvedValue([
+      { id: 'a', state: 'active', createdOn: '2024-03-02T09:00:00Z' },
+      { id: 'b', state: 'failed', createdOn: '2024-03-01T09:00:00Z' }
+    ]);
+    ImportJob.markFailed.mockResolvedValue({ id: 7, status: 'failed' });
+
+    const result = await adminService.cancelImportJob({ id: 7, user_id: 3, data_source: 'garmin' });
+
+    expect(boss.cancel).toHaveBeenCalledTimes(1);
+    expect(boss.cancel).toHaveBeenCalledWith('import-garmin-export', 'a');
+    expect(ImportJob.markFailed).toHaveBeenCalledWith(7, 'Cancelled by an admin');
+    expect(result).toEqual({ id: 7, status: 'failed' });
+  });
+});
@@ -0,0 +1,85 @@
+const Checkin = require('../models/checkin');
+const Venue = require('../models/venue');
+const VenueCategory = require('../models/venueCategory');
+const { fetchCategories } = require('./foursquare');
+
+// Foursquare rarely changes its categories, refetch the tree at most this often
+const REFRESH_INTERVAL_MS = 30 * 24 * 60 * 60 * 1000;
+
+class CategoryTaxonomy {
+  /**
+   * Flatten the nested Foursquare category tree into venue_categories rows
+   * @param {Array} categories - Categories with nested `categories`
+   * @param {Object} [parent] - Row of the parent category
+   * @returns {Array} [{ id, name, plural_name, parent_id, depth, path }], parents first
+   */
+  flattenCategories(categories, parent = null) {
+    const rows = [];
+
+    for (const category of categories || []) {
+      if (!category.id || !category.name) continue;
+
+      const row = {
+        id: category.id,
+        name: category.name,
+        plural_name: category.pluralName || null,
+        parent_id: parent ? parent.id : null,
+        depth: parent ? parent.depth + 1 : 0,
+        path: parent ? [...parent.path, category.name] : [category.name]
+      };
+
+      rows.push(row, ...this.flattenCategories(category.categories, row));
+    }
+
+    return rows;
+  }
+
+  /**
+   * Whether the stored taxonomy is only the seeded top level or has gone stale
+   * @param {{subcategoryCount: number, refreshedAt: Date|null}} status
+   * @param {Date} [now]
+   * @returns {boolean}
+   */
+  needsRefresh(status, now = new Date()) {
+    if (status.subcategoryCount === 0 || !status.refreshedAt) return true;
+    return now - new Date(status.refreshedAt) > REFRESH_INTERVAL_MS;
+  }
+
+  /**
+   * Fetch and store the category tree when it's missing or stale
+   * Without a Foursquare token (e.g. data export imports) the stored tree is used as is.
+   * @param {string|null} accessToken - Foursquare OAuth access token
+   * @returns {Promise<number>} Number of categories stored (0 when not refreshed)
+   */
+  async ensureTaxonomy(accessToken) {
+    if (!accessToken) return 0;
+
+    const status = await VenueCategory.getRefreshStatus();
+    if (!this.needsRefresh(status)) return 0;
+
+    const rows = this.flattenCategories(await fetchCategories(accessToken));
+    const stored = await VenueCategory.upsertAll(rows);
+    console.log(`[CATEGORIES] Stored ${stored} Foursquare categories`);
+
+    return stored;
+  }
+
+  /**
+   * Refresh the taxonomy if needed, then assign category chains to the
+   * user's check-ins and venues
+   * @param {number} userId
+   * @param {string|null} [accessToken]
+   * @returns {Promise<{checkins: number, venues: number}>} Rows updated
+   */
+  async syncForUser(userId, accessToken = null) {
+    await this.ensureTaxonomy(accessToken);
+
+    const checkins = await Checkin.assignCategoryPaths(userId);
+    const venues = await Venue.assignCategoryHierarchy(userId);
+    console.log(`[CATEGORIES] User ${userId}: categorized ${checkins} check-ins and ${venues} venues`);
+
+    return { checkins, venues };
+  }
+}
+
+module.exports = new CategoryTaxonomy();
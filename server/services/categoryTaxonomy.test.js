@@ -0,0 +1,125 @@
+const categoryTaxonomy = require('./categoryTaxonomy');
+const Checkin = require('../models/checkin');
+const Venue = require('../models/venue');
+const VenueCategory = require('../models/venueCategory');
+const { fetchCategories } = require('./foursquare');
+
+jest.mock('../models/checkin');
+jest.mock('../models/venue');
+jest.mock('../models/venueCategory');
+jest.mock('./foursquare');
+
+const CATEGORY_TREE = [
+  {
+    id: 'food',
+    name: 'Food',
+    pluralName: 'Food',
+    categories: [
+      {
+        id: 'asian',
+        name: 'Asian Restaurant',
+        pluralName: 'Asian Restaurants',
+        categories: [
+          { id: 'ramen', name: 'Ramen Restaurant', pluralName: 'Ramen Restaurants', categories: [] }
+        ]
+      }
+    ]
+  },
+  { id: 'nightlife', name: 'Nightlife Spot', pluralName: 'Nightlife Spots' }
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  Checkin.assignCategoryPaths.mockResolvedValue(12);
+  Venue.assignCategoryHierarchy.mockResolvedValue(3);
+  VenueCategory.upsertAll.mockImplementation(async rows => rows.length);
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('CategoryTaxonomy', () => {
+  describe('flattenCategories', () => {
+    test('flattens the tree parents first with depth and name path', () => {
+      expect(categoryTaxonomy.flattenCategories(CATEGORY_TREE)).toEqual([
+        { id: 'food', name: 'Food', plural_name: 'Food', parent_id: null, depth: 0, path: ['Food'] },
+        {
+          id: 'asian', name: 'Asian Restaurant', plural_name: 'Asian Restaurants',
+          parent_id: 'food', depth: 1, path: ['Food', 'Asian Restaurant']
+        },
+        {
+          id: 'ramen', name: 'Ramen Restaurant', plural_name: 'Ramen Restaurants',
+          parent_id: 'asian', depth: 2, path: ['Food', 'Asian Restaurant', 'Ramen Restaurant']
+        },
+        {
+          id: 'nightlife', name: 'Nightlife Spot', plural_name: 'Nightlife Spots',
+          parent_id: null, depth: 0, path: ['Nightlife Spot']
+        }
+      ]);
+    });
+
+    test('skips categories without id or name', () => {
+      expect(categoryTaxonomy.flattenCategories([{ id: 'x' }, { name: 'Unnamed' }])).toEqual([]);
+    });
+  });
+
+  describe('needsRefresh', () => {
+    const now = new Date('2025-06-01T00:00:00Z');
+
+    test('refreshes when only the seeded top level is stored', () => {
+      expect(categoryTaxonomy.needsRefresh({ subcategoryCount: 0, refreshedAt: now }, now)).toBe(true);
+    });
+
+    test('refreshes a taxonomy older than 30 days', () => {
+      const refreshedAt = new Date('2025-04-01T00:00:00Z');
+      expect(categoryTaxonomy.needsRefresh({ subcategoryCount: 900, refreshedAt }, now)).toBe(true);
+    });
+
+    test('keeps a recent taxonomy', () => {
+      const refreshedAt = new Date('2025-05-20T00:00:00Z');
+      expect(categoryTaxonomy.needsRefresh({ subcategoryCount: 900, refreshedAt }, now)).toBe(false);
+    });
+  });
+
+  describe('ensureTaxonomy', () => {
+    test('fetches and stores the tree when only the top level is stored', async () => {
+      VenueCategory.getRefreshStatus.mockResolvedValue({ subcategoryCount: 0, refreshedAt: null });
+      fetchCategories.mockResolvedValue(CATEGORY_TREE);
+
+      const stored = await categoryTaxonomy.ensureTaxonomy('token');
+
+      expect(fetchCategories).toHaveBeenCalledWith('token');
+      expect(VenueCategory.upsertAll).toHaveBeenCalledWith(expect.arrayContaining([
+        expect.objectContaining({ id: 'ramen', path: ['Food', 'Asian Restaurant', 'Ramen Restaurant'] })
+      ]));
+      expect(stored).toBe(4);
+    });
+
+    test('does not refetch a recent taxonomy', async () => {
+      VenueCategory.getRefreshStatus.mockResolvedValue({ subcategoryCount: 900, refreshedAt: new Date() });
+
+      expect(await categoryTaxonomy.ensureTaxonomy('token')).toBe(0);
+      expect(fetchCategories).not.toHaveBeenCalled();
+    });
+
+    test('uses the stored taxonomy without an access token', async () => {
+      expect(await categoryTaxonomy.ensureTaxonomy(null)).toBe(0);
+      expect(VenueCategory.getRefreshStatus).not.toHaveBeenCalled();
+      expect(fetchCategories).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('syncForUser', () => {
+    test('assigns category chains to check-ins and venues after the refresh', async () => {
+      VenueCategory.getRefreshStatus.mockResolvedValue({ subcategoryCount: 900, refreshedAt: new Date() });
+
+      const result = await categoryTaxonomy.syncForUser(10, 'token');
+
+      expect(result).toEqual({ checkins: 12, venues: 3 });
+      expect(Checkin.assignCategoryPaths).toHaveBeenCalledWith(10);
+      expect(Venue.assignCategoryHierarchy).toHaveBeenCalledWith(10);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Attachments on copilot answers: query results the model asked to show as a
+ * table, chart or map with a query function's display argument
+ * They're built from the rows the query returned, so the figures shown are the
+ * data rather than the model's retelling of it.
+ */
+
+const DISPLAY_TYPES = ['table', 'bar_chart', 'line_chart', 'map'];
+
+// Rows kept in a table or chart; aggregations return at most 1000
+const MAX_ROWS = 200;
+
+// Result column aggregation queries put the aggregated value in
+const VALUE_COLUMN = 'result';
+
+/**
+ * Whether a column value is a number; node-postgres returns COUNT, SUM and AVG as strings
+ */
+function isNumeric(value) {
+  return value !== null && value !== '' && typeof value !== 'boolean' && !Number.isNaN(Number(value));
+}
+
+/**
+ * Chart axis label for a value, dates as YYYY-MM-DD
+ */
+function formatLabel(value) {
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * @returns {{type: 'table', title, columns: Array<string>, rows: Array<Object>}}
+ */
+function toTable(rows, title) {
+  return {
+    type: 'table',
+    title,
+    columns: Object.keys(rows[0]),
+    rows: rows.slice(0, MAX_ROWS)
+  };
+}
+
+/**
+ * One label column against the aggregated value, or the first numeric column
+ * Falls back to a table when the rows have no label and value to plot.
+ * @returns {{type: 'chart', chart: 'bar'|'line', title, xLabel, yLabel, data: Array<{label, value}>}}
+ */
+function toChart(chart, rows, title) {
+  const columns = Object.keys(rows[0]);
+  const valueKey = columns.includes(VALUE_COLUMN)
+    ? VALUE_COLUMN
+    : columns.find(column => rows.every(row => isNumeric(row[column])));
+  const labelKey = columns.find(column => column !== valueKey);
+
+  if (!valueKey || !labelKey) {
+    return toTable(rows, title);
+  }
+
+  return {
+    type: 'chart',
+    chart,
+    title,
+    xLabel: labelKey,
+    yLabel: valueKey,
+    data: rows.slice(0, MAX_ROWS).map(row => ({
+      label: formatLabel(row[labelKey]),
+      value: Number(row[valueKey])
+    }))
+  };
+}
+
+/**
+ * Venues among check-in rows, once each; null when no row has coordinates
+ * @returns {{type: 'map', title, venues: Array<{venueId, venueName, latitude, longitude}>}|null}
+ */
+function toMap(rows, title) {
+  const venues = new Map();
+  rows.forEach(row => {
+    const latitude = parseFloat(row.latitude);
+    const longitude = parseFloat(row.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return;
+
+    const venueId = row.venue_id || `${latitude},${longitude}`;
+    if (!venues.has(venueId)) {
+      venues.set(venueId, {
+        venueId,
+        venueName: row.venue_name || null,
+        latitude,
+        longitude
+      });
+    }
+  });
+
+  return venues.size > 0 ? { type: 'map', title, venues: [...venues.values()] } : null;
+}
+
+/**
+ * Attachment for a query's results
+ * @param {Object} [display] - The query function's display argument { type, title }
+ * @param {Array} [rows] - Rows the query returned
+ * @returns {Object|null} Attachment, null when nothing was asked for or there's nothing to show
+ */
+function buildAttachment(display, rows) {
+  if (!display || !DISPLAY_TYPES.includes(display.type) || !Array.isArray(rows) || rows.length === 0) {
+    return null;
+  }
+
+  const title = typeof display.title === 'string' && display.title.trim()
+    ? display.title.trim().slice(0, 200)
+    : null;
+
+  switch (display.type) {
+    case 'bar_chart':
+      return toChart('bar', rows, title);
+    case 'line_chart':
+      return toChart('line', rows, title);
+    case 'map':
+      return toMap(rows, title);
+    default:
+      return toTable(rows, title);
+  }
+}
+
+module.exports = {
+  DISPLAY_TYPES,
+  buildAttachment
+};
@@ -0,0 +1,74 @@
+const { buildAttachment } = require('./copilotAttachments');
+
+describe('buildAttachment', () => {
+  const byCountry = [
+    { country: 'Japan', result: '12' },
+    { country: 'Italy', result: '7' }
+  ];
+
+  test('returns null without a display or rows', () => {
+    expect(buildAttachment(undefined, byCountry)).toBeNull();
+    expect(buildAttachment({ type: 'pie_chart' }, byCountry)).toBeNull();
+    expect(buildAttachment({ type: 'table' }, [])).toBeNull();
+    expect(buildAttachment({ type: 'table' }, undefined)).toBeNull();
+  });
+
+  test('builds a table of the rows', () => {
+    expect(buildAttachment({ type: 'table', title: '  Countries ' }, byCountry)).toEqual({
+      type: 'table',
+      title: 'Countries',
+      columns: ['country', 'result'],
+      rows: byCountry
+    });
+  });
+
+  test('charts the aggregated value against the grouping', () => {
+    const rows = [
+      { date_trunc: new Date('2024-01-01T00:00:00.000Z'), result: '3' },
+      { date_trunc: new Date('2024-02-01T00:00:00.000Z'), result: '5' }
+    ];
+
+    expect(buildAttachment({ type: 'line_chart' }, rows)).toEqual({
+      type: 'chart',
+      chart: 'line',
+      title: null,
+      xLabel: 'date_trunc',
+      yLabel: 'result',
+      data: [{ label: '2024-01-01', value: 3 }, { label: '2024-02-01', value: 5 }]
+    });
+  });
+
+  test('charts the first numeric column of records', () => {
+    const rows = [
+      { date: '2024-03-01', step_count: 9000 },
+      { date: '2024-03-02', step_count: 11000 }
+    ];
+
+    expect(buildAttachment({ type: 'bar_chart' }, rows).data).toEqual([
+      { label: '2024-03-01', value: 9000 },
+      { label: '2024-03-02', value: 11000 }
+    ]);
+  });
+
+  test('falls back to a table when there is nothing to plot', () => {
+    expect(buildAttachment({ type: 'bar_chart' }, [{ result: '42' }]).type).toBe('table');
+  });
+
+  test('maps each venue once', () => {
+    const rows = [
+      { venue_id: 'v1', venue_name: 'Café Central', latitude: '48.2104', longitude: '16.3655' },
+      { venue_id: 'v1', venue_name: 'Café Central', latitude: '48.2104', longitude: '16.3655' },
+      { venue_id: 'v2', venue_name: 'Nowhere', latitude: null, longitude: null }
+    ];
+
+    expect(buildAttachment({ type: 'map', title: 'Vienna cafés' }, rows)).toEqual({
+      type: 'map',
+      title: 'Vienna cafés',
+      venues: [{ venueId: 'v1', venueName: 'Café Central', latitude: 48.2104, longitude: 16.3655 }]
+    });
+  });
+
+  test('returns null for a map of rows without coordinates', () => {
+    expect(buildAttachment({ type: 'map' }, byCountry)).toBeNull();
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * Copilot instructions and function declarations, shared by every LLM provider
+ * Declarations use JSON Schema for parameters; the function handlers live in copilotTools.js.
+ */
+
+// Shared by the query functions: how to show the results beside the answer
+const DISPLAY_PARAMETER = {
+  type: 'object',
+  description: 'Show the results to the user as well as describing them. Only set this when a table, chart or map makes the answer easier to read, e.g. a breakdown by country or month, or where a set of venues are.',
+  properties: {
+    type: {
+      type: 'string',
+      enum: ['table', 'bar_chart', 'line_chart', 'map'],
+      description: '"bar_chart" compares groups, "line_chart" shows a value over time (group by a date), "table" lists rows with several columns, "map" places check-ins with coordinates'
+    },
+    title: { type: 'string', description: 'Short title, e.g. "Check-ins per month in 2024"' }
+  },
+  required: ['type']
+};
+
+const FUNCTION_DECLARATIONS = [
+  {
+    name: 'get_categories',
+    description: 'Get a list of all venue categories the user has checked into, plus categoryGroups: the Foursquare top-level categories (e.g., "Food", "Nightlife Spot") each with their mid-level subcategories (e.g., "Asian Restaurant"). Use this FIRST when the user asks about a category (e.g., "restaurants", "bars", "museums") to find the exact category or group name to use in queries.',
+    parameters: {
+      type: 'object',
+      properties: {},
+      required: []
+    }
+  },
+  {
+    name: 'query_checkins',
+    description: 'Query user\'s Foursquare check-in data. Use this to answer questions about check-in history, locations, venues, categories, dates, and statistics. Note: Individual check-in listings are limited to 500 results to manage context. If the response includes a "note" field, inform the user that results are limited.',
+    parameters: {
+    type: 'object',
+    properties: {
+      queryType: {
+        type: 'string',
+        enum: ['checkins', 'aggregation'],
+        description: 'Type of query: "checkins" for listing check-ins, "aggregation" for statistics/counts'
+      },
+      filters: {
+        type: 'object',
+        description: 'Filters to apply to the query',
+        properties: {
+          country: { type: 'string', description: 'Filter by country name' },
+          city: { type: 'string', description: 'Filter by city name' },
+          category: { type: 'string', description: 'Filter by exact venue category (e.g., "Japanese Restaurant")' },
+          categoryGroup: { type: 'string', description: 'Filter by a top-level or mid-level category from categoryGroups - matches every category under it (e.g., "Food" matches all restaurants, cafés and bakeries; "Asian Restaurant" matches "Ramen Restaurant", "Sushi Restaurant", etc.)' },
+          categoryPattern: { type: 'string', description: 'Filter by category pattern - matches any category containing this text (e.g., "Restaurant" matches "Japanese Restaurant", "Italian Restaurant", etc.)' },
+          venueName: { type: 'string', description: 'Filter by venue name (partial match)' },
+          dateRange: {
+            type: 'object',
+            description: 'Filter by date range',
+            properties: {
+              start: { type: 'string', format: 'date', description: 'Start date (YYYY-MM-DD)' },
+              end: { type: 'string', format: 'date', description: 'End date (YYYY-MM-DD)' }
+            }
+          }
+        }
+      },
+      aggregation: {
+        type: 'object',
+        description: 'Aggregation to perform (for queryType=aggregation)',
+        properties: {
+          function: {
+            type: 'string',
+            enum: ['count', 'sum', 'avg', 'min', 'max'],
+            description: 'Aggregation function'
+          },
+          field: { type: 'string', description: 'Field to aggregate' }
+        }
+      },
+      groupBy: {
+        type: 'array',
+        description: 'Fields to group by. For dates, use objects with granularity. Use top_category or mid_category to group by the top-level or mid-level category instead of the exact venue_category.',
+        items: {
+          oneOf: [
+            { type: 'string' },
+            {
+              type: 'object',
+              properties: {
+                field: { type: 'string', description: 'Field name (e.g., checkin_date)' },
+                granularity: {
+                  type: 'string',
+                  enum: ['day', 'week', 'month', 'year'],
+                  description: 'Date grouping granularity'
+                }
+              }
+            }
+          ]
+        }
+      },
+      orderBy: {
+        type: 'object',
+        description: 'Sort order',
+        properties: {
+          field: {
+            type: 'string',
+            enum: ['id', 'venue_id', 'venue_name', 'venue_category', 'city', 'country', 'checkin_date', 'latitude', 'longitude', 'created_at', 'top_category', 'mid_category'],
+            description: 'Field to sort by - use checkin_date for dates (timestamp includes both date and time)'
+          },
+          direction: { type: 'string', enum: ['ASC', 'DESC'], description: 'Sort direction' }
+        }
+      },
+      select: {
+        type: 'array',
+        description: 'Fields to return in results. checkin_date is a timestamp with both date and time.',
+        items: {
+          type: 'string',
+          enum: ['id', 'venue_id', 'venue_name', 'venue_category', 'city', 'country', 'checkin_date', 'latitude', 'longitude', 'created_at', 'top_category', 'mid_category']
+        }
+      },
+      limit: { type: 'integer', description: 'Maximum number of results' },
+      display: DISPLAY_PARAMETER
+    },
+    required: ['queryType']
+    }
+  },
+  {
+    name: 'query_activities',
+    description: 'Query the user\'s workouts recorded with Strava or Garmin: runs, rides, swims, hikes, etc. Use this for questions about distance, duration, pace, elevation, heart rate or how often they exercised. Distances are in meters, durations in seconds and speeds in meters per second. Individual activity listings are limited to 500 results; mention the "note" field if present.',
+    parameters: {
+      type: 'object',
+      properties: {
+        source: {
+          type: 'string',
+          enum: ['strava', 'garmin'],
+          description: 'Where the activities were recorded. Users may have both; query both when unsure.'
+        },
+        queryType: {
+          type: 'string',
+          enum: ['records', 'aggregation'],
+          description: 'Type of query: "records" for listing activities, "aggregation" for totals/averages/counts'
+        },
+        filters: {
+          type: 'object',
+          description: 'Filters to apply to the query',
+          properties: {
+            activityType: { type: 'string', description: 'Filter by activity type (partial, case-insensitive match). Strava uses types like "Run", "TrailRun", "Ride", "Swim", "Hike"; Garmin uses "running", "cycling", "lap_swimming", etc. "run" matches both.' },
+            activityName: { type: 'string', description: 'Filter by activity name (partial match)' },
+            city: { type: 'string', description: 'Only activities that started within 25 km of the user\'s check-ins in this city, as spelled in their check-ins' },
+            country: { type: 'string', description: 'Country of the city, for city names that exist in several countries. Requires city.' },
+            dateRange: {
+              type: 'object',
+              description: 'Filter by start date, both ends inclusive',
+              properties: {
+                start: { type: 'string', format: 'date', description: 'Start date (YYYY-MM-DD)' },
+                end: { type: 'string', format: 'date', description: 'End date (YYYY-MM-DD)' }
+              }
+            }
+          }
+        },
+        aggregation: {
+          type: 'object',
+          description: 'Aggregation to perform (for queryType=aggregation)',
+          properties: {
+            function: { type: 'string', enum: ['count', 'sum', 'avg', 'min', 'max'], description: 'Aggregation function' },
+            field: { type: 'string', description: 'Field to aggregate, e.g. distance_meters' }
+          }
+        },
+        groupBy: {
+          type: 'array',
+          description: 'Fields to group by, e.g. activity_type. To group by period use an object with field start_time and a granularity.',
+          items: {
+            oneOf: [
+              { type: 'string' },
+              {
+                type: 'object',
+                properties: {
+                  field: { type: 'string', description: 'Always start_time' },
+                  granularity: { type: 'string', enum: ['day', 'week', 'month', 'year'], description: 'Date grouping granularity' }
+                }
+              }
+            ]
+          }
+        },
+        orderBy: {
+          type: 'object',
+          description: 'Sort order. Use "result" to sort aggregations by their value.',
+          properties: {
+            field: { type: 'string', description: 'Field to sort by' },
+            direction: { type: 'string', enum: ['ASC', 'DESC'], description: 'Sort direction' }
+          }
+        },
+        select: {
+          type: 'array',
+          description: 'Fields to return: id, activity_type, activity_name, start_time, timezone, duration_seconds, moving_time_seconds (Strava only), distance_meters, total_elevation_gain (Strava only), calories, avg_speed (Strava only), max_speed (Strava only), avg_heart_rate, max_heart_rate, strava_url or garmin_url',
+          items: { type: 'string' }
+        },
+        limit: { type: 'integer', description: 'Maximum number of results' },
+        display: DISPLAY_PARAMETER
+      },
+      required: ['source', 'queryType']
+    }
+  },
+  {
+    name: 'query_daily_health',
+    description: 'Query the user\'s daily health data from Garmin: steps, sleep, heart rate or calories, one row per day. Combine with query_checkins to relate health to what the user did, e.g. compare sleep on the day after nightlife check-ins with other days. Sleep rows are dated by the day the sleep ended.',
+    parameters: {
+      type: 'object',
+      properties: {
+        metric: {
+          type: 'string',
+          enum: ['steps', 'sleep', 'heart_rate', 'calories'],
+          description: 'Which daily data to query. Fields - steps: date, step_count. sleep: date, sleep_duration_seconds, sleep_score, deep_sleep_seconds, light_sleep_seconds, rem_sleep_seconds, awake_seconds, sleep_start_time, sleep_end_time. heart_rate: date, min_heart_rate, max_heart_rate, resting_heart_rate. calories: date, total_calories, active_calories, bmr_calories.'
+        },
+        queryType: {
+          type: 'string',
+          enum: ['records', 'aggregation'],
+          description: 'Type of query: "records" for day-by-day values, "aggregation" for averages/totals'
+        },
+        filters: {
+          type: 'object',
+          description: 'Filters to apply to the query',
+          properties: {
+            dateRange: {
+              type: 'object',
+              description: 'Filter by date, both ends inclusive',
+              properties: {
+                start: { type: 'string', format: 'date', description: 'Start date (YYYY-MM-DD)' },
+                end: { type: 'string', format: 'date', description: 'End date (YYYY-MM-DD)' }
+              }
+            }
+          }
+        },
+        aggregation: {
+          type: 'object',
+          description: 'Aggregation to perform (for queryType=aggregation)',
+          properties: {
+            function: { type: 'string', enum: ['count', 'sum', 'avg', 'min', 'max'], description: 'Aggregation function' },
+            field: { type: 'string', description: 'Field to aggregate, e.g. sleep_score' }
+          }
+        },
+        groupBy: {
+          type: 'array',
+          description: 'To group by period use an object with field date and a granularity.',
+          items: {
+            oneOf: [
+              { type: 'string' },
+              {
+                type: 'object',
+                properties: {
+                  field: { type: 'string', description: 'Always date' },
+                  granularity: { type: 'string', enum: ['day', 'week', 'month', 'year'], description: 'Date grouping granularity' }
+                }
+              }
+            ]
+          }
+        },
+        orderBy: {
+          type: 'object',
+          description: 'Sort order. Use "result" to sort aggregations by their value.',
+          properties: {
+            field: { type: 'string', description: 'Field to sort by' },
+            direction: { type: 'string', enum: ['ASC', 'DESC'], description: 'Sort direction' }
+          }
+        },
+        select: {
+          type: 'array',
+          description: 'Fields to return, from the metric\'s fields',
+          items: { type: 'string' }
+        },
+        limit: { type: 'integer', description: 'Maximum number of results' },
+        display: DISPLAY_PARAMETER
+      },
+      required: ['metric', 'queryType']
+    }
+  }
+];
+
+const SYSTEM_INSTRUCTION = 'You are a knowledgeable travel companion with perfect recall of the user\'s journey through their Foursquare check-ins, Strava and Garmin workouts and Garmin health data.\n\nIMPORTANT: You have access to functions get_categories, query_checkins, query_activities and query_daily_health. Use these functions to answer questions - never write code or use print() statements. Simply call the functions with proper JSON parameters.\n\nACTIVITIES AND HEALTH:\n- Use query_activities for workouts recorded with Strava or Garmin, and query_daily_health for Garmin steps, sleep, heart rate and calories\n- Activities have no place names: to ask about a city, pass filters.city and the activity is matched to where the user checked in\n- Convert units for the user: meters to km, seconds to hours and minutes\n- To relate health to places or nights out, first find the dates with query_checkins, then query_daily_health for those days and compare with other days\n\nTABLES, CHARTS AND MAPS:\n- The query functions take a display argument that shows their results to the user as a table, bar chart, line chart or map of check-ins\n- Use it for breakdowns and trends with several rows, and for maps of where venues are; not for single numbers or short lists\n- The user sees the exact figures, so summarize the highlights instead of repeating every row\n\nCRITICAL: When a function response includes a "note" field, you MUST inform the user about it in your response. This indicates that results are limited or incomplete. Example: "I found 500 check-ins (showing a subset of 847 total)..." or incorporate the note naturally into your answer.\n\nIMPORTANT: Today\'s date is November 3, 2025. When user says "this year", they mean 2025. When user says "last year", they mean 2024.\n\nYour approach:\n- Conversational and insightful, like a well-traveled friend who knows their geography and cultural context\n- Be precise with details - use actual venue names, dates, and locations from the data\n- Weave in interesting facts about places, cultures, history, or geography when relevant. Examples:\n  * "That\'s near the old Hanseatic quarter, which dates back to the medieval trading league"\n  * "Interesting timing - that was right during the peak skiing season in the Alps"\n  * "That border crossing connects Slovenia\'s Istrian region with Croatia\'s coastal areas"\n- Keep responses informative but measured - share knowledge naturally, not like a tour guide\n- Always end with a creative, contextual follow-up suggestion that connects to what you just discussed:\n  * Instead of "Want to know about other countries?", try "I notice you crossed between Norway and Sweden several times that month - were you exploring the border region?"\n  * Instead of "Curious about restaurants?", try "That brewery you visited is known for their seasonal beers - want to see what other craft beer spots you\'ve discovered?"\n  * Make connections: if they asked about skiing, suggest related mountain activities or other ski resorts\n\nIMPORTANT WORKFLOW - Category Queries:\n\nWhen user asks about a category TYPE (like "restaurants", "bars", "museums"):\n1. FIRST call get_categories to see what specific categories and categoryGroups exist\n2. If the type matches a group in categoryGroups (a top-level category like "Food" or a mid-level one like "Asian Restaurant"), use filters.categoryGroup - it matches every category under that group, including ones without the word in their name (e.g., "Food" includes "Café" and "Bakery")\n3. Otherwise look for categories that match the type. Examples:\n   - User says "restaurants" → you see "Restaurant", "Japanese Restaurant", "Italian Restaurant", "French Restaurant"\n   - User says "bars" → you see "Bar", "Cocktail Bar", "Wine Bar", "Sports Bar"\n   - User says "museums" → you see "Museum", "Art Museum", "History Museum"\n   Use the categoryPattern filter to match ALL of them:\n   - Call query_checkins with filters.categoryPattern = "Restaurant" (matches anything containing "Restaurant")\n   - This will return check-ins from ALL restaurant types, not just the generic "Restaurant" category\n4. If user asks about a SPECIFIC category (like "Japanese Restaurant" or "Cocktail Bar"):\n   - Use the exact category filter instead: filters.category = "Japanese Restaurant"\n   - This returns only that exact category\n\nKey difference:\n- categoryGroup: hierarchy matching (preferred for category TYPES that appear in categoryGroups, like "Food" or "Nightlife Spot")\n- categoryPattern: partial matching (use for category TYPES like "restaurants", "bars" when there is no matching group)\n- category: exact matching (use for SPECIFIC categories like "Japanese Restaurant")\n- venueName: partial matching (use for venue name searches like "Starbucks")\n\nAlways call get_categories first to understand what categories exist, then decide whether to use categoryGroup or categoryPattern (broad) or category (specific). For breakdowns like "what kinds of places do I go to", group by top_category or mid_category rather than venue_category.\n\nTRIP CONTEXT AWARENESS:\nWhen user asks about "that trip", "tell me more about that", or references a previous answer:\n\n1. Extract context from your previous response:\n   - What country was mentioned?\n   - What was the date of the check-in?\n   \n2. Query for broader context:\n   - Call query_checkins with that country\n   - Request check-ins ordered by checkin_date ASC\n   - Use dateRange to get ~2 weeks before and after the reference date\n   - Example: if reference was June 15, query June 1 to June 29\n   \n3. Identify trip boundaries:\n   - Scan the results chronologically from the reference date backward\n   - Find where check-ins ENTER that country (previous check-in was a different country or time gap >24 hours)\n   - Scan forward from the reference date\n   - Find where check-ins EXIT that country (next check-in is a different country or time gap >24 hours)\n   - A "trip" is a continuous stay in one country without leaving\n   \n4. Present the trip:\n   - Show arrival: first check-in in the country during that continuous stay\n   - Highlight interesting stops: different cities, notable venues, patterns\n   - Show departure: last check-in in that country before leaving\n   - Mention duration: "This was a 4-day trip to Sweden"\n   - Provide context: "You arrived in Malmö and departed from Stockholm"\n\nEdge cases:\n- If no clear entry point (e.g., first-ever check-in), use time gaps >24 hours as boundaries\n- If no clear boundaries, show a 1-week window and note "showing check-ins around that time"\n- If "that trip" is ambiguous, ask: "Which trip? Your last check-in was in [Country] on [Date]"\n- Remember: each continuous stay in a country = one trip. Brief exits mean separate trips.\n\nVENUE MENTION FORMATTING:\n\nWhen mentioning specific venues in your responses, wrap them in this special format:\n{{venue|venue_id|venue_name|latitude|longitude}}\n\nExamples:\n- "You visited {{venue|abc123|Joe\'s Coffee Shop|52.5200|13.4050}} in Berlin."\n- "Your top venue is {{venue|xyz789|Central Park|40.7829|-73.9654}} with 47 check-ins."\n- "That day you checked into {{venue|def456|The Louvre|48.8606|2.3376}} and then {{venue|ghi789|Eiffel Tower|48.8584|2.2945}}."\n\nAlways use this format when:\n- Listing specific venues by name in your response\n- Answering "where" questions about locations\n- Discussing specific check-in locations\n- Providing venue recommendations from user\'s history\n- Showing venues from trip context\n\nDO NOT wrap:\n- Generic venue types ("restaurants", "museums", "bars")\n- City or country names\n- Venue counts or statistics (e.g., "47 check-ins")\n- Category names\n\nExtract venue data from function responses:\n- venue_id: Use the venue_id field from check-in data\n- venue_name: Use the venue_name field exactly as returned\n- latitude/longitude: Use precise coordinates from check-in data\n\nFormat dates conversationally (e.g., "back in July 2020" or "on a Sunday afternoon in March"). \n\nHandling unexpected results:\n- If you get results but they\'re from a different time period than asked (e.g., user asks "this year" but all results are from 2024), acknowledge this clearly: "I found winery check-ins, but they\'re all from 2024, not 2025. You visited [venues] last year. Haven\'t spotted any winery visits in 2025 yet - maybe time for a wine country trip?"\n- Always provide a response even if the data doesn\'t perfectly match - don\'t return empty responses\n- If truly no results, say so clearly: "No winery check-ins in 2025 so far"\n\nIf there\'s an error, respond calmly: "I\'m having trouble accessing that data right now. Try asking something else or rephrase your question."';
+
+// Venue mentions the system instruction asks for: {{venue|venue_id|venue_name|latitude|longitude}}
+const VENUE_MENTION = /\{\{venue\|(.*?)\|(.*?)\|(.*?)\|(.*?)\}\}/g;
+
+/**
+ * Venues mentioned in a reply, once each, in order of first mention
+ * @param {string} text - Reply text
+ * @returns {Array<{venueId: string, venueName: string, latitude: number, longitude: number}>}
+ */
+function parseVenueReferences(text) {
+  const venues = new Map();
+  for (const match of (text || '').matchAll(VENUE_MENTION)) {
+    if (!venues.has(match[1])) {
+      venues.set(match[1], {
+        venueId: match[1],
+        venueName: match[2],
+        latitude: parseFloat(match[3]),
+        longitude: parseFloat(match[4])
+      });
+    }
+  }
+  return [...venues.values()];
+}
+
+module.exports = {
+  FUNCTION_DECLARATIONS,
+  SYSTEM_INSTRUCTION,
+  parseVenueReferences
+};
@@ -0,0 +1,18 @@
+const { parseVenueReferences } = require('./copilotPrompt');
+
+describe('parseVenueReferences', () => {
+  test('extracts venue mentions once each, in order', () => {
+    const text = 'You visited {{venue|abc|Joe\'s Coffee|52.52|13.405}} and {{venue|def|The Louvre|48.8606|2.3376}}, ' +
+      'then {{venue|abc|Joe\'s Coffee|52.52|13.405}} again.';
+
+    expect(parseVenueReferences(text)).toEqual([
+      { venueId: 'abc', venueName: 'Joe\'s Coffee', latitude: 52.52, longitude: 13.405 },
+      { venueId: 'def', venueName: 'The Louvre', latitude: 48.8606, longitude: 2.3376 }
+    ]);
+  });
+
+  test('returns an empty list without mentions', () => {
+    expect(parseVenueReferences('No venues here')).toEqual([]);
+    expect(parseVenueReferences(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,148 @@
+const queryBuilder = require('./queryBuilder');
+const { buildAttachment } = require('./copilotAttachments');
+
+// Tables behind query_activities' source and query_daily_health's metric
+const ACTIVITY_SOURCES = {
+  strava: 'strava_activities',
+  garmin: 'garmin_activities'
+};
+
+const HEALTH_METRICS = {
+  steps: 'garmin_daily_steps',
+  sleep: 'garmin_daily_sleep',
+  heart_rate: 'garmin_daily_heart_rate',
+  calories: 'garmin_daily_calories'
+};
+
+// Check-in fields a map of the results needs, whatever the model selected
+const MAP_FIELDS = ['venue_id', 'venue_name', 'latitude', 'longitude'];
+
+/**
+ * Check-in query arguments with the fields for a map added when one is asked for
+ */
+function withMapFields(args) {
+  if (args.display?.type !== 'map' || args.queryType !== 'checkins') {
+    return args;
+  }
+  const select = args.select || queryBuilder.DEFAULT_CHECKIN_FIELDS;
+  return { ...args, select: [...new Set([...select, ...MAP_FIELDS])] };
+}
+
+/**
+ * Function response for query results, with a note when the system capped them
+ */
+function queryResponse(queryResults) {
+  const response = {
+    results: queryResults.data
+  };
+
+  if (queryResults.metadata && queryResults.metadata.limited) {
+    response.note = queryResults.metadata.message;
+  }
+
+  return response;
+}
+
+/**
+ * Run a dataset query for a tool whose first argument picks the table
+ */
+async function queryDataset(datasets, key, params, userId) {
+  if (!Object.hasOwn(datasets, key || '')) {
+    throw new Error(`Unknown dataset: ${key}`);
+  }
+  return queryResponse(await queryBuilder.executeDatasetQuery(datasets[key], params, userId));
+}
+
+/**
+ * " in Lisbon, Portugal" for a place filter, empty without one
+ */
+function describePlace(filters = {}) {
+  const place = [filters.city, filters.country].filter(Boolean).join(', ');
+  return place ? ` in ${place}` : '';
+}
+
+// Copilot functions by name: run() returns the function response,
+// errorResponse is sent instead when it throws, describe() is the progress
+// shown to the user while it runs
+const TOOLS = {
+  get_categories: {
+    describe: () => 'Looking up your categories',
+    run: async (args, userId) => {
+      // Get list of categories and the groups they roll up to
+      const categories = await queryBuilder.getCategories(userId);
+      const categoryGroups = await queryBuilder.getCategoryGroups(userId);
+      return { categories, categoryGroups };
+    },
+    errorResponse: {
+      error: 'Failed to fetch categories',
+      message: 'I had trouble getting the category list. Let me try to answer your question anyway.'
+    }
+  },
+  query_checkins: {
+    describe: ({ filters }) => `Querying check-ins${describePlace(filters)}`,
+    run: async (args, userId) => queryResponse(await queryBuilder.executeQuery(withMapFields(args), userId)),
+    errorResponse: {
+      error: 'Query failed',
+      message: 'I encountered an issue accessing your check-in data. Please try rephrasing your question or ask something else.'
+    }
+  },
+  query_activities: {
+    describe: ({ source, filters }) =>
+      `Querying ${source === 'garmin' ? 'Garmin' : 'Strava'} activities${describePlace(filters)}`,
+    run: ({ source, ...params }, userId) => queryDataset(ACTIVITY_SOURCES, source, params, userId),
+    errorResponse: {
+      error: 'Query failed',
+      message: 'I encountered an issue accessing your activity data. Please try rephrasing your question or ask something else.'
+    }
+  },
+  query_daily_health: {
+    describe: ({ metric }) => `Looking up daily ${String(metric || 'health data').replace('_', ' ')}`,
+    run: ({ metric, ...params }, userId) => queryDataset(HEALTH_METRICS, metric, params, userId),
+    errorResponse: {
+      error: 'Query failed',
+      message: 'I encountered an issue accessing your health data. Please try rephrasing your question or ask something else.'
+    }
+  }
+};
+
+/**
+ * Run a copilot function call for a user
+ * @param {string} name - Function name
+ * @param {Object} args - Function arguments from the model
+ * @param {string} userId - User the queries are scoped to
+ * @returns {Promise<{response: Object, failed: boolean, attachment: Object|null}>} Function response
+ *   to send back to the model, and the table, chart or map its display argument asked for
+ */
+async function runTool(name, args, userId) {
+  const tool = Object.hasOwn(TOOLS, name) ? TOOLS[name] : null;
+
+  if (!tool) {
+    console.error('Unknown copilot function:', name);
+    return {
+      response: { error: 'Unknown function', message: `There is no function called ${name}.` },
+      failed: true
+    };
+  }
+
+  try {
+    const response = await tool.run(args || {}, userId);
+    console.log(`${name} results:`, JSON.stringify(response, null, 2));
+    return { response, failed: false, attachment: buildAttachment(args?.display, response.results) };
+  } catch (error) {
+    console.error(`${name} error:`, error);
+    return { response: tool.errorResponse, failed: true };
+  }
+}
+
+/**
+ * Progress text for a copilot function call, e.g. "Querying check-ins in Japan"
+ * @param {string} name - Function name
+ * @param {Object} args - Function arguments from the model
+ * @returns {string}
+ */
+function describeTool(name, args) {
+  const tool = Object.hasOwn(TOOLS, name) ? TOOLS[name] : null;
+  return tool ? tool.describe(args || {}) : `Calling ${name}`;
+}
+
+module.exports = { runTool, describeTool };
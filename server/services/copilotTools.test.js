@@ -0,0 +1,113 @@
+jest.mock('./queryBuilder');
+
+const queryBuilder = require('./queryBuilder');
+const { runTool, describeTool } = require('./copilotTools');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+describe('runTool', () => {
+  test('returns categories and their groups', async () => {
+    queryBuilder.getCategories.mockResolvedValue(['Café']);
+    queryBuilder.getCategoryGroups.mockResolvedValue({ Food: ['Café'] });
+
+    expect(await runTool('get_categories', {}, '1')).toEqual({
+      response: { categories: ['Café'], categoryGroups: { Food: ['Café'] } },
+      failed: false,
+      attachment: null
+    });
+  });
+
+  test('passes the system limit note on with check-in results', async () => {
+    queryBuilder.executeQuery.mockResolvedValue({
+      data: [{ venue_name: 'Bar' }],
+      metadata: { limited: true, message: 'Showing 500 of 900 results.' }
+    });
+
+    const { response } = await runTool('query_checkins', { queryType: 'checkins' }, '1');
+
+    expect(queryBuilder.executeQuery).toHaveBeenCalledWith({ queryType: 'checkins' }, '1');
+    expect(response).toEqual({ results: [{ venue_name: 'Bar' }], note: 'Showing 500 of 900 results.' });
+  });
+
+  test('maps activity sources and health metrics to their tables', async () => {
+    queryBuilder.executeDatasetQuery.mockResolvedValue({ data: [{ result: 42000 }], metadata: { limited: false } });
+
+    await runTool('query_activities', { source: 'garmin', queryType: 'aggregation' }, '1');
+    await runTool('query_daily_health', { metric: 'sleep', queryType: 'records', limit: 7 }, '1');
+
+    expect(queryBuilder.executeDatasetQuery).toHaveBeenCalledWith('garmin_activities', { queryType: 'aggregation' }, '1');
+    expect(queryBuilder.executeDatasetQuery).toHaveBeenCalledWith('garmin_daily_sleep', { queryType: 'records', limit: 7 }, '1');
+  });
+
+  test('attaches the results in the display asked for', async () => {
+    queryBuilder.executeQuery.mockResolvedValue({
+      data: [{ country: 'Japan', result: '12' }, { country: 'Italy', result: '7' }],
+      metadata: { limited: false }
+    });
+
+    const { attachment } = await runTool('query_checkins', {
+      queryType: 'aggregation',
+      groupBy: ['country'],
+      display: { type: 'bar_chart', title: 'Check-ins by country' }
+    }, '1');
+
+    expect(attachment).toEqual({
+      type: 'chart',
+      chart: 'bar',
+      title: 'Check-ins by country',
+      xLabel: 'country',
+      yLabel: 'result',
+      data: [{ label: 'Japan', value: 12 }, { label: 'Italy', value: 7 }]
+    });
+  });
+
+  test('selects venue coordinates for a map of check-ins', async () => {
+    queryBuilder.executeQuery.mockResolvedValue({ data: [], metadata: { limited: false } });
+
+    await runTool('query_checkins', { queryType: 'checkins', select: ['venue_name', 'checkin_date'], display: { type: 'map' } }, '1');
+
+    expect(queryBuilder.executeQuery.mock.calls[0][0].select).toEqual([
+      'venue_name', 'checkin_date', 'venue_id', 'latitude', 'longitude'
+    ]);
+  });
+
+  test('sends the tool error response when a query fails', async () => {
+    const result = await runTool('query_daily_health', { metric: 'weight', queryType: 'records' }, '1');
+
+    expect(result.failed).toBe(true);
+    expect(result.response.error).toBe('Query failed');
+    expect(queryBuilder.executeDatasetQuery).not.toHaveBeenCalled();
+  });
+
+  test('reports unknown functions', async () => {
+    const result = await runTool('toString', {}, '1');
+
+    expect(result).toEqual({
+      response: { error: 'Unknown function', message: 'There is no function called toString.' },
+      failed: true
+    });
+  });
+});
+
+describe('describeTool', () => {
+  test('describes function calls for progress updates', () => {
+    expect(describeTool('query_checkins', { filters: { country: 'Japan' } })).toBe('Querying check-ins in Japan');
+    expect(describeTool('query_activities', { source: 'garmin', filters: { city: 'Lisbon', country: 'Portugal' } }))
+      .toBe('Querying Garmin activities in Lisbon, Portugal');
+    expect(describeTool('query_daily_health', { metric: 'heart_rate' })).toBe('Looking up daily heart rate');
+    expect(describeTool('get_categories')).toBe('Looking up your categories');
+  });
+
+  test('names unknown functions', () => {
+    expect(describeTool('drop_tables', {})).toBe('Calling drop_tables');
+  });
+});
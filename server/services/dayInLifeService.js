@@ -1,6 +1,7 @@
 const db = require('../db/connection');
 const weatherService = require('./weatherService');
 const staticMapGenerator = require('./staticMapGenerator');
+const photoCache = require('./photoCache');
 const DailyWeather = require('../models/dailyWeather');
 const Checkin = require('../models/checkin');
 const StravaActivity = require('../models/stravaActivity');
@@ -10,6 +11,14 @@ const GarminDailySteps = require('../models/garminDailySteps');
 const GarminDailyHeartRate = require('../models/garminDailyHeartRate');
 const GarminDailySleep = require('../models/garminDailySleep');
 const GarminDailyCalories = require('../models/garminDailyCalories');
+const GarminDailyStress = require('../models/garminDailyStress');
+const GarminDailyBodyBattery = require('../models/garminDailyBodyBattery');
+const GarminDailySpo2 = require('../models/garminDailySpo2');
+const GarminDailyRespiration = require('../models/garminDailyRespiration');
+const GarminDailyMovement = require('../models/garminDailyMovement');
+
+// Garmin counts one floor per 10ft (3.048m) climbed
+const FLOOR_HEIGHT_METERS = 3.048;
 
 /**
  * Day in Life Service
@@ -37,6 +46,26 @@ function getDateTimestamps(date) {
   return { startTime, endTime };
 }
 
+/**
+ * Returns the date after a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} Next date in YYYY-MM-DD format
+ */
+function getNextDate(date) {
+  const next = new Date(`${date}T00:00:00.000Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Convert a nullable numeric column value to a number
+ * @param {string|number|null} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
 /**
  * Find the most common value in an array
  * @param {Array} arr - Array of values
@@ -74,6 +103,9 @@ async function getDayInLife(userId, date, latitude = null, longitude = null) {
   // Get date range timestamps for activities
   const { startTime, endTime } = getDateTimestamps(date);
 
+  // Garmin files sleep under the date it ended, so tonight's sleep belongs to the next date
+  const nextDate = getNextDate(date);
+
   try {
     // Fetch all data in parallel
     const [
@@ -83,7 +115,13 @@ async function getDayInLife(userId, date, latitude = null, longitude = null) {
       dailySteps,
       dailyHeartRate,
       dailySleep,
+      tonightSleep,
       dailyCalories,
+      dailyStress,
+      dailyBodyBattery,
+      dailySpo2,
+      dailyRespiration,
+      dailyMovement,
       weather
     ] = await Promise.allSettled([
       // Check-ins (uses localDate filter to get all check-ins on this local date regardless of timezone)
@@ -102,7 +140,13 @@ async function getDayInLife(userId, date, latitude = null, longitude = null) {
       GarminDailySteps.findByUserAndDateRange(userId, date, date),
       GarminDailyHeartRate.findByUserAndDateRange(userId, date, date),
       GarminDailySleep.findByUserAndDateRange(userId, date, date),
+      GarminDailySleep.findByUserAndDateRange(userId, nextDate, nextDate),
       GarminDailyCalories.findByUserAndDateRange(userId, date, date),
+      GarminDailyStress.findByUserAndDateRange(userId, date, date),
+      GarminDailyBodyBattery.findByUserAndDateRange(userId, date, date),
+      GarminDailySpo2.findByUserAndDateRange(userId, date, date),
+      GarminDailyRespiration.findByUserAndDateRange(userId, date, date),
+      GarminDailyMovement.findByUserAndDateRange(userId, date, date),
 
       // Weather data (only if lat/lng provided)
       latitude && longitude
@@ -117,7 +161,13 @@ async function getDayInLife(userId, date, latitude = null, longitude = null) {
     const stepsData = dailySteps.status === 'fulfilled' ? dailySteps.value : [];
     const heartRateData = dailyHeartRate.status === 'fulfilled' ? dailyHeartRate.value : [];
     const sleepData = dailySleep.status === 'fulfilled' ? dailySleep.value : [];
+    const tonightSleepData = tonightSleep.status === 'fulfilled' ? tonightSleep.value : [];
     const caloriesData = dailyCalories.status === 'fulfilled' ? dailyCalories.value : [];
+    const stressData = dailyStress.status === 'fulfilled' ? dailyStress.value : [];
+    const bodyBatteryData = dailyBodyBattery.status === 'fulfilled' ? dailyBodyBattery.value : [];
+    const spo2Data = dailySpo2.status === 'fulfilled' ? dailySpo2.value : [];
+    const respirationData = dailyRespiration.status === 'fulfilled' ? dailyRespiration.value : [];
+    const movementData = dailyMovement.status === 'fulfilled' ? dailyMovement.value : [];
     const weatherData = weather.status === 'fulfilled' ? weather.value : null;
 
     // Combine activities from both sources
@@ -126,6 +176,8 @@ async function getDayInLife(userId, date, latitude = null, longitude = null) {
     // Get weather with caching
     const weatherResult = await getWeather(userId, date, checkins);
 
+    const movement = movementData[0];
+
     // Calculate properties
     const properties = {
       weather: weatherResult,
@@ -134,7 +186,8 @@ async function getDayInLife(userId, date, latitude = null, longitude = null) {
         score: sleepData[0].sleep_score
       } : null,
       steps: stepsData[0] ? {
-        count: stepsData[0].step_count
+        count: stepsData[0].step_count,
+        goal: movement ? movement.daily_step_goal : null
       } : null,
       checkins: { count: checkins.length },
       activities: { count: allActivities.length },
@@ -144,11 +197,57 @@ async function getDayInLife(userId, date, latitude = null, longitude = null) {
       } : null,
       calories: caloriesData[0] ? {
         total: caloriesData[0].total_calories
+      } : null,
+      stress: stressData[0] ? {
+        average: stressData[0].avg_stress_level,
+        max: stressData[0].max_stress_level
+      } : null,
+      bodyBattery: bodyBatteryData[0] ? {
+        highest: bodyBatteryData[0].highest_value,
+        lowest: bodyBatteryData[0].lowest_value,
+        charged: bodyBatteryData[0].charged_value,
+        drained: bodyBatteryData[0].drained_value
+      } : null,
+      // DECIMAL columns come back from pg as strings
+      spo2: spo2Data[0] ? {
+        average: toNumber(spo2Data[0].avg_spo2),
+        lowest: spo2Data[0].lowest_spo2
+      } : null,
+      respiration: respirationData[0] ? {
+        average: toNumber(respirationData[0].avg_waking_respiration),
+        lowest: toNumber(respirationData[0].lowest_respiration),
+        highest: toNumber(respirationData[0].highest_respiration)
+      } : null,
+      floors: movement && movement.floors_ascended_meters !== null ? {
+        ascended: Math.round(toNumber(movement.floors_ascended_meters) / FLOOR_HEIGHT_METERS),
+        descended: movement.floors_descended_meters !== null
+          ? Math.round(toNumber(movement.floors_descended_meters) / FLOOR_HEIGHT_METERS)
+          : null
+      } : null,
+      // Garmin counts vigorous minutes double toward the weekly goal
+      intensityMinutes: movement && (movement.moderate_intensity_minutes !== null || movement.vigorous_intensity_minutes !== null) ? {
+        moderate: movement.moderate_intensity_minutes || 0,
+        vigorous: movement.vigorous_intensity_minutes || 0,
+        total: (movement.moderate_intensity_minutes || 0) + 2 * (movement.vigorous_intensity_minutes || 0)
+      } : null,
+      distance: movement && movement.total_distance_meters !== null ? {
+        meters: movement.total_distance_meters
       } : null
     };
 
     // Generate events with grouping
-    const events = await generateEvents(checkins, allActivities);
+    const dayEvents = await generateEvents(checkins, allActivities, userId);
+
+    // Sleep brackets the day: wake-up from last night first, bedtime tonight last.
+    // Garmin only gives GMT, so show sleep in the timezone the day was spent in.
+    const dayTimezone = mostCommon(
+      [...checkins, ...allActivities].map(item => item.timezone).filter(Boolean)
+    ) || null;
+    const events = [
+      createSleepEvent(sleepData[0], dayTimezone),
+      ...dayEvents,
+      createSleepEvent(tonightSleepData[0], dayTimezone)
+    ].filter(Boolean);
 
     // Build timeline by combining all time-based events (legacy format for compatibility)
     const timeline = [
@@ -261,9 +360,10 @@ async function getWeather(userId, date, checkins) {
  * Standalone check-ins are grouped together. Each activity is displayed individually.
  * @param {Array} checkins - Array of check-in objects
  * @param {Array} activities - Array of activity objects (Strava and Garmin combined)
+ * @param {number} userId - User ID, cached photo URLs are signed for them
  * @returns {Promise<Array>} Array of event objects
  */
-async function generateEvents(checkins, activities) {
+async function generateEvents(checkins, activities, userId) {
   // Sort checkins chronologically (ASC) - DB returns DESC
   checkins.sort((a, b) => new Date(a.checkin_date) - new Date(b.checkin_date));
 
@@ -321,25 +421,25 @@ async function generateEvents(checkins, activities) {
     } else {
       // Activity interrupts check-in grouping
       if (currentCheckinGroup.length > 0) {
-        events.push(await createCheckinEvent(currentCheckinGroup));
+        events.push(await createCheckinEvent(currentCheckinGroup, userId));
         currentCheckinGroup = [];
       }
 
       if (event.type === 'mapped_activity') {
         if (event.data.checkins.length > 0) {
-          events.push(await createActivityWithCheckinsEvent(event.data, event.data.source, event.data.checkins));
+          events.push(await createActivityWithCheckinsEvent(event.data, event.data.source, event.data.checkins, userId));
         } else {
-          events.push(await createActivityEvent(event.data, event.data.source));
+          events.push(await createActivityEvent(event.data, event.data.source, userId));
         }
       } else {
-        events.push(await createActivityEvent(event.data, event.data.source));
+        events.push(await createActivityEvent(event.data, event.data.source, userId));
       }
     }
   }
 
   // Add remaining checkins
   if (currentCheckinGroup.length > 0) {
-    events.push(await createCheckinEvent(currentCheckinGroup));
+    events.push(await createCheckinEvent(currentCheckinGroup, userId));
   }
 
   return events;
@@ -348,9 +448,10 @@ async function generateEvents(checkins, activities) {
 /**
  * Creates a check-in event with photos and static map
  * @param {Array} checkins - Array of check-in objects
+ * @param {number} userId - User ID
  * @returns {Promise<Object>} Check-in event object
  */
-async function createCheckinEvent(checkins) {
+async function createCheckinEvent(checkins, userId) {
   // Get photos for these checkins
   const checkinIds = checkins.map(c => c.id);
   const photosQuery = `
@@ -361,7 +462,7 @@ async function createCheckinEvent(checkins) {
   const photosResult = await db.query(photosQuery, [checkinIds]);
   const photosByCheckin = photosResult.rows.reduce((acc, p) => {
     if (!acc[p.checkin_id]) acc[p.checkin_id] = [];
-    acc[p.checkin_id].push(p);
+    acc[p.checkin_id].push({ ...p, photo_url_cached: photoCache.signedUrl(p.photo_url_cached, userId) });
     return acc;
   }, {});
 
@@ -380,9 +481,10 @@ async function createCheckinEvent(checkins) {
  * Creates an activity event with static map
  * @param {Object} activity - Activity object (Strava or Garmin)
  * @param {string} source - 'strava' or 'garmin'
+ * @param {number} userId - User ID
  * @returns {Promise<Object>} Activity event object
  */
-async function createActivityEvent(activity, source) {
+async function createActivityEvent(activity, source, userId) {
   // Determine if activity is mapped (has GPS track data)
   // Both Strava and Garmin use 'tracklog' field (WKT LINESTRING format)
   const trackData = activity.tracklog;
@@ -411,6 +513,7 @@ async function createActivityEvent(activity, source) {
         id: p.id,
         photo_url: p.photo_url_600 || p.photo_url_full,
         photo_url_full: p.photo_url_full,
+        photo_url_cached: photoCache.signedUrl(p.photo_url_cached, userId),
         caption: p.caption
       }))
     },
@@ -425,9 +528,10 @@ async function createActivityEvent(activity, source) {
  * @param {Object} activity - Activity object (Strava or Garmin) with tracklog
  * @param {string} source - 'strava' or 'garmin'
  * @param {Array} checkins - Array of check-in objects that occurred during the activity
+ * @param {number} userId - User ID
  * @returns {Promise<Object>} Activity with check-ins event object
  */
-async function createActivityWithCheckinsEvent(activity, source, checkins) {
+async function createActivityWithCheckinsEvent(activity, source, checkins, userId) {
   // Get photos for these checkins
   const checkinIds = checkins.map(c => c.id);
   const photosQuery = `
@@ -438,7 +542,7 @@ async function createActivityWithCheckinsEvent(activity, source, checkins) {
   const photosResult = await db.query(photosQuery, [checkinIds]);
   const photosByCheckin = photosResult.rows.reduce((acc, p) => {
     if (!acc[p.checkin_id]) acc[p.checkin_id] = [];
-    acc[p.checkin_id].push(p);
+    acc[p.checkin_id].push({ ...p, photo_url_cached: photoCache.signedUrl(p.photo_url_cached, userId) });
     return acc;
   }, {});
 
@@ -477,6 +581,7 @@ async function createActivityWithCheckinsEvent(activity, source, checkins) {
         id: p.id,
         photo_url: p.photo_url_600 || p.photo_url_full,
         photo_url_full: p.photo_url_full,
+        photo_url_cached: photoCache.signedUrl(p.photo_url_cached, userId),
         caption: p.caption
       }))
     },
@@ -485,9 +590,39 @@ async function createActivityWithCheckinsEvent(activity, source, checkins) {
   };
 }
 
+/**
+ * Creates a sleep event from a Garmin sleep record
+ * @param {Object} sleep - garmin_daily_sleep row
+ * @param {string|null} timezone - IANA timezone to display bedtime/wake-up in
+ * @returns {Object|null} Sleep event, or null if the record has no sleep window
+ */
+function createSleepEvent(sleep, timezone = null) {
+  if (!sleep || !sleep.sleep_start_time || !sleep.sleep_end_time) {
+    return null;
+  }
+
+  return {
+    type: 'sleep',
+    startTime: sleep.sleep_start_time,
+    endTime: sleep.sleep_end_time,
+    timezone,
+    sleep: {
+      duration: sleep.sleep_duration_seconds,
+      score: sleep.sleep_score,
+      stages: {
+        deep: sleep.deep_sleep_seconds,
+        light: sleep.light_sleep_seconds,
+        rem: sleep.rem_sleep_seconds,
+        awake: sleep.awake_seconds
+      }
+    }
+  };
+}
+
 module.exports = {
   getDayInLife,
   generateEvents,
+  createSleepEvent,
   createCheckinEvent,
   createActivityEvent,
   createActivityWithCheckinsEvent
@@ -11,6 +11,11 @@ jest.mock('../models/garminActivity');
 jest.mock('../models/garminDailySteps');
 jest.mock('../models/garminDailyHeartRate');
 jest.mock('../models/garminDailySleep');
+jest.mock('../models/garminDailyStress');
+jest.mock('../models/garminDailyBodyBattery');
+jest.mock('../models/garminDailySpo2');
+jest.mock('../models/garminDailyRespiration');
+jest.mock('../models/garminDailyMovement');
 jest.mock('./weatherService');
 
 const dayInLifeService = require('./dayInLifeService');
@@ -21,6 +26,11 @@ const GarminActivity = require('../models/garminActivity');
 const GarminDailySteps = require('../models/garminDailySteps');
 const GarminDailyHeartRate = require('../models/garminDailyHeartRate');
 const GarminDailySleep = require('../models/garminDailySleep');
+const GarminDailyStress = require('../models/garminDailyStress');
+const GarminDailyBodyBattery = require('../models/garminDailyBodyBattery');
+const GarminDailySpo2 = require('../models/garminDailySpo2');
+const GarminDailyRespiration = require('../models/garminDailyRespiration');
+const GarminDailyMovement = require('../models/garminDailyMovement');
 const weatherService = require('./weatherService');
 const db = require('../db/connection');
 
@@ -37,6 +47,12 @@ describe('dayInLifeService', () => {
     db.query.mockResolvedValue({ rows: [] });
     // Mock StravaActivityPhoto.findByActivityId to return empty by default
     StravaActivityPhoto.findByActivityId = jest.fn().mockResolvedValue([]);
+    // Wellness metrics default to no data
+    GarminDailyStress.findByUserAndDateRange.mockResolvedValue([]);
+    GarminDailyBodyBattery.findByUserAndDateRange.mockResolvedValue([]);
+    GarminDailySpo2.findByUserAndDateRange.mockResolvedValue([]);
+    GarminDailyRespiration.findByUserAndDateRange.mockResolvedValue([]);
+    GarminDailyMovement.findByUserAndDateRange.mockResolvedValue([]);
   });
 
   describe('getDayInLife', () => {
@@ -292,6 +308,128 @@ describe('dayInLifeService', () => {
       expect(result.weather).toBeNull();
     });
 
+    it('should include Garmin wellness metrics as properties', async () => {
+      Checkin.find.mockResolvedValue({ data: [], total: 0 });
+      StravaActivity.findByUserAndDateRange.mockResolvedValue([]);
+      GarminActivity.findByUserAndDateRange.mockResolvedValue([]);
+      GarminDailySteps.findByUserAndDateRange.mockResolvedValue([{ date, step_count: 10432 }]);
+      GarminDailyHeartRate.findByUserAndDateRange.mockResolvedValue([]);
+      GarminDailySleep.findByUserAndDateRange.mockResolvedValue([]);
+      GarminDailyStress.findByUserAndDateRange.mockResolvedValue([{ avg_stress_level: 38, max_stress_level: 87 }]);
+      GarminDailyBodyBattery.findByUserAndDateRange.mockResolvedValue([
+        { highest_value: 40, lowest_value: 9, charged_value: 31, drained_value: 32 }
+      ]);
+      GarminDailySpo2.findByUserAndDateRange.mockResolvedValue([{ avg_spo2: '96.0', lowest_spo2: 90 }]);
+      GarminDailyRespiration.findByUserAndDateRange.mockResolvedValue([
+        { avg_waking_respiration: '16.0', highest_respiration: '24.0', lowest_respiration: '9.0' }
+      ]);
+      GarminDailyMovement.findByUserAndDateRange.mockResolvedValue([{
+        floors_ascended_meters: '6.10',
+        floors_descended_meters: '3.92',
+        moderate_intensity_minutes: 5,
+        vigorous_intensity_minutes: 33,
+        total_distance_meters: 8751,
+        daily_step_goal: 7870
+      }]);
+
+      const result = await dayInLifeService.getDayInLife(userId, date);
+
+      expect(GarminDailyStress.findByUserAndDateRange).toHaveBeenCalledWith(userId, date, date);
+      expect(result.properties).toMatchObject({
+        steps: { count: 10432, goal: 7870 },
+        stress: { average: 38, max: 87 },
+        bodyBattery: { highest: 40, lowest: 9, charged: 31, drained: 32 },
+        spo2: { average: 96, lowest: 90 },
+        respiration: { average: 16, lowest: 9, highest: 24 },
+        floors: { ascended: 2, descended: 1 },
+        intensityMinutes: { moderate: 5, vigorous: 33, total: 71 },
+        distance: { meters: 8751 }
+      });
+    });
+
+    it('should return null wellness properties when there is no data', async () => {
+      Checkin.find.mockResolvedValue({ data: [], total: 0 });
+      StravaActivity.findByUserAndDateRange.mockResolvedValue([]);
+      GarminActivity.findByUserAndDateRange.mockResolvedValue([]);
+      GarminDailySteps.findByUserAndDateRange.mockResolvedValue([]);
+      GarminDailyHeartRate.findByUserAndDateRange.mockResolvedValue([]);
+      GarminDailySleep.findByUserAndDateRange.mockResolvedValue([]);
+
+      const result = await dayInLifeService.getDayInLife(userId, date);
+
+      expect(result.properties).toMatchObject({
+        stress: null,
+        bodyBattery: null,
+        spo2: null,
+        respiration: null,
+        floors: null,
+        intensityMinutes: null,
+        distance: null
+      });
+    });
+
+    it('should bracket the timeline with last night and tonight sleep events', async () => {
+      const lastNight = {
+        date: '2024-01-15',
+        sleep_start_time: '2024-01-14T23:10:00.000Z',
+        sleep_end_time: '2024-01-15T07:05:00.000Z',
+        sleep_duration_seconds: 28500,
+        deep_sleep_seconds: 5400,
+        light_sleep_seconds: 15000,
+        rem_sleep_seconds: 6600,
+        awake_seconds: 1500
+      };
+      const tonight = {
+        date: '2024-01-16',
+        sleep_start_time: '2024-01-16T01:40:00.000Z',
+        sleep_end_time: '2024-01-16T08:00:00.000Z',
+        sleep_duration_seconds: 22800
+      };
+
+      Checkin.find.mockResolvedValue({
+        data: [{ id: 1, checkin_date: '2024-01-15T22:30:00Z', timezone: 'Europe/Berlin', latitude: 52.5, longitude: 13.4 }],
+        total: 1
+      });
+      StravaActivity.findByUserAndDateRange.mockResolvedValue([]);
+      GarminActivity.findByUserAndDateRange.mockResolvedValue([]);
+      GarminDailySteps.findByUserAndDateRange.mockResolvedValue([]);
+      GarminDailyHeartRate.findByUserAndDateRange.mockResolvedValue([]);
+      GarminDailySleep.findByUserAndDateRange.mockImplementation(async (id, startDate) =>
+        startDate === '2024-01-15' ? [lastNight] : [tonight]
+      );
+
+      const result = await dayInLifeService.getDayInLife(userId, date);
+
+      expect(GarminDailySleep.findByUserAndDateRange).toHaveBeenCalledWith(userId, '2024-01-16', '2024-01-16');
+      expect(result.events.map(e => e.type)).toEqual(['sleep', 'checkin_group', 'sleep']);
+      expect(result.events[0]).toEqual({
+        type: 'sleep',
+        startTime: lastNight.sleep_start_time,
+        endTime: lastNight.sleep_end_time,
+        timezone: 'Europe/Berlin',
+        sleep: {
+          duration: 28500,
+          score: undefined,
+          stages: { deep: 5400, light: 15000, rem: 6600, awake: 1500 }
+        }
+      });
+      expect(result.events[2].startTime).toBe(tonight.sleep_start_time);
+    });
+
+    it('should skip sleep events for records without a sleep window', async () => {
+      Checkin.find.mockResolvedValue({ data: [], total: 0 });
+      StravaActivity.findByUserAndDateRange.mockResolvedValue([]);
+      GarminActivity.findByUserAndDateRange.mockResolvedValue([]);
+      GarminDailySteps.findByUserAndDateRange.mockResolvedValue([]);
+      GarminDailyHeartRate.findByUserAndDateRange.mockResolvedValue([]);
+      GarminDailySleep.findByUserAndDateRange.mockResolvedValue([{ date, sleep_duration_seconds: 28800 }]);
+
+      const result = await dayInLifeService.getDayInLife(userId, date);
+
+      expect(result.events).toEqual([]);
+      expect(result.properties.sleep).toEqual({ duration: 28800, score: undefined });
+    });
+
     it('should validate required parameters', async () => {
       await expect(dayInLifeService.getDayInLife(null, date)).rejects.toThrow('userId is required');
       await expect(dayInLifeService.getDayInLife(userId, null)).rejects.toThrow('date is required');
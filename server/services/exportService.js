@@ -0,0 +1,320 @@
+const { once } = require('events');
+const Checkin = require('../models/checkin');
+const ActivityTrack = require('../models/activityTrack');
+
+const CHECKIN_BATCH_SIZE = 1000;
+// Tracklogs are large, so activities are fetched in smaller batches
+const ACTIVITY_BATCH_SIZE = 50;
+
+const CSV_COLUMNS = [
+  'type', 'id', 'date', 'timezone', 'name', 'category', 'venue_id', 'city', 'country',
+  'latitude', 'longitude', 'activity_type', 'duration_seconds', 'distance_meters', 'url'
+];
+
+function toIsoString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Lines of a tracklog GeoJSON geometry as arrays of [lng, lat] positions
+ */
+function trackLines(geometryJson) {
+  const geometry = JSON.parse(geometryJson);
+  return geometry.type === 'MultiLineString' ? geometry.coordinates : [geometry.coordinates];
+}
+
+function checkinDescription(checkin) {
+  const place = [checkin.city, checkin.country].filter(Boolean).join(', ');
+  return [checkin.venue_category, place].filter(Boolean).join(' · ');
+}
+
+/**
+ * Each format writes a header, check-ins, then activities, then a footer.
+ * Sections are only started when they have at least one item.
+ */
+const FORMATS = {
+  geojson: {
+    contentType: 'application/geo+json',
+    extension: 'geojson',
+    createWriter() {
+      let first = true;
+      const feature = (value) => {
+        const prefix = first ? '' : ',\n';
+        first = false;
+        return prefix + JSON.stringify(value);
+      };
+
+      return {
+        header: () => '{"type":"FeatureCollection","features":[\n',
+        sectionStart: () => '',
+        sectionEnd: () => '',
+        checkin: (checkin) => feature({
+          type: 'Feature',
+          geometry: checkin.latitude != null && checkin.longitude != null
+            ? { type: 'Point', coordinates: [Number(checkin.longitude), Number(checkin.latitude)] }
+            : null,
+          properties: {
+            type: 'checkin',
+            id: checkin.id,
+            venue_id: checkin.venue_id,
+            venue_name: checkin.venue_name,
+            venue_category: checkin.venue_category,
+            checkin_date: toIsoString(checkin.checkin_date),
+            timezone: checkin.timezone,
+            city: checkin.city,
+            country: checkin.country
+          }
+        }),
+        activity: (activity) => feature({
+          type: 'Feature',
+          geometry: JSON.parse(activity.geometry),
+          properties: {
+            type: 'activity',
+            id: activity.id,
+            source: activity.source,
+            activity_type: activity.activity_type,
+            activity_name: activity.activity_name,
+            start_time: toIsoString(activity.start_time),
+            timezone: activity.timezone,
+            duration_seconds: activity.duration_seconds,
+            distance_meters: activity.distance_meters !== null ? Number(activity.distance_meters) : null,
+            url: activity.url
+          }
+        }),
+        footer: () => '\n]}\n'
+      };
+    }
+  },
+
+  kml: {
+    contentType: 'application/vnd.google-earth.kml+xml',
+    extension: 'kml',
+    createWriter() {
+      const folderNames = { checkins: 'Check-ins', activities: 'Activities' };
+
+      return {
+        header: () => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+          '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n<name>Swarm Visualizer export</name>\n',
+        sectionStart: (section) => `<Folder>\n<name>${folderNames[section]}</name>\n`,
+        sectionEnd: () => '</Folder>\n',
+        checkin: (checkin) => '<Placemark>' +
+          `<name>${escapeXml(checkin.venue_name)}</name>` +
+          `<description>${escapeXml(checkinDescription(checkin))}</description>` +
+          `<TimeStamp><when>${toIsoString(checkin.checkin_date)}</when></TimeStamp>` +
+          (checkin.latitude != null && checkin.longitude != null
+            ? `<Point><coordinates>${checkin.longitude},${checkin.latitude}</coordinates></Point>`
+            : '') +
+          '</Placemark>\n',
+        activity: (activity) => {
+          const lines = trackLines(activity.geometry).map(line =>
+            '<LineString><tessellate>1</tessellate><coordinates>' +
+            line.map(([lng, lat]) => `${lng},${lat}`).join(' ') +
+            '</coordinates></LineString>'
+          );
+          const geometry = lines.length === 1 ? lines[0] : `<MultiGeometry>${lines.join('')}</MultiGeometry>`;
+
+          return '<Placemark>' +
+            `<name>${escapeXml(activity.activity_name)}</name>` +
+            `<description>${escapeXml(activity.activity_type)}</description>` +
+            `<TimeStamp><when>${toIsoString(activity.start_time)}</when></TimeStamp>` +
+            geometry +
+            '</Placemark>\n';
+        },
+        footer: () => '</Document>\n</kml>\n'
+      };
+    }
+  },
+
+  gpx: {
+    contentType: 'application/gpx+xml',
+    extension: 'gpx',
+    // GPX 1.1 requires all waypoints before the tracks, matching the section order
+    createWriter() {
+      return {
+        header: () => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+          '<gpx version="1.1" creator="Swarm Visualizer" xmlns="http://www.topografix.com/GPX/1/1">\n',
+        sectionStart: () => '',
+        sectionEnd: () => '',
+        checkin: (checkin) => {
+          if (checkin.latitude == null || checkin.longitude == null) return '';
+
+          return `<wpt lat="${checkin.latitude}" lon="${checkin.longitude}">` +
+            `<time>${toIsoString(checkin.checkin_date)}</time>` +
+            `<name>${escapeXml(checkin.venue_name)}</name>` +
+            `<desc>${escapeXml(checkinDescription(checkin))}</desc>` +
+            (checkin.venue_category ? `<type>${escapeXml(checkin.venue_category)}</type>` : '') +
+            '</wpt>\n';
+        },
+        activity: (activity) => '<trk>' +
+          `<name>${escapeXml(activity.activity_name)}</name>` +
+          (activity.url ? `<link href="${escapeXml(activity.url)}"/>` : '') +
+          (activity.activity_type ? `<type>${escapeXml(activity.activity_type)}</type>` : '') +
+          trackLines(activity.geometry).map(line =>
+            '<trkseg>' + line.map(([lng, lat]) => `<trkpt lat="${lat}" lon="${lng}"/>`).join('') + '</trkseg>'
+          ).join('') +
+          '</trk>\n',
+        footer: () => '</gpx>\n'
+      };
+    }
+  },
+
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    createWriter() {
+      const row = (values) => CSV_COLUMNS.map(column => escapeCsv(values[column])).join(',') + '\n';
+
+      return {
+        header: () => CSV_COLUMNS.join(',') + '\n',
+        sectionStart: () => '',
+        sectionEnd: () => '',
+        checkin: (checkin) => row({
+          type: 'checkin',
+          id: checkin.id,
+          date: toIsoString(checkin.checkin_date),
+          timezone: checkin.timezone,
+          name: checkin.venue_name,
+          category: checkin.venue_category,
+          venue_id: checkin.venue_id,
+          city: checkin.city,
+          country: checkin.country,
+          latitude: checkin.latitude,
+          longitude: checkin.longitude
+        }),
+        activity: (activity) => {
+          // Activities are placed at the start of their track
+          const [start] = trackLines(activity.geometry)[0] || [];
+
+          return row({
+            type: 'activity',
+            id: `${activity.source}-${activity.id}`,
+            date: toIsoString(activity.start_time),
+            timezone: activity.timezone,
+            name: activity.activity_name,
+            latitude: start ? start[1] : null,
+            longitude: start ? start[0] : null,
+            activity_type: activity.activity_type,
+            duration_seconds: activity.duration_seconds,
+            distance_meters: activity.distance_meters,
+            url: activity.url
+          });
+        },
+        footer: () => ''
+      };
+    }
+  }
+};
+
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full
+ * @returns {Promise<boolean>} False once the stream is closed (client went away)
+ */
+async function write(output, chunk) {
+  if (output.destroyed) return false;
+  if (!chunk || output.write(chunk)) return true;
+
+  await Promise.race([once(output, 'drain'), once(output, 'close')]);
+  return !output.destroyed;
+}
+
+class ExportService {
+  constructor() {
+    // Export formats, in the order they're offered
+    this.formats = Object.keys(FORMATS);
+  }
+
+  /**
+   * Content type and file extension of a format
+   * @param {string} format - One of formats
+   * @returns {{contentType: string, extension: string}}
+   */
+  getFormat(format) {
+    const { contentType, extension } = FORMATS[format];
+    return { contentType, extension };
+  }
+
+  /**
+   * Stream a user's check-ins and activity tracks to a writable stream
+   * Check-ins take the same filters as Checkin.find. Activities only honor the
+   * date range and bounds, and are left out when filtering by category,
+   * country, city or search since those only describe venues.
+   * @param {Writable} output - Usually the HTTP response
+   * @param {string} format - One of formats
+   * @param {Object} filters - { userId, startDate, endDate, category, country, city, search, bounds }
+   * @param {Object} [options]
+   * @param {string} [options.include='all'] - 'all', 'checkins' or 'activities'
+   * @returns {Promise<{checkins: number, activities: number}>} Number of items written
+   */
+  async streamExport(output, format, filters, { include = 'all' } = {}) {
+    const writer = FORMATS[format].createWriter();
+    const { category, country, city, search } = filters;
+    const hasVenueFilter = Boolean(category || country || city || search);
+
+    const counts = { checkins: 0, activities: 0 };
+    if (!await write(output, writer.header())) return counts;
+
+    const sections = [
+      {
+        name: 'checkins',
+        enabled: include !== 'activities',
+        limit: CHECKIN_BATCH_SIZE,
+        fetch: (after, limit) => Checkin.findBatch(filters, { after, limit }),
+        writeItem: writer.checkin
+      },
+      {
+        name: 'activities',
+        enabled: include !== 'checkins' && !hasVenueFilter,
+        limit: ACTIVITY_BATCH_SIZE,
+        fetch: (after, limit) => ActivityTrack.findBatch(filters, { after, limit }),
+        writeItem: writer.activity
+      }
+    ];
+
+    for (const section of sections) {
+      if (!section.enabled) continue;
+
+      let after = null;
+      let started = false;
+
+      for (;;) {
+        const batch = await section.fetch(after, section.limit);
+        if (batch.length === 0) break;
+
+        if (!started) {
+          started = true;
+          if (!await write(output, writer.sectionStart(section.name))) return counts;
+        }
+
+        const chunk = batch.map(item => section.writeItem(item)).join('');
+        if (!await write(output, chunk)) return counts;
+        counts[section.name] += batch.length;
+
+        if (batch.length < section.limit) break;
+        after = batch[batch.length - 1];
+      }
+
+      if (started && !await write(output, writer.sectionEnd(section.name))) return counts;
+    }
+
+    await write(output, writer.footer());
+    output.end();
+    return counts;
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,178 @@
+const { PassThrough } = require('stream');
+
+jest.mock('../models/checkin');
+jest.mock('../models/activityTrack');
+
+const Checkin = require('../models/checkin');
+const ActivityTrack = require('../models/activityTrack');
+const exportService = require('./exportService');
+
+const checkin = {
+  id: 1,
+  venue_id: 'v1',
+  venue_name: 'Café "Central" & Bar',
+  venue_category: 'Café',
+  latitude: '48.2104',
+  longitude: '16.3653',
+  checkin_date: new Date('2024-03-01T09:30:00.000Z'),
+  timezone: 'Europe/Vienna',
+  city: 'Vienna',
+  country: 'Austria'
+};
+
+const activity = {
+  id: 7,
+  source: 'strava',
+  activity_type: 'Run',
+  activity_name: 'Morning Run',
+  start_time: new Date('2024-03-02T07:00:00.000Z'),
+  timezone: 'Europe/Vienna',
+  duration_seconds: 1800,
+  distance_meters: '5012.40',
+  url: 'https://www.strava.com/activities/123',
+  geometry: '{"type":"LineString","coordinates":[[16.36,48.21],[16.37,48.22]]}'
+};
+
+async function runExport(format, filters = { userId: 1 }, options) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  const counts = await exportService.streamExport(output, format, filters, options);
+  return { counts, body: Buffer.concat(chunks).toString() };
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  Checkin.findBatch.mockResolvedValue([]);
+  ActivityTrack.findBatch.mockResolvedValue([]);
+});
+
+describe('ExportService.getFormat', () => {
+  test('returns the content type and extension', () => {
+    expect(exportService.formats).toEqual(['geojson', 'kml', 'gpx', 'csv']);
+    expect(exportService.getFormat('gpx')).toEqual({ contentType: 'application/gpx+xml', extension: 'gpx' });
+  });
+});
+
+describe('ExportService.streamExport', () => {
+  test('writes check-ins and activities as a GeoJSON FeatureCollection', async () => {
+    Checkin.findBatch.mockResolvedValueOnce([checkin]);
+    ActivityTrack.findBatch.mockResolvedValueOnce([activity]);
+
+    const { counts, body } = await runExport('geojson');
+
+    expect(counts).toEqual({ checkins: 1, activities: 1 });
+    const geojson = JSON.parse(body);
+    expect(geojson.type).toBe('FeatureCollection');
+    expect(geojson.features).toHaveLength(2);
+    expect(geojson.features[0].geometry).toEqual({ type: 'Point', coordinates: [16.3653, 48.2104] });
+    expect(geojson.features[0].properties).toMatchObject({
+      type: 'checkin',
+      venue_name: 'Café "Central" & Bar',
+      checkin_date: '2024-03-01T09:30:00.000Z'
+    });
+    expect(geojson.features[1].geometry.type).toBe('LineString');
+    expect(geojson.features[1].properties).toMatchObject({ type: 'activity', distance_meters: 5012.4 });
+  });
+
+  test('writes valid GeoJSON without any data', async () => {
+    const { counts, body } = await runExport('geojson');
+
+    expect(counts).toEqual({ checkins: 0, activities: 0 });
+    expect(JSON.parse(body)).toEqual({ type: 'FeatureCollection', features: [] });
+  });
+
+  test('pages through check-ins in batches', async () => {
+    const firstBatch = Array.from({ length: 1000 }, (_, i) => ({ ...checkin, id: i + 1 }));
+    Checkin.findBatch
+      .mockResolvedValueOnce(firstBatch)
+      .mockResolvedValueOnce([{ ...checkin, id: 1001 }]);
+
+    const { counts } = await runExport('csv', { userId: 1 }, { include: 'checkins' });
+
+    expect(counts.checkins).toBe(1001);
+    expect(Checkin.findBatch).toHaveBeenNthCalledWith(1, { userId: 1 }, { after: null, limit: 1000 });
+    expect(Checkin.findBatch).toHaveBeenNthCalledWith(2, { userId: 1 }, { after: firstBatch[999], limit: 1000 });
+    expect(ActivityTrack.findBatch).not.toHaveBeenCalled();
+  });
+
+  test('leaves out activities when filtering by venue', async () => {
+    const filters = { userId: 1, country: 'Austria' };
+
+    await runExport('geojson', filters);
+
+    expect(Checkin.findBatch).toHaveBeenCalledWith(filters, expect.any(Object));
+    expect(ActivityTrack.findBatch).not.toHaveBeenCalled();
+  });
+
+  test('exports only activities when asked', async () => {
+    ActivityTrack.findBatch.mockResolvedValueOnce([activity]);
+
+    const { counts } = await runExport('gpx', { userId: 1 }, { include: 'activities' });
+
+    expect(counts).toEqual({ checkins: 0, activities: 1 });
+    expect(Checkin.findBatch).not.toHaveBeenCalled();
+  });
+
+  test('writes check-ins as GPX waypoints before activity tracks', async () => {
+    Checkin.findBatch.mockResolvedValueOnce([checkin]);
+    ActivityTrack.findBatch.mockResolvedValueOnce([activity]);
+
+    const { body } = await runExport('gpx');
+
+    expect(body).toContain('<gpx version="1.1"');
+    expect(body).toContain(
+      '<wpt lat="48.2104" lon="16.3653"><time>2024-03-01T09:30:00.000Z</time>' +
+      '<name>Café &quot;Central&quot; &amp; Bar</name><desc>Café · Vienna, Austria</desc><type>Café</type></wpt>'
+    );
+    expect(body).toContain('<trkseg><trkpt lat="48.21" lon="16.36"/><trkpt lat="48.22" lon="16.37"/></trkseg>');
+    expect(body.indexOf('<wpt')).toBeLessThan(body.indexOf('<trk>'));
+    expect(body.trim().endsWith('</gpx>')).toBe(true);
+  });
+
+  test('writes KML placemarks in a folder per section', async () => {
+    Checkin.findBatch.mockResolvedValueOnce([checkin]);
+    ActivityTrack.findBatch.mockResolvedValueOnce([activity]);
+
+    const { body } = await runExport('kml');
+
+    expect(body).toContain('<Folder>\n<name>Check-ins</name>');
+    expect(body).toContain('<Folder>\n<name>Activities</name>');
+    expect(body).toContain('<Point><coordinates>16.3653,48.2104</coordinates></Point>');
+    expect(body).toContain('<coordinates>16.36,48.21 16.37,48.22</coordinates>');
+    expect(body.match(/<\/Folder>/g)).toHaveLength(2);
+  });
+
+  test('skips empty KML folders', async () => {
+    Checkin.findBatch.mockResolvedValueOnce([checkin]);
+
+    const { body } = await runExport('kml');
+
+    expect(body).not.toContain('Activities');
+    expect(body.match(/<Folder>/g)).toHaveLength(1);
+  });
+
+  test('writes CSV rows with quoted values', async () => {
+    Checkin.findBatch.mockResolvedValueOnce([checkin]);
+    ActivityTrack.findBatch.mockResolvedValueOnce([activity]);
+
+    const { body } = await runExport('csv');
+    const lines = body.trim().split('\n');
+
+    expect(lines[0]).toBe('type,id,date,timezone,name,category,venue_id,city,country,latitude,longitude,activity_type,duration_seconds,distance_meters,url');
+    expect(lines[1]).toBe('checkin,1,2024-03-01T09:30:00.000Z,Europe/Vienna,"Café ""Central"" & Bar",Café,v1,Vienna,Austria,48.2104,16.3653,,,,');
+    expect(lines[2]).toBe('activity,strava-7,2024-03-02T07:00:00.000Z,Europe/Vienna,Morning Run,,,,,48.21,16.36,Run,1800,5012.40,https://www.strava.com/activities/123');
+  });
+
+  test('stops when the client goes away', async () => {
+    Checkin.findBatch.mockResolvedValue([checkin]);
+    const output = new PassThrough();
+    output.destroy();
+
+    const counts = await exportService.streamExport(output, 'csv', { userId: 1 });
+
+    expect(counts).toEqual({ checkins: 0, activities: 0 });
+    expect(Checkin.findBatch).not.toHaveBeenCalled();
+  });
+});
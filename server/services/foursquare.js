@@ -1,5 +1,5 @@
 const axios = require('axios');
-const { getTimezoneFromCoordinates } = require('../utils/timezoneUtils');
+const { getTimezoneFromCoordinates, getTimezoneFromOffset } = require('../utils/timezoneUtils');
 
 const FOURSQUARE_API_BASE = 'https://api.foursquare.com/v2';
 const BATCH_SIZE = 100; // Fetch 100 check-ins per request
@@ -113,11 +113,36 @@ async function getUserProfile(accessToken) {
   }
 }
 
+/**
+ * Fetch the Foursquare venue category tree
+ * @param {string} accessToken - Foursquare OAuth access token
+ * @returns {Promise<Array>} Top-level categories, each with nested categories
+ */
+async function fetchCategories(accessToken) {
+  try {
+    const response = await axios.get(`${FOURSQUARE_API_BASE}/venues/categories`, {
+      params: {
+        oauth_token: accessToken,
+        v: '20231201'
+      },
+      timeout: 30000
+    });
+
+    return response.data.response.categories;
+  } catch (error) {
+    if (error.response?.status === 401) {
+      throw new Error('Invalid or expired access token.');
+    }
+    throw new Error(`Failed to fetch categories: ${error.message}`);
+  }
+}
+
 /**
  * Transform Foursquare check-in to our database format
  * @param {Object} checkin - Foursquare check-in object
  * @param {number} userId - Our database user ID
- * @returns {Object} Check-in in our database format with photos array
+ * @returns {Object} Check-in in our database format with photos array, plus the
+ *   venue's address and category id (not stored on check-ins, see models/venue.js)
  */
 function transformCheckin(checkin, userId) {
   const venue = checkin.venue;
@@ -135,14 +160,17 @@ function transformCheckin(checkin, userId) {
     });
   }
 
-  // Calculate timezone from coordinates
-  const timezone = getTimezoneFromCoordinates(location.lat, location.lng);
+  // Calculate timezone from coordinates, or the check-in's offset without them
+  const timezone = getTimezoneFromCoordinates(location.lat, location.lng) ||
+    getTimezoneFromOffset(checkin.timeZoneOffset);
 
   return {
     user_id: userId,
     venue_id: venue.id,
     venue_name: venue.name,
     venue_category: venue.categories?.[0]?.name || null,
+    venue_category_id: venue.categories?.[0]?.id || null,
+    venue_address: location.address || null,
     latitude: location.lat,
     longitude: location.lng,
     checkin_date: new Date(checkin.createdAt * 1000), // Convert Unix timestamp to Date
@@ -164,6 +192,7 @@ function sleep(ms) {
 
 module.exports = {
   fetchCheckins,
+  fetchCategories,
   getUserProfile,
   transformCheckin
 };
@@ -13,10 +13,12 @@ describe('Foursquare Service', () => {
           name: 'Test Venue',
           categories: [
             {
+              id: '4bf58dd8d48988d1e0931735',
               name: 'Coffee Shop'
             }
           ],
           location: {
+            address: '1 Main St',
             lat: 40.7128,
             lng: -74.0060,
             city: 'New York',
@@ -51,6 +53,8 @@ describe('Foursquare Service', () => {
         venue_id: 'venue123',
         venue_name: 'Test Venue',
         venue_category: 'Coffee Shop',
+        venue_category_id: '4bf58dd8d48988d1e0931735',
+        venue_address: '1 Main St',
         latitude: 40.7128,
         longitude: -74.0060,
         checkin_date: new Date(1609459200 * 1000),
@@ -101,6 +105,8 @@ describe('Foursquare Service', () => {
         venue_id: 'venue456',
         venue_name: 'Another Venue',
         venue_category: 'Restaurant',
+        venue_category_id: null,
+        venue_address: null,
         latitude: 51.5074,
         longitude: -0.1278,
         checkin_date: new Date(1609459200 * 1000),
@@ -111,6 +117,17 @@ describe('Foursquare Service', () => {
       });
     });
 
+    test('uses timeZoneOffset for checkins without coordinates', () => {
+      const foursquareCheckin = {
+        id: 'checkin321',
+        createdAt: 1609459200,
+        timeZoneOffset: 540,
+        venue: { id: 'venue321', name: 'Somewhere', location: {} }
+      };
+
+      expect(transformCheckin(foursquareCheckin, userId).timezone).toBe('Etc/GMT-9');
+    });
+
     test('handles checkin with empty photos array', () => {
       const foursquareCheckin = {
         id: 'checkin789',
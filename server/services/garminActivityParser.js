@@ -0,0 +1,328 @@
+const path = require('path');
+const FitParser = require('fit-file-parser').default;
+const { XMLParser } = require('fast-xml-parser');
+const { getTimezoneFromCoordinates } = require('../utils/timezoneUtils');
+const { distanceMeters } = require('../utils/geoUtils');
+
+const ACTIVITY_FILE_EXTENSIONS = ['.fit', '.gpx', '.tcx'];
+
+// TCX only knows a handful of sports, map them onto Garmin's FIT sport names
+const TCX_SPORT_TYPES = {
+  running: 'running',
+  biking: 'cycling',
+  other: 'other'
+};
+
+// Garmin export file names that carry the activity ID
+const GARMIN_FILENAME = /^(?:\S+@\S+_)?(\d+)(?:_ACTIVITY)?\.(?:fit|gpx|tcx)$/i;
+
+/**
+ * Parses activity files from a Garmin Connect export (FIT, GPX, TCX) into
+ * rows for GarminActivity.bulkInsert.
+ */
+class GarminActivityParser {
+  constructor() {
+    this.xmlParser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      removeNSPrefix: true,
+      parseTagValue: true,
+      // Always return arrays for repeating elements, even with a single child
+      isArray: (name) => ['trk', 'trkseg', 'trkpt', 'Activity', 'Lap', 'Track', 'Trackpoint'].includes(name)
+    });
+  }
+
+  /**
+   * Check whether a filename is a supported activity file
+   */
+  isActivityFile(filename) {
+    return ACTIVITY_FILE_EXTENSIONS.includes(path.extname(filename || '').toLowerCase());
+  }
+
+  /**
+   * Parse any supported activity file based on its extension
+   * @param {Buffer} buffer - Raw file contents
+   * @param {string} filename - Original filename (used for the activity ID)
+   * @returns {Promise<Object|null>} Activity row (without user_id) or null if the file has no activity
+   */
+  async parseActivityFile(buffer, filename) {
+    const extension = path.extname(filename).toLowerCase();
+
+    switch (extension) {
+      case '.fit':
+        return this.parseFitFile(buffer, filename);
+      case '.gpx':
+        return this.parseGpxFile(buffer.toString('utf-8'), filename);
+      case '.tcx':
+        return this.parseTcxFile(buffer.toString('utf-8'), filename);
+      default:
+        throw new Error(`Unsupported activity file type: ${extension}`);
+    }
+  }
+
+  /**
+   * Parse a binary FIT activity file
+   * Uses the session message for summary metrics and record messages for the track
+   */
+  async parseFitFile(buffer, filename) {
+    const parser = new FitParser({ force: true, mode: 'list', lengthUnit: 'm', speedUnit: 'm/s' });
+    const data = await parser.parseAsync(buffer);
+
+    const records = data.records || [];
+    const session = (data.sessions || [])[0];
+
+    const points = records
+      .filter(record => this._isValidCoordinate(record.position_lat, record.position_long))
+      .map(record => ({ lat: record.position_lat, lng: record.position_long }));
+
+    const startTime = session?.start_time || records[0]?.timestamp;
+    if (!startTime) {
+      return null;
+    }
+
+    const heartRates = records.map(record => record.heart_rate).filter(hr => hr > 0);
+
+    return this._buildActivity({
+      filename,
+      activityType: session?.sport,
+      startTime,
+      durationSeconds: session?.total_elapsed_time ?? this._elapsedSeconds(records.map(r => r.timestamp)),
+      distanceMeters: session?.total_distance ?? this._trackDistance(points),
+      calories: session?.total_calories,
+      avgHeartRate: session?.avg_heart_rate ?? this._average(heartRates),
+      maxHeartRate: session?.max_heart_rate ?? this._max(heartRates),
+      points
+    });
+  }
+
+  /**
+   * Parse a GPX file
+   * GPX has no summary section, so duration and distance are derived from the track
+   */
+  parseGpxFile(content, filename) {
+    const gpx = this.xmlParser.parse(content).gpx;
+    const track = gpx?.trk?.[0];
+    if (!track) {
+      return null;
+    }
+
+    const trackpoints = (track.trkseg || []).flatMap(segment => segment.trkpt || []);
+    const points = [];
+    const times = [];
+    const heartRates = [];
+
+    for (const trackpoint of trackpoints) {
+      const lat = parseFloat(trackpoint['@_lat']);
+      const lng = parseFloat(trackpoint['@_lon']);
+      if (this._isValidCoordinate(lat, lng)) {
+        points.push({ lat, lng });
+      }
+      if (trackpoint.time) {
+        times.push(trackpoint.time);
+      }
+      const hr = this._parseInt(trackpoint.extensions?.TrackPointExtension?.hr);
+      if (hr) {
+        heartRates.push(hr);
+      }
+    }
+
+    const startTime = times[0] || gpx.metadata?.time;
+    if (!startTime) {
+      return null;
+    }
+
+    return this._buildActivity({
+      filename,
+      activityType: track.type ? String(track.type) : null,
+      activityName: track.name ? String(track.name) : null,
+      startTime,
+      durationSeconds: this._elapsedSeconds(times),
+      distanceMeters: this._trackDistance(points),
+      avgHeartRate: this._average(heartRates),
+      maxHeartRate: this._max(heartRates),
+      points
+    });
+  }
+
+  /**
+   * Parse a TCX (Training Center XML) file
+   * Summary metrics are summed across laps
+   */
+  parseTcxFile(content, filename) {
+    const database = this.xmlParser.parse(content).TrainingCenterDatabase;
+    const activity = database?.Activities?.Activity?.[0];
+    if (!activity) {
+      return null;
+    }
+
+    const laps = activity.Lap || [];
+    const trackpoints = laps.flatMap(lap => (lap.Track || []).flatMap(track => track.Trackpoint || []));
+
+    const points = trackpoints
+      .map(trackpoint => ({
+        lat: parseFloat(trackpoint.Position?.LatitudeDegrees),
+        lng: parseFloat(trackpoint.Position?.LongitudeDegrees)
+      }))
+      .filter(point => this._isValidCoordinate(point.lat, point.lng));
+
+    const startTime = activity.Id || laps[0]?.['@_StartTime'];
+    if (!startTime) {
+      return null;
+    }
+
+    const sum = (field) => {
+      const values = laps.map(lap => parseFloat(lap[field])).filter(value => !isNaN(value));
+      return values.length > 0 ? values.reduce((total, value) => total + value, 0) : null;
+    };
+
+    const lapMaxHeartRates = laps.map(lap => this._parseInt(lap.MaximumHeartRateBpm?.Value)).filter(Boolean);
+    const heartRates = trackpoints.map(trackpoint => this._parseInt(trackpoint.HeartRateBpm?.Value)).filter(Boolean);
+    const sport = String(activity['@_Sport'] || '').toLowerCase();
+
+    return this._buildActivity({
+      filename,
+      activityType: TCX_SPORT_TYPES[sport] || sport || null,
+      startTime,
+      durationSeconds: sum('TotalTimeSeconds'),
+      distanceMeters: sum('DistanceMeters'),
+      calories: sum('Calories'),
+      avgHeartRate: this._average(heartRates),
+      maxHeartRate: this._max(lapMaxHeartRates) ?? this._max(heartRates),
+      points
+    });
+  }
+
+  /**
+   * Assemble a garmin_activities row from parsed values
+   */
+  _buildActivity({
+    filename,
+    activityType,
+    activityName,
+    startTime,
+    durationSeconds,
+    distanceMeters,
+    calories,
+    avgHeartRate,
+    maxHeartRate,
+    points
+  }) {
+    const start = new Date(startTime);
+    if (isNaN(start.getTime())) {
+      throw new Error('Invalid activity start time');
+    }
+
+    const type = activityType ? String(activityType).toLowerCase().replace(/\s+/g, '_') : null;
+    const activityId = this._activityIdFromFilename(filename) || `start-${Math.floor(start.getTime() / 1000)}`;
+    const isGarminId = /^\d+$/.test(activityId);
+
+    return {
+      garmin_activity_id: activityId,
+      activity_type: type,
+      activity_name: activityName || this._defaultActivityName(type),
+      start_time: start.toISOString(),
+      duration_seconds: this._round(durationSeconds),
+      distance_meters: this._round(distanceMeters, 2),
+      calories: this._round(calories),
+      avg_heart_rate: this._round(avgHeartRate),
+      max_heart_rate: this._round(maxHeartRate),
+      tracklog: this._toLineString(points),
+      garmin_url: isGarminId ? `https://connect.garmin.com/modern/activity/${activityId}` : null,
+      timezone: points.length > 0 ? getTimezoneFromCoordinates(points[0].lat, points[0].lng) : null
+    };
+  }
+
+  /**
+   * Extract the Garmin activity ID from export filenames: "12345678901_ACTIVITY.fit",
+   * "user@example.com_12345678901.fit" or "12345678901.fit"
+   * Other names (e.g. "ride-20240115.gpx") have no ID, digits in them may be a date.
+   */
+  _activityIdFromFilename(filename) {
+    const match = path.basename(filename || '').match(GARMIN_FILENAME);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * "trail_running" -> "Trail Running"
+   */
+  _defaultActivityName(type) {
+    if (!type) return 'Activity';
+    return type
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
+  /**
+   * Convert points to a WKT LINESTRING, or null if there is no usable track
+   */
+  _toLineString(points) {
+    if (points.length < 2) return null;
+    const coordinates = points.map(point => `${point.lng.toFixed(6)} ${point.lat.toFixed(6)}`);
+    return `LINESTRING(${coordinates.join(', ')})`;
+  }
+
+  /**
+   * Sum of haversine distances between consecutive points
+   */
+  _trackDistance(points) {
+    if (points.length < 2) return null;
+
+    let total = 0;
+    for (let i = 1; i < points.length; i++) {
+      total += distanceMeters(points[i - 1], points[i]);
+    }
+    return total;
+  }
+
+  /**
+   * Seconds between the first and last timestamp
+   */
+  _elapsedSeconds(times) {
+    const valid = times.map(time => new Date(time).getTime()).filter(time => !isNaN(time));
+    if (valid.length < 2) return null;
+    return (this._max(valid) - this._min(valid)) / 1000;
+  }
+
+  _average(values) {
+    if (values.length === 0) return null;
+    return values.reduce((total, value) => total + value, 0) / values.length;
+  }
+
+  // Math.max(...values) overflows the call stack on tracks with many points
+  _max(values) {
+    if (values.length === 0) return null;
+    return values.reduce((max, value) => (value > max ? value : max));
+  }
+
+  _min(values) {
+    if (values.length === 0) return null;
+    return values.reduce((min, value) => (value < min ? value : min));
+  }
+
+  /**
+   * Round to the given number of decimals, return null if missing
+   */
+  _round(value, decimals = 0) {
+    if (value === undefined || value === null || isNaN(value)) return null;
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+
+  _isValidCoordinate(lat, lng) {
+    return typeof lat === 'number' && typeof lng === 'number' &&
+      !isNaN(lat) && !isNaN(lng) &&
+      lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+  }
+
+  /**
+   * Safely parse integer, return null if invalid
+   */
+  _parseInt(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = parseInt(value, 10);
+    return isNaN(parsed) ? null : parsed;
+  }
+}
+
+module.exports = new GarminActivityParser();
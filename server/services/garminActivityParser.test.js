@@ -0,0 +1,214 @@
+const { FitEncoder, FitBaseType } = require('fit-file-parser');
+const garminActivityParser = require('./garminActivityParser');
+
+const START = new Date('2024-05-01T07:00:00Z');
+
+/**
+ * Build a minimal FIT activity: three GPS records and one session
+ */
+function buildFitFile({ withSession = true } = {}) {
+  const encoder = new FitEncoder();
+  const timestamp = (offsetSeconds) => FitEncoder.toFitTimestamp(new Date(START.getTime() + offsetSeconds * 1000));
+  const semicircles = (degrees) => Math.round(degrees * (2 ** 31) / 180);
+
+  for (let i = 0; i < 3; i++) {
+    encoder.writeMessage(20, [
+      { number: 253, size: 4, baseType: FitBaseType.Uint32, value: timestamp(i * 60) },
+      { number: 0, size: 4, baseType: FitBaseType.Sint32, value: semicircles(51.5 + i * 0.001) },
+      { number: 1, size: 4, baseType: FitBaseType.Sint32, value: semicircles(-0.1 - i * 0.001) },
+      { number: 3, size: 1, baseType: FitBaseType.Uint8, value: 140 + i }
+    ], 1);
+  }
+
+  if (withSession) {
+    encoder.writeMessage(18, [
+      { number: 253, size: 4, baseType: FitBaseType.Uint32, value: timestamp(1800) },
+      { number: 2, size: 4, baseType: FitBaseType.Uint32, value: timestamp(0) },
+      { number: 7, size: 4, baseType: FitBaseType.Uint32, value: 1800 * 1000 },
+      { number: 9, size: 4, baseType: FitBaseType.Uint32, value: 501234 },
+      { number: 11, size: 2, baseType: FitBaseType.Uint16, value: 420 },
+      { number: 16, size: 1, baseType: FitBaseType.Uint8, value: 145 },
+      { number: 17, size: 1, baseType: FitBaseType.Uint8, value: 172 },
+      { number: 5, size: 1, baseType: FitBaseType.Enum, value: 1 }
+    ], 2);
+  }
+
+  return Buffer.from(encoder.close());
+}
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx creator="Garmin Connect" version="1.1"
+  xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:ns3="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+  <metadata><time>2024-05-02T06:30:00.000Z</time></metadata>
+  <trk>
+    <name>Lunch Ride</name>
+    <type>cycling</type>
+    <trkseg>
+      <trkpt lat="48.8566" lon="2.3522">
+        <ele>35.0</ele>
+        <time>2024-05-02T06:30:00.000Z</time>
+        <extensions><ns3:TrackPointExtension><ns3:hr>120</ns3:hr></ns3:TrackPointExtension></extensions>
+      </trkpt>
+      <trkpt lat="48.8576" lon="2.3532">
+        <time>2024-05-02T06:35:00.000Z</time>
+        <extensions><ns3:TrackPointExtension><ns3:hr>130</ns3:hr></ns3:TrackPointExtension></extensions>
+      </trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+const TCX = `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Activities>
+    <Activity Sport="Biking">
+      <Id>2024-05-03T17:00:00.000Z</Id>
+      <Lap StartTime="2024-05-03T17:00:00.000Z">
+        <TotalTimeSeconds>600.0</TotalTimeSeconds>
+        <DistanceMeters>4000.0</DistanceMeters>
+        <Calories>100</Calories>
+        <MaximumHeartRateBpm><Value>150</Value></MaximumHeartRateBpm>
+        <Track>
+          <Trackpoint>
+            <Time>2024-05-03T17:00:00.000Z</Time>
+            <Position><LatitudeDegrees>40.7128</LatitudeDegrees><LongitudeDegrees>-74.0060</LongitudeDegrees></Position>
+            <HeartRateBpm><Value>110</Value></HeartRateBpm>
+          </Trackpoint>
+        </Track>
+      </Lap>
+      <Lap StartTime="2024-05-03T17:10:00.000Z">
+        <TotalTimeSeconds>300.0</TotalTimeSeconds>
+        <DistanceMeters>2000.0</DistanceMeters>
+        <Calories>50</Calories>
+        <MaximumHeartRateBpm><Value>165</Value></MaximumHeartRateBpm>
+        <Track>
+          <Trackpoint>
+            <Time>2024-05-03T17:15:00.000Z</Time>
+            <Position><LatitudeDegrees>40.7228</LatitudeDegrees><LongitudeDegrees>-74.0160</LongitudeDegrees></Position>
+            <HeartRateBpm><Value>130</Value></HeartRateBpm>
+          </Trackpoint>
+        </Track>
+      </Lap>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>`;
+
+describe('GarminActivityParser', () => {
+  describe('isActivityFile', () => {
+    it('should accept FIT, GPX and TCX files regardless of case', () => {
+      expect(garminActivityParser.isActivityFile('123_ACTIVITY.fit')).toBe(true);
+      expect(garminActivityParser.isActivityFile('ride.GPX')).toBe(true);
+      expect(garminActivityParser.isActivityFile('ride.tcx')).toBe(true);
+      expect(garminActivityParser.isActivityFile('UDSFile_1.json')).toBe(false);
+    });
+  });
+
+  describe('parseFitFile', () => {
+    it('should extract session metrics and the GPS track', async () => {
+      const activity = await garminActivityParser.parseActivityFile(buildFitFile(), '12345678901_ACTIVITY.fit');
+
+      expect(activity).toMatchObject({
+        garmin_activity_id: '12345678901',
+        activity_type: 'running',
+        activity_name: 'Running',
+        start_time: '2024-05-01T07:00:00.000Z',
+        duration_seconds: 1800,
+        distance_meters: 5012.34,
+        calories: 420,
+        avg_heart_rate: 145,
+        max_heart_rate: 172,
+        garmin_url: 'https://connect.garmin.com/modern/activity/12345678901',
+        timezone: 'Europe/London'
+      });
+      expect(activity.tracklog).toMatch(/^LINESTRING\(-0\.100000 51\.500000, -0\.101000 51\.501000, -0\.102000 51\.502000\)$/);
+    });
+
+    it('should fall back to records when there is no session', async () => {
+      const activity = await garminActivityParser.parseActivityFile(buildFitFile({ withSession: false }), 'activity.fit');
+
+      expect(activity.garmin_activity_id).toBe(`start-${START.getTime() / 1000}`);
+      expect(activity.garmin_url).toBeNull();
+      expect(activity.duration_seconds).toBe(120);
+      expect(activity.max_heart_rate).toBe(142);
+      expect(activity.distance_meters).toBeGreaterThan(200);
+    });
+  });
+
+  describe('parseGpxFile', () => {
+    it('should derive duration and distance from the track', () => {
+      const activity = garminActivityParser.parseGpxFile(GPX, 'user@example.com_98765432.gpx');
+
+      expect(activity).toMatchObject({
+        garmin_activity_id: '98765432',
+        activity_type: 'cycling',
+        activity_name: 'Lunch Ride',
+        start_time: '2024-05-02T06:30:00.000Z',
+        duration_seconds: 300,
+        avg_heart_rate: 125,
+        max_heart_rate: 130,
+        timezone: 'Europe/Paris'
+      });
+      expect(activity.distance_meters).toBeCloseTo(133, 0);
+      expect(activity.tracklog).toBe('LINESTRING(2.352200 48.856600, 2.353200 48.857600)');
+    });
+
+    it('should handle tracks with more points than fit in a call', () => {
+      const start = Date.parse('2024-05-02T06:30:00.000Z');
+      const trackpoints = Array.from({ length: 150000 }, (_, i) => (
+        `<trkpt lat="48.8566" lon="2.3522"><time>${new Date(start + i * 1000).toISOString()}</time>` +
+        `<extensions><ns3:TrackPointExtension><ns3:hr>${100 + (i % 80)}</ns3:hr></ns3:TrackPointExtension></extensions></trkpt>`
+      ));
+      const gpx = GPX.replace(/<trkseg>[\s\S]*<\/trkseg>/, `<trkseg>${trackpoints.join('')}</trkseg>`);
+
+      const activity = garminActivityParser.parseGpxFile(gpx, 'long.gpx');
+
+      expect(activity.duration_seconds).toBe(149999);
+      expect(activity.max_heart_rate).toBe(179);
+    });
+
+    it('should not take dates in other filenames for an activity ID', () => {
+      const activity = garminActivityParser.parseGpxFile(GPX, 'ride-20240115.gpx');
+
+      expect(activity.garmin_activity_id).toBe(`start-${Date.parse('2024-05-02T06:30:00.000Z') / 1000}`);
+      expect(activity.garmin_url).toBeNull();
+    });
+
+    it('should read the ID from every Garmin export filename', () => {
+      const idOf = (filename) => garminActivityParser.parseGpxFile(GPX, filename).garmin_activity_id;
+
+      expect(idOf('12345678901_ACTIVITY.gpx')).toBe('12345678901');
+      expect(idOf('first_last@example.com_12345678901.gpx')).toBe('12345678901');
+      expect(idOf('12345678901.gpx')).toBe('12345678901');
+    });
+
+    it('should return null for a GPX without tracks', () => {
+      expect(garminActivityParser.parseGpxFile('<gpx version="1.1"></gpx>', 'empty.gpx')).toBeNull();
+    });
+  });
+
+  describe('parseTcxFile', () => {
+    it('should sum lap metrics and map the sport', () => {
+      const activity = garminActivityParser.parseTcxFile(TCX, '55555555.tcx');
+
+      expect(activity).toMatchObject({
+        garmin_activity_id: '55555555',
+        activity_type: 'cycling',
+        start_time: '2024-05-03T17:00:00.000Z',
+        duration_seconds: 900,
+        distance_meters: 6000,
+        calories: 150,
+        avg_heart_rate: 120,
+        max_heart_rate: 165,
+        timezone: 'America/New_York'
+      });
+      expect(activity.tracklog).toBe('LINESTRING(-74.006000 40.712800, -74.016000 40.722800)');
+    });
+  });
+
+  describe('parseActivityFile', () => {
+    it('should reject unsupported extensions', async () => {
+      await expect(garminActivityParser.parseActivityFile(Buffer.from(''), 'notes.txt'))
+        .rejects.toThrow('Unsupported activity file type: .txt');
+    });
+  });
+});
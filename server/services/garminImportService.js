@@ -0,0 +1,189 @@
+const path = require('path');
+const garminJsonParser = require('./garminJsonParser');
+const garminActivityParser = require('./garminActivityParser');
+const GarminActivity = require('../models/garminActivity');
+const GarminDailySteps = require('../models/garminDailySteps');
+const GarminDailyHeartRate = require('../models/garminDailyHeartRate');
+const GarminDailySleep = require('../models/garminDailySleep');
+const GarminDailyCalories = require('../models/garminDailyCalories');
+const GarminDailyStress = require('../models/garminDailyStress');
+const GarminDailyBodyBattery = require('../models/garminDailyBodyBattery');
+const GarminDailySpo2 = require('../models/garminDailySpo2');
+const GarminDailyRespiration = require('../models/garminDailyRespiration');
+const GarminDailyMovement = require('../models/garminDailyMovement');
+
+// Max activities per INSERT (13 params each, stays well below Postgres' 65535 limit)
+const ACTIVITY_BATCH_SIZE = 500;
+
+/**
+ * Imports individual files from a Garmin Connect export.
+ * Shared by the multi-file upload route and the export ZIP background job.
+ */
+class GarminImportService {
+  constructor() {
+    this.activityBatchSize = ACTIVITY_BATCH_SIZE;
+  }
+
+  /**
+   * Create an empty results summary
+   * @param {number} totalFiles - Number of files that will be processed
+   * @returns {Object}
+   */
+  createResults(totalFiles = 0) {
+    return {
+      totalFiles,
+      processed: 0,
+      stepsRecords: 0,
+      heartRateRecords: 0,
+      sleepRecords: 0,
+      caloriesRecords: 0,
+      wellnessRecords: 0,
+      activitiesImported: 0,
+      duplicateActivities: 0,
+      skippedRecords: 0,
+      errors: []
+    };
+  }
+
+  /**
+   * Check whether a file is one we know how to import
+   * Accepts full archive paths such as "DI_CONNECT/DI-Connect-Aggregator/UDSFile_1.json"
+   */
+  isImportableFile(filename) {
+    const basename = path.basename(filename || '');
+
+    if (garminActivityParser.isActivityFile(basename)) {
+      return true;
+    }
+
+    return basename.endsWith('.json') &&
+      (basename.includes('sleepData') || basename.startsWith('UDSFile'));
+  }
+
+  /**
+   * Total number of records written by an import
+   */
+  countImported(results) {
+    return results.stepsRecords + results.heartRateRecords + results.sleepRecords +
+      results.caloriesRecords + results.wellnessRecords + results.activitiesImported;
+  }
+
+  /**
+   * Import a single file
+   * Daily summaries are upserted immediately. Parsed activities are appended to
+   * `activities` so the caller can insert them in batches with insertActivities.
+   * Per-file errors are recorded in results rather than thrown.
+   * @param {number} userId
+   * @param {string} filename - Original filename or path inside the export
+   * @param {Buffer} buffer - Raw file contents
+   * @param {Object} results - Summary from createResults, updated in place
+   * @param {Array} activities - Pending activity rows, appended to in place
+   */
+  async importFile(userId, filename, buffer, results, activities) {
+    const basename = path.basename(filename);
+
+    try {
+      // Activity files are binary (FIT) or XML, handle before decoding as JSON text
+      if (garminActivityParser.isActivityFile(basename)) {
+        const activity = await garminActivityParser.parseActivityFile(buffer, basename);
+
+        if (!activity) {
+          results.errors.push(`${filename}: No activity data found`);
+          return;
+        }
+
+        activities.push({ ...activity, user_id: userId });
+        results.processed++;
+        return;
+      }
+
+      const content = buffer.toString('utf-8');
+
+      // Determine file type and parse accordingly
+      if (basename.includes('sleepData')) {
+        // Parse sleep data file
+        const rawData = JSON.parse(content);
+        const rawCount = rawData.length;
+        const sleepData = await garminJsonParser.parseSleepFile(content);
+        const validCount = sleepData.length;
+
+        // Track skipped records (those with null/missing dates)
+        const skipped = rawCount - validCount;
+        if (skipped > 0) {
+          results.skippedRecords += skipped;
+          console.log(`[GARMIN IMPORT] Skipped ${skipped} sleep record(s) with null/missing dates in ${filename}`);
+        }
+
+        // Insert sleep records
+        for (const record of sleepData) {
+          await GarminDailySleep.upsert({ ...record, user_id: userId });
+          results.sleepRecords++;
+        }
+      } else if (basename.startsWith('UDSFile')) {
+        // Parse UDS file (contains steps, heart rate, calories, and wellness metrics)
+        const udsData = await garminJsonParser.parseUDSFile(content);
+
+        // Insert steps records
+        for (const record of udsData.steps) {
+          await GarminDailySteps.upsert({ ...record, user_id: userId });
+          results.stepsRecords++;
+        }
+
+        // Insert heart rate records
+        for (const record of udsData.heartRate) {
+          await GarminDailyHeartRate.upsert({ ...record, user_id: userId });
+          results.heartRateRecords++;
+        }
+
+        // Insert calories records
+        for (const record of udsData.calories) {
+          await GarminDailyCalories.upsert({ ...record, user_id: userId });
+          results.caloriesRecords++;
+        }
+
+        // Insert wellness metrics (stress, body battery, SpO2, respiration, movement)
+        const wellness = [
+          [GarminDailyStress, udsData.stress],
+          [GarminDailyBodyBattery, udsData.bodyBattery],
+          [GarminDailySpo2, udsData.spo2],
+          [GarminDailyRespiration, udsData.respiration],
+          [GarminDailyMovement, udsData.movement]
+        ];
+        for (const [Model, records] of wellness) {
+          for (const record of records) {
+            await Model.upsert({ ...record, user_id: userId });
+            results.wellnessRecords++;
+          }
+        }
+      } else {
+        console.log(`[GARMIN IMPORT] Skipping unknown file type: ${filename}`);
+        results.errors.push(`Skipped unknown file type: ${filename}`);
+        return;
+      }
+
+      results.processed++;
+    } catch (fileError) {
+      console.error(`[GARMIN IMPORT] Error processing file ${filename}:`, fileError);
+      results.errors.push(`${filename}: ${fileError.message}`);
+    }
+  }
+
+  /**
+   * Insert pending activities in batches and empty the list
+   * Duplicates (same garmin_activity_id) are skipped by ON CONFLICT
+   * @param {Array} activities - Pending activity rows, cleared in place
+   * @param {Object} results - Summary from createResults, updated in place
+   */
+  async insertActivities(activities, results) {
+    for (let i = 0; i < activities.length; i += ACTIVITY_BATCH_SIZE) {
+      const batch = activities.slice(i, i + ACTIVITY_BATCH_SIZE);
+      const inserted = await GarminActivity.bulkInsert(batch);
+      results.activitiesImported += inserted;
+      results.duplicateActivities += batch.length - inserted;
+    }
+
+    activities.length = 0;
+  }
+}
+
+module.exports = new GarminImportService();
@@ -0,0 +1,106 @@
+const garminImportService = require('./garminImportService');
+const GarminActivity = require('../models/garminActivity');
+const GarminDailySleep = require('../models/garminDailySleep');
+const GarminDailyStress = require('../models/garminDailyStress');
+const GarminDailySpo2 = require('../models/garminDailySpo2');
+
+jest.mock('../models/garminActivity');
+jest.mock('../models/garminDailySteps');
+jest.mock('../models/garminDailyHeartRate');
+jest.mock('../models/garminDailySleep');
+jest.mock('../models/garminDailyCalories');
+jest.mock('../models/garminDailyStress');
+jest.mock('../models/garminDailyBodyBattery');
+jest.mock('../models/garminDailySpo2');
+jest.mock('../models/garminDailyRespiration');
+jest.mock('../models/garminDailyMovement');
+
+describe('GarminImportService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('isImportableFile', () => {
+    it('should match export paths by basename', () => {
+      expect(garminImportService.isImportableFile('DI_CONNECT/DI-Connect-Aggregator/UDSFile_1.json')).toBe(true);
+      expect(garminImportService.isImportableFile('DI_CONNECT/DI-Connect-Wellness/123_sleepData.json')).toBe(true);
+      expect(garminImportService.isImportableFile('nested/12345678_ACTIVITY.fit')).toBe(true);
+      expect(garminImportService.isImportableFile('DI_CONNECT/DI-Connect-User/user_profile.json')).toBe(false);
+      expect(garminImportService.isImportableFile('DI_CONNECT/UDSFile_folder/readme.txt')).toBe(false);
+    });
+  });
+
+  describe('importFile', () => {
+    it('should upsert sleep records and count skipped ones', async () => {
+      GarminDailySleep.upsert.mockResolvedValue({});
+      const results = garminImportService.createResults(1);
+      const content = JSON.stringify([
+        { calendarDate: '2024-05-01', deepSleepSeconds: 3600 },
+        { deepSleepSeconds: 100 }
+      ]);
+
+      await garminImportService.importFile(5, 'a/b/1_sleepData.json', Buffer.from(content), results, []);
+
+      expect(GarminDailySleep.upsert).toHaveBeenCalledWith(expect.objectContaining({ user_id: 5, date: '2024-05-01' }));
+      expect(results.sleepRecords).toBe(1);
+      expect(results.skippedRecords).toBe(1);
+      expect(results.processed).toBe(1);
+    });
+
+    it('should upsert wellness metrics from UDS files', async () => {
+      const results = garminImportService.createResults(1);
+      const content = JSON.stringify([{
+        calendarDate: '2025-05-04',
+        allDayStress: { aggregatorList: [{ type: 'TOTAL', averageStressLevel: 38, maxStressLevel: 87 }] },
+        averageSpo2Value: 96.0,
+        lowestSpo2Value: 90
+      }]);
+
+      await garminImportService.importFile(5, 'UDSFile_1.json', Buffer.from(content), results, []);
+
+      expect(GarminDailyStress.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 5, date: '2025-05-04', avg_stress_level: 38, max_stress_level: 87
+      }));
+      expect(GarminDailySpo2.upsert).toHaveBeenCalledWith({ user_id: 5, date: '2025-05-04', avg_spo2: 96, lowest_spo2: 90 });
+      expect(results.wellnessRecords).toBe(2);
+      expect(garminImportService.countImported(results)).toBe(3); // + heart rate row
+    });
+
+    it('should record errors instead of throwing', async () => {
+      const results = garminImportService.createResults(1);
+
+      await garminImportService.importFile(5, 'UDSFile_1.json', Buffer.from('{not json'), results, []);
+
+      expect(results.processed).toBe(0);
+      expect(results.errors).toHaveLength(1);
+      expect(results.errors[0]).toMatch(/^UDSFile_1\.json: /);
+    });
+  });
+
+  describe('insertActivities', () => {
+    it('should insert in batches, count duplicates and clear the list', async () => {
+      GarminActivity.bulkInsert
+        .mockResolvedValueOnce(garminImportService.activityBatchSize - 1)
+        .mockResolvedValueOnce(1);
+      const results = garminImportService.createResults();
+      const activities = Array.from(
+        { length: garminImportService.activityBatchSize + 1 },
+        (_, i) => ({ garmin_activity_id: String(i) })
+      );
+
+      await garminImportService.insertActivities(activities, results);
+
+      expect(GarminActivity.bulkInsert).toHaveBeenCalledTimes(2);
+      expect(results.activitiesImported).toBe(garminImportService.activityBatchSize);
+      expect(results.duplicateActivities).toBe(1);
+      expect(activities).toHaveLength(0);
+    });
+  });
+});
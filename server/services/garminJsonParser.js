@@ -1,7 +1,8 @@
 class GarminJsonParser {
   /**
    * Parse UDS (User Daily Summary) file
-   * Returns an object with steps, heartRate, and calories arrays
+   * Returns an object with steps, heartRate, calories, stress, bodyBattery,
+   * spo2, respiration, and movement arrays
    */
   async parseUDSFile(jsonContent) {
     const data = JSON.parse(jsonContent);
@@ -9,6 +10,11 @@ class GarminJsonParser {
     const steps = [];
     const heartRate = [];
     const calories = [];
+    const stress = [];
+    const bodyBattery = [];
+    const spo2 = [];
+    const respiration = [];
+    const movement = [];
 
     for (const record of data) {
       const date = record.calendarDate;
@@ -38,14 +44,83 @@ class GarminJsonParser {
           bmr_calories: this._parseInt(record.bmrKilocalories)
         });
       }
+
+      // Extract stress data (TOTAL covers both awake and asleep)
+      const stressTotal = (record.allDayStress?.aggregatorList || []).find(entry => entry.type === 'TOTAL');
+      if (stressTotal) {
+        stress.push({
+          date,
+          avg_stress_level: this._parseStressLevel(stressTotal.averageStressLevel),
+          max_stress_level: this._parseStressLevel(stressTotal.maxStressLevel),
+          rest_seconds: this._parseInt(stressTotal.restDuration),
+          low_stress_seconds: this._parseInt(stressTotal.lowDuration),
+          medium_stress_seconds: this._parseInt(stressTotal.mediumDuration),
+          high_stress_seconds: this._parseInt(stressTotal.highDuration)
+        });
+      }
+
+      // Extract body battery data
+      if (record.bodyBattery) {
+        const stats = record.bodyBattery.bodyBatteryStatList || [];
+        const statValue = (type) => this._parseInt(stats.find(stat => stat.bodyBatteryStatType === type)?.statsValue);
+
+        bodyBattery.push({
+          date,
+          highest_value: statValue('HIGHEST'),
+          lowest_value: statValue('LOWEST'),
+          charged_value: this._parseInt(record.bodyBattery.chargedValue),
+          drained_value: this._parseInt(record.bodyBattery.drainedValue)
+        });
+      }
+
+      // Extract SpO2 data (only present on devices with Pulse Ox enabled)
+      if (record.averageSpo2Value !== undefined || record.lowestSpo2Value !== undefined) {
+        spo2.push({
+          date,
+          avg_spo2: this._parseFloat(record.averageSpo2Value),
+          lowest_spo2: this._parseInt(record.lowestSpo2Value)
+        });
+      }
+
+      // Extract respiration data
+      if (record.respiration) {
+        respiration.push({
+          date,
+          avg_waking_respiration: this._parseFloat(record.respiration.avgWakingRespirationValue),
+          highest_respiration: this._parseFloat(record.respiration.highestRespirationValue),
+          lowest_respiration: this._parseFloat(record.respiration.lowestRespirationValue)
+        });
+      }
+
+      // Extract floors, intensity minutes, distance and step goal
+      const movementFields = [
+        'floorsAscendedInMeters',
+        'floorsDescendedInMeters',
+        'moderateIntensityMinutes',
+        'vigorousIntensityMinutes',
+        'totalDistanceMeters',
+        'dailyStepGoal'
+      ];
+      if (movementFields.some(field => record[field] !== undefined)) {
+        movement.push({
+          date,
+          floors_ascended_meters: this._parseFloat(record.floorsAscendedInMeters),
+          floors_descended_meters: this._parseFloat(record.floorsDescendedInMeters),
+          moderate_intensity_minutes: this._parseInt(record.moderateIntensityMinutes),
+          vigorous_intensity_minutes: this._parseInt(record.vigorousIntensityMinutes),
+          total_distance_meters: this._parseInt(record.totalDistanceMeters),
+          daily_step_goal: this._parseInt(record.dailyStepGoal)
+        });
+      }
     }
 
-    return { steps, heartRate, calories };
+    return { steps, heartRate, calories, stress, bodyBattery, spo2, respiration, movement };
   }
 
   /**
    * Parse sleep data file
-   * Expected format: Array of sleep records with calendarDate and sleep stage seconds
+   * Expected format: Array of sleep records with calendarDate, sleep window
+   * (sleepStartTimestampGMT / sleepEndTimestampGMT) and sleep stage seconds
    */
   async parseSleepFile(jsonContent) {
     const data = JSON.parse(jsonContent);
@@ -77,11 +152,40 @@ class GarminJsonParser {
           deep_sleep_seconds: deepSleep,
           light_sleep_seconds: lightSleep,
           rem_sleep_seconds: remSleep,
-          awake_seconds: awake
+          awake_seconds: awake,
+          sleep_start_time: this._parseGmtTimestamp(record.sleepStartTimestampGMT),
+          sleep_end_time: this._parseGmtTimestamp(record.sleepEndTimestampGMT)
         };
       });
   }
 
+  /**
+   * Parse a stress level, Garmin uses negative values for "not enough data"
+   */
+  _parseStressLevel(value) {
+    const parsed = this._parseInt(value);
+    return parsed !== null && parsed >= 0 ? parsed : null;
+  }
+
+  /**
+   * Parse Garmin's "2018-07-01T23:00:00.0" GMT timestamps (no zone suffix) to ISO strings
+   */
+  _parseGmtTimestamp(value) {
+    if (!value) return null;
+    const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(value);
+    const parsed = new Date(hasZone ? value : `${value}Z`);
+    return isNaN(parsed.getTime()) ? null : parsed.toISOString();
+  }
+
+  /**
+   * Safely parse float, return null if invalid
+   */
+  _parseFloat(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+
   /**
    * Safely parse integer, return null if invalid
    */
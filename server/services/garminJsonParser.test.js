@@ -66,6 +66,92 @@ describe('GarminJsonParser', () => {
         }
       ]);
     });
+    it('should parse wellness metrics', async () => {
+      const jsonContent = JSON.stringify([
+        {
+          "calendarDate": "2025-05-04",
+          "totalSteps": 10432,
+          "allDayStress": {
+            "calendarDate": "2025-05-04",
+            "aggregatorList": [
+              { "type": "TOTAL", "averageStressLevel": 38, "maxStressLevel": 87, "restDuration": 10140, "lowDuration": 39000, "mediumDuration": 10500, "highDuration": 600 },
+              { "type": "AWAKE", "averageStressLevel": 42, "maxStressLevel": 87 }
+            ]
+          },
+          "bodyBattery": {
+            "chargedValue": 31,
+            "drainedValue": 32,
+            "bodyBatteryStatList": [
+              { "bodyBatteryStatType": "HIGHEST", "statsValue": 40 },
+              { "bodyBatteryStatType": "LOWEST", "statsValue": 9 },
+              { "bodyBatteryStatType": "MOSTRECENT", "statsValue": 12 }
+            ]
+          },
+          "averageSpo2Value": 96.0,
+          "lowestSpo2Value": 90,
+          "respiration": {
+            "avgWakingRespirationValue": 16.0,
+            "highestRespirationValue": 24.0,
+            "lowestRespirationValue": 9.0
+          },
+          "floorsAscendedInMeters": 6.096,
+          "floorsDescendedInMeters": 3.919,
+          "moderateIntensityMinutes": 5,
+          "vigorousIntensityMinutes": 33,
+          "totalDistanceMeters": 8751,
+          "dailyStepGoal": 7870
+        }
+      ]);
+
+      const result = await GarminJsonParser.parseUDSFile(jsonContent);
+
+      expect(result.stress).toEqual([{
+        date: '2025-05-04',
+        avg_stress_level: 38,
+        max_stress_level: 87,
+        rest_seconds: 10140,
+        low_stress_seconds: 39000,
+        medium_stress_seconds: 10500,
+        high_stress_seconds: 600
+      }]);
+      expect(result.bodyBattery).toEqual([{
+        date: '2025-05-04',
+        highest_value: 40,
+        lowest_value: 9,
+        charged_value: 31,
+        drained_value: 32
+      }]);
+      expect(result.spo2).toEqual([{ date: '2025-05-04', avg_spo2: 96, lowest_spo2: 90 }]);
+      expect(result.respiration).toEqual([{
+        date: '2025-05-04',
+        avg_waking_respiration: 16,
+        highest_respiration: 24,
+        lowest_respiration: 9
+      }]);
+      expect(result.movement).toEqual([{
+        date: '2025-05-04',
+        floors_ascended_meters: 6.096,
+        floors_descended_meters: 3.919,
+        moderate_intensity_minutes: 5,
+        vigorous_intensity_minutes: 33,
+        total_distance_meters: 8751,
+        daily_step_goal: 7870
+      }]);
+    });
+
+    it('should skip wellness metrics missing from older devices', async () => {
+      const jsonContent = JSON.stringify([
+        { "calendarDate": "2018-07-04", "totalSteps": 5000 }
+      ]);
+
+      const result = await GarminJsonParser.parseUDSFile(jsonContent);
+
+      expect(result.stress).toEqual([]);
+      expect(result.bodyBattery).toEqual([]);
+      expect(result.spo2).toEqual([]);
+      expect(result.respiration).toEqual([]);
+      expect(result.movement).toEqual([]);
+    });
   });
 
   describe('parseSleepFile', () => {
@@ -100,7 +186,9 @@ describe('GarminJsonParser', () => {
           deep_sleep_seconds: 2640,
           light_sleep_seconds: 20220,
           rem_sleep_seconds: 7560,
-          awake_seconds: 720
+          awake_seconds: 720,
+          sleep_start_time: '2018-07-03T22:49:00.000Z',
+          sleep_end_time: '2018-07-04T07:28:00.000Z'
         },
         {
           date: '2018-07-05',
@@ -108,7 +196,9 @@ describe('GarminJsonParser', () => {
           deep_sleep_seconds: 4080,
           light_sleep_seconds: 18780,
           rem_sleep_seconds: 6240,
-          awake_seconds: 300
+          awake_seconds: 300,
+          sleep_start_time: '2018-07-04T22:43:00.000Z',
+          sleep_end_time: '2018-07-05T06:53:00.000Z'
         }
       ]);
     });
@@ -132,7 +222,9 @@ describe('GarminJsonParser', () => {
           deep_sleep_seconds: null,
           light_sleep_seconds: null,
           rem_sleep_seconds: null,
-          awake_seconds: null
+          awake_seconds: null,
+          sleep_start_time: '2018-07-07T23:00:00.000Z',
+          sleep_end_time: '2018-07-08T07:15:00.000Z'
         }
       ]);
     });
@@ -160,7 +252,9 @@ describe('GarminJsonParser', () => {
           deep_sleep_seconds: 0,
           light_sleep_seconds: 0,
           rem_sleep_seconds: null,
-          awake_seconds: 0
+          awake_seconds: 0,
+          sleep_start_time: '2018-06-27T15:34:00.000Z',
+          sleep_end_time: '2018-06-28T02:18:00.000Z'
         }
       ]);
     });
@@ -0,0 +1,194 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Function calls in a Gemini response - try both old and new SDK methods
+ */
+function extractFunctionCalls(response) {
+  if (typeof response.functionCalls === 'function') {
+    return response.functionCalls() || [];
+  } else if (Array.isArray(response.functionCalls)) {
+    return response.functionCalls;
+  }
+  return [];
+}
+
+/**
+ * Format conversation history for Gemini API
+ * Preserves complete content structure including thought signatures
+ * @param {Array} conversationHistory - Client messages [{ role, content, text }]
+ * @returns {Array} Gemini contents
+ */
+function formatHistory(conversationHistory) {
+  if (!conversationHistory || conversationHistory.length === 0) {
+    return [];
+  }
+
+  // Validate conversation history structure
+  if (!Array.isArray(conversationHistory)) {
+    throw new Error('conversationHistory must be an array');
+  }
+
+  return conversationHistory
+    .filter((msg, index) => {
+      // Skip invalid messages instead of throwing
+      if (!msg || typeof msg !== 'object') {
+        console.warn(`Skipping invalid message at index ${index}: not an object`);
+        return false;
+      }
+      if (!msg.role || typeof msg.role !== 'string') {
+        console.warn(`Skipping invalid message at index ${index}: invalid role`);
+        return false;
+      }
+      if (!['user', 'assistant', 'model'].includes(msg.role)) {
+        console.warn(`Skipping invalid message at index ${index}: invalid role value`);
+        return false;
+      }
+      return true;
+    })
+    .map((msg) => {
+      // For assistant messages with complete content, use it directly
+      if ((msg.role === 'assistant' || msg.role === 'model') &&
+          msg.content &&
+          typeof msg.content === 'object' &&
+          msg.content.parts) {
+        // msg.content is the complete candidates[0].content from Gemini
+        // It already has the correct structure with parts and thought signatures
+        return {
+          role: 'model',
+          parts: msg.content.parts
+        };
+      }
+
+      // For user messages or assistant messages without complete content
+      const messageText = typeof msg.content === 'string' ? msg.content :
+                         (msg.text || '');
+
+      if (!messageText || messageText.trim().length === 0) {
+        console.warn(`Skipping empty message content`);
+        return null;
+      }
+
+      return {
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: messageText }]
+      };
+    })
+    .filter(msg => msg !== null);
+}
+
+/**
+ * Convert a Gemini content turn to a client message
+ * Model turns keep the complete content so thought signatures survive the round trip.
+ */
+function toMessage(turn) {
+  if (turn.role === 'user') {
+    // User message - extract text from parts
+    return {
+      role: 'user',
+      content: turn.parts.map(p => p.text || '').join('')
+    };
+  }
+
+  // Extract text for display (skip function calls and function responses)
+  const text = turn.parts.filter(p => p.text).map(p => p.text).join('');
+  return {
+    role: 'assistant',
+    content: turn,  // Complete Gemini turn with all parts
+    text: text || '[Function call]'
+  };
+}
+
+/**
+ * Google Gemini provider
+ * Travel history is sent to Google; use the OpenAI-compatible provider to keep it local.
+ */
+class GeminiProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Gemini API key
+   * @param {string} [options.model] - Model name, gemini-2.5-flash by default
+   */
+  constructor({ apiKey, model } = {}) {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY environment variable is required for the gemini provider');
+    }
+    this.name = 'gemini';
+    this.model = model || DEFAULT_MODEL;
+    this.genAI = new GoogleGenerativeAI(apiKey);
+  }
+
+  /**
+   * Start a function-calling chat
+   * @param {Object} options
+   * @param {string} options.systemInstruction
+   * @param {Array} options.functionDeclarations - JSON Schema function declarations
+   * @param {Array} [options.history] - Client messages to resume from
+   * @returns {Object} Chat with send() and getHistory()
+   */
+  startChat({ systemInstruction, functionDeclarations, history = [] }) {
+    const model = this.genAI.getGenerativeModel({
+      model: this.model,
+      tools: [{ functionDeclarations }],
+      toolConfig: {
+        functionCallingConfig: {
+          mode: 'AUTO'
+        }
+      },
+      systemInstruction
+    });
+
+    const formattedHistory = formatHistory(history);
+    const chat = model.startChat({ history: formattedHistory });
+
+    return {
+      /**
+       * @param {string|Array} input - User text, or function results [{ id, name, response }]
+       * @param {Object} [options]
+       * @param {Function} [options.onText] - Streams the reply, called with each piece of text
+       * @param {AbortSignal} [options.signal]
+       * @returns {Promise<{text: string, functionCalls: Array}>}
+       */
+      async send(input, { onText, signal } = {}) {
+        const message = typeof input === 'string'
+          ? input
+          : input.map(({ name, response }) => ({ functionResponse: { name, response } }));
+        const requestOptions = signal ? { signal } : undefined;
+
+        let response;
+        if (onText) {
+          const result = await chat.sendMessageStream(message, requestOptions);
+          for await (const chunk of result.stream) {
+            const delta = chunk.text();
+            if (delta) onText(delta);
+          }
+          response = await result.response;
+        } else {
+          response = (await chat.sendMessage(message, requestOptions)).response;
+        }
+        console.log('AI response candidates:', JSON.stringify(response.candidates, null, 2));
+
+        const functionCalls = extractFunctionCalls(response).map(({ name, args }) => ({ name, args }));
+        return {
+          text: response.text(),
+          functionCalls
+        };
+      },
+
+      /**
+       * Messages exchanged since the chat started, resumed history excluded
+       * @returns {Promise<Array>} Client messages [{ role, content, text }]
+       */
+      async getHistory() {
+        const turns = await chat.getHistory();
+        return turns.slice(formattedHistory.length).map(toMessage);
+      }
+    };
+  }
+}
+
+module.exports = {
+  GeminiProvider,
+  formatHistory
+};
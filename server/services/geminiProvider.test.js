@@ -0,0 +1,172 @@
+const mockChat = { sendMessage: jest.fn(), getHistory: jest.fn() };
+const mockModel = { startChat: jest.fn().mockReturnValue(mockChat) };
+const mockGetGenerativeModel = jest.fn().mockReturnValue(mockModel);
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: jest.fn(() => ({ getGenerativeModel: mockGetGenerativeModel }))
+}));
+
+const { GeminiProvider, formatHistory } = require('./geminiProvider');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+  console.warn.mockRestore();
+});
+
+describe('formatHistory', () => {
+  test('returns empty array for null/undefined/empty', () => {
+    expect(formatHistory(null)).toEqual([]);
+    expect(formatHistory(undefined)).toEqual([]);
+    expect(formatHistory([])).toEqual([]);
+  });
+
+  test('throws for non-array input', () => {
+    expect(() => formatHistory('not array')).toThrow('must be an array');
+  });
+
+  test('converts assistant role to model', () => {
+    const result = formatHistory([
+      { role: 'assistant', content: 'hello' }
+    ]);
+    expect(result).toEqual([{ role: 'model', parts: [{ text: 'hello' }] }]);
+  });
+
+  test('keeps user role as user', () => {
+    const result = formatHistory([
+      { role: 'user', content: 'hi' }
+    ]);
+    expect(result).toEqual([{ role: 'user', parts: [{ text: 'hi' }] }]);
+  });
+
+  test('preserves thought signatures from content.parts', () => {
+    const parts = [
+      { thought: true, text: 'thinking...' },
+      { text: 'visible response' }
+    ];
+    const result = formatHistory([
+      { role: 'assistant', content: { parts } }
+    ]);
+    expect(result).toEqual([{ role: 'model', parts }]);
+  });
+
+  test('skips invalid messages', () => {
+    const result = formatHistory([
+      null,
+      { role: 'invalid', content: 'x' },
+      { role: 'user', content: 'valid' }
+    ]);
+    expect(result).toHaveLength(1);
+    expect(result[0].role).toBe('user');
+  });
+
+  test('skips messages with empty content', () => {
+    const result = formatHistory([
+      { role: 'user', content: '   ' }
+    ]);
+    expect(result).toEqual([]);
+  });
+});
+
+describe('GeminiProvider', () => {
+  const declarations = [{ name: 'get_categories', parameters: { type: 'object', properties: {} } }];
+
+  test('requires an API key', () => {
+    expect(() => new GeminiProvider({})).toThrow('GEMINI_API_KEY');
+  });
+
+  test('configures the model with the prompt, tools and resumed history', () => {
+    const provider = new GeminiProvider({ apiKey: 'key' });
+    provider.startChat({
+      systemInstruction: 'Be helpful',
+      functionDeclarations: declarations,
+      history: [{ role: 'user', content: 'hi' }]
+    });
+
+    expect(mockGetGenerativeModel).toHaveBeenCalledWith(expect.objectContaining({
+      model: 'gemini-2.5-flash',
+      tools: [{ functionDeclarations: declarations }],
+      systemInstruction: 'Be helpful'
+    }));
+    expect(mockModel.startChat).toHaveBeenCalledWith({ history: [{ role: 'user', parts: [{ text: 'hi' }] }] });
+  });
+
+  test('uses the configured model', () => {
+    new GeminiProvider({ apiKey: 'key', model: 'gemini-2.5-pro' })
+      .startChat({ systemInstruction: '', functionDeclarations: declarations });
+
+    expect(mockGetGenerativeModel.mock.calls[0][0].model).toBe('gemini-2.5-pro');
+  });
+
+  test('sends text and function results and normalizes replies', async () => {
+    mockChat.sendMessage
+      .mockResolvedValueOnce({
+        response: { functionCalls: () => [{ name: 'get_categories', args: {} }], text: () => '', candidates: [] }
+      })
+      .mockResolvedValueOnce({
+        response: { functionCalls: () => undefined, text: () => 'Done', candidates: [] }
+      });
+    const chat = new GeminiProvider({ apiKey: 'key' })
+      .startChat({ systemInstruction: '', functionDeclarations: declarations });
+
+    expect(await chat.send('Which categories?')).toEqual({
+      text: '',
+      functionCalls: [{ name: 'get_categories', args: {} }]
+    });
+    expect(await chat.send([{ name: 'get_categories', response: { categories: [] } }])).toEqual({
+      text: 'Done',
+      functionCalls: []
+    });
+    expect(mockChat.sendMessage).toHaveBeenLastCalledWith([
+      { functionResponse: { name: 'get_categories', response: { categories: [] } } }
+    ], undefined);
+  });
+
+  test('streams reply text when asked to', async () => {
+    async function* stream() {
+      yield { text: () => 'Hel' };
+      yield { text: () => '' };
+      yield { text: () => 'lo' };
+    }
+    const signal = new AbortController().signal;
+    mockChat.sendMessageStream = jest.fn().mockResolvedValue({
+      stream: stream(),
+      response: Promise.resolve({ functionCalls: () => undefined, text: () => 'Hello', candidates: [] })
+    });
+    const onText = jest.fn();
+    const chat = new GeminiProvider({ apiKey: 'key' })
+      .startChat({ systemInstruction: '', functionDeclarations: declarations });
+
+    expect(await chat.send('Hi', { onText, signal })).toEqual({ text: 'Hello', functionCalls: [] });
+    expect(mockChat.sendMessageStream).toHaveBeenCalledWith('Hi', { signal });
+    expect(onText.mock.calls.map(call => call[0])).toEqual(['Hel', 'lo']);
+  });
+
+  test('returns new turns as client messages, keeping complete model turns', async () => {
+    const functionCallTurn = { role: 'model', parts: [{ functionCall: { name: 'get_categories', args: {} } }] };
+    const textTurn = { role: 'model', parts: [{ thought: true, thoughtSignature: 'sig' }, { text: 'Hello' }] };
+    mockChat.getHistory.mockResolvedValue([
+      { role: 'user', parts: [{ text: 'earlier' }] },
+      { role: 'user', parts: [{ text: 'Hi' }] },
+      functionCallTurn,
+      { role: 'function', parts: [{ functionResponse: { name: 'get_categories', response: {} } }] },
+      textTurn
+    ]);
+    const chat = new GeminiProvider({ apiKey: 'key' }).startChat({
+      systemInstruction: '',
+      functionDeclarations: declarations,
+      history: [{ role: 'user', content: 'earlier' }]
+    });
+
+    const history = await chat.getHistory();
+
+    expect(history[0]).toEqual({ role: 'user', content: 'Hi' });
+    expect(history[1]).toEqual({ role: 'assistant', content: functionCallTurn, text: '[Function call]' });
+    expect(history[3]).toEqual({ role: 'assistant', content: textTurn, text: 'Hello' });
+  });
+});
@@ -1,6 +1,7 @@
-const { createModel } = require('./geminiService');
+const { getProvider } = require('./llmProvider');
+const { SYSTEM_INSTRUCTION, FUNCTION_DECLARATIONS } = require('./copilotPrompt');
 
-// In-memory session storage: userId -> { chat, lastActivity }
+// In-memory session storage: "userId:conversationId" -> { chat, historyPosition, lastActivity }
 const activeSessions = new Map();
 
 // Session timeout: 30 minutes
@@ -9,7 +10,12 @@ const SESSION_TIMEOUT_MS = 30 * 60 * 1000;
 // Maximum number of concurrent sessions to prevent memory leaks
 const MAX_SESSIONS = 1000;
 
-class GeminiSessionManager {
+/**
+ * Live copilot chats per conversation thread, for whichever LLM provider is configured
+ * (the module name dates from when the copilot only ran on Gemini). Threads are
+ * stored in the database; a session is a cache of the provider's chat for one.
+ */
+class CopilotSessionManager {
   constructor() {
     this.cleanupIntervalId = null;
   }
@@ -25,128 +31,97 @@ class GeminiSessionManager {
     }
   }
 
+  /**
+   * Map key of a thread's session
+   */
+  sessionKey(userId, conversationId) {
+    this.validateUserId(userId);
+    return `${userId}:${conversationId}`;
+  }
+
   /**
    * Evict least recently used session when MAX_SESSIONS is reached
    */
   evictLRUSession() {
-    let oldestUserId = null;
+    let oldestKey = null;
     let oldestActivity = Infinity;
 
-    for (const [userId, session] of activeSessions.entries()) {
+    for (const [key, session] of activeSessions.entries()) {
       if (session.lastActivity < oldestActivity) {
         oldestActivity = session.lastActivity;
-        oldestUserId = userId;
+        oldestKey = key;
       }
     }
 
-    if (oldestUserId) {
-      activeSessions.delete(oldestUserId);
-      console.log(`Evicted LRU session for user ${oldestUserId} (last activity: ${new Date(oldestActivity).toISOString()})`);
+    if (oldestKey) {
+      activeSessions.delete(oldestKey);
+      console.log(`Evicted LRU session ${oldestKey} (last activity: ${new Date(oldestActivity).toISOString()})`);
     }
   }
 
   /**
-   * Get existing session or create new one with history
+   * Live session of a thread
+   * @param {string} userId - User ID
+   * @param {number} conversationId - Thread ID
+   * @returns {Object|null} Session, null when there's none or it timed out
    */
-  getOrCreateSession(userId, conversationHistory = []) {
-    // Validate user ID
-    this.validateUserId(userId);
-
-    const existing = activeSessions.get(userId);
+  getSession(userId, conversationId) {
+    const existing = activeSessions.get(this.sessionKey(userId, conversationId));
 
     // Reuse if session exists and is recent
     if (existing && Date.now() - existing.lastActivity < SESSION_TIMEOUT_MS) {
       existing.lastActivity = Date.now();
       return existing;
     }
+    return null;
+  }
+
+  /**
+   * Start a session for a thread, resuming the chat from its stored messages
+   * @param {string} userId - User ID
+   * @param {number} conversationId - Thread ID
+   * @param {Array} [conversationHistory] - Stored messages of the thread
+   * @returns {Object} Session { chat, historyPosition, lastActivity }
+   */
+  createSession(userId, conversationId, conversationHistory = []) {
+    const key = this.sessionKey(userId, conversationId);
 
     // Check if we need to evict a session before creating a new one
     if (activeSessions.size >= MAX_SESSIONS) {
       this.evictLRUSession();
     }
 
-    // Create new session with history from localStorage
+    // Create new session with the thread's history
     try {
-      const model = createModel();
-      const chat = model.startChat({
-        history: this.formatHistory(conversationHistory)
+      const chat = getProvider().startChat({
+        systemInstruction: SYSTEM_INSTRUCTION,
+        functionDeclarations: FUNCTION_DECLARATIONS,
+        history: conversationHistory
       });
 
       const session = {
         chat,
-        historyPosition: 0,  // Track where we are in the Gemini history
+        historyPosition: 0,  // Track where we are in the chat history
         lastActivity: Date.now()
       };
 
-      activeSessions.set(userId, session);
+      activeSessions.set(key, session);
 
       return session;
     } catch (error) {
-      console.error('Failed to create Gemini chat session:', error);
+      console.error('Failed to create copilot chat session:', error);
       throw new Error(`Failed to create chat session: ${error.message}`);
     }
   }
 
   /**
-   * Format conversation history for Gemini API
-   * Preserves complete content structure including thought signatures
+   * End a thread's session, e.g. after a cancelled reply left its chat half way
+   * The next message starts a new session from the stored messages.
+   * @param {string} userId - User ID
+   * @param {number} conversationId - Thread ID
    */
-  formatHistory(conversationHistory) {
-    if (!conversationHistory || conversationHistory.length === 0) {
-      return [];
-    }
-
-    // Validate conversation history structure
-    if (!Array.isArray(conversationHistory)) {
-      throw new Error('conversationHistory must be an array');
-    }
-
-    return conversationHistory
-      .filter((msg, index) => {
-        // Skip invalid messages instead of throwing
-        if (!msg || typeof msg !== 'object') {
-          console.warn(`Skipping invalid message at index ${index}: not an object`);
-          return false;
-        }
-        if (!msg.role || typeof msg.role !== 'string') {
-          console.warn(`Skipping invalid message at index ${index}: invalid role`);
-          return false;
-        }
-        if (!['user', 'assistant', 'model'].includes(msg.role)) {
-          console.warn(`Skipping invalid message at index ${index}: invalid role value`);
-          return false;
-        }
-        return true;
-      })
-      .map((msg) => {
-        // For assistant messages with complete content, use it directly
-        if ((msg.role === 'assistant' || msg.role === 'model') &&
-            msg.content &&
-            typeof msg.content === 'object' &&
-            msg.content.parts) {
-          // msg.content is the complete candidates[0].content from Gemini
-          // It already has the correct structure with parts and thought signatures
-          return {
-            role: 'model',
-            parts: msg.content.parts
-          };
-        }
-
-        // For user messages or assistant messages without complete content
-        const messageText = typeof msg.content === 'string' ? msg.content :
-                           (msg.text || '');
-
-        if (!messageText || messageText.trim().length === 0) {
-          console.warn(`Skipping empty message content`);
-          return null;
-        }
-
-        return {
-          role: msg.role === 'assistant' ? 'model' : 'user',
-          parts: [{ text: messageText }]
-        };
-      })
-      .filter(msg => msg !== null);
+  endSession(userId, conversationId) {
+    activeSessions.delete(this.sessionKey(userId, conversationId));
   }
 
   /**
@@ -154,9 +129,9 @@ class GeminiSessionManager {
    */
   cleanup() {
     const now = Date.now();
-    for (const [userId, session] of activeSessions.entries()) {
+    for (const [key, session] of activeSessions.entries()) {
       if (now - session.lastActivity > SESSION_TIMEOUT_MS) {
-        activeSessions.delete(userId);
+        activeSessions.delete(key);
       }
     }
   }
@@ -170,7 +145,7 @@ class GeminiSessionManager {
       return;
     }
     this.cleanupIntervalId = setInterval(() => this.cleanup(), 10 * 60 * 1000); // Every 10 minutes
-    console.log('Gemini session cleanup interval started');
+    console.log('Copilot session cleanup interval started');
   }
 
   /**
@@ -180,7 +155,7 @@ class GeminiSessionManager {
     if (this.cleanupIntervalId) {
       clearInterval(this.cleanupIntervalId);
       this.cleanupIntervalId = null;
-      console.log('Gemini session cleanup interval stopped');
+      console.log('Copilot session cleanup interval stopped');
     }
   }
 
@@ -200,4 +175,4 @@ class GeminiSessionManager {
 }
 
 // Export singleton instance
-module.exports = new GeminiSessionManager();
+module.exports = new CopilotSessionManager();
@@ -1,8 +1,8 @@
-const mockChat = { sendMessage: jest.fn() };
-const mockModel = { startChat: jest.fn().mockReturnValue(mockChat) };
+const mockChat = { send: jest.fn(), getHistory: jest.fn() };
+const mockProvider = { name: 'mock', startChat: jest.fn().mockReturnValue(mockChat) };
 
-jest.mock('./geminiService', () => ({
-  createModel: jest.fn().mockReturnValue(mockModel)
+jest.mock('./llmProvider', () => ({
+  getProvider: jest.fn(() => mockProvider)
 }));
 
 const sessionManager = require('./geminiSessionManager');
@@ -42,86 +42,63 @@ describe('validateUserId', () => {
   });
 });
 
-describe('formatHistory', () => {
-  test('returns empty array for null/undefined/empty', () => {
-    expect(sessionManager.formatHistory(null)).toEqual([]);
-    expect(sessionManager.formatHistory(undefined)).toEqual([]);
-    expect(sessionManager.formatHistory([])).toEqual([]);
-  });
-
-  test('throws for non-array input', () => {
-    expect(() => sessionManager.formatHistory('not array')).toThrow('must be an array');
+describe('createSession', () => {
+  test('creates a new session', () => {
+    const session = sessionManager.createSession('test-create-1', 1);
+    expect(session).toHaveProperty('chat');
+    expect(session).toHaveProperty('lastActivity');
+    expect(session.historyPosition).toBe(0);
+    expect(mockProvider.startChat).toHaveBeenCalled();
   });
 
-  test('converts assistant role to model', () => {
-    const result = sessionManager.formatHistory([
-      { role: 'assistant', content: 'hello' }
-    ]);
-    expect(result).toEqual([{ role: 'model', parts: [{ text: 'hello' }] }]);
-  });
+  test('starts the chat with the copilot prompt, tools and stored history', () => {
+    const history = [{ role: 'user', content: 'hi' }];
+    sessionManager.createSession('test-prompt-1', 1, history);
 
-  test('keeps user role as user', () => {
-    const result = sessionManager.formatHistory([
-      { role: 'user', content: 'hi' }
-    ]);
-    expect(result).toEqual([{ role: 'user', parts: [{ text: 'hi' }] }]);
+    const options = mockProvider.startChat.mock.calls[0][0];
+    expect(options.systemInstruction).toContain('travel companion');
+    expect(options.functionDeclarations.map(d => d.name)).toContain('query_checkins');
+    expect(options.history).toBe(history);
   });
 
-  test('preserves thought signatures from content.parts', () => {
-    const parts = [
-      { thought: true, text: 'thinking...' },
-      { text: 'visible response' }
-    ];
-    const result = sessionManager.formatHistory([
-      { role: 'assistant', content: { parts } }
-    ]);
-    expect(result).toEqual([{ role: 'model', parts }]);
+  test('validates the user ID', () => {
+    expect(() => sessionManager.createSession('', 1)).toThrow('Invalid userId');
   });
+});
 
-  test('skips invalid messages', () => {
-    const result = sessionManager.formatHistory([
-      null,
-      { role: 'invalid', content: 'x' },
-      { role: 'user', content: 'valid' }
-    ]);
-    expect(result).toHaveLength(1);
-    expect(result[0].role).toBe('user');
+describe('getSession', () => {
+  test('returns the cached session of a thread', () => {
+    const s1 = sessionManager.createSession('test-cache-1', 1);
+    expect(sessionManager.getSession('test-cache-1', 1)).toBe(s1);
   });
 
-  test('skips messages with empty content', () => {
-    const result = sessionManager.formatHistory([
-      { role: 'user', content: '   ' }
-    ]);
-    expect(result).toEqual([]);
+  test('keeps threads and users apart', () => {
+    sessionManager.createSession('test-diff-1', 1);
+    expect(sessionManager.getSession('test-diff-1', 2)).toBeNull();
+    expect(sessionManager.getSession('test-diff-2', 1)).toBeNull();
   });
-});
 
-describe('getOrCreateSession', () => {
-  test('creates a new session', () => {
-    const session = sessionManager.getOrCreateSession('test-create-1');
-    expect(session).toHaveProperty('chat');
-    expect(session).toHaveProperty('lastActivity');
-    expect(mockModel.startChat).toHaveBeenCalled();
-  });
+  test('ignores timed out sessions', () => {
+    sessionManager.createSession('test-timeout-1', 1);
 
-  test('returns cached session for same user', () => {
-    const s1 = sessionManager.getOrCreateSession('test-cache-1');
-    mockModel.startChat.mockClear();
-    const s2 = sessionManager.getOrCreateSession('test-cache-1');
-    expect(s2).toBe(s1);
-    expect(mockModel.startChat).not.toHaveBeenCalled();
+    jest.useFakeTimers();
+    jest.setSystemTime(Date.now() + 31 * 60 * 1000);
+    expect(sessionManager.getSession('test-timeout-1', 1)).toBeNull();
+    jest.useRealTimers();
   });
+});
 
-  test('creates different sessions for different users', () => {
-    const s1 = sessionManager.getOrCreateSession('test-diff-1');
-    const s2 = sessionManager.getOrCreateSession('test-diff-2');
-    expect(s1).not.toBe(s2);
+describe('endSession', () => {
+  test('removes the thread\'s session so the next message starts a new one', () => {
+    sessionManager.createSession('test-end-1', 1);
+    sessionManager.endSession('test-end-1', 1);
+    expect(sessionManager.getSession('test-end-1', 1)).toBeNull();
   });
 });
 
 describe('cleanup', () => {
   test('removes expired sessions', () => {
-    sessionManager.getOrCreateSession('test-expire-1');
+    sessionManager.createSession('test-expire-1', 1);
     const countBefore = sessionManager.getActiveSessionCount();
 
     // Advance time past timeout
@@ -0,0 +1,79 @@
+/**
+ * LLM provider selection for the copilot
+ *
+ * A provider has startChat({ systemInstruction, functionDeclarations, history })
+ * returning a chat with:
+ * - send(input, { onText, signal }): input is the user's text, or function results
+ *   [{ id, name, response }] for the function calls of the previous reply. Resolves to
+ *   { text, functionCalls }, functionCalls being [{ id, name, args }]. With onText the reply
+ *   is streamed and onText gets each piece of text; signal aborts the request.
+ * - getHistory(): the messages exchanged since the chat started, in the format the
+ *   copilot stores in a thread: [{ role: 'user'|'assistant', content, text }].
+ *
+ * LLM_PROVIDER picks the adapter:
+ * - gemini (default): Google Gemini, needs GEMINI_API_KEY; LLM_MODEL overrides gemini-2.5-flash
+ * - openai: any OpenAI-compatible endpoint, e.g. a local Ollama at LLM_BASE_URL=http://localhost:11434/v1,
+ *   with LLM_MODEL and optional LLM_API_KEY
+ * - scripted: deterministic replies from the JSON file at LLM_SCRIPT, for tests and offline use
+ */
+
+const PROVIDERS = ['gemini', 'openai', 'scripted'];
+
+let provider = null;
+
+/**
+ * Create the provider configured in an environment
+ * Adapters are required lazily so e.g. the Gemini SDK isn't loaded for a local model.
+ * @param {Object} [env=process.env]
+ * @returns {Object} Provider
+ */
+function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+
+  switch (name) {
+    case 'gemini': {
+      const { GeminiProvider } = require('./geminiProvider');
+      return new GeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.LLM_MODEL });
+    }
+    case 'openai': {
+      const { OpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+      return new OpenAICompatibleProvider({
+        baseUrl: env.LLM_BASE_URL,
+        model: env.LLM_MODEL,
+        apiKey: env.LLM_API_KEY
+      });
+    }
+    case 'scripted': {
+      const { ScriptedProvider } = require('./scriptedProvider');
+      return new ScriptedProvider({ scriptPath: env.LLM_SCRIPT });
+    }
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}", expected one of ${PROVIDERS.join(', ')}`);
+  }
+}
+
+/**
+ * The configured provider, created on first use
+ * @returns {Object} Provider
+ */
+function getProvider() {
+  if (!provider) {
+    provider = createProvider();
+    console.log(`[COPILOT] Using ${provider.name} LLM provider`);
+  }
+  return provider;
+}
+
+/**
+ * Replace the provider, e.g. with a ScriptedProvider in tests; null resets to the configured one
+ * @param {Object|null} replacement
+ */
+function setProvider(replacement) {
+  provider = replacement;
+}
+
+module.exports = {
+  createProvider,
+  getProvider,
+  setProvider
+};
@@ -0,0 +1,53 @@
+jest.mock('@google/generative-ai');
+jest.mock('axios');
+
+const { createProvider, getProvider, setProvider } = require('./llmProvider');
+const { GeminiProvider } = require('./geminiProvider');
+const { OpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+const { ScriptedProvider } = require('./scriptedProvider');
+
+afterEach(() => {
+  setProvider(null);
+});
+
+describe('createProvider', () => {
+  test('uses Gemini by default', () => {
+    const provider = createProvider({ GEMINI_API_KEY: 'key' });
+    expect(provider).toBeInstanceOf(GeminiProvider);
+    expect(provider.model).toBe('gemini-2.5-flash');
+  });
+
+  test('applies LLM_MODEL to Gemini', () => {
+    expect(createProvider({ GEMINI_API_KEY: 'key', LLM_MODEL: 'gemini-2.5-pro' }).model).toBe('gemini-2.5-pro');
+  });
+
+  test('fails on first use rather than at load when the Gemini key is missing', () => {
+    expect(() => createProvider({})).toThrow('GEMINI_API_KEY');
+  });
+
+  test('creates an OpenAI-compatible provider', () => {
+    const provider = createProvider({
+      LLM_PROVIDER: 'openai',
+      LLM_BASE_URL: 'http://localhost:11434/v1',
+      LLM_MODEL: 'qwen2.5:14b'
+    });
+    expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(provider.model).toBe('qwen2.5:14b');
+  });
+
+  test('creates a scripted provider', () => {
+    expect(createProvider({ LLM_PROVIDER: 'Scripted' })).toBeInstanceOf(ScriptedProvider);
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => createProvider({ LLM_PROVIDER: 'bard' })).toThrow('Unknown LLM_PROVIDER "bard"');
+  });
+});
+
+describe('getProvider', () => {
+  test('returns a provider set with setProvider', () => {
+    const provider = new ScriptedProvider();
+    setProvider(provider);
+    expect(getProvider()).toBe(provider);
+  });
+});
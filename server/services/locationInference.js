@@ -0,0 +1,273 @@
+const Checkin = require('../models/checkin');
+const LocationAnchor = require('../models/locationAnchor');
+
+// A city needs check-ins on this many days in a month to be that month's home
+const MIN_HOME_DAYS_PER_MONTH = 3;
+
+// Shorter stretches in another city are travel (or a sabbatical), not a move
+const MIN_HOME_MONTHS = 2;
+
+// Check-ins between these local hours are evidence of where someone lives
+// and count twice when scoring a month's home city
+const EVENING_START_HOUR = 19;
+const MORNING_END_HOUR = 7;
+
+// Weekday (ISO 1-5) office hours used to find a work anchor
+const WORK_START_HOUR = 8;
+const WORK_END_HOUR = 18;
+const WORK_WEEKDAYS = [1, 2, 3, 4, 5];
+
+// A venue needs weekday office-hour check-ins on this many days to be a work anchor
+const MIN_WORK_DAYS = 8;
+
+const UNKNOWN = 'Unknown';
+
+function isKnown(value) {
+  return Boolean(value) && value !== UNKNOWN;
+}
+
+function toCoordinates(checkin) {
+  const lat = parseFloat(checkin.latitude);
+  const lng = parseFloat(checkin.longitude);
+  return isNaN(lat) || isNaN(lng) ? null : { lat, lng };
+}
+
+function isEvening(checkin) {
+  return checkin.local_hour >= EVENING_START_HOUR || checkin.local_hour < MORNING_END_HOUR;
+}
+
+function isWorkHours(checkin) {
+  return WORK_WEEKDAYS.includes(checkin.local_weekday) &&
+    checkin.local_hour >= WORK_START_HOUR && checkin.local_hour < WORK_END_HOUR;
+}
+
+/**
+ * The day before a YYYY-MM-DD date
+ */
+function dayBefore(date) {
+  const previous = new Date(`${date}T00:00:00Z`);
+  previous.setUTCDate(previous.getUTCDate() - 1);
+  return previous.toISOString().slice(0, 10);
+}
+
+function centroid(checkins) {
+  const points = checkins.map(toCoordinates).filter(Boolean);
+  if (points.length === 0) return { latitude: null, longitude: null };
+
+  return {
+    latitude: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+    longitude: points.reduce((sum, point) => sum + point.lng, 0) / points.length
+  };
+}
+
+/**
+ * Infers where a user lived (home city per period) and worked (a venue
+ * visited on weekday office hours) from check-in density and time of day.
+ */
+class LocationInference {
+  /**
+   * Infer home periods
+   * Each month votes for the city with the highest score (distinct days, plus
+   * distinct evening/night days), runs shorter than MIN_HOME_MONTHS are folded
+   * into the surrounding home, and months without a vote keep the previous home.
+   * @param {Array} checkins - Rows from Checkin.findTimeline, oldest first
+   * @returns {Array} Contiguous home anchors, oldest first; the last one has valid_to null
+   */
+  inferHomes(checkins) {
+    const months = new Map();
+
+    for (const checkin of checkins) {
+      if (!isKnown(checkin.city) || !isKnown(checkin.country)) continue;
+
+      const month = checkin.local_date.slice(0, 7);
+      const key = `${checkin.city}|${checkin.country}`;
+
+      if (!months.has(month)) months.set(month, new Map());
+      const cities = months.get(month);
+
+      if (!cities.has(key)) {
+        cities.set(key, { city: checkin.city, country: checkin.country, days: new Set(), eveningDays: new Set() });
+      }
+
+      const entry = cities.get(key);
+      entry.days.add(checkin.local_date);
+      if (isEvening(checkin)) entry.eveningDays.add(checkin.local_date);
+    }
+
+    // Monthly votes, in month order
+    const votes = [...months.keys()].sort().map(month => {
+      let best = null;
+      let bestScore = 0;
+
+      for (const entry of months.get(month).values()) {
+        const score = entry.days.size + entry.eveningDays.size;
+        if (entry.days.size >= MIN_HOME_DAYS_PER_MONTH && score > bestScore) {
+          best = entry;
+          bestScore = score;
+        }
+      }
+
+      return { month, home: best };
+    });
+
+    // Collapse into runs of the same city, carrying the previous home over quiet months
+    let runs = [];
+    for (const vote of votes) {
+      const last = runs[runs.length - 1];
+      const key = vote.home ? `${vote.home.city}|${vote.home.country}` : null;
+
+      if (!key && !last) continue;
+
+      if (last && (!key || key === last.key)) {
+        last.months.push(vote.month);
+        if (key) last.votes++;
+      } else {
+        runs.push({ key, city: vote.home.city, country: vote.home.country, months: [vote.month], votes: 1 });
+      }
+    }
+
+    // Fold short runs into their neighbours
+    if (runs.length > 1) {
+      runs.forEach((run, index) => {
+        if (run.votes >= MIN_HOME_MONTHS) return;
+        const neighbour = runs[index - 1] || runs[index + 1];
+        Object.assign(run, { key: neighbour.key, city: neighbour.city, country: neighbour.country });
+      });
+
+      runs = runs.reduce((merged, run) => {
+        const last = merged[merged.length - 1];
+        if (last && last.key === run.key) {
+          last.months.push(...run.months);
+        } else {
+          merged.push({ ...run, months: [...run.months] });
+        }
+        return merged;
+      }, []);
+    }
+
+    return runs.map((run, index) => {
+      // Periods are contiguous: each home lasts until the next one starts
+      const validFrom = `${run.months[0]}-01`;
+      const validTo = index === runs.length - 1 ? null : dayBefore(`${runs[index + 1].months[0]}-01`);
+
+      const supporting = checkins.filter(checkin =>
+        checkin.city === run.city && checkin.country === run.country &&
+        checkin.local_date >= validFrom && (!validTo || checkin.local_date <= validTo)
+      );
+
+      return {
+        kind: 'home',
+        city: run.city,
+        country: run.country,
+        ...centroid(supporting),
+        valid_from: validFrom,
+        valid_to: validTo,
+        day_count: new Set(supporting.map(checkin => checkin.local_date)).size,
+        checkin_count: supporting.length
+      };
+    });
+  }
+
+  /**
+   * Infer one work anchor per home period: the venue with weekday
+   * office-hour check-ins on the most distinct days. Valid from the first
+   * to the last of those check-ins.
+   * @param {Array} checkins - Rows from Checkin.findTimeline
+   * @param {Array} homes - From inferHomes
+   * @returns {Array} Work anchors
+   */
+  inferWork(checkins, homes) {
+    const anchors = [];
+
+    for (const home of homes) {
+      const venues = new Map();
+
+      for (const checkin of checkins) {
+        if (!isWorkHours(checkin) || !this.isWithin(home, checkin.local_date)) continue;
+
+        const key = checkin.venue_id || checkin.venue_name;
+        if (!venues.has(key)) venues.set(key, { checkins: [], days: new Set() });
+
+        const venue = venues.get(key);
+        venue.checkins.push(checkin);
+        venue.days.add(checkin.local_date);
+      }
+
+      let best = null;
+      for (const venue of venues.values()) {
+        if (venue.days.size >= MIN_WORK_DAYS && (!best || venue.days.size > best.days.size)) {
+          best = venue;
+        }
+      }
+
+      if (!best) continue;
+
+      const first = best.checkins[0];
+      const last = best.checkins[best.checkins.length - 1];
+
+      anchors.push({
+        kind: 'work',
+        city: first.city,
+        country: first.country,
+        venue_id: first.venue_id,
+        venue_name: first.venue_name,
+        ...centroid(best.checkins),
+        valid_from: first.local_date,
+        valid_to: last.local_date,
+        day_count: best.days.size,
+        checkin_count: best.checkins.length
+      });
+    }
+
+    return anchors;
+  }
+
+  /**
+   * Infer all anchors (homes and work places) for a check-in history
+   */
+  inferAnchors(checkins) {
+    const homes = this.inferHomes(checkins);
+    return [...homes, ...this.inferWork(checkins, homes)];
+  }
+
+  /**
+   * Whether a local date falls in an anchor's validity range
+   */
+  isWithin(anchor, localDate) {
+    return localDate >= anchor.valid_from && (!anchor.valid_to || localDate <= anchor.valid_to);
+  }
+
+  /**
+   * Find the home that applies on a local date
+   * Dates before the first known home use the first home.
+   * @param {Array} homes - Home anchors, oldest first
+   * @param {string} localDate - YYYY-MM-DD
+   * @returns {Object|null}
+   */
+  findHomeAt(homes, localDate) {
+    if (!homes || homes.length === 0) return null;
+    return homes.find(home => this.isWithin(home, localDate)) ||
+      (localDate < homes[0].valid_from ? homes[0] : null);
+  }
+
+  /**
+   * Re-infer and store all anchors for a user
+   * @param {number} userId
+   * @returns {Promise<Array>} The stored anchors
+   */
+  async recomputeForUser(userId) {
+    const checkins = await Checkin.findTimeline(userId);
+    const anchors = this.inferAnchors(checkins);
+
+    await LocationAnchor.replaceForUser(userId, anchors);
+
+    const homes = anchors.filter(anchor => anchor.kind === 'home');
+    console.log(`[LOCATIONS] User ${userId}: ${homes.length} home period(s), ` +
+      `${anchors.length - homes.length} work anchor(s)` +
+      (homes.length > 0 ? `, current home ${homes[homes.length - 1].city}, ${homes[homes.length - 1].country}` : ''));
+
+    return anchors;
+  }
+}
+
+module.exports = new LocationInference();
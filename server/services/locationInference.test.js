@@ -0,0 +1,190 @@
+const locationInference = require('./locationInference');
+const Checkin = require('../models/checkin');
+const LocationAnchor = require('../models/locationAnchor');
+
+jest.mock('../models/checkin');
+jest.mock('../models/locationAnchor');
+
+const BERLIN = { city: 'Berlin', country: 'Germany', latitude: '52.52', longitude: '13.40' };
+const LISBON = { city: 'Lisboa', country: 'Portugal', latitude: '38.72', longitude: '-9.14' };
+const ROME = { city: 'Roma', country: 'Italy', latitude: '41.90', longitude: '12.50' };
+
+const OFFICE = { venue_id: 'office', venue_name: 'Office', ...BERLIN };
+
+/**
+ * Build a check-in row as returned by Checkin.findTimeline
+ * Day of week is derived from the date so tests read like a calendar
+ */
+function checkin(place, localDate, hour = 12) {
+  const weekday = new Date(`${localDate}T00:00:00Z`).getUTCDay() || 7;
+  return {
+    venue_id: place.venue_id || `${place.city}-${localDate}-${hour}`,
+    venue_name: place.venue_name || `Venue in ${place.city}`,
+    venue_category: 'Café',
+    checkin_date: new Date(`${localDate}T${String(hour).padStart(2, '0')}:00:00Z`),
+    local_date: localDate,
+    local_hour: hour,
+    local_weekday: weekday,
+    ...place
+  };
+}
+
+/**
+ * One check-in per day for the given days of a month
+ */
+function month(place, yearMonth, days, hour = 20) {
+  return days.map(day => checkin(place, `${yearMonth}-${String(day).padStart(2, '0')}`, hour));
+}
+
+const byDate = (a, b) => a.checkin_date - b.checkin_date;
+
+describe('LocationInference', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('inferHomes', () => {
+    it('returns a single current home for a stable history', () => {
+      const checkins = [
+        ...month(BERLIN, '2024-01', [2, 5, 9, 12]),
+        ...month(BERLIN, '2024-02', [1, 6, 20])
+      ];
+
+      const homes = locationInference.inferHomes(checkins);
+
+      expect(homes).toEqual([expect.objectContaining({
+        kind: 'home',
+        city: 'Berlin',
+        country: 'Germany',
+        latitude: expect.closeTo(52.52),
+        longitude: expect.closeTo(13.4),
+        valid_from: '2024-01-01',
+        valid_to: null,
+        day_count: 7,
+        checkin_count: 7
+      })]);
+    });
+
+    it('detects a move and keeps periods contiguous', () => {
+      const checkins = [
+        ...month(BERLIN, '2023-01', [3, 10, 17]),
+        ...month(BERLIN, '2023-02', [3, 10, 17]),
+        // Quiet month, still Berlin
+        ...month(LISBON, '2023-04', [3, 10, 17, 24]),
+        ...month(LISBON, '2023-05', [3, 10, 17])
+      ];
+
+      const homes = locationInference.inferHomes(checkins);
+
+      expect(homes.map(home => [home.city, home.valid_from, home.valid_to])).toEqual([
+        ['Berlin', '2023-01-01', '2023-03-31'],
+        ['Lisboa', '2023-04-01', null]
+      ]);
+    });
+
+    it('treats a single month elsewhere as travel, not a move', () => {
+      const checkins = [
+        ...month(BERLIN, '2023-01', [3, 10, 17]),
+        ...month(BERLIN, '2023-02', [3, 10, 17]),
+        ...month(ROME, '2023-03', [1, 2, 3, 4, 5, 6, 7, 8]),
+        ...month(BERLIN, '2023-04', [3, 10, 17])
+      ];
+
+      const homes = locationInference.inferHomes(checkins);
+
+      expect(homes).toHaveLength(1);
+      expect(homes[0]).toMatchObject({ city: 'Berlin', valid_from: '2023-01-01', valid_to: null });
+    });
+
+    it('weighs evening check-ins as home evidence', () => {
+      // Same number of days, but Berlin check-ins are in the evening
+      const checkins = [
+        ...month(BERLIN, '2023-01', [3, 10, 17], 21),
+        ...month(ROME, '2023-01', [4, 11, 18], 13),
+        ...month(BERLIN, '2023-02', [3, 10, 17], 21),
+        ...month(ROME, '2023-02', [4, 11, 18], 13)
+      ].sort(byDate);
+
+      expect(locationInference.inferHomes(checkins).map(home => home.city)).toEqual(['Berlin']);
+    });
+
+    it('ignores months without enough check-ins in any city', () => {
+      const checkins = month(BERLIN, '2023-01', [3, 10]);
+
+      expect(locationInference.inferHomes(checkins)).toEqual([]);
+    });
+  });
+
+  describe('inferWork', () => {
+    it('picks the venue visited on the most weekday office-hour days', () => {
+      const homes = [{ kind: 'home', city: 'Berlin', country: 'Germany', valid_from: '2024-01-01', valid_to: null }];
+      // Weekdays in January 2024: the 1st is a Monday
+      const workdays = [1, 2, 3, 4, 5, 8, 9, 10, 11];
+      const checkins = [
+        ...month(OFFICE, '2024-01', workdays, 10),
+        // Weekend and evening visits to the office don't count
+        checkin(OFFICE, '2024-01-06', 10),
+        checkin(OFFICE, '2024-01-12', 20)
+      ].sort(byDate);
+
+      const work = locationInference.inferWork(checkins, homes);
+
+      expect(work).toEqual([expect.objectContaining({
+        kind: 'work',
+        venue_id: 'office',
+        venue_name: 'Office',
+        city: 'Berlin',
+        valid_from: '2024-01-01',
+        valid_to: '2024-01-11',
+        day_count: 9,
+        checkin_count: 9
+      })]);
+    });
+
+    it('requires a minimum number of days', () => {
+      const homes = [{ kind: 'home', city: 'Berlin', country: 'Germany', valid_from: '2024-01-01', valid_to: null }];
+      const checkins = month(OFFICE, '2024-01', [1, 2, 3], 10);
+
+      expect(locationInference.inferWork(checkins, homes)).toEqual([]);
+    });
+  });
+
+  describe('findHomeAt', () => {
+    const homes = [
+      { city: 'Berlin', valid_from: '2023-01-01', valid_to: '2023-03-31' },
+      { city: 'Lisboa', valid_from: '2023-04-01', valid_to: null }
+    ];
+
+    it('returns the home valid on a date', () => {
+      expect(locationInference.findHomeAt(homes, '2023-03-31').city).toBe('Berlin');
+      expect(locationInference.findHomeAt(homes, '2023-04-01').city).toBe('Lisboa');
+      expect(locationInference.findHomeAt(homes, '2030-01-01').city).toBe('Lisboa');
+    });
+
+    it('uses the first home before any home is known', () => {
+      expect(locationInference.findHomeAt(homes, '2020-01-01').city).toBe('Berlin');
+      expect(locationInference.findHomeAt([], '2020-01-01')).toBeNull();
+    });
+  });
+
+  describe('recomputeForUser', () => {
+    it('stores homes and work anchors', async () => {
+      Checkin.findTimeline.mockResolvedValue([
+        ...month(BERLIN, '2024-01', [2, 5, 9, 12]),
+        ...month(BERLIN, '2024-02', [1, 6, 20])
+      ]);
+      LocationAnchor.replaceForUser.mockResolvedValue(1);
+
+      const anchors = await locationInference.recomputeForUser(10);
+
+      expect(Checkin.findTimeline).toHaveBeenCalledWith(10);
+      expect(LocationAnchor.replaceForUser).toHaveBeenCalledWith(10, anchors);
+      expect(anchors).toEqual([expect.objectContaining({ kind: 'home', city: 'Berlin' })]);
+    });
+  });
+});
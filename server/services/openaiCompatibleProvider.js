@@ -0,0 +1,201 @@
+const axios = require('axios');
+
+// Local models on modest hardware can take a while per turn
+const REQUEST_TIMEOUT_MS = 120 * 1000;
+
+/**
+ * Convert client messages to chat completion messages
+ * Only the text survives: tool calls from earlier requests aren't replayed,
+ * and Gemini turns are reduced to their text.
+ * @param {Array} conversationHistory - Client messages [{ role, content, text }]
+ * @returns {Array}
+ */
+function formatHistory(conversationHistory) {
+  if (!Array.isArray(conversationHistory)) {
+    return [];
+  }
+
+  return conversationHistory
+    .map(msg => {
+      if (!msg || typeof msg !== 'object') return null;
+
+      const text = typeof msg.content === 'string' ? msg.content : (msg.text || '');
+      if (!text.trim() || text === '[Function call]') return null;
+
+      if (msg.role === 'user') return { role: 'user', content: text };
+      if (msg.role === 'assistant' || msg.role === 'model') return { role: 'assistant', content: text };
+      return null;
+    })
+    .filter(msg => msg !== null);
+}
+
+/**
+ * Parse tool call arguments, which arrive as a JSON string
+ */
+function parseArguments(rawArguments) {
+  if (!rawArguments) return {};
+  if (typeof rawArguments === 'object') return rawArguments;
+
+  try {
+    return JSON.parse(rawArguments);
+  } catch (error) {
+    console.warn('Could not parse tool call arguments:', rawArguments);
+    return {};
+  }
+}
+
+/**
+ * Assemble the assistant message from a streamed chat completion (server-sent events)
+ * Text is passed to onText as it arrives; tool calls arrive in fragments by index.
+ * @param {Readable} stream - Response body
+ * @param {Function} onText
+ * @returns {Promise<Object>} Assistant message, as in a non-streamed response
+ */
+async function readStreamedMessage(stream, onText) {
+  const decoder = new TextDecoder();
+  const message = { role: 'assistant', content: '' };
+  const toolCalls = [];
+  let buffer = '';
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return;
+    const data = trimmed.slice(5).trim();
+    if (data === '[DONE]') return;
+
+    const delta = JSON.parse(data).choices?.[0]?.delta || {};
+    if (delta.content) {
+      message.content += delta.content;
+      onText(delta.content);
+    }
+    (delta.tool_calls || []).forEach(part => {
+      const index = part.index ?? toolCalls.length;
+      const call = toolCalls[index] || (toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.function.name += part.function.name;
+      if (part.function?.arguments) call.function.arguments += part.function.arguments;
+    });
+  };
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer);
+
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls.filter(Boolean);
+  }
+  return message;
+}
+
+/**
+ * Provider for any OpenAI-compatible chat completions endpoint with tool calling,
+ * e.g. a local Ollama or llama.cpp server, so travel history never leaves the machine
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - API base URL, e.g. http://localhost:11434/v1
+   * @param {string} options.model - Model name, e.g. qwen2.5:14b
+   * @param {string} [options.apiKey] - Sent as a bearer token when set
+   */
+  constructor({ baseUrl, model, apiKey } = {}) {
+    if (!baseUrl || !model) {
+      throw new Error('LLM_BASE_URL and LLM_MODEL are required for the openai provider');
+    }
+    this.name = 'openai';
+    this.model = model;
+    this.client = axios.create({
+      baseURL: baseUrl.replace(/\/$/, ''),
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+    });
+  }
+
+  /**
+   * Start a function-calling chat
+   * @param {Object} options
+   * @param {string} options.systemInstruction
+   * @param {Array} options.functionDeclarations - JSON Schema function declarations
+   * @param {Array} [options.history] - Client messages to resume from
+   * @returns {Object} Chat with send() and getHistory()
+   */
+  startChat({ systemInstruction, functionDeclarations, history = [] }) {
+    const { client, model } = this;
+    const tools = functionDeclarations.map(declaration => ({ type: 'function', function: declaration }));
+    const messages = [
+      { role: 'system', content: systemInstruction },
+      ...formatHistory(history)
+    ];
+    const startLength = messages.length;
+
+    return {
+      /**
+       * @param {string|Array} input - User text, or function results [{ id, name, response }]
+       * @param {Object} [options]
+       * @param {Function} [options.onText] - Streams the reply, called with each piece of text
+       * @param {AbortSignal} [options.signal]
+       * @returns {Promise<{text: string, functionCalls: Array}>}
+       */
+      async send(input, { onText, signal } = {}) {
+        if (typeof input === 'string') {
+          messages.push({ role: 'user', content: input });
+        } else {
+          input.forEach(({ id, name, response }) => {
+            messages.push({ role: 'tool', tool_call_id: id, name, content: JSON.stringify(response) });
+          });
+        }
+
+        const payload = { model, messages, tools, tool_choice: 'auto' };
+
+        let message;
+        if (onText) {
+          const { data } = await client.post('/chat/completions', { ...payload, stream: true }, {
+            responseType: 'stream',
+            signal
+          });
+          message = await readStreamedMessage(data, onText);
+        } else {
+          const { data } = await client.post('/chat/completions', payload, { signal });
+          message = data.choices?.[0]?.message;
+          if (!message) {
+            throw new Error('LLM response has no message');
+          }
+        }
+
+        messages.push(message);
+
+        return {
+          text: message.content || '',
+          functionCalls: (message.tool_calls || []).map(call => ({
+            id: call.id,
+            name: call.function.name,
+            args: parseArguments(call.function.arguments)
+          }))
+        };
+      },
+
+      /**
+       * Messages exchanged since the chat started, resumed history and tool results excluded
+       * @returns {Promise<Array>} Client messages [{ role, content, text }]
+       */
+      async getHistory() {
+        return messages
+          .slice(startLength)
+          .filter(msg => msg.role !== 'tool')
+          .map(msg => (msg.role === 'user'
+            ? { role: 'user', content: msg.content }
+            : { role: 'assistant', content: msg, text: msg.content || '[Function call]' }
+          ));
+      }
+    };
+  }
+}
+
+module.exports = {
+  OpenAICompatibleProvider,
+  formatHistory
+};
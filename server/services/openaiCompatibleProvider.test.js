@@ -0,0 +1,136 @@
+jest.mock('axios');
+
+const { Readable } = require('stream');
+const axios = require('axios');
+const { OpenAICompatibleProvider, formatHistory } = require('./openaiCompatibleProvider');
+
+const declarations = [{ name: 'get_categories', parameters: { type: 'object', properties: {} } }];
+const mockClient = { post: jest.fn() };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  axios.create.mockReturnValue(mockClient);
+});
+
+function reply(message) {
+  return { data: { choices: [{ message }] } };
+}
+
+describe('formatHistory', () => {
+  test('keeps the text of user and assistant messages', () => {
+    expect(formatHistory([
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: { role: 'model', parts: [] }, text: 'Hello' },
+      { role: 'assistant', content: {}, text: '[Function call]' },
+      { role: 'system', content: 'ignored' },
+      null
+    ])).toEqual([
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello' }
+    ]);
+  });
+
+  test('returns empty array for non-array input', () => {
+    expect(formatHistory(undefined)).toEqual([]);
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  test('requires a base URL and model', () => {
+    expect(() => new OpenAICompatibleProvider({ model: 'qwen2.5' })).toThrow('LLM_BASE_URL');
+    expect(() => new OpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1' })).toThrow('LLM_MODEL');
+  });
+
+  test('creates a client with the base URL and optional API key', () => {
+    new OpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1/', model: 'qwen2.5', apiKey: 'secret' });
+
+    expect(axios.create).toHaveBeenCalledWith(expect.objectContaining({
+      baseURL: 'http://localhost:11434/v1',
+      headers: { Authorization: 'Bearer secret' }
+    }));
+  });
+
+  test('sends the conversation with tools and parses tool calls', async () => {
+    mockClient.post.mockResolvedValueOnce(reply({
+      role: 'assistant',
+      content: null,
+      tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_categories', arguments: '{"limit":5}' } }]
+    }));
+    const chat = new OpenAICompatibleProvider({ baseUrl: 'http://llm', model: 'qwen2.5' }).startChat({
+      systemInstruction: 'Be helpful',
+      functionDeclarations: declarations,
+      history: [{ role: 'user', content: 'earlier' }]
+    });
+
+    const result = await chat.send('Which categories?');
+
+    expect(result).toEqual({ text: '', functionCalls: [{ id: 'call_1', name: 'get_categories', args: { limit: 5 } }] });
+    const [path, payload] = mockClient.post.mock.calls[0];
+    expect(path).toBe('/chat/completions');
+    expect(payload.model).toBe('qwen2.5');
+    expect(payload.tools).toEqual([{ type: 'function', function: declarations[0] }]);
+    expect(payload.messages.map(m => m.role)).toEqual(['system', 'user', 'user', 'assistant']);
+  });
+
+  test('answers tool calls with tool messages and returns only new user and assistant messages', async () => {
+    const toolCallMessage = {
+      role: 'assistant',
+      content: '',
+      tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_categories', arguments: '{}' } }]
+    };
+    mockClient.post
+      .mockResolvedValueOnce(reply(toolCallMessage))
+      .mockResolvedValueOnce(reply({ role: 'assistant', content: 'You like cafés.' }));
+    const chat = new OpenAICompatibleProvider({ baseUrl: 'http://llm', model: 'qwen2.5' })
+      .startChat({ systemInstruction: '', functionDeclarations: declarations });
+
+    await chat.send('What do I like?');
+    const result = await chat.send([{ id: 'call_1', name: 'get_categories', response: { categories: ['Café'] } }]);
+
+    expect(result).toEqual({ text: 'You like cafés.', functionCalls: [] });
+    expect(mockClient.post.mock.calls[1][1].messages).toContainEqual({
+      role: 'tool',
+      tool_call_id: 'call_1',
+      name: 'get_categories',
+      content: '{"categories":["Café"]}'
+    });
+    expect(await chat.getHistory()).toEqual([
+      { role: 'user', content: 'What do I like?' },
+      { role: 'assistant', content: toolCallMessage, text: '[Function call]' },
+      { role: 'assistant', content: { role: 'assistant', content: 'You like cafés.' }, text: 'You like cafés.' }
+    ]);
+  });
+
+  test('rejects responses without a message', async () => {
+    mockClient.post.mockResolvedValueOnce({ data: { choices: [] } });
+    const chat = new OpenAICompatibleProvider({ baseUrl: 'http://llm', model: 'qwen2.5' })
+      .startChat({ systemInstruction: '', functionDeclarations: declarations });
+
+    await expect(chat.send('Hi')).rejects.toThrow('no message');
+  });
+
+  test('streams text and assembles tool calls from fragments', async () => {
+    const events = [
+      { choices: [{ delta: { role: 'assistant', content: 'Let me ' } }] },
+      { choices: [{ delta: { content: 'check.' } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'query_checkins', arguments: '{"filters":' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{"country":"Japan"}}' } }] } }] }
+    ];
+    const body = events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('') + 'data: [DONE]\n\n';
+    // Split mid-line to exercise buffering
+    mockClient.post.mockResolvedValueOnce({ data: Readable.from([Buffer.from(body.slice(0, 50)), Buffer.from(body.slice(50))]) });
+    const onText = jest.fn();
+    const chat = new OpenAICompatibleProvider({ baseUrl: 'http://llm', model: 'qwen2.5' })
+      .startChat({ systemInstruction: '', functionDeclarations: declarations });
+
+    const result = await chat.send('Japan?', { onText });
+
+    expect(mockClient.post.mock.calls[0][1].stream).toBe(true);
+    expect(mockClient.post.mock.calls[0][2].responseType).toBe('stream');
+    expect(onText.mock.calls.map(call => call[0])).toEqual(['Let me ', 'check.']);
+    expect(result).toEqual({
+      text: 'Let me check.',
+      functionCalls: [{ id: 'call_1', name: 'query_checkins', args: { filters: { country: 'Japan' } } }]
+    });
+  });
+});
@@ -0,0 +1,274 @@
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const sharp = require('sharp');
+const CachedPhoto = require('../models/cachedPhoto');
+const { getPhotoStorage } = require('./photoStorage');
+const { getQueue } = require('../jobs/queue');
+const { signUrl } = require('./urlSigner');
+
+// Longest side of each generated size, in pixels. 'original' keeps the download as is.
+const THUMBNAIL_SIZES = {
+  thumb: 320,
+  medium: 1280
+};
+
+const PHOTO_SIZES = [...Object.keys(THUMBNAIL_SIZES), 'original'];
+
+// Raster formats an original is kept in, by sharp format. Anything else (SVG
+// in particular, which can carry scripts) is refused.
+const IMAGE_CONTENT_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif'
+};
+const ALLOWED_CONTENT_TYPES = Object.values(IMAGE_CONTENT_TYPES);
+
+// A photo that failed this many downloads is left hotlinked
+const MAX_ATTEMPTS = 3;
+
+const BATCH_SIZE = 25;
+const DOWNLOAD_TIMEOUT_MS = 30000;
+const MAX_DOWNLOAD_BYTES = 25 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+// Photo URLs come from user-uploaded Swarm exports too, so downloads must not
+// reach the server's own network: private, loopback, link-local and other
+// non-public ranges are refused
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * @param {string} address - IP address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Throw unless a URL is https to a host name or public IP address
+ * Host names are checked when they are resolved, see publicLookup.
+ * @param {string} url
+ */
+function assertDownloadableUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'https:') {
+    throw new Error(`Refusing to download ${protocol} URL`);
+  }
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new Error(`Refusing to download from ${host}, not a public address`);
+  }
+}
+
+/**
+ * dns.lookup that fails for host names resolving to non-public addresses
+ * Used for every connection of a download, redirects included.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Refusing to download from ${hostname}, ${blocked.address} is not a public address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const downloadAgent = new https.Agent({ lookup: publicLookup });
+
+class PhotoCache {
+  constructor() {
+    // Sizes a cached photo can be requested in
+    this.sizes = PHOTO_SIZES;
+  }
+
+  /**
+   * URL the cached copy of a photo is served from (see routes/photos.js)
+   * @param {number} id - cached_photos id
+   * @returns {string}
+   */
+  photoUrl(id) {
+    return `/api/photos/${id}`;
+  }
+
+  /**
+   * URL to hand to a client for photo_url_cached
+   * Cached copies are signed for the user, since <img> tags can't send an
+   * access token. Other URLs are returned as is.
+   * @param {string|null} url - photo_url_cached
+   * @param {number} userId
+   * @returns {string|null}
+   */
+  signedUrl(url, userId) {
+    return url && url.startsWith('/api/photos/') ? signUrl(url, userId) : url;
+  }
+
+  /**
+   * Storage key of one size of a cached photo
+   * @param {Object} photo - Cached photo row with storage_key
+   * @param {string} size - One of sizes
+   * @returns {string}
+   */
+  sizeKey(photo, size) {
+    return `${photo.storage_key}/${size}`;
+  }
+
+  /**
+   * Content type a size of a cached photo is served with
+   * Originals stored with another type are served as plain bytes.
+   */
+  sizeContentType(photo, size) {
+    if (size !== 'original') return 'image/jpeg';
+    const contentType = photo.content_type || 'image/jpeg';
+    return ALLOWED_CONTENT_TYPES.includes(contentType) ? contentType : 'application/octet-stream';
+  }
+
+  /**
+   * Download a photo
+   * Only https URLs on public addresses are fetched, redirects included.
+   * @param {string} url
+   * @returns {Promise<{body: Buffer, contentType: string}>}
+   */
+  async download(url) {
+    assertDownloadableUrl(url);
+
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: DOWNLOAD_TIMEOUT_MS,
+      maxContentLength: MAX_DOWNLOAD_BYTES,
+      maxRedirects: MAX_REDIRECTS,
+      httpsAgent: downloadAgent,
+      beforeRedirect: options => assertDownloadableUrl(options.href)
+    });
+
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!ALLOWED_CONTENT_TYPES.includes(contentType)) {
+      throw new Error(`Not a supported image: ${contentType || 'unknown content type'}`);
+    }
+
+    return { body: Buffer.from(response.data), contentType };
+  }
+
+  /**
+   * Generate the JPEG thumbnails of a photo, rotated upright
+   * @param {Buffer} body - Original image
+   * @returns {Promise<{width: number, height: number, contentType: string, sizes: Object}>}
+   *   Content type of the original as decoded, thumbnails by size name
+   */
+  async createThumbnails(body) {
+    const metadata = await sharp(body).metadata();
+    // The response's content type isn't proof, sharp also decodes SVG
+    const contentType = IMAGE_CONTENT_TYPES[metadata.format];
+    if (!contentType) {
+      throw new Error(`Not a supported image: ${metadata.format || 'unknown format'}`);
+    }
+    // EXIF orientations 5-8 are rotated by 90 degrees
+    const rotated = metadata.orientation >= 5;
+
+    const sizes = {};
+    for (const [size, maxSide] of Object.entries(THUMBNAIL_SIZES)) {
+      sizes[size] = await sharp(body)
+        .rotate()
+        .resize({ width: maxSide, height: maxSide, fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+    }
+
+    return {
+      width: rotated ? metadata.height : metadata.width,
+      height: rotated ? metadata.width : metadata.height,
+      contentType,
+      sizes
+    };
+  }
+
+  /**
+   * Download, resize and store one photo
+   * @param {Object} photo - Pending cached photo row
+   * @param {Object} storage - Photo storage adapter
+   * @returns {Promise<void>}
+   */
+  async cachePhoto(photo, storage) {
+    const { body } = await this.download(photo.source_url);
+    const { width, height, contentType, sizes } = await this.createThumbnails(body);
+
+    const stored = { ...photo, storage_key: `${photo.user_id}/${photo.id}` };
+    await storage.put(this.sizeKey(stored, 'original'), body, contentType);
+    for (const [size, thumbnail] of Object.entries(sizes)) {
+      await storage.put(this.sizeKey(stored, size), thumbnail, 'image/jpeg');
+    }
+
+    await CachedPhoto.markCached(photo, {
+      storageKey: stored.storage_key,
+      contentType,
+      width,
+      height
+    }, this.photoUrl(photo.id));
+  }
+
+  /**
+   * Cache all of a user's check-in and Strava photos that aren't cached yet
+   * Failed photos are retried on later runs, up to MAX_ATTEMPTS.
+   * @param {number} userId
+   * @returns {Promise<{cached: number, failed: number}>}
+   */
+  async cacheForUser(userId) {
+    const added = await CachedPhoto.enqueueMissing(userId);
+    const storage = getPhotoStorage();
+
+    let cached = 0;
+    let failed = 0;
+    let afterId = 0;
+
+    for (;;) {
+      const batch = await CachedPhoto.findPending(userId, { afterId, limit: BATCH_SIZE, maxAttempts: MAX_ATTEMPTS });
+      if (batch.length === 0) break;
+
+      for (const photo of batch) {
+        try {
+          await this.cachePhoto(photo, storage);
+          cached++;
+        } catch (error) {
+          failed++;
+          console.log(`[PHOTOS] Failed to cache photo ${photo.id} (${photo.source}): ${error.message}`);
+          await CachedPhoto.markFailed(photo.id, error.message);
+        }
+      }
+
+      afterId = batch[batch.length - 1].id;
+    }
+
+    console.log(`[PHOTOS] User ${userId}: ${added} new photos, ${cached} cached, ${failed} failed`);
+    return { cached, failed };
+  }
+
+  /**
+   * Queue a cache-photos job for a user
+   * The cache-photos queue is stately, so with the singletonKey a user has at
+   * most one job queued next to a running one. Sending while one is queued is
+   * a no-op, the queued job picks up photos imported meanwhile.
+   * @param {number} userId
+   * @returns {Promise<void>}
+   */
+  async enqueueForUser(userId) {
+    await getQueue().send('cache-photos', { userId }, { singletonKey: `cache-photos-${userId}` });
+  }
+}
+
+module.exports = new PhotoCache();
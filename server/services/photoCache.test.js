@@ -0,0 +1,200 @@
+const axios = require('axios');
+const sharp = require('sharp');
+const photoCache = require('./photoCache');
+const CachedPhoto = require('../models/cachedPhoto');
+const { getPhotoStorage } = require('./photoStorage');
+const { getQueue } = require('../jobs/queue');
+
+jest.mock('axios');
+jest.mock('../models/cachedPhoto');
+jest.mock('./photoStorage', () => ({ getPhotoStorage: jest.fn() }));
+jest.mock('../jobs/queue', () => ({ getQueue: jest.fn() }));
+
+const storage = { put: jest.fn() };
+
+function image(width, height) {
+  return sharp({ create: { width, height, channels: 3, background: '#ff6b35' } }).jpeg().toBuffer();
+}
+
+function pendingPhoto(id, source = 'checkin') {
+  return { id, user_id: 3, source, source_photo_id: id * 10, source_url: `https://cdn.example/${id}.jpg`, attempts: 0 };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  getPhotoStorage.mockReturnValue(storage);
+  storage.put.mockResolvedValue();
+  CachedPhoto.enqueueMissing.mockResolvedValue(0);
+  CachedPhoto.markCached.mockResolvedValue();
+  CachedPhoto.markFailed.mockResolvedValue();
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('PhotoCache', () => {
+  describe('createThumbnails', () => {
+    test('creates JPEG thumbnails that fit the size limits', async () => {
+      const { width, height, sizes } = await photoCache.createThumbnails(await image(1600, 1200));
+
+      expect({ width, height }).toEqual({ width: 1600, height: 1200 });
+
+      const thumb = await sharp(sizes.thumb).metadata();
+      expect(thumb.format).toBe('jpeg');
+      expect(Math.max(thumb.width, thumb.height)).toBe(320);
+
+      const medium = await sharp(sizes.medium).metadata();
+      expect(Math.max(medium.width, medium.height)).toBe(1280);
+    });
+
+    test('does not enlarge small photos', async () => {
+      const { sizes } = await photoCache.createThumbnails(await image(200, 100));
+
+      const medium = await sharp(sizes.medium).metadata();
+      expect({ width: medium.width, height: medium.height }).toEqual({ width: 200, height: 100 });
+    });
+  });
+
+  describe('download', () => {
+    test('rejects responses that are not images', async () => {
+      axios.get.mockResolvedValue({ data: Buffer.from('<html>'), headers: { 'content-type': 'text/html; charset=utf-8' } });
+
+      await expect(photoCache.download('https://cdn.example/1.jpg')).rejects.toThrow('Not a supported image: text/html');
+    });
+
+    test('rejects SVG responses', async () => {
+      const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+      axios.get.mockResolvedValue({ data: svg, headers: { 'content-type': 'image/svg+xml' } });
+
+      await expect(photoCache.download('https://cdn.example/1.svg')).rejects.toThrow('Not a supported image: image/svg+xml');
+    });
+
+    test.each([
+      'http://cdn.example/1.jpg',
+      'file:///etc/passwd',
+      'https://127.0.0.1/1.jpg',
+      'https://10.0.0.5/1.jpg',
+      'https://169.254.169.254/latest/meta-data',
+      'https://[::1]/1.jpg',
+      'https://[::ffff:192.168.1.1]/1.jpg'
+    ])('refuses %s', async (url) => {
+      await expect(photoCache.download(url)).rejects.toThrow('Refusing to download');
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('refuses redirects to http or private addresses', async () => {
+      axios.get.mockResolvedValue({ data: Buffer.from('jpeg'), headers: { 'content-type': 'image/jpeg' } });
+      await photoCache.download('https://cdn.example/1.jpg');
+      const { beforeRedirect, maxRedirects } = axios.get.mock.calls[0][1];
+
+      expect(maxRedirects).toBeGreaterThan(0);
+      expect(() => beforeRedirect({ href: 'https://fastly.4sqi.net/img/1.jpg' })).not.toThrow();
+      expect(() => beforeRedirect({ href: 'http://fastly.4sqi.net/img/1.jpg' })).toThrow('Refusing to download');
+      expect(() => beforeRedirect({ href: 'https://192.168.0.1/admin' })).toThrow('Refusing to download');
+    });
+
+    test('refuses host names that resolve to private addresses', async () => {
+      axios.get.mockResolvedValue({ data: Buffer.from('jpeg'), headers: { 'content-type': 'image/jpeg' } });
+      await photoCache.download('https://cdn.example/1.jpg');
+      const { lookup } = axios.get.mock.calls[0][1].httpsAgent.options;
+      const resolve = (hostname, options) => new Promise((done, fail) => {
+        lookup(hostname, options, (error, address) => (error ? fail(error) : done(address)));
+      });
+
+      await expect(resolve('localhost', {})).rejects.toThrow('not a public address');
+      await expect(resolve('localhost', { all: true })).rejects.toThrow('not a public address');
+      await expect(resolve('93.184.215.14', {})).resolves.toBe('93.184.215.14');
+    });
+  });
+
+  describe('cacheForUser', () => {
+    test('refuses an SVG served as a raster type', async () => {
+      const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><script>alert(1)</script></svg>');
+      axios.get.mockResolvedValue({ data: svg, headers: { 'content-type': 'image/png' } });
+      CachedPhoto.findPending
+        .mockResolvedValueOnce([pendingPhoto(7)])
+        .mockResolvedValueOnce([]);
+
+      expect(await photoCache.cacheForUser(3)).toEqual({ cached: 0, failed: 1 });
+      expect(storage.put).not.toHaveBeenCalled();
+      expect(CachedPhoto.markFailed).toHaveBeenCalledWith(7, 'Not a supported image: svg');
+    });
+
+    test('stores every size and marks the photo cached', async () => {
+      const body = await image(800, 600);
+      axios.get.mockResolvedValue({ data: body, headers: { 'content-type': 'image/jpeg' } });
+      CachedPhoto.enqueueMissing.mockResolvedValue(1);
+      CachedPhoto.findPending
+        .mockResolvedValueOnce([pendingPhoto(7, 'strava')])
+        .mockResolvedValueOnce([]);
+
+      const result = await photoCache.cacheForUser(3);
+
+      expect(result).toEqual({ cached: 1, failed: 0 });
+      expect(storage.put).toHaveBeenCalledWith('3/7/original', body, 'image/jpeg');
+      expect(storage.put).toHaveBeenCalledWith('3/7/thumb', expect.any(Buffer), 'image/jpeg');
+      expect(storage.put).toHaveBeenCalledWith('3/7/medium', expect.any(Buffer), 'image/jpeg');
+      expect(CachedPhoto.markCached).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 7, source: 'strava' }),
+        { storageKey: '3/7', contentType: 'image/jpeg', width: 800, height: 600 },
+        '/api/photos/7'
+      );
+    });
+
+    test('records failures and moves on to the next photo', async () => {
+      const body = await image(100, 100);
+      axios.get
+        .mockRejectedValueOnce(new Error('Request failed with status code 404'))
+        .mockResolvedValueOnce({ data: body, headers: { 'content-type': 'image/jpeg' } });
+      CachedPhoto.findPending
+        .mockResolvedValueOnce([pendingPhoto(7), pendingPhoto(8)])
+        .mockResolvedValueOnce([]);
+
+      const result = await photoCache.cacheForUser(3);
+
+      expect(result).toEqual({ cached: 1, failed: 1 });
+      expect(CachedPhoto.markFailed).toHaveBeenCalledWith(7, 'Request failed with status code 404');
+      expect(CachedPhoto.markCached).toHaveBeenCalledWith(expect.objectContaining({ id: 8 }), expect.any(Object), '/api/photos/8');
+    });
+
+    test('pages past failed photos instead of retrying them in the same run', async () => {
+      axios.get.mockRejectedValue(new Error('timeout'));
+      CachedPhoto.findPending
+        .mockResolvedValueOnce([pendingPhoto(7)])
+        .mockResolvedValueOnce([]);
+
+      await photoCache.cacheForUser(3);
+
+      expect(CachedPhoto.findPending).toHaveBeenNthCalledWith(1, 3, { afterId: 0, limit: 25, maxAttempts: 3 });
+      expect(CachedPhoto.findPending).toHaveBeenNthCalledWith(2, 3, { afterId: 7, limit: 25, maxAttempts: 3 });
+    });
+  });
+
+  describe('enqueueForUser', () => {
+    test('sends one cache-photos job per user', async () => {
+      const send = jest.fn().mockResolvedValue('job-id');
+      getQueue.mockReturnValue({ send });
+
+      await photoCache.enqueueForUser(3);
+
+      expect(send).toHaveBeenCalledWith('cache-photos', { userId: 3 }, { singletonKey: 'cache-photos-3' });
+    });
+  });
+
+  test('serves thumbnails as JPEG and originals with their own type', () => {
+    const photo = { storage_key: '3/7', content_type: 'image/png' };
+
+    expect(photoCache.sizeKey(photo, 'thumb')).toBe('3/7/thumb');
+    expect(photoCache.sizeContentType(photo, 'thumb')).toBe('image/jpeg');
+    expect(photoCache.sizeContentType(photo, 'original')).toBe('image/png');
+    expect(photoCache.sizeContentType({ ...photo, content_type: 'image/svg+xml' }, 'original')).toBe('application/octet-stream');
+  });
+
+  test('signs cached photo URLs and leaves other URLs alone', () => {
+    expect(photoCache.signedUrl('/api/photos/7', 3)).toMatch(/^\/api\/photos\/7\?user=3&expires=\d+&signature=[\w-]+$/);
+    expect(photoCache.signedUrl('https://cdn.example/7.jpg', 3)).toBe('https://cdn.example/7.jpg');
+    expect(photoCache.signedUrl(null, 3)).toBeNull();
+  });
+});
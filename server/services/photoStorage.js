@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOCAL_DIR = path.join(__dirname, '..', 'storage', 'photos');
+
+/**
+ * Stores photos as files under a directory (the default)
+ */
+class LocalPhotoStorage {
+  constructor(rootDir = DEFAULT_LOCAL_DIR) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Absolute path of a key, refusing keys that resolve outside the root
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * @param {string} key
+   * @param {Buffer|Readable} body
+   * @returns {Promise<void>}
+   */
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Readable|null>} Null when nothing is stored under the key
+   */
+  async get(key) {
+    const filePath = this.resolve(key);
+    try {
+      await fs.promises.access(filePath);
+    } catch {
+      return null;
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Delete everything stored under a key prefix
+   * @param {string} prefix
+   * @returns {Promise<void>}
+   */
+  async removePrefix(prefix) {
+    await fs.promises.rm(this.resolve(prefix), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Stores photos in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...)
+ */
+class S3PhotoStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket
+   * @param {string} [options.region]
+   * @param {string} [options.endpoint] - For S3-compatible services other than AWS
+   * @param {string} [options.accessKeyId]
+   * @param {string} [options.secretAccessKey]
+   * @param {string} [options.prefix] - Key prefix inside the bucket
+   * @param {Object} [options.client] - S3Client to use instead of creating one
+   */
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, prefix = '', client }) {
+    if (!bucket) {
+      throw new Error('PHOTO_S3_BUCKET is required for S3 photo storage');
+    }
+
+    // Only loaded when S3 storage is configured
+    const s3 = require('@aws-sdk/client-s3');
+    this.commands = s3;
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.client = client || new s3.S3Client({
+      region: region || 'us-east-1',
+      endpoint: endpoint || undefined,
+      // Most S3-compatible services don't support bucket subdomains
+      forcePathStyle: Boolean(endpoint),
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  objectKey(key) {
+    return this.prefix ? `${this.prefix}/${key}` : key;
+  }
+
+  /**
+   * @param {string} key
+   * @param {Buffer|Readable} body
+   * @param {string} [contentType]
+   * @param {number} [contentLength] - Required when body is a stream
+   */
+  async put(key, body, contentType, contentLength) {
+    await this.client.send(new this.commands.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: body,
+      ContentType: contentType,
+      ContentLength: contentLength
+    }));
+  }
+
+  async get(key) {
+    try {
+      const response = await this.client.send(new this.commands.GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return response.Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async removePrefix(prefix) {
+    let continuationToken;
+    do {
+      const listing = await this.client.send(new this.commands.ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: `${this.objectKey(prefix)}/`,
+        ContinuationToken: continuationToken
+      }));
+
+      const objects = (listing.Contents || []).map(object => ({ Key: object.Key }));
+      if (objects.length > 0) {
+        await this.client.send(new this.commands.DeleteObjectsCommand({
+          Bucket: this.bucket,
+          Delete: { Objects: objects }
+        }));
+      }
+
+      continuationToken = listing.IsTruncated ? listing.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+}
+
+/**
+ * Create the storage configured by the environment
+ * PHOTO_STORAGE=local (default) uses PHOTO_STORAGE_DIR, PHOTO_STORAGE=s3 uses
+ * PHOTO_S3_BUCKET, PHOTO_S3_REGION, PHOTO_S3_ENDPOINT, PHOTO_S3_ACCESS_KEY_ID,
+ * PHOTO_S3_SECRET_ACCESS_KEY and PHOTO_S3_PREFIX.
+ * @param {Object} [env=process.env]
+ * @returns {LocalPhotoStorage|S3PhotoStorage}
+ */
+function createPhotoStorage(env = process.env) {
+  const type = env.PHOTO_STORAGE || 'local';
+
+  if (type === 's3') {
+    return new S3PhotoStorage({
+      bucket: env.PHOTO_S3_BUCKET,
+      region: env.PHOTO_S3_REGION,
+      endpoint: env.PHOTO_S3_ENDPOINT,
+      accessKeyId: env.PHOTO_S3_ACCESS_KEY_ID,
+      secretAccessKey: env.PHOTO_S3_SECRET_ACCESS_KEY,
+      prefix: env.PHOTO_S3_PREFIX
+    });
+  }
+
+  if (type === 'local') {
+    return new LocalPhotoStorage(env.PHOTO_STORAGE_DIR || DEFAULT_LOCAL_DIR);
+  }
+
+  throw new Error(`Unknown PHOTO_STORAGE: ${type}`);
+}
+
+let storage = null;
+
+/**
+ * The configured photo storage, created on first use
+ * @returns {LocalPhotoStorage|S3PhotoStorage}
+ */
+function getPhotoStorage() {
+  if (!storage) {
+    storage = createPhotoStorage();
+  }
+  return storage;
+}
+
+module.exports = {
+  LocalPhotoStorage,
+  S3PhotoStorage,
+  createPhotoStorage,
+  getPhotoStorage
+};
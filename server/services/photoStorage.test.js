@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { LocalPhotoStorage, S3PhotoStorage, createPhotoStorage } = require('./photoStorage');
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+describe('LocalPhotoStorage', () => {
+  let rootDir;
+  let storage;
+
+  beforeEach(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'photo-storage-'));
+    storage = new LocalPhotoStorage(rootDir);
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  test('stores and reads back a file', async () => {
+    await storage.put('3/7/thumb', Buffer.from('jpeg bytes'), 'image/jpeg');
+
+    const stream = await storage.get('3/7/thumb');
+    expect((await readStream(stream)).toString()).toBe('jpeg bytes');
+  });
+
+  test('stores a stream', async () => {
+    await storage.put('3/exports/4/account-export.zip', Readable.from([Buffer.from('zip '), Buffer.from('bytes')]));
+
+    const stream = await storage.get('3/exports/4/account-export.zip');
+    expect((await readStream(stream)).toString()).toBe('zip bytes');
+  });
+
+  test('returns null for a missing key', async () => {
+    expect(await storage.get('3/7/medium')).toBeNull();
+  });
+
+  test('removes everything under a prefix', async () => {
+    await storage.put('3/7/thumb', Buffer.from('a'));
+    await storage.put('3/7/original', Buffer.from('b'));
+    await storage.put('3/8/thumb', Buffer.from('c'));
+
+    await storage.removePrefix('3/7');
+
+    expect(await storage.get('3/7/thumb')).toBeNull();
+    expect(await storage.get('3/8/thumb')).not.toBeNull();
+  });
+
+  test('rejects keys outside the storage directory', async () => {
+    await expect(storage.put('../escape', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+});
+
+describe('S3PhotoStorage', () => {
+  const client = { send: jest.fn() };
+  let storage;
+
+  beforeEach(() => {
+    client.send.mockReset();
+    storage = new S3PhotoStorage({ bucket: 'photos', prefix: 'cache', client });
+  });
+
+  test('puts objects under the prefix with their content type', async () => {
+    client.send.mockResolvedValue({});
+
+    await storage.put('3/7/thumb', Buffer.from('x'), 'image/jpeg');
+
+    const command = client.send.mock.calls[0][0];
+    expect(command.constructor.name).toBe('PutObjectCommand');
+    expect(command.input).toEqual(expect.objectContaining({
+      Bucket: 'photos', Key: 'cache/3/7/thumb', ContentType: 'image/jpeg'
+    }));
+  });
+
+  test('returns the object body', async () => {
+    const body = { pipe: jest.fn() };
+    client.send.mockResolvedValue({ Body: body });
+
+    expect(await storage.get('3/7/thumb')).toBe(body);
+  });
+
+  test('returns null for a missing object', async () => {
+    client.send.mockRejectedValue(Object.assign(new Error('missing'), { name: 'NoSuchKey' }));
+
+    expect(await storage.get('3/7/thumb')).toBeNull();
+  });
+
+  test('deletes every listed object under a prefix', async () => {
+    client.send
+      .mockResolvedValueOnce({ Contents: [{ Key: 'cache/3/7/thumb' }], IsTruncated: true, NextContinuationToken: 'next' })
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ Contents: [{ Key: 'cache/3/7/original' }], IsTruncated: false })
+      .mockResolvedValueOnce({});
+
+    await storage.removePrefix('3/7');
+
+    const commands = client.send.mock.calls.map(([command]) => command);
+    expect(commands.map(command => command.constructor.name)).toEqual([
+      'ListObjectsV2Command', 'DeleteObjectsCommand', 'ListObjectsV2Command', 'DeleteObjectsCommand'
+    ]);
+    expect(commands[0].input.Prefix).toBe('cache/3/7/');
+    expect(commands[2].input.ContinuationToken).toBe('next');
+    expect(commands[3].input.Delete.Objects).toEqual([{ Key: 'cache/3/7/original' }]);
+  });
+});
+
+describe('createPhotoStorage', () => {
+  test('uses the local directory by default', () => {
+    const storage = createPhotoStorage({ PHOTO_STORAGE_DIR: '/var/photos' });
+    expect(storage).toBeInstanceOf(LocalPhotoStorage);
+    expect(storage.rootDir).toBe(path.resolve('/var/photos'));
+  });
+
+  test('creates S3 storage for S3-compatible endpoints', () => {
+    const storage = createPhotoStorage({
+      PHOTO_STORAGE: 's3', PHOTO_S3_BUCKET: 'photos', PHOTO_S3_ENDPOINT: 'http://minio:9000'
+    });
+    expect(storage).toBeInstanceOf(S3PhotoStorage);
+    expect(storage.bucket).toBe('photos');
+  });
+
+  test('requires a bucket for S3 storage', () => {
+    expect(() => createPhotoStorage({ PHOTO_STORAGE: 's3' })).toThrow('PHOTO_S3_BUCKET is required');
+  });
+
+  test('rejects unknown storage types', () => {
+    expect(() => createPhotoStorage({ PHOTO_STORAGE: 'ftp' })).toThrow('Unknown PHOTO_STORAGE: ftp');
+  });
+});
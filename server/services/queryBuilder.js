@@ -1,21 +1,85 @@
 const db = require('../db/connection');
+const { categoryCondition, toCategoryList, categoryLevelExpression } = require('../utils/categoryUtils');
 
 // Whitelisted fields (must match actual database schema)
 const ALLOWED_FIELDS = {
   checkins: [
     'id', 'venue_id', 'venue_name', 'venue_category', 'city', 'country',
     'checkin_date', 'latitude', 'longitude', 'created_at'
-  ]
+  ],
+  strava_activities: [
+    'id', 'activity_type', 'activity_name', 'start_time', 'timezone', 'duration_seconds',
+    'moving_time_seconds', 'distance_meters', 'total_elevation_gain', 'calories',
+    'avg_speed', 'max_speed', 'avg_heart_rate', 'max_heart_rate', 'strava_url'
+  ],
+  garmin_activities: [
+    'id', 'activity_type', 'activity_name', 'start_time', 'timezone', 'duration_seconds',
+    'distance_meters', 'calories', 'avg_heart_rate', 'max_heart_rate', 'garmin_url'
+  ],
+  garmin_daily_steps: ['date', 'step_count'],
+  garmin_daily_sleep: [
+    'date', 'sleep_duration_seconds', 'sleep_score', 'deep_sleep_seconds', 'light_sleep_seconds',
+    'rem_sleep_seconds', 'awake_seconds', 'sleep_start_time', 'sleep_end_time'
+  ],
+  garmin_daily_heart_rate: ['date', 'min_heart_rate', 'max_heart_rate', 'resting_heart_rate'],
+  garmin_daily_calories: ['date', 'total_calories', 'active_calories', 'bmr_calories']
+};
+
+// Check-in fields returned when the AI doesn't select any
+const DEFAULT_CHECKIN_FIELDS = ['venue_name', 'city', 'country', 'checkin_date'];
+
+// Activity and daily health tables queried like checkins
+// dateField: the column dateRange filters and date groupings use
+// startPoint: where an activity started, for the city filter (activities only)
+const DATASETS = {
+  strava_activities: {
+    dateField: 'start_time',
+    startPoint: 'start_latlng',
+    defaultSelect: ['activity_name', 'activity_type', 'start_time', 'distance_meters', 'moving_time_seconds']
+  },
+  garmin_activities: {
+    dateField: 'start_time',
+    startPoint: 'ST_StartPoint(tracklog::geometry)::geography',
+    defaultSelect: ['activity_name', 'activity_type', 'start_time', 'distance_meters', 'duration_seconds']
+  },
+  garmin_daily_steps: {
+    dateField: 'date',
+    defaultSelect: ['date', 'step_count']
+  },
+  garmin_daily_sleep: {
+    dateField: 'date',
+    defaultSelect: ['date', 'sleep_duration_seconds', 'sleep_score', 'deep_sleep_seconds', 'rem_sleep_seconds', 'awake_seconds']
+  },
+  garmin_daily_heart_rate: {
+    dateField: 'date',
+    defaultSelect: ['date', 'resting_heart_rate', 'min_heart_rate', 'max_heart_rate']
+  },
+  garmin_daily_calories: {
+    dateField: 'date',
+    defaultSelect: ['date', 'total_calories', 'active_calories']
+  }
+};
+
+// Activities "in" a city start within this distance of the centre of the user's check-ins there
+const CITY_RADIUS_METERS = 25000;
+
+// Cap on individual records returned to the AI, to manage context
+const RECORD_LIMIT = 500;
+
+// Computed fields: the top- and mid-level category a check-in rolls up to
+const CATEGORY_LEVEL_FIELDS = {
+  top_category: 'top',
+  mid_category: 'mid'
 };
 
 const ALLOWED_AGGREGATIONS = ['count', 'avg', 'min', 'max', 'sum'];
 
 // Date granularity SQL templates
 const DATE_GRANULARITIES = {
-  'day': 'DATE(checkin_date)',
-  'week': 'DATE_TRUNC(\'week\', checkin_date)',
-  'month': 'DATE_TRUNC(\'month\', checkin_date)',
-  'year': 'DATE_TRUNC(\'year\', checkin_date)'
+  'day': field => `DATE(${field})`,
+  'week': field => `DATE_TRUNC('week', ${field})`,
+  'month': field => `DATE_TRUNC('month', ${field})`,
+  'year': field => `DATE_TRUNC('year', ${field})`
 };
 
 class QueryBuilder {
@@ -31,7 +95,7 @@ class QueryBuilder {
     if (queryType === 'checkins') {
       // Apply limit for individual records to manage context
       const originalLimit = params.limit;
-      const systemLimit = 500;
+      const systemLimit = RECORD_LIMIT;
       params.limit = params.limit ? Math.min(params.limit, systemLimit) : systemLimit;
       responseLimit = params.limit;
 
@@ -101,6 +165,11 @@ class QueryBuilder {
         values.push(params.filters.category);
       }
 
+      if (params.filters.categoryGroup) {
+        conditions.push(categoryCondition(`$${paramIndex++}`));
+        values.push(toCategoryList(params.filters.categoryGroup));
+      }
+
       if (params.filters.categoryPattern) {
         conditions.push(`venue_category ILIKE $${paramIndex++}`);
         values.push(`%${params.filters.categoryPattern}%`);
@@ -155,6 +224,11 @@ class QueryBuilder {
         values.push(params.filters.category);
       }
 
+      if (params.filters.categoryGroup) {
+        conditions.push(categoryCondition(`$${paramIndex++}`));
+        values.push(toCategoryList(params.filters.categoryGroup));
+      }
+
       if (params.filters.categoryPattern) {
         conditions.push(`venue_category ILIKE $${paramIndex++}`);
         values.push(`%${params.filters.categoryPattern}%`);
@@ -181,14 +255,14 @@ class QueryBuilder {
     }
 
     // Build SELECT clause
-    const fields = params.select || ['venue_name', 'city', 'country', 'checkin_date'];
-    const validatedFields = fields.map(f => this.validateField(f)).join(', ');
+    const fields = params.select || DEFAULT_CHECKIN_FIELDS;
+    const validatedFields = fields.map(f => this.selectField(f)).join(', ');
 
     let sql = `SELECT ${validatedFields} FROM checkins WHERE ${conditions.join(' AND ')}`;
 
     // Add ORDER BY
     if (params.orderBy) {
-      const field = this.validateField(params.orderBy.field);
+      const field = this.fieldExpression(params.orderBy.field);
       const direction = params.orderBy.direction === 'DESC' ? 'DESC' : 'ASC';
       sql += ` ORDER BY ${field} ${direction}`;
     }
@@ -225,6 +299,11 @@ class QueryBuilder {
         values.push(params.filters.category);
       }
 
+      if (params.filters.categoryGroup) {
+        conditions.push(categoryCondition(`$${paramIndex++}`));
+        values.push(toCategoryList(params.filters.categoryGroup));
+      }
+
       if (params.filters.categoryPattern) {
         conditions.push(`venue_category ILIKE $${paramIndex++}`);
         values.push(`%${params.filters.categoryPattern}%`);
@@ -257,7 +336,7 @@ class QueryBuilder {
     }
 
     const aggField = params.aggregation?.field
-      ? this.validateField(params.aggregation.field)
+      ? this.fieldExpression(params.aggregation.field)
       : '*';
 
     // Build GROUP BY fields
@@ -269,20 +348,21 @@ class QueryBuilder {
         if (typeof g === 'object' && g.field === 'checkin_date' && g.granularity) {
           const granularity = DATE_GRANULARITIES[g.granularity];
           if (!granularity) throw new Error('Invalid date granularity');
-          return granularity;
+          const expression = granularity('checkin_date');
+          return { select: expression, group: expression };
         }
-        return this.validateField(g);
+        return { select: this.selectField(g), group: this.fieldExpression(g) };
       });
 
-      selectFields = groupByFields.join(', ') + ', ';
-      groupByClause = ` GROUP BY ${groupByFields.join(', ')}`;
+      selectFields = groupByFields.map(g => g.select).join(', ') + ', ';
+      groupByClause = ` GROUP BY ${groupByFields.map(g => g.group).join(', ')}`;
     }
 
     let sql = `SELECT ${selectFields}${aggFunc}(${aggField}) as result FROM checkins WHERE ${conditions.join(' AND ')}${groupByClause}`;
 
     // Add ORDER BY if specified
     if (params.orderBy) {
-      const field = params.orderBy.field === 'result' ? 'result' : this.validateField(params.orderBy.field);
+      const field = params.orderBy.field === 'result' ? 'result' : this.fieldExpression(params.orderBy.field);
       const direction = params.orderBy.direction === 'DESC' ? 'DESC' : 'ASC';
       sql += ` ORDER BY ${field} ${direction}`;
     }
@@ -294,6 +374,203 @@ class QueryBuilder {
     return { sql, values };
   }
 
+  /**
+   * Build and execute a query against an activity or daily health table
+   * @param {string} dataset - Key of DATASETS, e.g. 'strava_activities'
+   * @param {Object} params - AI parameters, queryType 'records' or 'aggregation'
+   * @param {string} userId
+   * @returns {Promise<{data: Array, metadata: Object}>}
+   */
+  async executeDatasetQuery(dataset, params, userId) {
+    if (!Object.hasOwn(DATASETS, dataset)) {
+      throw new Error('Invalid dataset');
+    }
+
+    if (params.queryType === 'records') {
+      const originalLimit = params.limit;
+      const limitedParams = {
+        ...params,
+        limit: params.limit ? Math.min(params.limit, RECORD_LIMIT) : RECORD_LIMIT
+      };
+
+      const countQuery = this.buildDatasetCountQuery(dataset, limitedParams, userId);
+      const countResult = await db.query(countQuery.sql, countQuery.values);
+      const totalCount = parseInt(countResult.rows[0].count, 10);
+
+      const query = this.buildDatasetRecordsQuery(dataset, limitedParams, userId);
+      const result = await db.query(query.sql, query.values);
+
+      // Same rule as checkins: only limited when the system cap cut the results
+      const systemLimitApplied = (!originalLimit || originalLimit > RECORD_LIMIT) && totalCount > RECORD_LIMIT;
+
+      return {
+        data: result.rows,
+        metadata: {
+          returned: result.rows.length,
+          total: totalCount,
+          limited: systemLimitApplied,
+          message: systemLimitApplied
+            ? `Showing ${result.rows.length} of ${totalCount} results. Results are limited to save context.`
+            : null
+        }
+      };
+    } else if (params.queryType === 'aggregation') {
+      const query = this.buildDatasetAggregationQuery(dataset, params, userId);
+      const result = await db.query(query.sql, query.values);
+
+      return {
+        data: result.rows,
+        metadata: {
+          returned: result.rows.length,
+          total: result.rows.length,
+          limited: false
+        }
+      };
+    } else {
+      throw new Error('Invalid query type');
+    }
+  }
+
+  /**
+   * WHERE conditions for a dataset query, scoped to the user
+   * @returns {{conditions: string[], values: Array}}
+   */
+  buildDatasetConditions(dataset, params, userId) {
+    const { dateField, startPoint } = DATASETS[dataset];
+    const conditions = ['user_id = $1'];
+    const values = [userId];
+    let paramIndex = 2;
+    const filters = params.filters || {};
+
+    if (!startPoint && ['activityType', 'activityName', 'city', 'country'].some(f => filters[f])) {
+      throw new Error(`Filter not allowed for ${dataset}`);
+    }
+
+    if (filters.activityType) {
+      conditions.push(`activity_type ILIKE $${paramIndex++}`);
+      values.push(`%${filters.activityType}%`);
+    }
+
+    if (filters.activityName) {
+      conditions.push(`activity_name ILIKE $${paramIndex++}`);
+      values.push(`%${filters.activityName}%`);
+    }
+
+    if (filters.city) {
+      // Centre of the user's check-ins in that city, the activity tables have no place names
+      let centre = `SELECT ST_Centroid(ST_Collect(location::geometry))::geography
+        FROM checkins WHERE user_id = $1 AND city = $${paramIndex++}`;
+      values.push(filters.city);
+
+      if (filters.country) {
+        centre += ` AND country = $${paramIndex++}`;
+        values.push(filters.country);
+      }
+
+      conditions.push(`ST_DWithin(${startPoint}, (${centre}), ${CITY_RADIUS_METERS})`);
+    } else if (filters.country) {
+      throw new Error('Country filter requires a city');
+    }
+
+    if (filters.dateRange) {
+      const { start, end } = filters.dateRange;
+      if (start) {
+        conditions.push(`${dateField} >= $${paramIndex++}`);
+        values.push(start);
+      }
+      if (end) {
+        // End date is inclusive, start_time is a timestamp
+        conditions.push(`${dateField} < $${paramIndex++}::date + 1`);
+        values.push(end);
+      }
+    }
+
+    return { conditions, values };
+  }
+
+  /**
+   * Build a COUNT query for a dataset
+   */
+  buildDatasetCountQuery(dataset, params, userId) {
+    const { conditions, values } = this.buildDatasetConditions(dataset, params, userId);
+    const sql = `SELECT COUNT(*) as count FROM ${dataset} WHERE ${conditions.join(' AND ')}`;
+    return { sql, values };
+  }
+
+  /**
+   * Build a SELECT query for individual dataset rows
+   */
+  buildDatasetRecordsQuery(dataset, params, userId) {
+    const { conditions, values } = this.buildDatasetConditions(dataset, params, userId);
+
+    const fields = params.select || DATASETS[dataset].defaultSelect;
+    const validatedFields = fields.map(f => this.validateField(f, dataset)).join(', ');
+
+    let sql = `SELECT ${validatedFields} FROM ${dataset} WHERE ${conditions.join(' AND ')}`;
+
+    if (params.orderBy) {
+      const field = this.validateField(params.orderBy.field, dataset);
+      const direction = params.orderBy.direction === 'DESC' ? 'DESC' : 'ASC';
+      sql += ` ORDER BY ${field} ${direction}`;
+    }
+
+    const limit = params.limit ? Math.min(parseInt(params.limit, 10), 1000) : 100;
+    sql += ` LIMIT ${limit}`;
+
+    return { sql, values };
+  }
+
+  /**
+   * Build an aggregation query for a dataset
+   * Date groupings are aliased to the date field's name.
+   */
+  buildDatasetAggregationQuery(dataset, params, userId) {
+    const { dateField } = DATASETS[dataset];
+    const { conditions, values } = this.buildDatasetConditions(dataset, params, userId);
+
+    const aggFunc = (params.aggregation?.function || 'count').toUpperCase();
+    if (!ALLOWED_AGGREGATIONS.includes(aggFunc.toLowerCase())) {
+      throw new Error('Invalid aggregation function');
+    }
+
+    const aggField = params.aggregation?.field
+      ? this.validateField(params.aggregation.field, dataset)
+      : '*';
+
+    let groupByClause = '';
+    let selectFields = '';
+
+    if (params.groupBy && params.groupBy.length > 0) {
+      const groupByFields = params.groupBy.map(g => {
+        if (typeof g === 'object' && g !== null && g.granularity) {
+          if (g.field !== dateField) throw new Error(`Date granularity only applies to ${dateField}`);
+          const granularity = DATE_GRANULARITIES[g.granularity];
+          if (!granularity) throw new Error('Invalid date granularity');
+          const expression = granularity(dateField);
+          return { select: `${expression} as ${dateField}`, group: expression };
+        }
+        const field = this.validateField(g, dataset);
+        return { select: field, group: field };
+      });
+
+      selectFields = groupByFields.map(g => g.select).join(', ') + ', ';
+      groupByClause = ` GROUP BY ${groupByFields.map(g => g.group).join(', ')}`;
+    }
+
+    let sql = `SELECT ${selectFields}${aggFunc}(${aggField}) as result FROM ${dataset} WHERE ${conditions.join(' AND ')}${groupByClause}`;
+
+    if (params.orderBy) {
+      const field = params.orderBy.field === 'result' ? 'result' : this.validateField(params.orderBy.field, dataset);
+      const direction = params.orderBy.direction === 'DESC' ? 'DESC' : 'ASC';
+      sql += ` ORDER BY ${field} ${direction}`;
+    }
+
+    const limit = params.limit ? Math.min(parseInt(params.limit, 10), 1000) : 100;
+    sql += ` LIMIT ${limit}`;
+
+    return { sql, values };
+  }
+
   /**
    * Get distinct categories for the user
    */
@@ -315,16 +592,64 @@ class QueryBuilder {
   }
 
   /**
-   * Validate field name is whitelisted
+   * Get the user's top-level categories with their mid-level subcategories
+   * @returns {Promise<Object>} e.g. { "Food": ["Asian Restaurant", "Café"] }
+   */
+  async getCategoryGroups(userId) {
+    const sql = `
+      SELECT DISTINCT category_path[1] as top, category_path[2] as mid
+      FROM checkins
+      WHERE user_id = $1 AND category_path IS NOT NULL
+      ORDER BY top, mid
+    `;
+
+    try {
+      const result = await db.query(sql, [userId]);
+      const groups = {};
+      for (const { top, mid } of result.rows) {
+        if (!top) continue;
+        groups[top] = groups[top] || [];
+        if (mid) groups[top].push(mid);
+      }
+      return groups;
+    } catch (error) {
+      console.error('Get category groups error:', error);
+      throw new Error('Failed to fetch category groups');
+    }
+  }
+
+  /**
+   * SQL expression for a whitelisted field, computed fields expanded
+   */
+  fieldExpression(field) {
+    const cleanField = this.validateField(field);
+    const level = CATEGORY_LEVEL_FIELDS[cleanField];
+    return level ? categoryLevelExpression(level) : cleanField;
+  }
+
+  /**
+   * SELECT list entry for a whitelisted field, computed fields aliased to their name
+   */
+  selectField(field) {
+    const cleanField = this.validateField(field);
+    return CATEGORY_LEVEL_FIELDS[cleanField]
+      ? `${this.fieldExpression(cleanField)} as ${cleanField}`
+      : cleanField;
+  }
+
+  /**
+   * Validate field name is whitelisted for a table
+   * Computed category fields only exist on checkins.
    */
-  validateField(field) {
+  validateField(field, table = 'checkins') {
     if (typeof field !== 'string') {
       throw new Error('Invalid field type');
     }
 
     const cleanField = field.trim();
+    const isComputed = table === 'checkins' && Object.hasOwn(CATEGORY_LEVEL_FIELDS, cleanField);
 
-    if (!ALLOWED_FIELDS.checkins.includes(cleanField)) {
+    if (!ALLOWED_FIELDS[table].includes(cleanField) && !isComputed) {
       throw new Error(`Field not allowed: ${cleanField}`);
     }
 
@@ -333,3 +658,4 @@ class QueryBuilder {
 }
 
 module.exports = new QueryBuilder();
+module.exports.DEFAULT_CHECKIN_FIELDS = DEFAULT_CHECKIN_FIELDS;
@@ -30,6 +30,16 @@ describe('QueryBuilder', () => {
       });
     });
 
+    test('accepts the computed category level fields', () => {
+      expect(queryBuilder.validateField('top_category')).toBe('top_category');
+      expect(queryBuilder.validateField('mid_category')).toBe('mid_category');
+    });
+
+    test('rejects inherited object properties', () => {
+      expect(() => queryBuilder.validateField('constructor')).toThrow('Field not allowed');
+      expect(() => queryBuilder.validateField('__proto__')).toThrow('Field not allowed');
+    });
+
     test('rejects non-string field types', () => {
       expect(() => queryBuilder.validateField(123)).toThrow('Invalid field type');
       expect(() => queryBuilder.validateField(null)).toThrow('Invalid field type');
@@ -87,6 +97,65 @@ describe('QueryBuilder', () => {
     });
   });
 
+  describe('getCategoryGroups', () => {
+    test('groups mid-level categories under their top-level category', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { top: 'Food', mid: 'Asian Restaurant' },
+          { top: 'Food', mid: 'Café' },
+          { top: 'Nightlife Spot', mid: null }
+        ]
+      });
+
+      const result = await queryBuilder.getCategoryGroups('user-1');
+
+      expect(result).toEqual({ 'Food': ['Asian Restaurant', 'Café'], 'Nightlife Spot': [] });
+      expect(db.query.mock.calls[0][1]).toEqual(['user-1']);
+    });
+  });
+
+  describe('category groups', () => {
+    test('filters by a category group through the category path', () => {
+      const result = queryBuilder.buildCheckinsQuery({
+        filters: { categoryGroup: 'Food' },
+      }, 'user-1');
+
+      expect(result.sql).toContain('(venue_category = ANY($2::text[]) OR category_path && $2::text[])');
+      expect(result.values).toEqual(['user-1', ['Food']]);
+    });
+
+    test('applies the category group filter to the count query', () => {
+      const result = queryBuilder.buildCountQuery({
+        filters: { categoryGroup: 'Nightlife Spot', country: 'Germany' },
+      }, 'user-1');
+
+      expect(result.sql).toContain('category_path && $3::text[]');
+      expect(result.values).toEqual(['user-1', 'Germany', ['Nightlife Spot']]);
+    });
+
+    test('groups aggregations by top-level category', () => {
+      const result = queryBuilder.buildAggregationQuery({
+        aggregation: { function: 'count' },
+        groupBy: ['top_category'],
+        orderBy: { field: 'result', direction: 'DESC' },
+      }, 'user-1');
+
+      expect(result.sql).toContain('SELECT COALESCE(category_path[1], venue_category) as top_category, COUNT(*) as result');
+      expect(result.sql).toContain('GROUP BY COALESCE(category_path[1], venue_category)');
+      expect(result.sql).toContain('ORDER BY result DESC');
+    });
+
+    test('selects and sorts check-ins by mid-level category', () => {
+      const result = queryBuilder.buildCheckinsQuery({
+        select: ['venue_name', 'mid_category'],
+        orderBy: { field: 'mid_category', direction: 'ASC' },
+      }, 'user-1');
+
+      expect(result.sql).toContain('SELECT venue_name, COALESCE(category_path[2], category_path[1], venue_category) as mid_category');
+      expect(result.sql).toContain('ORDER BY COALESCE(category_path[2], category_path[1], venue_category) ASC');
+    });
+  });
+
   describe('buildAggregationQuery', () => {
     test('supports date granularity options', () => {
       const granularities = {
@@ -158,4 +227,97 @@ describe('QueryBuilder', () => {
       expect(mainSql).not.toContain('DROP TABLE');
     });
   });
+
+  describe('dataset queries', () => {
+    test('validates fields against the dataset whitelist', () => {
+      expect(queryBuilder.validateField('distance_meters', 'strava_activities')).toBe('distance_meters');
+      expect(() => queryBuilder.validateField('venue_name', 'strava_activities')).toThrow('Field not allowed');
+      expect(() => queryBuilder.validateField('top_category', 'garmin_daily_sleep')).toThrow('Field not allowed');
+      expect(() => queryBuilder.validateField('tracklog', 'garmin_activities')).toThrow('Field not allowed');
+    });
+
+    test('rejects unknown datasets', async () => {
+      await expect(queryBuilder.executeDatasetQuery('users', { queryType: 'records' }, 'u1'))
+        .rejects.toThrow('Invalid dataset');
+      await expect(queryBuilder.executeDatasetQuery('constructor', { queryType: 'records' }, 'u1'))
+        .rejects.toThrow('Invalid dataset');
+    });
+
+    test('sums run distance near a city within an inclusive date range', () => {
+      const result = queryBuilder.buildDatasetAggregationQuery('strava_activities', {
+        queryType: 'aggregation',
+        aggregation: { function: 'sum', field: 'distance_meters' },
+        filters: {
+          activityType: 'run',
+          city: 'Lisbon',
+          country: 'Portugal',
+          dateRange: { start: '2024-03-01', end: '2024-05-31' }
+        }
+      }, 'user-1');
+
+      expect(result.sql).toContain('SUM(distance_meters) as result FROM strava_activities');
+      expect(result.sql).toContain('activity_type ILIKE $2');
+      expect(result.sql).toContain('ST_DWithin(start_latlng,');
+      expect(result.sql).toContain('FROM checkins WHERE user_id = $1 AND city = $3 AND country = $4');
+      expect(result.sql).toContain('start_time >= $5');
+      expect(result.sql).toContain('start_time < $6::date + 1');
+      expect(result.values).toEqual(['user-1', '%run%', 'Lisbon', 'Portugal', '2024-03-01', '2024-05-31']);
+    });
+
+    test('uses the start of the tracklog for Garmin activities', () => {
+      const result = queryBuilder.buildDatasetCountQuery('garmin_activities', {
+        filters: { city: 'Lisbon' }
+      }, 'user-1');
+
+      expect(result.sql).toContain('ST_StartPoint(tracklog::geometry)::geography');
+    });
+
+    test('rejects activity filters on daily health tables', () => {
+      expect(() => queryBuilder.buildDatasetRecordsQuery('garmin_daily_sleep', {
+        filters: { city: 'Lisbon' }
+      }, 'user-1')).toThrow('Filter not allowed for garmin_daily_sleep');
+    });
+
+    test('groups daily data by period, aliased to the date field', () => {
+      const result = queryBuilder.buildDatasetAggregationQuery('garmin_daily_sleep', {
+        aggregation: { function: 'avg', field: 'sleep_score' },
+        groupBy: [{ field: 'date', granularity: 'month' }],
+        orderBy: { field: 'date', direction: 'DESC' }
+      }, 'user-1');
+
+      expect(result.sql).toBe(
+        "SELECT DATE_TRUNC('month', date) as date, AVG(sleep_score) as result FROM garmin_daily_sleep " +
+        "WHERE user_id = $1 GROUP BY DATE_TRUNC('month', date) ORDER BY date DESC LIMIT 100"
+      );
+    });
+
+    test('only groups the date field by granularity', () => {
+      expect(() => queryBuilder.buildDatasetAggregationQuery('garmin_daily_steps', {
+        groupBy: [{ field: 'step_count', granularity: 'week' }]
+      }, 'user-1')).toThrow('Date granularity only applies to date');
+    });
+
+    test('lists records with default fields and the system limit', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ count: '800' }] })
+        .mockResolvedValueOnce({ rows: [{ date: '2024-03-01', step_count: 9000 }] });
+
+      const result = await queryBuilder.executeDatasetQuery('garmin_daily_steps', { queryType: 'records' }, 'user-1');
+
+      expect(db.query.mock.calls[1][0]).toBe(
+        'SELECT date, step_count FROM garmin_daily_steps WHERE user_id = $1 LIMIT 500'
+      );
+      expect(result.metadata.limited).toBe(true);
+      expect(result.metadata.message).toContain('Showing 1 of 800 results');
+    });
+
+    test('keeps filter values out of the SQL', () => {
+      const result = queryBuilder.buildDatasetRecordsQuery('strava_activities', {
+        filters: { activityName: "'; DROP TABLE users; --" }
+      }, 'user-1');
+
+      expect(result.sql).not.toContain('DROP TABLE');
+      expect(result.values).toContain("%'; DROP TABLE users; --%");
+    });
+  });
 });
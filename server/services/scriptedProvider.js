@@ -0,0 +1,102 @@
+const fs = require('fs');
+
+const DEFAULT_REPLY = {
+  text: 'The copilot is running with the scripted provider, which has no language model behind it. ' +
+    'Set LLM_PROVIDER to gemini or openai to ask questions about your data.'
+};
+
+/**
+ * Deterministic provider that plays back a script instead of calling a model
+ * For tests and for running the app without any LLM.
+ *
+ * Each script step is a reply, { text } or { functionCalls: [{ name, args }] },
+ * or a function of the input returning one. Every chat plays the script from
+ * the start; once it runs out the reply is a default text.
+ */
+class ScriptedProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Array} [options.script] - Reply steps
+   * @param {string} [options.scriptPath] - JSON file with the reply steps, used when script isn't given
+   */
+  constructor({ script, scriptPath } = {}) {
+    this.name = 'scripted';
+    this.script = script || (scriptPath ? JSON.parse(fs.readFileSync(scriptPath, 'utf8')) : []);
+    // Every chat started, for assertions in tests
+    this.chats = [];
+  }
+
+  /**
+   * Start a scripted chat
+   * @param {Object} options
+   * @param {string} options.systemInstruction
+   * @param {Array} options.functionDeclarations
+   * @param {Array} [options.history] - Client messages to resume from, kept for inspection
+   * @returns {Object} Chat with send() and getHistory()
+   */
+  startChat({ systemInstruction, functionDeclarations, history = [] }) {
+    const script = this.script;
+    const messages = [];
+    let step = 0;
+
+    const chat = {
+      systemInstruction,
+      functionDeclarations,
+      history,
+      // Every input passed to send()
+      sent: [],
+
+      /**
+       * @param {string|Array} input - User text, or function results [{ id, name, response }]
+       * @param {Object} [options]
+       * @param {Function} [options.onText] - Called with the reply text word by word
+       * @param {AbortSignal} [options.signal]
+       * @returns {Promise<{text: string, functionCalls: Array}>}
+       */
+      async send(input, { onText, signal } = {}) {
+        if (signal?.aborted) {
+          throw Object.assign(new Error('The request was aborted'), { name: 'AbortError' });
+        }
+        chat.sent.push(input);
+        if (typeof input === 'string') {
+          messages.push({ role: 'user', content: input });
+        }
+
+        const entry = step < script.length ? script[step] : DEFAULT_REPLY;
+        step++;
+
+        const reply = typeof entry === 'function' ? await entry(input) : entry;
+        const functionCalls = (reply.functionCalls || []).map((call, i) => ({
+          id: call.id || `call_${step}_${i}`,
+          name: call.name,
+          args: call.args || {}
+        }));
+        const text = reply.text || '';
+        if (onText && text) {
+          text.split(/(?<=\s)/).forEach(word => onText(word));
+        }
+
+        messages.push({
+          role: 'assistant',
+          content: { text, functionCalls },
+          text: text || '[Function call]'
+        });
+
+        return { text, functionCalls };
+      },
+
+      /**
+       * Messages exchanged since the chat started
+       * @returns {Promise<Array>} Client messages [{ role, content, text }]
+       */
+      async getHistory() {
+        return messages.slice();
+      }
+    };
+
+    this.chats.push(chat);
+    return chat;
+  }
+}
+
+module.exports = { ScriptedProvider };
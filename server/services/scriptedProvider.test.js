@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScriptedProvider } = require('./scriptedProvider');
+
+describe('ScriptedProvider', () => {
+  test('plays the script back in order and records what was sent', async () => {
+    const provider = new ScriptedProvider({
+      script: [
+        { functionCalls: [{ name: 'get_categories' }] },
+        { text: 'You like cafés.' }
+      ]
+    });
+    const chat = provider.startChat({ systemInstruction: 'Be helpful', functionDeclarations: [] });
+
+    expect(await chat.send('What do I like?')).toEqual({
+      text: '',
+      functionCalls: [{ id: 'call_1_0', name: 'get_categories', args: {} }]
+    });
+    expect(await chat.send([{ id: 'call_1_0', name: 'get_categories', response: {} }])).toEqual({
+      text: 'You like cafés.',
+      functionCalls: []
+    });
+    expect(chat.sent).toHaveLength(2);
+    expect(provider.chats).toEqual([chat]);
+    expect(await chat.getHistory()).toEqual([
+      { role: 'user', content: 'What do I like?' },
+      { role: 'assistant', content: { text: '', functionCalls: [{ id: 'call_1_0', name: 'get_categories', args: {} }] }, text: '[Function call]' },
+      { role: 'assistant', content: { text: 'You like cafés.', functionCalls: [] }, text: 'You like cafés.' }
+    ]);
+  });
+
+  test('computes steps given as functions from the input', async () => {
+    const chat = new ScriptedProvider({ script: [input => ({ text: `You said ${input}` })] })
+      .startChat({ systemInstruction: '', functionDeclarations: [] });
+
+    expect((await chat.send('hello')).text).toBe('You said hello');
+  });
+
+  test('streams text word by word and honors aborts', async () => {
+    const chat = new ScriptedProvider({ script: [{ text: 'Two words' }] })
+      .startChat({ systemInstruction: '', functionDeclarations: [] });
+    const onText = jest.fn();
+
+    await chat.send('Hi', { onText });
+
+    expect(onText.mock.calls.map(call => call[0])).toEqual(['Two ', 'words']);
+
+    const controller = new AbortController();
+    controller.abort();
+    await expect(chat.send('Again', { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('falls back to a default reply once the script runs out', async () => {
+    const chat = new ScriptedProvider().startChat({ systemInstruction: '', functionDeclarations: [] });
+
+    const result = await chat.send('Hi');
+
+    expect(result.text).toContain('scripted provider');
+    expect(result.functionCalls).toEqual([]);
+  });
+
+  test('reads the script from a JSON file', async () => {
+    const scriptPath = path.join(os.tmpdir(), `copilot-script-${process.pid}.json`);
+    fs.writeFileSync(scriptPath, JSON.stringify([{ text: 'From file' }]));
+
+    try {
+      const chat = new ScriptedProvider({ scriptPath }).startChat({ systemInstruction: '', functionDeclarations: [] });
+      expect((await chat.send('Hi')).text).toBe('From file');
+    } finally {
+      fs.unlinkSync(scriptPath);
+    }
+  });
+});
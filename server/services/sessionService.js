@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const User = require('../models/user');
+const UserSession = require('../models/userSession');
+
+const ACCESS_TOKEN_PREFIX = 'sva_';
+const REFRESH_TOKEN_PREFIX = 'svr_';
+const ACCESS_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days, renewed on every refresh
+// A replaced refresh token used within this many seconds is a concurrent
+// refresh (two tabs at once), after that it's reuse of a copied token
+const REFRESH_GRACE_SECONDS = 30;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+function generateToken(prefix) {
+  return prefix + crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * A new access and refresh token pair, with the hashes stored for them
+ */
+function issueTokens() {
+  const now = Date.now();
+  const accessToken = generateToken(ACCESS_TOKEN_PREFIX);
+  const refreshToken = generateToken(REFRESH_TOKEN_PREFIX);
+
+  return {
+    tokens: {
+      accessToken,
+      refreshToken,
+      expiresAt: new Date(now + ACCESS_TOKEN_TTL_MS).toISOString(),
+      refreshExpiresAt: new Date(now + REFRESH_TOKEN_TTL_MS).toISOString()
+    },
+    stored: {
+      accessTokenHash: hashToken(accessToken),
+      refreshTokenHash: hashToken(refreshToken),
+      accessExpiresAt: new Date(now + ACCESS_TOKEN_TTL_MS),
+      refreshExpiresAt: new Date(now + REFRESH_TOKEN_TTL_MS)
+    }
+  };
+}
+
+class SessionService {
+  constructor() {
+    this.cleanupIntervalId = null;
+  }
+
+  /**
+   * Whether a token is a session access token, rather than a legacy secret token
+   * @param {string} token
+   * @returns {boolean}
+   */
+  isAccessToken(token) {
+    return typeof token === 'string' && token.startsWith(ACCESS_TOKEN_PREFIX);
+  }
+
+  /**
+   * Whether users.secret_token is still accepted in place of an access token
+   * Off unless LEGACY_TOKEN_AUTH=true - login links only sign in through
+   * POST /api/auth/session, they don't authenticate API requests by themselves.
+   * @returns {boolean}
+   */
+  allowsLegacyTokens() {
+    return process.env.LEGACY_TOKEN_AUTH === 'true';
+  }
+
+  /**
+   * Start a session for a user
+   * @param {number} userId
+   * @param {Object} [client]
+   * @param {string} [client.userAgent]
+   * @param {string} [client.ipAddress]
+   * @returns {Promise<Object>} { sessionId, accessToken, refreshToken, expiresAt, refreshExpiresAt }
+   */
+  async createSession(userId, { userAgent, ipAddress } = {}) {
+    const { tokens, stored } = issueTokens();
+    const session = await UserSession.create({ userId, ...stored, userAgent, ipAddress });
+    return { sessionId: session.id, ...tokens };
+  }
+
+  /**
+   * Sign in with a login link's secret token
+   * @param {string} secretToken - users.secret_token
+   * @param {Object} [client] - { userAgent, ipAddress }
+   * @returns {Promise<Object|null>} { user, session }, null for an unknown token
+   */
+  async signIn(secretToken, client) {
+    const user = await User.findBySecretToken(secretToken);
+    if (!user) return null;
+
+    const session = await this.createSession(user.id, client);
+    console.log(`[SESSION] User ${user.id} signed in (session ${session.sessionId})`);
+    return { user, session };
+  }
+
+  /**
+   * User of an access token
+   * @param {string} accessToken
+   * @returns {Promise<{user: Object, sessionId: number}|null>} Null when expired, revoked or unknown
+   */
+  async authenticate(accessToken) {
+    if (!this.isAccessToken(accessToken)) return null;
+    return UserSession.findUserByAccessToken(hashToken(accessToken));
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, the old pair stops working
+   * The refresh token just replaced still gets a new access token for a few
+   * seconds, for a second tab that refreshed at the same time; it keeps the
+   * refresh token the first one got. Used any later, it was copied, and the
+   * session is revoked so neither copy works anymore.
+   * @param {string} refreshToken
+   * @returns {Promise<Object|null>} { sessionId, accessToken, expiresAt, refreshToken, refreshExpiresAt },
+   *   without the refresh token fields for a concurrent refresh
+   */
+  async refresh(refreshToken) {
+    if (typeof refreshToken !== 'string' || !refreshToken.startsWith(REFRESH_TOKEN_PREFIX)) {
+      return null;
+    }
+
+    const refreshTokenHash = hashToken(refreshToken);
+    const { tokens, stored } = issueTokens();
+    const session = await UserSession.rotate(refreshTokenHash, stored);
+    if (session) {
+      return { sessionId: session.id, ...tokens };
+    }
+
+    const rotated = await UserSession.findRotatedFrom(refreshTokenHash, REFRESH_GRACE_SECONDS);
+    if (!rotated) return null;
+
+    if (rotated.within_grace) {
+      const updated = await UserSession.replaceAccessToken(rotated.id, stored);
+      if (!updated) return null;
+      return { sessionId: rotated.id, accessToken: tokens.accessToken, expiresAt: tokens.expiresAt };
+    }
+
+    await UserSession.revoke(rotated.id, rotated.user_id);
+    console.warn(`[SESSION] Replaced refresh token reused, signed out session ${rotated.id} of user ${rotated.user_id}`);
+    return null;
+  }
+
+  /**
+   * @param {number} userId
+   * @returns {Promise<Array>}
+   */
+  async listSessions(userId) {
+    return UserSession.findActiveByUserId(userId);
+  }
+
+  /**
+   * @param {number} userId
+   * @param {number} sessionId
+   * @returns {Promise<boolean>} False when the user has no such active session
+   */
+  async revokeSession(userId, sessionId) {
+    return UserSession.revoke(sessionId, userId);
+  }
+
+  /**
+   * Sign out everywhere: revoke every session and replace the login link,
+   * so a leaked link can't start new ones
+   * @param {number} userId
+   * @returns {Promise<{secretToken: string, revoked: number}>} The new login link token
+   */
+  async revokeAll(userId) {
+    const revoked = await UserSession.revokeAllForUser(userId);
+    const secretToken = await User.rotateSecretToken(userId);
+
+    console.log(`[SESSION] Signed out user ${userId} everywhere (${revoked} sessions)`);
+    return { secretToken, revoked };
+  }
+
+  /**
+   * Delete expired and revoked sessions
+   */
+  async cleanup() {
+    try {
+      const deleted = await UserSession.deleteExpired();
+      if (deleted > 0) {
+        console.log(`[SESSION] Deleted ${deleted} expired sessions`);
+      }
+    } catch (error) {
+      console.error('[SESSION] Cleanup failed:', error.message);
+    }
+  }
+
+  /**
+   * Start periodic cleanup
+   */
+  startCleanupInterval() {
+    if (this.cleanupIntervalId) {
+      console.warn('Session cleanup interval already running');
+      return;
+    }
+    this.cleanupIntervalId = setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS);
+    console.log('Session cleanup interval started');
+  }
+
+  /**
+   * Stop periodic cleanup
+   */
+  stopCleanupInterval() {
+    if (this.cleanupIntervalId) {
+      clearInterval(this.cleanupIntervalId);
+      this.cleanupIntervalId = null;
+    }
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+
+jest.mock('../models/user');
+jest.mock('../models/userSession');
+
+const User = require('../models/user');
+const UserSession = require('../models/userSession');
+const sessionService = require('./sessionService');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  delete process.env.LEGACY_TOKEN_AUTH;
+  UserSession.create.mockResolvedValue({ id: 7 });
+});
+
+describe('SessionService.createSession', () => {
+  test('returns new tokens and stores only their hashes', async () => {
+    const session = await sessionService.createSession(3, { userAgent: 'Firefox', ipAddress: '::1' });
+
+    expect(session.sessionId).toBe(7);
+    expect(session.accessToken).toMatch(/^sva_/);
+    expect(session.refreshToken).toMatch(/^svr_/);
+
+    const stored = UserSession.create.mock.calls[0][0];
+    expect(stored).toMatchObject({
+      userId: 3,
+      accessTokenHash: sha256(session.accessToken),
+      refreshTokenHash: sha256(session.refreshToken),
+      userAgent: 'Firefox',
+      ipAddress: '::1'
+    });
+    expect(JSON.stringify(stored)).not.toContain(session.accessToken);
+  });
+
+  test('expires access tokens after an hour and refresh tokens after 30 days', async () => {
+    const before = Date.now();
+    const session = await sessionService.createSession(3);
+
+    const accessTtl = new Date(session.expiresAt).getTime() - before;
+    const refreshTtl = new Date(session.refreshExpiresAt).getTime() - before;
+    expect(accessTtl).toBeGreaterThanOrEqual(59 * 60 * 1000);
+    expect(accessTtl).toBeLessThanOrEqual(61 * 60 * 1000);
+    expect(Math.round(refreshTtl / (24 * 60 * 60 * 1000))).toBe(30);
+  });
+});
+
+describe('SessionService.signIn', () => {
+  test('starts a session for the owner of a login token', async () => {
+    User.findBySecretToken.mockResolvedValue({ id: 3 });
+
+    const result = await sessionService.signIn('secret', {});
+
+    expect(User.findBySecretToken).toHaveBeenCalledWith('secret');
+    expect(result.user).toEqual({ id: 3 });
+    expect(result.session.sessionId).toBe(7);
+  });
+
+  test('returns null for unknown login tokens', async () => {
+    User.findBySecretToken.mockResolvedValue(null);
+
+    expect(await sessionService.signIn('wrong', {})).toBeNull();
+    expect(UserSession.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('SessionService.authenticate', () => {
+  test('looks up the session by the token hash', async () => {
+    const result = { user: { id: 3 }, sessionId: 7 };
+    UserSession.findUserByAccessToken.mockResolvedValue(result);
+
+    expect(await sessionService.authenticate('sva_abc')).toBe(result);
+    expect(UserSession.findUserByAccessToken).toHaveBeenCalledWith(sha256('sva_abc'));
+  });
+
+  test('ignores tokens that aren\'t access tokens', async () => {
+    expect(await sessionService.authenticate('svr_abc')).toBeNull();
+    expect(UserSession.findUserByAccessToken).not.toHaveBeenCalled();
+  });
+});
+
+describe('SessionService.refresh', () => {
+  test('rotates both tokens', async () => {
+    UserSession.rotate.mockResolvedValue({ id: 7 });
+
+    const session = await sessionService.refresh('svr_old');
+
+    expect(session.sessionId).toBe(7);
+    expect(session.refreshToken).not.toBe('svr_old');
+    const [oldHash, stored] = UserSession.rotate.mock.calls[0];
+    expect(oldHash).toBe(sha256('svr_old'));
+    expect(stored.accessTokenHash).toBe(sha256(session.accessToken));
+    expect(stored.refreshTokenHash).toBe(sha256(session.refreshToken));
+  });
+
+  test('returns null when the refresh token is unknown, revoked or expired', async () => {
+    UserSession.rotate.mockResolvedValue(null);
+    UserSession.findRotatedFrom.mockResolvedValue(null);
+
+    expect(await sessionService.refresh('svr_old')).toBeNull();
+    expect(UserSession.findRotatedFrom).toHaveBeenCalledWith(sha256('svr_old'), 30);
+    expect(UserSession.revoke).not.toHaveBeenCalled();
+  });
+
+  test('gives a concurrent refresh a new access token and keeps the refresh token', async () => {
+    UserSession.rotate.mockResolvedValue(null);
+    UserSession.findRotatedFrom.mockResolvedValue({ id: 7, user_id: 3, within_grace: true });
+    UserSession.replaceAccessToken.mockResolvedValue({ id: 7 });
+
+    const session = await sessionService.refresh('svr_old');
+
+    expect(session).toEqual({ sessionId: 7, accessToken: expect.stringMatching(/^sva_/), expiresAt: expect.any(String) });
+    const [sessionId, stored] = UserSession.replaceAccessToken.mock.calls[0];
+    expect(sessionId).toBe(7);
+    expect(stored.accessTokenHash).toBe(sha256(session.accessToken));
+    expect(UserSession.revoke).not.toHaveBeenCalled();
+  });
+
+  test('revokes the session when a replaced refresh token is reused later', async () => {
+    UserSession.rotate.mockResolvedValue(null);
+    UserSession.findRotatedFrom.mockResolvedValue({ id: 7, user_id: 3, within_grace: false });
+
+    expect(await sessionService.refresh('svr_old')).toBeNull();
+    expect(UserSession.revoke).toHaveBeenCalledWith(7, 3);
+    expect(UserSession.replaceAccessToken).not.toHaveBeenCalled();
+  });
+
+  test('rejects access tokens', async () => {
+    expect(await sessionService.refresh('sva_abc')).toBeNull();
+    expect(UserSession.rotate).not.toHaveBeenCalled();
+  });
+});
+
+describe('SessionService.revokeAll', () => {
+  test('revokes every session and replaces the login token', async () => {
+    UserSession.revokeAllForUser.mockResolvedValue(3);
+    User.rotateSecretToken.mockResolvedValue('new-secret');
+
+    expect(await sessionService.revokeAll(3)).toEqual({ secretToken: 'new-secret', revoked: 3 });
+    expect(UserSession.revokeAllForUser).toHaveBeenCalledWith(3);
+    expect(User.rotateSecretToken).toHaveBeenCalledWith(3);
+  });
+});
+
+describe('SessionService.allowsLegacyTokens', () => {
+  test('rejects legacy tokens unless LEGACY_TOKEN_AUTH=true', () => {
+    expect(sessionService.allowsLegacyTokens()).toBe(false);
+    process.env.LEGACY_TOKEN_AUTH = 'false';
+    expect(sessionService.allowsLegacyTokens()).toBe(false);
+    process.env.LEGACY_TOKEN_AUTH = 'true';
+    expect(sessionService.allowsLegacyTokens()).toBe(true);
+  });
+});
+
+describe('SessionService.cleanup', () => {
+  test('deletes expired sessions and swallows errors', async () => {
+    UserSession.deleteExpired.mockRejectedValue(new Error('connection lost'));
+
+    await expect(sessionService.cleanup()).resolves.toBeUndefined();
+    expect(UserSession.deleteExpired).toHaveBeenCalled();
+  });
+});
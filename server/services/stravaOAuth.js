@@ -8,6 +8,7 @@ class StravaOAuthService {
     this.clientSecret = process.env.STRAVA_CLIENT_SECRET;
     this.authorizationUrl = 'https://www.strava.com/oauth/authorize';
     this.tokenUrl = 'https://www.strava.com/oauth/token';
+    this.deauthorizeUrl = 'https://www.strava.com/oauth/deauthorize';
     this.baseURL = 'https://www.strava.com/api/v3';
 
     // Rate limits: 100 requests per 15 minutes, 1000 per day
@@ -130,6 +131,36 @@ class StravaOAuthService {
     }
   }
 
+  /**
+   * Revoke the app's access to the athlete's Strava account
+   * Refreshes the access token first when it has expired, since Strava only
+   * accepts a valid access token.
+   * @param {string} encryptedTokens - Encrypted OAuth tokens
+   * @returns {Promise<void>}
+   */
+  async deauthorize(encryptedTokens) {
+    if (!encryptedTokens) {
+      throw new Error('Encrypted tokens are required');
+    }
+
+    let { accessToken, refreshToken, expiresAt } = this.decryptTokens(encryptedTokens);
+    if (this.isTokenExpired(expiresAt)) {
+      ({ accessToken } = await this.refreshAccessToken(refreshToken));
+    }
+
+    try {
+      await axios.post(this.deauthorizeUrl, { access_token: accessToken }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        }
+      });
+    } catch (error) {
+      console.error('[STRAVA OAUTH] Deauthorize error:', error.response?.data || error.message);
+      throw new Error('Failed to deauthorize Strava access');
+    }
+  }
+
   /**
    * Get encrypted token bundle for storage
    * Includes expiresAt timestamp for proactive refresh
@@ -249,6 +249,45 @@ describe('StravaOAuthService', () => {
     });
   });
 
+  describe('deauthorize', () => {
+    const futureExpiry = Math.floor(Date.now() / 1000) + 3600;
+
+    test('should post the access token to the deauthorize endpoint', async () => {
+      axios.post.mockResolvedValue({ data: { access_token: 'access-token' } });
+      const tokens = `encrypted:${JSON.stringify({ accessToken: 'access-token', refreshToken: 'refresh-token', expiresAt: futureExpiry })}`;
+
+      await stravaOAuth.deauthorize(tokens);
+
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://www.strava.com/oauth/deauthorize',
+        { access_token: 'access-token' },
+        expect.any(Object)
+      );
+    });
+
+    test('should refresh an expired access token first', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: { access_token: 'new-access-token', refresh_token: 'new-refresh-token', expires_at: futureExpiry } })
+        .mockResolvedValueOnce({ data: {} });
+      const tokens = `encrypted:${JSON.stringify({ accessToken: 'old-access-token', refreshToken: 'refresh-token', expiresAt: 1000 })}`;
+
+      await stravaOAuth.deauthorize(tokens);
+
+      expect(axios.post).toHaveBeenNthCalledWith(1, 'https://www.strava.com/oauth/token', expect.objectContaining({ refresh_token: 'refresh-token' }), expect.any(Object));
+      expect(axios.post).toHaveBeenNthCalledWith(2, 'https://www.strava.com/oauth/deauthorize', { access_token: 'new-access-token' }, expect.any(Object));
+    });
+
+    test('should throw when Strava rejects the request', async () => {
+      axios.post.mockRejectedValue(new Error('Network error'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const tokens = `encrypted:${JSON.stringify({ accessToken: 'access-token', refreshToken: 'refresh-token', expiresAt: futureExpiry })}`;
+
+      await expect(stravaOAuth.deauthorize(tokens)).rejects.toThrow('Failed to deauthorize Strava access');
+      console.error.mockRestore();
+    });
+  });
+
   describe('encryptTokens', () => {
     test('should encrypt tokens successfully', () => {
       const result = stravaOAuth.encryptTokens(
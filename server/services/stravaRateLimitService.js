@@ -31,47 +31,79 @@ class StravaRateLimitService {
 
   /**
    * Check if user can make a Strava API request
+   * Strava's limits apply to the whole application, so requests by every
+   * other user count too.
    * @param {number} userId - User ID
    * @returns {Promise<{allowed: boolean, limitType?: string, resetAt?: Date}>}
    */
   async checkQuota(userId) {
-    // Count requests in last 15 minutes
-    const shortWindow = await db.query(`
-      SELECT COUNT(*) FROM strava_api_requests
-      WHERE user_id = $1
-        AND requested_at > NOW() - INTERVAL '15 minutes'
-    `, [userId]);
+    for (const scope of [userId, null]) {
+      const quota = await this.checkWindows(scope);
+      if (!quota.allowed) {
+        return {
+          allowed: false,
+          limitType: quota.limitType,
+          resetAt: quota.resetAt
+        };
+      }
+    }
 
-    const shortCount = parseInt(shortWindow.rows[0].count, 10);
+    return { allowed: true };
+  }
 
-    if (shortCount >= this.limits.short.max) {
-      const resetAt = await this.getResetTime('short', userId);
-      return {
-        allowed: false,
-        limitType: '15min',
-        resetAt
-      };
-    }
+  /**
+   * Check the application-wide quota, across all users
+   * @returns {Promise<{allowed: boolean, limitType?: string, resetAt?: Date, remaining: {short: number, daily: number}}>}
+   */
+  async checkAppQuota() {
+    return this.checkWindows(null);
+  }
 
-    // Count requests in last 24 hours
-    const dailyWindow = await db.query(`
-      SELECT COUNT(*) FROM strava_api_requests
-      WHERE user_id = $1
-        AND requested_at > NOW() - INTERVAL '24 hours'
-    `, [userId]);
+  /**
+   * Count requests in both windows against the limits
+   * @param {number|null} userId - User ID, or null for all users
+   * @returns {Promise<{allowed: boolean, limitType?: string, resetAt?: Date, remaining: {short: number, daily: number}}>}
+   */
+  async checkWindows(userId) {
+    const shortCount = await this.countRequests('15 minutes', userId);
+    const dailyCount = await this.countRequests('24 hours', userId);
+    const remaining = {
+      short: Math.max(0, this.limits.short.max - shortCount),
+      daily: Math.max(0, this.limits.daily.max - dailyCount)
+    };
 
-    const dailyCount = parseInt(dailyWindow.rows[0].count, 10);
+    if (remaining.short === 0) {
+      const resetAt = await this.getResetTime('short', userId);
+      return { allowed: false, limitType: '15min', resetAt, remaining };
+    }
 
-    if (dailyCount >= this.limits.daily.max) {
+    if (remaining.daily === 0) {
       const resetAt = await this.getResetTime('daily', userId);
-      return {
-        allowed: false,
-        limitType: 'daily',
-        resetAt
-      };
+      return { allowed: false, limitType: 'daily', resetAt, remaining };
     }
 
-    return { allowed: true };
+    return { allowed: true, remaining };
+  }
+
+  /**
+   * Count requests within a window
+   * @param {string} interval - Postgres interval, '15 minutes' or '24 hours'
+   * @param {number|null} userId - User ID, or null for all users
+   * @returns {Promise<number>}
+   */
+  async countRequests(interval, userId) {
+    const result = userId === null
+      ? await db.query(`
+        SELECT COUNT(*) FROM strava_api_requests
+        WHERE requested_at > NOW() - INTERVAL '${interval}'
+      `)
+      : await db.query(`
+        SELECT COUNT(*) FROM strava_api_requests
+        WHERE user_id = $1
+          AND requested_at > NOW() - INTERVAL '${interval}'
+      `, [userId]);
+
+    return parseInt(result.rows[0].count, 10);
   }
 
   /**
@@ -89,7 +121,7 @@ class StravaRateLimitService {
   /**
    * Calculate when rate limit will reset
    * @param {string} limitType - 'short' or 'daily'
-   * @param {number} userId - User ID
+   * @param {number|null} userId - User ID, or null for all users
    * @returns {Promise<Date>}
    */
   async getResetTime(limitType, userId) {
@@ -98,16 +130,17 @@ class StravaRateLimitService {
     const interval = isShort ? '15 minutes' : '24 hours';
 
     // Find the oldest request in the current window
+    const params = userId === null ? [] : [userId];
     const query = `
       SELECT requested_at
       FROM strava_api_requests
-      WHERE user_id = $1
-        AND requested_at > NOW() - INTERVAL '${interval}'
+      WHERE requested_at > NOW() - INTERVAL '${interval}'
+        ${userId === null ? '' : 'AND user_id = $1'}
       ORDER BY requested_at ASC
       LIMIT 1
     `;
 
-    const result = await db.query(query, [userId]);
+    const result = await db.query(query, params);
 
     if (result.rows.length === 0) {
       // No requests in window, reset is now
@@ -14,8 +14,10 @@ describe('StravaRateLimitService', () => {
   describe('checkQuota', () => {
     it('allows when under both limits', async () => {
       db.query
-        .mockResolvedValueOnce({ rows: [{ count: '10' }] })   // short window
-        .mockResolvedValueOnce({ rows: [{ count: '100' }] }); // daily window
+        .mockResolvedValueOnce({ rows: [{ count: '10' }] })   // user short window
+        .mockResolvedValueOnce({ rows: [{ count: '100' }] })  // user daily window
+        .mockResolvedValueOnce({ rows: [{ count: '30' }] })   // app short window
+        .mockResolvedValueOnce({ rows: [{ count: '400' }] }); // app daily window
 
       const result = await service.checkQuota(1);
       expect(result).toEqual({ allowed: true });
@@ -25,12 +27,14 @@ describe('StravaRateLimitService', () => {
       const resetDate = new Date('2025-01-01T12:00:00Z');
       db.query
         .mockResolvedValueOnce({ rows: [{ count: '95' }] })  // short window at limit
+        .mockResolvedValueOnce({ rows: [{ count: '200' }] }) // daily window
         .mockResolvedValueOnce({ rows: [{ requested_at: resetDate.toISOString() }] }); // getResetTime query
 
       const result = await service.checkQuota(1);
       expect(result.allowed).toBe(false);
       expect(result.limitType).toBe('15min');
       expect(result.resetAt).toBeInstanceOf(Date);
+      expect(db.query).toHaveBeenCalledTimes(3);
     });
 
     it('returns not allowed when daily limit exceeded', async () => {
@@ -45,6 +49,49 @@ describe('StravaRateLimitService', () => {
       expect(result.limitType).toBe('daily');
       expect(result.resetAt).toBeInstanceOf(Date);
     });
+
+    it('returns not allowed when other users used up the app quota', async () => {
+      const resetDate = new Date('2025-01-01T00:00:00Z');
+      db.query
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] })    // user short window
+        .mockResolvedValueOnce({ rows: [{ count: '5' }] })    // user daily window
+        .mockResolvedValueOnce({ rows: [{ count: '20' }] })   // app short window
+        .mockResolvedValueOnce({ rows: [{ count: '960' }] })  // app daily over limit
+        .mockResolvedValueOnce({ rows: [{ requested_at: resetDate.toISOString() }] });
+
+      const result = await service.checkQuota(1);
+      expect(result).toEqual({
+        allowed: false,
+        limitType: 'daily',
+        resetAt: new Date(resetDate.getTime() + 24 * 60 * 60 * 1000)
+      });
+      expect(db.query.mock.calls[2][0]).not.toContain('user_id');
+      expect(db.query.mock.calls[2][1]).toBeUndefined();
+    });
+  });
+
+  describe('checkAppQuota', () => {
+    it('returns the requests left for all users', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ count: '15' }] })
+        .mockResolvedValueOnce({ rows: [{ count: '700' }] });
+
+      const result = await service.checkAppQuota();
+      expect(result).toEqual({ allowed: true, remaining: { short: 80, daily: 250 } });
+    });
+
+    it('keeps the daily remainder when only the 15-min window is full', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ count: '95' }] })
+        .mockResolvedValueOnce({ rows: [{ count: '300' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await service.checkAppQuota();
+      expect(result.allowed).toBe(false);
+      expect(result.limitType).toBe('15min');
+      expect(result.remaining).toEqual({ short: 0, daily: 650 });
+      expect(db.query.mock.calls[2][1]).toEqual([]);
+    });
   });
 
   describe('recordRequest', () => {
@@ -0,0 +1,222 @@
+const path = require('path');
+const { getTimezoneFromCoordinates, getTimezoneFromOffset } = require('../utils/timezoneUtils');
+
+// Foursquare's "download your data" export splits check-ins and photos over
+// numbered files (checkins1.json, checkins2.json, ...) next to venueRatings.json
+const FILE_PATTERNS = {
+  checkins: /^checkins\d*\.json$/i,
+  photos: /^photos\d*\.json$/i,
+  ratings: /^venueratings\.json$/i
+};
+
+// venueRatings.json keys and the rating stored for each
+const RATING_KEYS = {
+  venueLikes: 'like',
+  venueOkays: 'okay',
+  venueDislikes: 'dislike'
+};
+
+// Photo URLs point back at their check-in, e.g. https://foursquare.com/user/1/checkin/5a1b...
+const CHECKIN_URL_PATTERN = /\/checkin\/([0-9a-f]+)/i;
+
+/**
+ * Parses Foursquare/Swarm data exports into check-in, photo and rating rows.
+ * Handles both the official export (createdAt as a UTC date string, coordinates
+ * on the check-in) and API-shaped dumps (createdAt in epoch seconds, coordinates
+ * on venue.location) such as the one scripts/import-swarm-data.js reads.
+ */
+class SwarmExportParser {
+  /**
+   * Which kind of export file a path is, by its base name
+   * @param {string} fileName
+   * @returns {'checkins'|'photos'|'ratings'|null}
+   */
+  classifyFile(fileName) {
+    const baseName = path.basename(fileName);
+    const match = Object.entries(FILE_PATTERNS).find(([, pattern]) => pattern.test(baseName));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * The list of items in an export file: a bare array, { items } or an API response
+   */
+  getItems(data) {
+    if (Array.isArray(data)) return data;
+    if (Array.isArray(data?.items)) return data.items;
+    if (Array.isArray(data?.response?.checkins?.items)) return data.response.checkins.items;
+    return [];
+  }
+
+  /**
+   * Parse an export timestamp: epoch seconds or "YYYY-MM-DD HH:MM:SS[.ffffff]" in UTC
+   * @returns {Date|null}
+   */
+  parseDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    let date;
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+      date = new Date(Number(value) * 1000);
+    } else {
+      const iso = String(value).trim().replace(' ', 'T');
+      date = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(iso) ? iso : `${iso}Z`);
+    }
+
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Photos attached inline to a check-in (API-shaped dumps only)
+   */
+  parseInlinePhotos(item) {
+    return (item.photos?.items || [])
+      .map(photo => this.parsePhoto(photo))
+      .filter(Boolean)
+      .map(({ url, width, height }) => ({ url, width, height }));
+  }
+
+  /**
+   * Transform an export check-in into our database format
+   * @param {Object} item - Check-in from a checkins*.json file
+   * @param {number} userId
+   * @returns {{checkin: Object}|{skipped: string}} Check-in with photos and the export's check-in id
+   */
+  parseCheckin(item, userId) {
+    const venue = item.venue;
+    if (!venue || !venue.name) {
+      return { skipped: 'Missing venue name' };
+    }
+
+    const checkinDate = this.parseDate(item.createdAt);
+    if (!checkinDate) {
+      return { skipped: 'Missing or invalid checkin date' };
+    }
+
+    const location = venue.location || {};
+    const latitude = location.lat ?? item.lat ?? null;
+    const longitude = location.lng ?? item.lng ?? null;
+
+    if (latitude !== null && (latitude < -90 || latitude > 90)) {
+      return { skipped: 'Invalid latitude' };
+    }
+
+    if (longitude !== null && (longitude < -180 || longitude > 180)) {
+      return { skipped: 'Invalid longitude' };
+    }
+
+    return {
+      checkin: {
+        export_id: item.id || null,
+        user_id: userId,
+        venue_id: venue.id || null,
+        venue_name: venue.name,
+        venue_category: venue.categories?.[0]?.name || null,
+        venue_category_id: venue.categories?.[0]?.id || null,
+        venue_address: location.address || null,
+        latitude,
+        longitude,
+        checkin_date: checkinDate,
+        city: location.city || null,
+        country: location.country || null,
+        // The check-in's own offset keeps local time when there are no coordinates
+        timezone: getTimezoneFromCoordinates(latitude, longitude) || getTimezoneFromOffset(item.timeZoneOffset),
+        photos: this.parseInlinePhotos(item)
+      }
+    };
+  }
+
+  /**
+   * Parse a photo from photos*.json (or an inline API photo)
+   * @returns {{checkinId: string|null, url: string, width: number|null, height: number|null}|null}
+   */
+  parsePhoto(item) {
+    const url = item.fullUrl ||
+      (item.prefix && item.suffix ? `${item.prefix}original${item.suffix}` : null) ||
+      item.url;
+    if (!url) return null;
+
+    const urlMatch = typeof item.relatedItemUrl === 'string' ? item.relatedItemUrl.match(CHECKIN_URL_PATTERN) : null;
+
+    return {
+      checkinId: item.checkin?.id || item.checkinId || (urlMatch ? urlMatch[1] : null),
+      url,
+      width: item.width || null,
+      height: item.height || null
+    };
+  }
+
+  /**
+   * Parse venueRatings.json
+   * @returns {Array} [{ venue_id, venue_name, rating }]
+   */
+  parseRatings(data) {
+    const ratings = [];
+
+    for (const [key, rating] of Object.entries(RATING_KEYS)) {
+      for (const venue of this.getItems(data?.[key])) {
+        if (!venue?.id) continue;
+        ratings.push({ venue_id: venue.id, venue_name: venue.name || null, rating });
+      }
+    }
+
+    return ratings;
+  }
+
+  /**
+   * Parse all files of an export
+   * Photos from photos*.json are attached to their check-in by the export's check-in id.
+   * @param {Array<{fileName: string, content: string}>} files - JSON files of the export
+   * @param {number} userId
+   * @returns {{checkins: Array, ratings: Array, skipped: Array, photoCount: number}}
+   */
+  parseExport(files, userId) {
+    const checkins = [];
+    const skipped = [];
+    const ratings = [];
+    const photosByCheckin = new Map();
+
+    for (const { fileName, content } of files) {
+      // A lone uploaded JSON file is a check-in list, whatever it's called
+      const kind = this.classifyFile(fileName) || (files.length === 1 ? 'checkins' : null);
+      if (!kind) continue;
+
+      const data = JSON.parse(content);
+
+      if (kind === 'checkins') {
+        for (const item of this.getItems(data)) {
+          const result = this.parseCheckin(item, userId);
+          if (result.checkin) {
+            checkins.push(result.checkin);
+          } else {
+            skipped.push({ reason: result.skipped, id: item?.id || null });
+          }
+        }
+      } else if (kind === 'photos') {
+        for (const item of this.getItems(data)) {
+          const photo = this.parsePhoto(item);
+          if (!photo || !photo.checkinId) continue;
+
+          if (!photosByCheckin.has(photo.checkinId)) photosByCheckin.set(photo.checkinId, []);
+          photosByCheckin.get(photo.checkinId).push({ url: photo.url, width: photo.width, height: photo.height });
+        }
+      } else if (kind === 'ratings') {
+        ratings.push(...this.parseRatings(data));
+      }
+    }
+
+    let photoCount = 0;
+    for (const checkin of checkins) {
+      const extra = checkin.export_id ? photosByCheckin.get(checkin.export_id) || [] : [];
+      const known = new Set(checkin.photos.map(photo => photo.url));
+      checkin.photos.push(...extra.filter(photo => !known.has(photo.url)));
+      photoCount += checkin.photos.length;
+    }
+
+    // Oldest first, so import progress follows the timeline
+    checkins.sort((a, b) => a.checkin_date - b.checkin_date);
+
+    return { checkins, ratings, skipped, photoCount };
+  }
+}
+
+module.exports = new SwarmExportParser();
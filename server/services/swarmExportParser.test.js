@@ -0,0 +1,157 @@
+const swarmExportParser = require('./swarmExportParser');
+
+// Official export format: UTC date strings, coordinates on the check-in
+const EXPORT_CHECKIN = {
+  id: '5a1b2c3d4e5f60718293a4b5',
+  createdAt: '2024-03-01 18:30:00.000000',
+  type: 'checkin',
+  timeZoneOffset: 60,
+  venue: { id: 'v1', name: 'Café Einstein', url: 'https://foursquare.com/v/v1' },
+  lat: 52.5065,
+  lng: 13.3514
+};
+
+// API-shaped dump: epoch seconds, coordinates on venue.location, inline photos
+const API_CHECKIN = {
+  id: 'abc123',
+  createdAt: 1704103200,
+  venue: {
+    id: 'v2',
+    name: 'Louvre',
+    categories: [{ id: '4bf58dd8d48988d181941735', name: 'Museum' }],
+    location: { address: 'Rue de Rivoli', lat: 48.8606, lng: 2.3376, city: 'Paris', country: 'France' }
+  },
+  photos: {
+    items: [{ prefix: 'https://img.example/', suffix: '/a.jpg', width: 800, height: 600 }]
+  }
+};
+
+describe('SwarmExportParser', () => {
+  describe('classifyFile', () => {
+    it('recognizes numbered export files in any folder', () => {
+      expect(swarmExportParser.classifyFile('export/checkins1.json')).toBe('checkins');
+      expect(swarmExportParser.classifyFile('checkins.json')).toBe('checkins');
+      expect(swarmExportParser.classifyFile('photos2.json')).toBe('photos');
+      expect(swarmExportParser.classifyFile('data/venueRatings.json')).toBe('ratings');
+      expect(swarmExportParser.classifyFile('tips.json')).toBeNull();
+    });
+  });
+
+  describe('parseDate', () => {
+    it('parses epoch seconds and UTC date strings', () => {
+      expect(swarmExportParser.parseDate(1704103200)).toEqual(new Date('2024-01-01T10:00:00Z'));
+      expect(swarmExportParser.parseDate('1704103200')).toEqual(new Date('2024-01-01T10:00:00Z'));
+      expect(swarmExportParser.parseDate('2024-03-01 18:30:00.000000')).toEqual(new Date('2024-03-01T18:30:00Z'));
+    });
+
+    it('returns null for missing or invalid dates', () => {
+      expect(swarmExportParser.parseDate(undefined)).toBeNull();
+      expect(swarmExportParser.parseDate('yesterday')).toBeNull();
+    });
+  });
+
+  describe('parseCheckin', () => {
+    it('reads the official export format and computes the timezone', () => {
+      const { checkin } = swarmExportParser.parseCheckin(EXPORT_CHECKIN, 7);
+
+      expect(checkin).toEqual({
+        export_id: EXPORT_CHECKIN.id,
+        user_id: 7,
+        venue_id: 'v1',
+        venue_name: 'Café Einstein',
+        venue_category: null,
+        venue_category_id: null,
+        venue_address: null,
+        latitude: 52.5065,
+        longitude: 13.3514,
+        checkin_date: new Date('2024-03-01T18:30:00Z'),
+        city: null,
+        country: null,
+        timezone: 'Europe/Berlin',
+        photos: []
+      });
+    });
+
+    it('reads API-shaped check-ins with inline photos', () => {
+      const { checkin } = swarmExportParser.parseCheckin(API_CHECKIN, 7);
+
+      expect(checkin).toMatchObject({
+        venue_category: 'Museum',
+        venue_category_id: '4bf58dd8d48988d181941735',
+        venue_address: 'Rue de Rivoli',
+        city: 'Paris',
+        country: 'France',
+        timezone: 'Europe/Paris',
+        photos: [{ url: 'https://img.example/original/a.jpg', width: 800, height: 600 }]
+      });
+    });
+
+    it('keeps local time from timeZoneOffset when there are no coordinates', () => {
+      const withoutCoordinates = { ...EXPORT_CHECKIN, lat: undefined, lng: undefined };
+
+      expect(swarmExportParser.parseCheckin(withoutCoordinates, 7).checkin.timezone).toBe('Etc/GMT-1');
+      expect(swarmExportParser.parseCheckin({ ...withoutCoordinates, timeZoneOffset: -300 }, 7).checkin.timezone).toBe('Etc/GMT+5');
+      expect(swarmExportParser.parseCheckin({ ...withoutCoordinates, timeZoneOffset: 0 }, 7).checkin.timezone).toBe('UTC');
+      expect(swarmExportParser.parseCheckin({ ...withoutCoordinates, timeZoneOffset: 330 }, 7).checkin.timezone).toBeNull();
+    });
+
+    it('skips check-ins without a venue, date or valid coordinates', () => {
+      expect(swarmExportParser.parseCheckin({ createdAt: 1 }, 7)).toEqual({ skipped: 'Missing venue name' });
+      expect(swarmExportParser.parseCheckin({ venue: { name: 'X' } }, 7).skipped).toBe('Missing or invalid checkin date');
+      expect(swarmExportParser.parseCheckin({ ...EXPORT_CHECKIN, lat: 95 }, 7).skipped).toBe('Invalid latitude');
+    });
+  });
+
+  describe('parseRatings', () => {
+    it('maps likes, okays and dislikes', () => {
+      const ratings = swarmExportParser.parseRatings({
+        venueLikes: [{ id: 'v1', name: 'Café Einstein' }],
+        venueOkays: { items: [{ id: 'v2', name: 'Louvre' }] },
+        venueDislikes: [{ name: 'No id' }]
+      });
+
+      expect(ratings).toEqual([
+        { venue_id: 'v1', venue_name: 'Café Einstein', rating: 'like' },
+        { venue_id: 'v2', venue_name: 'Louvre', rating: 'okay' }
+      ]);
+    });
+  });
+
+  describe('parseExport', () => {
+    it('attaches photos to their check-ins and sorts oldest first', () => {
+      const files = [
+        { fileName: 'checkins1.json', content: JSON.stringify({ items: [EXPORT_CHECKIN, { id: 'bad' }] }) },
+        { fileName: 'checkins2.json', content: JSON.stringify({ items: [API_CHECKIN] }) },
+        {
+          fileName: 'photos1.json',
+          content: JSON.stringify({
+            items: [{
+              fullUrl: 'https://img.example/full.jpg',
+              width: 1024,
+              height: 768,
+              relatedItemUrl: `https://foursquare.com/user/1/checkin/${EXPORT_CHECKIN.id}`
+            }]
+          })
+        },
+        { fileName: 'venueRatings.json', content: JSON.stringify({ venueLikes: [{ id: 'v1', name: 'Café Einstein' }] }) },
+        { fileName: 'tips.json', content: 'not parsed' }
+      ];
+
+      const result = swarmExportParser.parseExport(files, 7);
+
+      expect(result.checkins.map(c => c.venue_id)).toEqual(['v2', 'v1']);
+      expect(result.checkins[1].photos).toEqual([{ url: 'https://img.example/full.jpg', width: 1024, height: 768 }]);
+      expect(result.photoCount).toBe(2);
+      expect(result.ratings).toHaveLength(1);
+      expect(result.skipped).toEqual([{ reason: 'Missing venue name', id: 'bad' }]);
+    });
+
+    it('reads a lone JSON upload as a check-in list', () => {
+      const result = swarmExportParser.parseExport([
+        { fileName: '7-1700000000000.json', content: JSON.stringify([API_CHECKIN]) }
+      ], 7);
+
+      expect(result.checkins).toHaveLength(1);
+    });
+  });
+});
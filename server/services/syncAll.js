@@ -1,6 +1,60 @@
 const User = require('../models/user');
 const ImportJob = require('../models/importJob');
 const { getQueue } = require('../jobs/queue');
+const { StravaRateLimitService } = require('./stravaRateLimitService');
+
+const rateLimitService = new StravaRateLimitService();
+
+// Strava API requests to set aside for one incremental sync
+// (an activity page plus details and photos for a few new activities)
+const STRAVA_REQUESTS_PER_SYNC = 10;
+
+const UNFINISHED_STATUSES = ['pending', 'queued', 'running', 'rate_limited'];
+
+/**
+ * Find an import that hasn't finished yet for one data source
+ * Jobs from before data_source existed are Foursquare imports.
+ * @param {Array} jobs - The user's import jobs
+ * @param {string} dataSource - 'foursquare' or 'strava'
+ * @returns {Object|undefined}
+ */
+function findUnfinishedImport(jobs, dataSource) {
+  return jobs.find(job =>
+    UNFINISHED_STATUSES.includes(job.status) &&
+    (job.data_source || 'foursquare') === dataSource
+  );
+}
+
+/**
+ * Create an import job and queue it
+ * @param {number} userId - User ID
+ * @param {string} dataSource - 'foursquare' or 'strava'
+ * @param {Object} [options] - pg-boss send options, e.g. startAfter
+ * @returns {Promise<Object>} The created import job
+ */
+async function queueImport(userId, dataSource, options) {
+  const job = await ImportJob.create({
+    user_id: userId,
+    data_source: dataSource,
+    status: 'pending'
+  });
+
+  const queue = getQueue();
+  if (dataSource === 'strava') {
+    await queue.send('import-strava-data', {
+      jobId: job.id,
+      userId,
+      syncType: 'incremental'
+    }, options);
+  } else {
+    await queue.send('import-checkins', {
+      jobId: job.id,
+      userId
+    }, options);
+  }
+
+  return job;
+}
 
 /**
  * Sync all data sources for a user
@@ -17,14 +71,15 @@ async function syncAllDataSources(userId) {
   }
 
   const results = {
-    foursquare: null
+    foursquare: null,
+    strava: null
   };
 
+  const existingJobs = await ImportJob.findByUserId(userId);
+
   // Sync Foursquare
   try {
-    // Check if there's already a running import for this user
-    const existingJobs = await ImportJob.findByUserId(userId);
-    const runningJob = existingJobs.find(job => job.status === 'running' || job.status === 'pending');
+    const runningJob = findUnfinishedImport(existingJobs, 'foursquare');
 
     if (runningJob) {
       results.foursquare = {
@@ -33,19 +88,7 @@ async function syncAllDataSources(userId) {
         message: 'Import already in progress'
       };
     } else {
-      // Create a new import job
-      const job = await ImportJob.create({
-        user_id: userId,
-        data_source: 'foursquare',
-        status: 'pending'
-      });
-
-      // Queue the import job
-      const queue = getQueue();
-      await queue.send('import-checkins', {
-        jobId: job.id,
-        userId: userId
-      });
+      const job = await queueImport(userId, 'foursquare');
 
       results.foursquare = {
         status: 'queued',
@@ -60,7 +103,74 @@ async function syncAllDataSources(userId) {
     };
   }
 
+  // Sync Strava
+  try {
+    results.strava = await syncStrava(user, existingJobs);
+  } catch (error) {
+    results.strava = {
+      status: 'error',
+      message: error.message
+    };
+  }
+
   return results;
 }
 
-module.exports = { syncAllDataSources };
+/**
+ * Queue an incremental Strava sync, within the quota left for all users
+ * @param {Object} user - User row
+ * @param {Array} existingJobs - The user's import jobs
+ * @returns {Promise<Object>} Sync result
+ */
+async function syncStrava(user, existingJobs) {
+  if (!user.strava_oauth_tokens_encrypted) {
+    return {
+      status: 'not_connected',
+      message: 'Strava not connected'
+    };
+  }
+
+  const runningJob = findUnfinishedImport(existingJobs, 'strava');
+  if (runningJob) {
+    return {
+      status: 'already_running',
+      jobId: runningJob.id,
+      message: 'Import already in progress'
+    };
+  }
+
+  const quota = await rateLimitService.checkAppQuota();
+
+  if (quota.limitType === 'daily' || quota.remaining.daily < STRAVA_REQUESTS_PER_SYNC) {
+    return {
+      status: 'rate_limited',
+      resetAt: quota.resetAt || null,
+      message: 'Strava daily API limit reached, try again later'
+    };
+  }
+
+  // The 15 minute window clears quickly, so wait for it instead of skipping
+  if (!quota.allowed) {
+    const job = await queueImport(user.id, 'strava', { startAfter: quota.resetAt });
+    return {
+      status: 'queued',
+      jobId: job.id,
+      startAfter: quota.resetAt,
+      message: 'Import job queued, starts when the Strava rate limit resets'
+    };
+  }
+
+  const job = await queueImport(user.id, 'strava');
+  return {
+    status: 'queued',
+    jobId: job.id,
+    message: 'Import job queued'
+  };
+}
+
+module.exports = {
+  syncAllDataSources,
+  findUnfinishedImport,
+  queueImport,
+  STRAVA_REQUESTS_PER_SYNC
+};
@@ -0,0 +1,121 @@
+jest.mock('../models/user');
+jest.mock('../models/importJob');
+
+const mockSend = jest.fn();
+jest.mock('../jobs/queue', () => ({
+  getQueue: jest.fn(() => ({ send: mockSend }))
+}));
+
+const mockCheckAppQuota = jest.fn();
+jest.mock('./stravaRateLimitService', () => ({
+  StravaRateLimitService: jest.fn().mockImplementation(() => ({
+    checkAppQuota: (...args) => mockCheckAppQuota(...args)
+  }))
+}));
+
+const User = require('../models/user');
+const ImportJob = require('../models/importJob');
+const { syncAllDataSources, findUnfinishedImport } = require('./syncAll');
+
+const stravaUser = { id: 1, strava_oauth_tokens_encrypted: 'tokens' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findById.mockResolvedValue(stravaUser);
+  ImportJob.findByUserId.mockResolvedValue([]);
+  let nextId = 10;
+  ImportJob.create.mockImplementation(async () => ({ id: nextId++ }));
+  mockSend.mockResolvedValue('job-id');
+  mockCheckAppQuota.mockResolvedValue({ allowed: true, remaining: { short: 90, daily: 900 } });
+});
+
+describe('findUnfinishedImport', () => {
+  test('matches by data source, treating jobs without one as Foursquare', () => {
+    const jobs = [
+      { id: 1, data_source: 'strava', status: 'queued' },
+      { id: 2, data_source: null, status: 'running' },
+      { id: 3, data_source: 'foursquare', status: 'completed' }
+    ];
+
+    expect(findUnfinishedImport(jobs, 'strava').id).toBe(1);
+    expect(findUnfinishedImport(jobs, 'foursquare').id).toBe(2);
+    expect(findUnfinishedImport(jobs.slice(2), 'foursquare')).toBeUndefined();
+  });
+});
+
+describe('syncAllDataSources', () => {
+  test('queues Foursquare and an incremental Strava sync', async () => {
+    const results = await syncAllDataSources(1);
+
+    expect(results.foursquare).toEqual({ status: 'queued', jobId: 10, message: 'Import job queued' });
+    expect(results.strava).toEqual({ status: 'queued', jobId: 11, message: 'Import job queued' });
+    expect(mockSend).toHaveBeenCalledWith('import-checkins', { jobId: 10, userId: 1 }, undefined);
+    expect(mockSend).toHaveBeenCalledWith(
+      'import-strava-data',
+      { jobId: 11, userId: 1, syncType: 'incremental' },
+      undefined
+    );
+  });
+
+  test('reports Strava as not connected without touching the quota', async () => {
+    User.findById.mockResolvedValue({ id: 1 });
+
+    const results = await syncAllDataSources(1);
+
+    expect(results.strava.status).toBe('not_connected');
+    expect(mockCheckAppQuota).not.toHaveBeenCalled();
+    expect(mockSend).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports running imports per source', async () => {
+    ImportJob.findByUserId.mockResolvedValue([{ id: 5, data_source: 'strava', status: 'rate_limited' }]);
+
+    const results = await syncAllDataSources(1);
+
+    expect(results.foursquare.status).toBe('queued');
+    expect(results.strava).toEqual({ status: 'already_running', jobId: 5, message: 'Import already in progress' });
+  });
+
+  test('skips Strava when the daily quota for all users is nearly used up', async () => {
+    mockCheckAppQuota.mockResolvedValue({ allowed: true, remaining: { short: 90, daily: 4 } });
+
+    const results = await syncAllDataSources(1);
+
+    expect(results.strava.status).toBe('rate_limited');
+    expect(ImportJob.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('delays Strava until the 15 minute window resets', async () => {
+    const resetAt = new Date('2025-01-01T12:15:00Z');
+    mockCheckAppQuota.mockResolvedValue({
+      allowed: false,
+      limitType: '15min',
+      resetAt,
+      remaining: { short: 0, daily: 600 }
+    });
+
+    const results = await syncAllDataSources(1);
+
+    expect(results.strava).toMatchObject({ status: 'queued', jobId: 11, startAfter: resetAt });
+    expect(mockSend).toHaveBeenCalledWith(
+      'import-strava-data',
+      { jobId: 11, userId: 1, syncType: 'incremental' },
+      { startAfter: resetAt }
+    );
+  });
+
+  test('keeps the Foursquare result when Strava fails', async () => {
+    mockCheckAppQuota.mockRejectedValue(new Error('DB down'));
+
+    const results = await syncAllDataSources(1);
+
+    expect(results.foursquare.status).toBe('queued');
+    expect(results.strava).toEqual({ status: 'error', message: 'DB down' });
+  });
+
+  test('throws for unknown users', async () => {
+    User.findById.mockResolvedValue(null);
+
+    await expect(syncAllDataSources(1)).rejects.toThrow('User not found');
+  });
+});
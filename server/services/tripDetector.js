@@ -0,0 +1,206 @@
+const Checkin = require('../models/checkin');
+const Trip = require('../models/trip');
+const LocationAnchor = require('../models/locationAnchor');
+const locationInference = require('./locationInference');
+const { distanceMeters } = require('../utils/geoUtils');
+
+// Check-ins this close to the home centroid count as home even when the
+// city name differs (suburbs, neighbouring municipalities, the airport)
+const HOME_RADIUS_METERS = 50000;
+
+// A silence longer than this between two check-ins away from home splits the trip
+const MAX_GAP_HOURS = 72;
+
+// Trips must span at least this many local calendar days
+const MIN_TRIP_DAYS = 2;
+
+// Venues listed per trip
+const TOP_VENUE_COUNT = 5;
+
+const UNKNOWN = 'Unknown';
+
+function isKnown(value) {
+  return Boolean(value) && value !== UNKNOWN;
+}
+
+function toCoordinates(checkin) {
+  const lat = parseFloat(checkin.latitude);
+  const lng = parseFloat(checkin.longitude);
+  return isNaN(lat) || isNaN(lng) ? null : { lat, lng };
+}
+
+function daysBetween(startDate, endDate) {
+  return Math.round((new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+/**
+ * Deterministic multi-day trip detection.
+ * Segments the check-ins that happen away from the home of the time (see
+ * services/locationInference.js) into trips, splitting on returns home and
+ * on long gaps between check-ins.
+ */
+class TripDetector {
+  /**
+   * Classify a check-in relative to home
+   * @returns {'home'|'away'|'unknown'}
+   */
+  classify(checkin, home) {
+    const coordinates = toCoordinates(checkin);
+
+    if (coordinates && home.latitude !== null && home.longitude !== null) {
+      const distance = distanceMeters(coordinates, { lat: home.latitude, lng: home.longitude });
+      if (distance <= HOME_RADIUS_METERS) return 'home';
+    }
+
+    if (!isKnown(checkin.country)) return 'unknown';
+    if (checkin.country !== home.country) return 'away';
+    if (checkin.city === home.city) return 'home';
+
+    // Same country, no city and no coordinates to measure: can't tell
+    return isKnown(checkin.city) || coordinates ? 'away' : 'unknown';
+  }
+
+  /**
+   * Segment check-ins into trips
+   * Check-ins that can't be placed (no country) join a trip that is already
+   * in progress but never start one.
+   * @param {Array} checkins - Rows from Checkin.findTimeline, oldest first
+   * @param {Array} homes - Home anchors from locationInference, oldest first
+   * @returns {Array} Trip objects ready for Trip.replaceForUser
+   */
+  detectTrips(checkins, homes) {
+    if (!homes || homes.length === 0) return [];
+
+    const maxGapMs = MAX_GAP_HOURS * 60 * 60 * 1000;
+    const segments = [];
+    let current = null;
+
+    for (const checkin of checkins) {
+      const home = locationInference.findHomeAt(homes, checkin.local_date);
+      const status = home ? this.classify(checkin, home) : 'unknown';
+
+      if (status === 'home') {
+        current = null;
+        continue;
+      }
+
+      const time = new Date(checkin.checkin_date).getTime();
+      if (current && time - current.lastTime > maxGapMs) {
+        current = null;
+      }
+
+      if (!current) {
+        if (status === 'unknown') continue;
+        current = { home, checkins: [] };
+        segments.push(current);
+      }
+
+      current.checkins.push(checkin);
+      current.lastTime = time;
+    }
+
+    return segments
+      .map(segment => this.summarize(segment.checkins, segment.home))
+      .filter(trip => daysBetween(trip.start_date, trip.end_date) >= MIN_TRIP_DAYS);
+  }
+
+  /**
+   * Build the stored trip summary for a run of check-ins
+   * @param {Array} checkins
+   * @param {Object} home - Home the trip started from
+   */
+  summarize(checkins, home) {
+    const first = checkins[0];
+    const last = checkins[checkins.length - 1];
+
+    const countries = [];
+    const cities = new Map();
+    const venues = new Map();
+    let bounds = null;
+
+    for (const checkin of checkins) {
+      const coordinates = toCoordinates(checkin);
+
+      if (isKnown(checkin.country) && !countries.includes(checkin.country)) {
+        countries.push(checkin.country);
+      }
+
+      if (isKnown(checkin.city)) {
+        const key = `${checkin.city}|${checkin.country}`;
+        if (!cities.has(key)) {
+          cities.set(key, { city: checkin.city, country: checkin.country, checkins: 0 });
+        }
+        cities.get(key).checkins++;
+      }
+
+      const venueKey = checkin.venue_id || checkin.venue_name;
+      if (!venues.has(venueKey)) {
+        venues.set(venueKey, {
+          venue_id: checkin.venue_id,
+          venue_name: checkin.venue_name,
+          venue_category: checkin.venue_category,
+          latitude: coordinates ? coordinates.lat : null,
+          longitude: coordinates ? coordinates.lng : null,
+          checkins: 0
+        });
+      }
+      venues.get(venueKey).checkins++;
+
+      if (coordinates) {
+        bounds = bounds
+          ? {
+            minLat: Math.min(bounds.minLat, coordinates.lat),
+            minLng: Math.min(bounds.minLng, coordinates.lng),
+            maxLat: Math.max(bounds.maxLat, coordinates.lat),
+            maxLng: Math.max(bounds.maxLng, coordinates.lng)
+          }
+          : { minLat: coordinates.lat, minLng: coordinates.lng, maxLat: coordinates.lat, maxLng: coordinates.lng };
+      }
+    }
+
+    // Most visited first, ties keep the order they were first visited in
+    const topVenues = [...venues.values()]
+      .sort((a, b) => b.checkins - a.checkins)
+      .slice(0, TOP_VENUE_COUNT);
+
+    return {
+      start_date: first.local_date,
+      end_date: last.local_date,
+      started_at: first.checkin_date,
+      ended_at: last.checkin_date,
+      checkin_count: checkins.length,
+      countries,
+      cities: [...cities.values()],
+      top_venues: topVenues,
+      min_latitude: bounds ? bounds.minLat : null,
+      min_longitude: bounds ? bounds.minLng : null,
+      max_latitude: bounds ? bounds.maxLat : null,
+      max_longitude: bounds ? bounds.maxLng : null,
+      home_city: home.city,
+      home_country: home.country
+    };
+  }
+
+  /**
+   * Re-detect and store all trips for a user
+   * Uses the stored home anchors, so run locationInference.recomputeForUser first.
+   * @param {number} userId
+   * @returns {Promise<number>} Number of trips stored
+   */
+  async recomputeForUser(userId) {
+    const [checkins, homes] = await Promise.all([
+      Checkin.findTimeline(userId),
+      LocationAnchor.findByUser(userId, 'home')
+    ]);
+    const trips = this.detectTrips(checkins, homes);
+
+    const stored = await Trip.replaceForUser(userId, trips);
+
+    console.log(`[TRIPS] User ${userId}: ${stored} trips detected from ${checkins.length} check-ins` +
+      ` across ${homes.length} home period(s)`);
+
+    return stored;
+  }
+}
+
+module.exports = new TripDetector();
@@ -0,0 +1,201 @@
+const tripDetector = require('./tripDetector');
+const Checkin = require('../models/checkin');
+const Trip = require('../models/trip');
+const LocationAnchor = require('../models/locationAnchor');
+
+jest.mock('../models/checkin');
+jest.mock('../models/trip');
+jest.mock('../models/locationAnchor');
+
+const BERLIN = { city: 'Berlin', country: 'Germany', latitude: '52.52', longitude: '13.405' };
+const POTSDAM = { city: 'Potsdam', country: 'Germany', latitude: '52.39', longitude: '13.065' };
+const MUNICH = { city: 'München', country: 'Germany', latitude: '48.137', longitude: '11.575' };
+const PARIS = { city: 'Paris', country: 'France', latitude: '48.857', longitude: '2.352' };
+const LYON = { city: 'Lyon', country: 'France', latitude: '45.764', longitude: '4.836' };
+
+let nextId = 1;
+
+/**
+ * Build a check-in row as returned by Checkin.findTimeline
+ */
+function checkin(place, isoDate, venue = {}) {
+  return {
+    id: nextId++,
+    venue_id: venue.id || `venue-${nextId}`,
+    venue_name: venue.name || `Venue ${nextId}`,
+    venue_category: venue.category || 'Café',
+    checkin_date: new Date(isoDate),
+    local_date: isoDate.slice(0, 10),
+    timezone: 'Europe/Berlin',
+    ...place
+  };
+}
+
+function homeDays(count, startDay = 1) {
+  return Array.from({ length: count }, (_, i) =>
+    checkin(BERLIN, `2024-01-${String(startDay + i).padStart(2, '0')}T12:00:00Z`)
+  );
+}
+
+describe('TripDetector', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('detectTrips', () => {
+    const homes = [{
+      kind: 'home', city: 'Berlin', country: 'Germany', latitude: 52.52, longitude: 13.405,
+      valid_from: '2023-01-01', valid_to: null
+    }];
+
+    it('segments check-ins away from home into trips', () => {
+      const checkins = [
+        ...homeDays(2),
+        checkin(PARIS, '2024-01-05T09:00:00Z', { id: 'louvre', name: 'Louvre' }),
+        checkin(PARIS, '2024-01-05T15:00:00Z', { id: 'cafe', name: 'Café de Flore' }),
+        checkin(LYON, '2024-01-06T12:00:00Z', { id: 'cafe2', name: 'Les Halles' }),
+        checkin(PARIS, '2024-01-07T10:00:00Z', { id: 'cafe', name: 'Café de Flore' }),
+        ...homeDays(2, 8)
+      ];
+
+      const trips = tripDetector.detectTrips(checkins, homes);
+
+      expect(trips).toHaveLength(1);
+      expect(trips[0]).toMatchObject({
+        start_date: '2024-01-05',
+        end_date: '2024-01-07',
+        checkin_count: 4,
+        countries: ['France'],
+        cities: [
+          { city: 'Paris', country: 'France', checkins: 3 },
+          { city: 'Lyon', country: 'France', checkins: 1 }
+        ],
+        min_latitude: 45.764,
+        max_latitude: 48.857,
+        home_city: 'Berlin',
+        home_country: 'Germany'
+      });
+      expect(trips[0].top_venues[0]).toMatchObject({ venue_id: 'cafe', venue_name: 'Café de Flore', checkins: 2 });
+      expect(trips[0].top_venues).toHaveLength(3);
+    });
+
+    it('treats check-ins near home as home even in another city', () => {
+      const checkins = [
+        checkin(POTSDAM, '2024-01-05T09:00:00Z'),
+        checkin(POTSDAM, '2024-01-06T09:00:00Z')
+      ];
+
+      expect(tripDetector.detectTrips(checkins, homes)).toEqual([]);
+    });
+
+    it('detects domestic trips to other cities', () => {
+      const checkins = [
+        checkin(MUNICH, '2024-01-05T09:00:00Z'),
+        checkin(MUNICH, '2024-01-06T09:00:00Z')
+      ];
+
+      const trips = tripDetector.detectTrips(checkins, homes);
+
+      expect(trips).toHaveLength(1);
+      expect(trips[0].countries).toEqual(['Germany']);
+    });
+
+    it('splits trips on long gaps between check-ins', () => {
+      const checkins = [
+        checkin(PARIS, '2024-01-05T09:00:00Z'),
+        checkin(PARIS, '2024-01-06T09:00:00Z'),
+        // 4 days without a check-in
+        checkin(LYON, '2024-01-10T09:00:00Z'),
+        checkin(LYON, '2024-01-11T09:00:00Z')
+      ];
+
+      const trips = tripDetector.detectTrips(checkins, homes);
+
+      expect(trips.map(trip => [trip.start_date, trip.end_date])).toEqual([
+        ['2024-01-05', '2024-01-06'],
+        ['2024-01-10', '2024-01-11']
+      ]);
+    });
+
+    it('drops single-day outings', () => {
+      const checkins = [
+        checkin(MUNICH, '2024-01-05T09:00:00Z'),
+        checkin(MUNICH, '2024-01-05T20:00:00Z'),
+        ...homeDays(1, 6)
+      ];
+
+      expect(tripDetector.detectTrips(checkins, homes)).toEqual([]);
+    });
+
+    it('never starts a trip with a check-in that has no location', () => {
+      const unknown = { city: 'Unknown', country: 'Unknown', latitude: null, longitude: null };
+      const checkins = [
+        checkin(unknown, '2024-01-04T09:00:00Z'),
+        checkin(PARIS, '2024-01-05T09:00:00Z'),
+        checkin(unknown, '2024-01-06T09:00:00Z')
+      ];
+
+      const trips = tripDetector.detectTrips(checkins, homes);
+
+      expect(trips).toHaveLength(1);
+      expect(trips[0].start_date).toBe('2024-01-05');
+      expect(trips[0].end_date).toBe('2024-01-06');
+      expect(trips[0].countries).toEqual(['France']);
+    });
+
+    it('measures each check-in against the home of the time', () => {
+      const moved = [
+        { ...homes[0], valid_to: '2024-01-31' },
+        { kind: 'home', city: 'Paris', country: 'France', latitude: 48.857, longitude: 2.352, valid_from: '2024-02-01', valid_to: null }
+      ];
+      const checkins = [
+        checkin(PARIS, '2024-01-05T09:00:00Z'),
+        checkin(PARIS, '2024-01-06T09:00:00Z'),
+        // Paris is home from February, Berlin is now away
+        checkin(PARIS, '2024-02-05T09:00:00Z'),
+        checkin(BERLIN, '2024-02-10T09:00:00Z'),
+        checkin(BERLIN, '2024-02-11T09:00:00Z')
+      ];
+
+      const trips = tripDetector.detectTrips(checkins, moved);
+
+      expect(trips.map(trip => [trip.cities[0].city, trip.home_city])).toEqual([
+        ['Paris', 'Berlin'],
+        ['Berlin', 'Paris']
+      ]);
+    });
+
+    it('returns no trips without a home location', () => {
+      expect(tripDetector.detectTrips([checkin(PARIS, '2024-01-05T09:00:00Z')], [])).toEqual([]);
+    });
+  });
+
+  describe('recomputeForUser', () => {
+    it('replaces the stored trips with the detected ones', async () => {
+      Checkin.findTimeline.mockResolvedValue([
+        ...homeDays(5),
+        checkin(PARIS, '2024-01-10T09:00:00Z'),
+        checkin(PARIS, '2024-01-12T09:00:00Z')
+      ]);
+      LocationAnchor.findByUser.mockResolvedValue([{
+        kind: 'home', city: 'Berlin', country: 'Germany', latitude: 52.52, longitude: 13.405,
+        valid_from: '2024-01-01', valid_to: null
+      }]);
+      Trip.replaceForUser.mockResolvedValue(1);
+
+      const stored = await tripDetector.recomputeForUser(10);
+
+      expect(stored).toBe(1);
+      expect(Checkin.findTimeline).toHaveBeenCalledWith(10);
+      expect(LocationAnchor.findByUser).toHaveBeenCalledWith(10, 'home');
+      expect(Trip.replaceForUser).toHaveBeenCalledWith(10, [
+        expect.objectContaining({ start_date: '2024-01-10', end_date: '2024-01-12', home_city: 'Berlin' })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+// Links opened by the browser itself (<img> tags, download links) can't send an
+// Authorization header, so they carry a signature for that one path instead of
+// the user's access token. Without SESSION_SECRET the key only lasts until a
+// restart, which just means older links stop working.
+const SIGNING_KEY = process.env.SESSION_SECRET
+  ? crypto.createHash('sha256').update(`signed-url:${process.env.SESSION_SECRET}`).digest()
+  : crypto.randomBytes(32);
+
+const DEFAULT_TTL_SECONDS = 60 * 60; // 1 hour
+
+function signature(path, userId, expires) {
+  return crypto.createHmac('sha256', SIGNING_KEY)
+    .update(`${path}\n${userId}\n${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * Sign a path for one user
+ * Expiry is rounded up to a whole ttl, so a link stays the same (and cacheable)
+ * for at least ttlSeconds and at most twice that.
+ * @param {string} path - e.g. /api/photos/12
+ * @param {number} userId
+ * @param {Object} [options]
+ * @param {number} [options.ttlSeconds=3600]
+ * @returns {string} path with user, expires and signature query parameters
+ */
+function signUrl(path, userId, { ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const expires = Math.ceil((now + ttlSeconds) / ttlSeconds) * ttlSeconds;
+  const params = new URLSearchParams({
+    user: String(userId),
+    expires: String(expires),
+    signature: signature(path, userId, expires)
+  });
+  return `${path}?${params}`;
+}
+
+/**
+ * Check a signed link
+ * @param {string} path - Path the request was made to
+ * @param {Object} query - Request query with user, expires and signature
+ * @returns {number|null} Id of the user the link was signed for, null if invalid or expired
+ */
+function verifySignedUrl(path, query = {}) {
+  const { user, expires, signature: given } = query;
+  if (typeof user !== 'string' || typeof expires !== 'string' || typeof given !== 'string') {
+    return null;
+  }
+
+  const userId = parseInt(user, 10);
+  const expiresAt = parseInt(expires, 10);
+  if (!Number.isInteger(userId) || !Number.isInteger(expiresAt) || expiresAt * 1000 <= Date.now()) {
+    return null;
+  }
+
+  const expected = Buffer.from(signature(path, userId, expiresAt));
+  const actual = Buffer.from(given);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return userId;
+}
+
+module.exports = {
+  signUrl,
+  verifySignedUrl
+};
@@ -0,0 +1,41 @@
+const { signUrl, verifySignedUrl } = require('./urlSigner');
+
+const queryOf = (url) => Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('urlSigner', () => {
+  test('signed links verify for the path and user they were signed for', () => {
+    const url = signUrl('/api/photos/12', 3);
+
+    expect(url).toMatch(/^\/api\/photos\/12\?user=3&expires=\d+&signature=[\w-]+$/);
+    expect(verifySignedUrl('/api/photos/12', queryOf(url))).toBe(3);
+  });
+
+  test('rejects the signature on another path or user', () => {
+    const query = queryOf(signUrl('/api/photos/12', 3));
+
+    expect(verifySignedUrl('/api/photos/13', query)).toBeNull();
+    expect(verifySignedUrl('/api/photos/12', { ...query, user: '4' })).toBeNull();
+    expect(verifySignedUrl('/api/photos/12', { ...query, signature: 'forged' })).toBeNull();
+  });
+
+  test('rejects missing parameters', () => {
+    expect(verifySignedUrl('/api/photos/12', {})).toBeNull();
+    expect(verifySignedUrl('/api/photos/12')).toBeNull();
+  });
+
+  test('links stay the same within a ttl and expire after it', () => {
+    jest.useFakeTimers().setSystemTime(new Date('2024-03-01T10:05:00Z'));
+    const url = signUrl('/api/account/export/4/download', 3, { ttlSeconds: 600 });
+
+    jest.setSystemTime(new Date('2024-03-01T10:09:00Z'));
+    expect(signUrl('/api/account/export/4/download', 3, { ttlSeconds: 600 })).toBe(url);
+    expect(verifySignedUrl('/api/account/export/4/download', queryOf(url))).toBe(3);
+
+    jest.setSystemTime(new Date('2024-03-01T10:20:00Z'));
+    expect(verifySignedUrl('/api/account/export/4/download', queryOf(url))).toBeNull();
+  });
+});
@@ -3,6 +3,8 @@
 // Set required environment variables for tests
 process.env.NODE_ENV = 'test';
 process.env.GEMINI_API_KEY = 'test-api-key';
+// Route tests sign in with mocked users.secret_token lookups
+process.env.LEGACY_TOKEN_AUTH = 'true';
 
 // Mock console methods to reduce noise
 global.console = {
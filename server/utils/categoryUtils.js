@@ -0,0 +1,46 @@
+// Category level a check-in rolls up to, from its chain of category names
+// (checkins.category_path, top level first). Check-ins whose category isn't
+// in the taxonomy yet fall back to their own category.
+const CATEGORY_LEVEL_EXPRESSIONS = {
+  top: 'COALESCE(category_path[1], venue_category)',
+  mid: 'COALESCE(category_path[2], category_path[1], venue_category)',
+  leaf: 'venue_category'
+};
+
+const CATEGORY_LEVELS = Object.keys(CATEGORY_LEVEL_EXPRESSIONS);
+
+/**
+ * SQL condition matching check-ins in any of the categories bound to a
+ * placeholder, either as their own category or as one of its parents,
+ * so "Food" matches every restaurant
+ * @param {string} placeholder - Parameter placeholder such as "$3", bound to a category array
+ * @returns {string}
+ */
+function categoryCondition(placeholder) {
+  return `(venue_category = ANY(${placeholder}::text[]) OR category_path && ${placeholder}::text[])`;
+}
+
+/**
+ * Category filter value (a name or array of names) as an array for categoryCondition
+ * @param {string|Array<string>} category
+ * @returns {Array<string>}
+ */
+function toCategoryList(category) {
+  return Array.isArray(category) ? category : [category];
+}
+
+/**
+ * SQL expression for the category a check-in counts towards at a level
+ * @param {'top'|'mid'|'leaf'} [level='leaf']
+ * @returns {string}
+ */
+function categoryLevelExpression(level) {
+  return CATEGORY_LEVEL_EXPRESSIONS[level] || CATEGORY_LEVEL_EXPRESSIONS.leaf;
+}
+
+module.exports = {
+  CATEGORY_LEVELS,
+  categoryCondition,
+  toCategoryList,
+  categoryLevelExpression
+};
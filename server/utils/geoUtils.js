@@ -0,0 +1,101 @@
+/**
+ * Parse and validate a viewport bounds string
+ * @param {string} bounds - "minLng,minLat,maxLng,maxLat"
+ * @returns {{minLng: number, minLat: number, maxLng: number, maxLat: number}}
+ * @throws {Error} If the string is malformed or the coordinates are out of range
+ */
+function parseBounds(bounds) {
+  const [minLng, minLat, maxLng, maxLat] = bounds.split(',').map(Number);
+
+  // Validate bounds
+  if (isNaN(minLng) || isNaN(minLat) || isNaN(maxLng) || isNaN(maxLat)) {
+    throw new Error('Invalid bounds format. Expected: minLng,minLat,maxLng,maxLat');
+  }
+
+  // Validate coordinate ranges
+  if (minLat < -90 || maxLat > 90 || minLng < -180 || maxLng > 180) {
+    throw new Error('Invalid bounds range. Latitude must be -90 to 90, longitude must be -180 to 180');
+  }
+
+  // Validate min < max
+  if (minLat >= maxLat || minLng >= maxLng) {
+    throw new Error('Invalid bounds: min values must be less than max values');
+  }
+
+  return { minLng, minLat, maxLng, maxLat };
+}
+
+/**
+ * Get a line simplification tolerance (in degrees) for a map zoom level
+ * Roughly one screen pixel at the given zoom, so simplified tracks are
+ * visually identical to the originals but carry far fewer vertices.
+ * @param {number} zoom - Map zoom level (0-22)
+ * @returns {number} Tolerance in degrees
+ */
+function simplifyToleranceForZoom(zoom) {
+  const z = Math.max(0, Math.min(22, Math.floor(zoom)));
+  return 360 / (256 * Math.pow(2, z));
+}
+
+/**
+ * Get the heatmap grid cell size (in degrees) for a map zoom level
+ * Cells are ~8 screen pixels wide, small enough that the heatmap blur hides the grid.
+ * @param {number} zoom - Map zoom level (0-22)
+ * @returns {number} Cell size in degrees
+ */
+function heatmapCellSize(zoom) {
+  return simplifyToleranceForZoom(zoom) * 8;
+}
+
+// Circumference of the Web Mercator (EPSG:3857) world in meters
+const WEB_MERCATOR_WORLD_SIZE = 40075016.68557849;
+
+/**
+ * Get a line simplification tolerance (in Web Mercator meters) for a tile zoom level
+ * Same one-pixel rule as simplifyToleranceForZoom, for geometries in EPSG:3857.
+ * @param {number} zoom - Tile zoom level
+ * @returns {number} Tolerance in meters
+ */
+function tileSimplifyTolerance(zoom) {
+  const z = Math.max(0, Math.min(22, Math.floor(zoom)));
+  return WEB_MERCATOR_WORLD_SIZE / (256 * Math.pow(2, z));
+}
+
+/**
+ * Check that x/y are valid tile coordinates for zoom level z
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+function isValidTile(z, x, y) {
+  const max = Math.pow(2, z);
+  return [z, x, y].every(Number.isInteger) && x >= 0 && y >= 0 && x < max && y < max;
+}
+
+// Mean Earth radius in meters (haversine)
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Great-circle distance between two coordinates (haversine)
+ * @param {{lat: number, lng: number}} a
+ * @param {{lat: number, lng: number}} b
+ * @returns {number} Distance in meters
+ */
+function distanceMeters(a, b) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+module.exports = {
+  parseBounds,
+  simplifyToleranceForZoom,
+  heatmapCellSize,
+  tileSimplifyTolerance,
+  isValidTile,
+  distanceMeters
+};
@@ -22,6 +22,24 @@ function getTimezoneFromCoordinates(latitude, longitude) {
   }
 }
 
+/**
+ * Get a fixed-offset timezone from a Foursquare timeZoneOffset
+ * Used for check-ins without coordinates. Etc/GMT zones count the other way
+ * round (Etc/GMT-1 is UTC+1) and only exist for whole hours.
+ * @param {number} offsetMinutes - Minutes ahead of UTC, e.g. 60 for UTC+1
+ * @returns {string|null} e.g. "Etc/GMT-1", "UTC", or null for other offsets
+ */
+function getTimezoneFromOffset(offsetMinutes) {
+  if (!Number.isInteger(offsetMinutes) || offsetMinutes % 60 !== 0) {
+    return null;
+  }
+
+  const hours = offsetMinutes / 60;
+  if (hours < -12 || hours > 14) return null;
+  if (hours === 0) return 'UTC';
+  return `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+}
+
 /**
  * Get timezone from PostGIS POINT geometry string
  * @param {string} pointString - "POINT(longitude latitude)"
@@ -47,5 +65,6 @@ function getTimezoneFromPoint(pointString) {
 
 module.exports = {
   getTimezoneFromCoordinates,
+  getTimezoneFromOffset,
   getTimezoneFromPoint
 };
@@ -0,0 +1,75 @@
+const yauzl = require('yauzl');
+
+/**
+ * Open a ZIP archive for sequential entry reading
+ * autoClose is off so entries can be read after the listing has finished
+ * @param {string} filePath
+ * @returns {Promise<yauzl.ZipFile>}
+ */
+function openZip(filePath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (error, zipfile) => {
+      if (error) return reject(error);
+      resolve(zipfile);
+    });
+  });
+}
+
+/**
+ * List all file entries (directories excluded) in an archive
+ * @param {yauzl.ZipFile} zipfile
+ * @returns {Promise<Array>}
+ */
+function listEntries(zipfile) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+
+    zipfile.on('entry', (entry) => {
+      if (!entry.fileName.endsWith('/')) {
+        entries.push(entry);
+      }
+      zipfile.readEntry();
+    });
+    zipfile.once('end', () => resolve(entries));
+    zipfile.once('error', reject);
+
+    zipfile.readEntry();
+  });
+}
+
+/**
+ * Get a read stream for an archive entry
+ * @param {yauzl.ZipFile} zipfile
+ * @param {Object} entry
+ * @returns {Promise<stream.Readable>}
+ */
+function openEntryStream(zipfile, entry) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, stream) => {
+      if (error) return reject(error);
+      resolve(stream);
+    });
+  });
+}
+
+/**
+ * Read an archive entry fully into memory
+ * @param {yauzl.ZipFile} zipfile
+ * @param {Object} entry
+ * @returns {Promise<Buffer>}
+ */
+async function readEntry(zipfile, entry) {
+  const stream = await openEntryStream(zipfile, entry);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  openZip,
+  listEntries,
+  openEntryStream,
+  readEntry
+};